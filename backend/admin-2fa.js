@@ -0,0 +1,311 @@
+const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const totp = require('./totp');
+
+// Optional TOTP two-factor authentication for admin accounts.
+// An admin enrols by scanning the otpauth:// URI (QR code) and confirming one code; ten
+// single-use recovery codes are handed out once and stored as SHA-256 hashes. The main admin
+// can require 2FA for any admin (admins.totp_required): until that admin enrols, their session
+// only reaches the enrolment endpoints (see `twoFactorSetup` in policies.js).
+// With 2FA on, /api/admin/login answers a correct password with a short-lived challenge token
+// that must be sent back to /api/admin/login together with a code.
+
+const CHALLENGE_TTL_MINUTES = 5;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+module.exports = function(db, sessions) {
+  const router = express.Router();
+
+  function get(sql, params) {
+    return new Promise((resolve, reject) => db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row))));
+  }
+
+  function run(sql, params) {
+    return new Promise((resolve, reject) => db.run(sql, params, function(err) { if (err) reject(err); else resolve(this); }));
+  }
+
+  function loadAdmin(id) {
+    return get('SELECT * FROM admins WHERE id = ?', [id]);
+  }
+
+  async function replaceRecoveryCodes(adminId) {
+    const codes = generateRecoveryCodes();
+    await run('DELETE FROM admin_recovery_codes WHERE admin_id = ?', [adminId]);
+    for (const code of codes) {
+      await run('INSERT INTO admin_recovery_codes (admin_id, code_hash) VALUES (?, ?)', [adminId, sha256(normalizeRecoveryCode(code))]);
+    }
+    return codes;
+  }
+
+  /**
+   * Checks a TOTP code (rejecting a code already used in its time step) or a recovery code
+   * (consuming it) against an admin with 2FA enabled.
+   * @returns {Promise<{ok: boolean, method?: 'totp'|'recovery_code'}>}
+   */
+  async function verifySecondFactor(admin, { code, recovery_code: recoveryCode } = {}) {
+    if (!admin || Number(admin.totp_enabled) !== 1 || !admin.totp_secret) return { ok: false };
+
+    if (code) {
+      const step = totp.verify(admin.totp_secret, code);
+      if (step === null) return { ok: false };
+      const result = await run(
+        'UPDATE admins SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+        [step, admin.id, step]
+      );
+      return result.changes > 0 ? { ok: true, method: 'totp' } : { ok: false };
+    }
+
+    if (recoveryCode) {
+      const result = await run(
+        'UPDATE admin_recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE admin_id = ? AND code_hash = ? AND used_at IS NULL',
+        [admin.id, sha256(normalizeRecoveryCode(recoveryCode))]
+      );
+      return result.changes > 0 ? { ok: true, method: 'recovery_code' } : { ok: false };
+    }
+
+    return { ok: false };
+  }
+
+  // ---- login challenge (second step of /api/admin/login) ----
+
+  /** Starts the second login step for an admin whose password was correct. */
+  async function createLoginChallenge(adminId, req) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await run(
+      `INSERT INTO admin_login_challenges (admin_id, challenge_hash, expires_at, ip)
+       VALUES (?, ?, datetime('now', ?), ?)`,
+      [adminId, sha256(token), `+${CHALLENGE_TTL_MINUTES} minutes`, req ? req.ip : null]
+    );
+    return { challenge_token: token, expires_in: CHALLENGE_TTL_MINUTES * 60 };
+  }
+
+  /**
+   * Resolves an open challenge and its admin, or null when it is unknown, expired,
+   * already used or out of attempts.
+   */
+  async function findLoginChallenge(token) {
+    if (!token) return null;
+    const challenge = await get(
+      `SELECT * FROM admin_login_challenges
+       WHERE challenge_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP AND attempts < ?`,
+      [sha256(token), CHALLENGE_MAX_ATTEMPTS]
+    );
+    if (!challenge) return null;
+    const admin = await loadAdmin(challenge.admin_id);
+    return admin ? { challenge, admin } : null;
+  }
+
+  function recordChallengeFailure(challengeId) {
+    return run('UPDATE admin_login_challenges SET attempts = attempts + 1 WHERE id = ?', [challengeId]);
+  }
+
+  /** Marks a challenge as used; resolves to false when a concurrent request already did. */
+  async function consumeLoginChallenge(challengeId) {
+    const result = await run('UPDATE admin_login_challenges SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL', [challengeId]);
+    return result.changes > 0;
+  }
+
+  // ---- self-service enrolment ----
+
+  async function status(adminId) {
+    const admin = await loadAdmin(adminId);
+    if (!admin) return null;
+    const remaining = await get('SELECT COUNT(*) AS n FROM admin_recovery_codes WHERE admin_id = ? AND used_at IS NULL', [adminId]);
+    return {
+      enabled: Number(admin.totp_enabled) === 1,
+      required: Number(admin.totp_required) === 1,
+      enabled_at: admin.totp_enabled_at || null,
+      recovery_codes_remaining: Number(admin.totp_enabled) === 1 ? remaining.n : 0
+    };
+  }
+
+  // Current 2FA state of the signed-in admin
+  router.get('/api/admin/2fa', async (req, res) => {
+    try {
+      const current = await status(req.auth.id);
+      if (!current) return res.status(404).json({ error: 'Conta não encontrada' });
+      res.json(current);
+    } catch (error) {
+      console.error('Error reading 2FA status:', error);
+      res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  });
+
+  // Start enrolment: a new secret is kept pending until a code confirms it
+  router.post('/api/admin/2fa/setup', async (req, res) => {
+    try {
+      const admin = await loadAdmin(req.auth.id);
+      if (!admin) return res.status(404).json({ error: 'Conta não encontrada' });
+      if (Number(admin.totp_enabled) === 1) {
+        return res.status(400).json({ error: 'A autenticação de dois fatores já está ativa' });
+      }
+
+      const secret = totp.generateSecret();
+      await run('UPDATE admins SET totp_pending_secret = ? WHERE id = ?', [secret, admin.id]);
+      res.json({
+        secret,
+        otpauth_url: totp.provisioningUri(secret, admin.username)
+      });
+    } catch (error) {
+      console.error('Error starting 2FA setup:', error);
+      res.status(500).json({ error: 'Erro ao iniciar configuração de 2FA' });
+    }
+  });
+
+  // Finish enrolment with the first code from the authenticator app; returns the recovery codes once
+  router.post('/api/admin/2fa/enable', async (req, res) => {
+    const { code } = req.body || {};
+    if (!code) return res.status(400).json({ error: 'Código é obrigatório' });
+
+    try {
+      const admin = await loadAdmin(req.auth.id);
+      if (!admin) return res.status(404).json({ error: 'Conta não encontrada' });
+      if (Number(admin.totp_enabled) === 1) {
+        return res.status(400).json({ error: 'A autenticação de dois fatores já está ativa' });
+      }
+      if (!admin.totp_pending_secret) {
+        return res.status(400).json({ error: 'Inicie primeiro a configuração de 2FA' });
+      }
+
+      const step = totp.verify(admin.totp_pending_secret, code);
+      if (step === null) return res.status(400).json({ error: 'Código inválido' });
+
+      await run(
+        `UPDATE admins SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_enabled = 1,
+         totp_enabled_at = CURRENT_TIMESTAMP, totp_last_step = ? WHERE id = ?`,
+        [step, admin.id]
+      );
+      const recoveryCodes = await replaceRecoveryCodes(admin.id);
+      // Other sessions were opened with the password alone
+      await sessions.revokeActorSessions('admin', admin.id, req.auth.sessionId);
+
+      console.log(`🔐 2FA enabled for admin ${admin.id}`);
+      res.json({ success: true, recovery_codes: recoveryCodes });
+    } catch (error) {
+      console.error('Error enabling 2FA:', error);
+      res.status(500).json({ error: 'Erro ao ativar 2FA' });
+    }
+  });
+
+  // Turn 2FA off (password plus a current code or recovery code); not allowed while required
+  router.post('/api/admin/2fa/disable', async (req, res) => {
+    const { password } = req.body || {};
+    if (!password) return res.status(400).json({ error: 'Password é obrigatória' });
+
+    try {
+      const admin = await loadAdmin(req.auth.id);
+      if (!admin) return res.status(404).json({ error: 'Conta não encontrada' });
+      if (Number(admin.totp_enabled) !== 1) {
+        return res.status(400).json({ error: 'A autenticação de dois fatores não está ativa' });
+      }
+      if (Number(admin.totp_required) === 1) {
+        return res.status(403).json({ error: 'A autenticação de dois fatores é obrigatória para esta conta' });
+      }
+      if (!(await bcrypt.compare(String(password), admin.password))) {
+        return res.status(401).json({ error: 'Password incorreta' });
+      }
+      if (!(await verifySecondFactor(admin, req.body)).ok) {
+        return res.status(401).json({ error: 'Código inválido' });
+      }
+
+      await run(
+        `UPDATE admins SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled = 0,
+         totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?`,
+        [admin.id]
+      );
+      await run('DELETE FROM admin_recovery_codes WHERE admin_id = ?', [admin.id]);
+
+      console.log(`🔓 2FA disabled by admin ${admin.id}`);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Error disabling 2FA:', error);
+      res.status(500).json({ error: 'Erro ao desativar 2FA' });
+    }
+  });
+
+  // New set of recovery codes (the old ones stop working)
+  router.post('/api/admin/2fa/recovery-codes', async (req, res) => {
+    try {
+      const admin = await loadAdmin(req.auth.id);
+      if (!admin) return res.status(404).json({ error: 'Conta não encontrada' });
+      if (Number(admin.totp_enabled) !== 1) {
+        return res.status(400).json({ error: 'A autenticação de dois fatores não está ativa' });
+      }
+      if (!(await verifySecondFactor(admin, { code: req.body && req.body.code })).ok) {
+        return res.status(401).json({ error: 'Código inválido' });
+      }
+
+      const recoveryCodes = await replaceRecoveryCodes(admin.id);
+      res.json({ success: true, recovery_codes: recoveryCodes });
+    } catch (error) {
+      console.error('Error regenerating recovery codes:', error);
+      res.status(500).json({ error: 'Erro ao gerar códigos de recuperação' });
+    }
+  });
+
+  // ---- main admin ----
+
+  // Require (or stop requiring) 2FA for an admin
+  router.put('/api/admins/:id/2fa', async (req, res) => {
+    const { required } = req.body || {};
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({ error: 'required (true/false) é obrigatório' });
+    }
+
+    try {
+      const result = await run('UPDATE admins SET totp_required = ? WHERE id = ?', [required ? 1 : 0, req.params.id]);
+      if (!result.changes) return res.status(404).json({ error: 'Admin não encontrado' });
+      console.log(`🔐 2FA ${required ? 'required' : 'no longer required'} for admin ${req.params.id} (by admin ${req.auth.id})`);
+      res.json({ success: true, ...(await status(req.params.id)) });
+    } catch (error) {
+      console.error('Error updating 2FA requirement:', error);
+      res.status(500).json({ error: 'Erro ao atualizar requisito de 2FA' });
+    }
+  });
+
+  // Reset an admin's 2FA (lost device); they must enrol again on next login if it is required
+  router.delete('/api/admins/:id/2fa', async (req, res) => {
+    try {
+      const result = await run(
+        `UPDATE admins SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled = 0,
+         totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?`,
+        [req.params.id]
+      );
+      if (!result.changes) return res.status(404).json({ error: 'Admin não encontrado' });
+      await run('DELETE FROM admin_recovery_codes WHERE admin_id = ?', [req.params.id]);
+      await sessions.revokeActorSessions('admin', Number(req.params.id), req.auth.sessionId);
+
+      console.log(`🔓 2FA reset for admin ${req.params.id} by admin ${req.auth.id}`);
+      res.json({ success: true, ...(await status(req.params.id)) });
+    } catch (error) {
+      console.error('Error resetting 2FA:', error);
+      res.status(500).json({ error: 'Erro ao repor 2FA' });
+    }
+  });
+
+  return {
+    router,
+    verifySecondFactor,
+    createLoginChallenge,
+    findLoginChallenge,
+    recordChallengeFailure,
+    consumeLoginChallenge
+  };
+};
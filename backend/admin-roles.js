@@ -0,0 +1,415 @@
+const express = require('express');
+
+// Named admin roles with permission sets, assigned per admin either globally
+// (condominium_id NULL) or for one condominium. Policies name the permission a route needs
+// (see `permission` in authorization.js); an admin passes when one of their assignments grants
+// it for the resource's condominium. The built-in `main_admin` role replaces the old
+// "username is admin" check.
+// admins.scope / allowed_condominiums are kept as a summary of the assignments (any global
+// assignment = 'full', otherwise 'limited' to the assigned condominiums) for the code that
+// still reads them straight from the table.
+
+// Permission catalog (labels shown in the admin management UI)
+const PERMISSIONS = {
+  'users.read': 'Consultar condóminos',
+  'users.write': 'Gerir condóminos',
+  'condominiums.read': 'Consultar condomínios',
+  'condominiums.write': 'Gerir condomínios',
+  'assembleias.read': 'Consultar assembleias',
+  'assembleias.write': 'Gerir assembleias',
+  'ocorrencias.read': 'Consultar ocorrências',
+  'ocorrencias.write': 'Gerir ocorrências',
+  'messages.read': 'Consultar mensagens',
+  'messages.write': 'Enviar e gerir mensagens',
+  'finance.read': 'Consultar finanças',
+  'finance.write': 'Gerir finanças',
+  'data.import': 'Importar dados',
+  'audit.read': 'Consultar registo de auditoria'
+};
+
+const ALL = '*';
+const MAIN_ADMIN_ROLE = 'main_admin';
+
+const READ_ONLY = Object.keys(PERMISSIONS).filter(p => p.endsWith('.read'));
+
+const BUILTIN_ROLES = [
+  { name: MAIN_ADMIN_ROLE, label: 'Administrador principal', description: 'Acesso total, incluindo a gestão de administradores', permissions: [ALL] },
+  {
+    name: 'administrator',
+    label: 'Administrador',
+    description: 'Gestão corrente dos condomínios atribuídos',
+    permissions: Object.keys(PERMISSIONS).filter(p => p !== 'audit.read')
+  },
+  { name: 'accountant', label: 'Contabilista', description: 'Apenas finanças', permissions: ['finance.read', 'finance.write'] },
+  {
+    name: 'secretary',
+    label: 'Secretariado',
+    description: 'Mensagens e assembleias',
+    permissions: ['messages.read', 'messages.write', 'assembleias.read', 'assembleias.write']
+  },
+  { name: 'auditor', label: 'Auditor', description: 'Consulta de todos os dados, sem alterações', permissions: READ_ONLY }
+];
+
+function parsePermissions(raw) {
+  try {
+    const list = JSON.parse(raw || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function validPermissions(list) {
+  return Array.isArray(list) && list.every(p => p === ALL || Object.prototype.hasOwnProperty.call(PERMISSIONS, p));
+}
+
+/** Normalises [{ role, condominium_id }] input; returns null when malformed. */
+function normalizeAssignments(input) {
+  if (!Array.isArray(input)) return null;
+  const seen = new Set();
+  const out = [];
+  for (const item of input) {
+    if (!item || typeof item.role !== 'string' || !item.role) return null;
+    const raw = item.condominium_id;
+    const condominiumId = raw === null || raw === undefined || raw === '' ? null : Number(raw);
+    if (condominiumId !== null && !Number.isInteger(condominiumId)) return null;
+    const key = `${item.role}:${condominiumId}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({ role: item.role, condominium_id: condominiumId });
+  }
+  return out;
+}
+
+/** Legacy scope / allowed_condominiums translated into `administrator` assignments. */
+function assignmentsFromScope(scope, allowed) {
+  if (scope !== 'limited') return [{ role: 'administrator', condominium_id: null }];
+  let ids = allowed;
+  if (typeof ids === 'string') {
+    try { ids = JSON.parse(ids); } catch (e) { ids = ids.split(','); }
+  }
+  return (Array.isArray(ids) ? ids : [])
+    .map(Number)
+    .filter(Number.isInteger)
+    .map(id => ({ role: 'administrator', condominium_id: id }));
+}
+
+/**
+ * @param {import('sqlite3').Database} db - shared connection
+ * @param {object} options
+ * @param {function} options.transaction - runs work in a write transaction (transactions.js)
+ */
+module.exports = function(db, { transaction }) {
+  function get(sql, params) {
+    return new Promise((resolve, reject) => db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row))));
+  }
+
+  function all(sql, params) {
+    return new Promise((resolve, reject) => db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || []))));
+  }
+
+  function run(sql, params) {
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) { if (err) reject(err); else resolve(this); });
+    });
+  }
+
+  // The helpers below take an optional query object so they can run inside a transaction
+  const shared = { get, all, run };
+
+  /** Inserts the built-in roles and refreshes their permission sets. */
+  async function seedBuiltinRoles() {
+    for (const role of BUILTIN_ROLES) {
+      await run(
+        `INSERT INTO admin_roles (name, label, description, permissions, builtin) VALUES (?, ?, ?, ?, 1)
+         ON CONFLICT(name) DO UPDATE SET label = excluded.label, description = excluded.description,
+           permissions = excluded.permissions, builtin = 1`,
+        [role.name, role.label, role.description, JSON.stringify(role.permissions)]
+      );
+    }
+  }
+
+  /**
+   * Assignments of one admin with their permission sets, as carried in `req.auth.grants`.
+   * @returns {Promise<Array<{role: string, condominiumId: number|null, permissions: string[]}>>}
+   */
+  async function grantsOf(adminId, q = shared) {
+    const rows = await q.all(
+      `SELECT r.name, r.permissions, a.condominium_id
+       FROM admin_role_assignments a JOIN admin_roles r ON r.id = a.role_id
+       WHERE a.admin_id = ?`,
+      [adminId]
+    );
+    return rows.map(r => ({
+      role: r.name,
+      condominiumId: r.condominium_id === null ? null : Number(r.condominium_id),
+      permissions: parsePermissions(r.permissions)
+    }));
+  }
+
+  function assignmentsOf(adminId) {
+    return all(
+      `SELECT r.name AS role, r.label, a.condominium_id
+       FROM admin_role_assignments a JOIN admin_roles r ON r.id = a.role_id
+       WHERE a.admin_id = ? ORDER BY r.name, a.condominium_id`,
+      [adminId]
+    );
+  }
+
+  async function mainAdminIds(q = shared) {
+    const rows = await q.all(
+      `SELECT DISTINCT a.admin_id FROM admin_role_assignments a JOIN admin_roles r ON r.id = a.role_id
+       WHERE r.name = ? AND a.condominium_id IS NULL`,
+      [MAIN_ADMIN_ROLE]
+    );
+    return rows.map(r => Number(r.admin_id));
+  }
+
+  async function isMainAdmin(adminId) {
+    return (await mainAdminIds()).includes(Number(adminId));
+  }
+
+  /** Rewrites admins.scope / allowed_condominiums from the admin's assignments. */
+  async function syncScope(adminId, q = shared) {
+    const grants = await grantsOf(adminId, q);
+    const full = grants.some(g => g.condominiumId === null);
+    const condos = [...new Set(grants.map(g => g.condominiumId).filter(id => id !== null))];
+    await q.run('UPDATE admins SET scope = ?, allowed_condominiums = ? WHERE id = ?', [
+      full ? 'full' : 'limited',
+      full ? null : JSON.stringify(condos),
+      adminId
+    ]);
+  }
+
+  /**
+   * Replaces every assignment of an admin. Rejects unknown roles and refuses to leave the
+   * installation without a main admin.
+   * @returns {Promise<{error?: string, status?: number}>}
+   */
+  async function setAssignments(adminId, assignments) {
+    const roles = await all('SELECT id, name FROM admin_roles', []);
+    const roleIds = Object.fromEntries(roles.map(r => [r.name, r.id]));
+    const unknown = assignments.find(a => !roleIds[a.role]);
+    if (unknown) return { status: 400, error: `Função desconhecida: ${unknown.role}` };
+    if (assignments.some(a => a.role === MAIN_ADMIN_ROLE && a.condominium_id !== null)) {
+      return { status: 400, error: 'A função de administrador principal não pode ser limitada a um condomínio' };
+    }
+
+    const keepsMain = assignments.some(a => a.role === MAIN_ADMIN_ROLE);
+    return transaction(async (t) => {
+      const mains = await mainAdminIds(t);
+      if (!keepsMain && mains.length === 1 && mains[0] === Number(adminId)) {
+        return { status: 400, error: 'Tem de existir pelo menos um administrador principal' };
+      }
+
+      await t.run('DELETE FROM admin_role_assignments WHERE admin_id = ?', [adminId]);
+      for (const a of assignments) {
+        await t.run('INSERT INTO admin_role_assignments (admin_id, role_id, condominium_id) VALUES (?, ?, ?)', [
+          adminId, roleIds[a.role], a.condominium_id
+        ]);
+      }
+      await syncScope(adminId, t);
+      return {};
+    });
+  }
+
+  /**
+   * Admins holding `permission` everywhere or for one of the condominiums (notification recipients).
+   * @param {string} permission
+   * @param {number[]} condominiumIds
+   * @returns {Promise<number[]>}
+   */
+  async function adminsWith(permission, condominiumIds) {
+    const wanted = condominiumIds.map(Number);
+    const rows = await all(
+      `SELECT a.admin_id, a.condominium_id, r.permissions
+       FROM admin_role_assignments a JOIN admin_roles r ON r.id = a.role_id`,
+      []
+    );
+    const ids = rows
+      .filter(r => {
+        const permissions = parsePermissions(r.permissions);
+        return (permissions.includes(ALL) || permissions.includes(permission)) &&
+          (r.condominium_id === null || wanted.includes(Number(r.condominium_id)));
+      })
+      .map(r => Number(r.admin_id));
+    return [...new Set(ids)].sort((a, b) => a - b);
+  }
+
+  function removeAdmin(adminId) {
+    return run('DELETE FROM admin_role_assignments WHERE admin_id = ?', [adminId]);
+  }
+
+  /**
+   * Boot-time migration: gives the main_admin role to the legacy `admin` account (or the oldest
+   * admin) when nobody holds it, provided it had full scope; a limited admin is never promoted.
+   * Then turns the scope of admins without any assignment into `administrator` assignments.
+   */
+  async function migrateLegacyAdmins() {
+    await seedBuiltinRoles();
+    const mainRole = await get('SELECT id FROM admin_roles WHERE name = ?', [MAIN_ADMIN_ROLE]);
+
+    if ((await mainAdminIds()).length === 0) {
+      const legacy = await get(
+        "SELECT id FROM admins WHERE COALESCE(scope, 'full') != 'limited' ORDER BY username = 'admin' DESC, id LIMIT 1",
+        []
+      );
+      if (legacy) {
+        await run('INSERT INTO admin_role_assignments (admin_id, role_id, condominium_id) VALUES (?, ?, NULL)', [legacy.id, mainRole.id]);
+        console.log(`✅ Admin ${legacy.id} is now the main admin (role ${MAIN_ADMIN_ROLE})`);
+      } else if (await get('SELECT id FROM admins LIMIT 1', [])) {
+        console.warn(`⚠️ No full-scope admin to make main admin; assign the ${MAIN_ADMIN_ROLE} role by hand`);
+      }
+    }
+
+    const unassigned = await all(
+      'SELECT id, scope, allowed_condominiums FROM admins WHERE id NOT IN (SELECT admin_id FROM admin_role_assignments)',
+      []
+    );
+    for (const admin of unassigned) {
+      await setAssignments(admin.id, assignmentsFromScope(admin.scope, admin.allowed_condominiums));
+    }
+    if (unassigned.length) console.log(`✅ Migrated ${unassigned.length} admin(s) from scope to roles`);
+  }
+
+  // ---- role management (main admin) ----
+
+  const router = express.Router();
+
+  function toRole(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      label: row.label,
+      description: row.description,
+      permissions: parsePermissions(row.permissions),
+      builtin: Number(row.builtin) === 1,
+      admin_count: Number(row.admin_count || 0)
+    };
+  }
+
+  // Permission catalog and every role (built-in ones cannot be changed)
+  router.get('/api/admin/roles', async (req, res) => {
+    try {
+      const rows = await all(
+        `SELECT r.*, (SELECT COUNT(DISTINCT admin_id) FROM admin_role_assignments a WHERE a.role_id = r.id) AS admin_count
+         FROM admin_roles r ORDER BY r.builtin DESC, r.label`,
+        []
+      );
+      res.json({ permissions: PERMISSIONS, roles: rows.map(toRole) });
+    } catch (error) {
+      console.error('Error fetching admin roles:', error);
+      res.status(500).json({ error: 'Erro ao buscar funções' });
+    }
+  });
+
+  // Create a custom role: { name, label, description, permissions }
+  router.post('/api/admin/roles', async (req, res) => {
+    const { name, label, description = null, permissions } = req.body;
+    if (!name || !/^[a-z][a-z0-9_]*$/.test(String(name)) || !label) {
+      return res.status(400).json({ error: 'name (minúsculas, números e _) e label são obrigatórios' });
+    }
+    if (!validPermissions(permissions)) return res.status(400).json({ error: 'Lista de permissões inválida' });
+
+    try {
+      const exists = await get('SELECT id FROM admin_roles WHERE name = ?', [name]);
+      if (exists) return res.status(400).json({ error: 'Já existe uma função com esse nome' });
+
+      const result = await run('INSERT INTO admin_roles (name, label, description, permissions, builtin) VALUES (?, ?, ?, ?, 0)', [
+        name, label, description, JSON.stringify([...new Set(permissions)])
+      ]);
+      res.status(201).json(toRole(await get('SELECT * FROM admin_roles WHERE id = ?', [result.lastID])));
+    } catch (error) {
+      console.error('Error creating admin role:', error);
+      res.status(500).json({ error: 'Erro ao criar função' });
+    }
+  });
+
+  // Edit a custom role (label, description, permissions)
+  router.put('/api/admin/roles/:id', async (req, res) => {
+    const { label, description, permissions } = req.body;
+    if (typeof permissions !== 'undefined' && !validPermissions(permissions)) {
+      return res.status(400).json({ error: 'Lista de permissões inválida' });
+    }
+
+    try {
+      const role = await get('SELECT * FROM admin_roles WHERE id = ?', [req.params.id]);
+      if (!role) return res.status(404).json({ error: 'Função não encontrada' });
+      if (Number(role.builtin) === 1) return res.status(400).json({ error: 'As funções predefinidas não podem ser alteradas' });
+
+      await run('UPDATE admin_roles SET label = ?, description = ?, permissions = ? WHERE id = ?', [
+        label || role.label,
+        typeof description !== 'undefined' ? description : role.description,
+        typeof permissions !== 'undefined' ? JSON.stringify([...new Set(permissions)]) : role.permissions,
+        role.id
+      ]);
+      res.json(toRole(await get('SELECT * FROM admin_roles WHERE id = ?', [role.id])));
+    } catch (error) {
+      console.error('Error updating admin role:', error);
+      res.status(500).json({ error: 'Erro ao atualizar função' });
+    }
+  });
+
+  // Delete a custom role that is no longer assigned
+  router.delete('/api/admin/roles/:id', async (req, res) => {
+    try {
+      const role = await get('SELECT * FROM admin_roles WHERE id = ?', [req.params.id]);
+      if (!role) return res.status(404).json({ error: 'Função não encontrada' });
+      if (Number(role.builtin) === 1) return res.status(400).json({ error: 'As funções predefinidas não podem ser apagadas' });
+
+      const used = await get('SELECT COUNT(*) AS n FROM admin_role_assignments WHERE role_id = ?', [role.id]);
+      if (used.n > 0) return res.status(409).json({ error: 'A função ainda está atribuída a administradores' });
+
+      await run('DELETE FROM admin_roles WHERE id = ?', [role.id]);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Error deleting admin role:', error);
+      res.status(500).json({ error: 'Erro ao apagar função' });
+    }
+  });
+
+  // Role assignments of one admin
+  router.get('/api/admins/:id/roles', async (req, res) => {
+    try {
+      const admin = await get('SELECT id FROM admins WHERE id = ?', [req.params.id]);
+      if (!admin) return res.status(404).json({ error: 'Admin não encontrado' });
+      res.json(await assignmentsOf(admin.id));
+    } catch (error) {
+      console.error('Error fetching admin role assignments:', error);
+      res.status(500).json({ error: 'Erro ao buscar funções do admin' });
+    }
+  });
+
+  // Replace the assignments of one admin: { assignments: [{ role, condominium_id|null }] }
+  router.put('/api/admins/:id/roles', async (req, res) => {
+    const assignments = normalizeAssignments(req.body.assignments);
+    if (!assignments) return res.status(400).json({ error: 'assignments deve ser uma lista de { role, condominium_id }' });
+
+    try {
+      const admin = await get('SELECT id FROM admins WHERE id = ?', [req.params.id]);
+      if (!admin) return res.status(404).json({ error: 'Admin não encontrado' });
+
+      const result = await setAssignments(admin.id, assignments);
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      res.json(await assignmentsOf(admin.id));
+    } catch (error) {
+      console.error('Error updating admin role assignments:', error);
+      res.status(500).json({ error: 'Erro ao atualizar funções do admin' });
+    }
+  });
+
+  return {
+    MAIN_ADMIN_ROLE,
+    normalizeAssignments,
+    assignmentsFromScope,
+    grantsOf,
+    assignmentsOf,
+    isMainAdmin,
+    mainAdminIds,
+    adminsWith,
+    setAssignments,
+    removeAdmin,
+    migrateLegacyAdmins,
+    router
+  };
+};
@@ -0,0 +1,648 @@
+const express = require('express');
+const { toEuros, formatEuros } = require('./money');
+const pdf = require('./pdf');
+const mailer = require('./mailer');
+
+// Arrears (dívidas de condóminos). A unit is in arrears when charges past their due date are not
+// settled by its payments (quotas.js settles charges oldest first). Each overdue charge bears
+// late interest at the condominium's rate (by default the legal civil rate, 4% a year), simple
+// and daily, from the day after it fell due on what was left unpaid each day.
+// Follow-up has three stages, due when the oldest overdue charge reaches the number of days set
+// per condominium: a friendly reminder, a second notice and a formal demand letter (carta de
+// interpelação). Reminders go to whoever the unit is billed to, as portal notifications and by
+// e-mail when the user allows it (users.permite_email); letters are PDFs for registered mail,
+// also notified and e-mailed. Reminders are sent when an admin runs them, or daily for the
+// condominiums that turn on automatic reminders; letters are always issued by an admin.
+// Phone calls, notes and payment promises are logged next to them.
+
+const STAGES = [
+  { type: 'reminder', setting: 'arrears_reminder_days', label: 'Lembrete de pagamento' },
+  { type: 'second_notice', setting: 'arrears_second_notice_days', label: 'Segundo aviso de pagamento' },
+  { type: 'formal_letter', setting: 'arrears_letter_days', label: 'Carta de interpelação' }
+];
+const ACTION_TYPES = {
+  reminder: 'Lembrete',
+  second_notice: 'Segundo aviso',
+  formal_letter: 'Carta de interpelação',
+  phone_call: 'Contacto telefónico',
+  note: 'Nota',
+  payment_promise: 'Promessa de pagamento'
+};
+const MANUAL_TYPES = ['phone_call', 'note', 'payment_promise'];
+const AGING_BUCKETS = [
+  { key: 'days_0_30', label: 'Até 30 dias', max: 30 },
+  { key: 'days_31_60', label: '31 a 60 dias', max: 60 },
+  { key: 'days_61_90', label: '61 a 90 dias', max: 90 },
+  { key: 'days_over_90', label: 'Mais de 90 dias', max: Infinity }
+];
+// Days a formal letter gives to pay
+const LETTER_DEADLINE_DAYS = 10;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const validDate = (v) => typeof v === 'string' && DATE_PATTERN.test(v) && !isNaN(new Date(`${v}T00:00:00Z`).getTime());
+const today = () => new Date().toISOString().slice(0, 10);
+const formatDate = (value) => (value ? String(value).slice(0, 10).split('-').reverse().join('/') : '');
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+
+/**
+ * The overdue charges of a unit at `asOf`, with their late interest. Payments settle charges
+ * oldest due first, as in quotas.settle; interest runs on each charge's unpaid amount from its
+ * due date until it is paid or until `asOf`.
+ * @param {object[]} charges - the unit's charges (amount_cents, due_date)
+ * @param {object[]} payments - the unit's payments (amount_cents, paid_at)
+ * @param {number} rate - percent a year
+ * @returns {object[]} overdue charges with outstanding_cents, days_overdue and interest_cents
+ */
+function lateInterest(charges, payments, asOf, rate) {
+  const open = [...charges]
+    .sort((a, b) => (a.due_date < b.due_date ? -1 : a.due_date > b.due_date ? 1 : a.id - b.id))
+    .map(c => ({ charge: c, outstanding: c.amount_cents, interest: 0, since: c.due_date }));
+  const accrue = (entry, date) => {
+    if (date <= entry.since) return;
+    entry.interest += (entry.outstanding * rate * daysBetween(entry.since, date)) / 36500;
+    entry.since = date;
+  };
+  const paid = payments.filter(p => p.paid_at <= asOf)
+    .sort((a, b) => (a.paid_at < b.paid_at ? -1 : a.paid_at > b.paid_at ? 1 : a.id - b.id));
+  for (const payment of paid) {
+    let left = payment.amount_cents;
+    for (const entry of open) {
+      if (left <= 0) break;
+      if (!entry.outstanding) continue;
+      accrue(entry, payment.paid_at);
+      const amount = Math.min(left, entry.outstanding);
+      entry.outstanding -= amount;
+      left -= amount;
+    }
+  }
+  return open
+    .filter(e => e.outstanding > 0 && e.charge.due_date < asOf)
+    .map(e => {
+      accrue(e, asOf);
+      return {
+        id: e.charge.id,
+        description: e.charge.description,
+        issue_date: e.charge.issue_date,
+        due_date: e.charge.due_date,
+        amount_cents: e.charge.amount_cents,
+        outstanding_cents: e.outstanding,
+        days_overdue: daysBetween(e.charge.due_date, asOf),
+        interest_cents: Math.round(e.interest)
+      };
+    });
+}
+
+/** Overdue amounts by age (days past the due date). */
+function aging(charges) {
+  const buckets = Object.fromEntries(AGING_BUCKETS.map(b => [b.key, 0]));
+  for (const c of charges) buckets[AGING_BUCKETS.find(b => c.days_overdue <= b.max).key] += c.outstanding_cents;
+  return buckets;
+}
+
+const toOverdueCharge = (c) => ({
+  id: c.id,
+  description: c.description,
+  due_date: c.due_date,
+  amount: toEuros(c.amount_cents),
+  outstanding: toEuros(c.outstanding_cents),
+  days_overdue: c.days_overdue,
+  interest: toEuros(c.interest_cents)
+});
+
+function toAction(a) {
+  return {
+    id: a.id,
+    fracao_id: a.fracao_id,
+    identifier: a.identifier || null,
+    type: a.type,
+    label: ACTION_TYPES[a.type],
+    owed: toEuros(a.owed_cents),
+    interest: toEuros(a.interest_cents),
+    oldest_due_date: a.oldest_due_date,
+    notes: a.notes,
+    promised_date: a.promised_date,
+    notified_count: a.notified_count,
+    emailed_count: a.emailed_count,
+    created_by_username: a.created_by_username || null,
+    created_at: a.created_at
+  };
+}
+
+function toSettings(condo) {
+  return {
+    interest_rate: condo.arrears_interest_rate,
+    reminder_days: condo.arrears_reminder_days,
+    second_notice_days: condo.arrears_second_notice_days,
+    letter_days: condo.arrears_letter_days,
+    auto_reminders: !!condo.arrears_auto_reminders
+  };
+}
+
+/** Validates schedule settings; a stage without days is skipped. */
+function readSettings(body) {
+  const settings = {};
+  if (body.interest_rate !== undefined) {
+    const rate = Number(String(body.interest_rate).replace(',', '.'));
+    if (!Number.isFinite(rate) || rate < 0 || rate > 20) return { error: 'Taxa de juro inválida (0 a 20% ao ano)' };
+    settings.arrears_interest_rate = rate;
+  }
+  for (const [field, column] of [['reminder_days', 'arrears_reminder_days'], ['second_notice_days', 'arrears_second_notice_days'], ['letter_days', 'arrears_letter_days']]) {
+    if (body[field] === undefined) continue;
+    const days = body[field] === null || body[field] === '' ? null : Number(body[field]);
+    if (days !== null && (!Number.isInteger(days) || days < 1 || days > 730)) return { error: 'Os prazos são números de dias (1 a 730)' };
+    settings[column] = days;
+  }
+  if (body.auto_reminders !== undefined) settings.arrears_auto_reminders = body.auto_reminders ? 1 : 0;
+  return { settings };
+}
+
+function arrearsError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * @param {import('sqlite3').Database} db - shared connection
+ * @param {object} options
+ * @param {object} options.quotas - quota billing module (quotas.js), for the units' accounts
+ * @param {object} options.fracoes - units module (fracoes.js)
+ * @param {function} options.linkNotificationToUsers - server.js helper linking a notification to the people of some units
+ */
+module.exports = function(db, { quotas, fracoes, linkNotificationToUsers }) {
+  const q = require('./transactions').queries(db);
+
+  /** Answers an arrearsError with its status, anything else with a 500 and `message`. */
+  function fail(res, error, what, message) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error(`Error ${what}:`, error);
+    res.status(500).json({ error: message });
+  }
+
+  const condominium = (id) => q.get('SELECT * FROM condominiums WHERE id = ?', [id]);
+
+  /**
+   * A unit's arrears at `asOf`: overdue charges with interest, totals, aging and follow-up
+   * stage. `stage` is the last stage the debt has reached, `pending` the one to send (none when
+   * that stage or a later one was already sent since the oldest charge fell due).
+   */
+  async function arrearsOf(unit, condo, asOf = today()) {
+    const acc = await quotas.account(unit.id);
+    const charges = lateInterest(acc.charges, acc.payments, asOf, condo.arrears_interest_rate);
+    const owed = charges.reduce((sum, c) => sum + c.outstanding_cents, 0);
+    const result = {
+      owed_cents: owed,
+      interest_cents: charges.reduce((sum, c) => sum + c.interest_cents, 0),
+      charges,
+      oldest_due_date: charges.length ? charges[0].due_date : null,
+      days_overdue: charges.length ? Math.max(...charges.map(c => c.days_overdue)) : 0,
+      aging: aging(charges),
+      stage: null,
+      last_sent: null,
+      pending: null
+    };
+    if (!owed) return result;
+    const reached = STAGES.filter(s => condo[s.setting] !== null && result.days_overdue >= condo[s.setting]);
+    const sent = await q.all(
+      `SELECT type FROM arrears_actions WHERE fracao_id = ? AND type IN (${STAGES.map(() => '?').join(',')}) AND date(created_at) > ?`,
+      [unit.id, ...STAGES.map(s => s.type), result.oldest_due_date]
+    );
+    const sentIndex = Math.max(-1, ...sent.map(a => STAGES.findIndex(s => s.type === a.type)));
+    const stage = reached[reached.length - 1] || null;
+    result.stage = stage ? stage.type : null;
+    result.last_sent = sentIndex >= 0 ? STAGES[sentIndex].type : null;
+    result.pending = stage && STAGES.indexOf(stage) > sentIndex ? stage.type : null;
+    return result;
+  }
+
+  function toArrears(a) {
+    return {
+      owed: toEuros(a.owed_cents),
+      interest: toEuros(a.interest_cents),
+      total: toEuros(a.owed_cents + a.interest_cents),
+      oldest_due_date: a.oldest_due_date,
+      days_overdue: a.days_overdue,
+      aging: Object.fromEntries(Object.entries(a.aging).map(([k, v]) => [k, toEuros(v)])),
+      stage: a.stage,
+      last_sent: a.last_sent,
+      pending: a.pending,
+      charges: a.charges.map(toOverdueCharge)
+    };
+  }
+
+  /** Units of a condominium with overdue debt, most overdue first. */
+  async function debtorsOf(condo, asOf, fracaoIds) {
+    const units = await q.all('SELECT id, identifier, condominium_id FROM fracoes WHERE condominium_id = ? ORDER BY identifier', [condo.id]);
+    const debtors = [];
+    for (const unit of units.filter(u => !fracaoIds || fracaoIds.includes(u.id))) {
+      const arrears = await arrearsOf(unit, condo, asOf);
+      if (arrears.owed_cents) debtors.push({ unit, arrears });
+    }
+    const parties = await fracoes.partiesOf('billing', debtors.map(d => d.unit.id));
+    debtors.forEach(d => { d.parties = parties.filter(p => p.fracao_id === d.unit.id); });
+    return debtors.sort((a, b) => b.arrears.days_overdue - a.arrears.days_overdue || b.arrears.owed_cents - a.arrears.owed_cents);
+  }
+
+  /** The texts of a reminder or letter notice (portal notification and e-mail). */
+  function noticeOf(type, condo, unit, arrears) {
+    const owed = formatEuros(arrears.owed_cents);
+    const since = formatDate(arrears.oldest_due_date);
+    const payment = ` Pode pagar por transferência${condo.sepa_iban ? ` para o IBAN ${condo.sepa_iban}` : ''}, indicando a referência ${quotas.referenceOf(unit)}.`;
+    const interest = `Sobre os valores em atraso são devidos juros de mora à taxa de ${String(condo.arrears_interest_rate).replace('.', ',')}% ao ano ` +
+      `(${formatEuros(arrears.interest_cents)} até hoje).`;
+    if (type === 'reminder') {
+      return {
+        title: `Lembrete de pagamento — fração ${unit.identifier}`,
+        message: `A fração ${unit.identifier} do condomínio ${condo.name} tem ${owed} de encargos por pagar, vencidos desde ${since}.` +
+          `${payment} Se já efetuou o pagamento, ignore este aviso.`
+      };
+    }
+    if (type === 'second_notice') {
+      return {
+        title: `Segundo aviso de pagamento — fração ${unit.identifier}`,
+        message: `A fração ${unit.identifier} do condomínio ${condo.name} continua com ${owed} de encargos em atraso, vencidos desde ${since}. ` +
+          `${interest}${payment} Regularize a situação para evitar a interpelação formal.`
+      };
+    }
+    return {
+      title: `Carta de interpelação — fração ${unit.identifier}`,
+      message: `A administração do condomínio ${condo.name} emitiu uma carta de interpelação para pagamento de ${owed} em atraso na fração ` +
+        `${unit.identifier}, acrescidos de juros de mora, no prazo de ${LETTER_DEADLINE_DAYS} dias.${payment}`
+    };
+  }
+
+  /**
+   * Records a reminder or letter and sends it: a notification to whoever the unit is billed to,
+   * and an e-mail to those of them who allow it (with the letter attached).
+   * @returns {Promise<object>} the action row
+   */
+  async function send(type, condo, unit, arrears, { createdBy, details, attachment } = {}) {
+    const created = await q.run(
+      `INSERT INTO arrears_actions (condominium_id, fracao_id, type, owed_cents, interest_cents, oldest_due_date, details, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [condo.id, unit.id, type, arrears.owed_cents, arrears.interest_cents, arrears.oldest_due_date,
+        JSON.stringify(details || { as_of: today(), charges: arrears.charges }), createdBy || null]
+    );
+    const actionId = created.lastID;
+
+    const notice = noticeOf(type, condo, unit, arrears);
+    const notification = await q.run(
+      'INSERT INTO notifications (type, title, message, related_id, condominium_id, created_at) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
+      ['arrears', notice.title, notice.message, actionId, condo.id]
+    );
+    const notified = await new Promise((resolve, reject) => {
+      linkNotificationToUsers(notification.lastID, [condo.id], 'billing', (err, count) => (err ? reject(err) : resolve(count || 0)), [unit.id]);
+    });
+
+    let emailed = 0;
+    const parties = await q.all(
+      `SELECT DISTINCT u.id, u.nome, u.email1, u.permite_email FROM fracao_residents fr JOIN users u ON u.id = fr.user_id
+       WHERE fr.fracao_id = ? AND fr.user_id IN (SELECT user_id FROM user_notifications WHERE notification_id = ?)`,
+      [unit.id, notification.lastID]
+    );
+    for (const user of parties.filter(p => p.email1 && String(p.email1).trim() && mailer.allowsEmail(p.permite_email))) {
+      try {
+        await mailer.sendMail({
+          to: String(user.email1).trim(),
+          subject: `${condo.name} - ${notice.title}`,
+          text: `Exmo(a). Sr(a). ${user.nome || ''},\n\n${notice.message}\n\nCom os melhores cumprimentos,\nA administração do condomínio ${condo.name}`,
+          attachments: attachment ? [attachment] : undefined
+        });
+        emailed += 1;
+      } catch (error) {
+        console.error(`Error e-mailing arrears notice to user ${user.id}:`, error.message);
+      }
+    }
+    await q.run('UPDATE arrears_actions SET notified_count = ?, emailed_count = ? WHERE id = ?', [notified, emailed, actionId]);
+    return q.get('SELECT * FROM arrears_actions WHERE id = ?', [actionId]);
+  }
+
+  /**
+   * Sends the reminders and second notices due in a condominium. Units due a formal letter are
+   * only listed: letters are issued by an admin.
+   */
+  async function runReminders(condo, { dryRun, fracaoIds, createdBy } = {}) {
+    const debtors = await debtorsOf(condo, today(), fracaoIds);
+    const sent = [];
+    const lettersDue = [];
+    for (const d of debtors) {
+      if (d.arrears.pending === 'formal_letter') lettersDue.push(d);
+      else if (d.arrears.pending) {
+        const action = dryRun ? null : await send(d.arrears.pending, condo, d.unit, d.arrears, { createdBy });
+        sent.push({ ...d, action });
+      }
+    }
+    const summary = (d) => ({
+      fracao_id: d.unit.id,
+      identifier: d.unit.identifier,
+      type: d.arrears.pending,
+      owed: toEuros(d.arrears.owed_cents),
+      days_overdue: d.arrears.days_overdue,
+      recipients: d.parties.map(p => p.nome),
+      notified_count: d.action ? d.action.notified_count : undefined,
+      emailed_count: d.action ? d.action.emailed_count : undefined
+    });
+    return { dry_run: !!dryRun, sent: sent.map(summary), letters_due: lettersDue.map(summary) };
+  }
+
+  /** Sends due reminders every day in the condominiums with automatic reminders on. */
+  function schedule() {
+    const run = async () => {
+      try {
+        const condos = await q.all('SELECT * FROM condominiums WHERE arrears_auto_reminders = 1');
+        for (const condo of condos) {
+          const result = await runReminders(condo);
+          if (result.sent.length) console.log(`📨 ${result.sent.length} arrears reminder(s) sent for condominium ${condo.id}`);
+        }
+      } catch (error) {
+        console.error('Error sending scheduled arrears reminders:', error);
+      }
+    };
+    setTimeout(run, 60 * 1000).unref();
+    setInterval(run, 24 * 60 * 60 * 1000).unref();
+  }
+
+  /** Writes a demand letter from what was recorded when it was issued. */
+  function writeLetter(doc, condo, action) {
+    const details = JSON.parse(action.details || '{}');
+    const charges = details.charges || [];
+    const rate = String(details.interest_rate).replace('.', ',');
+    doc.text(`Condomínio ${condo.name}`, { size: 11, bold: true });
+    doc.text(condo.nipc ? `NIPC ${condo.nipc}` : 'NIPC não registado');
+    doc.space();
+    (details.recipients || []).forEach(r => doc.text(`${r.nome}${r.nif ? ` (NIF ${r.nif})` : ''}`, { gap: 0 }));
+    doc.text(`Fração ${action.identifier}`);
+    doc.space();
+    doc.text(`${formatDate(details.as_of)}`, { align: 'right' });
+    doc.heading(`Assunto: interpelação para pagamento de encargos de condomínio — fração ${action.identifier}`, { size: 11 });
+    doc.text('Exmo(a). Senhor(a),', { gap: 8 });
+    doc.text(
+      `Não obstante os avisos anteriores, verificamos que se encontram por pagar os encargos de condomínio da fração ${action.identifier} ` +
+      `discriminados abaixo, no montante de ${formatEuros(action.owed_cents)}, a que acrescem juros de mora à taxa de ${rate}% ao ano, ` +
+      `que em ${formatDate(details.as_of)} ascendem a ${formatEuros(action.interest_cents)}.`,
+      { gap: 8 }
+    );
+    doc.table(
+      [
+        { label: 'Descrição', width: 0.37 },
+        { label: 'Vencimento', width: 0.15 },
+        { label: 'Dias', width: 0.1, align: 'right' },
+        { label: 'Em dívida', width: 0.19, align: 'right' },
+        { label: 'Juros', width: 0.19, align: 'right' }
+      ],
+      charges.map(c => [c.description, formatDate(c.due_date), String(c.days_overdue), formatEuros(c.outstanding_cents), formatEuros(c.interest_cents)]),
+      { footer: ['Total', '', '', formatEuros(action.owed_cents), formatEuros(action.interest_cents)] }
+    );
+    doc.text(
+      `Fica V. Ex.ª interpelado(a) para, no prazo de ${LETTER_DEADLINE_DAYS} dias a contar da receção desta carta, pagar o total de ` +
+      `${formatEuros(action.owed_cents + action.interest_cents)}` +
+      `${details.iban ? ` por transferência para o IBAN ${details.iban}` : ''}, indicando a referência ${details.reference}. ` +
+      'Os juros continuam a vencer-se até ao pagamento integral.',
+      { gap: 8 }
+    );
+    doc.text(
+      'Findo esse prazo sem que a dívida se mostre paga, a administração poderá recorrer à via judicial, servindo de título executivo ' +
+      'a ata da assembleia que deliberou o montante das contribuições (Decreto-Lei n.º 268/94, art. 6.º), com os custos daí decorrentes.',
+      { gap: 8 }
+    );
+    doc.text('Caso o pagamento já tenha sido efetuado, queira considerar esta carta sem efeito.', { gap: 14 });
+    doc.text('Com os melhores cumprimentos,');
+    doc.text(`A administração do condomínio ${condo.name}`);
+  }
+
+  function renderLetters(condo, actions) {
+    const doc = pdf.document({ title: `Cartas de interpelação — ${condo.name}`, footer: `${condo.name} — Carta de interpelação` });
+    actions.forEach((action, i) => {
+      if (i) doc.page();
+      writeLetter(doc, condo, action);
+    });
+    return doc.toBuffer();
+  }
+
+  const loadAction = (id) => q.get(
+    `SELECT a.*, f.identifier, ad.username AS created_by_username
+     FROM arrears_actions a JOIN fracoes f ON f.id = a.fracao_id LEFT JOIN admins ad ON ad.id = a.created_by WHERE a.id = ?`,
+    [id]
+  );
+
+  const router = express.Router();
+
+  // Debtor list with aging: ?as_of=AAAA-MM-DD (default today)
+  router.get('/api/condominiums/:id/debtors', async (req, res) => {
+    const asOf = req.query.as_of || today();
+    if (!validDate(asOf)) return res.status(400).json({ error: 'Data inválida (AAAA-MM-DD)' });
+    try {
+      const condo = await condominium(req.params.id);
+      if (!condo) return res.status(404).json({ error: 'Condomínio não encontrado' });
+      const debtors = await debtorsOf(condo, asOf);
+      const lastActions = await q.all(
+        `SELECT a.* FROM arrears_actions a
+         WHERE a.condominium_id = ? AND a.id = (SELECT MAX(id) FROM arrears_actions WHERE fracao_id = a.fracao_id)`,
+        [condo.id]
+      );
+      const sum = (pick) => toEuros(debtors.reduce((total, d) => total + pick(d.arrears), 0));
+      res.json({
+        as_of: asOf,
+        settings: toSettings(condo),
+        debtors: debtors.map(d => {
+          const last = lastActions.find(a => a.fracao_id === d.unit.id);
+          return {
+            fracao_id: d.unit.id,
+            identifier: d.unit.identifier,
+            billed_to: d.parties.map(p => ({ user_id: p.user_id, nome: p.nome, role: p.role })),
+            ...toArrears(d.arrears),
+            charges: undefined,
+            last_action: last ? toAction(last) : null
+          };
+        }),
+        totals: {
+          owed: sum(a => a.owed_cents),
+          interest: sum(a => a.interest_cents),
+          aging: Object.fromEntries(AGING_BUCKETS.map(b => [b.key, sum(a => a.aging[b.key])]))
+        },
+        buckets: AGING_BUCKETS.map(b => ({ key: b.key, label: b.label }))
+      });
+    } catch (error) {
+      console.error('Error fetching debtors:', error);
+      res.status(500).json({ error: 'Erro ao buscar devedores' });
+    }
+  });
+
+  router.get('/api/condominiums/:id/arrears-settings', async (req, res) => {
+    try {
+      const condo = await condominium(req.params.id);
+      if (!condo) return res.status(404).json({ error: 'Condomínio não encontrado' });
+      res.json(toSettings(condo));
+    } catch (error) {
+      console.error('Error fetching arrears settings:', error);
+      res.status(500).json({ error: 'Erro ao buscar as definições de cobrança' });
+    }
+  });
+
+  // { interest_rate, reminder_days, second_notice_days, letter_days, auto_reminders }
+  router.put('/api/condominiums/:id/arrears-settings', async (req, res) => {
+    const { settings, error } = readSettings(req.body || {});
+    if (error) return res.status(400).json({ error });
+    try {
+      const condo = await condominium(req.params.id);
+      if (!condo) return res.status(404).json({ error: 'Condomínio não encontrado' });
+      const merged = { ...condo, ...settings };
+      const days = STAGES.map(s => merged[s.setting]).filter(d => d !== null);
+      if (days.some((d, i) => i && d <= days[i - 1])) {
+        return res.status(400).json({ error: 'Os prazos do lembrete, do segundo aviso e da carta têm de ser crescentes' });
+      }
+      const columns = Object.keys(settings);
+      if (columns.length) {
+        await q.run(`UPDATE condominiums SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`, [...columns.map(c => settings[c]), condo.id]);
+      }
+      res.json({ success: true, settings: toSettings(merged) });
+    } catch (error) {
+      console.error('Error updating arrears settings:', error);
+      res.status(500).json({ error: 'Erro ao atualizar as definições de cobrança' });
+    }
+  });
+
+  // Sends the reminders due now: { dry_run, fracao_ids }
+  router.post('/api/condominiums/:id/arrears/reminders', async (req, res) => {
+    const body = req.body || {};
+    if (body.fracao_ids !== undefined && !Array.isArray(body.fracao_ids)) return res.status(400).json({ error: 'fracao_ids tem de ser uma lista' });
+    try {
+      const condo = await condominium(req.params.id);
+      if (!condo) return res.status(404).json({ error: 'Condomínio não encontrado' });
+      const result = await runReminders(condo, {
+        dryRun: !!body.dry_run,
+        fracaoIds: body.fracao_ids ? body.fracao_ids.map(Number) : null,
+        createdBy: req.auth.id
+      });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('Error sending arrears reminders:', error);
+      res.status(500).json({ error: 'Erro ao enviar lembretes' });
+    }
+  });
+
+  // Issues formal demand letters and answers them as one PDF: { fracao_ids } (default: the units
+  // whose debt has reached the letter stage and have not had one yet)
+  router.post('/api/condominiums/:id/arrears/letters', async (req, res) => {
+    const body = req.body || {};
+    if (body.fracao_ids !== undefined && !Array.isArray(body.fracao_ids)) return res.status(400).json({ error: 'fracao_ids tem de ser uma lista' });
+    try {
+      const condo = await condominium(req.params.id);
+      if (!condo) return res.status(404).json({ error: 'Condomínio não encontrado' });
+      const wanted = body.fracao_ids ? body.fracao_ids.map(Number) : null;
+      const debtors = (await debtorsOf(condo, today(), wanted)).filter(d => wanted || d.arrears.pending === 'formal_letter');
+      if (!debtors.length) throw arrearsError(404, wanted ? 'As frações indicadas não têm dívidas vencidas' : 'Não há cartas de interpelação a emitir');
+
+      const actions = [];
+      for (const d of debtors) {
+        const details = {
+          as_of: today(),
+          interest_rate: condo.arrears_interest_rate,
+          reference: quotas.referenceOf(d.unit),
+          iban: condo.sepa_iban || null,
+          recipients: (await fracoes.partiesOf('billing', [d.unit.id])).map(p => ({ nome: p.nome, nif: p.nif })),
+          charges: d.arrears.charges
+        };
+        const letter = { ...d.arrears, identifier: d.unit.identifier, details: JSON.stringify(details) };
+        const attachment = { filename: `interpelacao-${d.unit.identifier}.pdf`, content: renderLetters(condo, [letter]) };
+        const action = await send('formal_letter', condo, d.unit, d.arrears, { createdBy: req.auth.id, details, attachment });
+        actions.push({ ...action, identifier: d.unit.identifier });
+      }
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="interpelacoes-${condo.id}-${today()}.pdf"`);
+      res.send(renderLetters(condo, actions));
+    } catch (error) {
+      fail(res, error, 'issuing demand letters', 'Erro ao emitir cartas de interpelação');
+    }
+  });
+
+  router.get('/api/arrears-actions/:id/letter/pdf', async (req, res) => {
+    try {
+      const action = await loadAction(req.params.id);
+      if (!action || action.type !== 'formal_letter') return res.status(404).json({ error: 'Carta não encontrada' });
+      const condo = await condominium(action.condominium_id);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="interpelacao-${action.identifier}-${action.id}.pdf"`);
+      res.send(renderLetters(condo, [action]));
+    } catch (error) {
+      console.error('Error rendering demand letter:', error);
+      res.status(500).json({ error: 'Erro ao gerar a carta' });
+    }
+  });
+
+  // The unit's debt with interest, its stage and follow-up history
+  router.get('/api/fracoes/:id/arrears', async (req, res) => {
+    try {
+      const unit = await q.get('SELECT id, identifier, condominium_id FROM fracoes WHERE id = ?', [req.params.id]);
+      if (!unit) return res.status(404).json({ error: 'Fração não encontrada' });
+      const condo = await condominium(unit.condominium_id);
+      const arrears = await arrearsOf(unit, condo);
+      const actions = await q.all(
+        `SELECT a.*, f.identifier, ad.username AS created_by_username
+         FROM arrears_actions a JOIN fracoes f ON f.id = a.fracao_id LEFT JOIN admins ad ON ad.id = a.created_by
+         WHERE a.fracao_id = ? ORDER BY a.created_at DESC, a.id DESC`,
+        [unit.id]
+      );
+      res.json({
+        fracao_id: unit.id,
+        identifier: unit.identifier,
+        payment_reference: quotas.referenceOf(unit),
+        interest_rate: condo.arrears_interest_rate,
+        ...toArrears(arrears),
+        actions: actions.map(toAction),
+        action_types: ACTION_TYPES
+      });
+    } catch (error) {
+      console.error('Error fetching unit arrears:', error);
+      res.status(500).json({ error: 'Erro ao buscar dívida da fração' });
+    }
+  });
+
+  // Logs a follow-up: { type: phone_call|note|payment_promise, notes, promised_date }
+  router.post('/api/fracoes/:id/arrears/actions', async (req, res) => {
+    const body = req.body || {};
+    if (!MANUAL_TYPES.includes(body.type)) return res.status(400).json({ error: `Tipo inválido (${MANUAL_TYPES.join(', ')})` });
+    const notes = String(body.notes || '').trim();
+    if (!notes && body.type !== 'payment_promise') return res.status(400).json({ error: 'Indique o que foi tratado' });
+    if (body.type === 'payment_promise' && !validDate(body.promised_date)) return res.status(400).json({ error: 'Data prometida inválida (AAAA-MM-DD)' });
+    try {
+      const unit = await q.get('SELECT id, identifier, condominium_id FROM fracoes WHERE id = ?', [req.params.id]);
+      if (!unit) return res.status(404).json({ error: 'Fração não encontrada' });
+      const arrears = await arrearsOf(unit, await condominium(unit.condominium_id));
+      const created = await q.run(
+        `INSERT INTO arrears_actions (condominium_id, fracao_id, type, owed_cents, interest_cents, oldest_due_date, notes, promised_date, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [unit.condominium_id, unit.id, body.type, arrears.owed_cents, arrears.interest_cents, arrears.oldest_due_date, notes || null,
+          body.type === 'payment_promise' ? body.promised_date : null, req.auth.id]
+      );
+      res.status(201).json({ success: true, action: toAction(await loadAction(created.lastID)) });
+    } catch (error) {
+      console.error('Error logging arrears action:', error);
+      res.status(500).json({ error: 'Erro ao registar o contacto' });
+    }
+  });
+
+  // Only follow-ups logged by hand can be removed; reminders and letters were sent
+  router.delete('/api/arrears-actions/:id', async (req, res) => {
+    try {
+      const action = await q.get('SELECT * FROM arrears_actions WHERE id = ?', [req.params.id]);
+      if (!action) return res.status(404).json({ error: 'Registo não encontrado' });
+      if (!MANUAL_TYPES.includes(action.type)) return res.status(409).json({ error: 'Lembretes e cartas enviados não podem ser eliminados' });
+      await q.run('DELETE FROM arrears_actions WHERE id = ?', [action.id]);
+      res.json({ success: true, deleted: action.id });
+    } catch (error) {
+      console.error('Error deleting arrears action:', error);
+      res.status(500).json({ error: 'Erro ao eliminar o registo' });
+    }
+  });
+
+  return {
+    STAGES,
+    ACTION_TYPES,
+    lateInterest,
+    arrearsOf,
+    runReminders,
+    schedule,
+    router
+  };
+};
@@ -0,0 +1,291 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const pdf = require('./pdf');
+
+// Attendance register of an assembleia, per unit: present (in person), represented by a proxy
+// holder with a written procuração, or absent (also any unit not registered). The quorum counts
+// the permilagem of the units present or represented: the assembleia can deliberate on first
+// call with more than half of the building's total value, and on second call with at least a
+// quarter of it (Código Civil, art. 1432.º). Units not in the room that voted electronically
+// (assembleia-evoting.js) take part remotely and count as attending. The register prints as the
+// attendance list annexed to the minutes.
+
+const STATUSES = {
+  present: 'Presente',
+  represented: 'Representado',
+  absent: 'Ausente'
+};
+
+// Not registered but derived from the electronic ballots
+const STATUS_LABELS = { ...STATUSES, remote: 'Voto eletrónico' };
+
+const formatDate = (value) => (value ? String(value).slice(0, 10).split('-').reverse().join('/') : '');
+const formatTime = (value) => String(value || '').slice(0, 5).replace(':', 'h');
+const round = (n) => Math.round(n * 1000) / 1000;
+const formatPermilagem = (value) => (value === null || value === undefined ? '—' : `${String(round(value)).replace('.', ',')}‰`);
+
+/** Validates an attendance entry ({ status, attendee_name, proxy_name, notes }). */
+function readEntry(body) {
+  if (!STATUSES[body.status]) return { error: `Estado inválido (${Object.keys(STATUSES).join(', ')})` };
+  const entry = {
+    status: body.status,
+    attendee_name: body.status === 'present' ? String(body.attendee_name || '').trim() || null : null,
+    proxy_name: body.status === 'represented' ? String(body.proxy_name || '').trim() || null : null,
+    notes: String(body.notes || '').trim() || null
+  };
+  if (entry.status === 'represented' && !entry.proxy_name) return { error: 'Indique o nome do procurador' };
+  return { entry };
+}
+
+/**
+ * Quorum of a register: permilagem present and represented against the building's total.
+ * @param {{permilagem: ?number, status: string}[]} units - every unit of the condominium
+ */
+function quorumOf(units) {
+  const sum = (list) => round(list.reduce((total, u) => total + (u.permilagem || 0), 0));
+  const total = sum(units);
+  const present = sum(units.filter(u => u.status === 'present'));
+  const represented = sum(units.filter(u => u.status === 'represented'));
+  const remote = sum(units.filter(u => u.status === 'remote'));
+  const attending = round(present + represented + remote);
+  const firstCall = total > 0 && attending > total / 2;
+  const secondCall = total > 0 && attending >= total / 4;
+  return {
+    total_permilagem: total,
+    present_permilagem: present,
+    represented_permilagem: represented,
+    remote_permilagem: remote,
+    attending_permilagem: attending,
+    attending_percent: total > 0 ? Math.round((attending / total) * 10000) / 100 : 0,
+    units_present: units.filter(u => u.status === 'present').length,
+    units_represented: units.filter(u => u.status === 'represented').length,
+    units_remote: units.filter(u => u.status === 'remote').length,
+    units_absent: units.filter(u => u.status === 'absent').length,
+    units_without_permilagem: units.filter(u => u.permilagem === null).length,
+    first_call: { required: 'mais de metade do valor total do prédio', met: firstCall },
+    second_call: { required: 'pelo menos um quarto do valor total do prédio', met: secondCall },
+    // The call the assembleia can be held on with the units attending now
+    call: firstCall ? 'first' : secondCall ? 'second' : null
+  };
+}
+
+/**
+ * @param {import('sqlite3').Database} db - shared connection
+ * @param {object} options
+ * @param {object} options.upload - multer instance for the procurações (PDF or image)
+ * @param {object} options.fracoes - units module (fracoes.js)
+ * @param {object} options.assembleias - assembleias module (assembleias.js)
+ * @param {object} options.evoting - electronic voting module (assembleia-evoting.js)
+ */
+module.exports = function(db, { upload, fracoes, assembleias, evoting }) {
+  const q = require('./transactions').queries(db);
+
+  const removeFile = (file) => { if (file) fs.unlink(file.path, () => {}); };
+
+  /**
+   * Every unit of the assembleia's condominium with its attendance entry (absent when none, remote
+   * when it voted electronically) and the owners and representatives it could be attended by,
+   * and the quorum.
+   */
+  async function attendanceOf(assembleia) {
+    const units = await q.all(
+      `SELECT f.id AS fracao_id, f.identifier, f.permilagem, a.status, a.attendee_name, a.proxy_name,
+         a.proxy_original_filename, a.proxy_size, a.notes, a.updated_at, ad.username AS recorded_by_username
+       FROM fracoes f
+       LEFT JOIN assembleia_attendance a ON a.fracao_id = f.id AND a.assembleia_id = ?
+       LEFT JOIN admins ad ON ad.id = a.recorded_by
+       WHERE f.condominium_id = ? ORDER BY f.identifier`,
+      [assembleia.id, assembleia.condominium_id]
+    );
+    const parties = await fracoes.partiesOf('assembleia', units.map(u => u.fracao_id));
+    const remote = await evoting.votingUnitsOf(assembleia.id);
+    const statusOf = (u) => (u.status === 'present' || u.status === 'represented' ? u.status : remote.has(u.fracao_id) ? 'remote' : 'absent');
+    const register = units.map(u => ({
+      fracao_id: u.fracao_id,
+      identifier: u.identifier,
+      permilagem: u.permilagem,
+      owners: parties.filter(p => p.fracao_id === u.fracao_id).map(p => ({ user_id: p.user_id, nome: p.nome, role: p.role })),
+      status: statusOf(u),
+      registered: !!u.status,
+      attendee_name: u.attendee_name,
+      proxy_name: u.proxy_name,
+      proxy_document: u.proxy_original_filename ? { filename: u.proxy_original_filename, size: u.proxy_size } : null,
+      notes: u.notes,
+      recorded_by_username: u.recorded_by_username || null,
+      updated_at: u.updated_at || null
+    }));
+    return { units: register, quorum: quorumOf(register) };
+  }
+
+  // Writes the attendance list into `doc` (on its own, or annexed to the ata)
+  function writeList(doc, assembleia, { units, quorum }) {
+    doc.heading('Lista de presenças');
+    doc.text(`Condomínio ${assembleia.condominium_name}`, { bold: true });
+    doc.text(`${assembleia.title} — ${formatDate(assembleia.date)}, ${formatTime(assembleia.time)}${assembleia.location ? `, ${assembleia.location}` : ''}`);
+    doc.space();
+    const attendedBy = (u) => {
+      if (u.status === 'present') return u.attendee_name || u.owners.map(o => o.nome).join(', ');
+      if (u.status === 'represented') return `${u.proxy_name} (procurador)`;
+      return u.owners.map(o => o.nome).join(', ');
+    };
+    doc.table(
+      [
+        { label: 'Fração', width: 0.1 },
+        { label: 'Permilagem', width: 0.13, align: 'right' },
+        { label: 'Condómino / procurador', width: 0.37 },
+        { label: 'Presença', width: 0.15 },
+        { label: 'Assinatura', width: 0.25 }
+      ],
+      units.map(u => [
+        u.identifier, formatPermilagem(u.permilagem), attendedBy(u), STATUS_LABELS[u.status],
+        u.status === 'present' || u.status === 'represented' ? '_______________________' : ''
+      ]),
+      { footer: ['Total', formatPermilagem(quorum.total_permilagem), '', '', ''] }
+    );
+    const count = (n) => `${n} ${n === 1 ? 'fração' : 'frações'}`;
+    doc.text(`Presentes: ${count(quorum.units_present)}, ${formatPermilagem(quorum.present_permilagem)}.`, { gap: 0 });
+    doc.text(`Representadas: ${count(quorum.units_represented)}, ${formatPermilagem(quorum.represented_permilagem)}.`, { gap: 0 });
+    if (quorum.units_remote) doc.text(`Com voto eletrónico: ${count(quorum.units_remote)}, ${formatPermilagem(quorum.remote_permilagem)}.`, { gap: 0 });
+    doc.text(`Ausentes: ${count(quorum.units_absent)}.`);
+    doc.text(
+      `${quorum.units_remote ? 'Participam, presentes, representados ou por voto eletrónico,' : 'Encontram-se presentes ou representados'} ` +
+      `condóminos titulares de ${formatPermilagem(quorum.attending_permilagem)} ` +
+      `(${String(quorum.attending_percent).replace('.', ',')}%) do valor total do prédio. ` +
+      (quorum.call === 'first'
+        ? 'Está reunido o quórum necessário para deliberar em primeira convocatória.'
+        : quorum.call === 'second'
+          ? 'Não há quórum em primeira convocatória; há quórum para deliberar em segunda convocatória.'
+          : 'Não há quórum para deliberar.'),
+      { gap: 8 }
+    );
+  }
+
+  function renderList(assembleia, attendance) {
+    const doc = pdf.document({ title: `Lista de presenças — ${assembleia.title}`, footer: `${assembleia.condominium_name} — Lista de presenças` });
+    writeList(doc, assembleia, attendance);
+    return doc.toBuffer();
+  }
+
+  async function loadEntry(assembleiaId, fracaoId) {
+    return q.get('SELECT * FROM assembleia_attendance WHERE assembleia_id = ? AND fracao_id = ?', [assembleiaId, fracaoId]);
+  }
+
+  const router = express.Router();
+
+  // The register with the live quorum
+  router.get('/api/assembleias/:id/attendance', async (req, res) => {
+    try {
+      const assembleia = await assembleias.load(req.params.id);
+      if (!assembleia) return res.status(404).json({ error: 'Assembleia não encontrada' });
+      res.json({ assembleia_id: assembleia.id, statuses: STATUSES, ...await attendanceOf(assembleia) });
+    } catch (error) {
+      console.error('Error fetching attendance:', error);
+      res.status(500).json({ error: 'Erro ao buscar a lista de presenças' });
+    }
+  });
+
+  router.get('/api/assembleias/:id/attendance/pdf', async (req, res) => {
+    try {
+      const assembleia = await assembleias.load(req.params.id);
+      if (!assembleia) return res.status(404).json({ error: 'Assembleia não encontrada' });
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="presencas-${assembleia.id}.pdf"`);
+      res.send(renderList(assembleia, await attendanceOf(assembleia)));
+    } catch (error) {
+      console.error('Error rendering attendance list:', error);
+      res.status(500).json({ error: 'Erro ao gerar a lista de presenças' });
+    }
+  });
+
+  // Registers a unit: { status, attendee_name, proxy_name, notes } (JSON or multipart with the
+  // procuração in `procuracao`); a new procuração replaces the previous one
+  router.put('/api/assembleias/:id/attendance/:fracaoId', upload.single('procuracao'), async (req, res) => {
+    const { entry, error } = readEntry(req.body || {});
+    if (error) { removeFile(req.file); return res.status(400).json({ error }); }
+    if (req.file && entry.status !== 'represented') {
+      removeFile(req.file);
+      return res.status(400).json({ error: 'A procuração só se junta a frações representadas' });
+    }
+    try {
+      const assembleia = await assembleias.load(req.params.id);
+      if (!assembleia) { removeFile(req.file); return res.status(404).json({ error: 'Assembleia não encontrada' }); }
+      if (assembleias.isClosed(assembleia)) { removeFile(req.file); return res.status(409).json({ error: 'A assembleia está encerrada' }); }
+      const unit = await q.get('SELECT id FROM fracoes WHERE id = ? AND condominium_id = ?', [req.params.fracaoId, assembleia.condominium_id]);
+      if (!unit) { removeFile(req.file); return res.status(404).json({ error: 'Fração não encontrada neste condomínio' }); }
+
+      const existing = await loadEntry(assembleia.id, unit.id);
+      // The procuração stays while the unit remains represented, unless replaced
+      const keepsProxy = existing && existing.proxy_path && entry.status === 'represented' && !req.file;
+      const proxy = req.file
+        ? { proxy_filename: req.file.filename, proxy_original_filename: req.file.originalname, proxy_path: req.file.path, proxy_mime_type: req.file.mimetype, proxy_size: req.file.size }
+        : keepsProxy
+          ? {}
+          : { proxy_filename: null, proxy_original_filename: null, proxy_path: null, proxy_mime_type: null, proxy_size: null };
+      const fields = { ...entry, ...proxy, recorded_by: req.auth.id };
+      if (existing) {
+        await q.run(
+          `UPDATE assembleia_attendance SET ${Object.keys(fields).map(f => `${f} = ?, `).join('')}updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [...Object.values(fields), existing.id]
+        );
+      } else {
+        await q.run(
+          `INSERT INTO assembleia_attendance (assembleia_id, fracao_id, ${Object.keys(fields).join(', ')})
+           VALUES (?, ?, ${Object.keys(fields).map(() => '?').join(', ')})`,
+          [assembleia.id, unit.id, ...Object.values(fields)]
+        );
+      }
+      // Only units present or represented vote
+      if (entry.status === 'absent') await q.run('DELETE FROM assembleia_votes WHERE assembleia_id = ? AND fracao_id = ?', [assembleia.id, unit.id]);
+      if (existing && existing.proxy_path && !keepsProxy) fs.unlink(existing.proxy_path, () => {});
+
+      const attendance = await attendanceOf(assembleia);
+      res.json({ success: true, unit: attendance.units.find(u => u.fracao_id === unit.id), quorum: attendance.quorum });
+    } catch (err) {
+      removeFile(req.file);
+      console.error('Error registering attendance:', err);
+      res.status(500).json({ error: 'Erro ao registar a presença' });
+    }
+  });
+
+  // Removes a unit's entry (it is then absent)
+  router.delete('/api/assembleias/:id/attendance/:fracaoId', async (req, res) => {
+    try {
+      const assembleia = await assembleias.load(req.params.id);
+      if (!assembleia) return res.status(404).json({ error: 'Assembleia não encontrada' });
+      if (assembleias.isClosed(assembleia)) return res.status(409).json({ error: 'A assembleia está encerrada' });
+      const existing = await loadEntry(assembleia.id, req.params.fracaoId);
+      if (!existing) return res.status(404).json({ error: 'A fração não está registada' });
+      await q.run('DELETE FROM assembleia_attendance WHERE id = ?', [existing.id]);
+      await q.run('DELETE FROM assembleia_votes WHERE assembleia_id = ? AND fracao_id = ?', [assembleia.id, existing.fracao_id]);
+      if (existing.proxy_path) fs.unlink(existing.proxy_path, () => {});
+      res.json({ success: true, deleted: existing.id, quorum: (await attendanceOf(assembleia)).quorum });
+    } catch (error) {
+      console.error('Error deleting attendance:', error);
+      res.status(500).json({ error: 'Erro ao eliminar o registo de presença' });
+    }
+  });
+
+  router.get('/api/assembleias/:id/attendance/:fracaoId/procuracao', async (req, res) => {
+    try {
+      const existing = await loadEntry(req.params.id, req.params.fracaoId);
+      if (!existing || !existing.proxy_path) return res.status(404).json({ error: 'Procuração não encontrada' });
+      const absolutePath = path.resolve(existing.proxy_path);
+      if (!fs.existsSync(absolutePath)) return res.status(404).json({ error: 'File missing on disk' });
+      res.download(absolutePath, existing.proxy_original_filename);
+    } catch (error) {
+      console.error('Error sending procuração:', error);
+      res.status(500).json({ error: 'Erro ao obter a procuração' });
+    }
+  });
+
+  return {
+    STATUSES,
+    STATUS_LABELS,
+    quorumOf,
+    attendanceOf,
+    writeList,
+    renderList,
+    router
+  };
+};
@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const express = require('express');
+
+// Electronic voting on the agenda items of an assembleia. The admin may open a voting window,
+// before and/or during the meeting, in which owners vote from the portal: one vote per unit, cast
+// by its voter (fracoes.votersOf), which can be changed until the window ends or the assembleia
+// closes. Every ballot cast is kept and the last one per item and unit counts. Each ballot is
+// chained to the previous one of the assembleia by a SHA-256 hash, given to the voter as the
+// receipt: a ballot altered or removed afterwards breaks the chain (see verify).
+// Units that voted electronically count as attending (assembleia-attendance.js) and their
+// ballots are counted with the votes taken in the room, where a unit's in-person vote on an item
+// prevails (assembleia-votes.js). Residents only see their own ballots until the results are
+// published at closing.
+
+// Timestamps are kept in UTC as 'YYYY-MM-DD HH:MM:SS', like CURRENT_TIMESTAMP
+const timestamp = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+/**
+ * Validates the voting window from a request body ({ opens_at, closes_at }, ISO date-times, both
+ * or neither to have no electronic voting).
+ * @returns {{values?: {evoting_opens_at: ?string, evoting_closes_at: ?string}, error?: string}}
+ */
+function readWindow(body) {
+  if (!body.opens_at && !body.closes_at) return { values: { evoting_opens_at: null, evoting_closes_at: null } };
+  const opens = new Date(body.opens_at);
+  const closes = new Date(body.closes_at);
+  if (!body.opens_at || !body.closes_at || isNaN(opens.getTime()) || isNaN(closes.getTime())) {
+    return { error: 'Indique o início e o fim da votação eletrónica (data e hora)' };
+  }
+  if (closes <= opens) return { error: 'A votação eletrónica tem de terminar depois de abrir' };
+  return { values: { evoting_opens_at: timestamp(opens), evoting_closes_at: timestamp(closes) } };
+}
+
+// The receipt of a ballot: its hash over what it records and the previous ballot's hash
+function hashOf(ballot) {
+  return crypto.createHash('sha256').update(JSON.stringify([
+    ballot.assembleia_id, ballot.agenda_item_id, ballot.fracao_id, ballot.user_id,
+    ballot.vote, ballot.nonce, ballot.cast_at, ballot.previous_hash || null
+  ])).digest('hex');
+}
+
+const toBallot = (b) => ({ agenda_item_id: b.agenda_item_id, fracao_id: b.fracao_id, vote: b.vote, receipt: b.hash, cast_at: b.cast_at });
+
+/**
+ * @param {import('sqlite3').Database} db - shared connection
+ * @param {object} options
+ * @param {function} options.transaction - runs work in a write transaction (transactions.js)
+ * @param {object} options.fracoes - units module (fracoes.js), for who votes for each unit
+ * @param {object} options.assembleias - assembleias module (assembleias.js)
+ */
+module.exports = function(db, { transaction, fracoes, assembleias }) {
+  const q = require('./transactions').queries(db);
+
+  /** The voting window and whether it is open now; null without electronic voting. */
+  function windowOf(assembleia) {
+    if (!assembleia.evoting_opens_at) return null;
+    const now = timestamp(new Date());
+    const state = assembleias.isClosed(assembleia) || now >= assembleia.evoting_closes_at
+      ? 'ended'
+      : now >= assembleia.evoting_opens_at ? 'open' : 'scheduled';
+    return { opens_at: assembleia.evoting_opens_at, closes_at: assembleia.evoting_closes_at, state, open: state === 'open' };
+  }
+
+  /** The ballot that counts for each item and unit (the last one cast). */
+  function ballotsOf(assembleiaId, conn = q) {
+    return conn.all(
+      `SELECT b.* FROM assembleia_evotes b
+       WHERE b.assembleia_id = ? AND b.id = (
+         SELECT MAX(b2.id) FROM assembleia_evotes b2 WHERE b2.agenda_item_id = b.agenda_item_id AND b2.fracao_id = b.fracao_id
+       )
+       ORDER BY b.agenda_item_id, b.fracao_id`,
+      [assembleiaId]
+    );
+  }
+
+  /** Ids of the units with a ballot on any item. */
+  async function votingUnitsOf(assembleiaId) {
+    const rows = await q.all('SELECT DISTINCT fracao_id FROM assembleia_evotes WHERE assembleia_id = ?', [assembleiaId]);
+    return new Set(rows.map(r => r.fracao_id));
+  }
+
+  /**
+   * Checks the chain of ballots of an assembleia: each must hash to its receipt and point to the
+   * previous one.
+   * @returns {Promise<{valid: boolean, ballots: number, broken_at: ?number}>}
+   */
+  async function verify(assembleiaId) {
+    const ballots = await q.all('SELECT * FROM assembleia_evotes WHERE assembleia_id = ? ORDER BY id', [assembleiaId]);
+    let previous = null;
+    for (const ballot of ballots) {
+      if ((ballot.previous_hash || null) !== previous || hashOf(ballot) !== ballot.hash) {
+        return { valid: false, ballots: ballots.length, broken_at: ballot.id };
+      }
+      previous = ballot.hash;
+    }
+    return { valid: true, ballots: ballots.length, broken_at: null };
+  }
+
+  /**
+   * Units of the assembleia's condominium the user holds (as owner or representative), with
+   * whether they vote for them and their ballots.
+   */
+  async function unitsOfVoter(assembleia, userId) {
+    const units = await q.all('SELECT id, identifier, permilagem FROM fracoes WHERE condominium_id = ? ORDER BY identifier', [assembleia.condominium_id]);
+    const parties = await fracoes.partiesOf('assembleia', units.map(u => u.id));
+    const held = units.filter(u => parties.some(p => p.fracao_id === u.id && p.user_id === userId));
+    const voters = await fracoes.votersOf(held.map(u => u.id));
+    const ballots = await ballotsOf(assembleia.id);
+    return held.map(u => {
+      const voter = voters[u.id];
+      const designated = parties.find(p => p.fracao_id === u.id && p.user_id === voter);
+      return {
+        fracao_id: u.id,
+        identifier: u.identifier,
+        permilagem: u.permilagem,
+        can_vote: voter === userId,
+        reason: voter === userId
+          ? null
+          : voter
+            ? `O voto desta fração cabe a ${designated.nome}`
+            : 'A fração tem vários titulares; a administração tem de registar qual deles vota',
+        ballots: ballots.filter(b => b.fracao_id === u.id).map(toBallot)
+      };
+    });
+  }
+
+  // The assembleia of a resident's condominium
+  async function assembleiaOf(userId, assembleiaId) {
+    const member = await q.get(
+      `SELECT a.id FROM assembleias a JOIN user_condominiums uc ON uc.condominium_id = a.condominium_id
+       WHERE uc.user_id = ? AND a.id = ?`,
+      [userId, assembleiaId]
+    );
+    return member ? assembleias.load(member.id) : null;
+  }
+
+  const votedItems = async (assembleiaId) => (await assembleias.agendaOf(assembleiaId)).filter(i => i.majority);
+
+  const router = express.Router();
+
+  // Window, participation per unit and the check of the chain of ballots (the votes themselves
+  // are in GET /api/assembleias/:id/votes)
+  router.get('/api/assembleias/:id/evoting', async (req, res) => {
+    try {
+      const assembleia = await assembleias.load(req.params.id);
+      if (!assembleia) return res.status(404).json({ error: 'Assembleia não encontrada' });
+      const units = await q.all('SELECT id, identifier, permilagem FROM fracoes WHERE condominium_id = ? ORDER BY identifier', [assembleia.condominium_id]);
+      const parties = await fracoes.partiesOf('assembleia', units.map(u => u.id));
+      const voters = await fracoes.votersOf(units.map(u => u.id));
+      const ballots = await ballotsOf(assembleia.id);
+      res.json({
+        assembleia_id: assembleia.id,
+        window: windowOf(assembleia),
+        units: units.map(u => {
+          const voter = parties.find(p => p.fracao_id === u.id && p.user_id === voters[u.id]);
+          return {
+            fracao_id: u.id,
+            identifier: u.identifier,
+            permilagem: u.permilagem,
+            voter: voter ? { user_id: voter.user_id, nome: voter.nome } : null,
+            holders: parties.filter(p => p.fracao_id === u.id).length,
+            items_voted: ballots.filter(b => b.fracao_id === u.id).length
+          };
+        }),
+        chain: await verify(assembleia.id)
+      });
+    } catch (error) {
+      console.error('Error fetching electronic voting:', error);
+      res.status(500).json({ error: 'Erro ao buscar a votação eletrónica' });
+    }
+  });
+
+  // Sets the voting window: { opens_at, closes_at }, both null for no electronic voting
+  router.put('/api/assembleias/:id/evoting', async (req, res) => {
+    const { values, error } = readWindow(req.body || {});
+    if (error) return res.status(400).json({ error });
+    try {
+      const assembleia = await assembleias.load(req.params.id);
+      if (!assembleia) return res.status(404).json({ error: 'Assembleia não encontrada' });
+      if (assembleias.isClosed(assembleia)) return res.status(409).json({ error: 'A assembleia está encerrada' });
+      if (!values.evoting_opens_at && (await votingUnitsOf(assembleia.id)).size) {
+        return res.status(409).json({ error: 'Já foram recebidos votos eletrónicos; altere as datas em vez de cancelar a votação' });
+      }
+      await q.run(
+        'UPDATE assembleias SET evoting_opens_at = ?, evoting_closes_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [values.evoting_opens_at, values.evoting_closes_at, assembleia.id]
+      );
+      res.json({ success: true, window: windowOf({ ...assembleia, ...values }) });
+    } catch (err) {
+      console.error('Error setting electronic voting:', err);
+      res.status(500).json({ error: 'Erro ao definir a votação eletrónica' });
+    }
+  });
+
+  // What the resident can vote on: the window, the items put to the vote and their units with
+  // the ballots already cast
+  router.get('/api/users/:userId/assembleias/:assembleiaId/evoting', async (req, res) => {
+    try {
+      const assembleia = await assembleiaOf(req.params.userId, req.params.assembleiaId);
+      if (!assembleia) return res.status(404).json({ error: 'Assembleia não encontrada' });
+      res.json({
+        assembleia_id: assembleia.id,
+        window: windowOf(assembleia),
+        votes: assembleias.VOTES,
+        items: (await votedItems(assembleia.id)).map(assembleias.toAgendaItem),
+        units: await unitsOfVoter(assembleia, Number(req.params.userId))
+      });
+    } catch (error) {
+      console.error('Error fetching resident electronic voting:', error);
+      res.status(500).json({ error: 'Erro ao buscar a votação eletrónica' });
+    }
+  });
+
+  // Casts (or changes) the votes of a unit: { fracao_id, votes: [{ agenda_item_id, vote }] }
+  router.post('/api/users/:userId/assembleias/:assembleiaId/evotes', async (req, res) => {
+    const body = req.body || {};
+    const userId = Number(req.params.userId);
+    const entries = body.votes;
+    if (!Array.isArray(entries) || !entries.length) return res.status(400).json({ error: 'votes tem de ser uma lista não vazia' });
+    if (entries.some(e => !e || !assembleias.VOTES[e.vote])) {
+      return res.status(400).json({ error: `Voto inválido (${Object.keys(assembleias.VOTES).join(', ')})` });
+    }
+    if (new Set(entries.map(e => Number(e.agenda_item_id))).size !== entries.length) {
+      return res.status(400).json({ error: 'Vote cada ponto uma só vez' });
+    }
+    try {
+      const assembleia = await assembleiaOf(userId, req.params.assembleiaId);
+      if (!assembleia) return res.status(404).json({ error: 'Assembleia não encontrada' });
+      const window = windowOf(assembleia);
+      if (!window || !window.open) return res.status(409).json({ error: 'A votação eletrónica desta assembleia não está aberta' });
+      const unit = (await unitsOfVoter(assembleia, userId)).find(u => u.fracao_id === Number(body.fracao_id));
+      if (!unit) return res.status(404).json({ error: 'Fração não encontrada entre as suas' });
+      if (!unit.can_vote) return res.status(403).json({ error: unit.reason });
+      const items = await votedItems(assembleia.id);
+      if (entries.some(e => !items.some(i => i.id === Number(e.agenda_item_id)))) {
+        return res.status(400).json({ error: 'Ponto da ordem de trabalhos inexistente ou não sujeito a votação' });
+      }
+
+      const ballots = await transaction(async (t) => {
+        const last = await t.get('SELECT hash FROM assembleia_evotes WHERE assembleia_id = ? ORDER BY id DESC LIMIT 1', [assembleia.id]);
+        let previous = last ? last.hash : null;
+        const cast = [];
+        for (const entry of entries) {
+          const ballot = {
+            assembleia_id: assembleia.id,
+            agenda_item_id: Number(entry.agenda_item_id),
+            fracao_id: unit.fracao_id,
+            user_id: userId,
+            vote: entry.vote,
+            nonce: crypto.randomBytes(16).toString('hex'),
+            cast_at: timestamp(new Date()),
+            previous_hash: previous
+          };
+          ballot.hash = hashOf(ballot);
+          await t.run(
+            `INSERT INTO assembleia_evotes (assembleia_id, agenda_item_id, fracao_id, user_id, vote, nonce, cast_at, previous_hash, hash)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [ballot.assembleia_id, ballot.agenda_item_id, ballot.fracao_id, ballot.user_id, ballot.vote, ballot.nonce, ballot.cast_at, ballot.previous_hash, ballot.hash]
+          );
+          previous = ballot.hash;
+          cast.push(ballot);
+        }
+        return cast;
+      });
+      res.status(201).json({ success: true, fracao_id: unit.fracao_id, ballots: ballots.map(toBallot) });
+    } catch (error) {
+      console.error('Error casting electronic votes:', error);
+      res.status(500).json({ error: 'Erro ao registar o voto' });
+    }
+  });
+
+  // Checks a receipt of the resident: the ballot it records, whether it still counts (or was
+  // changed by a later one) and whether the chain of ballots is intact
+  router.get('/api/users/:userId/assembleias/:assembleiaId/evotes/:receipt', async (req, res) => {
+    try {
+      const ballot = await q.get(
+        `SELECT b.*, f.identifier, i.title AS agenda_item_title FROM assembleia_evotes b
+         JOIN fracoes f ON f.id = b.fracao_id
+         JOIN assembleia_agenda_items i ON i.id = b.agenda_item_id
+         WHERE b.hash = ? AND b.assembleia_id = ? AND b.user_id = ?`,
+        [req.params.receipt, req.params.assembleiaId, req.params.userId]
+      );
+      if (!ballot) return res.status(404).json({ error: 'Recibo não encontrado' });
+      const latest = await q.get('SELECT MAX(id) AS id FROM assembleia_evotes WHERE agenda_item_id = ? AND fracao_id = ?', [ballot.agenda_item_id, ballot.fracao_id]);
+      res.json({
+        ...toBallot(ballot),
+        identifier: ballot.identifier,
+        agenda_item_title: ballot.agenda_item_title,
+        current: latest.id === ballot.id,
+        intact: hashOf(ballot) === ballot.hash,
+        chain_valid: (await verify(ballot.assembleia_id)).valid
+      });
+    } catch (error) {
+      console.error('Error checking receipt:', error);
+      res.status(500).json({ error: 'Erro ao verificar o recibo' });
+    }
+  });
+
+  return {
+    readWindow,
+    windowOf,
+    ballotsOf,
+    votingUnitsOf,
+    verify,
+    router
+  };
+};
@@ -0,0 +1,775 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const pdf = require('./pdf');
+const mailer = require('./mailer');
+
+// Minutes (ata) of an assembleia. The editor starts from a text drawn up from the agenda, the
+// attendance register and the results of the votes. The ata goes from draft to review once the
+// assembleia is closed (so its figures are final), and is signed when every signatory has
+// signed it: signing generates the final PDF, with the attendance list annexed, and adds it to
+// the assembleia's files. Going back to draft clears the signatures collected.
+// The deliberations must then be communicated to the owners of the units that were absent
+// within 30 days, and they have 90 days to object (Código Civil, art. 1432.º). Each
+// communication is recorded per recipient with its delivery: read on the portal, e-mailed and
+// sent by registered letter (number, posting, delivery or return).
+
+const STATUSES = {
+  draft: 'Rascunho',
+  under_review: 'Em revisão',
+  signed: 'Assinada'
+};
+
+// Days after the assembleia to communicate the deliberations, and days the absent owners then
+// have to state their agreement or objection
+const NOTICE_DAYS = 30;
+const OBJECTION_DAYS = 90;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const validDate = (v) => typeof v === 'string' && DATE_PATTERN.test(v) && !isNaN(new Date(`${v}T00:00:00Z`).getTime());
+const today = () => new Date().toISOString().slice(0, 10);
+const formatDate = (value) => (value ? String(value).slice(0, 10).split('-').reverse().join('/') : '');
+const formatTime = (value) => String(value || '').slice(0, 5).replace(':', 'h');
+const formatPermilagem = (value) => `${String(Math.round((value || 0) * 1000) / 1000).replace('.', ',')}‰`;
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+const addDays = (date, days) => {
+  const d = new Date(`${String(date).slice(0, 10)}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+const joinList = (parts) => (parts.length > 1 ? `${parts.slice(0, -1).join(', ')} e ${parts[parts.length - 1]}` : parts[0] || '');
+const unitsLabel = (identifiers) => `${identifiers.length === 1 ? 'fração' : 'frações'} ${joinList(identifiers)}`;
+const ofUnits = (identifiers) => `${identifiers.length === 1 ? 'da' : 'das'} ${unitsLabel(identifiers)}`;
+
+function readMinutes(body, partial) {
+  const minutes = {};
+  if (body.number !== undefined) {
+    minutes.number = String(body.number || '').trim() || null;
+    if (minutes.number && minutes.number.length > 20) return { error: 'O número da ata não pode ter mais de 20 caracteres' };
+  }
+  if (body.content !== undefined || !partial) {
+    minutes.content = String(body.content || '').replace(/\r\n/g, '\n').trim();
+    if (!minutes.content) return { error: 'O texto da ata não pode ficar vazio' };
+  }
+  return { minutes };
+}
+
+function readSignatory(body) {
+  const name = String(body.name || '').trim();
+  if (!name) return { error: 'Indique o nome do signatário' };
+  const userId = body.user_id === undefined || body.user_id === null || body.user_id === '' ? null : parseInt(body.user_id, 10);
+  if (Number.isNaN(userId)) return { error: 'Invalid user id' };
+  return { signatory: { name, role: String(body.role || '').trim() || null, user_id: userId } };
+}
+
+/** Delivery of a communication by registered letter: only the fields sent are changed. */
+function readDelivery(body) {
+  const delivery = {};
+  const text = (v) => String(v || '').trim() || null;
+  if (body.registered_mail !== undefined) delivery.registered_mail = text(body.registered_mail);
+  if (body.notes !== undefined) delivery.notes = text(body.notes);
+  if (body.returned !== undefined) delivery.returned = body.returned === true || body.returned === 1 || body.returned === '1' || body.returned === 'true' ? 1 : 0;
+  for (const field of ['letter_sent_at', 'delivered_at']) {
+    if (body[field] === undefined) continue;
+    delivery[field] = body[field] || null;
+    if (delivery[field] && !validDate(delivery[field])) return { error: 'Data inválida (AAAA-MM-DD)' };
+  }
+  return { delivery };
+}
+
+const toSignatory = (s) => ({
+  id: s.id,
+  position: s.position,
+  name: s.name,
+  role: s.role,
+  user_id: s.user_id,
+  signed: !!s.signed_at,
+  signed_at: s.signed_at,
+  recorded_by_username: s.recorded_by_username || null
+});
+
+function toMinutes(m, signatories) {
+  return {
+    id: m.id,
+    assembleia_id: m.assembleia_id,
+    number: m.number,
+    content: m.content,
+    status: m.status,
+    status_label: STATUSES[m.status],
+    file_id: m.file_id,
+    submitted_at: m.submitted_at,
+    signed_at: m.signed_at,
+    created_at: m.created_at,
+    updated_at: m.updated_at,
+    signatories: signatories.map(toSignatory),
+    signatures: { signed: signatories.filter(s => s.signed_at).length, total: signatories.length }
+  };
+}
+
+function toNotice(n) {
+  return {
+    id: n.id,
+    assembleia_id: n.assembleia_id,
+    user_id: n.user_id,
+    nome: n.nome || null,
+    units: JSON.parse(n.units),
+    admin_message_id: n.admin_message_id,
+    email: n.email,
+    emailed_at: n.emailed_at,
+    read_at: n.read_at,
+    registered_mail: n.registered_mail,
+    letter_sent_at: n.letter_sent_at,
+    delivered_at: n.delivered_at,
+    returned: !!n.returned,
+    notes: n.notes,
+    sent_by_username: n.sent_by_username || null,
+    sent_at: n.sent_at
+  };
+}
+
+function minutesError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// How an item put to the vote was decided, for the ata
+function resultText(item) {
+  const r = item.result;
+  if (!r.quorum_met) return 'Por falta de quórum, este ponto não foi deliberado.';
+  const side = (vote, label) => {
+    const identifiers = item.votes.filter(v => v.vote === vote).map(v => v.identifier);
+    return identifiers.length ? `${label} ${formatPermilagem(r[vote].permilagem)} (${unitsLabel(identifiers)})` : null;
+  };
+  const sides = [side('for', 'votos a favor de'), side('against', 'votos contra de'), side('abstain', 'abstenções de')].filter(Boolean);
+  return `Posto à votação, foi ${r.passed ? 'aprovado' : 'rejeitado'} por ${item.majority_label.toLowerCase()} (${r.required})` +
+    `${sides.length ? `, com ${joinList(sides)}` : ', sem votos expressos'}.`;
+}
+
+/** The text the ata starts from: opening, agenda, attendance, each item with its result, closing. */
+function prefill(assembleia, agenda, { units, quorum }, results) {
+  const identifiers = (list) => list.map(u => u.identifier);
+  const inRoom = units.filter(u => u.status === 'present' || u.status === 'represented');
+  const remote = units.filter(u => u.status === 'remote');
+  const call = quorum.call === 'first' ? ', em primeira convocatória' : quorum.call === 'second' ? ', em segunda convocatória' : '';
+  const nipc = assembleia.condominium_nipc ? `, NIPC ${assembleia.condominium_nipc}` : '';
+  const paragraphs = [
+    `Aos ${formatDate(assembleia.date)}, pelas ${formatTime(assembleia.time)}, reuniu${assembleia.location ? `, em ${assembleia.location},` : ''} ` +
+      `a assembleia de condóminos do condomínio ${assembleia.condominium_name}${nipc}${call}, com a seguinte ordem de trabalhos:`,
+    agenda.map((item, i) => `${i + 1}. ${item.title}`).join('\n')
+  ];
+
+  const attending = [];
+  if (inRoom.length) attending.push(`estiveram presentes ou representados os condóminos ${ofUnits(identifiers(inRoom))}`);
+  if (remote.length) attending.push(`votaram eletronicamente os condóminos ${ofUnits(identifiers(remote))}`);
+  paragraphs.push(attending.length
+    ? `${joinList(attending).replace(/^./, c => c.toUpperCase())}, que representam ${formatPermilagem(quorum.attending_permilagem)} ` +
+      `(${String(quorum.attending_percent).replace('.', ',')}%) do valor total do prédio, conforme a lista de presenças anexa a esta ata.` +
+      `${quorum.call ? '' : ' Não se verificou o quórum necessário para deliberar.'}`
+    : 'Não esteve presente nem representado nenhum condómino, pelo que não se verificou o quórum necessário para deliberar.');
+
+  agenda.forEach((item, i) => {
+    const lines = [`Ponto ${i + 1} — ${item.title}`];
+    if (item.description) lines.push(item.description);
+    const voted = results.items.find(r => r.id === item.id);
+    lines.push(voted && voted.result ? resultText(voted) : '[Resumo do que foi tratado neste ponto.]');
+    paragraphs.push(lines.join('\n'));
+  });
+  paragraphs.push('Nada mais havendo a tratar, foi encerrada a reunião, da qual se lavrou a presente ata que, depois de lida e aprovada, vai ser assinada.');
+  return paragraphs.join('\n\n');
+}
+
+/**
+ * @param {import('sqlite3').Database} db - shared connection
+ * @param {object} options
+ * @param {function} options.transaction - runs work in a write transaction (transactions.js)
+ * @param {string} options.uploadsDir - where the signed atas are stored (assembleia files)
+ * @param {object} options.assembleias - assembleias module (assembleias.js)
+ * @param {object} options.attendance - attendance module (assembleia-attendance.js)
+ * @param {object} options.votes - votes module (assembleia-votes.js)
+ * @param {function} options.linkNotificationToUsers - server.js helper linking a notification to the people of some units
+ */
+module.exports = function(db, { transaction, uploadsDir, assembleias, attendance, votes, linkNotificationToUsers }) {
+  const q = require('./transactions').queries(db);
+
+  function fail(res, error, what, message) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error(`Error ${what}:`, error);
+    res.status(500).json({ error: message });
+  }
+
+  const sendPdf = (res, filename, buffer) => {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buffer);
+  };
+
+  const loadMinutes = (assembleiaId, conn = q) => conn.get('SELECT * FROM assembleia_minutes WHERE assembleia_id = ?', [assembleiaId]);
+
+  const signatoriesOf = (minutesId, conn = q) => conn.all(
+    `SELECT s.*, ad.username AS recorded_by_username FROM assembleia_minutes_signatories s
+     LEFT JOIN admins ad ON ad.id = s.recorded_by WHERE s.minutes_id = ? ORDER BY s.position, s.id`,
+    [minutesId]
+  );
+
+  async function minutesOf(assembleiaId) {
+    const minutes = await loadMinutes(assembleiaId);
+    return minutes ? toMinutes(minutes, await signatoriesOf(minutes.id)) : null;
+  }
+
+  /** The assembleia and its ata, which must be in one of `statuses`. */
+  async function contextOf(assembleiaId, statuses, message) {
+    const assembleia = await assembleias.load(assembleiaId);
+    if (!assembleia) throw minutesError(404, 'Assembleia não encontrada');
+    const minutes = await loadMinutes(assembleia.id);
+    if (!minutes) throw minutesError(404, 'A ata desta assembleia ainda não foi criada');
+    if (statuses && !statuses.includes(minutes.status)) throw minutesError(409, message);
+    return { assembleia, minutes };
+  }
+
+  // Who attended, as the signatories proposed for the ata (the chair is added by hand)
+  function suggestedSignatories({ units }) {
+    const byName = new Map();
+    const add = (name, kind, userId, identifier) => {
+      const key = `${kind}:${name}`;
+      if (!byName.has(key)) byName.set(key, { name, kind, user_id: userId, identifiers: [] });
+      byName.get(key).identifiers.push(identifier);
+    };
+    units.forEach(u => {
+      if (u.status === 'present' && u.attendee_name) add(u.attendee_name, 'Condómino', null, u.identifier);
+      else if (u.status === 'present') u.owners.forEach(o => add(o.nome, 'Condómino', o.user_id, u.identifier));
+      else if (u.status === 'represented') add(u.proxy_name, 'Procurador', null, u.identifier);
+    });
+    return [...byName.values()].map(s => ({ name: s.name, role: `${s.kind} (${unitsLabel(s.identifiers)})`, user_id: s.user_id }));
+  }
+
+  async function prefillOf(assembleia) {
+    const register = await attendance.attendanceOf(assembleia);
+    const content = prefill(assembleia, await assembleias.agendaOf(assembleia.id), register, await votes.resultsOf(assembleia));
+    return { content, register };
+  }
+
+  function renderMinutes(assembleia, minutes, signatories, register) {
+    const title = minutes.number ? `Ata n.º ${minutes.number}` : 'Ata';
+    const doc = pdf.document({ title: `${title} — ${assembleia.title}`, footer: `${assembleia.condominium_name} — ${title}` });
+    doc.heading(title);
+    if (minutes.status !== 'signed') doc.text(`${STATUSES[minutes.status]}: documento não assinado`, { bold: true });
+    doc.text(`Assembleia de condóminos do condomínio ${assembleia.condominium_name}`, { bold: true, gap: 0 });
+    doc.text(`${assembleia.title} — ${formatDate(assembleia.date)}, ${formatTime(assembleia.time)}`);
+    doc.space();
+    minutes.content.split(/\n\s*\n/).forEach(paragraph => {
+      const lines = paragraph.split('\n');
+      lines.forEach((line, i) => doc.text(line, { bold: /^Ponto \d+ —/.test(line), gap: i === lines.length - 1 ? 8 : 1 }));
+    });
+    doc.space();
+    doc.heading('Assinaturas', { size: 11 });
+    doc.table(
+      [
+        { label: 'Nome', width: 0.38 },
+        { label: 'Qualidade', width: 0.32 },
+        { label: 'Assinatura', width: 0.3 }
+      ],
+      signatories.map(s => [s.name, s.role || '', s.signed_at ? `Assinou em ${formatDate(s.signed_at)}` : '_______________________'])
+    );
+    doc.page();
+    attendance.writeList(doc, assembleia, register);
+    return doc.toBuffer();
+  }
+
+  /** The deliberations taken (the items put to the vote), as communicated to the absent owners. */
+  async function deliberationsOf(assembleia) {
+    const results = await votes.resultsOf(assembleia);
+    return results.items.filter(i => i.result).map(i => ({
+      title: i.title,
+      majority_label: i.majority_label,
+      quorum_met: i.result.quorum_met,
+      passed: i.result.passed,
+      for: i.result.for.permilagem,
+      against: i.result.against.permilagem,
+      abstain: i.result.abstain.permilagem
+    }));
+  }
+
+  /** Owners and representatives of the units absent from the assembleia, one entry per person. */
+  async function absentRecipientsOf(assembleia) {
+    const { units } = await attendance.attendanceOf(assembleia);
+    const absent = units.filter(u => u.status === 'absent').map(u => u.fracao_id);
+    if (!absent.length) return { recipients: [], unitsWithout: [] };
+    return assembleias.recipientsOf(assembleia, absent);
+  }
+
+  function writeNotice(doc, { details, units }) {
+    const d = details;
+    doc.text(`Condomínio ${d.condominium.name}`, { size: 11, bold: true });
+    doc.text(d.condominium.nipc ? `NIPC ${d.condominium.nipc}` : 'NIPC não registado');
+    doc.space();
+    doc.text(`${d.recipient.nome}${d.recipient.nif ? ` (NIF ${d.recipient.nif})` : ''}`, { gap: 0 });
+    units.forEach(u => doc.text(`Fração ${u.identifier} — ${formatPermilagem(u.permilagem)}`, { gap: 0 }));
+    doc.space();
+    doc.text(formatDate(d.issued_at), { align: 'right' });
+    doc.heading('Assunto: comunicação das deliberações da assembleia de condóminos', { size: 11 });
+    doc.text('Exmo(a). Senhor(a),', { gap: 8 });
+    const qualities = units.map(u => `${assembleias.ROLE_LABELS[u.role] || 'condómino(a)'} da fração ${u.identifier}`);
+    doc.text(
+      `Nos termos do artigo 1432.º do Código Civil, comunicam-se a V. Ex.ª, na qualidade de ${qualities.join(' e de ')}, ` +
+      `que não esteve presente nem representada, as deliberações da assembleia de condóminos do condomínio ${d.condominium.name} ` +
+      `(${d.title}), realizada no dia ${formatDate(d.date)}${d.minutes_number ? ` e registadas na ata n.º ${d.minutes_number}` : ''}:`,
+      { gap: 8 }
+    );
+    if (!d.deliberations.length) doc.text('Não foram tomadas deliberações por votação; o que foi tratado consta da ata da assembleia.', { gap: 8 });
+    d.deliberations.forEach((item, i) => {
+      doc.text(`${i + 1}. ${item.title}`, { bold: true, gap: 1 });
+      doc.text(item.quorum_met
+        ? `${item.passed ? 'Aprovado' : 'Rejeitado'} (${item.majority_label.toLowerCase()}): ${formatPermilagem(item.for)} a favor, ` +
+          `${formatPermilagem(item.against)} contra e ${formatPermilagem(item.abstain)} de abstenções.`
+        : 'Não deliberado, por falta de quórum.');
+    });
+    doc.space(6);
+    doc.text(
+      `V. Ex.ª dispõe de ${OBJECTION_DAYS} dias após a receção desta carta para comunicar por escrito à administração o seu ` +
+      'assentimento ou a sua discordância; o silêncio vale como aprovação das deliberações comunicadas.',
+      { gap: 8 }
+    );
+    doc.text('A ata da assembleia pode ser consultada nos documentos da assembleia, no portal do condomínio.', { gap: 14 });
+    doc.text('Com os melhores cumprimentos,');
+    doc.text(`A administração do condomínio ${d.condominium.name}`);
+  }
+
+  function renderNotices(notices) {
+    const first = notices[0].details;
+    const doc = pdf.document({ title: `Comunicação de deliberações — ${first.title}`, footer: `${first.condominium.name} — Comunicação de deliberações` });
+    notices.forEach((n, i) => {
+      if (i) doc.page();
+      writeNotice(doc, n);
+    });
+    return doc.toBuffer();
+  }
+
+  const parseNotice = (n) => ({ details: JSON.parse(n.details), units: JSON.parse(n.units) });
+
+  /**
+   * Communicates the deliberations to the given absent owners (default: all): an admin message
+   * addressed to them, a notification and an e-mail with the letter and the ata to those who
+   * allow it. The registered letter is printed and its delivery recorded afterwards.
+   * @returns {Promise<object[]>} the notice rows
+   */
+  async function send(assembleia, minutes, userIds, sentBy) {
+    const { recipients: all } = await absentRecipientsOf(assembleia);
+    const recipients = userIds ? all.filter(r => userIds.includes(r.user_id)) : all;
+    if (!recipients.length) {
+      throw minutesError(400, userIds ? 'Os utilizadores indicados não são condóminos ausentes' : 'Não há condóminos ausentes a quem comunicar as deliberações');
+    }
+
+    const base = {
+      issued_at: today(),
+      condominium: { name: assembleia.condominium_name, nipc: assembleia.condominium_nipc || null },
+      title: assembleia.title,
+      date: assembleia.date,
+      minutes_number: minutes.number || null,
+      deliberations: await deliberationsOf(assembleia)
+    };
+    const letterOf = (r) => ({ details: { ...base, recipient: { nome: r.nome, nif: r.nif || null } }, units: r.units });
+    const title = `Deliberações: ${assembleia.title}`;
+    const summary = `Comunicação das deliberações da assembleia de condóminos do condomínio ${assembleia.condominium_name}, ` +
+      `realizada no dia ${formatDate(assembleia.date)}, em que a sua fração não esteve presente nem representada.` +
+      `${base.deliberations.length ? `\n\n${base.deliberations.map((d, i) => `${i + 1}. ${d.title}: ${d.passed ? 'aprovado' : 'rejeitado'}`).join('\n')}` : ''}` +
+      `\n\nTem ${OBJECTION_DAYS} dias para comunicar por escrito à administração o seu assentimento ou discordância; ` +
+      'o silêncio vale como aprovação.';
+
+    const { messageId, ids } = await transaction(async (t) => {
+      const created = await t.run(
+        "INSERT INTO admin_messages (title, body, type, admin_id, created_at) VALUES (?, ?, 'deliberacoes', ?, CURRENT_TIMESTAMP)",
+        [title, `${summary}\n\nA comunicação e a ata estão disponíveis para download na página da assembleia.`, sentBy]
+      );
+      const id = created.lastID;
+      await t.run('INSERT INTO admin_message_condominiums (message_id, condominium_id) VALUES (?, ?)', [id, assembleia.condominium_id]);
+      await t.run('INSERT INTO admin_message_targets (message_id, condominium_id) VALUES (?, ?)', [id, assembleia.condominium_id]);
+      const noticeIds = [];
+      for (const r of recipients) {
+        await t.run('INSERT INTO admin_message_recipients (message_id, user_id) VALUES (?, ?)', [id, r.user_id]);
+        const letter = letterOf(r);
+        const row = await t.run(
+          `INSERT INTO assembleia_deliberation_notices (assembleia_id, user_id, admin_message_id, units, details, sent_by, sent_at)
+           VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+          [assembleia.id, r.user_id, id, JSON.stringify(letter.units), JSON.stringify(letter.details), sentBy]
+        );
+        noticeIds.push(row.lastID);
+      }
+      return { messageId: id, ids: noticeIds };
+    });
+
+    try {
+      const notification = await q.run(
+        "INSERT INTO notifications (type, title, message, related_id, condominium_id, created_at) VALUES ('admin_message', ?, ?, ?, ?, CURRENT_TIMESTAMP)",
+        ['📜 Deliberações da assembleia', `${assembleia.condominium_name}: ${title}`, messageId, assembleia.condominium_id]
+      );
+      const unitIds = [...new Set(recipients.flatMap(r => r.units.map(u => u.fracao_id)))];
+      await new Promise((resolve, reject) => {
+        linkNotificationToUsers(notification.lastID, [assembleia.condominium_id], 'assembleia', (err) => (err ? reject(err) : resolve()), unitIds);
+      });
+    } catch (error) {
+      console.error('Error notifying deliberations:', error);
+    }
+
+    const ata = minutes.file_id ? await q.get('SELECT original_filename, file_path FROM assembleia_files WHERE id = ?', [minutes.file_id]) : null;
+    for (const [i, r] of recipients.entries()) {
+      const email = r.email1 && String(r.email1).trim();
+      if (!email || !mailer.allowsEmail(r.permite_email)) continue;
+      try {
+        const attachments = [{ filename: `deliberacoes-${assembleia.id}.pdf`, content: renderNotices([letterOf(r)]) }];
+        if (ata && fs.existsSync(ata.file_path)) attachments.push({ filename: ata.original_filename, content: fs.readFileSync(ata.file_path) });
+        await mailer.sendMail({
+          to: email,
+          subject: `${assembleia.condominium_name} - ${title}`,
+          text: `Exmo(a). Sr(a). ${r.nome || ''},\n\n${summary}\n\nSeguem em anexo a comunicação das deliberações e a ata da assembleia.` +
+            `\n\nCom os melhores cumprimentos,\nA administração do condomínio ${assembleia.condominium_name}`,
+          attachments
+        });
+        await q.run('UPDATE assembleia_deliberation_notices SET email = ?, emailed_at = CURRENT_TIMESTAMP WHERE id = ?', [email, ids[i]]);
+      } catch (error) {
+        console.error(`Error e-mailing deliberations to user ${r.user_id}:`, error.message);
+      }
+    }
+    return noticesOf(assembleia.id, ids);
+  }
+
+  function noticesOf(assembleiaId, ids = null) {
+    return q.all(
+      `SELECT n.*, u.nome, ad.username AS sent_by_username
+       FROM assembleia_deliberation_notices n JOIN users u ON u.id = n.user_id LEFT JOIN admins ad ON ad.id = n.sent_by
+       WHERE n.assembleia_id = ? ${ids ? `AND n.id IN (${ids.map(() => '?').join(',')})` : ''}
+       ORDER BY n.sent_at DESC, u.nome`,
+      [assembleiaId, ...(ids || [])]
+    );
+  }
+
+  /** The latest communication of deliberations sent to a user for an assembleia, if any. */
+  function noticeOf(userId, assembleiaId) {
+    return q.get(
+      'SELECT * FROM assembleia_deliberation_notices WHERE assembleia_id = ? AND user_id = ? ORDER BY sent_at DESC, id DESC LIMIT 1',
+      [assembleiaId, userId]
+    );
+  }
+
+  const router = express.Router();
+
+  // The ata (null until created), the text drawn up from the assembleia's records and the
+  // signatories proposed from the attendance register
+  router.get('/api/assembleias/:id/minutes', async (req, res) => {
+    try {
+      const assembleia = await assembleias.load(req.params.id);
+      if (!assembleia) return res.status(404).json({ error: 'Assembleia não encontrada' });
+      const { content, register } = await prefillOf(assembleia);
+      res.json({
+        assembleia_id: assembleia.id,
+        statuses: STATUSES,
+        minutes: await minutesOf(assembleia.id),
+        prefill: content,
+        suggested_signatories: suggestedSignatories(register)
+      });
+    } catch (error) {
+      console.error('Error fetching minutes:', error);
+      res.status(500).json({ error: 'Erro ao buscar a ata' });
+    }
+  });
+
+  // Creates the ata: { number, content } (the text drawn up from the records by default)
+  router.post('/api/assembleias/:id/minutes', async (req, res) => {
+    const body = req.body || {};
+    const { minutes, error } = readMinutes(body, true);
+    if (error) return res.status(400).json({ error });
+    try {
+      const assembleia = await assembleias.load(req.params.id);
+      if (!assembleia) return res.status(404).json({ error: 'Assembleia não encontrada' });
+      if (await loadMinutes(assembleia.id)) return res.status(409).json({ error: 'A ata desta assembleia já foi criada' });
+      const content = minutes.content || (await prefillOf(assembleia)).content;
+      await q.run(
+        'INSERT INTO assembleia_minutes (assembleia_id, number, content, created_by, updated_by) VALUES (?, ?, ?, ?, ?)',
+        [assembleia.id, minutes.number || null, content, req.auth.id, req.auth.id]
+      );
+      res.status(201).json(await minutesOf(assembleia.id));
+    } catch (err) {
+      if (err.message && err.message.includes('UNIQUE constraint failed')) {
+        return res.status(409).json({ error: 'A ata desta assembleia já foi criada' });
+      }
+      console.error('Error creating minutes:', err);
+      res.status(500).json({ error: 'Erro ao criar a ata' });
+    }
+  });
+
+  // { number, content }, while a draft
+  router.put('/api/assembleias/:id/minutes', async (req, res) => {
+    const { minutes: changes, error } = readMinutes(req.body || {}, true);
+    if (error) return res.status(400).json({ error });
+    const columns = Object.keys(changes);
+    if (!columns.length) return res.status(400).json({ error: 'No fields to update' });
+    try {
+      const { minutes } = await contextOf(req.params.id, ['draft'], 'A ata só pode ser alterada enquanto é rascunho');
+      await q.run(
+        `UPDATE assembleia_minutes SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...columns.map(c => changes[c]), req.auth.id, minutes.id]
+      );
+      res.json(await minutesOf(minutes.assembleia_id));
+    } catch (err) {
+      fail(res, err, 'updating minutes', 'Erro ao atualizar a ata');
+    }
+  });
+
+  router.delete('/api/assembleias/:id/minutes', async (req, res) => {
+    try {
+      const { minutes } = await contextOf(req.params.id, ['draft'], 'Só se pode eliminar a ata enquanto é rascunho');
+      await transaction(async (t) => {
+        await t.run('DELETE FROM assembleia_minutes_signatories WHERE minutes_id = ?', [minutes.id]);
+        await t.run('DELETE FROM assembleia_minutes WHERE id = ?', [minutes.id]);
+      });
+      res.json({ success: true, deleted: minutes.id });
+    } catch (error) {
+      fail(res, error, 'deleting minutes', 'Erro ao eliminar a ata');
+    }
+  });
+
+  // Draft -> under review; the figures of a closed assembleia no longer change
+  router.post('/api/assembleias/:id/minutes/submit', async (req, res) => {
+    try {
+      const { assembleia, minutes } = await contextOf(req.params.id, ['draft'], 'A ata já foi submetida para revisão');
+      if (!assembleias.isClosed(assembleia)) return res.status(409).json({ error: 'Encerre a assembleia antes de submeter a ata para revisão' });
+      await q.run(
+        "UPDATE assembleia_minutes SET status = 'under_review', submitted_at = CURRENT_TIMESTAMP, updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [req.auth.id, minutes.id]
+      );
+      res.json(await minutesOf(assembleia.id));
+    } catch (error) {
+      fail(res, error, 'submitting minutes', 'Erro ao submeter a ata');
+    }
+  });
+
+  // Under review -> draft, for corrections; the signatures collected no longer apply
+  router.post('/api/assembleias/:id/minutes/reopen', async (req, res) => {
+    try {
+      const { minutes } = await contextOf(req.params.id, ['under_review'], 'Só uma ata em revisão pode voltar a rascunho');
+      await transaction(async (t) => {
+        await t.run('UPDATE assembleia_minutes_signatories SET signed_at = NULL, recorded_by = NULL WHERE minutes_id = ?', [minutes.id]);
+        await t.run(
+          "UPDATE assembleia_minutes SET status = 'draft', submitted_at = NULL, updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+          [req.auth.id, minutes.id]
+        );
+      });
+      res.json(await minutesOf(minutes.assembleia_id));
+    } catch (error) {
+      fail(res, error, 'reopening minutes', 'Erro ao reabrir a ata');
+    }
+  });
+
+  // Adds a signatory: { name, role, user_id }
+  router.post('/api/assembleias/:id/minutes/signatories', async (req, res) => {
+    const { signatory, error } = readSignatory(req.body || {});
+    if (error) return res.status(400).json({ error });
+    try {
+      const { minutes } = await contextOf(req.params.id, ['draft', 'under_review'], 'A ata já está assinada');
+      const last = await q.get('SELECT MAX(position) AS position FROM assembleia_minutes_signatories WHERE minutes_id = ?', [minutes.id]);
+      await q.run(
+        'INSERT INTO assembleia_minutes_signatories (minutes_id, position, name, role, user_id) VALUES (?, ?, ?, ?, ?)',
+        [minutes.id, (last.position || 0) + 1, signatory.name, signatory.role, signatory.user_id]
+      );
+      res.status(201).json(await minutesOf(minutes.assembleia_id));
+    } catch (err) {
+      fail(res, err, 'adding signatory', 'Erro ao adicionar o signatário');
+    }
+  });
+
+  router.delete('/api/assembleias/:id/minutes/signatories/:signatoryId', async (req, res) => {
+    try {
+      const { minutes } = await contextOf(req.params.id, ['draft', 'under_review'], 'A ata já está assinada');
+      const removed = await q.run('DELETE FROM assembleia_minutes_signatories WHERE id = ? AND minutes_id = ?', [req.params.signatoryId, minutes.id]);
+      if (!removed.changes) return res.status(404).json({ error: 'Signatário não encontrado' });
+      res.json(await minutesOf(minutes.assembleia_id));
+    } catch (error) {
+      fail(res, error, 'removing signatory', 'Erro ao remover o signatário');
+    }
+  });
+
+  // Records that a signatory signed the ata under review: { signed }
+  router.put('/api/assembleias/:id/minutes/signatories/:signatoryId/signature', async (req, res) => {
+    const signed = (req.body || {}).signed !== false;
+    try {
+      const { minutes } = await contextOf(req.params.id, ['under_review'], 'Só se recolhem assinaturas de uma ata em revisão');
+      const updated = await q.run(
+        `UPDATE assembleia_minutes_signatories SET signed_at = ${signed ? 'CURRENT_TIMESTAMP' : 'NULL'}, recorded_by = ?
+         WHERE id = ? AND minutes_id = ?`,
+        [signed ? req.auth.id : null, req.params.signatoryId, minutes.id]
+      );
+      if (!updated.changes) return res.status(404).json({ error: 'Signatário não encontrado' });
+      res.json(await minutesOf(minutes.assembleia_id));
+    } catch (error) {
+      fail(res, error, 'recording signature', 'Erro ao registar a assinatura');
+    }
+  });
+
+  // Signs the ata once every signatory has: the final PDF goes to the assembleia's files
+  router.post('/api/assembleias/:id/minutes/sign', async (req, res) => {
+    let filePath = null;
+    try {
+      const { assembleia, minutes } = await contextOf(req.params.id, ['under_review'], 'Só uma ata em revisão pode ser assinada');
+      const signatories = await signatoriesOf(minutes.id);
+      if (!signatories.length) return res.status(400).json({ error: 'Indique quem assina a ata' });
+      const missing = signatories.filter(s => !s.signed_at);
+      if (missing.length) return res.status(409).json({ error: `Falta a assinatura de ${joinList(missing.map(s => s.name))}` });
+
+      const buffer = renderMinutes(assembleia, { ...minutes, status: 'signed' }, signatories, await attendance.attendanceOf(assembleia));
+      const filename = `ata-${assembleia.id}-${Date.now()}.pdf`;
+      filePath = path.join(uploadsDir, filename);
+      fs.writeFileSync(filePath, buffer);
+
+      await transaction(async (t) => {
+        const file = await t.run(
+          'INSERT INTO assembleia_files (assembleia_id, filename, original_filename, file_path, mime_type, file_size) VALUES (?, ?, ?, ?, ?, ?)',
+          [assembleia.id, filename, `${minutes.number ? `Ata n.º ${minutes.number}` : 'Ata'} - ${assembleia.title}.pdf`, filePath, 'application/pdf', buffer.length]
+        );
+        const updated = await t.run(
+          `UPDATE assembleia_minutes SET status = 'signed', file_id = ?, signed_at = CURRENT_TIMESTAMP, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ? AND status = 'under_review'`,
+          [file.lastID, req.auth.id, minutes.id]
+        );
+        if (!updated.changes) throw new Error('Minutes changed meanwhile');
+      });
+      res.json(await minutesOf(assembleia.id));
+    } catch (error) {
+      if (filePath) fs.unlink(filePath, () => {});
+      fail(res, error, 'signing minutes', 'Erro ao assinar a ata');
+    }
+  });
+
+  // The ata as it stands (the signed PDF once signed)
+  router.get('/api/assembleias/:id/minutes/pdf', async (req, res) => {
+    try {
+      const { assembleia, minutes } = await contextOf(req.params.id);
+      const file = minutes.file_id ? await q.get('SELECT * FROM assembleia_files WHERE id = ?', [minutes.file_id]) : null;
+      if (file && fs.existsSync(path.resolve(file.file_path))) return res.download(path.resolve(file.file_path), file.original_filename);
+      sendPdf(res, `ata-${assembleia.id}.pdf`, renderMinutes(assembleia, minutes, await signatoriesOf(minutes.id), await attendance.attendanceOf(assembleia)));
+    } catch (error) {
+      fail(res, error, 'rendering minutes', 'Erro ao gerar a ata');
+    }
+  });
+
+  // The absent owners to communicate the deliberations to, the deadline and the communications
+  // sent with their delivery
+  router.get('/api/assembleias/:id/deliberation-notices', async (req, res) => {
+    try {
+      const assembleia = await assembleias.load(req.params.id);
+      if (!assembleia) return res.status(404).json({ error: 'Assembleia não encontrada' });
+      const minutes = await loadMinutes(assembleia.id);
+      const { recipients, unitsWithout } = await absentRecipientsOf(assembleia);
+      const notices = await noticesOf(assembleia.id);
+      const deadline = addDays(assembleia.date, NOTICE_DAYS);
+      const pending = recipients.filter(r => !notices.some(n => n.user_id === r.user_id));
+      res.json({
+        minutes_status: minutes ? minutes.status : null,
+        deadline,
+        days_left: daysBetween(today(), deadline),
+        overdue: pending.length > 0 && today() > deadline,
+        recipients: recipients.map(r => {
+          const last = notices.find(n => n.user_id === r.user_id);
+          return { user_id: r.user_id, nome: r.nome, units: r.units, email1: r.email1 || null, last_notice_id: last ? last.id : null, notified_at: last ? last.sent_at : null };
+        }),
+        units_without_recipients: unitsWithout,
+        notices: notices.map(toNotice)
+      });
+    } catch (error) {
+      console.error('Error fetching deliberation notices:', error);
+      res.status(500).json({ error: 'Erro ao buscar as comunicações de deliberações' });
+    }
+  });
+
+  // Sends the communication: { user_ids } (default: every absent owner); the ata must be signed
+  router.post('/api/assembleias/:id/deliberation-notices', async (req, res) => {
+    const body = req.body || {};
+    if (body.user_ids !== undefined && !Array.isArray(body.user_ids)) return res.status(400).json({ error: 'user_ids tem de ser uma lista' });
+    try {
+      const { assembleia, minutes } = await contextOf(req.params.id, ['signed'], 'Assine a ata antes de comunicar as deliberações');
+      const notices = await send(assembleia, minutes, body.user_ids ? body.user_ids.map(Number) : null, req.auth.id);
+      const deadline = addDays(assembleia.date, NOTICE_DAYS);
+      res.status(201).json({
+        success: true,
+        sent: notices.length,
+        emailed: notices.filter(n => n.emailed_at).length,
+        admin_message_id: notices[0].admin_message_id,
+        warning: today() > deadline ? `O prazo de ${NOTICE_DAYS} dias para comunicar as deliberações terminou a ${formatDate(deadline)}` : null,
+        notices: notices.map(toNotice)
+      });
+    } catch (error) {
+      fail(res, error, 'sending deliberation notices', 'Erro ao comunicar as deliberações');
+    }
+  });
+
+  // Every letter of the latest communication to each absent owner, for posting
+  router.get('/api/assembleias/:id/deliberation-notices/pdf', async (req, res) => {
+    try {
+      const notices = (await noticesOf(req.params.id)).filter((n, i, all) => all.findIndex(o => o.user_id === n.user_id) === i);
+      if (!notices.length) return res.status(404).json({ error: 'As deliberações ainda não foram comunicadas' });
+      sendPdf(res, `deliberacoes-${req.params.id}.pdf`, renderNotices(notices.map(parseNotice)));
+    } catch (error) {
+      console.error('Error rendering deliberation notices:', error);
+      res.status(500).json({ error: 'Erro ao gerar as comunicações' });
+    }
+  });
+
+  // Delivery of the registered letter: { registered_mail, letter_sent_at, delivered_at, returned, notes }
+  router.put('/api/assembleia-deliberation-notices/:id', async (req, res) => {
+    const { delivery, error } = readDelivery(req.body || {});
+    if (error) return res.status(400).json({ error });
+    const columns = Object.keys(delivery);
+    if (!columns.length) return res.status(400).json({ error: 'No fields to update' });
+    try {
+      const existing = await q.get('SELECT * FROM assembleia_deliberation_notices WHERE id = ?', [req.params.id]);
+      if (!existing) return res.status(404).json({ error: 'Comunicação não encontrada' });
+      const merged = { ...existing, ...delivery };
+      if (merged.delivered_at && !merged.letter_sent_at) return res.status(400).json({ error: 'Indique a data de envio da carta' });
+      if (merged.delivered_at && merged.delivered_at < merged.letter_sent_at) {
+        return res.status(400).json({ error: 'A data de entrega não pode ser anterior à de envio' });
+      }
+      await q.run(
+        `UPDATE assembleia_deliberation_notices SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...columns.map(c => delivery[c]), existing.id]
+      );
+      const [notice] = await noticesOf(existing.assembleia_id, [existing.id]);
+      res.json({ success: true, notice: toNotice(notice) });
+    } catch (err) {
+      console.error('Error updating deliberation notice:', err);
+      res.status(500).json({ error: 'Erro ao registar a entrega' });
+    }
+  });
+
+  router.get('/api/assembleia-deliberation-notices/:id/pdf', async (req, res) => {
+    try {
+      const notice = await q.get('SELECT * FROM assembleia_deliberation_notices WHERE id = ?', [req.params.id]);
+      if (!notice) return res.status(404).json({ error: 'Comunicação não encontrada' });
+      sendPdf(res, `deliberacoes-${notice.assembleia_id}-${notice.id}.pdf`, renderNotices([parseNotice(notice)]));
+    } catch (error) {
+      console.error('Error rendering deliberation notice:', error);
+      res.status(500).json({ error: 'Erro ao gerar a comunicação' });
+    }
+  });
+
+  // The resident's own communication; the first download by the resident is recorded
+  router.get('/api/users/:userId/assembleias/:assembleiaId/deliberations/pdf', async (req, res) => {
+    try {
+      const notice = await noticeOf(req.params.userId, req.params.assembleiaId);
+      if (!notice) return res.status(404).json({ error: 'As deliberações desta assembleia não lhe foram comunicadas' });
+      if (req.auth.role === 'resident' && !notice.read_at) {
+        await q.run('UPDATE assembleia_deliberation_notices SET read_at = CURRENT_TIMESTAMP WHERE id = ?', [notice.id]);
+      }
+      sendPdf(res, `deliberacoes-${notice.assembleia_id}.pdf`, renderNotices([parseNotice(notice)]));
+    } catch (error) {
+      console.error('Error rendering resident deliberation notice:', error);
+      res.status(500).json({ error: 'Erro ao gerar a comunicação' });
+    }
+  });
+
+  return {
+    STATUSES,
+    NOTICE_DAYS,
+    minutesOf,
+    noticeOf,
+    router
+  };
+};
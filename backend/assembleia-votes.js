@@ -0,0 +1,213 @@
+const express = require('express');
+
+// Votes on the agenda items of an assembleia. Each unit present or represented (see
+// assembleia-attendance.js) votes for, against or abstains, weighing its permilagem; the ballots
+// cast electronically (assembleia-evoting.js) count for units that did not vote in the room. The
+// item passes by the majority set on it:
+// - simple: more than half of the permilagem attending (present, represented or remote);
+// - two_thirds: at least two thirds of the building's total value (e.g. works that are
+//   innovations, Código Civil, art. 1425.º);
+// - unanimity: every unit of the building votes for.
+// Nothing passes without quorum. Closing the assembleia (status 'closed') keeps each item's votes
+// and result as they stood, which is what residents see.
+
+const round = (n) => Math.round(n * 1000) / 1000;
+const sum = (units) => round(units.reduce((total, u) => total + (u.permilagem || 0), 0));
+
+const RULES = {
+  simple: {
+    required: 'mais de metade da permilagem presente, representada ou com voto eletrónico',
+    threshold: (t) => t.attending_permilagem / 2,
+    passes: (t) => t.for.permilagem > t.attending_permilagem / 2
+  },
+  two_thirds: {
+    required: 'dois terços do valor total do prédio',
+    threshold: (t) => (t.total_permilagem * 2) / 3,
+    passes: (t) => round(t.for.permilagem * 3) >= round(t.total_permilagem * 2)
+  },
+  unanimity: {
+    required: 'todos os condóminos',
+    threshold: (t) => t.total_permilagem,
+    passes: (t) => t.total_units > 0 && t.for.units === t.total_units
+  }
+};
+
+/**
+ * Counts an item's votes.
+ * @param {string} majority - key of RULES
+ * @param {{fracao_id: number, permilagem: ?number, status: string}[]} units - every unit of the condominium with its attendance
+ * @param {Object<number, string>} votes - vote per unit id
+ * @param {?string} call - the call the assembleia has quorum for (attendance quorum), null if none
+ */
+function tallyOf(majority, units, votes, call) {
+  const attending = units.filter(u => u.status !== 'absent');
+  const count = (list) => ({ units: list.length, permilagem: sum(list) });
+  const tally = {
+    majority,
+    required: RULES[majority].required,
+    for: count(attending.filter(u => votes[u.fracao_id] === 'for')),
+    against: count(attending.filter(u => votes[u.fracao_id] === 'against')),
+    abstain: count(attending.filter(u => votes[u.fracao_id] === 'abstain')),
+    not_voted: count(attending.filter(u => !votes[u.fracao_id])),
+    attending_permilagem: sum(attending),
+    total_permilagem: sum(units),
+    total_units: units.length,
+    quorum_met: call !== null
+  };
+  tally.required_permilagem = round(RULES[majority].threshold(tally));
+  tally.passed = tally.quorum_met && RULES[majority].passes(tally);
+  return tally;
+}
+
+/**
+ * @param {import('sqlite3').Database} db - shared connection
+ * @param {object} options
+ * @param {function} options.transaction - runs work in a write transaction (transactions.js)
+ * @param {object} options.assembleias - assembleias module (assembleias.js)
+ * @param {object} options.attendance - attendance module (assembleia-attendance.js)
+ * @param {object} options.evoting - electronic voting module (assembleia-evoting.js)
+ */
+module.exports = function(db, { transaction, assembleias, attendance, evoting }) {
+  const q = require('./transactions').queries(db);
+
+  /**
+   * The items put to the vote with each unit's vote and the result: as they stood at closing
+   * for a closed assembleia, counted now otherwise.
+   */
+  async function resultsOf(assembleia) {
+    const agenda = (await assembleias.agendaOf(assembleia.id)).filter(i => i.majority);
+    if (assembleia.closed_at) {
+      return {
+        closed: true,
+        closed_at: assembleia.closed_at,
+        items: agenda.map(i => ({ ...assembleias.toAgendaItem(i), ...(i.result ? JSON.parse(i.result) : { votes: [], result: null }) }))
+      };
+    }
+
+    const { units, quorum } = await attendance.attendanceOf(assembleia);
+    const rows = await q.all('SELECT agenda_item_id, fracao_id, vote FROM assembleia_votes WHERE assembleia_id = ?', [assembleia.id]);
+    const ballots = await evoting.ballotsOf(assembleia.id);
+    const items = agenda.map(i => {
+      const votes = {};
+      const sources = {};
+      ballots.filter(b => b.agenda_item_id === i.id).forEach(b => { votes[b.fracao_id] = b.vote; sources[b.fracao_id] = 'electronic'; });
+      rows.filter(r => r.agenda_item_id === i.id).forEach(r => { votes[r.fracao_id] = r.vote; sources[r.fracao_id] = 'in_person'; });
+      return {
+        ...assembleias.toAgendaItem(i),
+        votes: units.filter(u => u.status !== 'absent').map(u => ({
+          fracao_id: u.fracao_id,
+          identifier: u.identifier,
+          permilagem: u.permilagem,
+          status: u.status,
+          vote: votes[u.fracao_id] || null,
+          source: sources[u.fracao_id] || null
+        })),
+        result: tallyOf(i.majority, units, votes, quorum.call)
+      };
+    });
+    return { closed: false, closed_at: null, quorum, items };
+  }
+
+  /** Keeps the votes and result of each item as they stand; called when the assembleia closes. */
+  async function close(assembleia) {
+    if (assembleia.closed_at) return;
+    const { items } = await resultsOf(assembleia);
+    await transaction(async (t) => {
+      for (const item of items) {
+        await t.run('UPDATE assembleia_agenda_items SET result = ? WHERE id = ?', [JSON.stringify({ votes: item.votes, result: item.result }), item.id]);
+      }
+      await t.run('UPDATE assembleias SET closed_at = CURRENT_TIMESTAMP WHERE id = ? AND closed_at IS NULL', [assembleia.id]);
+    });
+  }
+
+  // What residents see: the result of each item, without the vote of each unit
+  const publish = (results) => results.items.map(({ votes, ...item }) => item);
+
+  const router = express.Router();
+
+  router.get('/api/assembleias/:id/votes', async (req, res) => {
+    try {
+      const assembleia = await assembleias.load(req.params.id);
+      if (!assembleia) return res.status(404).json({ error: 'Assembleia não encontrada' });
+      res.json({ assembleia_id: assembleia.id, votes: assembleias.VOTES, majorities: assembleias.MAJORITIES, ...await resultsOf(assembleia) });
+    } catch (error) {
+      console.error('Error fetching votes:', error);
+      res.status(500).json({ error: 'Erro ao buscar as votações' });
+    }
+  });
+
+  // Records votes on an item: { votes: [{ fracao_id, vote }] }, a null vote clearing the unit's
+  router.put('/api/assembleias/:id/agenda/:itemId/votes', async (req, res) => {
+    const entries = (req.body || {}).votes;
+    if (!Array.isArray(entries) || !entries.length) return res.status(400).json({ error: 'votes tem de ser uma lista não vazia' });
+    if (entries.some(e => !e || !Number.isInteger(Number(e.fracao_id)) || (e.vote !== null && !assembleias.VOTES[e.vote]))) {
+      return res.status(400).json({ error: `Indique a fração e o voto (${Object.keys(assembleias.VOTES).join(', ')} ou null)` });
+    }
+    try {
+      const assembleia = await assembleias.load(req.params.id);
+      if (!assembleia) return res.status(404).json({ error: 'Assembleia não encontrada' });
+      if (assembleias.isClosed(assembleia)) return res.status(409).json({ error: 'A assembleia está encerrada' });
+      const item = await q.get('SELECT * FROM assembleia_agenda_items WHERE id = ? AND assembleia_id = ?', [req.params.itemId, assembleia.id]);
+      if (!item) return res.status(404).json({ error: 'Ponto da ordem de trabalhos não encontrado' });
+      if (!item.majority) return res.status(400).json({ error: 'Este ponto da ordem de trabalhos não é votado; defina a maioria necessária' });
+
+      const { units } = await attendance.attendanceOf(assembleia);
+      for (const entry of entries) {
+        const unit = units.find(u => u.fracao_id === Number(entry.fracao_id));
+        if (!unit) return res.status(400).json({ error: `A fração ${entry.fracao_id} não pertence a este condomínio` });
+        if (unit.status !== 'present' && unit.status !== 'represented') {
+          return res.status(400).json({ error: `A fração ${unit.identifier} não está presente nem representada` });
+        }
+      }
+
+      await transaction(async (t) => {
+        for (const entry of entries) {
+          if (entry.vote === null) {
+            await t.run('DELETE FROM assembleia_votes WHERE agenda_item_id = ? AND fracao_id = ?', [item.id, entry.fracao_id]);
+          } else {
+            await t.run(
+              `INSERT INTO assembleia_votes (assembleia_id, agenda_item_id, fracao_id, vote, recorded_by) VALUES (?, ?, ?, ?, ?)
+               ON CONFLICT(agenda_item_id, fracao_id) DO UPDATE SET vote = excluded.vote, recorded_by = excluded.recorded_by, updated_at = CURRENT_TIMESTAMP`,
+              [assembleia.id, item.id, entry.fracao_id, entry.vote, req.auth.id]
+            );
+          }
+        }
+      });
+
+      const results = await resultsOf(assembleia);
+      res.json({ success: true, item: results.items.find(i => i.id === item.id), quorum: results.quorum });
+    } catch (error) {
+      console.error('Error recording votes:', error);
+      res.status(500).json({ error: 'Erro ao registar as votações' });
+    }
+  });
+
+  // Results of a closed assembleia for a resident of its condominium
+  router.get('/api/users/:userId/assembleias/:assembleiaId/results', async (req, res) => {
+    try {
+      const member = await q.get(
+        `SELECT a.id FROM assembleias a JOIN user_condominiums uc ON uc.condominium_id = a.condominium_id
+         WHERE uc.user_id = ? AND a.id = ?`,
+        [req.params.userId, req.params.assembleiaId]
+      );
+      if (!member) return res.status(404).json({ error: 'Assembleia não encontrada' });
+      const assembleia = await assembleias.load(member.id);
+      if (!assembleias.isClosed(assembleia)) {
+        return res.status(409).json({ error: 'Os resultados das votações são publicados quando a assembleia é encerrada' });
+      }
+      const results = await resultsOf(assembleia);
+      res.json({ assembleia_id: assembleia.id, closed_at: results.closed_at, items: publish(results) });
+    } catch (error) {
+      console.error('Error fetching results:', error);
+      res.status(500).json({ error: 'Erro ao buscar os resultados das votações' });
+    }
+  });
+
+  return {
+    tallyOf,
+    resultsOf,
+    close,
+    publish,
+    router
+  };
+};
@@ -0,0 +1,594 @@
+const express = require('express');
+const pdf = require('./pdf');
+const mailer = require('./mailer');
+
+// Assembleia agenda (ordem de trabalhos) and convocations. The first call is the assembleia's
+// own date and time; when no second call is set, the law fixes it a week later at the same time
+// and place (Código Civil, art. 1432.º). Sending the convocation writes a letter per owner (and
+// legal representative) naming their units and permilagem, delivered as an admin message
+// addressed to them, a portal notification and, when they allow it, an e-mail with the letter.
+// Each recipient's convocation is recorded with what it announced and when it was sent, e-mailed
+// and first downloaded, as proof of notice; sending again (e.g. after changing the agenda)
+// records new convocations and keeps the earlier ones.
+
+// Days of notice required before the first call
+const NOTICE_DAYS = 10;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const validDate = (v) => typeof v === 'string' && DATE_PATTERN.test(v) && !isNaN(new Date(`${v}T00:00:00Z`).getTime());
+const validTime = (v) => typeof v === 'string' && TIME_PATTERN.test(v);
+const today = () => new Date().toISOString().slice(0, 10);
+const formatDate = (value) => (value ? String(value).slice(0, 10).split('-').reverse().join('/') : '');
+const formatTime = (value) => String(value || '').slice(0, 5).replace(':', 'h');
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+const formatPermilagem = (value) => (value === null || value === undefined
+  ? 'permilagem não definida'
+  : `${String(Math.round(value * 1000) / 1000).replace('.', ',')}‰`);
+
+const ROLE_LABELS = { owner: 'proprietário(a)', representative: 'representante legal' };
+
+// How an agenda item is decided when put to the vote (see assembleia-votes.js); items without a
+// majority are not voted (e.g. information to the owners)
+const MAJORITIES = {
+  simple: 'Maioria simples',
+  two_thirds: 'Maioria de dois terços',
+  unanimity: 'Unanimidade'
+};
+
+const VOTES = {
+  for: 'A favor',
+  against: 'Contra',
+  abstain: 'Abstenção'
+};
+
+// Once closed, the agenda, attendance and votes of an assembleia are kept as they were
+const isClosed = (assembleia) => assembleia.status === 'closed';
+
+/**
+ * Validates the second call from a request body ({ second_call_date, second_call_time }, both
+ * or neither) against the first call; it must come after it.
+ * @returns {{values?: {second_call_date: ?string, second_call_time: ?string}, error?: string}}
+ */
+function readSecondCall(body, first) {
+  const date = body.second_call_date || null;
+  const time = body.second_call_time || null;
+  if (!date && !time) return { values: { second_call_date: null, second_call_time: null } };
+  if (!validDate(date) || !validTime(time)) return { error: 'Indique a data (AAAA-MM-DD) e a hora (HH:MM) da segunda convocatória' };
+  if (`${date} ${time.slice(0, 5)}` <= `${first.date} ${String(first.time || '').slice(0, 5)}`) {
+    return { error: 'A segunda convocatória tem de ser posterior à primeira' };
+  }
+  return { values: { second_call_date: date, second_call_time: time.slice(0, 5) } };
+}
+
+/** The second call as set, or by default a week after the first at the same time. */
+function secondCallOf(assembleia) {
+  if (assembleia.second_call_date) {
+    return { date: assembleia.second_call_date, time: assembleia.second_call_time, default: false };
+  }
+  const date = new Date(`${String(assembleia.date).slice(0, 10)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 7);
+  return { date: date.toISOString().slice(0, 10), time: assembleia.time, default: true };
+}
+
+function readAgendaItem(body, partial) {
+  const item = {};
+  if (body.title !== undefined || !partial) {
+    item.title = String(body.title || '').trim();
+    if (!item.title) return { error: 'Indique o assunto do ponto da ordem de trabalhos' };
+    if (item.title.length > 300) return { error: 'O assunto não pode ter mais de 300 caracteres' };
+  }
+  if (body.description !== undefined) item.description = String(body.description || '').trim() || null;
+  if (body.majority !== undefined) {
+    item.majority = body.majority || null;
+    if (item.majority && !MAJORITIES[item.majority]) return { error: `Maioria inválida (${Object.keys(MAJORITIES).join(', ')})` };
+  }
+  return { item };
+}
+
+const toAgendaItem = (i) => ({
+  id: i.id,
+  position: i.position,
+  title: i.title,
+  description: i.description,
+  majority: i.majority || null,
+  majority_label: MAJORITIES[i.majority] || null
+});
+
+function toConvocation(c) {
+  return {
+    id: c.id,
+    assembleia_id: c.assembleia_id,
+    user_id: c.user_id,
+    nome: c.nome || null,
+    units: JSON.parse(c.units),
+    permilagem: c.permilagem,
+    admin_message_id: c.admin_message_id,
+    email: c.email,
+    emailed_at: c.emailed_at,
+    read_at: c.read_at,
+    sent_by_username: c.sent_by_username || null,
+    sent_at: c.sent_at
+  };
+}
+
+function assembleiaError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * @param {import('sqlite3').Database} db - shared connection
+ * @param {object} options
+ * @param {function} options.transaction - runs work in a write transaction (transactions.js)
+ * @param {object} options.fracoes - units module (fracoes.js), for who is convoked
+ * @param {function} options.linkNotificationToUsers - server.js helper linking a notification to the people of some units
+ */
+module.exports = function(db, { transaction, fracoes, linkNotificationToUsers }) {
+  const q = require('./transactions').queries(db);
+
+  function fail(res, error, what, message) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error(`Error ${what}:`, error);
+    res.status(500).json({ error: message });
+  }
+
+  const loadAssembleia = (id) => q.get(
+    `SELECT a.*, c.name AS condominium_name, c.nipc AS condominium_nipc
+     FROM assembleias a JOIN condominiums c ON c.id = a.condominium_id WHERE a.id = ?`,
+    [id]
+  );
+
+  function agendaOf(assembleiaId, conn = q) {
+    return conn.all('SELECT * FROM assembleia_agenda_items WHERE assembleia_id = ? ORDER BY position, id', [assembleiaId]);
+  }
+
+  /**
+   * Who a convocation goes to: the owners and legal representatives of the condominium's units
+   * (or of `fracaoIds` only), one entry per person with the units they answer for, and the units
+   * with nobody to convoke.
+   */
+  async function recipientsOf(assembleia, fracaoIds = null) {
+    const units = (await q.all('SELECT id, identifier, permilagem FROM fracoes WHERE condominium_id = ? ORDER BY identifier', [assembleia.condominium_id]))
+      .filter(u => !fracaoIds || fracaoIds.includes(u.id));
+    const parties = await fracoes.partiesOf('assembleia', units.map(u => u.id));
+    const userIds = [...new Set(parties.map(p => p.user_id))];
+    const users = userIds.length
+      ? await q.all(`SELECT id, email1, permite_email FROM users WHERE id IN (${userIds.map(() => '?').join(',')})`, userIds)
+      : [];
+    const byUser = new Map();
+    for (const p of parties) {
+      const unit = units.find(u => u.id === p.fracao_id);
+      if (!byUser.has(p.user_id)) {
+        const user = users.find(u => u.id === p.user_id) || {};
+        byUser.set(p.user_id, { user_id: p.user_id, nome: p.nome, nif: p.nif, email1: user.email1, permite_email: user.permite_email, units: [] });
+      }
+      byUser.get(p.user_id).units.push({ fracao_id: unit.id, identifier: unit.identifier, permilagem: unit.permilagem, role: p.role });
+    }
+    const recipients = [...byUser.values()].map(r => ({
+      ...r,
+      permilagem: r.units.some(u => u.permilagem !== null)
+        ? Math.round(r.units.reduce((sum, u) => sum + (u.permilagem || 0), 0) * 1000) / 1000
+        : null
+    }));
+    return {
+      recipients,
+      unitsWithout: units.filter(u => !parties.some(p => p.fracao_id === u.id)).map(u => ({ fracao_id: u.id, identifier: u.identifier }))
+    };
+  }
+
+  /** What a convocation announces, as recorded with it. */
+  function announcementOf(assembleia, agenda) {
+    const second = secondCallOf(assembleia);
+    return {
+      issued_at: today(),
+      condominium: { name: assembleia.condominium_name, nipc: assembleia.condominium_nipc || null },
+      title: assembleia.title,
+      date: assembleia.date,
+      time: assembleia.time,
+      second_call: { date: second.date, time: second.time, default: second.default },
+      location: assembleia.location || null,
+      agenda: agenda.map(i => ({ title: i.title, description: i.description }))
+    };
+  }
+
+  // Whether what a convocation announced differs from `b` in anything but its date and recipient
+  const changed = (a, b) => JSON.stringify({ ...a, issued_at: null, recipient: null }) !== JSON.stringify({ ...b, issued_at: null, recipient: null });
+
+  function writeConvocation(doc, { details, units, permilagem }) {
+    const d = details;
+    const place = d.location ? `, em ${d.location}` : '';
+    doc.text(`Condomínio ${d.condominium.name}`, { size: 11, bold: true });
+    doc.text(d.condominium.nipc ? `NIPC ${d.condominium.nipc}` : 'NIPC não registado');
+    doc.space();
+    doc.text(`${d.recipient.nome}${d.recipient.nif ? ` (NIF ${d.recipient.nif})` : ''}`, { gap: 0 });
+    units.forEach(u => doc.text(`Fração ${u.identifier} — ${formatPermilagem(u.permilagem)}`, { gap: 0 }));
+    doc.space();
+    doc.text(formatDate(d.issued_at), { align: 'right' });
+    doc.heading('Assunto: convocatória da assembleia de condóminos', { size: 11 });
+    doc.text('Exmo(a). Senhor(a),', { gap: 8 });
+    const qualities = units.map(u => `${ROLE_LABELS[u.role] || 'condómino(a)'} da fração ${u.identifier} (${formatPermilagem(u.permilagem)})`);
+    const total = units.length > 1 && permilagem !== null ? `, que representam ${formatPermilagem(permilagem)} do valor total do prédio` : '';
+    doc.text(
+      `Nos termos do artigo 1432.º do Código Civil, convoca-se V. Ex.ª, na qualidade de ${qualities.join(' e de ')}${total}, ` +
+      `para a assembleia de condóminos do condomínio ${d.condominium.name} (${d.title}), que se realizará no dia ${formatDate(d.date)}, ` +
+      `às ${formatTime(d.time)}${place}, com a seguinte ordem de trabalhos:`,
+      { gap: 8 }
+    );
+    d.agenda.forEach((item, i) => {
+      doc.text(`${i + 1}. ${item.title}`, { bold: true, gap: item.description ? 1 : 4 });
+      if (item.description) doc.text(item.description);
+    });
+    doc.space(6);
+    doc.text(
+      'Se à hora marcada não estiverem presentes ou representados condóminos que representem mais de metade do valor total do prédio, ' +
+      `a assembleia reunirá em segunda convocatória no dia ${formatDate(d.second_call.date)}, às ${formatTime(d.second_call.time)}` +
+      `${d.second_call.default ? ', no mesmo local' : place}, podendo então deliberar por maioria dos votos dos condóminos presentes, ` +
+      'desde que estes representem pelo menos um quarto do valor total do prédio.',
+      { gap: 8 }
+    );
+    doc.text(
+      'Caso não possa estar presente, pode fazer-se representar por procurador, mediante procuração escrita entregue à administração ' +
+      'até ao início da reunião.',
+      { gap: 14 }
+    );
+    doc.text('Com os melhores cumprimentos,');
+    doc.text(`A administração do condomínio ${d.condominium.name}`);
+  }
+
+  function renderConvocations(convocations) {
+    const first = convocations[0].details;
+    const doc = pdf.document({ title: `Convocatória — ${first.title}`, footer: `${first.condominium.name} — Convocatória` });
+    convocations.forEach((c, i) => {
+      if (i) doc.page();
+      writeConvocation(doc, c);
+    });
+    return doc.toBuffer();
+  }
+
+  const letterOf = (recipient, announcement) => ({
+    details: { ...announcement, recipient: { nome: recipient.nome, nif: recipient.nif || null } },
+    units: recipient.units,
+    permilagem: recipient.permilagem
+  });
+
+  /** Title and summary of the convocation, for the admin message and the e-mail. */
+  function messageOf(announcement) {
+    const second = announcement.second_call;
+    return {
+      title: `Convocatória: ${announcement.title}`,
+      summary: `Convocatória da assembleia de condóminos do condomínio ${announcement.condominium.name}, ` +
+        `a realizar no dia ${formatDate(announcement.date)}, às ${formatTime(announcement.time)}` +
+        `${announcement.location ? `, em ${announcement.location}` : ''} ` +
+        `(segunda convocatória no dia ${formatDate(second.date)}, às ${formatTime(second.time)}).\n\n` +
+        `Ordem de trabalhos:\n${announcement.agenda.map((item, i) => `${i + 1}. ${item.title}`).join('\n')}`
+    };
+  }
+
+  /**
+   * Sends the convocation to the given users (default: everyone to convoke): an admin message
+   * addressed to them, a notification and an e-mail with their letter to those who allow it.
+   * @returns {Promise<object[]>} the convocation rows
+   */
+  async function send(assembleia, userIds, sentBy) {
+    const agenda = await agendaOf(assembleia.id);
+    if (!agenda.length) throw assembleiaError(400, 'Defina a ordem de trabalhos antes de enviar a convocatória');
+    const { recipients: all } = await recipientsOf(assembleia);
+    const recipients = userIds ? all.filter(r => userIds.includes(r.user_id)) : all;
+    if (!recipients.length) throw assembleiaError(400, userIds ? 'Os utilizadores indicados não são condóminos a convocar' : 'Não há condóminos a convocar');
+
+    const announcement = announcementOf(assembleia, agenda);
+    const message = messageOf(announcement);
+    const { messageId, ids } = await transaction(async (t) => {
+      const created = await t.run(
+        "INSERT INTO admin_messages (title, body, type, admin_id, created_at) VALUES (?, ?, 'convocatoria', ?, CURRENT_TIMESTAMP)",
+        [message.title, `${message.summary}\n\nA sua convocatória, com a identificação das suas frações e respetiva permilagem, ` +
+          'está disponível para download na página da assembleia.', sentBy]
+      );
+      const id = created.lastID;
+      await t.run('INSERT INTO admin_message_condominiums (message_id, condominium_id) VALUES (?, ?)', [id, assembleia.condominium_id]);
+      await t.run('INSERT INTO admin_message_targets (message_id, condominium_id) VALUES (?, ?)', [id, assembleia.condominium_id]);
+      const convocationIds = [];
+      for (const r of recipients) {
+        await t.run('INSERT INTO admin_message_recipients (message_id, user_id) VALUES (?, ?)', [id, r.user_id]);
+        const letter = letterOf(r, announcement);
+        const row = await t.run(
+          `INSERT INTO assembleia_convocations (assembleia_id, user_id, admin_message_id, units, permilagem, details, sent_by, sent_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+          [assembleia.id, r.user_id, id, JSON.stringify(letter.units), letter.permilagem, JSON.stringify(letter.details), sentBy]
+        );
+        convocationIds.push(row.lastID);
+      }
+      return { messageId: id, ids: convocationIds };
+    });
+
+    try {
+      const notification = await q.run(
+        "INSERT INTO notifications (type, title, message, related_id, condominium_id, created_at) VALUES ('admin_message', ?, ?, ?, ?, CURRENT_TIMESTAMP)",
+        ['📅 Convocatória', `${assembleia.condominium_name}: ${message.title}`, messageId, assembleia.condominium_id]
+      );
+      const unitIds = [...new Set(recipients.flatMap(r => r.units.map(u => u.fracao_id)))];
+      await new Promise((resolve, reject) => {
+        linkNotificationToUsers(notification.lastID, [assembleia.condominium_id], 'assembleia', (err) => (err ? reject(err) : resolve()), unitIds);
+      });
+    } catch (error) {
+      console.error('Error notifying convocation:', error);
+    }
+
+    for (const [i, r] of recipients.entries()) {
+      const email = r.email1 && String(r.email1).trim();
+      if (!email || !mailer.allowsEmail(r.permite_email)) continue;
+      try {
+        await mailer.sendMail({
+          to: email,
+          subject: `${assembleia.condominium_name} - ${message.title}`,
+          text: `Exmo(a). Sr(a). ${r.nome || ''},\n\n${message.summary}\n\nSegue em anexo a sua convocatória.` +
+            `\n\nCom os melhores cumprimentos,\nA administração do condomínio ${assembleia.condominium_name}`,
+          attachments: [{ filename: `convocatoria-${assembleia.id}.pdf`, content: renderConvocations([letterOf(r, announcement)]) }]
+        });
+        await q.run('UPDATE assembleia_convocations SET email = ?, emailed_at = CURRENT_TIMESTAMP WHERE id = ?', [email, ids[i]]);
+      } catch (error) {
+        console.error(`Error e-mailing convocation to user ${r.user_id}:`, error.message);
+      }
+    }
+    return q.all(
+      `SELECT c.*, u.nome, ad.username AS sent_by_username
+       FROM assembleia_convocations c JOIN users u ON u.id = c.user_id LEFT JOIN admins ad ON ad.id = c.sent_by
+       WHERE c.id IN (${ids.map(() => '?').join(',')}) ORDER BY u.nome`,
+      ids
+    );
+  }
+
+  /** The latest convocation sent to a user for an assembleia, if any. */
+  function convocationOf(userId, assembleiaId) {
+    return q.get(
+      'SELECT * FROM assembleia_convocations WHERE assembleia_id = ? AND user_id = ? ORDER BY sent_at DESC, id DESC LIMIT 1',
+      [assembleiaId, userId]
+    );
+  }
+
+  const sendPdf = (res, filename, buffer) => {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buffer);
+  };
+
+  const router = express.Router();
+
+  router.get('/api/assembleias/:id/agenda', async (req, res) => {
+    try {
+      const assembleia = await loadAssembleia(req.params.id);
+      if (!assembleia) return res.status(404).json({ error: 'Assembleia não encontrada' });
+      res.json((await agendaOf(assembleia.id)).map(toAgendaItem));
+    } catch (error) {
+      console.error('Error fetching agenda:', error);
+      res.status(500).json({ error: 'Erro ao buscar a ordem de trabalhos' });
+    }
+  });
+
+  // The assembleia, unless closed
+  async function openAssembleia(id, conn = q) {
+    const assembleia = await conn.get('SELECT * FROM assembleias WHERE id = ?', [id]);
+    if (!assembleia) throw assembleiaError(404, 'Assembleia não encontrada');
+    if (isClosed(assembleia)) throw assembleiaError(409, 'A assembleia está encerrada');
+    return assembleia;
+  }
+
+  // Electronic ballots are chained to each other (assembleia-evoting.js): the items they were cast
+  // on stay as voted
+  const hasBallots = async (itemId, conn = q) => !!(await conn.get('SELECT 1 AS found FROM assembleia_evotes WHERE agenda_item_id = ? LIMIT 1', [itemId]));
+
+  // Adds an item at the end of the agenda: { title, description, majority }
+  router.post('/api/assembleias/:id/agenda', async (req, res) => {
+    const { item, error } = readAgendaItem(req.body || {}, false);
+    if (error) return res.status(400).json({ error });
+    try {
+      const created = await transaction(async (t) => {
+        const assembleia = await openAssembleia(req.params.id, t);
+        const last = await t.get('SELECT MAX(position) AS position FROM assembleia_agenda_items WHERE assembleia_id = ?', [assembleia.id]);
+        return t.run(
+          'INSERT INTO assembleia_agenda_items (assembleia_id, position, title, description, majority) VALUES (?, ?, ?, ?, ?)',
+          [assembleia.id, (last.position || 0) + 1, item.title, item.description || null, item.majority || null]
+        );
+      });
+      res.status(201).json(toAgendaItem(await q.get('SELECT * FROM assembleia_agenda_items WHERE id = ?', [created.lastID])));
+    } catch (error) {
+      fail(res, error, 'adding agenda item', 'Erro ao adicionar o ponto da ordem de trabalhos');
+    }
+  });
+
+  // New order of the agenda: { item_ids } listing every item
+  router.put('/api/assembleias/:id/agenda/order', async (req, res) => {
+    const itemIds = (req.body || {}).item_ids;
+    if (!Array.isArray(itemIds)) return res.status(400).json({ error: 'item_ids tem de ser uma lista' });
+    try {
+      const agenda = await transaction(async (t) => {
+        await openAssembleia(req.params.id, t);
+        const items = await agendaOf(req.params.id, t);
+        const ids = itemIds.map(Number);
+        if (ids.length !== items.length || new Set(ids).size !== ids.length || !items.every(i => ids.includes(i.id))) {
+          throw assembleiaError(400, 'Indique todos os pontos da ordem de trabalhos, cada um uma vez');
+        }
+        for (const [i, id] of ids.entries()) {
+          await t.run('UPDATE assembleia_agenda_items SET position = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [i + 1, id]);
+        }
+        return agendaOf(req.params.id, t);
+      });
+      res.json(agenda.map(toAgendaItem));
+    } catch (error) {
+      fail(res, error, 'reordering agenda', 'Erro ao ordenar a ordem de trabalhos');
+    }
+  });
+
+  // { title, description, majority }; changing the majority of an item already voted counts its
+  // votes again under the new rule
+  router.put('/api/assembleias/:id/agenda/:itemId', async (req, res) => {
+    const { item, error } = readAgendaItem(req.body || {}, true);
+    if (error) return res.status(400).json({ error });
+    try {
+      await openAssembleia(req.params.id);
+      const existing = await q.get('SELECT * FROM assembleia_agenda_items WHERE id = ? AND assembleia_id = ?', [req.params.itemId, req.params.id]);
+      if (!existing) return res.status(404).json({ error: 'Ponto da ordem de trabalhos não encontrado' });
+      if ((item.title !== undefined || item.description !== undefined) && await hasBallots(existing.id)) {
+        return res.status(409).json({ error: 'Já há votos eletrónicos neste ponto; o assunto já não pode ser alterado' });
+      }
+      const columns = Object.keys(item);
+      if (columns.length) {
+        await q.run(
+          `UPDATE assembleia_agenda_items SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [...columns.map(c => item[c]), existing.id]
+        );
+      }
+      res.json(toAgendaItem(await q.get('SELECT * FROM assembleia_agenda_items WHERE id = ?', [existing.id])));
+    } catch (error) {
+      fail(res, error, 'updating agenda item', 'Erro ao atualizar o ponto da ordem de trabalhos');
+    }
+  });
+
+  router.delete('/api/assembleias/:id/agenda/:itemId', async (req, res) => {
+    try {
+      const deleted = await transaction(async (t) => {
+        await openAssembleia(req.params.id, t);
+        const existing = await t.get('SELECT * FROM assembleia_agenda_items WHERE id = ? AND assembleia_id = ?', [req.params.itemId, req.params.id]);
+        if (!existing) throw assembleiaError(404, 'Ponto da ordem de trabalhos não encontrado');
+        if (await hasBallots(existing.id, t)) throw assembleiaError(409, 'Já há votos eletrónicos neste ponto; não pode ser eliminado');
+        await t.run('DELETE FROM assembleia_votes WHERE agenda_item_id = ?', [existing.id]);
+        await t.run('DELETE FROM assembleia_agenda_items WHERE id = ?', [existing.id]);
+        await t.run('UPDATE assembleia_agenda_items SET position = position - 1 WHERE assembleia_id = ? AND position > ?', [existing.assembleia_id, existing.position]);
+        return existing.id;
+      });
+      res.json({ success: true, deleted });
+    } catch (error) {
+      fail(res, error, 'deleting agenda item', 'Erro ao eliminar o ponto da ordem de trabalhos');
+    }
+  });
+
+  // Who the convocation goes to, the units with nobody to convoke and the convocations sent
+  router.get('/api/assembleias/:id/convocations', async (req, res) => {
+    try {
+      const assembleia = await loadAssembleia(req.params.id);
+      if (!assembleia) return res.status(404).json({ error: 'Assembleia não encontrada' });
+      const agenda = await agendaOf(assembleia.id);
+      const { recipients, unitsWithout } = await recipientsOf(assembleia);
+      const sent = await q.all(
+        `SELECT c.*, u.nome, ad.username AS sent_by_username
+         FROM assembleia_convocations c JOIN users u ON u.id = c.user_id LEFT JOIN admins ad ON ad.id = c.sent_by
+         WHERE c.assembleia_id = ? ORDER BY c.sent_at DESC, c.id DESC`,
+        [assembleia.id]
+      );
+      const latest = sent.length ? JSON.parse(sent[0].details) : null;
+      const daysBefore = daysBetween(today(), String(assembleia.date).slice(0, 10));
+      res.json({
+        assembleia_id: assembleia.id,
+        second_call: secondCallOf(assembleia),
+        agenda_items: agenda.length,
+        notice_days: NOTICE_DAYS,
+        days_before: daysBefore,
+        warning: daysBefore < NOTICE_DAYS ? `A convocatória deve ser enviada com pelo menos ${NOTICE_DAYS} dias de antecedência` : null,
+        changed_since_sent: latest ? changed(latest, announcementOf(assembleia, agenda)) : false,
+        recipients: recipients.map(r => {
+          const last = sent.find(c => c.user_id === r.user_id);
+          return {
+            user_id: r.user_id,
+            nome: r.nome,
+            units: r.units,
+            permilagem: r.permilagem,
+            email: !!(r.email1 && String(r.email1).trim() && mailer.allowsEmail(r.permite_email)),
+            last_sent_at: last ? last.sent_at : null,
+            read_at: last ? last.read_at : null
+          };
+        }),
+        units_without_recipients: unitsWithout,
+        sent: sent.map(toConvocation)
+      });
+    } catch (error) {
+      console.error('Error fetching convocations:', error);
+      res.status(500).json({ error: 'Erro ao buscar as convocatórias' });
+    }
+  });
+
+  // Preview of the letters as they would be sent now: ?user_id= for one recipient
+  router.get('/api/assembleias/:id/convocatoria/pdf', async (req, res) => {
+    try {
+      const assembleia = await loadAssembleia(req.params.id);
+      if (!assembleia) return res.status(404).json({ error: 'Assembleia não encontrada' });
+      const agenda = await agendaOf(assembleia.id);
+      if (!agenda.length) throw assembleiaError(400, 'Defina a ordem de trabalhos antes de gerar a convocatória');
+      const userId = req.query.user_id ? Number(req.query.user_id) : null;
+      const recipients = (await recipientsOf(assembleia)).recipients.filter(r => !userId || r.user_id === userId);
+      if (!recipients.length) throw assembleiaError(404, 'Não há condóminos a convocar');
+      const announcement = announcementOf(assembleia, agenda);
+      sendPdf(res, `convocatoria-${assembleia.id}.pdf`, renderConvocations(recipients.map(r => letterOf(r, announcement))));
+    } catch (error) {
+      fail(res, error, 'rendering convocation preview', 'Erro ao gerar a convocatória');
+    }
+  });
+
+  // Sends the convocation: { user_ids } (default: everyone to convoke)
+  router.post('/api/assembleias/:id/convocations', async (req, res) => {
+    const body = req.body || {};
+    if (body.user_ids !== undefined && !Array.isArray(body.user_ids)) return res.status(400).json({ error: 'user_ids tem de ser uma lista' });
+    try {
+      const assembleia = await loadAssembleia(req.params.id);
+      if (!assembleia) return res.status(404).json({ error: 'Assembleia não encontrada' });
+      const convocations = await send(assembleia, body.user_ids ? body.user_ids.map(Number) : null, req.auth.id);
+      const daysBefore = daysBetween(today(), String(assembleia.date).slice(0, 10));
+      res.status(201).json({
+        success: true,
+        sent: convocations.length,
+        emailed: convocations.filter(c => c.emailed_at).length,
+        admin_message_id: convocations[0].admin_message_id,
+        warning: daysBefore < NOTICE_DAYS ? `A assembleia realiza-se dentro de ${daysBefore} dias; a lei exige ${NOTICE_DAYS} dias de antecedência` : null,
+        convocations: convocations.map(toConvocation)
+      });
+    } catch (error) {
+      fail(res, error, 'sending convocation', 'Erro ao enviar a convocatória');
+    }
+  });
+
+  // A convocation as it was sent
+  router.get('/api/assembleia-convocations/:id/pdf', async (req, res) => {
+    try {
+      const c = await q.get('SELECT * FROM assembleia_convocations WHERE id = ?', [req.params.id]);
+      if (!c) return res.status(404).json({ error: 'Convocatória não encontrada' });
+      sendPdf(res, `convocatoria-${c.assembleia_id}-${c.id}.pdf`,
+        renderConvocations([{ details: JSON.parse(c.details), units: JSON.parse(c.units), permilagem: c.permilagem }]));
+    } catch (error) {
+      console.error('Error rendering convocation:', error);
+      res.status(500).json({ error: 'Erro ao gerar a convocatória' });
+    }
+  });
+
+  // The resident's own convocation; the first download by the resident is recorded
+  router.get('/api/users/:userId/assembleias/:assembleiaId/convocatoria/pdf', async (req, res) => {
+    try {
+      const c = await convocationOf(req.params.userId, req.params.assembleiaId);
+      if (!c) return res.status(404).json({ error: 'A convocatória desta assembleia não lhe foi enviada' });
+      if (req.auth.role === 'resident' && !c.read_at) {
+        await q.run('UPDATE assembleia_convocations SET read_at = CURRENT_TIMESTAMP WHERE id = ?', [c.id]);
+      }
+      sendPdf(res, `convocatoria-${c.assembleia_id}.pdf`,
+        renderConvocations([{ details: JSON.parse(c.details), units: JSON.parse(c.units), permilagem: c.permilagem }]));
+    } catch (error) {
+      console.error('Error rendering resident convocation:', error);
+      res.status(500).json({ error: 'Erro ao gerar a convocatória' });
+    }
+  });
+
+  return {
+    NOTICE_DAYS,
+    ROLE_LABELS,
+    MAJORITIES,
+    VOTES,
+    isClosed,
+    readSecondCall,
+    secondCallOf,
+    load: loadAssembleia,
+    agendaOf,
+    recipientsOf,
+    convocationOf,
+    toAgendaItem,
+    router
+  };
+};
@@ -0,0 +1,402 @@
+const express = require('express');
+
+// Append-only audit trail of every state-changing API call.
+// `capture` runs after the authorization policies: it snapshots the target row before the
+// handler runs and again once the response is sent, and writes one audit_log row per successful
+// call (actor, role, action, target, condominium(s), field-level diff, IP). Rows cannot be
+// changed or deleted: there is no such route and SQLite triggers abort UPDATE/DELETE.
+// The viewer is for admins holding `audit.read`: globally they see every entry, for some
+// condominiums only the entries of those (entries tied to no condominium are for global viewers).
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Sign-in plumbing and read receipts are not administrative actions (logins are in login_attempts)
+const NOT_AUDITED = [
+  'POST /api/admin/login',
+  'POST /api/maintenance/login',
+  'POST /api/login',
+  'POST /api/auth/refresh',
+  'POST /api/auth/logout',
+  'PUT /api/notifications/mark-all-read',
+  'PUT /api/notifications/:id/read',
+  'PUT /api/users/:userId/notifications/:notificationId/read',
+  // Simulations only: nothing is written
+  'POST /api/admin/imports/:id/dry-run',
+  'POST /api/condominiums/:id/billing-runs/preview',
+  'POST /api/condominiums/:id/sepa-batches/preview'
+];
+
+// Route pattern -> audited entity. `param` names the route parameter holding the row id,
+// `self` means the caller's own account; otherwise the id is taken from the response (creation routes).
+const TARGETS = {
+  '/api/change-password': { entity: 'user', table: 'users', self: true },
+  '/api/admin/change-password': { entity: 'admin', table: 'admins', self: true },
+  '/api/maintenance/change-password': { entity: 'maintenance_user', table: 'maintenance_users', self: true },
+  '/api/admin/2fa/setup': { entity: 'admin', table: 'admins', self: true },
+  '/api/admin/2fa/enable': { entity: 'admin', table: 'admins', self: true },
+  '/api/admin/2fa/disable': { entity: 'admin', table: 'admins', self: true },
+  '/api/admin/2fa/recovery-codes': { entity: 'admin', table: 'admins', self: true },
+  '/api/users': { entity: 'user', table: 'users' },
+  '/api/users/:id': { entity: 'user', table: 'users', param: 'id' },
+  '/api/users/:id/profile': { entity: 'user', table: 'users', param: 'id' },
+  '/api/users/:id/condominiums': { entity: 'user', table: 'users', param: 'id' },
+  '/api/users/:userId/condominiums/:condominiumId': { entity: 'user', table: 'users', param: 'userId' },
+  '/api/condominiums': { entity: 'condominium', table: 'condominiums' },
+  '/api/condominiums/:id': { entity: 'condominium', table: 'condominiums', param: 'id' },
+  '/api/condominiums/:id/fracoes': { entity: 'fracao', table: 'fracoes' },
+  '/api/fracoes/:id': { entity: 'fracao', table: 'fracoes', param: 'id' },
+  '/api/fracoes/:id/residents': { entity: 'fracao', table: 'fracoes', param: 'id' },
+  '/api/fracoes/:id/residents/:userId': { entity: 'fracao', table: 'fracoes', param: 'id' },
+  '/api/fracoes/:id/relationships/:relationshipId': { entity: 'fracao_relationship', table: 'fracao_residents', param: 'relationshipId' },
+  '/api/fracoes/:id/transfer': { entity: 'fracao', table: 'fracoes', param: 'id' },
+  '/api/fracoes/:id/voter': { entity: 'fracao', table: 'fracoes', param: 'id' },
+  '/api/condominiums/:id/budgets': { entity: 'budget', table: 'budgets' },
+  '/api/budgets/:id': { entity: 'budget', table: 'budgets', param: 'id' },
+  '/api/budgets/:id/approve': { entity: 'budget', table: 'budgets', param: 'id' },
+  '/api/budgets/:id/reopen': { entity: 'budget', table: 'budgets', param: 'id' },
+  '/api/condominiums/:id/billing-runs': { entity: 'billing_run', table: 'billing_runs' },
+  '/api/billing-runs/:id': { entity: 'billing_run', table: 'billing_runs', param: 'id' },
+  '/api/fracoes/:id/payments': { entity: 'payment', table: 'payments' },
+  '/api/payments/:id': { entity: 'payment', table: 'payments', param: 'id' },
+  '/api/fracoes/:id/charges': { entity: 'charge', table: 'charges' },
+  '/api/charges/:id': { entity: 'charge', table: 'charges', param: 'id' },
+  '/api/condominiums/:id/bank-statements': { entity: 'bank_statement', table: 'bank_statements' },
+  '/api/bank-statements/:id': { entity: 'bank_statement', table: 'bank_statements', param: 'id' },
+  '/api/bank-transactions/:id/match': { entity: 'bank_transaction', table: 'bank_transactions', param: 'id' },
+  '/api/bank-transactions/:id/ignore': { entity: 'bank_transaction', table: 'bank_transactions', param: 'id' },
+  '/api/condominiums/:id/sepa': { entity: 'condominium', table: 'condominiums', param: 'id' },
+  '/api/fracoes/:id/sepa-mandates': { entity: 'sepa_mandate', table: 'sepa_mandates' },
+  '/api/sepa-mandates/:id': { entity: 'sepa_mandate', table: 'sepa_mandates', param: 'id' },
+  '/api/condominiums/:id/sepa-batches': { entity: 'sepa_batch', table: 'sepa_batches' },
+  '/api/sepa-batches/:id': { entity: 'sepa_batch', table: 'sepa_batches', param: 'id' },
+  '/api/fracoes/:id/debt-declarations': { entity: 'debt_declaration', table: 'debt_declarations' },
+  '/api/users/:userId/fracoes/:fracaoId/debt-declarations': { entity: 'debt_declaration', table: 'debt_declarations' },
+  '/api/condominiums/:id/arrears-settings': { entity: 'condominium', table: 'condominiums', param: 'id' },
+  '/api/fracoes/:id/arrears/actions': { entity: 'arrears_action', table: 'arrears_actions' },
+  '/api/arrears-actions/:id': { entity: 'arrears_action', table: 'arrears_actions', param: 'id' },
+  '/api/condominiums/:id/reserve-fund': { entity: 'condominium', table: 'condominiums', param: 'id' },
+  '/api/condominiums/:id/reserve-fund/movements': { entity: 'reserve_fund_movement', table: 'reserve_fund_movements' },
+  '/api/reserve-fund/movements/:id': { entity: 'reserve_fund_movement', table: 'reserve_fund_movements', param: 'id' },
+  '/api/condominiums/:id/expenses': { entity: 'expense', table: 'expenses' },
+  '/api/expenses/:id': { entity: 'expense', table: 'expenses', param: 'id' },
+  '/api/expenses/:id/payment': { entity: 'expense', table: 'expenses', param: 'id' },
+  '/api/admin/condominiums/:id/users': { entity: 'condominium', table: 'condominiums', param: 'id' },
+  '/api/admin/condominiums/:id/import-users': { entity: 'condominium', table: 'condominiums', param: 'id' },
+  '/api/admin/condominiums/:id/import-csv': { entity: 'condominium', table: 'condominiums', param: 'id' },
+  '/api/assembleias': { entity: 'assembleia', table: 'assembleias' },
+  '/api/assembleias/:id': { entity: 'assembleia', table: 'assembleias', param: 'id' },
+  '/api/assembleias/:id/files': { entity: 'assembleia', table: 'assembleias', param: 'id' },
+  '/api/assembleias/:assembleiaId/files/:fileId': { entity: 'assembleia_file', table: 'assembleia_files', param: 'fileId' },
+  '/api/assembleias/:id/agenda': { entity: 'assembleia_agenda_item', table: 'assembleia_agenda_items' },
+  '/api/assembleias/:id/agenda/order': { entity: 'assembleia', table: 'assembleias', param: 'id' },
+  '/api/assembleias/:id/agenda/:itemId': { entity: 'assembleia_agenda_item', table: 'assembleia_agenda_items', param: 'itemId' },
+  '/api/assembleias/:id/convocations': { entity: 'assembleia', table: 'assembleias', param: 'id' },
+  '/api/assembleias/:id/attendance/:fracaoId': { entity: 'assembleia', table: 'assembleias', param: 'id' },
+  '/api/assembleias/:id/agenda/:itemId/votes': { entity: 'assembleia_agenda_item', table: 'assembleia_agenda_items', param: 'itemId' },
+  '/api/assembleias/:id/evoting': { entity: 'assembleia', table: 'assembleias', param: 'id' },
+  '/api/users/:userId/assembleias/:assembleiaId/evotes': { entity: 'assembleia', table: 'assembleias', param: 'assembleiaId' },
+  '/api/assembleias/:id/minutes': { entity: 'assembleia_minutes', table: 'assembleia_minutes' },
+  '/api/assembleias/:id/minutes/submit': { entity: 'assembleia_minutes', table: 'assembleia_minutes' },
+  '/api/assembleias/:id/minutes/reopen': { entity: 'assembleia_minutes', table: 'assembleia_minutes' },
+  '/api/assembleias/:id/minutes/sign': { entity: 'assembleia_minutes', table: 'assembleia_minutes' },
+  '/api/assembleias/:id/minutes/signatories': { entity: 'assembleia_minutes', table: 'assembleia_minutes' },
+  '/api/assembleias/:id/minutes/signatories/:signatoryId': { entity: 'assembleia_minutes_signatory', table: 'assembleia_minutes_signatories', param: 'signatoryId' },
+  '/api/assembleias/:id/minutes/signatories/:signatoryId/signature': { entity: 'assembleia_minutes_signatory', table: 'assembleia_minutes_signatories', param: 'signatoryId' },
+  '/api/assembleias/:id/deliberation-notices': { entity: 'assembleia', table: 'assembleias', param: 'id' },
+  '/api/assembleia-deliberation-notices/:id': { entity: 'assembleia_deliberation_notice', table: 'assembleia_deliberation_notices', param: 'id' },
+  '/api/admin/ocorrencias': { entity: 'ocorrencia', table: 'ocorrencias' },
+  '/api/admin/ocorrencias/:id/verify': { entity: 'ocorrencia', table: 'ocorrencias', param: 'id' },
+  '/api/admin/ocorrencias/:id/complete': { entity: 'ocorrencia', table: 'ocorrencias', param: 'id' },
+  '/api/maintenance/ocorrencias/:id': { entity: 'ocorrencia', table: 'ocorrencias', param: 'id' },
+  '/api/ocorrencias/:id/images': { entity: 'ocorrencia', table: 'ocorrencias', param: 'id' },
+  '/api/admins': { entity: 'admin', table: 'admins' },
+  '/api/admins/:id': { entity: 'admin', table: 'admins', param: 'id' },
+  '/api/admins/:id/2fa': { entity: 'admin', table: 'admins', param: 'id' },
+  '/api/admins/:id/roles': { entity: 'admin', table: 'admins', param: 'id' },
+  '/api/admin/roles': { entity: 'admin_role', table: 'admin_roles' },
+  '/api/admin/roles/:id': { entity: 'admin_role', table: 'admin_roles', param: 'id' },
+  '/api/admin/maintenance-users': { entity: 'maintenance_user', table: 'maintenance_users' },
+  '/api/admin/maintenance-users/:id': { entity: 'maintenance_user', table: 'maintenance_users', param: 'id' },
+  '/api/admin/messages': { entity: 'admin_message', table: 'admin_messages' },
+  '/api/admin/messages/:id': { entity: 'user_message', table: 'user_messages', param: 'id' },
+  '/api/messages': { entity: 'user_message', table: 'user_messages' },
+  '/api/messages/:id': { entity: 'user_message', table: 'user_messages', param: 'id' },
+  '/api/reclamacoes': { entity: 'user_message', table: 'user_messages' },
+  '/api/pedidos': { entity: 'user_message', table: 'user_messages' }
+};
+
+// Values never written to the log
+const SECRET_FIELD = /^(password|new_?password|current_?password|confirm_?password|.*secret.*|.*token.*|.*_hash|recovery_codes?|code|otpauth_url)$/i;
+const MAX_DETAIL_LENGTH = 4000;
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  Object.keys(value).forEach(key => {
+    out[key] = SECRET_FIELD.test(key) ? '[redacted]' : redact(value[key]);
+  });
+  return out;
+}
+
+/** Field-level diff between two rows: { field: { before, after } } for changed fields only. */
+function diffRows(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach(key => {
+    const a = before && before[key] !== undefined ? before[key] : null;
+    const b = after && after[key] !== undefined ? after[key] : null;
+    if (a === b) return;
+    changes[key] = SECRET_FIELD.test(key) ? { before: '[redacted]', after: '[redacted]' } : { before: a, after: b };
+  });
+  return changes;
+}
+
+/** Id of the row a creation route produced, e.g. { id } or { user: { id } }. */
+function createdIdFrom(body) {
+  if (!body || typeof body !== 'object') return null;
+  if (body.id !== undefined && body.id !== null) return body.id;
+  for (const value of Object.values(body)) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && value.id !== undefined && value.id !== null) return value.id;
+  }
+  return null;
+}
+
+// Admin role assignments as "role" or "role@condominium", e.g. "secretary@4,auditor"
+function roleOf(auth) {
+  if (!auth) return null;
+  if (auth.role !== 'admin') return auth.role;
+  const grants = auth.grants || [];
+  if (!grants.length) return 'admin';
+  return grants.map(g => (g.condominiumId === null ? g.role : `${g.role}@${g.condominiumId}`)).join(',');
+}
+
+function truncate(json) {
+  return json && json.length > MAX_DETAIL_LENGTH ? json.slice(0, MAX_DETAIL_LENGTH) + '…' : json;
+}
+
+/**
+ * @param {import('sqlite3').Database} db
+ * @param {object} options
+ * @param {object} options.authz - authorization module (scope of the viewer's `audit.read`)
+ */
+module.exports = function(db, { authz }) {
+  function get(sql, params) {
+    return new Promise((resolve, reject) => db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row))));
+  }
+
+  function all(sql, params) {
+    return new Promise((resolve, reject) => db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || []))));
+  }
+
+  function loadRow(target, id) {
+    if (!target || id === null || id === undefined) return Promise.resolve(null);
+    return get(`SELECT * FROM ${target.table} WHERE id = ?`, [id]).then(row => row || null);
+  }
+
+  /**
+   * Appends one entry. Used by `capture`; handlers may call it directly for extra detail.
+   * @param {object} entry
+   */
+  function record(entry) {
+    const condos = (entry.condominiumIds || []).filter(id => Number.isInteger(Number(id)));
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO audit_log (actor_type, actor_id, actor_name, actor_role, action, method, path,
+           entity_type, entity_id, condominium_ids, changes, details, status, ip)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          entry.actorType || null,
+          entry.actorId || null,
+          entry.actorName || null,
+          entry.actorRole || null,
+          entry.action,
+          entry.method || null,
+          entry.path || null,
+          entry.entityType || null,
+          entry.entityId !== undefined && entry.entityId !== null ? String(entry.entityId) : null,
+          // Stored as ",4,7," so one condominium can be matched with LIKE '%,4,%'
+          condos.length ? `,${condos.map(Number).join(',')},` : null,
+          entry.changes && Object.keys(entry.changes).length ? JSON.stringify(entry.changes) : null,
+          entry.details ? truncate(JSON.stringify(redact(entry.details))) : null,
+          entry.status || null,
+          entry.ip || null
+        ],
+        (err) => (err ? reject(err) : resolve())
+      );
+    });
+  }
+
+  /**
+   * Express middleware (mounted on /api after the authorization policies).
+   * Relies on `req.policyPath` / `req.policyParams` set by the matching policy.
+   */
+  async function capture(req, res, next) {
+    if (!MUTATING_METHODS.includes(req.method) || !req.policyPath) return next();
+    const action = `${req.method} ${req.policyPath}`;
+    if (NOT_AUDITED.includes(action)) return next();
+    // Read now: the socket address is gone once the response has finished
+    const ip = req.ip;
+
+    const params = req.policyParams || {};
+    const target = TARGETS[req.policyPath] || null;
+    const targetId = !target ? null
+      : target.param ? params[target.param]
+      : target.self ? (req.auth ? req.auth.id : null)
+      : undefined;
+    let before = null;
+    let condominiumIds = [];
+
+    try {
+      if (targetId !== undefined) before = await loadRow(target, targetId);
+      const resolver = req.policy && (req.policy.condominium || req.policy.member);
+      if (resolver) {
+        // Mounted on /api, this middleware sees no route parameters: give the resolver the policy's
+        const resolved = await resolver(Object.assign(Object.create(req), { params }));
+        if (resolved !== null && resolved !== undefined) condominiumIds = Array.isArray(resolved) ? resolved : [resolved];
+      }
+    } catch (e) {
+      console.error('Error preparing audit entry:', e && e.message);
+    }
+
+    // Keep the response body: creation routes only reveal the new id there
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) return;
+      try {
+        const entityId = targetId !== undefined ? targetId : createdIdFrom(responseBody);
+        const after = target ? await loadRow(target, entityId) : null;
+        // A new condominium has no resolver yet: it is its own scope
+        if (!condominiumIds.length && target && target.entity === 'condominium' && entityId) condominiumIds = [entityId];
+        const auth = req.auth;
+        const details = {};
+        if (req.body && Object.keys(req.body).length) details.request = req.body;
+        if (req.files && req.files.length) details.files = req.files.map(f => f.originalname);
+        else if (req.file) details.files = [req.file.originalname];
+        // Bulk operations have no single target; keep their summary counters instead
+        if (!target && responseBody && typeof responseBody === 'object') {
+          details.result = Object.fromEntries(Object.entries(responseBody).filter(([, v]) => v === null || typeof v !== 'object'));
+        }
+
+        await record({
+          actorType: auth ? auth.role : null,
+          actorId: auth ? auth.id : null,
+          actorName: auth ? auth.username || auth.name : null,
+          actorRole: roleOf(auth),
+          action,
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          entityType: target ? target.entity : null,
+          entityId,
+          condominiumIds,
+          changes: target ? diffRows(before, after) : null,
+          details: Object.keys(details).length ? details : null,
+          status: res.statusCode,
+          ip
+        });
+      } catch (e) {
+        console.error('Error writing audit entry:', e && e.message);
+      }
+    });
+
+    next();
+  }
+
+  // ---- viewer ----
+
+  function buildFilter(query, auth) {
+    const conditions = [];
+    const params = [];
+    const allowed = authz.condominiumsWith(auth, 'audit.read');
+    if (allowed !== null) {
+      conditions.push(allowed.length ? `(${allowed.map(() => 'condominium_ids LIKE ?').join(' OR ')})` : '0');
+      params.push(...allowed.map(id => `%,${id},%`));
+    }
+    if (query.actor_type) { conditions.push('actor_type = ?'); params.push(query.actor_type); }
+    if (query.actor_id) { conditions.push('actor_id = ?'); params.push(Number(query.actor_id)); }
+    if (query.action) { conditions.push('action LIKE ?'); params.push(`%${query.action}%`); }
+    if (query.entity_type) { conditions.push('entity_type = ?'); params.push(query.entity_type); }
+    if (query.entity_id) { conditions.push('entity_id = ?'); params.push(String(query.entity_id)); }
+    if (query.condominium_id) { conditions.push('condominium_ids LIKE ?'); params.push(`%,${Number(query.condominium_id)},%`); }
+    if (query.from) { conditions.push('created_at >= ?'); params.push(query.from); }
+    if (query.to) { conditions.push('created_at <= ?'); params.push(query.to); }
+    return {
+      where: conditions.length ? ' WHERE ' + conditions.join(' AND ') : '',
+      params
+    };
+  }
+
+  function toEntry(row) {
+    return {
+      ...row,
+      condominium_ids: row.condominium_ids ? row.condominium_ids.split(',').filter(Boolean).map(Number) : [],
+      changes: row.changes ? JSON.parse(row.changes) : null,
+      details: row.details ? safeParse(row.details) : null
+    };
+  }
+
+  function safeParse(text) {
+    try { return JSON.parse(text); } catch (e) { return text; }
+  }
+
+  function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",;\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  const router = express.Router();
+
+  // Filterable list: actor_type, actor_id, action, entity_type, entity_id, condominium_id, from, to
+  router.get('/api/admin/audit-log', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { where, params } = buildFilter(req.query, req.auth);
+
+    try {
+      const total = await get(`SELECT COUNT(*) AS n FROM audit_log${where}`, params);
+      const rows = await all(`SELECT * FROM audit_log${where} ORDER BY id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+      res.json({ total: total.n, limit, offset, entries: rows.map(toEntry) });
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      res.status(500).json({ error: 'Erro ao buscar registo de auditoria' });
+    }
+  });
+
+  // Same filters, downloaded as CSV
+  router.get('/api/admin/audit-log/export', async (req, res) => {
+    const { where, params } = buildFilter(req.query, req.auth);
+    const columns = ['id', 'created_at', 'actor_type', 'actor_id', 'actor_name', 'actor_role', 'action', 'path',
+      'entity_type', 'entity_id', 'condominium_ids', 'changes', 'details', 'status', 'ip'];
+
+    try {
+      const rows = await all(`SELECT * FROM audit_log${where} ORDER BY id DESC`, params);
+      const lines = [columns.join(',')];
+      rows.forEach(row => {
+        const entry = toEntry(row);
+        lines.push(columns.map(c => csvCell(c === 'condominium_ids' ? entry.condominium_ids.join(' ') : entry[c])).join(','));
+      });
+
+      const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      // BOM so Excel opens the accented text as UTF-8
+      res.send('\uFEFF' + lines.join('\r\n'));
+    } catch (error) {
+      console.error('Error exporting audit log:', error);
+      res.status(500).json({ error: 'Erro ao exportar registo de auditoria' });
+    }
+  });
+
+  return {
+    capture,
+    record,
+    router
+  };
+};
@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+
+// Server-issued sessions for admins, maintenance users and residents.
+// Access tokens are short-lived HMAC-signed blobs carrying the session id; every request
+// re-checks the session row so logout/revocation takes effect immediately. Refresh tokens
+// are random strings stored only as SHA-256 hashes and rotated on every refresh.
+
+const ACCESS_TTL_SECONDS = (Number(process.env.SESSION_TTL_MINUTES) || 15) * 60;
+const REFRESH_TTL_SECONDS = (Number(process.env.SESSION_REFRESH_TTL_DAYS) || 30) * 24 * 60 * 60;
+const ACTOR_TYPES = ['admin', 'maintenance', 'resident'];
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(input) {
+  const normalized = String(input).replace(/-/g, '+').replace(/_/g, '/');
+  return Buffer.from(normalized, 'base64').toString('utf8');
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function toSqlDate(date) {
+  return date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
+}
+
+module.exports = function(db, adminRoles) {
+  let secretPromise = null;
+
+  /**
+   * Resolves the HMAC secret: SESSION_SECRET from the environment, otherwise a random
+   * secret generated once and persisted in app_meta so restarts keep sessions valid.
+   * @returns {Promise<string>}
+   */
+  function getSecret() {
+    if (process.env.SESSION_SECRET) return Promise.resolve(String(process.env.SESSION_SECRET));
+    if (secretPromise) return secretPromise;
+
+    secretPromise = new Promise((resolve, reject) => {
+      db.get('SELECT value FROM app_meta WHERE key = ?', ['session_secret'], (err, row) => {
+        if (err) return reject(err);
+        if (row && row.value) return resolve(row.value);
+
+        const generated = crypto.randomBytes(48).toString('hex');
+        db.run('INSERT OR IGNORE INTO app_meta (key, value) VALUES (?, ?)', ['session_secret', generated], (insErr) => {
+          if (insErr) return reject(insErr);
+          // Re-read in case another request generated the secret concurrently
+          db.get('SELECT value FROM app_meta WHERE key = ?', ['session_secret'], (e2, stored) => {
+            if (e2) return reject(e2);
+            console.log('🔑 Generated session signing secret (set SESSION_SECRET to override)');
+            resolve(stored ? stored.value : generated);
+          });
+        });
+      });
+    }).catch((err) => {
+      secretPromise = null;
+      throw err;
+    });
+
+    return secretPromise;
+  }
+
+  async function signAccessToken(payload) {
+    const secret = await getSecret();
+    const body = base64url(JSON.stringify(payload));
+    const signature = base64url(crypto.createHmac('sha256', secret).update(body).digest());
+    return `${body}.${signature}`;
+  }
+
+  async function verifyAccessToken(token) {
+    if (!token || typeof token !== 'string') return null;
+    const parts = token.split('.');
+    if (parts.length !== 2) return null;
+
+    const secret = await getSecret();
+    const expected = base64url(crypto.createHmac('sha256', secret).update(parts[0]).digest());
+    const a = Buffer.from(parts[1]);
+    const b = Buffer.from(expected);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+
+    try {
+      const payload = JSON.parse(fromBase64url(parts[0]));
+      if (!payload || !payload.sid || !payload.exp) return null;
+      if (Math.floor(Date.now() / 1000) >= Number(payload.exp)) return null;
+      return payload;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Creates a session row and returns the token pair handed to the client at login.
+   * @param {'admin'|'maintenance'|'resident'} actorType
+   * @param {number} actorId
+   * @param {object} req - Express request (used for IP / user agent bookkeeping)
+   * @returns {Promise<{token: string, refresh_token: string, expires_at: string, refresh_expires_at: string}>}
+   */
+  async function issueSession(actorType, actorId, req) {
+    if (!ACTOR_TYPES.includes(actorType)) throw new Error(`Unknown actor type: ${actorType}`);
+
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    const refreshExpires = new Date(now + REFRESH_TTL_SECONDS * 1000);
+
+    await new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO auth_sessions (session_id, actor_type, actor_id, refresh_token_hash, expires_at, ip, user_agent, last_used_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+        [sessionId, actorType, actorId, sha256(refreshToken), toSqlDate(refreshExpires), req ? req.ip : null, req ? (req.headers['user-agent'] || null) : null],
+        (err) => (err ? reject(err) : resolve())
+      );
+    });
+
+    return buildTokenPair(sessionId, actorType, actorId, refreshToken, refreshExpires);
+  }
+
+  async function buildTokenPair(sessionId, actorType, actorId, refreshToken, refreshExpires) {
+    const exp = Math.floor(Date.now() / 1000) + ACCESS_TTL_SECONDS;
+    const token = await signAccessToken({ sid: sessionId, typ: actorType, sub: actorId, exp });
+    return {
+      token,
+      refresh_token: refreshToken,
+      expires_at: new Date(exp * 1000).toISOString(),
+      refresh_expires_at: refreshExpires.toISOString()
+    };
+  }
+
+  /**
+   * Exchanges a refresh token for a new token pair, rotating the refresh token.
+   * Resolves to null when the refresh token is unknown, expired or revoked.
+   */
+  async function refreshSession(refreshToken) {
+    if (!refreshToken) return null;
+    const row = await new Promise((resolve, reject) => {
+      db.get(
+        `SELECT * FROM auth_sessions
+         WHERE refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+        [sha256(refreshToken)],
+        (err, r) => (err ? reject(err) : resolve(r))
+      );
+    });
+    if (!row) return null;
+
+    const nextRefresh = crypto.randomBytes(32).toString('hex');
+    const refreshExpires = new Date(Date.now() + REFRESH_TTL_SECONDS * 1000);
+    const changed = await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE auth_sessions SET refresh_token_hash = ?, expires_at = ?, last_used_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND refresh_token_hash = ?`,
+        [sha256(nextRefresh), toSqlDate(refreshExpires), row.id, row.refresh_token_hash],
+        function(err) { if (err) reject(err); else resolve(this.changes); }
+      );
+    });
+    // Lost a race with a concurrent refresh using the same token
+    if (!changed) return null;
+
+    const pair = await buildTokenPair(row.session_id, row.actor_type, row.actor_id, nextRefresh, refreshExpires);
+    return { ...pair, actor_type: row.actor_type, actor_id: row.actor_id };
+  }
+
+  function revokeSession(sessionId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE session_id = ? AND revoked_at IS NULL',
+        [sessionId],
+        function(err) { if (err) reject(err); else resolve(this.changes); }
+      );
+    });
+  }
+
+  /**
+   * Revokes every open session of an actor (used when an account is deleted or its password changes).
+   * @param {string} [exceptSessionId] - session to keep open, e.g. the one that changed the password
+   */
+  function revokeActorSessions(actorType, actorId, exceptSessionId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP
+         WHERE actor_type = ? AND actor_id = ? AND revoked_at IS NULL AND session_id != ?`,
+        [actorType, actorId, exceptSessionId || ''],
+        function(err) { if (err) reject(err); else resolve(this.changes); }
+      );
+    });
+  }
+
+  function loadActor(actorType, actorId) {
+    return new Promise((resolve, reject) => {
+      let sql;
+      if (actorType === 'admin') sql = 'SELECT id, username, totp_enabled, totp_required, must_change_password FROM admins WHERE id = ?';
+      else if (actorType === 'maintenance') sql = 'SELECT id, username, nome, must_change_password FROM maintenance_users WHERE id = ?';
+      else sql = 'SELECT id, nome, nif, must_change_password FROM users WHERE id = ?';
+      db.get(sql, [actorId], (err, row) => (err ? reject(err) : resolve(row || null)));
+    });
+  }
+
+  function readBearerToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.toLowerCase().startsWith('bearer ')) return header.slice(7).trim();
+    // EventSource cannot set headers, so the SSE stream passes the token in the query string
+    if (req.path === '/api/notifications/stream' && req.query.access_token) return String(req.query.access_token);
+    return null;
+  }
+
+  /**
+   * Express middleware: resolves the bearer token into `req.auth`.
+   * Requests without a token continue with `req.auth = null`; a token that is
+   * malformed, expired or belongs to a revoked session is rejected with 401.
+   */
+  async function authenticate(req, res, next) {
+    req.auth = null;
+    const token = readBearerToken(req);
+    if (!token) return next();
+
+    try {
+      const payload = await verifyAccessToken(token);
+      if (!payload) {
+        return res.status(401).json({ error: 'Sessão inválida ou expirada', code: 'SESSION_INVALID' });
+      }
+
+      const session = await new Promise((resolve, reject) => {
+        db.get(
+          'SELECT id, session_id, actor_type, actor_id FROM auth_sessions WHERE session_id = ? AND revoked_at IS NULL',
+          [payload.sid],
+          (err, row) => (err ? reject(err) : resolve(row))
+        );
+      });
+      if (!session || session.actor_type !== payload.typ || Number(session.actor_id) !== Number(payload.sub)) {
+        return res.status(401).json({ error: 'Sessão terminada', code: 'SESSION_REVOKED' });
+      }
+
+      const actor = await loadActor(session.actor_type, session.actor_id);
+      if (!actor) {
+        await revokeSession(session.session_id).catch(() => {});
+        return res.status(401).json({ error: 'Conta já não existe', code: 'SESSION_REVOKED' });
+      }
+
+      // Admin scope and permissions come from the role assignments (see admin-roles.js)
+      const grants = session.actor_type === 'admin' ? await adminRoles.grantsOf(actor.id) : null;
+      const globalGrant = grants && grants.some(g => g.condominiumId === null);
+
+      req.auth = {
+        sessionId: session.session_id,
+        role: session.actor_type,
+        id: actor.id,
+        username: actor.username || actor.nif || null,
+        name: actor.nome || actor.username || null,
+        // Scope is read from the database on every request, never from the client
+        scope: grants ? (globalGrant ? 'full' : 'limited') : null,
+        allowedCondominiums: grants && !globalGrant ? [...new Set(grants.map(g => g.condominiumId))] : null,
+        grants,
+        isMainAdmin: !!grants && grants.some(g => g.role === adminRoles.MAIN_ADMIN_ROLE && g.condominiumId === null),
+        // Generated or reset password not changed yet (restricted to the change-password routes)
+        passwordChangePending: Number(actor.must_change_password) === 1,
+        // Admin required to use 2FA who has not enrolled yet (restricted to the enrolment routes)
+        twoFactorSetupPending: session.actor_type === 'admin' && Number(actor.totp_required) === 1 && Number(actor.totp_enabled) !== 1
+      };
+      next();
+    } catch (e) {
+      console.error('Error authenticating request:', e && e.message);
+      res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  }
+
+  return {
+    issueSession,
+    refreshSession,
+    revokeSession,
+    revokeActorSessions,
+    authenticate
+  };
+};
@@ -0,0 +1,247 @@
+// Declarative per-route authorization.
+// Every /api route gets a policy in policies.js saying which roles may call it and,
+// where relevant, which condominium(s) the resource belongs to. Policies are mounted
+// in front of the route handlers, so handlers only deal with data filtering.
+//
+// Roles:
+//   mainAdmin   - admins holding the main_admin role
+//   fullAdmin   - any admin with an assignment covering every condominium (includes the main admin)
+//   admin       - any admin; limited admins are additionally checked against `condominium`
+//   maintenance - maintenance users
+//   resident    - condominium residents; checked against `self` (identity) or `condominium`
+//                 (membership), plus `member` when a self-owned request names a condominium
+//
+// Admins additionally need the policy's `permission` from one of their role assignments
+// (admin-roles.js), granted globally or for the resource's condominium.
+
+const ROLES = ['mainAdmin', 'fullAdmin', 'admin', 'maintenance', 'resident'];
+
+function normalizeIds(raw) {
+  if (raw === null || typeof raw === 'undefined') return null;
+  const list = Array.isArray(raw) ? raw : [raw];
+  return list.map(v => Number(v)).filter(v => Number.isInteger(v));
+}
+
+function parseAllowed(raw) {
+  if (!raw) return [];
+  let value = raw;
+  if (typeof value === 'string') {
+    try { value = JSON.parse(value); } catch (e) { value = value.split(','); }
+  }
+  return normalizeIds(value) || [];
+}
+
+/**
+ * Roles carried by the authenticated actor, e.g. ['admin', 'fullAdmin', 'mainAdmin'].
+ */
+function rolesOf(auth) {
+  if (!auth) return [];
+  if (auth.role === 'admin') {
+    const roles = ['admin'];
+    if (auth.scope === 'full') roles.push('fullAdmin');
+    if (auth.isMainAdmin) roles.push('mainAdmin', 'fullAdmin');
+    return roles;
+  }
+  return [auth.role];
+}
+
+/**
+ * Condominiums in which the admin holds `permission`: null means all of them.
+ * Without a permission, any assignment counts.
+ * @returns {number[]|null}
+ */
+function condominiumsWith(auth, permission) {
+  const grants = ((auth && auth.grants) || []).filter(g =>
+    !permission || g.permissions.includes('*') || g.permissions.includes(permission));
+  if (grants.some(g => g.condominiumId === null)) return null;
+  return [...new Set(grants.map(g => g.condominiumId))];
+}
+
+function unauthenticated(res) {
+  return res.status(401).json({ error: 'Autenticação necessária', code: 'UNAUTHENTICATED' });
+}
+
+function forbidden(res, reason) {
+  return res.status(403).json({ error: 'Acesso negado', code: 'FORBIDDEN', reason });
+}
+
+module.exports = function(db) {
+  function allIds(sql, params) {
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) return reject(err);
+        resolve((rows || []).map(r => Number(r.condominium_id)).filter(v => Number.isInteger(v)));
+      });
+    });
+  }
+
+  // ---- value resolvers (used for `self` and `condominium`) ----
+
+  /** Value of a route parameter. */
+  function fromParam(name) {
+    return (req) => req.params[name];
+  }
+
+  /** First non-empty JSON body field among `names`; null when none is present. */
+  function fromBody(...names) {
+    return (req) => {
+      const body = req.body || {};
+      for (const n of names) {
+        if (body[n] !== undefined && body[n] !== null && body[n] !== '') return body[n];
+      }
+      return null;
+    };
+  }
+
+  // Condominium(s) a stored resource belongs to. An unknown resource resolves to []
+  // (nobody scoped passes); the handler then answers 404 for unscoped callers.
+  const condominiumOf = {
+    user: (param) => (req) => allIds('SELECT condominium_id FROM user_condominiums WHERE user_id = ?', [req.params[param]]),
+    assembleia: (param) => (req) => allIds('SELECT condominium_id FROM assembleias WHERE id = ?', [req.params[param]]),
+    assembleiaFile: (param) => (req) => allIds(
+      'SELECT a.condominium_id FROM assembleia_files f JOIN assembleias a ON a.id = f.assembleia_id WHERE f.id = ?',
+      [req.params[param]]
+    ),
+    assembleiaConvocation: (param) => (req) => allIds(
+      'SELECT a.condominium_id FROM assembleia_convocations c JOIN assembleias a ON a.id = c.assembleia_id WHERE c.id = ?',
+      [req.params[param]]
+    ),
+    deliberationNotice: (param) => (req) => allIds(
+      'SELECT a.condominium_id FROM assembleia_deliberation_notices n JOIN assembleias a ON a.id = n.assembleia_id WHERE n.id = ?',
+      [req.params[param]]
+    ),
+    ocorrencia: (param) => (req) => allIds('SELECT condominium_id FROM ocorrencias WHERE id = ?', [req.params[param]]),
+    userMessage: (param) => (req) => allIds('SELECT condominium_id FROM user_messages WHERE id = ?', [req.params[param]]),
+    adminMessage: (param) => (req) => allIds('SELECT condominium_id FROM admin_message_targets WHERE message_id = ?', [req.params[param]]),
+    // Jobs for every condominium have none, so only admins with global access pass
+    importJob: (param) => (req) => allIds('SELECT condominium_id FROM import_jobs WHERE id = ?', [req.params[param]]),
+    fracao: (param) => (req) => allIds('SELECT condominium_id FROM fracoes WHERE id = ?', [req.params[param]]),
+    budget: (param) => (req) => allIds('SELECT condominium_id FROM budgets WHERE id = ?', [req.params[param]]),
+    billingRun: (param) => (req) => allIds('SELECT condominium_id FROM billing_runs WHERE id = ?', [req.params[param]]),
+    payment: (param) => (req) => allIds('SELECT condominium_id FROM payments WHERE id = ?', [req.params[param]]),
+    expense: (param) => (req) => allIds('SELECT condominium_id FROM expenses WHERE id = ?', [req.params[param]]),
+    reserveMovement: (param) => (req) => allIds('SELECT condominium_id FROM reserve_fund_movements WHERE id = ?', [req.params[param]]),
+    charge: (param) => (req) => allIds('SELECT condominium_id FROM charges WHERE id = ?', [req.params[param]]),
+    bankStatement: (param) => (req) => allIds('SELECT condominium_id FROM bank_statements WHERE id = ?', [req.params[param]]),
+    bankTransaction: (param) => (req) => allIds('SELECT condominium_id FROM bank_transactions WHERE id = ?', [req.params[param]]),
+    sepaMandate: (param) => (req) => allIds('SELECT condominium_id FROM sepa_mandates WHERE id = ?', [req.params[param]]),
+    sepaBatch: (param) => (req) => allIds('SELECT condominium_id FROM sepa_batches WHERE id = ?', [req.params[param]]),
+    receipt: (param) => (req) => allIds('SELECT condominium_id FROM receipts WHERE id = ?', [req.params[param]]),
+    debtDeclaration: (param) => (req) => allIds('SELECT condominium_id FROM debt_declarations WHERE id = ?', [req.params[param]]),
+    arrearsAction: (param) => (req) => allIds('SELECT condominium_id FROM arrears_actions WHERE id = ?', [req.params[param]])
+  };
+
+  function residentCondominiums(userId) {
+    return allIds('SELECT condominium_id FROM user_condominiums WHERE user_id = ?', [userId]);
+  }
+
+  /**
+   * Builds the middleware enforcing one policy.
+   * @param {object} policy
+   * @param {boolean} [policy.public] - no session required
+   * @param {boolean} [policy.authenticated] - any signed-in actor
+   * @param {string[]} [policy.roles] - allowed roles (see top of file)
+   * @param {Function} [policy.self] - resolves the user id a resident must match
+   * @param {Function} [policy.condominium] - resolves the resource's condominium id(s);
+   *   null means the resource is not bound to a condominium
+   * @param {Function} [policy.member] - condominium a resident must belong to even when `self` matched
+   * @param {string} [policy.permission] - permission an admin needs (see admin-roles.js); on
+   *   policies open to `fullAdmin` but not `admin` it must be held for every condominium
+   * @param {boolean} [policy.twoFactorSetup] - reachable by an admin who must still enrol in 2FA
+   * @param {boolean} [policy.passwordChange] - reachable by an account that must still change its password
+   * @param {string} [routePath] - route pattern the policy is mounted on (recorded for auditing)
+   */
+  function authorize(policy, routePath) {
+    (policy.roles || []).forEach(r => {
+      if (!ROLES.includes(r)) throw new Error(`Unknown role in policy: ${r}`);
+    });
+    const roles = policy.roles || [];
+    const globalPermission = roles.includes('fullAdmin') && !roles.includes('admin');
+
+    return async function(req, res, next) {
+      // First matching policy wins (mirrors route registration order)
+      if (req.policy) return next();
+      req.policy = policy;
+      req.policyPath = routePath || null;
+      req.policyParams = { ...req.params };
+
+      if (policy.public) return next();
+
+      const auth = req.auth;
+      if (!auth) return unauthenticated(res);
+      if (policy.authenticated) return next();
+      if (auth.passwordChangePending && !policy.passwordChange) return forbidden(res, 'password_change');
+      if (auth.twoFactorSetupPending && !policy.twoFactorSetup) return forbidden(res, 'two_factor_setup');
+
+      const actorRoles = rolesOf(auth);
+      if (!(policy.roles || []).some(r => actorRoles.includes(r))) return forbidden(res, 'role');
+
+      try {
+        if (auth.role === 'resident') {
+          // Resources owned by the resident are bound by identity; others by membership
+          if (policy.self) {
+            const ownerId = Number(await policy.self(req));
+            if (ownerId !== Number(auth.id)) return forbidden(res, 'owner');
+            if (policy.member) {
+              const condos = normalizeIds(await policy.member(req));
+              if (condos !== null) {
+                const mine = await residentCondominiums(auth.id);
+                if (!condos.some(id => mine.includes(id))) return forbidden(res, 'condominium');
+              }
+            }
+          } else if (policy.condominium) {
+            const condos = normalizeIds(await policy.condominium(req));
+            if (condos !== null) {
+              const mine = await residentCondominiums(auth.id);
+              if (!condos.some(id => mine.includes(id))) return forbidden(res, 'condominium');
+            }
+          }
+        } else if (auth.role === 'admin' && policy.permission) {
+          const allowed = condominiumsWith(auth, policy.permission);
+          if (allowed !== null && (globalPermission || allowed.length === 0)) return forbidden(res, 'permission');
+          if (allowed !== null && policy.condominium) {
+            const condos = normalizeIds(await policy.condominium(req));
+            if (condos !== null && !condos.some(id => allowed.includes(id))) return forbidden(res, 'condominium');
+          }
+        } else if (auth.role === 'admin' && auth.scope !== 'full' && !auth.isMainAdmin && policy.condominium) {
+          const condos = normalizeIds(await policy.condominium(req));
+          if (condos !== null) {
+            const allowed = parseAllowed(auth.allowedCondominiums);
+            if (!condos.some(id => allowed.includes(id))) return forbidden(res, 'condominium');
+          }
+        }
+        next();
+      } catch (e) {
+        console.error('Error evaluating authorization policy:', e && e.message);
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    };
+  }
+
+  /**
+   * Mounts a policy table (see policies.js) in front of the route handlers and denies
+   * any /api request that no policy covers.
+   * @param {import('express').Application} app
+   * @param {Array<[string, string, object]>} table - [method, path, policy] entries
+   */
+  function register(app, table) {
+    table.forEach(([method, routePath, policy]) => {
+      app[method](routePath, authorize(policy, routePath));
+    });
+
+    app.use('/api', (req, res, next) => {
+      if (req.policy) return next();
+      console.warn(`⚠️ No authorization policy for ${req.method} ${req.originalUrl}`);
+      return forbidden(res, 'no_policy');
+    });
+  }
+
+  return {
+    authorize,
+    register,
+    condominiumsWith,
+    fromParam,
+    fromBody,
+    condominiumOf
+  };
+};
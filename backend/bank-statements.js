@@ -0,0 +1,735 @@
+const express = require('express');
+const fs = require('fs');
+const crypto = require('crypto');
+const { toCents, toEuros } = require('./money');
+const csv = require('./csv-import');
+const { parseDate } = require('./quotas');
+
+// Bank statements and payment reconciliation. An admin uploads the statement of the
+// condominium's account, as exported by the bank: a CSV file (columns recognised by name, the
+// lines above the table skipped) or an ISO 20022 camt.053 XML file. Each credit is matched to the
+// unit it pays for:
+//   1. by the unit's payment reference quoted in the transfer (quotas.referenceOf, e.g. "C4F27");
+//   2. by the payer, found by NIF or by name among the people currently related to the units:
+//      matched when the payer has a single unit, or when the amount settles the oldest open
+//      charges of exactly one of their units;
+//   3. by amount alone, only ever as a suggestion.
+// Matched credits are recorded as payments (quotas.recordPayment); the rest wait in the
+// reconciliation queue for an admin. Debits are kept for reference and never matched.
+// Transactions already imported from an overlapping statement are recognised by fingerprint.
+
+const FORMATS = { csv: 'CSV', camt053: 'camt.053 (ISO 20022)' };
+const MATCH_METHODS = {
+  reference: 'Referência de pagamento',
+  nif: 'NIF do ordenante',
+  name: 'Nome do ordenante',
+  manual: 'Manual'
+};
+const MAX_SUGGESTIONS = 5;
+// Lines looked at for the header row of a CSV statement (banks put account details above it)
+const HEADER_SEARCH_ROWS = 30;
+const NAME_PARTICLES = ['de', 'da', 'do', 'das', 'dos', 'e'];
+
+// Columns of a CSV statement (csv-import.js normalizes the header names)
+const STATEMENT_COLUMNS = {
+  booking_date: ['data', 'data mov', 'data movimento', 'data lancamento', 'data operacao', 'data contabilistica', 'date', 'booking date'],
+  value_date: ['data valor', 'data de valor', 'data valor mov', 'value date'],
+  description: ['descricao', 'descritivo', 'movimento', 'designacao', 'detalhes', 'description'],
+  amount: ['montante', 'valor', 'importancia', 'montante eur', 'valor eur', 'amount'],
+  credit: ['credito', 'creditos', 'entradas', 'credit'],
+  debit: ['debito', 'debitos', 'saidas', 'debit'],
+  counterparty_name: ['ordenante', 'nome ordenante', 'contraparte', 'counterparty'],
+  counterparty_iban: ['iban ordenante', 'conta ordenante', 'iban'],
+  reference: ['referencia', 'ref', 'reference']
+};
+
+function statementError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (whole, name) => {
+    if (name[0] === '#') return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+    return ENTITIES[name] !== undefined ? ENTITIES[name] : whole;
+  });
+}
+
+/**
+ * Minimal XML reader for bank statements: elements (namespace prefixes dropped) with their
+ * children and text. Attributes, comments and processing instructions are ignored.
+ * @returns {{name: string, children: object[], text: string}} document node
+ */
+function parseXml(text) {
+  const root = { name: '#document', children: [], text: '' };
+  const stack = [root];
+  const token = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<(\/)?([\w.:-]+)[^>]*?(\/)?>|([^<]+)/g;
+  let match;
+  while ((match = token.exec(text))) {
+    const [, cdata, closing, tag, selfClosing, chars] = match;
+    const current = stack[stack.length - 1];
+    if (cdata !== undefined) current.text += cdata;
+    else if (chars !== undefined) current.text += decodeEntities(chars);
+    else if (tag) {
+      const name = tag.replace(/^.*:/, '');
+      if (closing) {
+        if (current.name !== name) throw statementError('Ficheiro XML inválido');
+        stack.pop();
+      } else {
+        const node = { name, children: [], text: '' };
+        current.children.push(node);
+        if (!selfClosing) stack.push(node);
+      }
+    }
+  }
+  if (stack.length !== 1) throw statementError('Ficheiro XML inválido');
+  return root;
+}
+
+const childrenOf = (node, name) => (node ? node.children.filter(c => c.name === name) : []);
+
+/** First node down a path such as "Refs/EndToEndId", or null. */
+function find(node, path) {
+  return path.split('/').reduce((n, name) => (n ? n.children.find(c => c.name === name) || null : null), node);
+}
+
+function textAt(node, path) {
+  const found = find(node, path);
+  const value = found ? found.text.trim() : '';
+  return value || null;
+}
+
+// <BookgDt><Dt>2026-03-01</Dt></BookgDt> or <DtTm>2026-03-01T10:00:00</DtTm>
+const dateAt = (node, path) => {
+  const value = textAt(node, `${path}/Dt`) || textAt(node, `${path}/DtTm`);
+  return value ? value.slice(0, 10) : null;
+};
+
+// Amounts are unsigned with a credit/debit indicator
+const signedAt = (node, path, indicator) => {
+  const cents = toCents(textAt(node, path));
+  return cents === null ? null : indicator === 'DBIT' ? -cents : cents;
+};
+
+/**
+ * camt.053 (bank-to-customer statement): one transaction per booked entry, or per transaction
+ * detail when the entry is a batch.
+ */
+function parseCamt(text) {
+  const statements = childrenOf(find(parseXml(text), 'Document/BkToCstmrStmt'), 'Stmt');
+  if (!statements.length) throw statementError('O ficheiro não é um extrato camt.053');
+  const transactions = [];
+  const balances = { OPBD: [], CLBD: [] };
+  const periods = [];
+
+  for (const stmt of statements) {
+    for (const balance of childrenOf(stmt, 'Bal')) {
+      const code = textAt(balance, 'Tp/CdOrPrtry/Cd');
+      if (balances[code]) balances[code].push({ date: dateAt(balance, 'Dt'), cents: signedAt(balance, 'Amt', textAt(balance, 'CdtDbtInd')) });
+    }
+    const from = textAt(stmt, 'FrToDt/FrDtTm');
+    const to = textAt(stmt, 'FrToDt/ToDtTm');
+    if (from) periods.push(from.slice(0, 10));
+    if (to) periods.push(to.slice(0, 10));
+
+    for (const entry of childrenOf(stmt, 'Ntry')) {
+      const status = textAt(entry, 'Sts/Cd') || textAt(entry, 'Sts');
+      if (status && status !== 'BOOK') continue;
+      const indicator = textAt(entry, 'CdtDbtInd');
+      const bookingDate = dateAt(entry, 'BookgDt') || dateAt(entry, 'ValDt');
+      if (!bookingDate) throw statementError('Movimento sem data de lançamento');
+      const details = childrenOf(entry, 'NtryDtls').flatMap(d => childrenOf(d, 'TxDtls'));
+      // The payer of a credit is the debtor, the payee of a debit the creditor
+      const party = indicator === 'DBIT' ? 'Cdtr' : 'Dbtr';
+
+      (details.length ? details : [null]).forEach((detail) => {
+        const amount = details.length > 1
+          ? signedAt(detail, find(detail, 'Amt') ? 'Amt' : 'AmtDtls/TxAmt/Amt', indicator)
+          : signedAt(entry, 'Amt', indicator);
+        if (amount === null) throw statementError(`Movimento de ${bookingDate} sem montante`);
+        const endToEnd = textAt(detail, 'Refs/EndToEndId');
+        const description = [
+          ...childrenOf(find(detail, 'RmtInf'), 'Ustrd').map(n => n.text.trim()),
+          textAt(detail, 'AddtlTxInf'),
+          textAt(entry, 'AddtlNtryInf')
+        ].filter(Boolean).join(' ');
+        transactions.push({
+          booking_date: bookingDate,
+          value_date: dateAt(entry, 'ValDt'),
+          amount_cents: amount,
+          description: description || null,
+          counterparty_name: textAt(detail, `RltdPties/${party}/Nm`) || textAt(detail, `RltdPties/${party}/Pty/Nm`),
+          counterparty_iban: textAt(detail, `RltdPties/${party}Acct/Id/IBAN`),
+          reference: textAt(detail, 'RmtInf/Strd/CdtrRefInf/Ref') || (endToEnd && endToEnd !== 'NOTPROVIDED' ? endToEnd : null),
+          bank_reference: textAt(detail, 'Refs/AcctSvcrRef') || textAt(entry, 'AcctSvcrRef')
+        });
+      });
+    }
+  }
+
+  const dates = [...periods, ...transactions.map(t => t.booking_date)].sort();
+  return {
+    format: 'camt053',
+    account_iban: textAt(statements[0], 'Acct/Id/IBAN'),
+    period_start: dates[0] || null,
+    period_end: dates[dates.length - 1] || null,
+    opening_balance_cents: balances.OPBD.length ? balances.OPBD[0].cents : null,
+    closing_balance_cents: balances.CLBD.length ? balances.CLBD[balances.CLBD.length - 1].cents : null,
+    transactions
+  };
+}
+
+/** Column index of each statement field in a header row, or null when it is not a header. */
+function columnsOf(cells, mapping) {
+  const names = cells.map(csv.normalize);
+  const columns = {};
+  for (const [field, aliases] of Object.entries(STATEMENT_COLUMNS)) {
+    const wanted = mapping[field] ? [csv.normalize(mapping[field])] : aliases;
+    // Earlier aliases win: "Data" is the booking date even when "Data valor" comes first
+    const index = wanted.map(a => names.indexOf(a)).find(i => i !== -1);
+    if (index !== undefined) columns[field] = index;
+  }
+  const hasAmount = columns.amount !== undefined || columns.credit !== undefined || columns.debit !== undefined;
+  return columns.booking_date !== undefined && hasAmount ? columns : null;
+}
+
+/**
+ * CSV statement. `mapping` ({ field: header }) names columns that are not recognised.
+ * Lines below the header without a valid date (totals, balances) are skipped.
+ */
+function parseCsvStatement(text, mapping) {
+  let table = null;
+  for (const delimiter of [csv.detectDelimiter(text), ';', ',', '\t']) {
+    const { headers, records } = csv.parseCsv(text, delimiter);
+    const rows = [{ line: 1, cells: headers }, ...records];
+    const headerAt = rows.slice(0, HEADER_SEARCH_ROWS).findIndex(r => columnsOf(r.cells, mapping));
+    if (headerAt !== -1) {
+      table = { columns: columnsOf(rows[headerAt].cells, mapping), rows: rows.slice(headerAt + 1) };
+      break;
+    }
+  }
+  if (!table) throw statementError('Não foi encontrada a linha de cabeçalho (colunas Data e Montante, ou Débito e Crédito)');
+
+  const { columns } = table;
+  const cell = (row, field) => (columns[field] !== undefined ? String(row.cells[columns[field]] || '').trim() : '');
+  const transactions = [];
+  const skipped = [];
+  for (const row of table.rows) {
+    const bookingDate = parseDate(cell(row, 'booking_date'));
+    if (!bookingDate) {
+      skipped.push(row.line);
+      continue;
+    }
+    let amount;
+    if (columns.amount !== undefined) {
+      amount = toCents(cell(row, 'amount'));
+    } else {
+      const credit = cell(row, 'credit') ? toCents(cell(row, 'credit')) : 0;
+      const debit = cell(row, 'debit') ? toCents(cell(row, 'debit')) : 0;
+      amount = credit === null || debit === null ? null : Math.abs(credit) - Math.abs(debit);
+    }
+    if (amount === null) throw statementError(`Linha ${row.line}: montante inválido`);
+    transactions.push({
+      booking_date: bookingDate,
+      value_date: parseDate(cell(row, 'value_date')),
+      amount_cents: amount,
+      description: cell(row, 'description') || null,
+      counterparty_name: cell(row, 'counterparty_name') || null,
+      counterparty_iban: cell(row, 'counterparty_iban').replace(/\s/g, '') || null,
+      reference: cell(row, 'reference') || null,
+      bank_reference: null
+    });
+  }
+  const dates = transactions.map(t => t.booking_date).sort();
+  return {
+    format: 'csv',
+    account_iban: null,
+    period_start: dates[0] || null,
+    period_end: dates[dates.length - 1] || null,
+    opening_balance_cents: null,
+    closing_balance_cents: null,
+    transactions,
+    skipped_lines: skipped
+  };
+}
+
+/**
+ * Parses an uploaded statement and fingerprints its transactions. Identical transactions in one
+ * file (two equal transfers on the same day) get distinct fingerprints by their order.
+ * @param {Buffer} buffer
+ * @param {object} options - { format: 'csv'|'camt053' (detected when missing), mapping }
+ */
+function parseStatement(buffer, { format, mapping }) {
+  const { text } = csv.decode(buffer);
+  const kind = format || (text.trimStart().startsWith('<') ? 'camt053' : 'csv');
+  if (!FORMATS[kind]) throw statementError(`Formato inválido (${Object.keys(FORMATS).join(', ')})`);
+  const statement = kind === 'camt053' ? parseCamt(text) : parseCsvStatement(text, mapping || {});
+  if (!statement.transactions.length) throw statementError('O extrato não tem movimentos');
+
+  const seen = new Map();
+  statement.transactions.forEach((t) => {
+    const key = [t.booking_date, t.amount_cents, t.bank_reference || '', csv.normalize(t.description), t.counterparty_iban || ''].join('|');
+    const n = (seen.get(key) || 0) + 1;
+    seen.set(key, n);
+    t.fingerprint = crypto.createHash('sha256').update(`${key}|${n}`).digest('hex');
+  });
+  return statement;
+}
+
+// Significant words of a name: "Maria da Silva Santos" -> ['maria', 'silva', 'santos']
+const nameTokens = (name) => csv.normalize(name).split(' ').filter(t => t && !NAME_PARTICLES.includes(t));
+
+// Whether `cents` pays exactly the oldest open charges of a unit: one quota, several or all
+function paysOldest(open, cents) {
+  let sum = 0;
+  for (const outstanding of open) {
+    sum += outstanding;
+    if (sum === cents) return true;
+    if (sum > cents) return false;
+  }
+  return false;
+}
+
+// Takes a payment off the open charges, oldest first
+function consume(open, cents) {
+  let left = cents;
+  while (left > 0 && open.length) {
+    const paid = Math.min(open[0], left);
+    open[0] -= paid;
+    left -= paid;
+    if (!open[0]) open.shift();
+  }
+}
+
+function toStatement(s) {
+  return {
+    id: s.id,
+    condominium_id: s.condominium_id,
+    format: s.format,
+    original_filename: s.original_filename,
+    account_iban: s.account_iban,
+    period_start: s.period_start,
+    period_end: s.period_end,
+    opening_balance: toEuros(s.opening_balance_cents),
+    closing_balance: toEuros(s.closing_balance_cents),
+    transactions_count: s.transactions_count,
+    duplicates_count: s.duplicates_count,
+    matched_count: s.matched_count !== undefined ? s.matched_count : undefined,
+    unmatched_count: s.unmatched_count !== undefined ? s.unmatched_count : undefined,
+    created_at: s.created_at
+  };
+}
+
+function toTransaction(t) {
+  return {
+    id: t.id,
+    statement_id: t.statement_id,
+    booking_date: t.booking_date,
+    value_date: t.value_date,
+    amount: toEuros(t.amount_cents),
+    description: t.description,
+    counterparty_name: t.counterparty_name,
+    counterparty_iban: t.counterparty_iban,
+    reference: t.reference,
+    bank_reference: t.bank_reference,
+    status: t.status,
+    fracao_id: t.fracao_id || null,
+    identifier: t.identifier || null,
+    user_id: t.user_id || null,
+    payer_name: t.payer_name || null,
+    payment_id: t.payment_id || null,
+    match_method: t.match_method || null,
+    suggestions: t.suggestions ? JSON.parse(t.suggestions) : [],
+    matched_at: t.matched_at || null
+  };
+}
+
+const TRANSACTION_QUERY = `
+  SELECT t.*, f.identifier, u.nome AS payer_name FROM bank_transactions t
+  LEFT JOIN fracoes f ON f.id = t.fracao_id LEFT JOIN users u ON u.id = t.user_id`;
+
+/**
+ * @param {import('sqlite3').Database} db - shared connection
+ * @param {object} options
+ * @param {function} options.transaction - runs work in a write transaction (transactions.js)
+ * @param {object} options.upload - multer instance for the statement files
+ * @param {object} options.quotas - quota billing module (quotas.js): unit accounts and payments
+ * @param {object} options.fracoes - units module (fracoes.js)
+ */
+module.exports = function(db, { transaction, upload, quotas, fracoes }) {
+  const q = require('./transactions').queries(db);
+
+  const removeFile = (file) => { if (file && file.path) fs.unlink(file.path, () => {}); };
+
+  /**
+   * What credits are matched against: the units of the condominium with their open charges
+   * (outstanding cents, oldest first) and the people currently related to them.
+   */
+  async function matchContext(conn, condominiumId) {
+    const units = await conn.all('SELECT id, identifier, condominium_id FROM fracoes WHERE condominium_id = ? ORDER BY identifier', [condominiumId]);
+    const open = new Map();
+    for (const unit of units) {
+      const acc = await quotas.account(unit.id, conn);
+      open.set(unit.id, acc.charges.filter(c => c.outstanding_cents > 0).map(c => c.outstanding_cents));
+    }
+    const people = await conn.all(
+      `SELECT fr.fracao_id, fr.user_id, u.nome, u.nif FROM fracao_residents fr
+       JOIN fracoes f ON f.id = fr.fracao_id JOIN users u ON u.id = fr.user_id
+       WHERE f.condominium_id = ? AND ${fracoes.CURRENT}`,
+      [condominiumId]
+    );
+    return {
+      condominiumId,
+      units: new Map(units.map(u => [u.id, u])),
+      open,
+      people: people.map(p => ({ ...p, nif: String(p.nif || '').trim(), tokens: nameTokens(p.nome) }))
+    };
+  }
+
+  /**
+   * The unit a credit pays for: { fracao_id, user_id, method } when sure enough, otherwise
+   * { suggestions: [{ fracao_id, identifier, user_id, reason }] }.
+   */
+  function identify(tx, ctx) {
+    const text = [tx.description, tx.reference, tx.counterparty_name].filter(Boolean).join(' ');
+    const nifs = (text.match(/\b\d{9}\b/g) || []).filter(csv.validNifCheckDigit);
+    const byNif = ctx.people.filter(p => nifs.includes(p.nif));
+    const words = new Set(nameTokens(tx.counterparty_name || tx.description));
+    const byName = ctx.people.filter(p => p.tokens.length >= 2 && words.has(p.tokens[0]) && words.has(p.tokens[p.tokens.length - 1]));
+    const payers = byNif.length ? byNif : byName;
+    const method = byNif.length ? 'nif' : 'name';
+    const payerOf = (fracaoId) => payers.find(p => p.fracao_id === fracaoId) || null;
+
+    const quoted = quotas.referenceIn(text);
+    if (quoted && quoted.condominium_id === ctx.condominiumId && ctx.units.has(quoted.fracao_id)) {
+      const payer = payerOf(quoted.fracao_id);
+      return { fracao_id: quoted.fracao_id, identifier: ctx.units.get(quoted.fracao_id).identifier, user_id: payer ? payer.user_id : null, method: 'reference' };
+    }
+
+    const fits = (fracaoId) => paysOldest(ctx.open.get(fracaoId) || [], tx.amount_cents);
+    const payerUnits = [...new Set(payers.map(p => p.fracao_id))];
+    const chosen = payerUnits.length === 1 ? payerUnits : payerUnits.filter(fits);
+    if (chosen.length === 1) {
+      return { fracao_id: chosen[0], identifier: ctx.units.get(chosen[0]).identifier, user_id: payerOf(chosen[0]).user_id, method };
+    }
+
+    const candidates = payerUnits.length ? payerUnits : [...ctx.units.keys()].filter(fits);
+    return {
+      suggestions: candidates.slice(0, MAX_SUGGESTIONS).map((fracaoId) => {
+        const payer = payerOf(fracaoId);
+        return { fracao_id: fracaoId, identifier: ctx.units.get(fracaoId).identifier, user_id: payer ? payer.user_id : null, reason: payer ? method : 'amount' };
+      })
+    };
+  }
+
+  /** Decides each credit, oldest first, taking matched payments off what the units owe. */
+  function reconcile(transactions, ctx) {
+    return [...transactions]
+      .sort((a, b) => (a.booking_date < b.booking_date ? -1 : a.booking_date > b.booking_date ? 1 : 0))
+      .map((tx) => {
+        if (tx.amount_cents <= 0) return { tx };
+        const decision = identify(tx, ctx);
+        if (decision.fracao_id) consume(ctx.open.get(decision.fracao_id) || [], tx.amount_cents);
+        return { tx, ...decision };
+      });
+  }
+
+  /** Records the payment for a stored credit and marks it matched, inside the caller's transaction. */
+  async function settle(conn, tx, { fracao_id: fracaoId, user_id: userId, method }, adminId) {
+    const paymentId = await quotas.recordPayment(conn, {
+      condominium_id: tx.condominium_id,
+      fracao_id: fracaoId,
+      user_id: userId,
+      amount_cents: tx.amount_cents,
+      paid_at: tx.booking_date,
+      method: 'transfer',
+      reference: tx.bank_reference || tx.reference,
+      notes: 'Extrato bancário',
+      created_by: adminId
+    });
+    await conn.run(
+      `UPDATE bank_transactions SET status = 'matched', payment_id = ?, fracao_id = ?, user_id = ?, match_method = ?,
+         suggestions = NULL, matched_by = ?, matched_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [paymentId, fracaoId, userId || null, method, adminId, tx.id]
+    );
+    return paymentId;
+  }
+
+  /** Stores the outcome of `reconcile` for transactions already in the table. */
+  async function apply(conn, results, adminId) {
+    for (const result of results) {
+      if (result.fracao_id) await settle(conn, result.tx, result, adminId);
+      else if (result.suggestions) {
+        await conn.run('UPDATE bank_transactions SET suggestions = ? WHERE id = ?',
+          [result.suggestions.length ? JSON.stringify(result.suggestions) : null, result.tx.id]);
+      }
+    }
+  }
+
+  function summaryOf(statement, results, duplicates) {
+    const credits = results.filter(r => r.tx.amount_cents > 0);
+    const matched = credits.filter(r => r.fracao_id);
+    return {
+      transactions: results.length,
+      duplicates,
+      credits: credits.length,
+      debits: results.length - credits.length,
+      matched: matched.length,
+      matched_total: toEuros(matched.reduce((sum, r) => sum + r.tx.amount_cents, 0)),
+      unmatched: credits.length - matched.length,
+      skipped_lines: statement.skipped_lines || []
+    };
+  }
+
+  const loadTransaction = (id, conn = q) => conn.get(`${TRANSACTION_QUERY} WHERE t.id = ?`, [id]);
+
+  const router = express.Router();
+
+  // Imports a statement (multipart: `file`, optional `format` and `mapping` as JSON); `dry_run`
+  // parses and matches without recording anything
+  router.post('/api/condominiums/:id/bank-statements', upload.single('file'), async (req, res) => {
+    const condominiumId = parseInt(req.params.id, 10);
+    const body = req.body || {};
+    const dryRun = ['1', 'true', true].includes(body.dry_run);
+    if (!req.file) return res.status(400).json({ error: 'Envie o ficheiro do extrato' });
+    let keep = false;
+
+    try {
+      const condo = await q.get('SELECT id FROM condominiums WHERE id = ?', [condominiumId]);
+      if (!condo) return res.status(404).json({ error: 'Condomínio não encontrado' });
+      let mapping = {};
+      if (body.mapping) {
+        try { mapping = typeof body.mapping === 'string' ? JSON.parse(body.mapping) : body.mapping; } catch (e) { mapping = null; }
+        if (!mapping || typeof mapping !== 'object') return res.status(400).json({ error: 'Mapeamento de colunas inválido' });
+      }
+      const statement = parseStatement(fs.readFileSync(req.file.path), { format: body.format, mapping });
+
+      if (dryRun) {
+        const known = new Set((await q.all('SELECT fingerprint FROM bank_transactions WHERE condominium_id = ?', [condominiumId])).map(r => r.fingerprint));
+        const fresh = statement.transactions.filter(t => !known.has(t.fingerprint));
+        const results = reconcile(fresh, await matchContext(q, condominiumId));
+        return res.json({
+          success: true,
+          dry_run: true,
+          format: statement.format,
+          account_iban: statement.account_iban,
+          period_start: statement.period_start,
+          period_end: statement.period_end,
+          summary: summaryOf(statement, results, statement.transactions.length - fresh.length),
+          transactions: results.map(r => ({
+            ...toTransaction({ ...r.tx, status: r.fracao_id ? 'matched' : r.tx.amount_cents > 0 ? 'unmatched' : 'ignored' }),
+            fracao_id: r.fracao_id || null,
+            identifier: r.identifier || null,
+            user_id: r.user_id || null,
+            match_method: r.method || null,
+            suggestions: r.suggestions || []
+          }))
+        });
+      }
+
+      const outcome = await transaction(async (conn) => {
+        const known = new Set((await conn.all('SELECT fingerprint FROM bank_transactions WHERE condominium_id = ?', [condominiumId])).map(r => r.fingerprint));
+        const fresh = statement.transactions.filter(t => !known.has(t.fingerprint));
+        if (!fresh.length) return null;
+        const created = await conn.run(
+          `INSERT INTO bank_statements (condominium_id, format, original_filename, file_path, account_iban, period_start, period_end,
+             opening_balance_cents, closing_balance_cents, transactions_count, duplicates_count, created_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [condominiumId, statement.format, req.file.originalname, req.file.path, statement.account_iban, statement.period_start,
+            statement.period_end, statement.opening_balance_cents, statement.closing_balance_cents, fresh.length,
+            statement.transactions.length - fresh.length, req.auth.id]
+        );
+        for (const t of fresh) {
+          const inserted = await conn.run(
+            `INSERT INTO bank_transactions (statement_id, condominium_id, booking_date, value_date, amount_cents, description,
+               counterparty_name, counterparty_iban, reference, bank_reference, fingerprint, status)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [created.lastID, condominiumId, t.booking_date, t.value_date, t.amount_cents, t.description, t.counterparty_name,
+              t.counterparty_iban, t.reference, t.bank_reference, t.fingerprint, t.amount_cents > 0 ? 'unmatched' : 'ignored']
+          );
+          Object.assign(t, { id: inserted.lastID, condominium_id: condominiumId });
+        }
+        const results = reconcile(fresh, await matchContext(conn, condominiumId));
+        await apply(conn, results, req.auth.id);
+        return { id: created.lastID, summary: summaryOf(statement, results, statement.transactions.length - fresh.length) };
+      });
+      if (!outcome) return res.status(409).json({ error: 'Todos os movimentos deste extrato já foram importados' });
+      keep = true;
+
+      const saved = await q.get('SELECT * FROM bank_statements WHERE id = ?', [outcome.id]);
+      res.status(201).json({ success: true, statement: toStatement(saved), summary: outcome.summary });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ error: error.message });
+      console.error('Error importing bank statement:', error);
+      res.status(500).json({ error: 'Erro ao importar extrato' });
+    } finally {
+      if (!keep) removeFile(req.file);
+    }
+  });
+
+  router.get('/api/condominiums/:id/bank-statements', async (req, res) => {
+    try {
+      const rows = await q.all(
+        `SELECT s.*,
+           (SELECT COUNT(*) FROM bank_transactions t WHERE t.statement_id = s.id AND t.status = 'matched') AS matched_count,
+           (SELECT COUNT(*) FROM bank_transactions t WHERE t.statement_id = s.id AND t.status = 'unmatched') AS unmatched_count
+         FROM bank_statements s WHERE s.condominium_id = ? ORDER BY s.created_at DESC, s.id DESC`,
+        [req.params.id]
+      );
+      res.json(rows.map(toStatement));
+    } catch (error) {
+      console.error('Error fetching bank statements:', error);
+      res.status(500).json({ error: 'Erro ao buscar extratos' });
+    }
+  });
+
+  router.get('/api/bank-statements/:id', async (req, res) => {
+    try {
+      const statement = await q.get('SELECT * FROM bank_statements WHERE id = ?', [req.params.id]);
+      if (!statement) return res.status(404).json({ error: 'Extrato não encontrado' });
+      const transactions = await q.all(`${TRANSACTION_QUERY} WHERE t.statement_id = ? ORDER BY t.booking_date, t.id`, [statement.id]);
+      res.json({ ...toStatement(statement), transactions: transactions.map(toTransaction) });
+    } catch (error) {
+      console.error('Error fetching bank statement:', error);
+      res.status(500).json({ error: 'Erro ao buscar extrato' });
+    }
+  });
+
+  // Removes a statement imported by mistake; its payments have to be undone first
+  router.delete('/api/bank-statements/:id', async (req, res) => {
+    try {
+      const statement = await q.get('SELECT * FROM bank_statements WHERE id = ?', [req.params.id]);
+      if (!statement) return res.status(404).json({ error: 'Extrato não encontrado' });
+      const matched = await q.get("SELECT COUNT(*) AS n FROM bank_transactions WHERE statement_id = ? AND status = 'matched'", [statement.id]);
+      if (matched.n) return res.status(409).json({ error: 'O extrato tem movimentos conciliados; desfaça a conciliação primeiro', matched: matched.n });
+      await transaction(async (conn) => {
+        await conn.run('DELETE FROM bank_transactions WHERE statement_id = ?', [statement.id]);
+        await conn.run('DELETE FROM bank_statements WHERE id = ?', [statement.id]);
+      });
+      if (statement.file_path) fs.unlink(statement.file_path, () => {});
+      res.json({ success: true, deleted: statement.id });
+    } catch (error) {
+      console.error('Error deleting bank statement:', error);
+      res.status(500).json({ error: 'Erro ao eliminar extrato' });
+    }
+  });
+
+  // Reconciliation queue: credits not yet matched, with suggestions, and the units that owe money
+  router.get('/api/condominiums/:id/reconciliation', async (req, res) => {
+    const condominiumId = parseInt(req.params.id, 10);
+    try {
+      const queue = await q.all(
+        `${TRANSACTION_QUERY} WHERE t.condominium_id = ? AND t.status = 'unmatched' ORDER BY t.booking_date, t.id`,
+        [condominiumId]
+      );
+      const units = await q.all('SELECT id, identifier, condominium_id FROM fracoes WHERE condominium_id = ? ORDER BY identifier', [condominiumId]);
+      const owing = [];
+      for (const unit of units) {
+        const acc = await quotas.account(unit.id);
+        const owed = acc.charged_cents - acc.paid_cents;
+        if (owed > 0) {
+          owing.push({ fracao_id: unit.id, identifier: unit.identifier, payment_reference: quotas.referenceOf(unit), owed: toEuros(owed), overdue: toEuros(acc.overdue_cents) });
+        }
+      }
+      res.json({ transactions: queue.map(toTransaction), owing, match_methods: MATCH_METHODS });
+    } catch (error) {
+      console.error('Error fetching reconciliation queue:', error);
+      res.status(500).json({ error: 'Erro ao buscar movimentos por conciliar' });
+    }
+  });
+
+  // Matches the queue again, e.g. after residents were linked to their units or charges imported
+  router.post('/api/condominiums/:id/reconciliation/run', async (req, res) => {
+    const condominiumId = parseInt(req.params.id, 10);
+    try {
+      const results = await transaction(async (conn) => {
+        const queue = await conn.all("SELECT * FROM bank_transactions WHERE condominium_id = ? AND status = 'unmatched' AND amount_cents > 0", [condominiumId]);
+        const decided = reconcile(queue, await matchContext(conn, condominiumId));
+        await apply(conn, decided, req.auth.id);
+        return decided;
+      });
+      const matched = results.filter(r => r.fracao_id);
+      res.json({ success: true, matched: matched.length, matched_total: toEuros(matched.reduce((sum, r) => sum + r.tx.amount_cents, 0)), unmatched: results.length - matched.length });
+    } catch (error) {
+      console.error('Error running reconciliation:', error);
+      res.status(500).json({ error: 'Erro ao conciliar movimentos' });
+    }
+  });
+
+  // Matches a credit by hand: { fracao_id, user_id }
+  router.post('/api/bank-transactions/:id/match', async (req, res) => {
+    const body = req.body || {};
+    const fracaoId = parseInt(body.fracao_id, 10);
+    const userId = body.user_id ? parseInt(body.user_id, 10) : null;
+    if (isNaN(fracaoId)) return res.status(400).json({ error: 'Indique a fração' });
+    if (body.user_id && isNaN(userId)) return res.status(400).json({ error: 'Invalid user id' });
+
+    try {
+      const tx = await q.get('SELECT * FROM bank_transactions WHERE id = ?', [req.params.id]);
+      if (!tx) return res.status(404).json({ error: 'Movimento não encontrado' });
+      if (tx.amount_cents <= 0) return res.status(409).json({ error: 'Só os créditos podem ser conciliados com pagamentos' });
+      const unit = await q.get('SELECT id, condominium_id FROM fracoes WHERE id = ?', [fracaoId]);
+      if (!unit || unit.condominium_id !== tx.condominium_id) return res.status(400).json({ error: 'A fração não pertence ao condomínio do movimento' });
+      const payer = userId ? await quotas.payerError(unit.id, userId) : null;
+      if (payer) return res.status(payer.status).json({ error: payer.error });
+
+      const done = await transaction(async (conn) => {
+        const current = await conn.get('SELECT status FROM bank_transactions WHERE id = ?', [tx.id]);
+        if (current.status === 'matched') return false;
+        await settle(conn, tx, { fracao_id: fracaoId, user_id: userId, method: 'manual' }, req.auth.id);
+        return true;
+      });
+      if (!done) return res.status(409).json({ error: 'Este movimento já está conciliado' });
+      res.json({ success: true, transaction: toTransaction(await loadTransaction(tx.id)) });
+    } catch (error) {
+      console.error('Error matching bank transaction:', error);
+      res.status(500).json({ error: 'Erro ao conciliar movimento' });
+    }
+  });
+
+  // Takes a credit out of the queue (not a quota payment, e.g. a refund from a supplier)
+  router.post('/api/bank-transactions/:id/ignore', async (req, res) => {
+    try {
+      const tx = await q.get('SELECT * FROM bank_transactions WHERE id = ?', [req.params.id]);
+      if (!tx) return res.status(404).json({ error: 'Movimento não encontrado' });
+      if (tx.status !== 'unmatched') return res.status(409).json({ error: 'Só os movimentos por conciliar podem ser ignorados' });
+      await q.run("UPDATE bank_transactions SET status = 'ignored', suggestions = NULL, matched_by = ?, matched_at = CURRENT_TIMESTAMP WHERE id = ?", [req.auth.id, tx.id]);
+      res.json({ success: true, transaction: toTransaction(await loadTransaction(tx.id)) });
+    } catch (error) {
+      console.error('Error ignoring bank transaction:', error);
+      res.status(500).json({ error: 'Erro ao ignorar movimento' });
+    }
+  });
+
+  // Undoes a match (deleting its payment) or an ignored credit; the credit goes back to the queue
+  router.delete('/api/bank-transactions/:id/match', async (req, res) => {
+    try {
+      const tx = await q.get('SELECT * FROM bank_transactions WHERE id = ?', [req.params.id]);
+      if (!tx) return res.status(404).json({ error: 'Movimento não encontrado' });
+      if (tx.status === 'matched') {
+        await transaction((conn) => quotas.deletePayment(conn, tx.payment_id));
+      } else if (tx.status === 'ignored' && tx.amount_cents > 0) {
+        await q.run("UPDATE bank_transactions SET status = 'unmatched', matched_by = NULL, matched_at = NULL WHERE id = ?", [tx.id]);
+      } else {
+        return res.status(409).json({ error: 'Este movimento não está conciliado' });
+      }
+      res.json({ success: true, transaction: toTransaction(await loadTransaction(tx.id)) });
+    } catch (error) {
+      console.error('Error undoing bank transaction match:', error);
+      res.status(500).json({ error: 'Erro ao desfazer conciliação' });
+    }
+  });
+
+  return {
+    FORMATS,
+    MATCH_METHODS,
+    parseStatement,
+    router
+  };
+};
+
+// XML reader shared with the SEPA return files (sepa.js)
+Object.assign(module.exports, { parseXml, find, childrenOf, textAt });
@@ -0,0 +1,535 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { toCents, toEuros, formatEuros, allocate } = require('./money');
+const pdf = require('./pdf');
+
+// Annual budgets (orçamentos) of a condominium: expense lines by category with their yearly
+// amount and how each is split between the units (by permilagem, or equally). The billing
+// frequency tells how many quotas a year the budget is billed in (see quotas.js).
+// A budget is a draft until it is approved at an assembleia: once the assembleia is closed, an
+// agenda item of it that passed (see assembleia-votes.js) approves the budget, and the budget PDF
+// is attached to that assembleia's files. Only approved budgets can be billed. An approved budget
+// can be reopened (back to draft) while it has not been billed.
+
+const FREQUENCIES = { monthly: 12, quarterly: 4, annual: 1 };
+const SPLITS = { permilagem: 'Permilagem', equal: 'Partes iguais' };
+const STATUSES = { draft: 'Proposta', approved: 'Aprovado' };
+const CATEGORIES = {
+  limpeza: 'Limpeza',
+  elevador: 'Elevador',
+  seguro: 'Seguro',
+  eletricidade: 'Eletricidade',
+  agua: 'Água',
+  manutencao: 'Manutenção e reparações',
+  administracao: 'Administração',
+  fundo_reserva: 'Fundo comum de reserva',
+  outro: 'Outras despesas'
+};
+const QUOTA_NAMES = { monthly: 'mensal', quarterly: 'trimestral', annual: 'anual' };
+
+const formatDate = (value) => (value ? String(value).slice(0, 10).split('-').reverse().join('/') : '');
+
+/** Validates budget fields and lines from a request body; `partial` allows missing fields. */
+function readBudget(body, partial) {
+  const budget = {};
+  if (body.year !== undefined || !partial) {
+    budget.year = parseInt(body.year, 10);
+    if (!Number.isInteger(budget.year) || budget.year < 2000 || budget.year > 2100) return { error: 'Ano inválido' };
+  }
+  if (body.frequency !== undefined || !partial) {
+    budget.frequency = body.frequency || 'monthly';
+    if (!FREQUENCIES[budget.frequency]) return { error: `Periodicidade inválida (${Object.keys(FREQUENCIES).join(', ')})` };
+  }
+  if (body.notes !== undefined) budget.notes = body.notes ? String(body.notes).trim() : null;
+
+  let lines;
+  if (body.lines !== undefined || !partial) {
+    if (!Array.isArray(body.lines) || !body.lines.length) return { error: 'O orçamento tem de ter pelo menos uma rubrica' };
+    lines = [];
+    for (const [index, line] of body.lines.entries()) {
+      const description = line && line.description ? String(line.description).trim() : '';
+      const amount = toCents(line && line.amount);
+      const split = (line && line.split) || 'permilagem';
+      const category = (line && line.category) || 'outro';
+      if (!description) return { error: `Rubrica ${index + 1}: a descrição é obrigatória` };
+      if (amount === null || amount < 0) return { error: `Rubrica ${index + 1}: montante inválido` };
+      if (!SPLITS[split]) return { error: `Rubrica ${index + 1}: repartição inválida (${Object.keys(SPLITS).join(', ')})` };
+      if (!CATEGORIES[category]) return { error: `Rubrica ${index + 1}: categoria inválida (${Object.keys(CATEGORIES).join(', ')})` };
+      lines.push({ description, category, amount_cents: amount, split, position: index });
+    }
+  }
+  return { budget, lines };
+}
+
+function toLine(row) {
+  return {
+    id: row.id,
+    description: row.description,
+    category: row.category,
+    amount: toEuros(row.amount_cents),
+    split: row.split,
+    position: row.position
+  };
+}
+
+/**
+ * Each unit's yearly share of each budget line, exact to the cent.
+ * @param {object[]} lines - budget lines (amount_cents, split)
+ * @param {object[]} units - units with permilagem, in a fixed order
+ * @returns {number[][]} cents per unit (outer) and line (inner)
+ */
+function yearlyShares(lines, units) {
+  const shares = units.map(() => []);
+  for (const line of lines) {
+    const weights = units.map(u => (line.split === 'equal' ? 1 : u.permilagem || 0));
+    allocate(line.amount_cents, weights).forEach((cents, i) => shares[i].push(cents));
+  }
+  return shares;
+}
+
+/** Amounts per category: { [category]: cents } from rows with category and amount_cents. */
+function byCategory(rows) {
+  const totals = {};
+  for (const r of rows) {
+    const category = CATEGORIES[r.category] ? r.category : 'outro';
+    totals[category] = (totals[category] || 0) + (r.amount_cents || 0);
+  }
+  return totals;
+}
+
+/**
+ * @param {import('sqlite3').Database} db - shared connection
+ * @param {object} options
+ * @param {function} options.transaction - runs work in a write transaction (transactions.js)
+ * @param {object} options.fracoes - units module (fracoes.js)
+ * @param {string} options.uploadsDir - where the approved budget PDFs are stored (assembleia files)
+ * @param {object} options.assembleias - assembleias module (assembleias.js)
+ * @param {object} options.votes - votes module (assembleia-votes.js), for the result of the approving item
+ */
+module.exports = function(db, { transaction, fracoes, uploadsDir, assembleias, votes }) {
+  const q = require('./transactions').queries(db);
+
+  async function linesOf(budgetId, conn = q) {
+    return conn.all('SELECT * FROM budget_lines WHERE budget_id = ? ORDER BY position, id', [budgetId]);
+  }
+
+  /** A budget with its lines (cents) and total; null when it does not exist. */
+  async function load(budgetId, conn = q) {
+    const budget = await conn.get(
+      `SELECT b.*, a.title AS assembleia_title, a.date AS assembleia_date
+       FROM budgets b LEFT JOIN assembleias a ON a.id = b.assembleia_id WHERE b.id = ?`,
+      [budgetId]
+    );
+    if (!budget) return null;
+    budget.lines = await linesOf(budget.id, conn);
+    budget.total_cents = budget.lines.reduce((sum, l) => sum + l.amount_cents, 0);
+    return budget;
+  }
+
+  function toBudget(budget, billed) {
+    return {
+      id: budget.id,
+      condominium_id: budget.condominium_id,
+      year: budget.year,
+      frequency: budget.frequency,
+      quotas_per_year: FREQUENCIES[budget.frequency],
+      status: budget.status,
+      assembleia: budget.assembleia_id
+        ? { id: budget.assembleia_id, title: budget.assembleia_title || null, date: budget.assembleia_date || null }
+        : null,
+      approved_at: budget.approved_at || null,
+      document_id: budget.document_id || null,
+      notes: budget.notes,
+      total: toEuros(budget.total_cents),
+      lines: budget.lines ? budget.lines.map(toLine) : undefined,
+      billed: !!billed,
+      created_at: budget.created_at,
+      updated_at: budget.updated_at
+    };
+  }
+
+  async function billingRuns(budgetId) {
+    const row = await q.get("SELECT COUNT(*) AS n FROM billing_runs WHERE budget_id = ? AND status = 'posted'", [budgetId]);
+    return row.n;
+  }
+
+  async function insertLines(conn, budgetId, lines) {
+    for (const l of lines) {
+      await conn.run(
+        'INSERT INTO budget_lines (budget_id, description, category, amount_cents, split, position) VALUES (?, ?, ?, ?, ?, ?)',
+        [budgetId, l.description, l.category, l.amount_cents, l.split, l.position]
+      );
+    }
+  }
+
+  /**
+   * The budget per category next to the previous year's: its budget, the actual expenses of that
+   * year (expenses.js, by invoice date; the reserve fund's are the contributions it received) and
+   * what was billed for each category (the details of its charges, cancelled ones left out).
+   */
+  async function comparison(budget) {
+    const previousYear = budget.year - 1;
+    const previous = await q.get('SELECT id FROM budgets WHERE condominium_id = ? AND year = ?', [budget.condominium_id, previousYear]);
+    const previousLines = previous ? await linesOf(previous.id) : [];
+    const billed = await q.all(
+      `SELECT json_extract(d.value, '$.category') AS category, SUM(json_extract(d.value, '$.amount_cents')) AS amount_cents
+       FROM charges c, json_each(c.details) d
+       WHERE c.condominium_id = ? AND substr(c.period, 1, 4) = ? AND c.cancelled_at IS NULL
+       GROUP BY 1`,
+      [budget.condominium_id, String(previousYear)]
+    );
+    const spent = await q.all(
+      `SELECT category, SUM(amount_cents) AS amount_cents FROM expenses
+       WHERE condominium_id = ? AND substr(invoice_date, 1, 4) = ? GROUP BY category
+       UNION ALL
+       SELECT 'fundo_reserva', SUM(amount_cents) FROM reserve_fund_movements
+       WHERE condominium_id = ? AND type = 'contribution' AND substr(date, 1, 4) = ?`,
+      [budget.condominium_id, String(previousYear), budget.condominium_id, String(previousYear)]
+    );
+
+    const forecast = byCategory(budget.lines);
+    const previousForecast = byCategory(previousLines);
+    const actual = byCategory(spent);
+    const previousBilled = byCategory(billed);
+    const categories = Object.keys(CATEGORIES).filter(c => forecast[c] || previousForecast[c] || actual[c] || previousBilled[c]);
+    const row = (category) => {
+      const current = forecast[category] || 0;
+      const base = actual[category] || 0;
+      return {
+        category,
+        label: CATEGORIES[category],
+        forecast: toEuros(current),
+        previous_budget: previous ? toEuros(previousForecast[category] || 0) : null,
+        previous_actual: toEuros(base),
+        previous_billed: toEuros(previousBilled[category] || 0),
+        // Change from the previous year's actuals, in percent (null without actuals)
+        change: base ? Math.round(((current - base) / base) * 1000) / 10 : null
+      };
+    };
+    const sum = (totals) => Object.values(totals).reduce((s, v) => s + v, 0);
+    return {
+      year: budget.year,
+      previous_year: previousYear,
+      previous_budget_id: previous ? previous.id : null,
+      categories: categories.map(row),
+      totals: {
+        forecast: toEuros(sum(forecast)),
+        previous_budget: previous ? toEuros(sum(previousForecast)) : null,
+        previous_actual: toEuros(sum(actual)),
+        previous_billed: toEuros(sum(previousBilled))
+      }
+    };
+  }
+
+  /** The budget as a PDF: lines, comparison with the previous year and each unit's quota. */
+  async function render(budget) {
+    const condo = await q.get('SELECT name, nipc FROM condominiums WHERE id = ?', [budget.condominium_id]);
+    const compared = await comparison(budget);
+    const units = await q.all('SELECT id, identifier, permilagem FROM fracoes WHERE condominium_id = ? ORDER BY identifier', [budget.condominium_id]);
+    const check = await fracoes.permilagemCheck(budget.condominium_id);
+    const euros = (value) => (value === null ? '—' : formatEuros(Math.round(value * 100)));
+
+    const doc = pdf.document({ title: `Orçamento ${budget.year} — ${condo.name}`, footer: `${condo.name} — Orçamento ${budget.year}` });
+    doc.heading(`Orçamento ${budget.year}`, { size: 18 });
+    doc.text(`Condomínio ${condo.name}${condo.nipc ? ` (NIPC ${condo.nipc})` : ''}`, { size: 11, bold: true });
+    if (budget.status === 'approved' && budget.assembleia_id) {
+      doc.text(`Aprovado na assembleia "${budget.assembleia_title}" de ${formatDate(budget.assembleia_date)}.`);
+    } else {
+      doc.text('Proposta de orçamento, sujeita a aprovação em assembleia de condóminos.');
+    }
+    doc.text(`Quota ${QUOTA_NAMES[budget.frequency]} (${FREQUENCIES[budget.frequency]} por ano).`);
+    doc.space();
+
+    doc.heading('Rubricas', { size: 12 });
+    doc.table(
+      [
+        { label: 'Rubrica', width: 0.4 },
+        { label: 'Categoria', width: 0.25 },
+        { label: 'Repartição', width: 0.15 },
+        { label: 'Montante', width: 0.2, align: 'right' }
+      ],
+      budget.lines.map(l => [l.description, CATEGORIES[l.category] || l.category || '', SPLITS[l.split], formatEuros(l.amount_cents)]),
+      { footer: ['Total', '', '', formatEuros(budget.total_cents)] }
+    );
+
+    doc.heading(`Comparação com ${compared.previous_year}`, { size: 12 });
+    doc.table(
+      [
+        { label: 'Categoria', width: 0.34 },
+        { label: `Orçamento ${compared.previous_year}`, width: 0.22, align: 'right' },
+        { label: `Realizado ${compared.previous_year}`, width: 0.22, align: 'right' },
+        { label: `Orçamento ${budget.year}`, width: 0.22, align: 'right' }
+      ],
+      compared.categories.map(c => [c.label, euros(c.previous_budget), euros(c.previous_actual), euros(c.forecast)]),
+      { footer: ['Total', euros(compared.totals.previous_budget), euros(compared.totals.previous_actual), euros(compared.totals.forecast)] }
+    );
+
+    doc.heading('Quotas por fração', { size: 12 });
+    if (!units.length || (budget.lines.some(l => l.split === 'permilagem') && !check.ok)) {
+      doc.text(`As quotas por fração serão calculadas quando as permilagens das frações estiverem completas (soma atual: ${check.total}‰).`);
+    } else {
+      const quotas = FREQUENCIES[budget.frequency];
+      const shares = yearlyShares(budget.lines, units).map(lines => lines.reduce((sum, c) => sum + c, 0));
+      doc.table(
+        [
+          { label: 'Fração', width: 0.3 },
+          { label: 'Permilagem', width: 0.2, align: 'right' },
+          { label: 'Anual', width: 0.25, align: 'right' },
+          { label: `Quota ${QUOTA_NAMES[budget.frequency]}`, width: 0.25, align: 'right' }
+        ],
+        units.map((u, i) => [
+          u.identifier,
+          u.permilagem === null ? '' : `${String(u.permilagem).replace('.', ',')}‰`,
+          formatEuros(shares[i]),
+          formatEuros(allocate(shares[i], new Array(quotas).fill(1))[0])
+        ]),
+        { footer: ['Total', `${check.total}‰`, formatEuros(budget.total_cents), ''] }
+      );
+    }
+
+    if (budget.notes) {
+      doc.heading('Observações', { size: 12 });
+      doc.text(budget.notes);
+    }
+    return doc.toBuffer();
+  }
+
+  const router = express.Router();
+
+  router.get('/api/condominiums/:id/budgets', async (req, res) => {
+    try {
+      const rows = await q.all(
+        `SELECT b.*, a.title AS assembleia_title, a.date AS assembleia_date,
+           COALESCE((SELECT SUM(amount_cents) FROM budget_lines WHERE budget_id = b.id), 0) AS total_cents,
+           (SELECT COUNT(*) FROM billing_runs r WHERE r.budget_id = b.id AND r.status = 'posted') AS runs
+         FROM budgets b LEFT JOIN assembleias a ON a.id = b.assembleia_id
+         WHERE b.condominium_id = ? ORDER BY b.year DESC`,
+        [req.params.id]
+      );
+      res.json({
+        budgets: rows.map(r => toBudget(r, r.runs > 0)),
+        frequencies: Object.keys(FREQUENCIES),
+        splits: SPLITS,
+        categories: CATEGORIES,
+        statuses: STATUSES
+      });
+    } catch (error) {
+      console.error('Error fetching budgets:', error);
+      res.status(500).json({ error: 'Erro ao buscar orçamentos' });
+    }
+  });
+
+  router.post('/api/condominiums/:id/budgets', async (req, res) => {
+    const condominiumId = parseInt(req.params.id, 10);
+    const { budget, lines, error } = readBudget(req.body || {}, false);
+    if (error) return res.status(400).json({ error });
+
+    try {
+      const condo = await q.get('SELECT id FROM condominiums WHERE id = ?', [condominiumId]);
+      if (!condo) return res.status(404).json({ error: 'Condomínio não encontrado' });
+
+      const id = await transaction(async (conn) => {
+        const created = await conn.run(
+          'INSERT INTO budgets (condominium_id, year, frequency, notes, created_by) VALUES (?, ?, ?, ?, ?)',
+          [condominiumId, budget.year, budget.frequency, budget.notes || null, req.auth.id]
+        );
+        await insertLines(conn, created.lastID, lines);
+        return created.lastID;
+      });
+      res.status(201).json({ success: true, budget: toBudget(await load(id), false) });
+    } catch (error) {
+      if (error.message && error.message.includes('UNIQUE constraint failed')) {
+        return res.status(409).json({ error: 'Já existe um orçamento para este ano' });
+      }
+      console.error('Error creating budget:', error);
+      res.status(500).json({ error: 'Erro ao criar orçamento' });
+    }
+  });
+
+  router.get('/api/budgets/:id', async (req, res) => {
+    try {
+      const budget = await load(req.params.id);
+      if (!budget) return res.status(404).json({ error: 'Orçamento não encontrado' });
+      res.json(toBudget(budget, await billingRuns(budget.id) > 0));
+    } catch (error) {
+      console.error('Error fetching budget:', error);
+      res.status(500).json({ error: 'Erro ao buscar orçamento' });
+    }
+  });
+
+  // Changes a draft budget; `lines`, when given, replace every line
+  router.put('/api/budgets/:id', async (req, res) => {
+    const { budget, lines, error } = readBudget(req.body || {}, true);
+    if (error) return res.status(400).json({ error });
+    const fields = Object.keys(budget);
+    if (!fields.length && !lines) return res.status(400).json({ error: 'No fields to update' });
+
+    try {
+      const existing = await q.get('SELECT * FROM budgets WHERE id = ?', [req.params.id]);
+      if (!existing) return res.status(404).json({ error: 'Orçamento não encontrado' });
+      if (existing.status !== 'draft') return res.status(409).json({ error: 'Este orçamento já foi aprovado; reabra-o para o alterar' });
+
+      await transaction(async (conn) => {
+        await conn.run(
+          `UPDATE budgets SET ${fields.map(f => `${f} = ?, `).join('')}updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [...fields.map(f => budget[f]), existing.id]
+        );
+        if (lines) {
+          await conn.run('DELETE FROM budget_lines WHERE budget_id = ?', [existing.id]);
+          await insertLines(conn, existing.id, lines);
+        }
+      });
+      res.json({ success: true, budget: toBudget(await load(existing.id), false) });
+    } catch (error) {
+      if (error.message && error.message.includes('UNIQUE constraint failed')) {
+        return res.status(409).json({ error: 'Já existe um orçamento para este ano' });
+      }
+      console.error('Error updating budget:', error);
+      res.status(500).json({ error: 'Erro ao atualizar orçamento' });
+    }
+  });
+
+  router.delete('/api/budgets/:id', async (req, res) => {
+    try {
+      const existing = await q.get('SELECT * FROM budgets WHERE id = ?', [req.params.id]);
+      if (!existing) return res.status(404).json({ error: 'Orçamento não encontrado' });
+      const runs = await q.get('SELECT COUNT(*) AS n FROM billing_runs WHERE budget_id = ?', [existing.id]);
+      if (runs.n) return res.status(409).json({ error: 'Este orçamento já foi faturado e não pode ser eliminado' });
+      if (existing.status !== 'draft') return res.status(409).json({ error: 'Este orçamento já foi aprovado; reabra-o para o eliminar' });
+
+      await transaction(async (conn) => {
+        await conn.run('DELETE FROM budget_lines WHERE budget_id = ?', [existing.id]);
+        await conn.run('DELETE FROM budgets WHERE id = ?', [existing.id]);
+      });
+      res.json({ success: true, deleted: existing.id });
+    } catch (error) {
+      console.error('Error deleting budget:', error);
+      res.status(500).json({ error: 'Erro ao eliminar orçamento' });
+    }
+  });
+
+  // Approves a draft by the agenda item that passed it at a closed assembleia of the same
+  // condominium: { assembleia_id, agenda_item_id }. The budget PDF is added to the assembleia's files.
+  router.post('/api/budgets/:id/approve', async (req, res) => {
+    const body = req.body || {};
+    const assembleiaId = parseInt(body.assembleia_id, 10);
+    const itemId = parseInt(body.agenda_item_id, 10);
+    if (!Number.isInteger(assembleiaId)) return res.status(400).json({ error: 'Indique a assembleia em que o orçamento foi aprovado' });
+    if (!Number.isInteger(itemId)) return res.status(400).json({ error: 'Indique o ponto da ordem de trabalhos que aprovou o orçamento' });
+
+    let filePath = null;
+    try {
+      const budget = await load(req.params.id);
+      if (!budget) return res.status(404).json({ error: 'Orçamento não encontrado' });
+      if (budget.status !== 'draft') return res.status(409).json({ error: 'Este orçamento já está aprovado' });
+      const assembleia = await q.get('SELECT * FROM assembleias WHERE id = ?', [assembleiaId]);
+      if (!assembleia || assembleia.condominium_id !== budget.condominium_id) {
+        return res.status(400).json({ error: 'A assembleia não existe ou é de outro condomínio' });
+      }
+      if (!assembleias.isClosed(assembleia)) {
+        return res.status(409).json({ error: 'O orçamento só pode ser aprovado depois de encerrada a assembleia' });
+      }
+      const item = (await votes.resultsOf(assembleia)).items.find(i => i.id === itemId);
+      if (!item) return res.status(400).json({ error: 'O ponto indicado não foi votado nesta assembleia' });
+      if (!item.result || !item.result.passed) return res.status(409).json({ error: 'O ponto da ordem de trabalhos não foi aprovado' });
+
+      const buffer = await render({ ...budget, status: 'approved', assembleia_id: assembleia.id, assembleia_title: assembleia.title, assembleia_date: assembleia.date });
+      const filename = `orcamento-${budget.condominium_id}-${budget.year}-${Date.now()}.pdf`;
+      filePath = path.join(uploadsDir, filename);
+      fs.writeFileSync(filePath, buffer);
+
+      await transaction(async (conn) => {
+        const file = await conn.run(
+          'INSERT INTO assembleia_files (assembleia_id, filename, original_filename, file_path, mime_type, file_size) VALUES (?, ?, ?, ?, ?, ?)',
+          [assembleia.id, filename, `Orçamento ${budget.year}.pdf`, filePath, 'application/pdf', buffer.length]
+        );
+        const updated = await conn.run(
+          `UPDATE budgets SET status = 'approved', assembleia_id = ?, approved_at = CURRENT_TIMESTAMP, approved_by = ?, document_id = ?,
+             updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'draft'`,
+          [assembleia.id, req.auth.id, file.lastID, budget.id]
+        );
+        if (!updated.changes) {
+          const error = new Error('Este orçamento já está aprovado');
+          error.status = 409;
+          throw error;
+        }
+      });
+      res.json({ success: true, budget: toBudget(await load(budget.id), false) });
+    } catch (error) {
+      if (filePath) fs.unlink(filePath, () => {});
+      if (error.status) return res.status(error.status).json({ error: error.message });
+      console.error('Error approving budget:', error);
+      res.status(500).json({ error: 'Erro ao aprovar orçamento' });
+    }
+  });
+
+  // Back to draft, e.g. to correct it; the approved PDF is removed from the assembleia's files, as
+  // it no longer stands for the budget
+  router.post('/api/budgets/:id/reopen', async (req, res) => {
+    try {
+      const existing = await q.get('SELECT * FROM budgets WHERE id = ?', [req.params.id]);
+      if (!existing) return res.status(404).json({ error: 'Orçamento não encontrado' });
+      if (existing.status === 'draft') return res.status(409).json({ error: 'Este orçamento ainda não foi aprovado' });
+      if (await billingRuns(existing.id)) return res.status(409).json({ error: 'Este orçamento já foi faturado e não pode ser reaberto' });
+
+      const document = await transaction(async (conn) => {
+        const updated = await conn.run(
+          `UPDATE budgets SET status = 'draft', assembleia_id = NULL, approved_at = NULL, approved_by = NULL, document_id = NULL,
+             updated_at = CURRENT_TIMESTAMP
+           WHERE id = ? AND status = 'approved'
+             AND NOT EXISTS (SELECT 1 FROM billing_runs WHERE budget_id = budgets.id AND status = 'posted')`,
+          [existing.id]
+        );
+        if (!updated.changes) {
+          const error = new Error('Este orçamento foi alterado entretanto; recarregue-o');
+          error.status = 409;
+          throw error;
+        }
+        const file = existing.document_id ? await conn.get('SELECT * FROM assembleia_files WHERE id = ?', [existing.document_id]) : null;
+        if (file) await conn.run('DELETE FROM assembleia_files WHERE id = ?', [file.id]);
+        return file;
+      });
+      if (document && document.file_path) fs.unlink(document.file_path, () => {});
+      res.json({ success: true, budget: toBudget(await load(existing.id), false) });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ error: error.message });
+      console.error('Error reopening budget:', error);
+      res.status(500).json({ error: 'Erro ao reabrir orçamento' });
+    }
+  });
+
+  router.get('/api/budgets/:id/comparison', async (req, res) => {
+    try {
+      const budget = await load(req.params.id);
+      if (!budget) return res.status(404).json({ error: 'Orçamento não encontrado' });
+      res.json(await comparison(budget));
+    } catch (error) {
+      console.error('Error comparing budget:', error);
+      res.status(500).json({ error: 'Erro ao comparar orçamento' });
+    }
+  });
+
+  router.get('/api/budgets/:id/pdf', async (req, res) => {
+    try {
+      const budget = await load(req.params.id);
+      if (!budget) return res.status(404).json({ error: 'Orçamento não encontrado' });
+      const buffer = await render(budget);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="orcamento-${budget.year}.pdf"`);
+      res.send(buffer);
+    } catch (error) {
+      console.error('Error rendering budget PDF:', error);
+      res.status(500).json({ error: 'Erro ao gerar o PDF do orçamento' });
+    }
+  });
+
+  return {
+    FREQUENCIES,
+    SPLITS,
+    CATEGORIES,
+    yearlyShares,
+    load,
+    router
+  };
+};
@@ -0,0 +1,881 @@
+const express = require('express');
+const fs = require('fs');
+const bcrypt = require('bcrypt');
+const sqlite3 = require('sqlite3');
+
+// Resident import pipeline shared by every CSV/JSON import route.
+// An upload becomes an import job (import_jobs): the file is decoded (UTF-8, otherwise
+// Windows-1252), its delimiter detected and its columns mapped to resident fields. The job can
+// then be previewed with per-row validation, simulated (dry run: creates / updates / links /
+// conflicts / errors) and finally committed in a single transaction. Rows with errors are left
+// out and listed in the downloadable error report. Jobs are stored, so an import can be resumed
+// by id at any step until it is committed.
+//
+// The commit runs on its own connection (BEGIN IMMEDIATE), so requests served meanwhile on the
+// shared connection never end up inside the import transaction; they wait for it instead.
+
+// Target fields and the (normalised) header names recognised for each
+const FIELDS = {
+  nif: { label: 'NIF', aliases: ['nif', 'contribuinte', 'n contribuinte', 'numero contribuinte', 'nif contribuinte'] },
+  nome: { label: 'Nome', aliases: ['nome', 'name', 'nome completo'] },
+  grupo: { label: 'Grupo (condomínio - fração)', aliases: ['grupo'] },
+  condominio: { label: 'Condomínio', aliases: ['condominio', 'condominium', 'predio', 'edificio'] },
+  fracao: { label: 'Fração', aliases: ['fracao', 'apartamento', 'apartment', 'andar'] },
+  telemovel: { label: 'Telemóvel', aliases: ['telemovel', 'movel', 'telemovel 1'] },
+  telefone: { label: 'Telefone', aliases: ['telefone', 'telefone fixo'] },
+  permite_telefone: { label: 'Permite telefone', aliases: ['permite telefone'] },
+  email1: { label: 'E-mail 1', aliases: ['e mail 1', 'email 1', 'email1', 'e mail', 'email', 'mail 1'] },
+  email2: { label: 'E-mail 2', aliases: ['e mail 2', 'email 2', 'email2', 'mail 2'] },
+  email3: { label: 'E-mail 3', aliases: ['e mail 3', 'email 3', 'email3', 'mail 3'] },
+  permite_email: { label: 'Permite e-mail', aliases: ['permite e mail', 'permite email'] },
+  conjuge: { label: 'Cônjuge', aliases: ['conjuge'] },
+  data_criacao: { label: 'Data de criação', aliases: ['data de criacao', 'data criacao'] },
+  data_alteracao: { label: 'Data de alteração', aliases: ['data de alteracao', 'data alteracao'] }
+};
+
+// Fields stored on the users row (the others only place the resident in a condominium)
+const USER_FIELDS = ['nome', 'grupo', 'telemovel', 'telefone', 'permite_telefone', 'email1', 'email2', 'email3',
+  'permite_email', 'conjuge', 'data_criacao', 'data_alteracao'];
+
+const DELIMITERS = [';', ',', '\t'];
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PREVIEW_ROWS = 50;
+const IN_CLAUSE_CHUNK = 500;
+
+function normalize(s) {
+  return String(s || '')
+    .replace(/^\uFEFF/, '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '') // strip accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function toDigits(s) {
+  return (String(s || '').match(/\d+/g) || []).join('');
+}
+
+function clean(s) {
+  return String(s === null || s === undefined ? '' : s).replace(/\s+/g, ' ').trim();
+}
+
+/** Decodes an uploaded file: UTF-8 when it is valid UTF-8, otherwise Windows-1252 (Excel on Windows). */
+function decode(buffer) {
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return { text: buffer.slice(3).toString('utf8'), encoding: 'utf-8' };
+  }
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+  } catch (e) {
+    return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'windows-1252' };
+  }
+}
+
+/** Most frequent candidate delimiter in the header line (outside quotes); ties favour ';'. */
+function detectDelimiter(text) {
+  const counts = new Map(DELIMITERS.map(d => [d, 0]));
+  let quoted = false;
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && (ch === '\n' || ch === '\r')) break;
+    else if (!quoted && counts.has(ch)) counts.set(ch, counts.get(ch) + 1);
+  }
+  return DELIMITERS.reduce((best, d) => (counts.get(d) > counts.get(best) ? d : best), ';');
+}
+
+/**
+ * Parses CSV text (quoted fields, "" escapes, CRLF/LF/CR line ends). Blank lines are skipped.
+ * @returns {{headers: string[], records: Array<{line: number, cells: string[]}>}}
+ */
+function parseCsv(text, delimiter) {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.some(c => c.trim() !== '')) records.push({ line: startLine, cells });
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      startLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || cells.length) endRecord();
+
+  const header = records.shift();
+  return {
+    headers: header ? header.cells.map(h => h.replace(/^\uFEFF/, '').trim()) : [],
+    records
+  };
+}
+
+function csvCell(value, delimiter) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return text.includes(delimiter) || /["\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** CSV text for JSON rows ([{ header: value }]) so they are stored like an uploaded file. */
+function rowsToCsv(rows, delimiter = ';') {
+  const headers = [];
+  rows.forEach(row => Object.keys(row || {}).forEach(k => { if (!headers.includes(k)) headers.push(k); }));
+  const lines = [headers.map(h => csvCell(h, delimiter)).join(delimiter)];
+  rows.forEach(row => lines.push(headers.map(h => csvCell((row || {})[h], delimiter)).join(delimiter)));
+  return lines.join('\n');
+}
+
+/** Column index per field, guessed from the header names. */
+function suggestMapping(headers) {
+  const normalized = headers.map(normalize);
+  const used = new Set();
+  const mapping = {};
+  Object.entries(FIELDS).forEach(([field, def]) => {
+    for (const alias of def.aliases) {
+      const index = normalized.findIndex((h, i) => h === alias && !used.has(i));
+      if (index !== -1) {
+        mapping[field] = index;
+        used.add(index);
+        return;
+      }
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Validates a mapping sent by the client: { field: column index | header name | null }.
+ * @returns {{mapping?: object, error?: string}}
+ */
+function resolveMapping(input, headers) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'Mapeamento inválido' };
+  const mapping = {};
+  for (const [field, value] of Object.entries(input)) {
+    if (!FIELDS[field]) return { error: `Campo desconhecido: ${field}` };
+    if (value === null || value === undefined || value === '') continue;
+    const index = typeof value === 'number' ? value : headers.indexOf(String(value));
+    if (!Number.isInteger(index) || index < 0 || index >= headers.length) {
+      return { error: `Coluna inválida para ${FIELDS[field].label}: ${value}` };
+    }
+    mapping[field] = index;
+  }
+  if (mapping.nif === undefined) return { error: 'A coluna do NIF tem de ser mapeada' };
+  return { mapping };
+}
+
+/** Portuguese NIF check digit (mod 11). */
+function validNifCheckDigit(nif) {
+  if (!/^\d{9}$/.test(nif)) return false;
+  let sum = 0;
+  for (let i = 0; i < 8; i++) sum += Number(nif[i]) * (9 - i);
+  const check = 11 - (sum % 11);
+  return (check >= 10 ? 0 : check) === Number(nif[8]);
+}
+
+/** Mapped values of one record plus the checks that need no database. */
+function validateRecord(record, mapping) {
+  const values = {};
+  Object.entries(mapping).forEach(([field, index]) => { values[field] = clean(record.cells[index]); });
+  const messages = [];
+  const error = (message) => messages.push({ level: 'error', message });
+  const warning = (message) => messages.push({ level: 'warning', message });
+
+  values.nif = toDigits(values.nif);
+  if (!values.nif) error('NIF em falta');
+  else if (values.nif.length !== 9) warning(`NIF com ${values.nif.length} dígitos`);
+  else if (!validNifCheckDigit(values.nif)) warning('NIF com dígito de controlo inválido');
+
+  if (!values.nome) {
+    if (values.nif) warning(`Nome em falta: será usado "Morador ${values.nif}"`);
+    values.nome = values.nif ? `Morador ${values.nif}` : '';
+  }
+  ['email1', 'email2', 'email3'].forEach(field => {
+    if (values[field] && !EMAIL.test(values[field])) warning(`${FIELDS[field].label} inválido: ${values[field]}`);
+  });
+  return { line: record.line, values, messages };
+}
+
+/**
+ * Condominium name and fraction of a row in an import not bound to one condominium.
+ * The Grupo field ("Condomínio - Fração") is matched against the known condominiums first, so
+ * names that themselves contain " - " are kept whole; otherwise it is split on its last " - ".
+ */
+function placeFromGroup(values, condominiumNames) {
+  if (values.condominio) return { name: values.condominio, apartment: values.fracao || '' };
+  const grupo = values.grupo || '';
+  if (!grupo) return { name: '', apartment: values.fracao || '' };
+
+  const lower = grupo.toLowerCase();
+  let known = '';
+  condominiumNames.forEach(name => {
+    const n = name.toLowerCase();
+    if ((lower === n || lower.startsWith(n + ' - ')) && n.length > known.length) known = name;
+  });
+  if (known) return { name: known, apartment: values.fracao || grupo.slice(known.length).replace(/^\s*-\s*/, '').trim() };
+
+  const cut = grupo.lastIndexOf(' - ');
+  if (cut === -1) return { name: grupo, apartment: values.fracao || '' };
+  return { name: grupo.slice(0, cut).trim(), apartment: values.fracao || grupo.slice(cut + 3).trim() };
+}
+
+/** Fraction of a row in an import bound to one condominium (Grupo minus the condominium name). */
+function apartmentInCondominium(values, condominiumName) {
+  if (values.fracao) return values.fracao;
+  const grupo = values.grupo || '';
+  const prefix = (condominiumName || '').toLowerCase() + ' - ';
+  if (grupo.toLowerCase().startsWith(prefix)) return grupo.slice(prefix.length).trim();
+  const cut = grupo.lastIndexOf(' - ');
+  return cut === -1 ? '' : grupo.slice(cut + 3).trim();
+}
+
+function parseJson(text, fallback) {
+  if (!text) return fallback;
+  try { return JSON.parse(text); } catch (e) { return fallback; }
+}
+
+function queries(conn) {
+  return {
+    run(sql, params = []) {
+      return new Promise((resolve, reject) => conn.run(sql, params, function(err) { if (err) reject(err); else resolve(this); }));
+    },
+    get(sql, params = []) {
+      return new Promise((resolve, reject) => conn.get(sql, params, (err, row) => (err ? reject(err) : resolve(row))));
+    },
+    all(sql, params = []) {
+      return new Promise((resolve, reject) => conn.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || []))));
+    }
+  };
+}
+
+async function allIn(q, sql, ids) {
+  const rows = [];
+  for (let i = 0; i < ids.length; i += IN_CLAUSE_CHUNK) {
+    const chunk = ids.slice(i, i + IN_CLAUSE_CHUNK);
+    rows.push(...await q.all(sql.replace('(?)', `(${chunk.map(() => '?').join(',')})`), chunk));
+  }
+  return rows;
+}
+
+/** Error answered to the client with `status` (anything else is a 500). */
+function importError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * @param {import('sqlite3').Database} db - shared connection
+ * @param {object} options
+ * @param {string} options.dbPath - database file (the commit opens its own connection)
+ * @param {import('multer').Multer} options.upload - multer instance for CSV files
+ * @param {object} options.authz - authorization module (condominiumsWith)
+ * @param {object} options.fracoes - units module (links residents to units)
+ */
+module.exports = function(db, { dbPath, upload, authz, fracoes }) {
+  const q = queries(db);
+  // Jobs whose commit is running in this process ('committing' rows not listed here are
+  // left over from a crash and may be simulated again)
+  const inFlight = new Set();
+
+  async function loadJob(id) {
+    const row = await q.get('SELECT * FROM import_jobs WHERE id = ?', [id]);
+    if (!row) throw importError(404, 'Importação não encontrada');
+    return row;
+  }
+
+  function recordsOf(job) {
+    return parseCsv(job.content, job.delimiter);
+  }
+
+  function optionsOf(job) {
+    return { update_existing: false, ...parseJson(job.options, {}) };
+  }
+
+  function toJob(row) {
+    const dryRun = parseJson(row.dry_run, null);
+    const result = parseJson(row.result, null);
+    return {
+      id: row.id,
+      condominium_id: row.condominium_id,
+      status: row.status === 'committing' && !inFlight.has(row.id) ? 'failed' : row.status,
+      file_name: row.file_name,
+      encoding: row.encoding,
+      delimiter: row.delimiter,
+      options: optionsOf(row),
+      dry_run: dryRun ? dryRun.summary : null,
+      result: result ? result.summary : null,
+      error: row.error,
+      created_by: row.created_by,
+      created_at: row.created_at,
+      updated_at: row.updated_at,
+      committed_at: row.committed_at
+    };
+  }
+
+  /**
+   * Creates a job from decoded CSV text and suggests a column mapping.
+   * @returns {Promise<object>} the job row
+   */
+  async function createJob({ text, encoding, fileName, condominiumId = null, createdBy = null, options = {} }) {
+    const delimiter = detectDelimiter(text);
+    const { headers, records } = parseCsv(text, delimiter);
+    if (!headers.length) throw importError(400, 'O ficheiro está vazio');
+    if (!records.length) throw importError(400, 'O ficheiro deve ter pelo menos uma linha de dados');
+
+    if (condominiumId !== null) {
+      const condo = await q.get('SELECT id FROM condominiums WHERE id = ?', [condominiumId]);
+      if (!condo) throw importError(404, 'Condomínio não encontrado');
+    }
+
+    const created = await q.run(
+      `INSERT INTO import_jobs (condominium_id, status, file_name, encoding, delimiter, content, mapping, options, created_by)
+       VALUES (?, 'uploaded', ?, ?, ?, ?, ?, ?, ?)`,
+      [condominiumId, fileName || null, encoding, delimiter, text, JSON.stringify(suggestMapping(headers)),
+        JSON.stringify({ update_existing: !!options.update_existing }), createdBy]
+    );
+    return loadJob(created.lastID);
+  }
+
+  /** Job input from a request: an uploaded file (`file`) or JSON rows (`rows`, legacy `users`). */
+  function inputFrom(req) {
+    if (req.file && req.file.path) {
+      try {
+        const { text, encoding } = decode(fs.readFileSync(req.file.path));
+        return { text, encoding, fileName: req.file.originalname };
+      } finally {
+        fs.unlink(req.file.path, () => {});
+      }
+    }
+    const rows = (req.body && (req.body.rows || req.body.users)) || null;
+    if (!Array.isArray(rows) || rows.length === 0) throw importError(400, 'Envie um ficheiro CSV ou uma lista de linhas');
+    if (rows.some(r => !r || typeof r !== 'object' || Array.isArray(r))) throw importError(400, 'Linhas inválidas');
+    return { text: rowsToCsv(rows), encoding: 'json', fileName: null };
+  }
+
+  /**
+   * Works out what committing the job would do, row by row, against the current data.
+   * @param {object} conn - query helper (shared connection, or the commit's own)
+   * @returns {Promise<{summary: object, entries: object[], condominiums: string[]}>}
+   */
+  async function plan(conn, job) {
+    const mapping = parseJson(job.mapping, {});
+    const { update_existing: updateExisting } = optionsOf(job);
+    if (mapping.nif === undefined) throw importError(400, 'A coluna do NIF tem de ser mapeada');
+    const { records } = recordsOf(job);
+
+    let boundCondo = null;
+    if (job.condominium_id !== null) {
+      boundCondo = await conn.get('SELECT id, name FROM condominiums WHERE id = ?', [job.condominium_id]);
+      if (!boundCondo) throw importError(404, 'Condomínio não encontrado');
+    }
+    const condominiums = await conn.all('SELECT id, name FROM condominiums');
+    const condoByName = new Map(condominiums.map(c => [c.name.trim().toLowerCase(), c]));
+    const newCondominiums = new Map();
+
+    const checked = records.map(r => validateRecord(r, mapping));
+    const nifs = [...new Set(checked.map(c => c.values.nif).filter(Boolean))];
+    const existingUsers = new Map((await allIn(conn, 'SELECT * FROM users WHERE nif IN (?)', nifs)).map(u => [u.nif, u]));
+    const userIds = [...existingUsers.values()].map(u => u.id);
+    // user:condominium -> Set of unit identifiers (lower case) for the stored links
+    const links = new Map();
+    (await allIn(conn, 'SELECT user_id, condominium_id FROM user_condominiums WHERE user_id IN (?)', userIds))
+      .forEach(l => links.set(`${l.user_id}:${l.condominium_id}`, new Set()));
+    (await allIn(conn,
+      `SELECT fr.user_id, f.condominium_id, f.identifier FROM fracao_residents fr JOIN fracoes f ON f.id = fr.fracao_id
+       WHERE fr.user_id IN (?) AND ${fracoes.CURRENT}`, userIds))
+      .forEach(l => {
+        const key = `${l.user_id}:${l.condominium_id}`;
+        if (!links.has(key)) links.set(key, new Set());
+        links.get(key).add(l.identifier.toLowerCase());
+      });
+    // condominium key -> Set of unit identifiers (lower case), existing or created by the import
+    const units = new Map();
+    (await conn.all('SELECT condominium_id, identifier FROM fracoes')).forEach(f => {
+      const key = `id:${f.condominium_id}`;
+      if (!units.has(key)) units.set(key, new Set());
+      units.get(key).add(f.identifier.toLowerCase());
+    });
+    let unitsCreated = 0;
+
+    // NIF -> { line, nome, places: Map(condominium key -> Set of unit identifiers) } for rows already planned
+    const seen = new Map();
+    const entries = checked.map(({ line, values, messages }) => {
+      const entry = { line, nif: values.nif, nome: values.nome, condominium: null, apartment: '', action: 'unchanged', user: null, link: null, messages };
+      if (messages.some(m => m.level === 'error')) {
+        entry.action = 'error';
+        return entry;
+      }
+
+      // Where the resident goes
+      let condoKey = null;
+      if (boundCondo) {
+        condoKey = `id:${boundCondo.id}`;
+        entry.condominium = boundCondo.name;
+        entry.condominium_id = boundCondo.id;
+        entry.apartment = apartmentInCondominium(values, boundCondo.name);
+      } else {
+        const place = placeFromGroup(values, condominiums.map(c => c.name).concat([...newCondominiums.values()]));
+        entry.apartment = place.apartment;
+        if (place.name) {
+          const known = condoByName.get(place.name.toLowerCase());
+          if (known) {
+            condoKey = `id:${known.id}`;
+            entry.condominium = known.name;
+            entry.condominium_id = known.id;
+          } else {
+            condoKey = `new:${place.name.toLowerCase()}`;
+            if (!newCondominiums.has(condoKey)) newCondominiums.set(condoKey, place.name);
+            entry.condominium = newCondominiums.get(condoKey);
+            entry.messages.push({ level: 'info', message: `Condomínio novo: ${entry.condominium}` });
+          }
+        } else {
+          entry.messages.push({ level: 'warning', message: 'Sem condomínio: o condómino não será associado' });
+        }
+      }
+      entry.condominium_key = condoKey;
+
+      // The resident
+      const earlier = seen.get(values.nif);
+      const existing = existingUsers.get(values.nif);
+      if (existing) entry.user_id = existing.id;
+      if (earlier) {
+        if (earlier.nome.toLowerCase() !== values.nome.toLowerCase()) {
+          entry.action = 'conflict';
+          entry.messages.push({ level: 'error', message: `NIF repetido na linha ${earlier.line} com outro nome (${earlier.nome})` });
+          return entry;
+        }
+      } else if (!existing) {
+        entry.user = 'create';
+        entry.action = 'create';
+        entry.fields = Object.fromEntries(USER_FIELDS.map(f => [f, values[f] || '']));
+      } else {
+        const changes = {};
+        USER_FIELDS.forEach(f => {
+          if (mapping[f] === undefined && !(f === 'nome' && values.nome)) return;
+          if (!values[f] || clean(existing[f]) === values[f]) return;
+          changes[f] = { before: existing[f], after: values[f] };
+        });
+        if (Object.keys(changes).length) {
+          entry.changes = changes;
+          if (updateExisting) {
+            entry.user = 'update';
+            entry.action = 'update';
+          } else {
+            entry.action = 'conflict';
+            entry.messages.push({
+              level: 'warning',
+              message: `Dados diferentes dos registados (${Object.keys(changes).join(', ')}); o condómino existente não é alterado`
+            });
+          }
+        }
+      }
+      if (!earlier) seen.set(values.nif, { line, nome: values.nome, places: new Map() });
+
+      // The link to the condominium and to the unit (a resident may hold several units)
+      if (condoKey) {
+        const places = seen.get(values.nif).places;
+        const stored = existing && condoKey.startsWith('id:') ? links.get(`${existing.id}:${condoKey.slice(3)}`) : null;
+        if (!places.has(condoKey)) {
+          if (!stored) entry.link = 'create';
+          places.set(condoKey, new Set(stored || []));
+        }
+        const held = places.get(condoKey);
+        const unit = entry.apartment.toLowerCase();
+        if (unit && !held.has(unit)) {
+          if (held.size) entry.messages.push({ level: 'info', message: `Fração adicional (já associado a ${held.size} fração(ões) deste condomínio)` });
+          held.add(unit);
+          entry.unit = 'link';
+          if (!units.has(condoKey)) units.set(condoKey, new Set());
+          if (!units.get(condoKey).has(unit)) {
+            units.get(condoKey).add(unit);
+            unitsCreated++;
+          }
+        }
+        if ((entry.link || entry.unit) && entry.action === 'unchanged') entry.action = 'link';
+      }
+      return entry;
+    });
+
+    const count = (action) => entries.filter(e => e.action === action).length;
+    const summary = {
+      total: entries.length,
+      create: count('create'),
+      update: count('update'),
+      link: count('link'),
+      unchanged: count('unchanged'),
+      conflict: count('conflict'),
+      error: count('error'),
+      users_created: entries.filter(e => e.user === 'create').length,
+      users_updated: entries.filter(e => e.user === 'update').length,
+      links_created: entries.filter(e => e.link === 'create').length,
+      units_linked: entries.filter(e => e.unit === 'link').length,
+      units_created: unitsCreated,
+      condominiums_created: newCondominiums.size,
+      warnings: entries.filter(e => e.messages.some(m => m.level === 'warning')).length
+    };
+    return { summary, entries, condominiums: [...newCondominiums.entries()].map(([key, name]) => ({ key, name })) };
+  }
+
+  /** Writes a plan inside the commit transaction. */
+  async function apply(conn, result, hashes) {
+    const condoIds = new Map();
+    for (const { key, name } of result.condominiums) {
+      const created = await conn.run('INSERT INTO condominiums (name) VALUES (?)', [name]);
+      condoIds.set(key, created.lastID);
+    }
+    const userIds = new Map();
+    for (const entry of result.entries) {
+      if (entry.user === 'create') {
+        const f = entry.fields;
+        const created = await conn.run(
+          `INSERT INTO users (
+            grupo, nome, nif, telemovel, telefone, permite_telefone,
+            email1, email2, email3, permite_email, conjuge,
+            data_criacao, data_alteracao, password, must_change_password
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)`,
+          [f.grupo, entry.nome, entry.nif, f.telemovel, f.telefone, f.permite_telefone, f.email1, f.email2, f.email3,
+            f.permite_email, f.conjuge, f.data_criacao || null, f.data_alteracao || null, hashes.get(entry.nif)]
+        );
+        userIds.set(entry.nif, created.lastID);
+      } else if (entry.user === 'update') {
+        const fields = Object.keys(entry.changes);
+        await conn.run(
+          `UPDATE users SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [...fields.map(f => entry.changes[f].after), entry.user_id]
+        );
+      }
+      if (!entry.link && !entry.unit) continue;
+
+      const userId = entry.user_id || userIds.get(entry.nif);
+      const condoId = entry.condominium_id || condoIds.get(entry.condominium_key);
+      await fracoes.linkResident(userId, condoId, entry.unit ? entry.apartment : '', {}, conn);
+    }
+  }
+
+  /** Initial password of a new resident: their NIF, to be changed at first login. */
+  async function hashNifs(nifs, hashes) {
+    for (const nif of nifs) {
+      if (!hashes.has(nif)) hashes.set(nif, await bcrypt.hash(nif, 10));
+    }
+  }
+
+  const created = (entries) => entries.filter(e => e.user === 'create').map(e => e.nif);
+
+  function openConnection() {
+    return new Promise((resolve, reject) => {
+      const conn = new sqlite3.Database(dbPath, (err) => (err ? reject(err) : resolve(conn)));
+    });
+  }
+
+  function strip(result) {
+    // Persisted/returned rows: internal keys removed
+    return {
+      summary: result.summary,
+      entries: result.entries.map(({ fields, condominium_key, ...rest }) => rest)
+    };
+  }
+
+  async function dryRun(id) {
+    const job = await loadJob(id);
+    if (job.status === 'committed' || job.status === 'cancelled' || inFlight.has(job.id)) {
+      throw importError(409, 'Esta importação já não pode ser alterada');
+    }
+    const result = strip(await plan(q, job));
+    await q.run(
+      "UPDATE import_jobs SET status = 'validated', dry_run = ?, error = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [JSON.stringify(result), job.id]
+    );
+    return result;
+  }
+
+  /**
+   * Commits a simulated job in one transaction. The plan is recomputed inside the transaction,
+   * so data changed since the dry run is taken into account (`changed` tells whether the
+   * outcome differs from the simulation).
+   * @param {object} [options]
+   * @param {Function} [options.prepare] - async (conn, job) => {} run inside the transaction before
+   *   the plan is made, e.g. to empty the tables a reset replaces
+   */
+  async function commit(id, { prepare } = {}) {
+    const job = await loadJob(id);
+    if (inFlight.has(job.id)) throw importError(409, 'Esta importação já está a ser executada');
+    if (job.status === 'committed') throw importError(409, 'Esta importação já foi executada');
+    if (job.status !== 'validated') throw importError(409, 'Execute primeiro a simulação (dry run)');
+    inFlight.add(job.id);
+
+    let conn = null;
+    try {
+      await q.run("UPDATE import_jobs SET status = 'committing', updated_at = CURRENT_TIMESTAMP WHERE id = ?", [job.id]);
+      // Hash outside the transaction: bcrypt is slow and the write lock blocks every other request
+      // (after `prepare` every valid row may create its resident)
+      const hashes = new Map();
+      const outline = (await plan(q, job)).entries;
+      await hashNifs(prepare ? outline.filter(e => e.nif && e.action !== 'error').map(e => e.nif) : created(outline), hashes);
+
+      conn = await openConnection();
+      conn.configure('busyTimeout', 30000);
+      const c = queries(conn);
+      let result;
+      await c.run('BEGIN IMMEDIATE');
+      try {
+        if (prepare) await prepare(c, job);
+        result = await plan(c, job);
+        await hashNifs(created(result.entries), hashes);
+        await apply(c, result, hashes);
+        await c.run('COMMIT');
+      } catch (e) {
+        await c.run('ROLLBACK').catch(() => {});
+        throw e;
+      }
+
+      const simulated = parseJson(job.dry_run, null);
+      const stored = strip(result);
+      stored.summary.changed = !simulated || JSON.stringify(simulated.summary) !== JSON.stringify(result.summary);
+      await q.run(
+        `UPDATE import_jobs SET status = 'committed', result = ?, error = NULL, committed_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [JSON.stringify(stored), job.id]
+      );
+      return stored;
+    } catch (e) {
+      await q.run("UPDATE import_jobs SET status = 'failed', error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [String((e && e.message) || e), job.id]).catch(() => {});
+      throw e;
+    } finally {
+      inFlight.delete(job.id);
+      if (conn) conn.close();
+    }
+  }
+
+  /**
+   * Upload, simulate and commit in one go with the suggested mapping (used by the older
+   * import routes, which never update existing residents).
+   * @param {object} input - see createJob
+   * @param {object} [options] - see commit
+   * @returns {Promise<{job: object, result: object}>}
+   */
+  async function importAll(input, options) {
+    const job = await createJob(input);
+    await dryRun(job.id);
+    const result = await commit(job.id, options);
+    return { job: toJob(await loadJob(job.id)), result };
+  }
+
+  /** Rows needing attention (errors, conflicts, warnings) as CSV for the error report. */
+  function errorReport(result) {
+    const labels = { create: 'Criar', update: 'Atualizar', link: 'Associar', unchanged: 'Sem alterações', conflict: 'Conflito', error: 'Erro' };
+    const levels = { error: 'Erro', warning: 'Aviso' };
+    const lines = [['Linha', 'NIF', 'Nome', 'Condomínio', 'Fração', 'Resultado', 'Tipo', 'Mensagem'].join(';')];
+    result.entries.forEach(e => {
+      e.messages.filter(m => levels[m.level]).forEach(m => {
+        lines.push([e.line, e.nif, e.nome, e.condominium, e.apartment, labels[e.action], levels[m.level], m.message]
+          .map(v => csvCell(v, ';')).join(';'));
+      });
+    });
+    return lines.join('\r\n');
+  }
+
+  function fail(res, error, context) {
+    if (error && error.status) return res.status(error.status).json({ error: error.message });
+    console.error(`Error ${context}:`, error);
+    return res.status(500).json({ error: 'Erro durante a importação' });
+  }
+
+  const router = express.Router();
+
+  async function create(req, res, condominiumId) {
+    try {
+      const input = inputFrom(req);
+      const options = { update_existing: req.body && (req.body.update_existing === true || req.body.update_existing === 'true') };
+      const job = await createJob({ ...input, condominiumId, createdBy: req.auth ? req.auth.id : null, options });
+      const { headers } = recordsOf(job);
+      res.status(201).json({ id: job.id, job: toJob(job), headers, mapping: parseJson(job.mapping, {}) });
+    } catch (error) {
+      fail(res, error, 'creating import job');
+    }
+  }
+
+  // Jobs visible to the admin (import permission for their condominium, or all for global jobs)
+  router.get('/api/admin/imports', async (req, res) => {
+    try {
+      const allowed = authz.condominiumsWith(req.auth, 'data.import');
+      let sql = 'SELECT * FROM import_jobs';
+      if (allowed !== null) {
+        if (!allowed.length) return res.json([]);
+        sql += ` WHERE condominium_id IN (${allowed.map(() => '?').join(',')})`;
+      }
+      const rows = await q.all(`${sql} ORDER BY id DESC LIMIT 100`, allowed || []);
+      res.json(rows.map(toJob));
+    } catch (error) {
+      fail(res, error, 'listing import jobs');
+    }
+  });
+
+  // Import for every condominium (condominiums named in Grupo/Condomínio are created)
+  router.post('/api/admin/imports', upload.single('file'), (req, res) => create(req, res, null));
+
+  // Import bound to one condominium
+  router.post('/api/admin/condominiums/:id/imports', upload.single('file'), (req, res) => {
+    const condominiumId = parseInt(req.params.id, 10);
+    if (isNaN(condominiumId)) return res.status(400).json({ error: 'Invalid condominium id' });
+    return create(req, res, condominiumId);
+  });
+
+  // Job state, column mapping and a page of rows with their validation (and dry-run outcome)
+  router.get('/api/admin/imports/:id', async (req, res) => {
+    try {
+      const job = await loadJob(req.params.id);
+      const { headers, records } = recordsOf(job);
+      const mapping = parseJson(job.mapping, {});
+      const limit = Math.min(parseInt(req.query.limit, 10) || PREVIEW_ROWS, 500);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      const outcome = parseJson(job.result, null) || parseJson(job.dry_run, null);
+      const byLine = new Map(outcome ? outcome.entries.map(e => [e.line, e]) : []);
+
+      const rows = records.slice(offset, offset + limit).map(record => {
+        const checked = validateRecord(record, mapping);
+        const planned = byLine.get(record.line);
+        return {
+          line: record.line,
+          cells: record.cells,
+          values: checked.values,
+          action: planned ? planned.action : null,
+          condominium: planned ? planned.condominium : null,
+          apartment: planned ? planned.apartment : null,
+          messages: planned ? planned.messages : checked.messages
+        };
+      });
+
+      res.json({
+        job: toJob(job),
+        headers,
+        fields: Object.entries(FIELDS).map(([name, def]) => ({ name, label: def.label })),
+        mapping,
+        suggested_mapping: suggestMapping(headers),
+        total_rows: records.length,
+        offset,
+        limit,
+        rows
+      });
+    } catch (error) {
+      fail(res, error, 'fetching import job');
+    }
+  });
+
+  // Change the mapping, delimiter or options; the job has to be simulated again
+  router.put('/api/admin/imports/:id', async (req, res) => {
+    try {
+      const job = await loadJob(req.params.id);
+      if (job.status === 'committed' || job.status === 'cancelled' || inFlight.has(job.id)) {
+        return res.status(409).json({ error: 'Esta importação já não pode ser alterada' });
+      }
+      const body = req.body || {};
+      let delimiter = job.delimiter;
+      if (body.delimiter !== undefined) {
+        if (!DELIMITERS.includes(body.delimiter)) return res.status(400).json({ error: 'Separador inválido' });
+        delimiter = body.delimiter;
+      }
+      const { headers } = parseCsv(job.content, delimiter);
+      let mapping = parseJson(job.mapping, {});
+      if (body.mapping !== undefined) {
+        const resolved = resolveMapping(body.mapping, headers);
+        if (resolved.error) return res.status(400).json({ error: resolved.error });
+        mapping = resolved.mapping;
+      } else if (delimiter !== job.delimiter) {
+        mapping = suggestMapping(headers);
+      }
+      const options = optionsOf(job);
+      if (body.update_existing !== undefined) options.update_existing = !!body.update_existing;
+
+      await q.run(
+        `UPDATE import_jobs SET status = 'uploaded', delimiter = ?, mapping = ?, options = ?, dry_run = NULL, error = NULL,
+           updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [delimiter, JSON.stringify(mapping), JSON.stringify(options), job.id]
+      );
+      res.json({ success: true, job: toJob(await loadJob(job.id)), headers, mapping });
+    } catch (error) {
+      fail(res, error, 'updating import job');
+    }
+  });
+
+  // Simulation: what the commit would create / update / link, and the rows it would skip
+  router.post('/api/admin/imports/:id/dry-run', async (req, res) => {
+    try {
+      const result = await dryRun(req.params.id);
+      res.json({ success: true, id: Number(req.params.id), ...result.summary, summary: result.summary, entries: result.entries });
+    } catch (error) {
+      fail(res, error, 'simulating import');
+    }
+  });
+
+  router.post('/api/admin/imports/:id/commit', async (req, res) => {
+    try {
+      const result = await commit(req.params.id);
+      res.json({ success: true, id: Number(req.params.id), ...result.summary, summary: result.summary, entries: result.entries });
+    } catch (error) {
+      fail(res, error, 'committing import');
+    }
+  });
+
+  // Error report of the commit (or, before it, of the dry run)
+  router.get('/api/admin/imports/:id/errors.csv', async (req, res) => {
+    try {
+      const job = await loadJob(req.params.id);
+      const outcome = parseJson(job.result, null) || parseJson(job.dry_run, null);
+      if (!outcome) return res.status(409).json({ error: 'Execute primeiro a simulação (dry run)' });
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="importacao-${job.id}-erros.csv"`);
+      // BOM so Excel opens the accented text as UTF-8
+      res.send('\uFEFF' + errorReport(outcome));
+    } catch (error) {
+      fail(res, error, 'building import error report');
+    }
+  });
+
+  // Discard a job that was not committed (the stored file is dropped)
+  router.delete('/api/admin/imports/:id', async (req, res) => {
+    try {
+      const job = await loadJob(req.params.id);
+      if (job.status === 'committed' || inFlight.has(job.id)) {
+        return res.status(409).json({ error: 'Esta importação já foi executada' });
+      }
+      await q.run("UPDATE import_jobs SET status = 'cancelled', content = '', updated_at = CURRENT_TIMESTAMP WHERE id = ?", [job.id]);
+      res.json({ success: true });
+    } catch (error) {
+      fail(res, error, 'cancelling import job');
+    }
+  });
+
+  return {
+    inputFrom,
+    importAll,
+    fail,
+    router
+  };
+};
+
+// File helpers shared with the other CSV imports (quotas.js, bank-statements.js)
+Object.assign(module.exports, { decode, detectDelimiter, parseCsv, normalize, toDigits, validNifCheckDigit });
@@ -0,0 +1,296 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+// Reset-and-import (main admin only) with automatic snapshots.
+// The reset runs as one transaction on its own connection: the write lock is taken first, then
+// the whole database is copied with VACUUM INTO (from a read-only connection, so the copy is
+// exactly the state being replaced), then the residents data is emptied and the import applied.
+// If anything fails, the transaction is rolled back and the data is untouched.
+// A snapshot can later be restored: the tables a reset replaces are copied back from it in one
+// transaction, after a 'before-restore' snapshot of the current data. Admins, sessions and the
+// audit log are never replaced. Uploaded files stay on disk, so restored rows still find them.
+
+// Tables emptied by a reset and copied back by a restore
+const RESET_TABLES = [
+  'arrears_actions', 'debt_declarations', 'receipts', 'sepa_collections', 'sepa_batches', 'sepa_mandates', 'bank_transactions',
+  'bank_statements', 'expense_units', 'expenses', 'reserve_fund_movements', 'payments', 'charges', 'billing_runs', 'budget_lines',
+  'budgets', 'fracao_residents', 'fracoes', 'user_condominiums', 'user_messages', 'assembleia_deliberation_notices',
+  'assembleia_minutes_signatories', 'assembleia_minutes', 'assembleia_evotes', 'assembleia_votes', 'assembleia_attendance',
+  'assembleia_convocations', 'assembleia_agenda_items', 'assembleia_files', 'assembleias', 'user_notifications',
+  'profile_changes', 'password_reset_tokens', 'import_jobs', 'users', 'condominiums'
+];
+
+// Phrases the admin must type to confirm
+const RESET_CONFIRMATION = 'APAGAR TODOS OS DADOS';
+const RESTORE_CONFIRMATION = 'RESTAURAR';
+
+const KEEP_SNAPSHOTS = 10;
+
+function queries(conn) {
+  return {
+    run(sql, params = []) {
+      return new Promise((resolve, reject) => conn.run(sql, params, function(err) { if (err) reject(err); else resolve(this); }));
+    },
+    get(sql, params = []) {
+      return new Promise((resolve, reject) => conn.get(sql, params, (err, row) => (err ? reject(err) : resolve(row))));
+    },
+    all(sql, params = []) {
+      return new Promise((resolve, reject) => conn.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || []))));
+    }
+  };
+}
+
+function open(file, mode) {
+  return new Promise((resolve, reject) => {
+    const conn = new sqlite3.Database(file, mode, (err) => (err ? reject(err) : resolve(conn)));
+  });
+}
+
+function confirmed(req, phrase) {
+  const typed = req.body && typeof req.body.confirmation === 'string' ? req.body.confirmation.trim() : '';
+  return typed === phrase;
+}
+
+function confirmationRequired(res, phrase) {
+  return res.status(400).json({ error: `Escreva "${phrase}" para confirmar`, code: 'CONFIRMATION_REQUIRED', confirmation: phrase });
+}
+
+/**
+ * @param {import('sqlite3').Database} db - shared connection
+ * @param {object} options
+ * @param {string} options.dbPath - database file
+ * @param {string} options.snapshotsDir - where snapshot files are written (never served)
+ * @param {object} options.csvImport - import pipeline (csv-import.js)
+ * @param {import('multer').Multer} options.upload - multer instance for CSV files
+ */
+module.exports = function(db, { dbPath, snapshotsDir, csvImport, upload }) {
+  const q = queries(db);
+  let busy = false;
+
+  /** Row count of every reset table in a database file. */
+  async function countRows(file) {
+    const conn = await open(file, sqlite3.OPEN_READONLY);
+    try {
+      const counts = {};
+      for (const table of RESET_TABLES) {
+        const row = await queries(conn).get(`SELECT COUNT(*) AS n FROM ${table}`).catch(() => null);
+        counts[table] = row ? row.n : null;
+      }
+      return counts;
+    } finally {
+      conn.close();
+    }
+  }
+
+  /**
+   * Copies the committed database into a new snapshot file (VACUUM INTO).
+   * @returns {Promise<{fileName: string, size: number, counts: object}>}
+   */
+  async function capture() {
+    fs.mkdirSync(snapshotsDir, { recursive: true });
+    const fileName = `snapshot-${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.round(Math.random() * 1E6)}.db`;
+    const file = path.join(snapshotsDir, fileName);
+    const reader = await open(dbPath, sqlite3.OPEN_READONLY);
+    try {
+      await queries(reader).run('VACUUM INTO ?', [file]);
+    } finally {
+      reader.close();
+    }
+    return { fileName, size: fs.statSync(file).size, counts: await countRows(file) };
+  }
+
+  function discard(snapshot) {
+    if (snapshot) fs.unlink(path.join(snapshotsDir, snapshot.fileName), () => {});
+  }
+
+  function record(conn, snapshot, reason, createdBy) {
+    return conn.run(
+      'INSERT INTO data_snapshots (file_name, reason, size, row_counts, created_by) VALUES (?, ?, ?, ?, ?)',
+      [snapshot.fileName, reason, snapshot.size, JSON.stringify(snapshot.counts), createdBy || null]
+    );
+  }
+
+  /** Drops all but the most recent snapshots (files and rows). */
+  async function prune() {
+    const old = await q.all('SELECT id, file_name FROM data_snapshots ORDER BY id DESC LIMIT -1 OFFSET ?', [KEEP_SNAPSHOTS]);
+    for (const row of old) {
+      fs.unlink(path.join(snapshotsDir, row.file_name), () => {});
+      await q.run('DELETE FROM data_snapshots WHERE id = ?', [row.id]);
+    }
+  }
+
+  /**
+   * Runs `work(conn)` in a write transaction on a dedicated connection, after snapshotting the
+   * data it starts from. The snapshot is kept only if the transaction commits.
+   */
+  async function withSnapshot(reason, createdBy, work, { attach } = {}) {
+    const conn = await open(dbPath, sqlite3.OPEN_READWRITE);
+    conn.configure('busyTimeout', 30000);
+    const c = queries(conn);
+    let snapshot = null;
+    try {
+      // ATTACH is not allowed inside a transaction
+      if (attach) await c.run('ATTACH DATABASE ? AS snap', [attach]);
+      await c.run('BEGIN IMMEDIATE');
+      try {
+        snapshot = await capture();
+        await record(c, snapshot, reason, createdBy);
+        const outcome = await work(c);
+        await c.run('COMMIT');
+        return { snapshot, outcome };
+      } catch (e) {
+        await c.run('ROLLBACK').catch(() => {});
+        discard(snapshot);
+        throw e;
+      }
+    } finally {
+      conn.close();
+    }
+  }
+
+  function toSnapshot(row) {
+    let counts = null;
+    try { counts = JSON.parse(row.row_counts || 'null'); } catch (e) { counts = null; }
+    return {
+      id: row.id,
+      file_name: row.file_name,
+      reason: row.reason,
+      size: row.size,
+      row_counts: counts,
+      created_by: row.created_by,
+      created_by_username: row.created_by_username || null,
+      created_at: row.created_at,
+      restored_at: row.restored_at,
+      available: fs.existsSync(path.join(snapshotsDir, row.file_name))
+    };
+  }
+
+  const router = express.Router();
+
+  // Replaces every resident, condominium and assembleia with the imported data
+  // ({ users: [...] } as in /api/import-csv-enhanced, or a CSV `file`) and `confirmation`
+  router.post('/api/reset-and-import', upload.single('file'), async (req, res) => {
+    if (!confirmed(req, RESET_CONFIRMATION)) {
+      if (req.file) fs.unlink(req.file.path, () => {});
+      return confirmationRequired(res, RESET_CONFIRMATION);
+    }
+    if (busy) {
+      if (req.file) fs.unlink(req.file.path, () => {});
+      return res.status(409).json({ error: 'Já está em curso uma reposição de dados' });
+    }
+    busy = true;
+
+    let snapshot = null;
+    try {
+      const { job, result } = await csvImport.importAll({ ...csvImport.inputFrom(req), createdBy: req.auth.id }, {
+        prepare: async (conn, job) => {
+          snapshot = await capture();
+          await record(conn, snapshot, 'reset-and-import', req.auth.id);
+          for (const table of RESET_TABLES) {
+            // Except the job being run, which keeps its report
+            if (table === 'import_jobs') await conn.run('DELETE FROM import_jobs WHERE id != ?', [job.id]);
+            else await conn.run(`DELETE FROM ${table}`);
+          }
+        }
+      });
+      await prune().catch(e => console.error('Error pruning snapshots:', e.message));
+
+      const s = result.summary;
+      const saved = await q.get('SELECT id FROM data_snapshots WHERE file_name = ?', [snapshot.fileName]);
+      res.json({
+        success: true,
+        message: `Dados repostos: ${s.users_created} utilizadores, ${s.condominiums_created} condomínios, ${s.links_created} relações, ${s.error} erros`,
+        importedUsers: s.users_created,
+        importedCondos: s.condominiums_created,
+        importedRelations: s.links_created,
+        errors: s.error,
+        job_id: job.id,
+        snapshot_id: saved ? saved.id : null
+      });
+    } catch (error) {
+      // Rolled back: the data is as it was, and the snapshot is not needed
+      discard(snapshot);
+      csvImport.fail(res, error, 'resetting and importing data');
+    } finally {
+      busy = false;
+    }
+  });
+
+  router.get('/api/admin/snapshots', async (req, res) => {
+    try {
+      const rows = await q.all(
+        `SELECT s.*, a.username AS created_by_username
+         FROM data_snapshots s LEFT JOIN admins a ON a.id = s.created_by
+         ORDER BY s.id DESC`
+      );
+      res.json({ snapshots: rows.map(toSnapshot), current: await countRows(dbPath) });
+    } catch (error) {
+      console.error('Error listing snapshots:', error);
+      res.status(500).json({ error: 'Erro ao listar cópias de segurança' });
+    }
+  });
+
+  // Snapshot on demand
+  router.post('/api/admin/snapshots', async (req, res) => {
+    let snapshot = null;
+    try {
+      snapshot = await capture();
+      const created = await record(q, snapshot, 'manual', req.auth.id);
+      await prune().catch(e => console.error('Error pruning snapshots:', e.message));
+      const row = await q.get('SELECT * FROM data_snapshots WHERE id = ?', [created.lastID]);
+      res.status(201).json({ success: true, snapshot: toSnapshot(row) });
+    } catch (error) {
+      discard(snapshot);
+      console.error('Error creating snapshot:', error);
+      res.status(500).json({ error: 'Erro ao criar cópia de segurança' });
+    }
+  });
+
+  // Puts the reset tables back as they were in the snapshot (requires `confirmation`)
+  router.post('/api/admin/snapshots/:id/restore', async (req, res) => {
+    if (!confirmed(req, RESTORE_CONFIRMATION)) return confirmationRequired(res, RESTORE_CONFIRMATION);
+    if (busy) return res.status(409).json({ error: 'Já está em curso uma reposição de dados' });
+    busy = true;
+
+    try {
+      const row = await q.get('SELECT * FROM data_snapshots WHERE id = ?', [req.params.id]);
+      if (!row) return res.status(404).json({ error: 'Cópia de segurança não encontrada' });
+      const file = path.join(snapshotsDir, row.file_name);
+      if (!fs.existsSync(file)) return res.status(410).json({ error: 'O ficheiro desta cópia de segurança já não existe' });
+
+      const { snapshot } = await withSnapshot('before-restore', req.auth.id, async (conn) => {
+        for (const table of RESET_TABLES) {
+          // Columns present in both: the schema may have gained columns since the snapshot
+          const current = (await conn.all(`PRAGMA main.table_info('${table}')`)).map(c => c.name);
+          const saved = new Set((await conn.all(`PRAGMA snap.table_info('${table}')`)).map(c => c.name));
+          const columns = current.filter(c => saved.has(c)).join(', ');
+          await conn.run(`DELETE FROM main.${table}`);
+          if (columns) await conn.run(`INSERT INTO main.${table} (${columns}) SELECT ${columns} FROM snap.${table}`);
+        }
+      }, { attach: file });
+
+      await q.run('UPDATE data_snapshots SET restored_at = CURRENT_TIMESTAMP WHERE id = ?', [row.id]);
+      await prune().catch(e => console.error('Error pruning snapshots:', e.message));
+      const before = await q.get('SELECT id FROM data_snapshots WHERE file_name = ?', [snapshot.fileName]);
+      res.json({
+        success: true,
+        message: 'Dados restaurados a partir da cópia de segurança',
+        restored_id: row.id,
+        row_counts: await countRows(dbPath),
+        // The data replaced by the restore, in case it has to be undone
+        snapshot_id: before ? before.id : null
+      });
+    } catch (error) {
+      console.error('Error restoring snapshot:', error);
+      res.status(500).json({ error: 'Erro ao restaurar a cópia de segurança' });
+    } finally {
+      busy = false;
+    }
+  });
+
+  return {
+    router
+  };
+};
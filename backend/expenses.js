@@ -0,0 +1,464 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { toCents, toEuros, allocate } = require('./money');
+
+// Expense ledger: the supplier invoices of a condominium. Each expense has its net amount, VAT
+// and total, a budget category (budgets.js), an optional PDF of the invoice and the ocorrência
+// it pays for, and an allocation rule saying which units bear it: all units, the units of some
+// types (e.g. only garages) or specific units, split by permilagem (relative to the units
+// involved) or equally. Unpaid expenses with their due dates make up the payables list.
+
+const ALLOCATIONS = { all: 'Todas as frações', types: 'Frações de certos tipos', units: 'Frações específicas' };
+const STATUSES = { unpaid: 'Por pagar', paid: 'Paga' };
+const DEFAULT_VAT_RATE = 23;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const validDate = (v) => typeof v === 'string' && DATE_PATTERN.test(v) && !isNaN(new Date(`${v}T00:00:00Z`).getTime());
+const today = () => new Date().toISOString().slice(0, 10);
+const text = (v) => (v === undefined || v === null || String(v).trim() === '' ? null : String(v).trim());
+
+// Lists arrive as arrays (JSON) or as strings (multipart forms): '["garagem"]' or "garagem,outro"
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === '') return [];
+  const raw = String(value).trim();
+  if (raw.startsWith('[')) {
+    try { return JSON.parse(raw); } catch (e) { return null; }
+  }
+  return raw.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Validates expense fields from a request body; `partial` allows missing fields.
+ * @param {object} body
+ * @param {boolean} partial
+ * @param {object} catalogs - { categories, types, splits } accepted values
+ * @returns {{expense: object, units?: number[], error?: string}}
+ */
+function readExpense(body, partial, { categories, types, splits }) {
+  const expense = {};
+  const has = (field) => body[field] !== undefined || !partial;
+
+  if (has('supplier_name')) {
+    expense.supplier_name = text(body.supplier_name);
+    if (!expense.supplier_name) return { error: 'O fornecedor é obrigatório' };
+  }
+  if (body.supplier_nif !== undefined) {
+    expense.supplier_nif = text(body.supplier_nif) && String(body.supplier_nif).replace(/\s/g, '').replace(/^PT/i, '');
+    if (expense.supplier_nif && !/^\d{9}$/.test(expense.supplier_nif)) return { error: 'NIF do fornecedor inválido' };
+  }
+  if (body.invoice_number !== undefined) expense.invoice_number = text(body.invoice_number);
+  if (has('invoice_date')) {
+    expense.invoice_date = text(body.invoice_date);
+    if (!validDate(expense.invoice_date)) return { error: 'Data da fatura inválida (AAAA-MM-DD)' };
+  }
+  if (body.due_date !== undefined) {
+    expense.due_date = text(body.due_date);
+    if (expense.due_date && !validDate(expense.due_date)) return { error: 'Data de vencimento inválida (AAAA-MM-DD)' };
+  }
+  if (body.description !== undefined) expense.description = text(body.description);
+  if (has('category')) {
+    expense.category = text(body.category) || 'outro';
+    if (!categories[expense.category]) return { error: `Categoria inválida (${Object.keys(categories).join(', ')})` };
+  }
+  if (has('amount')) {
+    expense.net_cents = toCents(body.amount);
+    if (expense.net_cents === null || expense.net_cents <= 0) return { error: 'Montante inválido' };
+  }
+  if (has('vat_rate')) {
+    expense.vat_rate = text(body.vat_rate) === null ? DEFAULT_VAT_RATE : Number(String(body.vat_rate).replace(',', '.'));
+    if (!Number.isFinite(expense.vat_rate) || expense.vat_rate < 0 || expense.vat_rate > 100) return { error: 'Taxa de IVA inválida' };
+  }
+  // VAT as on the invoice, when it differs from the rate applied to the net amount (rounding)
+  if (text(body.vat) !== null) {
+    expense.vat_cents = toCents(body.vat);
+    if (expense.vat_cents === null || expense.vat_cents < 0) return { error: 'Valor de IVA inválido' };
+  }
+  if (body.ocorrencia_id !== undefined) {
+    expense.ocorrencia_id = text(body.ocorrencia_id) === null ? null : parseInt(body.ocorrencia_id, 10);
+    if (Number.isNaN(expense.ocorrencia_id)) return { error: 'Ocorrência inválida' };
+  }
+
+  let units;
+  if (has('allocation')) {
+    expense.allocation = text(body.allocation) || 'all';
+    if (!ALLOCATIONS[expense.allocation]) return { error: `Imputação inválida (${Object.keys(ALLOCATIONS).join(', ')})` };
+    expense.allocation_types = null;
+    if (expense.allocation === 'types') {
+      const list = parseList(body.unit_types);
+      if (!list || !list.length || list.some(t => !types[t])) return { error: `Indique os tipos de fração (${Object.keys(types).join(', ')})` };
+      expense.allocation_types = JSON.stringify([...new Set(list)]);
+    }
+    if (expense.allocation === 'units') {
+      const list = parseList(body.units);
+      units = list ? [...new Set(list.map(v => parseInt(v, 10)))] : [];
+      if (!units.length || units.some(Number.isNaN)) return { error: 'Indique as frações a que a despesa é imputada' };
+    }
+  }
+  if (has('split')) {
+    expense.split = text(body.split) || 'permilagem';
+    if (!splits[expense.split]) return { error: `Repartição inválida (${Object.keys(splits).join(', ')})` };
+  }
+  return { expense, units };
+}
+
+/**
+ * @param {import('sqlite3').Database} db - shared connection
+ * @param {object} options
+ * @param {function} options.transaction - runs work in a write transaction (transactions.js)
+ * @param {object} options.upload - multer instance for the invoice PDFs
+ * @param {object} options.authz - authorization module (condominiumsWith)
+ * @param {object} options.budgets - budgets module (categories)
+ * @param {object} options.fracoes - units module (unit types)
+ * @param {object} options.paymentMethods - accepted payment methods (quotas.js)
+ */
+module.exports = function(db, { transaction, upload, authz, budgets, fracoes, paymentMethods }) {
+  const q = require('./transactions').queries(db);
+  const catalogs = { categories: budgets.CATEGORIES, types: fracoes.TYPES, splits: budgets.SPLITS };
+
+  const removeFile = (file) => { if (file && file.path) fs.unlink(file.path, () => {}); };
+
+  /**
+   * How an expense is shared between the units, exact to the cent.
+   * @returns {Promise<{units: object[], error: string|null}>}
+   */
+  async function allocationOf(expense, conn = q) {
+    let units = await conn.all('SELECT id, identifier, type, permilagem FROM fracoes WHERE condominium_id = ? ORDER BY identifier', [expense.condominium_id]);
+    if (expense.allocation === 'types') {
+      const types = JSON.parse(expense.allocation_types || '[]');
+      units = units.filter(u => types.includes(u.type));
+    } else if (expense.allocation === 'units') {
+      const chosen = (await conn.all('SELECT fracao_id FROM expense_units WHERE expense_id = ?', [expense.id])).map(r => r.fracao_id);
+      units = units.filter(u => chosen.includes(u.id));
+    }
+    if (!units.length) return { units: [], error: 'Nenhuma fração corresponde à regra de imputação' };
+    if (expense.split === 'permilagem' && units.some(u => !u.permilagem)) {
+      return { units: units.map(u => ({ fracao_id: u.id, identifier: u.identifier, type: u.type, permilagem: u.permilagem, amount: null })), error: 'Há frações sem permilagem definida' };
+    }
+    const amounts = allocate(expense.amount_cents, units.map(u => (expense.split === 'equal' ? 1 : u.permilagem)));
+    return {
+      units: units.map((u, i) => ({ fracao_id: u.id, identifier: u.identifier, type: u.type, permilagem: u.permilagem, amount: toEuros(amounts[i]) })),
+      error: null
+    };
+  }
+
+  function toExpense(e) {
+    const now = today();
+    return {
+      id: e.id,
+      condominium_id: e.condominium_id,
+      condominium_name: e.condominium_name,
+      supplier_name: e.supplier_name,
+      supplier_nif: e.supplier_nif,
+      invoice_number: e.invoice_number,
+      invoice_date: e.invoice_date,
+      due_date: e.due_date,
+      description: e.description,
+      category: e.category,
+      net: toEuros(e.net_cents),
+      vat_rate: e.vat_rate,
+      vat: toEuros(e.vat_cents),
+      amount: toEuros(e.amount_cents),
+      ocorrencia: e.ocorrencia_id ? { id: e.ocorrencia_id, title: e.ocorrencia_title || null } : null,
+      allocation: e.allocation,
+      unit_types: e.allocation_types ? JSON.parse(e.allocation_types) : null,
+      split: e.split,
+      status: e.status,
+      overdue: e.status === 'unpaid' && !!e.due_date && e.due_date < now,
+      paid_at: e.paid_at,
+      payment_method: e.payment_method,
+      payment_reference: e.payment_reference,
+      document: e.document_path ? { filename: e.document_original_filename, size: e.document_size } : null,
+      created_at: e.created_at,
+      updated_at: e.updated_at
+    };
+  }
+
+  const SELECT = `SELECT e.*, c.name AS condominium_name, o.title AS ocorrencia_title
+    FROM expenses e JOIN condominiums c ON c.id = e.condominium_id LEFT JOIN ocorrencias o ON o.id = e.ocorrencia_id`;
+
+  async function load(id, conn = q) {
+    return conn.get(`${SELECT} WHERE e.id = ?`, [id]);
+  }
+
+  async function detailed(id) {
+    const expense = await load(id);
+    const allocation = await allocationOf(expense);
+    return { ...toExpense(expense), units: allocation.units, allocation_error: allocation.error };
+  }
+
+  /** Checks the links of an expense (ocorrência, units) against its condominium; an error message or null. */
+  async function checkLinks(condominiumId, expense, units) {
+    if (expense.ocorrencia_id) {
+      const ocorrencia = await q.get('SELECT condominium_id FROM ocorrencias WHERE id = ?', [expense.ocorrencia_id]);
+      if (!ocorrencia || ocorrencia.condominium_id !== condominiumId) return 'A ocorrência não existe ou é de outro condomínio';
+    }
+    if (units) {
+      const found = await q.all(
+        `SELECT id FROM fracoes WHERE condominium_id = ? AND id IN (${units.map(() => '?').join(',')})`,
+        [condominiumId, ...units]
+      );
+      if (found.length !== units.length) return 'Há frações que não pertencem a este condomínio';
+    }
+    return null;
+  }
+
+  // Same supplier and invoice number already recorded for the condominium
+  async function duplicateOf(condominiumId, expense, exceptId) {
+    if (!expense.invoice_number) return null;
+    return q.get(
+      `SELECT id FROM expenses WHERE condominium_id = ? AND invoice_number = ? AND id != ?
+         AND (supplier_nif = ? OR (supplier_nif IS NULL AND supplier_name = ? COLLATE NOCASE))`,
+      [condominiumId, expense.invoice_number, exceptId || 0, expense.supplier_nif || '', expense.supplier_name]
+    );
+  }
+
+  async function saveUnits(conn, expenseId, units) {
+    await conn.run('DELETE FROM expense_units WHERE expense_id = ?', [expenseId]);
+    for (const fracaoId of units || []) {
+      await conn.run('INSERT INTO expense_units (expense_id, fracao_id) VALUES (?, ?)', [expenseId, fracaoId]);
+    }
+  }
+
+  const documentFields = (file) => (file
+    ? { document_filename: file.filename, document_original_filename: file.originalname, document_path: file.path, document_size: file.size }
+    : {});
+
+  const router = express.Router();
+
+  // Expenses of a condominium: ?year, ?status (unpaid|paid), ?category, ?ocorrencia_id
+  router.get('/api/condominiums/:id/expenses', async (req, res) => {
+    const where = ['e.condominium_id = ?'];
+    const params = [req.params.id];
+    if (req.query.year) { where.push('substr(e.invoice_date, 1, 4) = ?'); params.push(String(req.query.year)); }
+    if (req.query.status) { where.push('e.status = ?'); params.push(req.query.status); }
+    if (req.query.category) { where.push('e.category = ?'); params.push(req.query.category); }
+    if (req.query.ocorrencia_id) { where.push('e.ocorrencia_id = ?'); params.push(req.query.ocorrencia_id); }
+    try {
+      const rows = await q.all(`${SELECT} WHERE ${where.join(' AND ')} ORDER BY e.invoice_date DESC, e.id DESC`, params);
+      const sum = (list) => toEuros(list.reduce((s, e) => s + e.amount_cents, 0));
+      res.json({
+        expenses: rows.map(toExpense),
+        totals: { amount: sum(rows), unpaid: sum(rows.filter(e => e.status === 'unpaid')) },
+        categories: budgets.CATEGORIES,
+        allocations: ALLOCATIONS,
+        splits: budgets.SPLITS,
+        statuses: STATUSES
+      });
+    } catch (error) {
+      console.error('Error fetching expenses:', error);
+      res.status(500).json({ error: 'Erro ao buscar despesas' });
+    }
+  });
+
+  // Suppliers already used in the condominium, for autocompletion
+  router.get('/api/condominiums/:id/suppliers', async (req, res) => {
+    try {
+      const rows = await q.all(
+        `SELECT supplier_name AS name, supplier_nif AS nif, COUNT(*) AS expenses, MAX(invoice_date) AS last_invoice_date
+         FROM expenses WHERE condominium_id = ? GROUP BY supplier_name COLLATE NOCASE, supplier_nif ORDER BY supplier_name`,
+        [req.params.id]
+      );
+      res.json(rows);
+    } catch (error) {
+      console.error('Error fetching suppliers:', error);
+      res.status(500).json({ error: 'Erro ao buscar fornecedores' });
+    }
+  });
+
+  // New expense (JSON or multipart with the invoice PDF in `file`)
+  router.post('/api/condominiums/:id/expenses', upload.single('file'), async (req, res) => {
+    const condominiumId = parseInt(req.params.id, 10);
+    const { expense, units, error } = readExpense(req.body || {}, false, catalogs);
+    if (error) { removeFile(req.file); return res.status(400).json({ error }); }
+
+    try {
+      const condo = await q.get('SELECT id FROM condominiums WHERE id = ?', [condominiumId]);
+      if (!condo) { removeFile(req.file); return res.status(404).json({ error: 'Condomínio não encontrado' }); }
+      const linkError = await checkLinks(condominiumId, expense, units);
+      if (linkError) { removeFile(req.file); return res.status(400).json({ error: linkError }); }
+      const duplicate = await duplicateOf(condominiumId, expense);
+      if (duplicate) { removeFile(req.file); return res.status(409).json({ error: 'Esta fatura já foi registada', expense_id: duplicate.id }); }
+
+      if (expense.vat_cents === undefined) expense.vat_cents = Math.round((expense.net_cents * expense.vat_rate) / 100);
+      expense.amount_cents = expense.net_cents + expense.vat_cents;
+      const fields = { ...expense, ...documentFields(req.file), condominium_id: condominiumId, created_by: req.auth.id };
+      const id = await transaction(async (conn) => {
+        const created = await conn.run(
+          `INSERT INTO expenses (${Object.keys(fields).join(', ')}) VALUES (${Object.keys(fields).map(() => '?').join(', ')})`,
+          Object.values(fields)
+        );
+        await saveUnits(conn, created.lastID, units);
+        return created.lastID;
+      });
+      res.status(201).json({ success: true, expense: await detailed(id) });
+    } catch (error) {
+      removeFile(req.file);
+      console.error('Error creating expense:', error);
+      res.status(500).json({ error: 'Erro ao registar despesa' });
+    }
+  });
+
+  router.get('/api/expenses/:id', async (req, res) => {
+    try {
+      if (!await load(req.params.id)) return res.status(404).json({ error: 'Despesa não encontrada' });
+      res.json(await detailed(req.params.id));
+    } catch (error) {
+      console.error('Error fetching expense:', error);
+      res.status(500).json({ error: 'Erro ao buscar despesa' });
+    }
+  });
+
+  // Changes an expense; a new `file` replaces the invoice PDF
+  router.put('/api/expenses/:id', upload.single('file'), async (req, res) => {
+    const { expense, units, error } = readExpense(req.body || {}, true, catalogs);
+    if (error) { removeFile(req.file); return res.status(400).json({ error }); }
+
+    try {
+      const existing = await load(req.params.id);
+      if (!existing) { removeFile(req.file); return res.status(404).json({ error: 'Despesa não encontrada' }); }
+      const merged = { ...existing, ...expense };
+      const linkError = await checkLinks(existing.condominium_id, expense, units);
+      if (linkError) { removeFile(req.file); return res.status(400).json({ error: linkError }); }
+      if (await duplicateOf(existing.condominium_id, merged, existing.id)) {
+        removeFile(req.file);
+        return res.status(409).json({ error: 'Esta fatura já foi registada' });
+      }
+
+      // Amounts follow the net amount and rate unless the VAT is given
+      if (expense.vat_cents === undefined && (expense.net_cents !== undefined || expense.vat_rate !== undefined)) {
+        expense.vat_cents = Math.round((merged.net_cents * merged.vat_rate) / 100);
+      }
+      if (expense.vat_cents !== undefined || expense.net_cents !== undefined) {
+        expense.amount_cents = merged.net_cents + (expense.vat_cents !== undefined ? expense.vat_cents : existing.vat_cents);
+      }
+      const fields = { ...expense, ...documentFields(req.file) };
+      if (!Object.keys(fields).length) return res.status(400).json({ error: 'No fields to update' });
+
+      await transaction(async (conn) => {
+        await conn.run(
+          `UPDATE expenses SET ${Object.keys(fields).map(f => `${f} = ?, `).join('')}updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [...Object.values(fields), existing.id]
+        );
+        if (expense.allocation !== undefined) await saveUnits(conn, existing.id, units);
+      });
+      if (req.file && existing.document_path) fs.unlink(existing.document_path, () => {});
+      res.json({ success: true, expense: await detailed(existing.id) });
+    } catch (error) {
+      removeFile(req.file);
+      console.error('Error updating expense:', error);
+      res.status(500).json({ error: 'Erro ao atualizar despesa' });
+    }
+  });
+
+  router.delete('/api/expenses/:id', async (req, res) => {
+    try {
+      const existing = await load(req.params.id);
+      if (!existing) return res.status(404).json({ error: 'Despesa não encontrada' });
+      await transaction(async (conn) => {
+        await conn.run('DELETE FROM expense_units WHERE expense_id = ?', [existing.id]);
+        await conn.run('DELETE FROM expenses WHERE id = ?', [existing.id]);
+      });
+      if (existing.document_path) fs.unlink(existing.document_path, () => {});
+      res.json({ success: true, deleted: existing.id });
+    } catch (error) {
+      console.error('Error deleting expense:', error);
+      res.status(500).json({ error: 'Erro ao eliminar despesa' });
+    }
+  });
+
+  router.get('/api/expenses/:id/document', async (req, res) => {
+    try {
+      const expense = await load(req.params.id);
+      if (!expense || !expense.document_path) return res.status(404).json({ error: 'Documento não encontrado' });
+      const absolutePath = path.resolve(expense.document_path);
+      if (!fs.existsSync(absolutePath)) return res.status(404).json({ error: 'File missing on disk' });
+      res.download(absolutePath, expense.document_original_filename);
+    } catch (error) {
+      console.error('Error sending expense document:', error);
+      res.status(500).json({ error: 'Erro ao obter documento' });
+    }
+  });
+
+  // Marks the expense paid: { paid_at, method, reference }
+  router.post('/api/expenses/:id/payment', async (req, res) => {
+    const body = req.body || {};
+    const paidAt = body.paid_at || today();
+    const method = body.method || 'transfer';
+    if (!validDate(paidAt)) return res.status(400).json({ error: 'Data de pagamento inválida (AAAA-MM-DD)' });
+    if (!paymentMethods[method]) return res.status(400).json({ error: `Meio de pagamento inválido (${Object.keys(paymentMethods).join(', ')})` });
+    try {
+      const existing = await load(req.params.id);
+      if (!existing) return res.status(404).json({ error: 'Despesa não encontrada' });
+      if (existing.status === 'paid') return res.status(409).json({ error: 'Esta despesa já está paga' });
+      await q.run(
+        `UPDATE expenses SET status = 'paid', paid_at = ?, payment_method = ?, payment_reference = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [paidAt, method, text(body.reference), existing.id]
+      );
+      res.json({ success: true, expense: toExpense(await load(existing.id)) });
+    } catch (error) {
+      console.error('Error paying expense:', error);
+      res.status(500).json({ error: 'Erro ao registar pagamento' });
+    }
+  });
+
+  // Back to unpaid (payment recorded by mistake)
+  router.delete('/api/expenses/:id/payment', async (req, res) => {
+    try {
+      const existing = await load(req.params.id);
+      if (!existing) return res.status(404).json({ error: 'Despesa não encontrada' });
+      await q.run(
+        `UPDATE expenses SET status = 'unpaid', paid_at = NULL, payment_method = NULL, payment_reference = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [existing.id]
+      );
+      res.json({ success: true, expense: toExpense(await load(existing.id)) });
+    } catch (error) {
+      console.error('Error reverting expense payment:', error);
+      res.status(500).json({ error: 'Erro ao anular pagamento' });
+    }
+  });
+
+  // Payables: unpaid expenses of the admin's condominiums by due date (?condominium_id narrows it)
+  router.get('/api/payables', async (req, res) => {
+    try {
+      const allowed = authz.condominiumsWith(req.auth, 'finance.read');
+      let ids = allowed;
+      if (req.query.condominium_id) {
+        const requested = parseInt(req.query.condominium_id, 10);
+        ids = allowed === null || allowed.includes(requested) ? [requested] : [];
+      }
+      if (ids !== null && !ids.length) return res.json({ payables: [], totals: { unpaid: 0, overdue: 0, due_soon: 0 } });
+
+      const rows = await q.all(
+        `${SELECT} WHERE e.status = 'unpaid'${ids !== null ? ` AND e.condominium_id IN (${ids.map(() => '?').join(',')})` : ''}
+         ORDER BY e.due_date IS NULL, e.due_date, e.invoice_date`,
+        ids || []
+      );
+      const now = today();
+      const soon = new Date(Date.now() + 7 * 86400000).toISOString().slice(0, 10);
+      const sum = (list) => toEuros(list.reduce((s, e) => s + e.amount_cents, 0));
+      res.json({
+        payables: rows.map(e => ({
+          ...toExpense(e),
+          days_overdue: e.due_date && e.due_date < now ? Math.round((Date.parse(now) - Date.parse(e.due_date)) / 86400000) : 0
+        })),
+        totals: {
+          unpaid: sum(rows),
+          overdue: sum(rows.filter(e => e.due_date && e.due_date < now)),
+          // Due within the next 7 days
+          due_soon: sum(rows.filter(e => e.due_date && e.due_date >= now && e.due_date <= soon))
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching payables:', error);
+      res.status(500).json({ error: 'Erro ao buscar pagamentos a fornecedores' });
+    }
+  });
+
+  return {
+    ALLOCATIONS,
+    allocationOf,
+    router
+  };
+};
@@ -0,0 +1,620 @@
+const express = require('express');
+const { toEuros, formatEuros } = require('./money');
+const pdf = require('./pdf');
+
+// Financial documents of the units, as PDFs stamped with the condominium's NIPC:
+// - receipts (recibos) of the payments recorded in quotas.js, numbered per condominium and year
+//   when the payment is recorded; a deleted payment leaves its receipt printed as cancelled;
+// - account statements (extratos de conta corrente) of a unit for a date range;
+// - debt declarations (declaração de dívida / não dívida, Código Civil art. 1424.º-A) that owners
+//   need to sell a unit: the charges in force and the debts of the unit at a date. They are
+//   numbered like receipts and keep what they declared, so a copy always prints the same.
+// Residents download the documents of the units they are billed for; admins can generate them
+// for several units at once, as one PDF.
+
+const BATCH_TYPES = {
+  receipts: 'Recibos',
+  statements: 'Extratos de conta corrente',
+  debt_declarations: 'Declarações de dívida'
+};
+
+const METHODS = {
+  transfer: 'transferência bancária',
+  mb: 'Multibanco',
+  direct_debit: 'débito direto',
+  cash: 'numerário',
+  cheque: 'cheque',
+  other: 'outro meio'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const validDate = (v) => typeof v === 'string' && DATE_PATTERN.test(v) && !isNaN(new Date(`${v}T00:00:00Z`).getTime());
+const today = () => new Date().toISOString().slice(0, 10);
+const formatDate = (value) => (value ? String(value).slice(0, 10).split('-').reverse().join('/') : '');
+
+const numberOf = (doc) => `${doc.year}/${doc.number}`;
+const byDate = (a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.order - b.order);
+
+function toReceipt(r) {
+  return {
+    id: r.id,
+    number: numberOf(r),
+    condominium_id: r.condominium_id,
+    payment_id: r.payment_id,
+    fracao_id: r.fracao_id,
+    identifier: r.identifier || null,
+    user_id: r.user_id,
+    payer_name: r.payer_name || null,
+    amount: toEuros(r.amount_cents),
+    paid_at: r.paid_at,
+    method: r.method,
+    reference: r.reference,
+    issued_at: r.issued_at,
+    cancelled_at: r.cancelled_at || null
+  };
+}
+
+function toDeclaration(d) {
+  const details = d.details ? JSON.parse(d.details) : {};
+  return {
+    id: d.id,
+    number: numberOf(d),
+    kind: d.owed_cents > 0 ? 'debt' : 'no_debt',
+    condominium_id: d.condominium_id,
+    fracao_id: d.fracao_id,
+    identifier: d.identifier || null,
+    as_of: d.as_of,
+    owed: toEuros(d.owed_cents),
+    not_due: toEuros(details.not_due_cents || 0),
+    purpose: d.purpose,
+    requested_by: d.requested_by,
+    requested_by_name: d.requested_by_name || null,
+    created_at: d.created_at
+  };
+}
+
+function documentError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * @param {import('sqlite3').Database} db - shared connection
+ * @param {object} options
+ * @param {function} options.transaction - runs work in a write transaction (transactions.js)
+ * @param {object} options.quotas - quota billing module (quotas.js), for the units' accounts
+ * @param {object} options.fracoes - units module (fracoes.js)
+ */
+module.exports = function(db, { transaction, quotas, fracoes }) {
+  const q = require('./transactions').queries(db);
+
+  /** Answers a documentError with its status, anything else with a 500 and `message`. */
+  function fail(res, error, what, message) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error(`Error ${what}:`, error);
+    res.status(500).json({ error: message });
+  }
+
+  function sendPdf(res, buffer, filename) {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buffer);
+  }
+
+  const condominium = (id) => q.get('SELECT id, name, nipc FROM condominiums WHERE id = ?', [id]);
+  const unitOf = (id) => q.get('SELECT id, identifier, condominium_id FROM fracoes WHERE id = ?', [id]);
+
+  /** The current owners of a unit, or whoever it is billed to when it has none registered. */
+  async function ownersOf(unit) {
+    const parties = await fracoes.partiesOf('assembleia', [unit.id]);
+    const owners = parties.filter(p => p.role === 'owner');
+    return owners.length ? owners : await fracoes.partiesOf('billing', [unit.id]);
+  }
+
+  const describeParties = (parties) => parties.map(p => `${p.nome}${p.nif ? ` (NIF ${p.nif})` : ''}`).join(', ');
+
+  /** Document title block: condominium, NIPC and unit. */
+  function header(doc, title, condo, unit, owners) {
+    doc.heading(title, { size: 16 });
+    doc.text(`Condomínio ${condo.name}`, { size: 11, bold: true });
+    doc.text(condo.nipc ? `NIPC ${condo.nipc}` : 'NIPC não registado');
+    doc.rule();
+    doc.text(`Fração ${unit.identifier}`, { bold: true });
+    if (owners) doc.text(owners.length ? `Proprietário(s): ${describeParties(owners)}` : 'Sem proprietário registado.');
+    doc.space();
+  }
+
+  const loadReceipt = (id) => q.get(
+    `SELECT r.*, f.identifier, u.nome AS payer_name, u.nif AS payer_nif
+     FROM receipts r JOIN fracoes f ON f.id = r.fracao_id LEFT JOIN users u ON u.id = r.user_id WHERE r.id = ?`,
+    [id]
+  );
+
+  async function writeReceipt(doc, receipt, condo) {
+    const unit = { id: receipt.fracao_id, identifier: receipt.identifier };
+    const payer = receipt.payer_name ? `${receipt.payer_name}${receipt.payer_nif ? ` (NIF ${receipt.payer_nif})` : ''}`
+      : describeParties(await ownersOf(unit)) || 'o proprietário da fração';
+    header(doc, `Recibo n.º ${numberOf(receipt)}`, condo, unit);
+    if (receipt.cancelled_at) doc.text(`ANULADO em ${formatDate(receipt.cancelled_at)}`, { size: 12, bold: true });
+    doc.text(
+      `O condomínio ${condo.name} declara ter recebido de ${payer} a quantia de ${formatEuros(receipt.amount_cents)}, ` +
+      `paga em ${formatDate(receipt.paid_at)} por ${METHODS[receipt.method] || receipt.method}` +
+      `${receipt.reference ? ` (referência ${receipt.reference})` : ''}, por conta dos encargos de condomínio da fração ${receipt.identifier}.`,
+      { gap: 10 }
+    );
+    doc.table(
+      [{ label: 'Descrição', width: 0.75 }, { label: 'Montante', width: 0.25, align: 'right' }],
+      [[`Encargos de condomínio — fração ${receipt.identifier}`, formatEuros(receipt.amount_cents)]],
+      { footer: ['Total recebido', formatEuros(receipt.amount_cents)] }
+    );
+    doc.text(`Emitido em ${formatDate(receipt.issued_at)}.`);
+  }
+
+  /**
+   * A unit's account between two dates: the balance brought forward, the charges and payments
+   * in the period (with a running balance) and the balance at the end.
+   */
+  async function statementOf(unit, from, to) {
+    const acc = await quotas.account(unit.id);
+    const before = (date) => date < from;
+    const inPeriod = (date) => date >= from && date <= to;
+    const opening = acc.charges.filter(c => before(c.issue_date)).reduce((sum, c) => sum + c.amount_cents, 0)
+      - acc.payments.filter(p => before(p.paid_at)).reduce((sum, p) => sum + p.amount_cents, 0);
+    const entries = [
+      ...acc.charges.filter(c => inPeriod(c.issue_date)).map(c => ({
+        date: c.issue_date, order: 0, description: `${c.description} (vence ${formatDate(c.due_date)})`, debit_cents: c.amount_cents, credit_cents: 0
+      })),
+      ...acc.payments.filter(p => inPeriod(p.paid_at)).map(p => ({
+        date: p.paid_at,
+        order: 1,
+        description: `Pagamento (${quotas.PAYMENT_METHODS[p.method] || p.method})${p.receipt_id ? ` — recibo ${p.receipt_year}/${p.receipt_number}` : ''}`,
+        debit_cents: 0,
+        credit_cents: p.amount_cents
+      }))
+    ].sort(byDate);
+    let balance = opening;
+    entries.forEach(e => { balance += e.debit_cents - e.credit_cents; e.balance_cents = balance; });
+    return {
+      from,
+      to,
+      opening_cents: opening,
+      entries,
+      charged_cents: entries.reduce((sum, e) => sum + e.debit_cents, 0),
+      paid_cents: entries.reduce((sum, e) => sum + e.credit_cents, 0),
+      closing_cents: balance
+    };
+  }
+
+  async function writeStatement(doc, unit, condo, from, to) {
+    const statement = await statementOf(unit, from, to);
+    header(doc, 'Extrato de conta corrente', condo, unit, await ownersOf(unit));
+    doc.text(`Período de ${formatDate(from)} a ${formatDate(to)}. Saldos positivos são valores em dívida; negativos, valores pagos adiantadamente.`);
+    doc.space(4);
+    doc.table(
+      [
+        { label: 'Data', width: 0.13 },
+        { label: 'Descrição', width: 0.42 },
+        { label: 'Débito', width: 0.15, align: 'right' },
+        { label: 'Crédito', width: 0.15, align: 'right' },
+        { label: 'Saldo', width: 0.15, align: 'right' }
+      ],
+      [
+        [formatDate(from), 'Saldo anterior', '', '', formatEuros(statement.opening_cents)],
+        ...statement.entries.map(e => [
+          formatDate(e.date),
+          e.description,
+          e.debit_cents ? formatEuros(e.debit_cents) : '',
+          e.credit_cents ? formatEuros(e.credit_cents) : '',
+          formatEuros(e.balance_cents)
+        ])
+      ],
+      { footer: [formatDate(to), 'Saldo final', formatEuros(statement.charged_cents), formatEuros(statement.paid_cents), formatEuros(statement.closing_cents)] }
+    );
+    doc.text(`Emitido em ${formatDate(today())}.`);
+    return statement;
+  }
+
+  /**
+   * What a debt declaration states at `asOf`: the quota in force (the unit's last billed quota)
+   * and the charges not paid, split into overdue (the debt) and not yet due.
+   */
+  async function declarationOf(unit, asOf, conn = q) {
+    const acc = await quotas.account(unit.id, conn);
+    const charges = acc.charges.filter(c => c.issue_date <= asOf);
+    const paid = acc.payments.filter(p => p.paid_at <= asOf).reduce((sum, p) => sum + p.amount_cents, 0);
+    const open = quotas.settle(charges, paid).charges.filter(c => c.outstanding_cents > 0)
+      .map(c => ({ description: c.description, issue_date: c.issue_date, due_date: c.due_date, outstanding_cents: c.outstanding_cents }));
+    const quota = await conn.get(
+      `SELECT c.description, c.amount_cents, c.period, b.frequency FROM charges c
+       JOIN billing_runs r ON r.id = c.billing_run_id JOIN budgets b ON b.id = r.budget_id
+       WHERE c.fracao_id = ? AND c.cancelled_at IS NULL AND c.issue_date <= ? ORDER BY c.period DESC, c.id DESC LIMIT 1`,
+      [unit.id, asOf]
+    );
+    const debts = open.filter(c => c.due_date <= asOf);
+    const notDue = open.filter(c => c.due_date > asOf);
+    return {
+      owed_cents: debts.reduce((sum, c) => sum + c.outstanding_cents, 0),
+      details: {
+        quota: quota || null,
+        debts,
+        not_due: notDue,
+        not_due_cents: notDue.reduce((sum, c) => sum + c.outstanding_cents, 0)
+      }
+    };
+  }
+
+  /** Issues a numbered debt declaration for the unit, inside the caller's transaction. */
+  async function issueDeclaration(conn, unit, { as_of: asOf, purpose, requested_by: requestedBy, created_by: createdBy }) {
+    const { owed_cents: owed, details } = await declarationOf(unit, asOf, conn);
+    const year = Number(today().slice(0, 4));
+    const last = await conn.get('SELECT MAX(number) AS number FROM debt_declarations WHERE condominium_id = ? AND year = ?', [unit.condominium_id, year]);
+    const created = await conn.run(
+      `INSERT INTO debt_declarations (condominium_id, year, number, fracao_id, as_of, owed_cents, details, purpose, requested_by, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [unit.condominium_id, year, (last.number || 0) + 1, unit.id, asOf, owed, JSON.stringify(details), purpose || null, requestedBy || null, createdBy || null]
+    );
+    return created.lastID;
+  }
+
+  const loadDeclaration = (id) => q.get(
+    `SELECT d.*, f.identifier, u.nome AS requested_by_name
+     FROM debt_declarations d JOIN fracoes f ON f.id = d.fracao_id LEFT JOIN users u ON u.id = d.requested_by WHERE d.id = ?`,
+    [id]
+  );
+
+  async function writeDeclaration(doc, declaration, condo) {
+    const unit = { id: declaration.fracao_id, identifier: declaration.identifier };
+    const details = JSON.parse(declaration.details || '{}');
+    const owed = declaration.owed_cents > 0;
+    header(doc, `Declaração de ${owed ? 'dívida' : 'não dívida'} n.º ${numberOf(declaration)}`, condo, unit, await ownersOf(unit));
+    doc.text(
+      `Para os efeitos do artigo 1424.º-A do Código Civil${declaration.purpose ? ` (${declaration.purpose})` : ''}, ` +
+      `a administração do condomínio ${condo.name} declara que, em ${formatDate(declaration.as_of)}, ` +
+      (owed ? `a fração ${declaration.identifier} tem em dívida encargos de condomínio no montante de ${formatEuros(declaration.owed_cents)}, discriminados abaixo.`
+        : `a fração ${declaration.identifier} não tem dívidas de encargos de condomínio vencidos.`),
+      { gap: 10 }
+    );
+
+    doc.heading('Encargos em vigor', { size: 12 });
+    if (details.quota) {
+      doc.text(`${details.quota.description}: ${formatEuros(details.quota.amount_cents)} (última quota faturada à fração).`);
+    } else {
+      doc.text('A fração não tem quotas faturadas.');
+    }
+    doc.space(4);
+
+    const table = (rows) => doc.table(
+      [
+        { label: 'Descrição', width: 0.46 },
+        { label: 'Emissão', width: 0.17 },
+        { label: 'Vencimento', width: 0.17 },
+        { label: 'Montante', width: 0.2, align: 'right' }
+      ],
+      rows.map(c => [c.description, formatDate(c.issue_date), formatDate(c.due_date), formatEuros(c.outstanding_cents)]),
+      { footer: ['Total', '', '', formatEuros(rows.reduce((sum, c) => sum + c.outstanding_cents, 0))] }
+    );
+    if (owed) {
+      doc.heading('Dívidas', { size: 12 });
+      table(details.debts || []);
+    }
+    if ((details.not_due || []).length) {
+      doc.heading('Encargos emitidos ainda não vencidos', { size: 12 });
+      table(details.not_due);
+    }
+    doc.space();
+    doc.text(`Emitida em ${formatDate(declaration.created_at)}${declaration.requested_by_name ? ` a pedido de ${declaration.requested_by_name}` : ''}.`);
+  }
+
+  /** A single document as a PDF. */
+  async function render(title, footer, write) {
+    const doc = pdf.document({ title, footer });
+    await write(doc);
+    return doc.toBuffer();
+  }
+
+  const receiptPdf = async (receipt) => {
+    const condo = await condominium(receipt.condominium_id);
+    return render(`Recibo ${numberOf(receipt)} — ${condo.name}`, `${condo.name} — Recibo n.º ${numberOf(receipt)}`, (doc) => writeReceipt(doc, receipt, condo));
+  };
+
+  const statementPdf = async (unit, from, to) => {
+    const condo = await condominium(unit.condominium_id);
+    return render(`Extrato da fração ${unit.identifier} — ${condo.name}`, `${condo.name} — Fração ${unit.identifier}`, (doc) => writeStatement(doc, unit, condo, from, to));
+  };
+
+  const declarationPdf = async (declaration) => {
+    const condo = await condominium(declaration.condominium_id);
+    return render(`Declaração ${numberOf(declaration)} — ${condo.name}`, `${condo.name} — Declaração n.º ${numberOf(declaration)}`, (doc) => writeDeclaration(doc, declaration, condo));
+  };
+
+  /** Validates a date range from the query or body: `from` defaults to 1 January, `to` to today. */
+  function readRange(values) {
+    const to = values.to || today();
+    const from = values.from || `${to.slice(0, 4)}-01-01`;
+    if (!validDate(from) || !validDate(to)) return { error: 'Datas inválidas (AAAA-MM-DD)' };
+    if (from > to) return { error: 'A data inicial é posterior à data final' };
+    return { from, to };
+  }
+
+  /** Validates the date of a declaration, which cannot be in the future. */
+  function readAsOf(value) {
+    const asOf = value || today();
+    if (!validDate(asOf)) return { error: 'Data inválida (AAAA-MM-DD)' };
+    if (asOf > today()) return { error: 'A declaração não pode ter data futura' };
+    return { asOf };
+  }
+
+  /** The user's current relationship with the unit, if they are billed for it (owner, contact or representative). */
+  const billedUnit = (userId, fracaoId) => q.get(
+    `SELECT f.id, f.identifier, f.condominium_id, fr.role, fr.start_date
+     FROM fracao_residents fr JOIN fracoes f ON f.id = fr.fracao_id
+     WHERE fr.user_id = ? AND fr.fracao_id = ? AND fr.role IN ('owner', 'contact', 'representative') AND ${fracoes.CURRENT}
+     ORDER BY fr.start_date LIMIT 1`,
+    [userId, fracaoId]
+  );
+
+  // Receipts a resident can see: those of their units since their relationship began
+  const RESIDENT_RECEIPTS = `
+    SELECT DISTINCT r.*, f.identifier, u.nome AS payer_name
+    FROM receipts r JOIN fracoes f ON f.id = r.fracao_id LEFT JOIN users u ON u.id = r.user_id
+    JOIN fracao_residents fr ON fr.fracao_id = r.fracao_id
+    WHERE fr.user_id = ? AND fr.role IN ('owner', 'contact', 'representative') AND ${fracoes.CURRENT}
+      AND (r.user_id = fr.user_id OR fr.start_date IS NULL OR r.paid_at >= fr.start_date)`;
+
+  const router = express.Router();
+
+  // ---- Admin ----
+
+  router.get('/api/condominiums/:id/receipts', async (req, res) => {
+    const where = ['r.condominium_id = ?'];
+    const params = [req.params.id];
+    if (req.query.year) {
+      where.push('r.year = ?');
+      params.push(parseInt(req.query.year, 10));
+    }
+    if (req.query.fracao_id) {
+      where.push('r.fracao_id = ?');
+      params.push(parseInt(req.query.fracao_id, 10));
+    }
+    try {
+      const rows = await q.all(
+        `SELECT r.*, f.identifier, u.nome AS payer_name
+         FROM receipts r JOIN fracoes f ON f.id = r.fracao_id LEFT JOIN users u ON u.id = r.user_id
+         WHERE ${where.join(' AND ')} ORDER BY r.year DESC, r.number DESC`,
+        params
+      );
+      res.json(rows.map(toReceipt));
+    } catch (error) {
+      console.error('Error fetching receipts:', error);
+      res.status(500).json({ error: 'Erro ao buscar recibos' });
+    }
+  });
+
+  router.get('/api/receipts/:id/pdf', async (req, res) => {
+    try {
+      const receipt = await loadReceipt(req.params.id);
+      if (!receipt) return res.status(404).json({ error: 'Recibo não encontrado' });
+      sendPdf(res, await receiptPdf(receipt), `recibo-${receipt.year}-${receipt.number}.pdf`);
+    } catch (error) {
+      console.error('Error rendering receipt:', error);
+      res.status(500).json({ error: 'Erro ao gerar o recibo' });
+    }
+  });
+
+  // Statement of a unit: ?from=AAAA-MM-DD&to=AAAA-MM-DD (default: this year to date)
+  router.get('/api/fracoes/:id/statement/pdf', async (req, res) => {
+    const { from, to, error } = readRange(req.query);
+    if (error) return res.status(400).json({ error });
+    try {
+      const unit = await unitOf(req.params.id);
+      if (!unit) return res.status(404).json({ error: 'Fração não encontrada' });
+      sendPdf(res, await statementPdf(unit, from, to), `extrato-${unit.identifier}-${from}-${to}.pdf`);
+    } catch (error) {
+      console.error('Error rendering statement:', error);
+      res.status(500).json({ error: 'Erro ao gerar o extrato' });
+    }
+  });
+
+  router.get('/api/fracoes/:id/debt-declarations', async (req, res) => {
+    try {
+      const rows = await q.all(
+        `SELECT d.*, f.identifier, u.nome AS requested_by_name
+         FROM debt_declarations d JOIN fracoes f ON f.id = d.fracao_id LEFT JOIN users u ON u.id = d.requested_by
+         WHERE d.fracao_id = ? ORDER BY d.created_at DESC, d.id DESC`,
+        [req.params.id]
+      );
+      res.json(rows.map(toDeclaration));
+    } catch (error) {
+      console.error('Error fetching debt declarations:', error);
+      res.status(500).json({ error: 'Erro ao buscar declarações' });
+    }
+  });
+
+  // Issues a declaration: { as_of, purpose, requested_by (user id) }
+  router.post('/api/fracoes/:id/debt-declarations', async (req, res) => {
+    const body = req.body || {};
+    const { asOf, error } = readAsOf(body.as_of);
+    if (error) return res.status(400).json({ error });
+    const requestedBy = body.requested_by ? parseInt(body.requested_by, 10) : null;
+    if (body.requested_by && isNaN(requestedBy)) return res.status(400).json({ error: 'Invalid user id' });
+    try {
+      const unit = await unitOf(req.params.id);
+      if (!unit) return res.status(404).json({ error: 'Fração não encontrada' });
+      if (requestedBy && !await q.get('SELECT id FROM users WHERE id = ?', [requestedBy])) return res.status(404).json({ error: 'Utilizador não encontrado' });
+      const id = await transaction((conn) => issueDeclaration(conn, unit, { as_of: asOf, purpose: body.purpose, requested_by: requestedBy, created_by: req.auth.id }));
+      res.status(201).json({ success: true, declaration: toDeclaration(await loadDeclaration(id)) });
+    } catch (error) {
+      console.error('Error issuing debt declaration:', error);
+      res.status(500).json({ error: 'Erro ao emitir declaração' });
+    }
+  });
+
+  router.get('/api/debt-declarations/:id/pdf', async (req, res) => {
+    try {
+      const declaration = await loadDeclaration(req.params.id);
+      if (!declaration) return res.status(404).json({ error: 'Declaração não encontrada' });
+      sendPdf(res, await declarationPdf(declaration), `declaracao-${declaration.year}-${declaration.number}.pdf`);
+    } catch (error) {
+      console.error('Error rendering debt declaration:', error);
+      res.status(500).json({ error: 'Erro ao gerar a declaração' });
+    }
+  });
+
+  // Several documents in one PDF: { type: receipts|statements|debt_declarations, fracao_ids, from, to, as_of, purpose }.
+  // Receipts are those of payments made between `from` and `to`; statements cover that range;
+  // debt declarations are issued (and numbered) for each unit at `as_of`.
+  router.post('/api/condominiums/:id/documents', async (req, res) => {
+    const body = req.body || {};
+    const condominiumId = parseInt(req.params.id, 10);
+    if (!BATCH_TYPES[body.type]) return res.status(400).json({ error: `Tipo de documento inválido (${Object.keys(BATCH_TYPES).join(', ')})` });
+    const range = readRange(body);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const { asOf, error } = readAsOf(body.as_of);
+    if (error) return res.status(400).json({ error });
+    if (body.fracao_ids !== undefined && !Array.isArray(body.fracao_ids)) return res.status(400).json({ error: 'fracao_ids tem de ser uma lista' });
+
+    try {
+      const condo = await condominium(condominiumId);
+      if (!condo) return res.status(404).json({ error: 'Condomínio não encontrado' });
+      let units = await q.all('SELECT id, identifier, condominium_id FROM fracoes WHERE condominium_id = ? ORDER BY identifier', [condominiumId]);
+      if (body.fracao_ids) {
+        const wanted = new Set(body.fracao_ids.map(Number));
+        if ([...wanted].some(id => !units.some(u => u.id === id))) throw documentError(400, 'Há frações que não pertencem ao condomínio');
+        units = units.filter(u => wanted.has(u.id));
+      }
+      if (!units.length) throw documentError(400, 'O condomínio não tem frações registadas');
+
+      const doc = pdf.document({ title: `${BATCH_TYPES[body.type]} — ${condo.name}`, footer: `${condo.name} — ${BATCH_TYPES[body.type]}` });
+      let count = 0;
+      const next = () => { if (count++) doc.page(); };
+      if (body.type === 'receipts') {
+        const ids = units.map(u => u.id);
+        const receipts = await q.all(
+          `SELECT r.*, f.identifier, u.nome AS payer_name, u.nif AS payer_nif
+           FROM receipts r JOIN fracoes f ON f.id = r.fracao_id LEFT JOIN users u ON u.id = r.user_id
+           WHERE r.fracao_id IN (${ids.map(() => '?').join(',')}) AND r.paid_at BETWEEN ? AND ?
+           ORDER BY r.year, r.number`,
+          [...ids, range.from, range.to]
+        );
+        if (!receipts.length) throw documentError(404, 'Não há recibos neste período');
+        for (const receipt of receipts) {
+          next();
+          await writeReceipt(doc, receipt, condo);
+        }
+      } else if (body.type === 'statements') {
+        for (const unit of units) {
+          next();
+          await writeStatement(doc, unit, condo, range.from, range.to);
+        }
+      } else {
+        const ids = await transaction(async (conn) => {
+          const issued = [];
+          for (const unit of units) issued.push(await issueDeclaration(conn, unit, { as_of: asOf, purpose: body.purpose, created_by: req.auth.id }));
+          return issued;
+        });
+        for (const id of ids) {
+          next();
+          await writeDeclaration(doc, await loadDeclaration(id), condo);
+        }
+      }
+      sendPdf(res, doc.toBuffer(), `${body.type.replace('_', '-')}-${condominiumId}.pdf`);
+    } catch (error) {
+      fail(res, error, 'generating documents', 'Erro ao gerar os documentos');
+    }
+  });
+
+  // ---- Residents: documents of the units they are billed for ----
+
+  router.get('/api/users/:userId/receipts', async (req, res) => {
+    try {
+      const rows = await q.all(`${RESIDENT_RECEIPTS} ORDER BY r.paid_at DESC, r.id DESC`, [req.params.userId]);
+      res.json(rows.map(toReceipt));
+    } catch (error) {
+      console.error('Error fetching user receipts:', error);
+      res.status(500).json({ error: 'Erro ao buscar recibos' });
+    }
+  });
+
+  router.get('/api/users/:userId/receipts/:receiptId/pdf', async (req, res) => {
+    try {
+      const visible = await q.get(`${RESIDENT_RECEIPTS} AND r.id = ?`, [req.params.userId, req.params.receiptId]);
+      if (!visible) return res.status(404).json({ error: 'Recibo não encontrado' });
+      const receipt = await loadReceipt(visible.id);
+      sendPdf(res, await receiptPdf(receipt), `recibo-${receipt.year}-${receipt.number}.pdf`);
+    } catch (error) {
+      console.error('Error rendering user receipt:', error);
+      res.status(500).json({ error: 'Erro ao gerar o recibo' });
+    }
+  });
+
+  // The statement starts at the earliest on the day the resident's relationship with the unit began
+  router.get('/api/users/:userId/fracoes/:fracaoId/statement/pdf', async (req, res) => {
+    const range = readRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    try {
+      const unit = await billedUnit(req.params.userId, req.params.fracaoId);
+      if (!unit) return res.status(404).json({ error: 'Fração não encontrada' });
+      const from = unit.start_date && unit.start_date > range.from ? unit.start_date : range.from;
+      if (from > range.to) return res.status(400).json({ error: 'O período é anterior à sua ligação à fração' });
+      sendPdf(res, await statementPdf(unit, from, range.to), `extrato-${unit.identifier}-${from}-${range.to}.pdf`);
+    } catch (error) {
+      console.error('Error rendering user statement:', error);
+      res.status(500).json({ error: 'Erro ao gerar o extrato' });
+    }
+  });
+
+  router.get('/api/users/:userId/debt-declarations', async (req, res) => {
+    try {
+      const rows = await q.all(
+        `SELECT DISTINCT d.*, f.identifier, u.nome AS requested_by_name
+         FROM debt_declarations d JOIN fracoes f ON f.id = d.fracao_id LEFT JOIN users u ON u.id = d.requested_by
+         JOIN fracao_residents fr ON fr.fracao_id = d.fracao_id
+         WHERE fr.user_id = ? AND fr.role IN ('owner', 'representative') AND ${fracoes.CURRENT}
+           AND (d.requested_by = fr.user_id OR fr.start_date IS NULL OR d.created_at >= fr.start_date)
+         ORDER BY d.created_at DESC, d.id DESC`,
+        [req.params.userId]
+      );
+      res.json(rows.map(toDeclaration));
+    } catch (error) {
+      console.error('Error fetching user debt declarations:', error);
+      res.status(500).json({ error: 'Erro ao buscar declarações' });
+    }
+  });
+
+  // An owner (or their legal representative) issues the declaration of their unit for today: { purpose }
+  router.post('/api/users/:userId/fracoes/:fracaoId/debt-declarations', async (req, res) => {
+    try {
+      const unit = await billedUnit(req.params.userId, req.params.fracaoId);
+      if (!unit) return res.status(404).json({ error: 'Fração não encontrada' });
+      if (unit.role === 'contact') return res.status(403).json({ error: 'Só o proprietário ou o seu representante legal pode pedir a declaração' });
+      const userId = parseInt(req.params.userId, 10);
+      const id = await transaction((conn) => issueDeclaration(conn, unit, { as_of: today(), purpose: (req.body || {}).purpose, requested_by: userId }));
+      res.status(201).json({ success: true, declaration: toDeclaration(await loadDeclaration(id)) });
+    } catch (error) {
+      console.error('Error issuing user debt declaration:', error);
+      res.status(500).json({ error: 'Erro ao emitir declaração' });
+    }
+  });
+
+  router.get('/api/users/:userId/debt-declarations/:declarationId/pdf', async (req, res) => {
+    try {
+      const declaration = await loadDeclaration(req.params.declarationId);
+      const unit = declaration && await billedUnit(req.params.userId, declaration.fracao_id);
+      const visible = unit && unit.role !== 'contact' && (declaration.requested_by === parseInt(req.params.userId, 10)
+        || !unit.start_date || declaration.created_at >= unit.start_date);
+      if (!visible) return res.status(404).json({ error: 'Declaração não encontrada' });
+      sendPdf(res, await declarationPdf(declaration), `declaracao-${declaration.year}-${declaration.number}.pdf`);
+    } catch (error) {
+      console.error('Error rendering user debt declaration:', error);
+      res.status(500).json({ error: 'Erro ao gerar a declaração' });
+    }
+  });
+
+  return {
+    BATCH_TYPES,
+    statementOf,
+    declarationOf,
+    router
+  };
+};
@@ -0,0 +1,734 @@
+const express = require('express');
+
+// Units (frações) of a condominium: identifier (letter), floor, type, permilagem, area and
+// matriz predial article. Residents are linked to units (fracao_residents); their membership of
+// the building (user_condominiums) follows from those links, and user_condominiums.apartment is
+// kept as a summary of the unit identifiers ("A / G1") for the code that still reads it.
+// The permilagens of a condominium must add up to 1000: single edits may not exceed it, and the
+// bulk permilagem update only accepts a complete, exact split.
+//
+// A link is a relationship with a role (owner, tenant, legal representative, delegated contact),
+// an ownership share for co-owners and start/end dates. Relationships are ended rather than
+// deleted, so a unit keeps the history of who held it; an ownership transfer ends the current
+// owners and starts the new ones on the same date. `recipients` tells who a communication of a
+// given purpose goes to (owners for assembleias and quotas, occupants for building notices).
+// A unit held by several owners or representatives votes at assembleias through one of them,
+// the designated voter (voter_user_id).
+
+const TYPES = {
+  habitacao: 'Habitação',
+  garagem: 'Garagem',
+  arrecadacao: 'Arrecadação',
+  comercio: 'Comércio',
+  escritorio: 'Escritório',
+  outro: 'Outro'
+};
+
+const ROLES = {
+  owner: 'Proprietário',
+  tenant: 'Inquilino',
+  representative: 'Representante legal',
+  contact: 'Contacto delegado'
+};
+
+// Relationship in force today (`fr` being fracao_residents); the end date is exclusive, so on a
+// transfer date the new owner is current and the previous one is not
+const CURRENT = "(fr.start_date IS NULL OR fr.start_date <= date('now')) AND (fr.end_date IS NULL OR fr.end_date > date('now'))";
+
+// Who each purpose addresses, per unit. Residents of the building with no unit relationship
+// (memberships from before units existed) are always included.
+const PURPOSES = {
+  // Convocations, votes and assembleia documents: owners and their legal representatives
+  assembleia: "fr.role IN ('owner', 'representative')",
+  // Quotas and debt: the delegated contact when the unit has one, otherwise its owners
+  billing: `(fr.role = 'contact' OR (fr.role = 'owner' AND NOT EXISTS (
+    SELECT 1 FROM fracao_residents fr2 WHERE fr2.fracao_id = fr.fracao_id AND fr2.role = 'contact' AND ${CURRENT.replace(/fr\./g, 'fr2.')})))`,
+  // Building notices: tenants, and the owners of units that are not let
+  notices: `(fr.role = 'tenant' OR (fr.role = 'owner' AND NOT EXISTS (
+    SELECT 1 FROM fracao_residents fr2 WHERE fr2.fracao_id = fr.fracao_id AND fr2.role = 'tenant' AND ${CURRENT.replace(/fr\./g, 'fr2.')})))`
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const validDate = (v) => DATE_PATTERN.test(v) && !isNaN(new Date(`${v}T00:00:00Z`).getTime());
+
+const PERMILAGEM_TOTAL = 1000;
+// Permilagens are compared to three decimal places
+const round = (n) => Math.round(n * 1000) / 1000;
+
+/** Validates unit fields from a request body; `partial` allows missing fields (updates). */
+function readUnit(body, partial) {
+  const unit = {};
+  const text = (v) => (v === null || v === undefined ? null : String(v).trim() || null);
+  const number = (v) => (v === null || v === undefined || v === '' ? null : Number(String(v).replace(',', '.')));
+
+  if (body.identifier !== undefined || !partial) {
+    unit.identifier = text(body.identifier);
+    if (!unit.identifier) return { error: 'A identificação da fração é obrigatória' };
+  }
+  if (body.floor !== undefined) unit.floor = text(body.floor);
+  if (body.type !== undefined || !partial) {
+    unit.type = text(body.type) || 'habitacao';
+    if (!TYPES[unit.type]) return { error: `Tipo de fração inválido (${Object.keys(TYPES).join(', ')})` };
+  }
+  if (body.permilagem !== undefined) {
+    unit.permilagem = number(body.permilagem);
+    if (unit.permilagem !== null && (!Number.isFinite(unit.permilagem) || unit.permilagem < 0 || unit.permilagem > PERMILAGEM_TOTAL)) {
+      return { error: 'Permilagem inválida' };
+    }
+  }
+  if (body.area !== undefined) {
+    unit.area = number(body.area);
+    if (unit.area !== null && (!Number.isFinite(unit.area) || unit.area < 0)) return { error: 'Área inválida' };
+  }
+  if (body.artigo_matricial !== undefined) unit.artigo_matricial = text(body.artigo_matricial);
+  if (body.description !== undefined) unit.description = text(body.description);
+  return { unit };
+}
+
+/** Validates relationship fields (role, share, start_date, end_date) from a request body. */
+function readRelationship(body, partial) {
+  const relationship = {};
+  if (body.role !== undefined || !partial) {
+    relationship.role = body.role || 'owner';
+    if (!ROLES[relationship.role]) return { error: `Papel inválido (${Object.keys(ROLES).join(', ')})` };
+  }
+  if (body.share !== undefined) {
+    relationship.share = body.share === null || body.share === '' ? null : Number(String(body.share).replace(',', '.'));
+    if (relationship.share !== null && (!Number.isFinite(relationship.share) || relationship.share <= 0 || relationship.share > 100)) {
+      return { error: 'Quota-parte inválida (percentagem entre 0 e 100)' };
+    }
+  }
+  for (const field of ['start_date', 'end_date']) {
+    if (body[field] === undefined) continue;
+    relationship[field] = body[field] || null;
+    if (relationship[field] !== null && !validDate(relationship[field])) return { error: `Data inválida em ${field} (AAAA-MM-DD)` };
+  }
+  if (relationship.start_date && relationship.end_date && relationship.end_date <= relationship.start_date) {
+    return { error: 'A data de fim tem de ser posterior à data de início' };
+  }
+  return { relationship };
+}
+
+/**
+ * @param {import('sqlite3').Database} db - shared connection
+ * @param {object} options
+ * @param {function} options.transaction - runs work in a write transaction (transactions.js)
+ */
+module.exports = function(db, { transaction }) {
+  const shared = {
+    run(sql, params = []) {
+      return new Promise((resolve, reject) => db.run(sql, params, function(err) { if (err) reject(err); else resolve(this); }));
+    },
+    get(sql, params = []) {
+      return new Promise((resolve, reject) => db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row))));
+    },
+    all(sql, params = []) {
+      return new Promise((resolve, reject) => db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || []))));
+    }
+  };
+
+  // The helpers below take an optional query object so they can run inside a caller's
+  // transaction on another connection (see csv-import.js)
+
+  /** Rewrites user_condominiums.apartment from the user's units in the condominium. */
+  async function syncApartment(userId, condominiumId, q = shared) {
+    const units = await q.all(
+      `SELECT DISTINCT f.identifier FROM fracao_residents fr JOIN fracoes f ON f.id = fr.fracao_id
+       WHERE fr.user_id = ? AND f.condominium_id = ? AND ${CURRENT} ORDER BY f.identifier`,
+      [userId, condominiumId]
+    );
+    await q.run('UPDATE user_condominiums SET apartment = ? WHERE user_id = ? AND condominium_id = ?',
+      [units.map(u => u.identifier).join(' / '), userId, condominiumId]);
+  }
+
+  /**
+   * Links a resident to the unit `identifier` of a condominium, creating the unit (with no
+   * permilagem yet) and the building membership when missing.
+   * @returns {Promise<number|null>} unit id (null when no identifier was given)
+   */
+  async function linkResident(userId, condominiumId, identifier, { role = 'owner' } = {}, q = shared) {
+    const name = String(identifier || '').trim();
+    await q.run("INSERT OR IGNORE INTO user_condominiums (user_id, condominium_id, apartment, role) VALUES (?, ?, '', 'resident')",
+      [userId, condominiumId]);
+    if (!name) return null;
+
+    await q.run("INSERT OR IGNORE INTO fracoes (condominium_id, identifier, type) VALUES (?, ?, 'habitacao')", [condominiumId, name]);
+    const unit = await q.get('SELECT id FROM fracoes WHERE condominium_id = ? AND identifier = ?', [condominiumId, name]);
+    await q.run('INSERT OR IGNORE INTO fracao_residents (fracao_id, user_id, role) VALUES (?, ?, ?)', [unit.id, userId, role]);
+    await syncApartment(userId, condominiumId, q);
+    return unit.id;
+  }
+
+  /**
+   * Ends today the resident's current relationships with units of a condominium, or of every
+   * condominium when none is given (optionally all but unit `keepId`). Relationships starting
+   * today or later are dropped instead, as they cannot end before they start.
+   */
+  async function endRelationships(userId, condominiumId, keepId = null, q = shared) {
+    const scope = `user_id = ? AND fracao_id != ?${condominiumId === null ? '' : ' AND fracao_id IN (SELECT id FROM fracoes WHERE condominium_id = ?)'}`;
+    const params = condominiumId === null ? [userId, keepId || 0] : [userId, keepId || 0, condominiumId];
+    await q.run(`DELETE FROM fracao_residents WHERE ${scope} AND start_date >= date('now')`, params);
+    await q.run(
+      `UPDATE fracao_residents AS fr SET end_date = date('now'), updated_at = CURRENT_TIMESTAMP WHERE ${scope} AND ${CURRENT}`,
+      params
+    );
+  }
+
+  /** Makes `identifier` the resident's only current unit in a condominium (none when empty). */
+  async function setResidentUnit(userId, condominiumId, identifier, q = shared) {
+    const unitId = await linkResident(userId, condominiumId, identifier, {}, q);
+    await endRelationships(userId, condominiumId, unitId, q);
+    await syncApartment(userId, condominiumId, q);
+  }
+
+  /**
+   * The resident leaves the units of a condominium, or of every condominium when none is given
+   * (the resident is being deleted). Their relationships are ended; the history stays.
+   */
+  async function unlinkResident(userId, condominiumId = null, q = shared) {
+    await endRelationships(userId, condominiumId, null, q);
+  }
+
+  /** Deletes the units of a condominium and their resident links. */
+  async function removeCondominium(condominiumId, q = shared) {
+    await q.run('DELETE FROM fracao_residents WHERE fracao_id IN (SELECT id FROM fracoes WHERE condominium_id = ?)', [condominiumId]);
+    await q.run('DELETE FROM fracoes WHERE condominium_id = ?', [condominiumId]);
+  }
+
+  /**
+   * Permilagem sum-check of a condominium.
+   * @returns {Promise<{total: number, expected: number, difference: number, ok: boolean, units: number, missing: number}>}
+   */
+  async function permilagemCheck(condominiumId, q = shared) {
+    const row = await q.get(
+      `SELECT COUNT(*) AS units, COALESCE(SUM(permilagem), 0) AS total, SUM(CASE WHEN permilagem IS NULL THEN 1 ELSE 0 END) AS missing
+       FROM fracoes WHERE condominium_id = ?`,
+      [condominiumId]
+    );
+    const total = round(row.total || 0);
+    return {
+      total,
+      expected: PERMILAGEM_TOTAL,
+      difference: round(PERMILAGEM_TOTAL - total),
+      ok: row.units > 0 && !row.missing && total === PERMILAGEM_TOTAL,
+      units: row.units,
+      missing: row.missing || 0
+    };
+  }
+
+  /** Total the condominium would have with `permilagem` for unit `unitId` (or a new unit). */
+  async function totalWith(condominiumId, unitId, permilagem) {
+    const row = await shared.get('SELECT COALESCE(SUM(permilagem), 0) AS total FROM fracoes WHERE condominium_id = ? AND id != ?',
+      [condominiumId, unitId || 0]);
+    return round((row.total || 0) + (permilagem || 0));
+  }
+
+  function unitsOf(condominiumId) {
+    return shared.all(
+      `SELECT f.*, (SELECT COUNT(*) FROM fracao_residents fr WHERE fr.fracao_id = f.id AND ${CURRENT}) AS residents_count
+       FROM fracoes f WHERE f.condominium_id = ? ORDER BY f.identifier`,
+      [condominiumId]
+    );
+  }
+
+  /**
+   * Relationships of the given units: current ones, or every one with `history` (including
+   * those of deleted residents, which have no name).
+   */
+  function residentsOf(unitIds, { history = false } = {}) {
+    if (!unitIds.length) return Promise.resolve([]);
+    return shared.all(
+      `SELECT fr.id, fr.fracao_id, fr.role, fr.share, fr.start_date, fr.end_date,
+         CASE WHEN ${CURRENT} THEN 1 ELSE 0 END AS current,
+         fr.user_id, u.nome, u.nif
+       FROM fracao_residents fr LEFT JOIN users u ON u.id = fr.user_id
+       WHERE fr.fracao_id IN (${unitIds.map(() => '?').join(',')}) ${history ? '' : `AND ${CURRENT}`}
+       ORDER BY current DESC, CASE fr.role WHEN 'owner' THEN 0 WHEN 'representative' THEN 1 WHEN 'tenant' THEN 2 ELSE 3 END,
+         fr.start_date DESC, u.nome`,
+      unitIds
+    );
+  }
+
+  /** Sum of the ownership shares of the unit's current owners (except one relationship). */
+  async function ownersShare(fracaoId, exceptId = null) {
+    const row = await shared.get(
+      `SELECT COALESCE(SUM(share), 0) AS total FROM fracao_residents fr
+       WHERE fr.fracao_id = ? AND fr.role = 'owner' AND fr.id != ? AND ${CURRENT}`,
+      [fracaoId, exceptId || 0]
+    );
+    return round(row.total || 0);
+  }
+
+  /**
+   * Query selecting the user ids a communication of `purpose` (see PURPOSES) is addressed to in
+   * the given condominiums, for use in INSERT ... SELECT. With `fracaoIds`, only those it
+   * addresses in these units.
+   * @returns {{sql: string, params: number[]}}
+   */
+  function audience(purpose, condominiumIds, fracaoIds) {
+    if (!PURPOSES[purpose]) throw new Error(`Unknown purpose: ${purpose}`);
+    const ids = condominiumIds.map(() => '?').join(',');
+    if (fracaoIds) {
+      return {
+        sql: `
+          SELECT fr.user_id FROM fracao_residents fr JOIN fracoes f ON f.id = fr.fracao_id
+          WHERE f.condominium_id IN (${ids}) AND fr.fracao_id IN (${fracaoIds.map(() => '?').join(',') || 'NULL'})
+            AND ${CURRENT} AND ${PURPOSES[purpose]}`,
+        params: [...condominiumIds, ...fracaoIds]
+      };
+    }
+    return {
+      sql: `
+        SELECT fr.user_id FROM fracao_residents fr JOIN fracoes f ON f.id = fr.fracao_id
+        WHERE f.condominium_id IN (${ids}) AND ${CURRENT} AND ${PURPOSES[purpose]}
+        UNION
+        SELECT uc.user_id FROM user_condominiums uc
+        WHERE uc.condominium_id IN (${ids}) AND NOT EXISTS (
+          SELECT 1 FROM fracao_residents fr JOIN fracoes f ON f.id = fr.fracao_id
+          WHERE fr.user_id = uc.user_id AND f.condominium_id = uc.condominium_id AND ${CURRENT}
+        )`,
+      params: [...condominiumIds, ...condominiumIds]
+    };
+  }
+
+  /**
+   * Who a communication of `purpose` goes to for each of the given units.
+   * @returns {Promise<{fracao_id: number, user_id: number, role: string, share: number, nome: string}[]>}
+   */
+  function partiesOf(purpose, unitIds, q = shared) {
+    if (!PURPOSES[purpose]) throw new Error(`Unknown purpose: ${purpose}`);
+    if (!unitIds.length) return Promise.resolve([]);
+    return q.all(
+      `SELECT fr.fracao_id, fr.user_id, fr.role, fr.share, u.nome, u.nif
+       FROM fracao_residents fr JOIN users u ON u.id = fr.user_id
+       WHERE fr.fracao_id IN (${unitIds.map(() => '?').join(',')}) AND ${CURRENT} AND ${PURPOSES[purpose]}
+       ORDER BY fr.fracao_id, u.nome`,
+      unitIds
+    );
+  }
+
+  /**
+   * Who votes for each unit at assembleias when not there in person: its designated voter while
+   * still an owner or representative, otherwise the only one it has; null when it has several and
+   * none is designated.
+   * @returns {Promise<Object<number, ?number>>} user id per unit id
+   */
+  async function votersOf(unitIds) {
+    if (!unitIds.length) return {};
+    const units = await shared.all(`SELECT id, voter_user_id FROM fracoes WHERE id IN (${unitIds.map(() => '?').join(',')})`, unitIds);
+    const parties = await partiesOf('assembleia', unitIds);
+    const voters = {};
+    for (const unit of units) {
+      const people = [...new Set(parties.filter(p => p.fracao_id === unit.id).map(p => p.user_id))];
+      voters[unit.id] = people.includes(unit.voter_user_id) ? unit.voter_user_id : people.length === 1 ? people[0] : null;
+    }
+    return voters;
+  }
+
+  /** User ids a communication of `purpose` goes to in the given condominiums. */
+  async function recipients(purpose, condominiumIds) {
+    if (!condominiumIds.length) return [];
+    const { sql, params } = audience(purpose, condominiumIds);
+    return (await shared.all(sql, params)).map(r => r.user_id);
+  }
+
+  const router = express.Router();
+
+  // Units with the permilagem check; admins also get who currently holds each unit
+  router.get('/api/condominiums/:id/fracoes', async (req, res) => {
+    try {
+      const units = await unitsOf(req.params.id);
+      if (req.auth.role === 'admin') {
+        const residents = await residentsOf(units.map(u => u.id));
+        units.forEach(u => { u.residents = residents.filter(r => r.fracao_id === u.id); });
+      }
+      res.json({ fracoes: units, permilagem: await permilagemCheck(req.params.id), types: TYPES, roles: ROLES });
+    } catch (error) {
+      console.error('Error fetching fracoes:', error);
+      res.status(500).json({ error: 'Erro ao buscar frações' });
+    }
+  });
+
+  router.post('/api/condominiums/:id/fracoes', async (req, res) => {
+    const condominiumId = parseInt(req.params.id, 10);
+    const { unit, error } = readUnit(req.body || {}, false);
+    if (error) return res.status(400).json({ error });
+
+    try {
+      const condo = await shared.get('SELECT id FROM condominiums WHERE id = ?', [condominiumId]);
+      if (!condo) return res.status(404).json({ error: 'Condomínio não encontrado' });
+      if (unit.permilagem && await totalWith(condominiumId, null, unit.permilagem) > PERMILAGEM_TOTAL) {
+        return res.status(400).json({ error: 'A soma das permilagens do condomínio excederia 1000‰' });
+      }
+
+      const fields = Object.keys(unit);
+      const created = await shared.run(
+        `INSERT INTO fracoes (condominium_id, ${fields.join(', ')}) VALUES (?, ${fields.map(() => '?').join(', ')})`,
+        [condominiumId, ...fields.map(f => unit[f])]
+      );
+      const fracao = await shared.get('SELECT * FROM fracoes WHERE id = ?', [created.lastID]);
+      res.status(201).json({ success: true, fracao, permilagem: await permilagemCheck(condominiumId) });
+    } catch (error) {
+      if (error.message && error.message.includes('UNIQUE constraint failed')) {
+        return res.status(409).json({ error: 'Já existe uma fração com esta identificação neste condomínio' });
+      }
+      console.error('Error creating fracao:', error);
+      res.status(500).json({ error: 'Erro ao criar fração' });
+    }
+  });
+
+  // Sets the permilagem of every unit at once: [{ id, permilagem }], must total exactly 1000
+  router.put('/api/condominiums/:id/fracoes/permilagem', async (req, res) => {
+    const condominiumId = parseInt(req.params.id, 10);
+    const list = req.body && req.body.fracoes;
+    if (!Array.isArray(list) || list.length === 0) return res.status(400).json({ error: 'Lista de frações inválida' });
+
+    try {
+      const units = await unitsOf(condominiumId);
+      const values = new Map();
+      for (const item of list) {
+        const unit = units.find(u => u.id === Number(item && item.id));
+        const value = Number(String(item && item.permilagem).replace(',', '.'));
+        if (!unit) return res.status(400).json({ error: `Fração desconhecida: ${item && item.id}` });
+        if (!Number.isFinite(value) || value < 0) return res.status(400).json({ error: `Permilagem inválida para a fração ${unit.identifier}` });
+        values.set(unit.id, value);
+      }
+      const missing = units.filter(u => !values.has(u.id) && u.permilagem === null);
+      if (missing.length) {
+        return res.status(400).json({ error: `Falta a permilagem das frações ${missing.map(u => u.identifier).join(', ')}` });
+      }
+      const total = round(units.reduce((sum, u) => sum + (values.has(u.id) ? values.get(u.id) : u.permilagem), 0));
+      if (total !== PERMILAGEM_TOTAL) {
+        return res.status(400).json({ error: `A soma das permilagens é ${total}‰ e deve ser 1000‰`, total, expected: PERMILAGEM_TOTAL });
+      }
+
+      // One statement, so the split is never left half-applied
+      const ids = [...values.keys()];
+      await shared.run(
+        `UPDATE fracoes SET permilagem = CASE id ${ids.map(() => 'WHEN ? THEN ?').join(' ')} END, updated_at = CURRENT_TIMESTAMP
+         WHERE condominium_id = ? AND id IN (${ids.map(() => '?').join(',')})`,
+        [...ids.flatMap(id => [id, values.get(id)]), condominiumId, ...ids]
+      );
+      res.json({ success: true, permilagem: await permilagemCheck(condominiumId) });
+    } catch (error) {
+      console.error('Error updating permilagens:', error);
+      res.status(500).json({ error: 'Erro ao atualizar permilagens' });
+    }
+  });
+
+  router.get('/api/fracoes/:id', async (req, res) => {
+    try {
+      const fracao = await shared.get('SELECT * FROM fracoes WHERE id = ?', [req.params.id]);
+      if (!fracao) return res.status(404).json({ error: 'Fração não encontrada' });
+      const relationships = await residentsOf([fracao.id], { history: true });
+      fracao.residents = relationships.filter(r => r.current);
+      fracao.history = relationships.filter(r => !r.current);
+      res.json(fracao);
+    } catch (error) {
+      console.error('Error fetching fracao:', error);
+      res.status(500).json({ error: 'Erro ao buscar fração' });
+    }
+  });
+
+  router.put('/api/fracoes/:id', async (req, res) => {
+    const { unit, error } = readUnit(req.body || {}, true);
+    if (error) return res.status(400).json({ error });
+    const fields = Object.keys(unit);
+    if (!fields.length) return res.status(400).json({ error: 'No fields to update' });
+
+    try {
+      const fracao = await shared.get('SELECT * FROM fracoes WHERE id = ?', [req.params.id]);
+      if (!fracao) return res.status(404).json({ error: 'Fração não encontrada' });
+      if (unit.permilagem && await totalWith(fracao.condominium_id, fracao.id, unit.permilagem) > PERMILAGEM_TOTAL) {
+        return res.status(400).json({ error: 'A soma das permilagens do condomínio excederia 1000‰' });
+      }
+
+      await shared.run(
+        `UPDATE fracoes SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...fields.map(f => unit[f]), fracao.id]
+      );
+      if (unit.identifier && unit.identifier !== fracao.identifier) {
+        const linked = await shared.all('SELECT DISTINCT user_id FROM fracao_residents WHERE fracao_id = ?', [fracao.id]);
+        for (const r of linked) await syncApartment(r.user_id, fracao.condominium_id);
+      }
+      res.json({
+        success: true,
+        fracao: await shared.get('SELECT * FROM fracoes WHERE id = ?', [fracao.id]),
+        permilagem: await permilagemCheck(fracao.condominium_id)
+      });
+    } catch (error) {
+      if (error.message && error.message.includes('UNIQUE constraint failed')) {
+        return res.status(409).json({ error: 'Já existe uma fração com esta identificação neste condomínio' });
+      }
+      console.error('Error updating fracao:', error);
+      res.status(500).json({ error: 'Erro ao atualizar fração' });
+    }
+  });
+
+  router.delete('/api/fracoes/:id', async (req, res) => {
+    try {
+      const fracao = await shared.get('SELECT * FROM fracoes WHERE id = ?', [req.params.id]);
+      if (!fracao) return res.status(404).json({ error: 'Fração não encontrada' });
+      const linked = await shared.get(`SELECT COUNT(*) AS n FROM fracao_residents fr WHERE fr.fracao_id = ? AND ${CURRENT}`, [fracao.id]);
+      if (linked.n > 0) return res.status(409).json({ error: 'Remova primeiro os condóminos associados a esta fração' });
+      const billed = await shared.get(
+        `SELECT (SELECT COUNT(*) FROM charges WHERE fracao_id = ?) + (SELECT COUNT(*) FROM payments WHERE fracao_id = ?)
+           + (SELECT COUNT(*) FROM receipts WHERE fracao_id = ?) + (SELECT COUNT(*) FROM debt_declarations WHERE fracao_id = ?) AS n`,
+        [fracao.id, fracao.id, fracao.id, fracao.id]
+      );
+      if (billed.n > 0) return res.status(409).json({ error: 'Esta fração tem movimentos na conta corrente e não pode ser eliminada' });
+      const attended = await shared.get(
+        'SELECT (SELECT COUNT(*) FROM assembleia_attendance WHERE fracao_id = ?) + (SELECT COUNT(*) FROM assembleia_evotes WHERE fracao_id = ?) AS n',
+        [fracao.id, fracao.id]
+      );
+      if (attended.n > 0) return res.status(409).json({ error: 'Esta fração consta das presenças ou votações de assembleias e não pode ser eliminada' });
+
+      await shared.run('DELETE FROM fracao_residents WHERE fracao_id = ?', [fracao.id]);
+      await shared.run('DELETE FROM expense_units WHERE fracao_id = ?', [fracao.id]);
+      await shared.run('DELETE FROM sepa_mandates WHERE fracao_id = ?', [fracao.id]);
+      await shared.run('DELETE FROM arrears_actions WHERE fracao_id = ?', [fracao.id]);
+      await shared.run('DELETE FROM fracoes WHERE id = ?', [fracao.id]);
+      res.json({ success: true, deleted: fracao.id, permilagem: await permilagemCheck(fracao.condominium_id) });
+    } catch (error) {
+      console.error('Error deleting fracao:', error);
+      res.status(500).json({ error: 'Erro ao eliminar fração' });
+    }
+  });
+
+  // Starts a relationship between a resident and the unit: { user_id, role, share, start_date, end_date }
+  router.post('/api/fracoes/:id/residents', async (req, res) => {
+    const body = req.body || {};
+    const userId = parseInt(body.user_id ?? body.userId, 10);
+    if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user id' });
+    const { relationship, error } = readRelationship(body, false);
+    if (error) return res.status(400).json({ error });
+    if (relationship.share && relationship.role !== 'owner') {
+      return res.status(400).json({ error: 'Só os proprietários têm quota-parte' });
+    }
+
+    try {
+      const fracao = await shared.get('SELECT * FROM fracoes WHERE id = ?', [req.params.id]);
+      if (!fracao) return res.status(404).json({ error: 'Fração não encontrada' });
+      const user = await shared.get('SELECT id FROM users WHERE id = ?', [userId]);
+      if (!user) return res.status(404).json({ error: 'Utilizador não encontrado' });
+      if (relationship.share && round(await ownersShare(fracao.id) + relationship.share) > 100) {
+        return res.status(400).json({ error: 'A soma das quotas-partes dos proprietários excederia 100%' });
+      }
+
+      const fields = Object.keys(relationship);
+      const created = await shared.run(
+        `INSERT INTO fracao_residents (fracao_id, user_id, ${fields.join(', ')}) VALUES (?, ?, ${fields.map(() => '?').join(', ')})`,
+        [fracao.id, userId, ...fields.map(f => relationship[f])]
+      );
+      await shared.run("INSERT OR IGNORE INTO user_condominiums (user_id, condominium_id, apartment, role) VALUES (?, ?, '', 'resident')",
+        [userId, fracao.condominium_id]);
+      await syncApartment(userId, fracao.condominium_id);
+      const row = await shared.get('SELECT * FROM fracao_residents WHERE id = ?', [created.lastID]);
+      res.status(201).json({ success: true, relationship: row });
+    } catch (error) {
+      if (error.message && error.message.includes('UNIQUE constraint failed')) {
+        return res.status(409).json({ error: 'O condómino já tem esta relação com a fração' });
+      }
+      console.error('Error linking resident to fracao:', error);
+      res.status(500).json({ error: 'Erro ao associar condómino à fração' });
+    }
+  });
+
+  // Ends today every current relationship of the resident with the unit (the history stays)
+  router.delete('/api/fracoes/:id/residents/:userId', async (req, res) => {
+    try {
+      const fracao = await shared.get('SELECT * FROM fracoes WHERE id = ?', [req.params.id]);
+      if (!fracao) return res.status(404).json({ error: 'Fração não encontrada' });
+      const ended = await shared.run(
+        `UPDATE fracao_residents AS fr SET end_date = date('now'), updated_at = CURRENT_TIMESTAMP
+         WHERE fr.fracao_id = ? AND fr.user_id = ? AND ${CURRENT}`,
+        [fracao.id, req.params.userId]
+      );
+      if (!ended.changes) return res.status(404).json({ error: 'O condómino não está associado a esta fração' });
+      // The building membership stays: removing it is a separate action
+      await syncApartment(req.params.userId, fracao.condominium_id);
+      res.json({ success: true, ended: ended.changes });
+    } catch (error) {
+      console.error('Error unlinking resident from fracao:', error);
+      res.status(500).json({ error: 'Erro ao remover condómino da fração' });
+    }
+  });
+
+  // Corrects a relationship: role, share or dates (ending it is setting end_date)
+  router.put('/api/fracoes/:id/relationships/:relationshipId', async (req, res) => {
+    const { relationship, error } = readRelationship(req.body || {}, true);
+    if (error) return res.status(400).json({ error });
+    const fields = Object.keys(relationship);
+    if (!fields.length) return res.status(400).json({ error: 'No fields to update' });
+
+    try {
+      const existing = await shared.get('SELECT * FROM fracao_residents WHERE id = ? AND fracao_id = ?',
+        [req.params.relationshipId, req.params.id]);
+      if (!existing) return res.status(404).json({ error: 'Relação não encontrada' });
+      const merged = { ...existing, ...relationship };
+      if (merged.start_date && merged.end_date && merged.end_date <= merged.start_date) {
+        return res.status(400).json({ error: 'A data de fim tem de ser posterior à data de início' });
+      }
+      if (merged.share && merged.role !== 'owner') return res.status(400).json({ error: 'Só os proprietários têm quota-parte' });
+      if (merged.share && round(await ownersShare(existing.fracao_id, existing.id) + merged.share) > 100) {
+        return res.status(400).json({ error: 'A soma das quotas-partes dos proprietários excederia 100%' });
+      }
+
+      await shared.run(
+        `UPDATE fracao_residents SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...fields.map(f => relationship[f]), existing.id]
+      );
+      const fracao = await shared.get('SELECT condominium_id FROM fracoes WHERE id = ?', [existing.fracao_id]);
+      await syncApartment(existing.user_id, fracao.condominium_id);
+      res.json({ success: true, relationship: await shared.get('SELECT * FROM fracao_residents WHERE id = ?', [existing.id]) });
+    } catch (error) {
+      if (error.message && error.message.includes('UNIQUE constraint failed')) {
+        return res.status(409).json({ error: 'O condómino já tem esta relação com a fração' });
+      }
+      console.error('Error updating fracao relationship:', error);
+      res.status(500).json({ error: 'Erro ao atualizar relação' });
+    }
+  });
+
+  // Deletes a relationship recorded by mistake (to end one, set its end date instead)
+  router.delete('/api/fracoes/:id/relationships/:relationshipId', async (req, res) => {
+    try {
+      const existing = await shared.get('SELECT * FROM fracao_residents WHERE id = ? AND fracao_id = ?',
+        [req.params.relationshipId, req.params.id]);
+      if (!existing) return res.status(404).json({ error: 'Relação não encontrada' });
+      await shared.run('DELETE FROM fracao_residents WHERE id = ?', [existing.id]);
+      const fracao = await shared.get('SELECT condominium_id FROM fracoes WHERE id = ?', [existing.fracao_id]);
+      await syncApartment(existing.user_id, fracao.condominium_id);
+      res.json({ success: true, deleted: existing.id });
+    } catch (error) {
+      console.error('Error deleting fracao relationship:', error);
+      res.status(500).json({ error: 'Erro ao eliminar relação' });
+    }
+  });
+
+  // Designates which of the unit's owners or representatives votes for it: { user_id }, null
+  // clearing the designation
+  router.put('/api/fracoes/:id/voter', async (req, res) => {
+    const raw = (req.body || {}).user_id;
+    const userId = raw === null || raw === undefined || raw === '' ? null : parseInt(raw, 10);
+    if (Number.isNaN(userId)) return res.status(400).json({ error: 'Invalid user id' });
+    try {
+      const fracao = await shared.get('SELECT * FROM fracoes WHERE id = ?', [req.params.id]);
+      if (!fracao) return res.status(404).json({ error: 'Fração não encontrada' });
+      if (userId !== null && !(await partiesOf('assembleia', [fracao.id])).some(p => p.user_id === userId)) {
+        return res.status(400).json({ error: 'O votante tem de ser proprietário ou representante legal da fração' });
+      }
+      await shared.run('UPDATE fracoes SET voter_user_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [userId, fracao.id]);
+      res.json({ success: true, voter_user_id: (await votersOf([fracao.id]))[fracao.id] });
+    } catch (error) {
+      console.error('Error designating fracao voter:', error);
+      res.status(500).json({ error: 'Erro ao designar o votante da fração' });
+    }
+  });
+
+  // Ownership transfer: { date, owners: [{ user_id, share }] }. The owners on that date stop
+  // being owners and the new ones start; shares, when given, must total 100%.
+  router.post('/api/fracoes/:id/transfer', async (req, res) => {
+    const body = req.body || {};
+    const date = body.date || new Date().toISOString().slice(0, 10);
+    const owners = Array.isArray(body.owners) ? body.owners : [];
+    if (!validDate(date)) return res.status(400).json({ error: 'Data inválida (AAAA-MM-DD)' });
+    if (!owners.length) return res.status(400).json({ error: 'Indique os novos proprietários' });
+
+    const incoming = [];
+    for (const owner of owners) {
+      const userId = parseInt(owner && (owner.user_id ?? owner.userId), 10);
+      const { relationship, error } = readRelationship({ share: owner && owner.share }, true);
+      if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user id' });
+      if (error) return res.status(400).json({ error });
+      if (incoming.some(o => o.userId === userId)) return res.status(400).json({ error: 'Proprietário repetido' });
+      incoming.push({ userId, share: relationship.share === undefined ? null : relationship.share });
+    }
+    const withShare = incoming.filter(o => o.share !== null);
+    if (withShare.length && (withShare.length !== incoming.length || round(withShare.reduce((sum, o) => sum + o.share, 0)) !== 100)) {
+      return res.status(400).json({ error: 'As quotas-partes dos novos proprietários têm de somar 100%' });
+    }
+
+    try {
+      const fracao = await shared.get('SELECT * FROM fracoes WHERE id = ?', [req.params.id]);
+      if (!fracao) return res.status(404).json({ error: 'Fração não encontrada' });
+      const ids = incoming.map(o => o.userId);
+      const found = await shared.all(`SELECT id FROM users WHERE id IN (${ids.map(() => '?').join(',')})`, ids);
+      if (found.length !== ids.length) return res.status(404).json({ error: 'Utilizador não encontrado' });
+
+      const previous = await transaction(async (t) => {
+        // Owners on the transfer date
+        const owners = await t.all(
+          `SELECT * FROM fracao_residents
+           WHERE fracao_id = ? AND role = 'owner' AND (start_date IS NULL OR start_date <= ?) AND (end_date IS NULL OR end_date > ?)`,
+          [fracao.id, date, date]
+        );
+        if (owners.some(p => p.start_date === date)) {
+          const error = new Error('A transmissão tem de ser posterior à data de início dos proprietários atuais');
+          error.status = 400;
+          throw error;
+        }
+        for (const p of owners) {
+          await t.run('UPDATE fracao_residents SET end_date = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [date, p.id]);
+        }
+        for (const o of incoming) {
+          await t.run("INSERT INTO fracao_residents (fracao_id, user_id, role, share, start_date) VALUES (?, ?, 'owner', ?, ?)",
+            [fracao.id, o.userId, o.share, date]);
+          await t.run("INSERT OR IGNORE INTO user_condominiums (user_id, condominium_id, apartment, role) VALUES (?, ?, '', 'resident')",
+            [o.userId, fracao.condominium_id]);
+        }
+        for (const userId of new Set([...owners.map(p => p.user_id), ...ids])) {
+          await syncApartment(userId, fracao.condominium_id, t);
+        }
+        return owners;
+      });
+      res.json({
+        success: true,
+        date,
+        previous_owners: previous.map(p => p.user_id),
+        residents: await residentsOf([fracao.id], { history: true })
+      });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ error: error.message });
+      console.error('Error transferring fracao:', error);
+      res.status(500).json({ error: 'Erro ao registar a transmissão da fração' });
+    }
+  });
+
+  // Units of a resident in every condominium (current relationships; `?history=1` for all)
+  router.get('/api/users/:id/fracoes', async (req, res) => {
+    const history = req.query.history === '1' || req.query.history === 'true';
+    try {
+      const rows = await shared.all(
+        `SELECT f.*, fr.id AS relationship_id, fr.role, fr.share, fr.start_date, fr.end_date,
+           CASE WHEN ${CURRENT} THEN 1 ELSE 0 END AS current, c.name AS condominium_name
+         FROM fracao_residents fr
+         JOIN fracoes f ON f.id = fr.fracao_id
+         JOIN condominiums c ON c.id = f.condominium_id
+         WHERE fr.user_id = ? ${history ? '' : `AND ${CURRENT}`}
+         ORDER BY current DESC, c.name, f.identifier`,
+        [req.params.id]
+      );
+      res.json(rows);
+    } catch (error) {
+      console.error('Error fetching user fracoes:', error);
+      res.status(500).json({ error: 'Erro ao buscar frações' });
+    }
+  });
+
+  return {
+    TYPES,
+    ROLES,
+    CURRENT,
+    audience,
+    partiesOf,
+    votersOf,
+    recipients,
+    linkResident,
+    setResidentUnit,
+    unlinkResident,
+    removeCondominium,
+    permilagemCheck,
+    router
+  };
+};
@@ -0,0 +1,161 @@
+// Brute-force protection for the three login endpoints.
+//  - per account: repeated failures push the next allowed attempt further out (2s, 4s, 8s ... capped),
+//    and LOGIN_MAX_FAILURES consecutive failures lock the account for LOGIN_LOCKOUT_MINUTES;
+//  - per IP: more than LOGIN_IP_MAX_FAILURES failures within LOGIN_IP_WINDOW_MINUTES blocks the IP
+//    for the rest of the window.
+// Every attempt is written to login_attempts; a main admin can lift a lockout early.
+// Password reset requests go through the same gate as actor type 'password_reset' (keyed on the
+// NIF), so the mails one NIF or one IP can trigger are limited like login attempts.
+
+const MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const IP_WINDOW_MINUTES = Number(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+const MAX_DELAY_SECONDS = 30;
+// Reasons of the attempts the throttle itself refused
+const REFUSALS = ['ip_throttled', 'locked', 'too_fast'];
+
+function toSqlDate(date) {
+  return date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
+}
+
+function fromSqlDate(value) {
+  return value ? new Date(String(value).replace(' ', 'T') + 'Z') : null;
+}
+
+function normalizeIdentifier(identifier) {
+  return String(identifier || '').trim().toLowerCase();
+}
+
+module.exports = function(db) {
+  function get(sql, params) {
+    return new Promise((resolve, reject) => db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row))));
+  }
+
+  function run(sql, params) {
+    return new Promise((resolve, reject) => db.run(sql, params, function(err) { if (err) reject(err); else resolve(this); }));
+  }
+
+  function logAttempt(actorType, identifier, ip, success, reason) {
+    return run(
+      'INSERT INTO login_attempts (actor_type, identifier, ip, success, reason) VALUES (?, ?, ?, ?, ?)',
+      [actorType, normalizeIdentifier(identifier), ip || null, success ? 1 : 0, reason || null]
+    );
+  }
+
+  const settle = (gate, success, reason) => run('UPDATE login_attempts SET success = ?, reason = ? WHERE id = ?', [success ? 1 : 0, reason, gate.attemptId]);
+
+  // Delay before the next attempt after `count` failures, as SQL: a single typo costs nothing;
+  // from the second failure on 2s, 4s, 8s ... capped at MAX_DELAY_SECONDS
+  function delaySql(count) {
+    const steps = [];
+    for (let n = 2; Math.pow(2, n - 1) < MAX_DELAY_SECONDS; n++) steps.push(`WHEN ${count} = ${n} THEN ${Math.pow(2, n - 1)}`);
+    return `CASE WHEN ${count} < 2 THEN 0 ${steps.join(' ')} ELSE ${MAX_DELAY_SECONDS} END`;
+  }
+
+  /**
+   * Decides whether a login attempt may proceed, reserving it before the credentials are
+   * verified: the attempt is logged and counted as a failure of the IP and of the account
+   * right away, so parallel attempts cannot all pass the gate before any failure is recorded.
+   * recordSuccess clears it; recordFailure only gives the reason.
+   * Resolves to { allowed: true, ... } or { allowed: false, code, retryAfter } (seconds).
+   */
+  async function check(actorType, identifier, ip) {
+    const id = normalizeIdentifier(identifier);
+    const gate = { actorType, identifier: id, attemptId: (await logAttempt(actorType, id, ip, false, 'pending')).lastID };
+    const blocked = async (code, reason, retryAfter) => {
+      await settle(gate, false, reason);
+      return { ...gate, allowed: false, code, retryAfter };
+    };
+    const now = Date.now();
+
+    if (ip) {
+      // Counts this attempt and those still in progress, but not the attempts refused here:
+      // they checked no password, and counting them would keep a busy IP blocked for good
+      const ipRow = await get(
+        `SELECT COUNT(*) AS failures, MIN(created_at) AS first_failure FROM login_attempts
+         WHERE ip = ? AND success = 0 AND created_at > datetime('now', ?)
+           AND (reason IS NULL OR reason NOT IN (${REFUSALS.map(() => '?').join(', ')}))`,
+        [ip, `-${IP_WINDOW_MINUTES} minutes`, ...REFUSALS]
+      );
+      if (ipRow && ipRow.failures > IP_MAX_FAILURES) {
+        const first = fromSqlDate(ipRow.first_failure);
+        const retryAfter = first ? Math.max(1, Math.ceil((first.getTime() + IP_WINDOW_MINUTES * 60000 - now) / 1000)) : IP_WINDOW_MINUTES * 60;
+        return blocked('LOGIN_THROTTLED', 'ip_throttled', retryAfter);
+      }
+    }
+
+    // One statement, so only one of several parallel attempts can take a free slot; a lockout
+    // that already expired starts a fresh series
+    const sqlNow = toSqlDate(new Date(now));
+    const count = `(CASE WHEN locked_until IS NOT NULL AND locked_until <= '${sqlNow}' THEN 1 ELSE failed_count + 1 END)`;
+    await run('INSERT OR IGNORE INTO login_lockouts (actor_type, identifier, failed_count) VALUES (?, ?, 0)', [actorType, id]);
+    const reserved = await run(
+      `UPDATE login_lockouts SET
+         failed_count = ${count},
+         next_attempt_at = datetime(?, '+' || (${delaySql(count)}) || ' seconds'),
+         locked_until = CASE WHEN ${count} >= ? THEN datetime(?, ?) ELSE NULL END,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE actor_type = ? AND identifier = ?
+         AND (locked_until IS NULL OR locked_until <= ?)
+         AND (next_attempt_at IS NULL OR next_attempt_at <= ?)`,
+      [sqlNow, MAX_FAILURES, sqlNow, `+${LOCKOUT_MINUTES} minutes`, actorType, id, sqlNow, sqlNow]
+    );
+    const lock = await get('SELECT * FROM login_lockouts WHERE actor_type = ? AND identifier = ?', [actorType, id]);
+
+    if (!reserved.changes) {
+      const lockedUntil = fromSqlDate(lock.locked_until);
+      if (lockedUntil && lockedUntil.getTime() > now) {
+        return blocked('LOGIN_LOCKED', 'locked', Math.ceil((lockedUntil.getTime() - now) / 1000));
+      }
+      const nextAttempt = fromSqlDate(lock.next_attempt_at);
+      return blocked('LOGIN_THROTTLED', 'too_fast', Math.max(1, Math.ceil((nextAttempt.getTime() - now) / 1000)));
+    }
+    return { ...gate, allowed: true, failures: Number(lock.failed_count), lockedUntil: lock.locked_until };
+  }
+
+  /**
+   * Gives the reason of a failed attempt (already counted by `check`).
+   */
+  async function recordFailure(gate, reason) {
+    await settle(gate, false, reason || 'bad_credentials');
+    if (gate.lockedUntil) {
+      console.warn(`🔒 ${gate.actorType} account '${gate.identifier}' locked until ${gate.lockedUntil} after ${gate.failures} failed logins`);
+    }
+  }
+
+  /**
+   * Records a successful login and clears the account's failure series.
+   */
+  async function recordSuccess(gate) {
+    await settle(gate, true, null);
+    await run('DELETE FROM login_lockouts WHERE actor_type = ? AND identifier = ?', [gate.actorType, gate.identifier]);
+  }
+
+  /**
+   * Lifts a lockout (admin action). Resolves to true when a lockout existed.
+   */
+  async function unlock(actorType, identifier) {
+    const result = await run('DELETE FROM login_lockouts WHERE actor_type = ? AND identifier = ?', [actorType, normalizeIdentifier(identifier)]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Sends the standard 429 answer for a blocked attempt.
+   */
+  function reject(res, gate) {
+    res.set('Retry-After', String(gate.retryAfter));
+    const error = gate.code === 'LOGIN_LOCKED'
+      ? 'Conta temporariamente bloqueada após várias tentativas falhadas. Tente mais tarde ou contacte o administrador.'
+      : 'Demasiadas tentativas de login. Aguarde antes de tentar novamente.';
+    return res.status(429).json({ error, code: gate.code, retry_after: gate.retryAfter });
+  }
+
+  return {
+    check,
+    recordFailure,
+    recordSuccess,
+    unlock,
+    reject
+  };
+};
@@ -0,0 +1,79 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing e-mail with a pluggable transport.
+//   MAIL_TRANSPORT=smtp (default when SMTP_HOST is set) - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   MAIL_TRANSPORT=none (default otherwise)             - nothing is sent; only the recipient and subject are logged
+//   MAIL_TRANSPORT=log  (development only)              - nothing is sent; the whole message is printed to the
+//                                                         console, reset links included, so never in production
+// Tests can point SMTP_HOST/SMTP_PORT at a local SMTP sink (e.g. MailHog on port 1025)
+// or inject any object with a nodemailer-compatible sendMail() through setTransport().
+
+let transport = null;
+
+function createTransportFromEnv() {
+  const kind = (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'none')).toLowerCase();
+
+  if (kind === 'smtp') {
+    const options = {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT) || 25,
+      secure: process.env.SMTP_SECURE === 'true'
+    };
+    if (process.env.SMTP_USER) {
+      options.auth = { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' };
+    }
+    console.log(`📧 Mail transport: SMTP ${options.host}:${options.port}`);
+    return nodemailer.createTransport(options);
+  }
+
+  if (kind === 'log') {
+    console.warn('📧 Mail transport: log - message bodies are printed to the console (development only)');
+    return {
+      sendMail: async (message) => {
+        console.log(`📧 [mail:log] To: ${message.to} | Subject: ${message.subject}\n${message.text || ''}`);
+        return { messageId: `log-${Date.now()}` };
+      }
+    };
+  }
+
+  console.warn('📧 Mail transport: none - e-mail is not sent (set SMTP_HOST)');
+  return {
+    sendMail: async (message) => {
+      console.log(`📧 [mail:none] Not sent - To: ${message.to} | Subject: ${message.subject}`);
+      return { messageId: `none-${Date.now()}` };
+    }
+  };
+}
+
+function getTransport() {
+  if (!transport) transport = createTransportFromEnv();
+  return transport;
+}
+
+/**
+ * Replaces the transport (any object exposing a nodemailer-compatible `sendMail`).
+ * Passing null goes back to the environment configuration.
+ */
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+/**
+ * Sends one message. `from` defaults to MAIL_FROM.
+ * @param {{to: string, subject: string, text?: string, html?: string, attachments?: object[]}} message
+ */
+function sendMail(message) {
+  const from = message.from || process.env.MAIL_FROM || 'DomusGest <no-reply@domusgest.local>';
+  return getTransport().sendMail({ ...message, from });
+}
+
+/** Whether a users.permite_email value, as the imported spreadsheet wrote it ("Sim", "Não", ...), allows e-mail. */
+function allowsEmail(value) {
+  return /^(sim|s|yes|y|true|1|x)$/i.test(String(value || '').trim());
+}
+
+module.exports = {
+  sendMail,
+  allowsEmail,
+  setTransport
+};
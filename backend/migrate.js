@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// Schema migration CLI (see schema-migrations.js).
+//
+//   node migrate.js up [--to N]       apply pending migrations (up to version N)
+//   node migrate.js down [--steps N]  revert the last N applied migrations (default 1)
+//   node migrate.js status            list every migration and its state
+//
+// Uses the same database as the server: DB_PATH, otherwise domusgest.db next to this file.
+
+const path = require('path');
+const fs = require('fs');
+const sqlite3 = require('sqlite3');
+
+const dotenvPath = path.join(__dirname, '.env');
+if (fs.existsSync(dotenvPath)) {
+  require('dotenv').config({ path: dotenvPath });
+}
+
+const dbPath = process.env.DB_PATH ? path.resolve(process.env.DB_PATH) : path.join(__dirname, 'domusgest.db');
+
+function option(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return undefined;
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    console.error(`${name} expects a non-negative integer`);
+    process.exit(2);
+  }
+  return value;
+}
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  const db = new sqlite3.Database(dbPath);
+  const migrations = require('./schema-migrations')(db);
+
+  try {
+    if (command === 'up') {
+      const applied = await migrations.migrate({ to: option(args, '--to') });
+      console.log(applied.length ? `✅ Applied migration(s): ${applied.join(', ')}` : 'ℹ️ Nothing to migrate');
+    } else if (command === 'down') {
+      const reverted = await migrations.rollback({ steps: option(args, '--steps') || 1 });
+      console.log(reverted.length ? `↩️ Reverted migration(s): ${reverted.join(', ')}` : 'ℹ️ Nothing to revert');
+    } else if (command === 'status') {
+      console.log(`Database: ${dbPath}`);
+      (await migrations.status()).forEach(m => {
+        const when = m.applied_at ? ` (${m.applied_at})` : '';
+        console.log(`${String(m.version).padStart(3, '0')} ${m.name.padEnd(36)} ${m.state}${when}${m.error ? ` - ${m.error}` : ''}`);
+      });
+    } else {
+      console.error(`Unknown command: ${command} (expected up, down or status)`);
+      process.exitCode = 2;
+    }
+  } catch (e) {
+    console.error('❌', e.message);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+main();
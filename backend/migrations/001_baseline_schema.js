@@ -0,0 +1,448 @@
+// Baseline: the schema the server used to create at boot before versioned migrations.
+// Databases created by those versions already hold some of these tables, possibly without
+// the columns that were added later by runtime checks, so this migration only creates what is
+// missing and adds the missing columns. Later migrations can rely on this exact schema.
+
+const TABLES = {
+  users: `
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      grupo TEXT,
+      nome TEXT NOT NULL,
+      nif TEXT UNIQUE NOT NULL,
+      telemovel TEXT,
+      telefone TEXT,
+      permite_telefone TEXT,
+      email1 TEXT,
+      email2 TEXT,
+      email3 TEXT,
+      permite_email TEXT,
+      conjuge TEXT,
+      data_criacao TEXT,
+      data_alteracao TEXT,
+      password TEXT NOT NULL,
+      must_change_password INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  admins: `
+    CREATE TABLE IF NOT EXISTS admins (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      scope TEXT DEFAULT 'full',
+      allowed_condominiums TEXT,
+      must_change_password INTEGER DEFAULT 0,
+      totp_secret TEXT,
+      totp_pending_secret TEXT,
+      totp_enabled INTEGER DEFAULT 0,
+      totp_required INTEGER DEFAULT 0,
+      totp_enabled_at DATETIME,
+      totp_last_step INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  maintenance_users: `
+    CREATE TABLE IF NOT EXISTS maintenance_users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      nome TEXT NOT NULL,
+      phone TEXT,
+      must_change_password INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  condominiums: `
+    CREATE TABLE IF NOT EXISTS condominiums (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      nipc TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  user_condominiums: `
+    CREATE TABLE IF NOT EXISTS user_condominiums (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      condominium_id INTEGER NOT NULL,
+      apartment TEXT,
+      role TEXT DEFAULT 'resident',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+      FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
+      UNIQUE(user_id, condominium_id)
+    )
+  `,
+  ocorrencias: `
+    CREATE TABLE IF NOT EXISTS ocorrencias (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      condominium_id INTEGER NOT NULL,
+      condominium_nipc TEXT,
+      title TEXT NOT NULL,
+      description TEXT NOT NULL,
+      priority TEXT DEFAULT 'medium',
+      status TEXT DEFAULT 'pending',
+      created_by_admin INTEGER NOT NULL,
+      reporter_user_id INTEGER,
+      reporter_user_nif TEXT,
+      reporter_note TEXT,
+      assigned_to_maintenance INTEGER,
+      maintenance_report TEXT,
+      admin_verification TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME,
+      FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by_admin) REFERENCES admins (id) ON DELETE CASCADE,
+      FOREIGN KEY (assigned_to_maintenance) REFERENCES maintenance_users (id) ON DELETE SET NULL
+    )
+  `,
+  ocorrencia_images: `
+    CREATE TABLE IF NOT EXISTS ocorrencia_images (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ocorrencia_id INTEGER NOT NULL,
+      filename TEXT NOT NULL,
+      original_filename TEXT NOT NULL,
+      file_path TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      file_size INTEGER NOT NULL,
+      uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (ocorrencia_id) REFERENCES ocorrencias (id) ON DELETE CASCADE
+    )
+  `,
+  assembleias: `
+    CREATE TABLE IF NOT EXISTS assembleias (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      condominium_id INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT,
+      date DATE NOT NULL,
+      time TIME NOT NULL,
+      location TEXT,
+      status TEXT DEFAULT 'scheduled',
+      admin_notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE
+    )
+  `,
+  assembleia_files: `
+    CREATE TABLE IF NOT EXISTS assembleia_files (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      assembleia_id INTEGER NOT NULL,
+      filename TEXT NOT NULL,
+      original_filename TEXT NOT NULL,
+      file_path TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      file_size INTEGER NOT NULL,
+      uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (assembleia_id) REFERENCES assembleias (id) ON DELETE CASCADE
+    )
+  `,
+  user_messages: `
+    CREATE TABLE IF NOT EXISTS user_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      condominium_id INTEGER NOT NULL,
+      type TEXT NOT NULL CHECK(type IN ('complaint', 'request')),
+      subject TEXT NOT NULL,
+      message TEXT NOT NULL,
+      status TEXT DEFAULT 'open' CHECK(status IN ('open', 'in_progress', 'resolved', 'closed')),
+      admin_response TEXT,
+      admin_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+      FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
+      FOREIGN KEY (admin_id) REFERENCES admins (id) ON DELETE SET NULL
+    )
+  `,
+  admin_notes: `
+    CREATE TABLE IF NOT EXISTS admin_notes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      condominium_id INTEGER NOT NULL,
+      note TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_by_admin INTEGER,
+      FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by_admin) REFERENCES admins (id) ON DELETE SET NULL
+    )
+  `,
+  notifications: `
+    CREATE TABLE IF NOT EXISTS notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL, -- 'profile_change', 'reclamacao', 'pedido', etc.
+      title TEXT NOT NULL,
+      message TEXT NOT NULL,
+      related_id INTEGER, -- Can store user_id, message_id, etc. for context
+      condominium_id INTEGER, -- The condominium this notification is related to
+      user_id INTEGER, -- Optional user associated with this notification
+      user_name TEXT, -- Cached user name for quick display
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  user_notifications: `
+    CREATE TABLE IF NOT EXISTS user_notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      notification_id INTEGER NOT NULL,
+      read_status INTEGER DEFAULT 0, -- 0 = unread, 1 = read
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+      FOREIGN KEY (notification_id) REFERENCES notifications (id) ON DELETE CASCADE,
+      UNIQUE(user_id, notification_id)
+    )
+  `,
+  // Older databases have a variant without the UNIQUE constraint (see 003_admin_notifications_unique)
+  admin_notifications: `
+    CREATE TABLE IF NOT EXISTS admin_notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      admin_id INTEGER NOT NULL,
+      notification_id INTEGER NOT NULL,
+      read_status INTEGER DEFAULT 0, -- 0 = unread, 1 = read
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (admin_id) REFERENCES admins (id) ON DELETE CASCADE,
+      FOREIGN KEY (notification_id) REFERENCES notifications (id) ON DELETE CASCADE,
+      UNIQUE(admin_id, notification_id)
+    )
+  `,
+  profile_changes: `
+    CREATE TABLE IF NOT EXISTS profile_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      field_name TEXT NOT NULL,
+      old_value TEXT,
+      new_value TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `,
+  admin_messages: `
+    CREATE TABLE IF NOT EXISTS admin_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      admin_id INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      body TEXT NOT NULL,
+      type TEXT DEFAULT 'general', -- 'general' or 'opcao_natal'
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  admin_message_targets: `
+    CREATE TABLE IF NOT EXISTS admin_message_targets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER NOT NULL,
+      condominium_id INTEGER NOT NULL,
+      FOREIGN KEY (message_id) REFERENCES admin_messages (id) ON DELETE CASCADE,
+      FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE
+    )
+  `,
+  admin_message_files: `
+    CREATE TABLE IF NOT EXISTS admin_message_files (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER NOT NULL,
+      filename TEXT NOT NULL,
+      original_filename TEXT NOT NULL,
+      file_path TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      file_size INTEGER NOT NULL,
+      uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (message_id) REFERENCES admin_messages (id) ON DELETE CASCADE
+    )
+  `,
+  // Junction used for filtering notifications by condominium
+  admin_message_condominiums: `
+    CREATE TABLE IF NOT EXISTS admin_message_condominiums (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER NOT NULL,
+      condominium_id INTEGER NOT NULL,
+      FOREIGN KEY (message_id) REFERENCES admin_messages (id) ON DELETE CASCADE,
+      FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE
+    )
+  `,
+  // Key/value store for one-time flags and the session signing secret
+  app_meta: `
+    CREATE TABLE IF NOT EXISTS app_meta (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  // Server-issued login sessions (refresh token stored as SHA-256 hash only)
+  auth_sessions: `
+    CREATE TABLE IF NOT EXISTS auth_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT UNIQUE NOT NULL,
+      actor_type TEXT NOT NULL CHECK(actor_type IN ('admin', 'maintenance', 'resident')),
+      actor_id INTEGER NOT NULL,
+      refresh_token_hash TEXT NOT NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME,
+      ip TEXT,
+      user_agent TEXT,
+      last_used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  // Login attempt log and per-account throttling state (see login-throttle.js)
+  login_attempts: `
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor_type TEXT NOT NULL,
+      identifier TEXT NOT NULL,
+      ip TEXT,
+      success INTEGER NOT NULL DEFAULT 0,
+      reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  login_lockouts: `
+    CREATE TABLE IF NOT EXISTS login_lockouts (
+      actor_type TEXT NOT NULL,
+      identifier TEXT NOT NULL,
+      failed_count INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at DATETIME,
+      locked_until DATETIME,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (actor_type, identifier)
+    )
+  `,
+  // Single-use password reset tokens (only the SHA-256 hash of the token is stored)
+  password_reset_tokens: `
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      requested_ip TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `,
+  // Admin 2FA: single-use recovery codes and pending second-step login challenges (hashes only)
+  admin_recovery_codes: `
+    CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      admin_id INTEGER NOT NULL,
+      code_hash TEXT NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (admin_id) REFERENCES admins (id) ON DELETE CASCADE
+    )
+  `,
+  admin_login_challenges: `
+    CREATE TABLE IF NOT EXISTS admin_login_challenges (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      admin_id INTEGER NOT NULL,
+      challenge_hash TEXT UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      attempts INTEGER DEFAULT 0,
+      used_at DATETIME,
+      ip TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (admin_id) REFERENCES admins (id) ON DELETE CASCADE
+    )
+  `,
+  // Audit trail: append-only, the triggers below reject any UPDATE or DELETE
+  audit_log: `
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      actor_type TEXT,
+      actor_id INTEGER,
+      actor_name TEXT,
+      actor_role TEXT,
+      action TEXT NOT NULL,
+      method TEXT,
+      path TEXT,
+      entity_type TEXT,
+      entity_id TEXT,
+      condominium_ids TEXT,
+      changes TEXT,
+      details TEXT,
+      status INTEGER,
+      ip TEXT
+    )
+  `,
+  // Admin roles (permission sets) and their assignments; condominium_id NULL = every condominium
+  admin_roles: `
+    CREATE TABLE IF NOT EXISTS admin_roles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      label TEXT NOT NULL,
+      description TEXT,
+      permissions TEXT NOT NULL DEFAULT '[]',
+      builtin INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  admin_role_assignments: `
+    CREATE TABLE IF NOT EXISTS admin_role_assignments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      admin_id INTEGER NOT NULL,
+      role_id INTEGER NOT NULL,
+      condominium_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (admin_id) REFERENCES admins (id) ON DELETE CASCADE,
+      FOREIGN KEY (role_id) REFERENCES admin_roles (id) ON DELETE CASCADE,
+      FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE
+    )
+  `
+};
+
+const INDEXES_AND_TRIGGERS = [
+  'CREATE INDEX IF NOT EXISTS idx_auth_sessions_actor ON auth_sessions (actor_type, actor_id)',
+  'CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts (ip, created_at)',
+  'CREATE INDEX IF NOT EXISTS idx_login_attempts_identifier ON login_attempts (actor_type, identifier, created_at)',
+  'CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id)',
+  'CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor_type, actor_id)',
+  'CREATE INDEX IF NOT EXISTS idx_admin_role_assignments_admin ON admin_role_assignments (admin_id)',
+  `CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+     BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`,
+  `CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+     BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`
+];
+
+// Columns that older databases may lack (formerly added by PRAGMA table_info checks at boot)
+const LATE_COLUMNS = {
+  users: { must_change_password: 'INTEGER DEFAULT 1' },
+  admins: {
+    must_change_password: 'INTEGER DEFAULT 0',
+    totp_secret: 'TEXT',
+    totp_pending_secret: 'TEXT',
+    totp_enabled: 'INTEGER DEFAULT 0',
+    totp_required: 'INTEGER DEFAULT 0',
+    totp_enabled_at: 'DATETIME',
+    totp_last_step: 'INTEGER'
+  },
+  maintenance_users: { phone: 'TEXT', must_change_password: 'INTEGER DEFAULT 0' },
+  condominiums: { nipc: 'TEXT' },
+  ocorrencias: {
+    condominium_nipc: 'TEXT',
+    reporter_user_id: 'INTEGER',
+    reporter_user_nif: 'TEXT',
+    reporter_note: 'TEXT'
+  },
+  notifications: { related_id: 'INTEGER', condominium_id: 'INTEGER', user_id: 'INTEGER', user_name: 'TEXT' }
+};
+
+module.exports = {
+  async up(q) {
+    for (const sql of Object.values(TABLES)) await q.run(sql);
+
+    for (const [table, wanted] of Object.entries(LATE_COLUMNS)) {
+      const existing = await q.columns(table);
+      for (const [column, definition] of Object.entries(wanted)) {
+        if (!existing.includes(column)) await q.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    }
+
+    for (const sql of INDEXES_AND_TRIGGERS) await q.run(sql);
+  },
+
+  async down(q) {
+    for (const table of Object.keys(TABLES).reverse()) await q.run(`DROP TABLE IF EXISTS ${table}`);
+  }
+};
@@ -0,0 +1,26 @@
+const bcrypt = require('bcrypt');
+
+// One-time data migration (formerly the app_meta flag password_reset_to_nif_2025_11_04):
+// every resident's password becomes their NIF and must be changed at the next login.
+// Databases that already ran it under the old flag are left alone.
+
+const LEGACY_META_KEY = 'password_reset_to_nif_2025_11_04';
+
+module.exports = {
+  async up(q) {
+    const already = await q.get('SELECT value FROM app_meta WHERE key = ?', [LEGACY_META_KEY]);
+    if (already) return;
+
+    const users = await q.all("SELECT id, nif FROM users WHERE nif IS NOT NULL AND TRIM(nif) != ''");
+    for (const u of users) {
+      const hashed = await bcrypt.hash(String(u.nif).trim(), 10);
+      await q.run('UPDATE users SET password = ?, must_change_password = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [hashed, u.id]);
+    }
+    await q.run('INSERT OR REPLACE INTO app_meta (key, value) VALUES (?, ?)', [LEGACY_META_KEY, 'done']);
+  },
+
+  // The previous passwords are gone; only the flag is cleared
+  async down(q) {
+    await q.run('DELETE FROM app_meta WHERE key = ?', [LEGACY_META_KEY]);
+  }
+};
@@ -0,0 +1,17 @@
+// admin_notifications used to be created twice at boot; the first definition (no UNIQUE
+// constraint) won on older databases, so INSERT OR IGNORE never ignored and admins could get
+// the same notification linked repeatedly. Drop the duplicates and enforce uniqueness.
+
+module.exports = {
+  async up(q) {
+    await q.run(`
+      DELETE FROM admin_notifications
+      WHERE id NOT IN (SELECT MIN(id) FROM admin_notifications GROUP BY admin_id, notification_id)
+    `);
+    await q.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_admin_notifications_unique ON admin_notifications (admin_id, notification_id)');
+  },
+
+  async down(q) {
+    await q.run('DROP INDEX IF EXISTS idx_admin_notifications_unique');
+  }
+};
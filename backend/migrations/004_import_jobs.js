@@ -0,0 +1,35 @@
+// Resident CSV imports run as jobs (see csv-import.js): the decoded file, the column mapping
+// and the last dry run / commit outcome are kept so an import can be resumed by id.
+
+module.exports = {
+  async up(q) {
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS import_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        condominium_id INTEGER,
+        status TEXT NOT NULL DEFAULT 'uploaded'
+          CHECK(status IN ('uploaded', 'validated', 'committing', 'committed', 'failed', 'cancelled')),
+        file_name TEXT,
+        encoding TEXT,
+        delimiter TEXT,
+        content TEXT NOT NULL,
+        mapping TEXT,
+        options TEXT,
+        dry_run TEXT,
+        result TEXT,
+        error TEXT,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        committed_at DATETIME,
+        FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES admins (id)
+      )
+    `);
+    await q.run('CREATE INDEX IF NOT EXISTS idx_import_jobs_condominium ON import_jobs (condominium_id, created_at)');
+  },
+
+  async down(q) {
+    await q.run('DROP TABLE IF EXISTS import_jobs');
+  }
+};
@@ -0,0 +1,24 @@
+// Snapshots of the database taken before a reset-and-import or a restore (see data-reset.js).
+// The snapshot itself is a separate SQLite file; this table lists them with their row counts.
+
+module.exports = {
+  async up(q) {
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS data_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        file_name TEXT NOT NULL UNIQUE,
+        reason TEXT NOT NULL CHECK(reason IN ('manual', 'reset-and-import', 'before-restore')),
+        size INTEGER,
+        row_counts TEXT,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        restored_at DATETIME,
+        FOREIGN KEY (created_by) REFERENCES admins (id)
+      )
+    `);
+  },
+
+  async down(q) {
+    await q.run('DROP TABLE IF EXISTS data_snapshots');
+  }
+};
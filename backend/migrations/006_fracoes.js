@@ -0,0 +1,53 @@
+// Units (frações) of a condominium and the residents linked to them (see fracoes.js).
+// Existing user_condominiums.apartment values become units, with the resident as owner.
+
+module.exports = {
+  async up(q) {
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS fracoes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        condominium_id INTEGER NOT NULL,
+        identifier TEXT NOT NULL COLLATE NOCASE,
+        floor TEXT,
+        type TEXT NOT NULL DEFAULT 'habitacao',
+        permilagem REAL,
+        area REAL,
+        artigo_matricial TEXT,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
+        UNIQUE(condominium_id, identifier)
+      )
+    `);
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS fracao_residents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        fracao_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        role TEXT NOT NULL DEFAULT 'owner',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (fracao_id) REFERENCES fracoes (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        UNIQUE(fracao_id, user_id)
+      )
+    `);
+    await q.run('CREATE INDEX IF NOT EXISTS idx_fracao_residents_user ON fracao_residents (user_id)');
+
+    await q.run(`
+      INSERT OR IGNORE INTO fracoes (condominium_id, identifier)
+      SELECT DISTINCT condominium_id, TRIM(apartment) FROM user_condominiums
+      WHERE apartment IS NOT NULL AND TRIM(apartment) != ''
+    `);
+    await q.run(`
+      INSERT OR IGNORE INTO fracao_residents (fracao_id, user_id, role)
+      SELECT f.id, uc.user_id, 'owner' FROM user_condominiums uc
+      JOIN fracoes f ON f.condominium_id = uc.condominium_id AND f.identifier = TRIM(uc.apartment)
+    `);
+  },
+
+  async down(q) {
+    await q.run('DROP TABLE IF EXISTS fracao_residents');
+    await q.run('DROP TABLE IF EXISTS fracoes');
+  }
+};
@@ -0,0 +1,61 @@
+// Relationships between residents and units (see fracoes.js): owner (with the ownership share of
+// each co-owner), tenant, legal representative and delegated contact, each with start and end
+// dates so that a transfer keeps the previous holders. The table is rebuilt because the same
+// person may now hold the same unit more than once over time; only open relationships (no end
+// date) are unique per unit, person and role.
+
+module.exports = {
+  async up(q) {
+    await q.run(`
+      CREATE TABLE fracao_residents_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        fracao_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        role TEXT NOT NULL DEFAULT 'owner',
+        share REAL,
+        start_date DATE,
+        end_date DATE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (fracao_id) REFERENCES fracoes (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+    await q.run(`
+      INSERT INTO fracao_residents_new (id, fracao_id, user_id, role, created_at, updated_at)
+      SELECT id, fracao_id, user_id, role, created_at, created_at FROM fracao_residents
+    `);
+    await q.run('DROP TABLE fracao_residents');
+    await q.run('ALTER TABLE fracao_residents_new RENAME TO fracao_residents');
+    await q.run('CREATE INDEX IF NOT EXISTS idx_fracao_residents_user ON fracao_residents (user_id)');
+    await q.run(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_fracao_residents_open
+      ON fracao_residents (fracao_id, user_id, role) WHERE end_date IS NULL
+    `);
+  },
+
+  async down(q) {
+    await q.run(`
+      CREATE TABLE fracao_residents_old (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        fracao_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        role TEXT NOT NULL DEFAULT 'owner',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (fracao_id) REFERENCES fracoes (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        UNIQUE(fracao_id, user_id)
+      )
+    `);
+    // Only what is still current fits the old shape: one link per unit and person
+    await q.run(`
+      INSERT OR IGNORE INTO fracao_residents_old (id, fracao_id, user_id, role, created_at)
+      SELECT id, fracao_id, user_id, CASE WHEN role IN ('owner', 'tenant') THEN role ELSE 'owner' END, created_at
+      FROM fracao_residents WHERE end_date IS NULL OR end_date > date('now')
+      ORDER BY CASE role WHEN 'owner' THEN 0 ELSE 1 END, id
+    `);
+    await q.run('DROP TABLE fracao_residents');
+    await q.run('ALTER TABLE fracao_residents_old RENAME TO fracao_residents');
+    await q.run('CREATE INDEX IF NOT EXISTS idx_fracao_residents_user ON fracao_residents (user_id)');
+  }
+};
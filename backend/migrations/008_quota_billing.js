@@ -0,0 +1,108 @@
+// Quota billing (see budgets.js and quotas.js): annual budgets with their expense lines, billing
+// runs that turn a budget period into one charge per unit, and the payments received per unit.
+// Amounts are integer cents.
+
+module.exports = {
+  async up(q) {
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS budgets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        condominium_id INTEGER NOT NULL,
+        year INTEGER NOT NULL,
+        frequency TEXT NOT NULL DEFAULT 'monthly' CHECK(frequency IN ('monthly', 'quarterly', 'annual')),
+        notes TEXT,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES admins (id),
+        UNIQUE(condominium_id, year)
+      )
+    `);
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS budget_lines (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        budget_id INTEGER NOT NULL,
+        description TEXT NOT NULL,
+        category TEXT,
+        amount_cents INTEGER NOT NULL,
+        split TEXT NOT NULL DEFAULT 'permilagem' CHECK(split IN ('permilagem', 'equal')),
+        position INTEGER NOT NULL DEFAULT 0,
+        FOREIGN KEY (budget_id) REFERENCES budgets (id) ON DELETE CASCADE
+      )
+    `);
+    await q.run('CREATE INDEX IF NOT EXISTS idx_budget_lines_budget ON budget_lines (budget_id, position)');
+
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS billing_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        condominium_id INTEGER NOT NULL,
+        budget_id INTEGER NOT NULL,
+        period TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'posted' CHECK(status IN ('posted', 'cancelled')),
+        issue_date DATE NOT NULL,
+        due_date DATE NOT NULL,
+        total_cents INTEGER NOT NULL,
+        charges_count INTEGER NOT NULL,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        cancelled_at DATETIME,
+        FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
+        FOREIGN KEY (budget_id) REFERENCES budgets (id),
+        FOREIGN KEY (created_by) REFERENCES admins (id)
+      )
+    `);
+    await q.run('CREATE INDEX IF NOT EXISTS idx_billing_runs_condominium ON billing_runs (condominium_id, period)');
+
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS charges (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        condominium_id INTEGER NOT NULL,
+        fracao_id INTEGER NOT NULL,
+        billing_run_id INTEGER,
+        period TEXT,
+        description TEXT NOT NULL,
+        amount_cents INTEGER NOT NULL,
+        details TEXT,
+        issue_date DATE NOT NULL,
+        due_date DATE NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        cancelled_at DATETIME,
+        FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
+        FOREIGN KEY (fracao_id) REFERENCES fracoes (id),
+        FOREIGN KEY (billing_run_id) REFERENCES billing_runs (id)
+      )
+    `);
+    await q.run('CREATE INDEX IF NOT EXISTS idx_charges_fracao ON charges (fracao_id, due_date)');
+    await q.run('CREATE INDEX IF NOT EXISTS idx_charges_run ON charges (billing_run_id)');
+
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS payments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        condominium_id INTEGER NOT NULL,
+        fracao_id INTEGER NOT NULL,
+        user_id INTEGER,
+        amount_cents INTEGER NOT NULL CHECK(amount_cents > 0),
+        paid_at DATE NOT NULL,
+        method TEXT NOT NULL DEFAULT 'transfer',
+        reference TEXT,
+        notes TEXT,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
+        FOREIGN KEY (fracao_id) REFERENCES fracoes (id),
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (created_by) REFERENCES admins (id)
+      )
+    `);
+    await q.run('CREATE INDEX IF NOT EXISTS idx_payments_fracao ON payments (fracao_id, paid_at)');
+  },
+
+  async down(q) {
+    await q.run('DROP TABLE IF EXISTS payments');
+    await q.run('DROP TABLE IF EXISTS charges');
+    await q.run('DROP TABLE IF EXISTS billing_runs');
+    await q.run('DROP TABLE IF EXISTS budget_lines');
+    await q.run('DROP TABLE IF EXISTS budgets');
+  }
+};
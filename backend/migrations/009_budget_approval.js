@@ -0,0 +1,32 @@
+// Budget approval (see budgets.js): a budget is a draft until it is approved at an assembleia,
+// and only approved budgets can be billed. document_id is the budget PDF attached to that
+// assembleia (assembleia_files). Budgets billed before this migration count as approved.
+// Plain columns (no REFERENCES) so that down can drop them.
+
+const COLUMNS = [
+  ['status', "TEXT NOT NULL DEFAULT 'draft' CHECK(status IN ('draft', 'approved'))"],
+  ['assembleia_id', 'INTEGER'],
+  ['approved_at', 'DATETIME'],
+  ['approved_by', 'INTEGER'],
+  ['document_id', 'INTEGER']
+];
+
+module.exports = {
+  async up(q) {
+    const existing = await q.columns('budgets');
+    for (const [name, definition] of COLUMNS) {
+      if (!existing.includes(name)) await q.run(`ALTER TABLE budgets ADD COLUMN ${name} ${definition}`);
+    }
+    await q.run(`
+      UPDATE budgets SET status = 'approved', approved_at = COALESCE(approved_at, updated_at)
+      WHERE id IN (SELECT budget_id FROM billing_runs)
+    `);
+  },
+
+  async down(q) {
+    const existing = await q.columns('budgets');
+    for (const [name] of [...COLUMNS].reverse()) {
+      if (existing.includes(name)) await q.run(`ALTER TABLE budgets DROP COLUMN ${name}`);
+    }
+  }
+};
@@ -0,0 +1,48 @@
+// Reserve fund (fundo comum de reserva, see reserve-fund.js): the share of each payment set aside
+// for the fund, per condominium, and the fund's movements. Payments recorded before this
+// migration get their contribution at the default share.
+
+module.exports = {
+  async up(q) {
+    const columns = await q.columns('condominiums');
+    if (!columns.includes('reserve_fund_percent')) {
+      await q.run('ALTER TABLE condominiums ADD COLUMN reserve_fund_percent REAL NOT NULL DEFAULT 10');
+    }
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS reserve_fund_movements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        condominium_id INTEGER NOT NULL,
+        type TEXT NOT NULL CHECK(type IN ('contribution', 'withdrawal', 'interest', 'adjustment')),
+        amount_cents INTEGER NOT NULL,
+        date DATE NOT NULL,
+        description TEXT,
+        fracao_id INTEGER,
+        user_id INTEGER,
+        payment_id INTEGER,
+        assembleia_id INTEGER,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
+        FOREIGN KEY (fracao_id) REFERENCES fracoes (id),
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (payment_id) REFERENCES payments (id),
+        FOREIGN KEY (assembleia_id) REFERENCES assembleias (id),
+        FOREIGN KEY (created_by) REFERENCES admins (id)
+      )
+    `);
+    await q.run('CREATE INDEX IF NOT EXISTS idx_reserve_fund_movements_condominium ON reserve_fund_movements (condominium_id, date)');
+    await q.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_reserve_fund_movements_payment ON reserve_fund_movements (payment_id) WHERE payment_id IS NOT NULL');
+
+    await q.run(`
+      INSERT OR IGNORE INTO reserve_fund_movements (condominium_id, type, amount_cents, date, fracao_id, user_id, payment_id, created_by)
+      SELECT p.condominium_id, 'contribution', CAST(ROUND(p.amount_cents * 10.0 / 110) AS INTEGER), p.paid_at, p.fracao_id, p.user_id, p.id, p.created_by
+      FROM payments p
+    `);
+  },
+
+  async down(q) {
+    await q.run('DROP TABLE IF EXISTS reserve_fund_movements');
+    const columns = await q.columns('condominiums');
+    if (columns.includes('reserve_fund_percent')) await q.run('ALTER TABLE condominiums DROP COLUMN reserve_fund_percent');
+  }
+};
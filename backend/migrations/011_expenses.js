@@ -0,0 +1,60 @@
+// Expense ledger (see expenses.js): supplier invoices of a condominium with their VAT, category,
+// attached PDF, the ocorrência they pay for, how they are allocated to the units and whether
+// they have been paid. Amounts are integer cents.
+
+module.exports = {
+  async up(q) {
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS expenses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        condominium_id INTEGER NOT NULL,
+        supplier_name TEXT NOT NULL,
+        supplier_nif TEXT,
+        invoice_number TEXT,
+        invoice_date DATE NOT NULL,
+        due_date DATE,
+        description TEXT,
+        category TEXT NOT NULL DEFAULT 'outro',
+        net_cents INTEGER NOT NULL,
+        vat_rate REAL NOT NULL DEFAULT 0,
+        vat_cents INTEGER NOT NULL DEFAULT 0,
+        amount_cents INTEGER NOT NULL,
+        ocorrencia_id INTEGER,
+        allocation TEXT NOT NULL DEFAULT 'all' CHECK(allocation IN ('all', 'types', 'units')),
+        allocation_types TEXT,
+        split TEXT NOT NULL DEFAULT 'permilagem' CHECK(split IN ('permilagem', 'equal')),
+        status TEXT NOT NULL DEFAULT 'unpaid' CHECK(status IN ('unpaid', 'paid')),
+        paid_at DATE,
+        payment_method TEXT,
+        payment_reference TEXT,
+        document_filename TEXT,
+        document_original_filename TEXT,
+        document_path TEXT,
+        document_size INTEGER,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
+        FOREIGN KEY (ocorrencia_id) REFERENCES ocorrencias (id) ON DELETE SET NULL,
+        FOREIGN KEY (created_by) REFERENCES admins (id)
+      )
+    `);
+    await q.run('CREATE INDEX IF NOT EXISTS idx_expenses_condominium ON expenses (condominium_id, invoice_date)');
+    await q.run("CREATE INDEX IF NOT EXISTS idx_expenses_unpaid ON expenses (due_date) WHERE status = 'unpaid'");
+    // Units an expense is allocated to when its allocation is 'units'
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS expense_units (
+        expense_id INTEGER NOT NULL,
+        fracao_id INTEGER NOT NULL,
+        PRIMARY KEY (expense_id, fracao_id),
+        FOREIGN KEY (expense_id) REFERENCES expenses (id) ON DELETE CASCADE,
+        FOREIGN KEY (fracao_id) REFERENCES fracoes (id)
+      )
+    `);
+  },
+
+  async down(q) {
+    await q.run('DROP TABLE IF EXISTS expense_units');
+    await q.run('DROP TABLE IF EXISTS expenses');
+  }
+};
@@ -0,0 +1,71 @@
+// Bank statements (see bank-statements.js): the imported statement files of a condominium's
+// account and their transactions. Credits are matched to the units they pay for and recorded as
+// payments; the fingerprint keeps a transaction imported twice (overlapping statements) from
+// being counted twice. Amounts are integer cents, debits negative.
+
+module.exports = {
+  async up(q) {
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS bank_statements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        condominium_id INTEGER NOT NULL,
+        format TEXT NOT NULL CHECK(format IN ('csv', 'camt053')),
+        original_filename TEXT,
+        file_path TEXT,
+        account_iban TEXT,
+        period_start DATE,
+        period_end DATE,
+        opening_balance_cents INTEGER,
+        closing_balance_cents INTEGER,
+        transactions_count INTEGER NOT NULL DEFAULT 0,
+        duplicates_count INTEGER NOT NULL DEFAULT 0,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES admins (id)
+      )
+    `);
+    await q.run('CREATE INDEX IF NOT EXISTS idx_bank_statements_condominium ON bank_statements (condominium_id, created_at)');
+
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS bank_transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        statement_id INTEGER NOT NULL,
+        condominium_id INTEGER NOT NULL,
+        booking_date DATE NOT NULL,
+        value_date DATE,
+        amount_cents INTEGER NOT NULL,
+        description TEXT,
+        counterparty_name TEXT,
+        counterparty_iban TEXT,
+        reference TEXT,
+        bank_reference TEXT,
+        fingerprint TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'unmatched' CHECK(status IN ('unmatched', 'matched', 'ignored')),
+        payment_id INTEGER,
+        fracao_id INTEGER,
+        user_id INTEGER,
+        match_method TEXT,
+        suggestions TEXT,
+        matched_by INTEGER,
+        matched_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (statement_id) REFERENCES bank_statements (id) ON DELETE CASCADE,
+        FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
+        FOREIGN KEY (payment_id) REFERENCES payments (id),
+        FOREIGN KEY (fracao_id) REFERENCES fracoes (id),
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (matched_by) REFERENCES admins (id)
+      )
+    `);
+    await q.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_bank_transactions_fingerprint ON bank_transactions (condominium_id, fingerprint)');
+    await q.run('CREATE INDEX IF NOT EXISTS idx_bank_transactions_statement ON bank_transactions (statement_id)');
+    await q.run("CREATE INDEX IF NOT EXISTS idx_bank_transactions_queue ON bank_transactions (condominium_id, booking_date) WHERE status = 'unmatched'");
+    await q.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_bank_transactions_payment ON bank_transactions (payment_id) WHERE payment_id IS NOT NULL');
+  },
+
+  async down(q) {
+    await q.run('DROP TABLE IF EXISTS bank_transactions');
+    await q.run('DROP TABLE IF EXISTS bank_statements');
+  }
+};
@@ -0,0 +1,96 @@
+// SEPA direct debits (see sepa.js): the condominium's creditor identifier and account, the
+// mandates signed by unit owners, the pain.008 batches generated and each collection in them.
+// Collections are recorded as payments when the batch is generated; a return from the bank
+// deletes the payment. Amounts are integer cents.
+
+const CONDOMINIUM_COLUMNS = {
+  sepa_creditor_id: 'TEXT',
+  sepa_iban: 'TEXT',
+  sepa_bic: 'TEXT'
+};
+
+module.exports = {
+  async up(q) {
+    const columns = await q.columns('condominiums');
+    for (const [name, type] of Object.entries(CONDOMINIUM_COLUMNS)) {
+      if (!columns.includes(name)) await q.run(`ALTER TABLE condominiums ADD COLUMN ${name} ${type}`);
+    }
+
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS sepa_mandates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        condominium_id INTEGER NOT NULL,
+        fracao_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        reference TEXT NOT NULL,
+        debtor_name TEXT NOT NULL,
+        iban TEXT NOT NULL,
+        bic TEXT,
+        signed_at DATE NOT NULL,
+        status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'revoked')),
+        revoked_at DATE,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
+        FOREIGN KEY (fracao_id) REFERENCES fracoes (id),
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (created_by) REFERENCES admins (id)
+      )
+    `);
+    await q.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_sepa_mandates_reference ON sepa_mandates (condominium_id, reference)');
+    // One mandate in force per unit
+    await q.run("CREATE UNIQUE INDEX IF NOT EXISTS idx_sepa_mandates_active ON sepa_mandates (fracao_id) WHERE status = 'active'");
+
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS sepa_batches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        condominium_id INTEGER NOT NULL,
+        message_id TEXT NOT NULL UNIQUE,
+        period TEXT,
+        collection_date DATE NOT NULL,
+        collections_count INTEGER NOT NULL,
+        total_cents INTEGER NOT NULL,
+        file_path TEXT,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES admins (id)
+      )
+    `);
+    await q.run('CREATE INDEX IF NOT EXISTS idx_sepa_batches_condominium ON sepa_batches (condominium_id, collection_date)');
+
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS sepa_collections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        batch_id INTEGER NOT NULL,
+        mandate_id INTEGER NOT NULL,
+        fracao_id INTEGER NOT NULL,
+        amount_cents INTEGER NOT NULL,
+        sequence_type TEXT NOT NULL CHECK(sequence_type IN ('FRST', 'RCUR')),
+        end_to_end_id TEXT NOT NULL UNIQUE,
+        status TEXT NOT NULL DEFAULT 'collected' CHECK(status IN ('collected', 'returned')),
+        payment_id INTEGER,
+        return_reason TEXT,
+        returned_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (batch_id) REFERENCES sepa_batches (id) ON DELETE CASCADE,
+        FOREIGN KEY (mandate_id) REFERENCES sepa_mandates (id),
+        FOREIGN KEY (fracao_id) REFERENCES fracoes (id),
+        FOREIGN KEY (payment_id) REFERENCES payments (id)
+      )
+    `);
+    await q.run('CREATE INDEX IF NOT EXISTS idx_sepa_collections_batch ON sepa_collections (batch_id)');
+    await q.run('CREATE INDEX IF NOT EXISTS idx_sepa_collections_mandate ON sepa_collections (mandate_id)');
+  },
+
+  async down(q) {
+    await q.run('DROP TABLE IF EXISTS sepa_collections');
+    await q.run('DROP TABLE IF EXISTS sepa_batches');
+    await q.run('DROP TABLE IF EXISTS sepa_mandates');
+    const columns = await q.columns('condominiums');
+    for (const name of Object.keys(CONDOMINIUM_COLUMNS).reverse()) {
+      if (columns.includes(name)) await q.run(`ALTER TABLE condominiums DROP COLUMN ${name}`);
+    }
+  }
+};
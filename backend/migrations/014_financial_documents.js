@@ -0,0 +1,83 @@
+// Financial documents (see financial-documents.js): the receipts issued for payments and the
+// debt declarations (declarações de dívida / não dívida) issued for units. Both are numbered per
+// condominium and year. A receipt keeps a copy of the payment, so that it still prints after the
+// payment is deleted (it is then marked cancelled). Existing payments get their receipts here.
+
+module.exports = {
+  async up(q) {
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS receipts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        condominium_id INTEGER NOT NULL,
+        year INTEGER NOT NULL,
+        number INTEGER NOT NULL,
+        payment_id INTEGER,
+        fracao_id INTEGER NOT NULL,
+        user_id INTEGER,
+        amount_cents INTEGER NOT NULL,
+        paid_at DATE NOT NULL,
+        method TEXT NOT NULL,
+        reference TEXT,
+        issued_at DATE NOT NULL,
+        cancelled_at DATETIME,
+        FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
+        FOREIGN KEY (payment_id) REFERENCES payments (id),
+        FOREIGN KEY (fracao_id) REFERENCES fracoes (id),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `);
+    await q.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_receipts_number ON receipts (condominium_id, year, number)');
+    await q.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_receipts_payment ON receipts (payment_id) WHERE payment_id IS NOT NULL');
+    await q.run('CREATE INDEX IF NOT EXISTS idx_receipts_fracao ON receipts (fracao_id, paid_at)');
+
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS debt_declarations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        condominium_id INTEGER NOT NULL,
+        year INTEGER NOT NULL,
+        number INTEGER NOT NULL,
+        fracao_id INTEGER NOT NULL,
+        as_of DATE NOT NULL,
+        owed_cents INTEGER NOT NULL,
+        details TEXT,
+        purpose TEXT,
+        requested_by INTEGER,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
+        FOREIGN KEY (fracao_id) REFERENCES fracoes (id),
+        FOREIGN KEY (requested_by) REFERENCES users (id),
+        FOREIGN KEY (created_by) REFERENCES admins (id)
+      )
+    `);
+    await q.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_debt_declarations_number ON debt_declarations (condominium_id, year, number)');
+    await q.run('CREATE INDEX IF NOT EXISTS idx_debt_declarations_fracao ON debt_declarations (fracao_id, created_at)');
+
+    // Receipts of the payments recorded so far, numbered in the order they were recorded
+    const payments = await q.all(
+      `SELECT p.* FROM payments p WHERE NOT EXISTS (SELECT 1 FROM receipts r WHERE r.payment_id = p.id)
+       ORDER BY p.condominium_id, p.created_at, p.id`
+    );
+    const last = {};
+    for (const p of payments) {
+      const issuedAt = String(p.created_at || p.paid_at).slice(0, 10);
+      const year = Number(issuedAt.slice(0, 4));
+      const key = `${p.condominium_id}/${year}`;
+      if (last[key] === undefined) {
+        const row = await q.get('SELECT MAX(number) AS number FROM receipts WHERE condominium_id = ? AND year = ?', [p.condominium_id, year]);
+        last[key] = row.number || 0;
+      }
+      last[key] += 1;
+      await q.run(
+        `INSERT INTO receipts (condominium_id, year, number, payment_id, fracao_id, user_id, amount_cents, paid_at, method, reference, issued_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [p.condominium_id, year, last[key], p.id, p.fracao_id, p.user_id, p.amount_cents, p.paid_at, p.method, p.reference, issuedAt]
+      );
+    }
+  },
+
+  async down(q) {
+    await q.run('DROP TABLE IF EXISTS debt_declarations');
+    await q.run('DROP TABLE IF EXISTS receipts');
+  }
+};
@@ -0,0 +1,54 @@
+// Arrears (see arrears.js): each condominium's reminder schedule (days overdue at which the
+// friendly reminder, the second notice and the formal demand letter are due) and late interest
+// rate, and the follow-up of each unit's debt: reminders and letters sent, phone calls, notes
+// and payment promises. Amounts are integer cents.
+
+const CONDOMINIUM_COLUMNS = {
+  // Juros civis (Portaria 291/2003), percent a year
+  arrears_interest_rate: 'REAL NOT NULL DEFAULT 4',
+  arrears_reminder_days: 'INTEGER DEFAULT 15',
+  arrears_second_notice_days: 'INTEGER DEFAULT 45',
+  arrears_letter_days: 'INTEGER DEFAULT 90',
+  arrears_auto_reminders: 'INTEGER NOT NULL DEFAULT 0'
+};
+
+module.exports = {
+  async up(q) {
+    const columns = await q.columns('condominiums');
+    for (const [name, type] of Object.entries(CONDOMINIUM_COLUMNS)) {
+      if (!columns.includes(name)) await q.run(`ALTER TABLE condominiums ADD COLUMN ${name} ${type}`);
+    }
+
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS arrears_actions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        condominium_id INTEGER NOT NULL,
+        fracao_id INTEGER NOT NULL,
+        type TEXT NOT NULL CHECK(type IN ('reminder', 'second_notice', 'formal_letter', 'phone_call', 'note', 'payment_promise')),
+        owed_cents INTEGER NOT NULL DEFAULT 0,
+        interest_cents INTEGER NOT NULL DEFAULT 0,
+        oldest_due_date DATE,
+        details TEXT,
+        notes TEXT,
+        promised_date DATE,
+        notified_count INTEGER NOT NULL DEFAULT 0,
+        emailed_count INTEGER NOT NULL DEFAULT 0,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
+        FOREIGN KEY (fracao_id) REFERENCES fracoes (id),
+        FOREIGN KEY (created_by) REFERENCES admins (id)
+      )
+    `);
+    await q.run('CREATE INDEX IF NOT EXISTS idx_arrears_actions_fracao ON arrears_actions (fracao_id, created_at)');
+    await q.run('CREATE INDEX IF NOT EXISTS idx_arrears_actions_condominium ON arrears_actions (condominium_id, created_at)');
+  },
+
+  async down(q) {
+    await q.run('DROP TABLE IF EXISTS arrears_actions');
+    const columns = await q.columns('condominiums');
+    for (const name of Object.keys(CONDOMINIUM_COLUMNS).reverse()) {
+      if (columns.includes(name)) await q.run(`ALTER TABLE condominiums DROP COLUMN ${name}`);
+    }
+  }
+};
@@ -0,0 +1,77 @@
+// Assembleia convocations (see assembleias.js): the agenda (ordem de trabalhos) of each
+// assembleia, its second call date and time (the first call being the assembleia's own date and
+// time), and the record of each convocation sent, per recipient, as proof of notice. A
+// convocation keeps a copy of what it announced, so that it reprints as sent.
+// Admin messages may now be addressed to some users only (admin_message_recipients); messages
+// without recipients still go to everyone in their target condominiums.
+
+const ASSEMBLEIA_COLUMNS = {
+  second_call_date: 'DATE',
+  second_call_time: 'TIME'
+};
+
+module.exports = {
+  async up(q) {
+    const columns = await q.columns('assembleias');
+    for (const [name, type] of Object.entries(ASSEMBLEIA_COLUMNS)) {
+      if (!columns.includes(name)) await q.run(`ALTER TABLE assembleias ADD COLUMN ${name} ${type}`);
+    }
+
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS assembleia_agenda_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        assembleia_id INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (assembleia_id) REFERENCES assembleias (id) ON DELETE CASCADE
+      )
+    `);
+    await q.run('CREATE INDEX IF NOT EXISTS idx_assembleia_agenda_items ON assembleia_agenda_items (assembleia_id, position)');
+
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS admin_message_recipients (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        FOREIGN KEY (message_id) REFERENCES admin_messages (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+    await q.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_admin_message_recipients ON admin_message_recipients (message_id, user_id)');
+
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS assembleia_convocations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        assembleia_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        admin_message_id INTEGER,
+        units TEXT NOT NULL,
+        permilagem REAL,
+        details TEXT NOT NULL,
+        email TEXT,
+        emailed_at DATETIME,
+        read_at DATETIME,
+        sent_by INTEGER,
+        sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (assembleia_id) REFERENCES assembleias (id),
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (admin_message_id) REFERENCES admin_messages (id),
+        FOREIGN KEY (sent_by) REFERENCES admins (id)
+      )
+    `);
+    await q.run('CREATE INDEX IF NOT EXISTS idx_assembleia_convocations ON assembleia_convocations (assembleia_id, user_id, sent_at)');
+  },
+
+  async down(q) {
+    await q.run('DROP TABLE IF EXISTS assembleia_convocations');
+    await q.run('DROP TABLE IF EXISTS admin_message_recipients');
+    await q.run('DROP TABLE IF EXISTS assembleia_agenda_items');
+    const columns = await q.columns('assembleias');
+    for (const name of Object.keys(ASSEMBLEIA_COLUMNS).reverse()) {
+      if (columns.includes(name)) await q.run(`ALTER TABLE assembleias DROP COLUMN ${name}`);
+    }
+  }
+};
@@ -0,0 +1,35 @@
+// Attendance register of assembleias (see assembleia-attendance.js): per unit, whether it was
+// present, represented by a proxy holder (with the procuração uploaded) or absent. Units with no
+// entry are absent.
+
+module.exports = {
+  async up(q) {
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS assembleia_attendance (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        assembleia_id INTEGER NOT NULL,
+        fracao_id INTEGER NOT NULL,
+        status TEXT NOT NULL CHECK(status IN ('present', 'represented', 'absent')),
+        attendee_name TEXT,
+        proxy_name TEXT,
+        proxy_filename TEXT,
+        proxy_original_filename TEXT,
+        proxy_path TEXT,
+        proxy_mime_type TEXT,
+        proxy_size INTEGER,
+        notes TEXT,
+        recorded_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (assembleia_id) REFERENCES assembleias (id),
+        FOREIGN KEY (fracao_id) REFERENCES fracoes (id),
+        FOREIGN KEY (recorded_by) REFERENCES admins (id)
+      )
+    `);
+    await q.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_assembleia_attendance_unit ON assembleia_attendance (assembleia_id, fracao_id)');
+  },
+
+  async down(q) {
+    await q.run('DROP TABLE IF EXISTS assembleia_attendance');
+  }
+};
@@ -0,0 +1,59 @@
+// Votes at assembleias (see assembleia-votes.js): each agenda item put to the vote has a majority
+// rule, and each unit present or represented votes for, against or abstains. Closing the
+// assembleia (status 'closed') keeps the result of each item as it stood (result) and when
+// (closed_at); the votes can no longer change after that.
+
+const ASSEMBLEIA_COLUMNS = {
+  closed_at: 'DATETIME'
+};
+
+const AGENDA_ITEM_COLUMNS = {
+  majority: "TEXT CHECK(majority IN ('simple', 'two_thirds', 'unanimity'))",
+  result: 'TEXT'
+};
+
+async function addColumns(q, table, columns) {
+  const existing = await q.columns(table);
+  for (const [name, type] of Object.entries(columns)) {
+    if (!existing.includes(name)) await q.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+  }
+}
+
+async function dropColumns(q, table, columns) {
+  const existing = await q.columns(table);
+  for (const name of Object.keys(columns).reverse()) {
+    if (existing.includes(name)) await q.run(`ALTER TABLE ${table} DROP COLUMN ${name}`);
+  }
+}
+
+module.exports = {
+  async up(q) {
+    await addColumns(q, 'assembleias', ASSEMBLEIA_COLUMNS);
+    await addColumns(q, 'assembleia_agenda_items', AGENDA_ITEM_COLUMNS);
+
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS assembleia_votes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        assembleia_id INTEGER NOT NULL,
+        agenda_item_id INTEGER NOT NULL,
+        fracao_id INTEGER NOT NULL,
+        vote TEXT NOT NULL CHECK(vote IN ('for', 'against', 'abstain')),
+        recorded_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (assembleia_id) REFERENCES assembleias (id),
+        FOREIGN KEY (agenda_item_id) REFERENCES assembleia_agenda_items (id),
+        FOREIGN KEY (fracao_id) REFERENCES fracoes (id),
+        FOREIGN KEY (recorded_by) REFERENCES admins (id)
+      )
+    `);
+    await q.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_assembleia_votes_unit ON assembleia_votes (agenda_item_id, fracao_id)');
+    await q.run('CREATE INDEX IF NOT EXISTS idx_assembleia_votes_assembleia ON assembleia_votes (assembleia_id)');
+  },
+
+  async down(q) {
+    await q.run('DROP TABLE IF EXISTS assembleia_votes');
+    await dropColumns(q, 'assembleia_agenda_items', AGENDA_ITEM_COLUMNS);
+    await dropColumns(q, 'assembleias', ASSEMBLEIA_COLUMNS);
+  }
+};
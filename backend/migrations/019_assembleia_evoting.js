@@ -0,0 +1,60 @@
+// Electronic voting at assembleias (see assembleia-evoting.js): the voting window of each
+// assembleia, the voter designated for units held by several owners or representatives, and
+// every ballot cast from the portal, each chained to the previous one of the assembleia by its
+// hash (the receipt given to the voter).
+
+const ASSEMBLEIA_COLUMNS = {
+  evoting_opens_at: 'DATETIME',
+  evoting_closes_at: 'DATETIME'
+};
+
+const FRACAO_COLUMNS = {
+  voter_user_id: 'INTEGER'
+};
+
+async function addColumns(q, table, columns) {
+  const existing = await q.columns(table);
+  for (const [name, type] of Object.entries(columns)) {
+    if (!existing.includes(name)) await q.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+  }
+}
+
+async function dropColumns(q, table, columns) {
+  const existing = await q.columns(table);
+  for (const name of Object.keys(columns).reverse()) {
+    if (existing.includes(name)) await q.run(`ALTER TABLE ${table} DROP COLUMN ${name}`);
+  }
+}
+
+module.exports = {
+  async up(q) {
+    await addColumns(q, 'assembleias', ASSEMBLEIA_COLUMNS);
+    await addColumns(q, 'fracoes', FRACAO_COLUMNS);
+
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS assembleia_evotes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        assembleia_id INTEGER NOT NULL,
+        agenda_item_id INTEGER NOT NULL,
+        fracao_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        vote TEXT NOT NULL CHECK(vote IN ('for', 'against', 'abstain')),
+        nonce TEXT NOT NULL,
+        cast_at DATETIME NOT NULL,
+        previous_hash TEXT,
+        hash TEXT NOT NULL UNIQUE,
+        FOREIGN KEY (assembleia_id) REFERENCES assembleias (id),
+        FOREIGN KEY (agenda_item_id) REFERENCES assembleia_agenda_items (id),
+        FOREIGN KEY (fracao_id) REFERENCES fracoes (id),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `);
+    await q.run('CREATE INDEX IF NOT EXISTS idx_assembleia_evotes_unit ON assembleia_evotes (assembleia_id, agenda_item_id, fracao_id)');
+  },
+
+  async down(q) {
+    await q.run('DROP TABLE IF EXISTS assembleia_evotes');
+    await dropColumns(q, 'fracoes', FRACAO_COLUMNS);
+    await dropColumns(q, 'assembleias', ASSEMBLEIA_COLUMNS);
+  }
+};
@@ -0,0 +1,80 @@
+// Minutes (ata) of assembleias (see assembleia-minutes.js): the text of each assembleia's ata
+// with its state (draft, under review, signed) and, once signed, the final PDF among the
+// assembleia's files; who signs it and when; and the communication of the deliberations to the
+// owners of the absent units, with the delivery of each (portal, e-mail, registered letter).
+
+module.exports = {
+  async up(q) {
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS assembleia_minutes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        assembleia_id INTEGER NOT NULL UNIQUE,
+        number TEXT,
+        content TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'draft' CHECK(status IN ('draft', 'under_review', 'signed')),
+        file_id INTEGER,
+        created_by INTEGER,
+        updated_by INTEGER,
+        submitted_at DATETIME,
+        signed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (assembleia_id) REFERENCES assembleias (id),
+        FOREIGN KEY (file_id) REFERENCES assembleia_files (id),
+        FOREIGN KEY (created_by) REFERENCES admins (id),
+        FOREIGN KEY (updated_by) REFERENCES admins (id)
+      )
+    `);
+
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS assembleia_minutes_signatories (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        minutes_id INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        role TEXT,
+        user_id INTEGER,
+        signed_at DATETIME,
+        recorded_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (minutes_id) REFERENCES assembleia_minutes (id),
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (recorded_by) REFERENCES admins (id)
+      )
+    `);
+    await q.run('CREATE INDEX IF NOT EXISTS idx_assembleia_minutes_signatories ON assembleia_minutes_signatories (minutes_id, position)');
+
+    await q.run(`
+      CREATE TABLE IF NOT EXISTS assembleia_deliberation_notices (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        assembleia_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        admin_message_id INTEGER,
+        units TEXT NOT NULL,
+        details TEXT NOT NULL,
+        email TEXT,
+        emailed_at DATETIME,
+        read_at DATETIME,
+        registered_mail TEXT,
+        letter_sent_at DATE,
+        delivered_at DATE,
+        returned INTEGER NOT NULL DEFAULT 0,
+        notes TEXT,
+        sent_by INTEGER,
+        sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (assembleia_id) REFERENCES assembleias (id),
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (admin_message_id) REFERENCES admin_messages (id),
+        FOREIGN KEY (sent_by) REFERENCES admins (id)
+      )
+    `);
+    await q.run('CREATE INDEX IF NOT EXISTS idx_assembleia_deliberation_notices ON assembleia_deliberation_notices (assembleia_id, user_id, sent_at)');
+  },
+
+  async down(q) {
+    await q.run('DROP TABLE IF EXISTS assembleia_deliberation_notices');
+    await q.run('DROP TABLE IF EXISTS assembleia_minutes_signatories');
+    await q.run('DROP TABLE IF EXISTS assembleia_minutes');
+  }
+};
@@ -0,0 +1,62 @@
+// Money helpers for the finance modules. Amounts are stored as integer cents (columns named
+// *_cents) and exchanged with clients in euros with two decimals.
+
+/**
+ * Euros from a request (12.5, "12,50", "1 234,56") to cents. Further decimals round half away
+ * from zero, worked out on the digits (1.005 * 100 is 100.49999... in floating point).
+ * @returns {number|null} cents, or null when the value is not an amount
+ */
+function toCents(value) {
+  if (value === null || value === undefined || value === '') return null;
+  let text = String(value).trim().replace(/[\s€]/g, '');
+  // "1.234,56" and "1,234.56": the last separator is the decimal one
+  const comma = text.lastIndexOf(',');
+  const dot = text.lastIndexOf('.');
+  if (comma > dot) text = text.replace(/\./g, '').replace(',', '.');
+  else if (comma !== -1) text = text.replace(/,/g, '');
+  const match = /^(-?)(\d+)(?:\.(\d+))?$/.exec(text);
+  if (!match) return null;
+  const fraction = match[3] || '';
+  const cents = Number(match[2]) * 100 + Number(fraction.slice(0, 2).padEnd(2, '0')) + (fraction[2] >= '5' ? 1 : 0);
+  return match[1] && cents ? -cents : cents;
+}
+
+/** Cents to euros (number). */
+function toEuros(cents) {
+  return cents === null || cents === undefined ? null : Math.round(cents) / 100;
+}
+
+/** Cents as "1 234,56 €". */
+function formatEuros(cents) {
+  const sign = cents < 0 ? '-' : '';
+  const abs = Math.abs(Math.round(cents || 0));
+  const units = String(Math.floor(abs / 100)).replace(/\B(?=(\d{3})+(?!\d))/g, ' ');
+  return `${sign}${units},${String(abs % 100).padStart(2, '0')} €`;
+}
+
+/**
+ * Splits `cents` in proportion to `weights` so that the parts add up exactly: each part is
+ * rounded down and the cents left over go to the largest remainders (ties to the first).
+ * @param {number} cents
+ * @param {number[]} weights - non-negative; all zero splits nothing
+ * @returns {number[]}
+ */
+function allocate(cents, weights) {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (!total) return weights.map(() => 0);
+  const sign = cents < 0 ? -1 : 1;
+  const amount = Math.abs(cents);
+  const exact = weights.map(w => (amount * w) / total);
+  const parts = exact.map(Math.floor);
+  let left = amount - parts.reduce((sum, p) => sum + p, 0);
+  const order = exact.map((e, i) => ({ i, r: e - parts[i] })).sort((a, b) => b.r - a.r || a.i - b.i);
+  for (let k = 0; left > 0; k = (k + 1) % order.length, left--) parts[order[k].i]++;
+  return parts.map(p => sign * p);
+}
+
+module.exports = {
+  toCents,
+  toEuros,
+  formatEuros,
+  allocate
+};
@@ -0,0 +1,169 @@
+const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const mailer = require('./mailer');
+
+// Self-service "forgot password" for residents.
+// A reset link is mailed to the user's email1; the token is single-use, expires after
+// PASSWORD_RESET_TTL_MINUTES and only its SHA-256 hash is stored. Requests count against the
+// login throttle as actor type 'password_reset', keyed on the NIF (see login-throttle.js).
+
+const TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const MIN_PASSWORD_LENGTH = 6;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+module.exports = function(db, sessions, loginThrottle) {
+  const router = express.Router();
+
+  function findValidToken(token) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT * FROM password_reset_tokens
+         WHERE token_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+        [sha256(token)],
+        (err, row) => (err ? reject(err) : resolve(row || null))
+      );
+    });
+  }
+
+  function buildResetLink(token) {
+    const base = (process.env.APP_BASE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    return `${base}/reset-password?token=${encodeURIComponent(token)}`;
+  }
+
+  // Invalidates the user's earlier links and mails a new one
+  async function sendResetLink(nif, ip) {
+    const user = await new Promise((resolve, reject) => {
+      db.get('SELECT id, nome, email1 FROM users WHERE nif = ?', [nif], (err, row) => (err ? reject(err) : resolve(row)));
+    });
+
+    if (!user || !user.email1 || !String(user.email1).includes('@')) {
+      console.log('🔑 Password reset requested for an unknown NIF or a user without email1');
+      return;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    // Only the most recent link stays valid
+    await new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+        [user.id],
+        (err) => (err ? reject(err) : resolve())
+      );
+    });
+    await new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+         VALUES (?, ?, datetime('now', ?), ?)`,
+        [user.id, sha256(token), `+${TOKEN_TTL_MINUTES} minutes`, ip],
+        (err) => (err ? reject(err) : resolve())
+      );
+    });
+
+    const link = buildResetLink(token);
+    await mailer.sendMail({
+      to: String(user.email1).trim(),
+      subject: 'DomusGest - Redefinição de password',
+      text: `Olá ${user.nome || ''},\n\n` +
+        'Foi pedida a redefinição da sua password no DomusGest.\n' +
+        `Use o link seguinte nos próximos ${TOKEN_TTL_MINUTES} minutos:\n\n${link}\n\n` +
+        'Se não fez este pedido, ignore este e-mail.'
+    });
+
+    console.log(`🔑 Password reset link sent to user ${user.id}`);
+  }
+
+  // Request a reset link. Always answers the same way, at once, so NIFs cannot be enumerated
+  // by the answer or its timing: the link is looked up and mailed after responding. Requests
+  // go through the login throttle (per NIF and per IP) so inboxes cannot be flooded.
+  router.post('/api/password-reset/request', async (req, res) => {
+    const nif = (req.body && req.body.nif ? String(req.body.nif) : '').trim();
+    if (!nif) {
+      return res.status(400).json({ error: 'NIF é obrigatório' });
+    }
+
+    const genericResponse = {
+      success: true,
+      message: 'Se o NIF estiver registado com um e-mail, receberá as instruções para redefinir a password.'
+    };
+
+    let gate;
+    try {
+      gate = await loginThrottle.check('password_reset', nif, req.ip);
+      if (gate.allowed) await loginThrottle.recordFailure(gate, 'reset_requested');
+    } catch (error) {
+      console.error('Error throttling password reset request:', error);
+      return res.status(500).json({ error: 'Erro ao processar pedido de redefinição' });
+    }
+
+    res.json(genericResponse);
+    if (!gate.allowed) {
+      console.warn(`🔑 Password reset request throttled (${gate.code})`);
+      return;
+    }
+    sendResetLink(nif, req.ip).catch((error) => console.error('Error sending password reset link:', error));
+  });
+
+  // Check a token before showing the reset form
+  router.get('/api/password-reset/validate', async (req, res) => {
+    const token = (req.query.token || '').toString();
+    if (!token) return res.status(400).json({ error: 'Token é obrigatório' });
+
+    try {
+      const row = await findValidToken(token);
+      if (!row) return res.status(400).json({ valid: false, error: 'Link inválido ou expirado' });
+      res.json({ valid: true, expires_at: row.expires_at });
+    } catch (error) {
+      console.error('Error validating password reset token:', error);
+      res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  });
+
+  // Set a new password with a valid token; the token is consumed
+  router.post('/api/password-reset/confirm', async (req, res) => {
+    const { token, newPassword } = req.body || {};
+    if (!token || !newPassword) {
+      return res.status(400).json({ error: 'Token e nova password são obrigatórios' });
+    }
+    if (String(newPassword).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `A password deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres` });
+    }
+
+    try {
+      const row = await findValidToken(String(token));
+      if (!row) return res.status(400).json({ error: 'Link inválido ou expirado' });
+
+      // Consume the token first so a concurrent request cannot reuse it
+      const consumed = await new Promise((resolve, reject) => {
+        db.run(
+          'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+          [row.id],
+          function(err) { if (err) reject(err); else resolve(this.changes); }
+        );
+      });
+      if (!consumed) return res.status(400).json({ error: 'Link inválido ou expirado' });
+
+      const hashed = await bcrypt.hash(String(newPassword), 10);
+      await new Promise((resolve, reject) => {
+        db.run(
+          'UPDATE users SET password = ?, must_change_password = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [hashed, row.user_id],
+          (err) => (err ? reject(err) : resolve())
+        );
+      });
+      await sessions.revokeActorSessions('resident', row.user_id);
+
+      console.log(`🔑 Password reset completed for user ${row.user_id}`);
+      res.json({ success: true, message: 'Password redefinida com sucesso' });
+    } catch (error) {
+      console.error('Error confirming password reset:', error);
+      res.status(500).json({ error: 'Erro ao redefinir password' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,216 @@
+// Minimal PDF writer for the documents the backend generates (budgets, receipts, statements).
+// Text only, in the standard Helvetica fonts (no embedding), A4 pages with automatic page breaks,
+// word wrapping and simple tables. Text is encoded as WinAnsi, which covers Portuguese, € and ‰.
+
+const PAGE = { width: 595.28, height: 841.89, margin: 50 };
+
+// Glyph widths (1/1000 em) of ASCII 32..126 in Helvetica and Helvetica-Bold
+const WIDTHS = {
+  regular: [278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+    556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778,
+    722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500,
+    222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584],
+  bold: [278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+    556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778,
+    722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556,
+    278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584]
+};
+
+// WinAnsi codes of the characters outside Latin-1
+const WIN_ANSI = { '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‰': 0x89, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97 };
+const SPECIAL_WIDTHS = { '€': 556, '‰': 1000, '…': 1000, '•': 350, '–': 556, '—': 1000, 'º': 365, 'ª': 370, '°': 400 };
+
+function charWidth(ch, bold) {
+  const table = bold ? WIDTHS.bold : WIDTHS.regular;
+  const code = ch.charCodeAt(0);
+  if (code >= 32 && code <= 126) return table[code - 32];
+  if (SPECIAL_WIDTHS[ch]) return SPECIAL_WIDTHS[ch];
+  // Accented letters are as wide as the base letter
+  const base = ch.normalize('NFD')[0];
+  const baseCode = base.charCodeAt(0);
+  return baseCode >= 32 && baseCode <= 126 ? table[baseCode - 32] : 556;
+}
+
+/** Width of a string in points. */
+function textWidth(text, size, bold) {
+  let units = 0;
+  for (const ch of String(text)) units += charWidth(ch, bold);
+  return (units * size) / 1000;
+}
+
+/** A PDF string literal: WinAnsi bytes, non-ASCII as octal escapes. */
+function encode(text) {
+  let out = '';
+  for (const ch of String(text)) {
+    let code = WIN_ANSI[ch] !== undefined ? WIN_ANSI[ch] : ch.charCodeAt(0);
+    if (code > 255) code = 63; // '?'
+    if (ch === '(' || ch === ')' || ch === '\\') out += `\\${ch}`;
+    else if (code < 32 || code > 126) out += `\\${code.toString(8).padStart(3, '0')}`;
+    else out += ch;
+  }
+  return `(${out})`;
+}
+
+/** Splits text into lines no wider than `width`. */
+function wrap(text, width, size, bold) {
+  const lines = [];
+  for (const paragraph of String(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && textWidth(candidate, size, bold) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * A document being written, top to bottom.
+ * @param {object} [info]
+ * @param {string} [info.title] - document title (metadata)
+ * @param {string} [info.footer] - printed at the bottom of every page, with the page number
+ */
+function document(info = {}) {
+  const pages = [];
+  let ops = null;
+  let y = 0;
+  const contentWidth = PAGE.width - 2 * PAGE.margin;
+
+  function newPage() {
+    ops = [];
+    pages.push(ops);
+    y = PAGE.height - PAGE.margin;
+  }
+
+  function ensure(height) {
+    if (!ops || y - height < PAGE.margin + 20) newPage();
+  }
+
+  function put(text, x, size, bold) {
+    ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td ${encode(text)} Tj ET`);
+  }
+
+  function xFor(text, size, bold, align, left, width) {
+    if (align === 'right') return left + width - textWidth(text, size, bold);
+    if (align === 'center') return left + (width - textWidth(text, size, bold)) / 2;
+    return left;
+  }
+
+  const doc = {
+    /** Paragraph of wrapped text. Options: size (10), bold, align ('left'|'center'|'right'), gap (after). */
+    text(text, { size = 10, bold = false, align = 'left', gap = 4 } = {}) {
+      const leading = size * 1.3;
+      for (const line of wrap(text, contentWidth, size, bold)) {
+        ensure(leading);
+        y -= leading;
+        put(line, xFor(line, size, bold, align, PAGE.margin, contentWidth), size, bold);
+      }
+      y -= gap;
+      return doc;
+    },
+
+    heading(text, { size = 14 } = {}) {
+      return doc.text(text, { size, bold: true, gap: 8 });
+    },
+
+    space(points = 10) {
+      ensure(points);
+      y -= points;
+      return doc;
+    },
+
+    /** Starts a new page, e.g. for the next document of a batch. */
+    page() {
+      newPage();
+      return doc;
+    },
+
+    /** Horizontal rule across the page. */
+    rule() {
+      ensure(6);
+      y -= 3;
+      ops.push(`0.5 w ${PAGE.margin} ${y.toFixed(2)} m ${PAGE.width - PAGE.margin} ${y.toFixed(2)} l S`);
+      y -= 3;
+      return doc;
+    },
+
+    /**
+     * Table with a header row. Cells are cut to fit their column.
+     * @param {{label: string, width: number, align?: string}[]} columns - widths as fractions of the page width
+     * @param {string[][]} rows
+     * @param {{footer?: string[], size?: number}} [options] - footer row in bold (totals)
+     */
+    table(columns, rows, { footer, size = 9 } = {}) {
+      const leading = size * 1.5;
+      const widths = columns.map(c => c.width * contentWidth);
+      const line = (cells, bold) => {
+        ensure(leading);
+        y -= leading;
+        let left = PAGE.margin;
+        cells.forEach((cell, i) => {
+          let text = cell === null || cell === undefined ? '' : String(cell);
+          while (text && textWidth(text, size, bold) > widths[i] - 4) text = text.slice(0, -1);
+          put(text, xFor(text, size, bold, columns[i].align, left + 2, widths[i] - 4), size, bold);
+          left += widths[i];
+        });
+      };
+      line(columns.map(c => c.label), true);
+      doc.rule();
+      rows.forEach(r => line(r, false));
+      if (footer) {
+        doc.rule();
+        line(footer, true);
+      }
+      y -= 6;
+      return doc;
+    },
+
+    /** The finished file. */
+    toBuffer() {
+      if (!pages.length) newPage();
+      const objects = [];
+      const add = (body) => objects.push(body) && objects.length;
+
+      const catalog = add(null);
+      const pagesId = add(null);
+      const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      const kids = pages.map((pageOps, index) => {
+        const footer = [...pageOps];
+        const label = `${info.footer ? `${info.footer} — ` : ''}Página ${index + 1} de ${pages.length}`;
+        footer.push(`BT /F1 8 Tf ${PAGE.margin} ${PAGE.margin - 20} Td ${encode(label)} Tj ET`);
+        const stream = footer.join('\n');
+        const content = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] ` +
+          `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${content} 0 R >>`);
+      });
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+      const infoId = add(`<< /Title ${encode(info.title || '')} /Producer (DomusGest) >>`);
+
+      let out = '%PDF-1.4\n';
+      const offsets = objects.map((body, i) => {
+        const offset = Buffer.byteLength(out, 'latin1');
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+      const xref = Buffer.byteLength(out, 'latin1');
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+      out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return Buffer.from(out, 'latin1');
+    }
+  };
+  return doc;
+}
+
+module.exports = {
+  document,
+  textWidth
+};
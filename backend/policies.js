@@ -0,0 +1,325 @@
+// Authorization policy for every route, in the same order the routes are declared in
+// server.js (first match wins, so specific paths must precede parameterised ones).
+// See authorization.js for the meaning of roles, `self`, `member`, `condominium` and
+// `permission` (the admin permission names are listed in admin-roles.js).
+
+module.exports = function({ fromParam, fromBody, condominiumOf }) {
+  const PUBLIC = { public: true };
+  const ANY = { authenticated: true };
+  const MAIN_ADMIN = { roles: ['mainAdmin'] };
+  const ADMIN = { roles: ['admin'] };
+  const MAINTENANCE = { roles: ['maintenance'] };
+  // Admin routes still open to an admin who is required to enrol in 2FA but has not yet
+  const ADMIN_2FA_SETUP = { roles: ['admin'], twoFactorSetup: true };
+  // Changing one's own password stays open to an account that must still change it (and enrol in 2FA)
+  const ADMIN_PASSWORD_CHANGE = { roles: ['admin'], twoFactorSetup: true, passwordChange: true };
+  const MAINTENANCE_PASSWORD_CHANGE = { roles: ['maintenance'], passwordChange: true };
+
+  // Admin holding `permission` (for the resource's condominium when `condominium` is given)
+  const can = (permission, condominium) => ({ roles: ['admin'], permission, condominium });
+  // Admin holding `permission` for every condominium
+  const fullAdmin = (permission) => ({ roles: ['fullAdmin'], permission });
+
+  // Resident reading their own data; admins only for users inside their condominiums
+  const userSelf = (param, permission = 'users.read') => ({
+    roles: ['admin', 'resident'], permission, self: fromParam(param), condominium: condominiumOf.user(param)
+  });
+  const residentSelf = (param) => ({ roles: ['resident'], self: fromParam(param) });
+  const adminOfUser = (param) => can('users.write', condominiumOf.user(param));
+
+  return [
+    // ---- Authentication ----
+    ['post', '/api/admin/login', PUBLIC],
+    ['post', '/api/maintenance/login', PUBLIC],
+    ['post', '/api/login', PUBLIC],
+    ['post', '/api/auth/refresh', PUBLIC],
+    ['post', '/api/auth/logout', ANY],
+    ['get', '/api/auth/session', ANY],
+    // Verifies the current password itself, so it stays reachable before a session exists
+    ['post', '/api/change-password', PUBLIC],
+    ['post', '/api/password-reset/request', PUBLIC],
+    ['get', '/api/password-reset/validate', PUBLIC],
+    ['post', '/api/password-reset/confirm', PUBLIC],
+    ['get', '/api/health', PUBLIC],
+
+    // ---- Notifications (admin) ----
+    ['get', '/api/notifications/stream', ADMIN],
+    ['get', '/api/notifications/unread-count', ADMIN],
+    ['put', '/api/notifications/mark-all-read', ADMIN],
+    ['get', '/api/notifications', ADMIN],
+    ['put', '/api/notifications/:id/read', ADMIN],
+
+    // ---- Admin messages ----
+    ['get', '/api/admin/messages/:id/files/:fileId', { roles: ['admin', 'resident'], permission: 'messages.read', condominium: condominiumOf.adminMessage('id') }],
+    ['get', '/api/admin/messages', can('messages.read')],
+    ['post', '/api/admin/messages', can('messages.write')], // targets are filtered by scope in the handler
+    ['get', '/api/admin/messages/:id', can('messages.read', condominiumOf.userMessage('id'))],
+    ['put', '/api/admin/messages/:id', can('messages.write', condominiumOf.userMessage('id'))],
+    ['delete', '/api/admin/messages/:id', can('messages.write', condominiumOf.userMessage('id'))],
+
+    // ---- Users ----
+    ['get', '/api/users', can('users.read')],
+    ['post', '/api/users', can('users.write', fromBody('condominium_id', 'condominiumId'))],
+    ['get', '/api/users/search', can('users.read')],
+    ['get', '/api/users/:id/admin-messages', userSelf('id', 'messages.read')],
+    ['get', '/api/users/:userId/admin-messages/:messageId', userSelf('userId', 'messages.read')],
+    ['get', '/api/users/:id/condominiums', userSelf('id')],
+    ['get', '/api/users/:id/fracoes', userSelf('id')],
+    ['post', '/api/users/:id/condominiums', can('users.write', fromBody('condominium_id', 'condominiumId'))],
+    ['put', '/api/users/:userId/condominiums/:condominiumId', can('users.write', fromParam('condominiumId'))],
+    ['delete', '/api/users/:userId/condominiums/:condominiumId', can('users.write', fromParam('condominiumId'))],
+    ['get', '/api/users/:id/next-assembleia', userSelf('id', 'assembleias.read')],
+    ['get', '/api/users/:id/assembleias', userSelf('id', 'assembleias.read')],
+    ['get', '/api/users/:id/assembleias-anteriores', userSelf('id', 'assembleias.read')],
+    ['get', '/api/users/:userId/assembleias/:assembleiaId', userSelf('userId', 'assembleias.read')],
+    ['get', '/api/users/:userId/assembleias/:assembleiaId/convocatoria/pdf', userSelf('userId', 'assembleias.read')],
+    ['get', '/api/users/:userId/assembleias/:assembleiaId/results', userSelf('userId', 'assembleias.read')],
+    ['get', '/api/users/:userId/assembleias/:assembleiaId/evoting', residentSelf('userId')],
+    ['post', '/api/users/:userId/assembleias/:assembleiaId/evotes', residentSelf('userId')],
+    ['get', '/api/users/:userId/assembleias/:assembleiaId/evotes/:receipt', residentSelf('userId')],
+    ['get', '/api/users/:userId/assembleias/:assembleiaId/deliberations/pdf', userSelf('userId', 'assembleias.read')],
+    ['get', '/api/users/:userId/documents/:fileId', { roles: ['admin', 'resident'], permission: 'assembleias.read', self: fromParam('userId'), condominium: condominiumOf.assembleiaFile('fileId') }],
+    ['get', '/api/users/:id/notifications/unread-count', residentSelf('id')],
+    ['get', '/api/users/:userId/notifications', residentSelf('userId')],
+    ['put', '/api/users/:userId/notifications/:notificationId/read', residentSelf('userId')],
+    ['get', '/api/users/:userId/maintenance-work', userSelf('userId', 'ocorrencias.read')],
+    ['get', '/api/users/:userId/ocorrencias', userSelf('userId', 'ocorrencias.read')],
+    ['get', '/api/users/:userId/messages', userSelf('userId', 'messages.read')],
+    ['put', '/api/users/:id/profile', residentSelf('id')],
+    ['get', '/api/users/:id', userSelf('id')],
+    ['put', '/api/users/:id', adminOfUser('id')],
+    ['delete', '/api/users/:id', adminOfUser('id')],
+
+    // Legacy paths without the /api prefix
+    ['get', '/users/:id/next-assembleia', userSelf('id', 'assembleias.read')],
+    ['get', '/users/:id/assembleias', userSelf('id', 'assembleias.read')],
+    ['get', '/users/:id/assembleias-anteriores', userSelf('id', 'assembleias.read')],
+
+    // ---- Condominiums ----
+    ['get', '/api/condominiums', { roles: ['admin', 'maintenance', 'resident'] }], // scope and columns filtered in handler
+    ['post', '/api/condominiums', fullAdmin('condominiums.write')],
+    ['get', '/api/condominiums/:id', { roles: ['admin', 'resident'], permission: 'condominiums.read', condominium: fromParam('id') }],
+    ['put', '/api/condominiums/:id', can('condominiums.write', fromParam('id'))],
+    ['delete', '/api/condominiums/:id', MAIN_ADMIN],
+    ['get', '/api/condominiums/:id/users', can('users.read', fromParam('id'))],
+    ['get', '/api/condominiums/:id/fracoes', { roles: ['admin', 'resident'], permission: 'condominiums.read', condominium: fromParam('id') }],
+    ['post', '/api/condominiums/:id/fracoes', can('condominiums.write', fromParam('id'))],
+    ['put', '/api/condominiums/:id/fracoes/permilagem', can('condominiums.write', fromParam('id'))],
+    ['get', '/api/fracoes/:id', can('condominiums.read', condominiumOf.fracao('id'))],
+    ['put', '/api/fracoes/:id', can('condominiums.write', condominiumOf.fracao('id'))],
+    ['delete', '/api/fracoes/:id', can('condominiums.write', condominiumOf.fracao('id'))],
+    ['post', '/api/fracoes/:id/residents', can('users.write', condominiumOf.fracao('id'))],
+    ['delete', '/api/fracoes/:id/residents/:userId', can('users.write', condominiumOf.fracao('id'))],
+    ['put', '/api/fracoes/:id/relationships/:relationshipId', can('users.write', condominiumOf.fracao('id'))],
+    ['delete', '/api/fracoes/:id/relationships/:relationshipId', can('users.write', condominiumOf.fracao('id'))],
+    ['post', '/api/fracoes/:id/transfer', can('users.write', condominiumOf.fracao('id'))],
+    ['put', '/api/fracoes/:id/voter', can('users.write', condominiumOf.fracao('id'))],
+    ['get', '/api/condominiums/:id/assembleias', { roles: ['admin', 'resident'], permission: 'assembleias.read', condominium: fromParam('id') }],
+    ['post', '/api/admin/condominiums/:id/users', can('users.write', fromParam('id'))],
+    ['post', '/api/admin/condominiums/:id/import-users', can('data.import', fromParam('id'))],
+    ['post', '/api/admin/condominiums/:id/import-csv', can('data.import', fromParam('id'))],
+
+    // ---- Finance ----
+    ['get', '/api/condominiums/:id/budgets', can('finance.read', fromParam('id'))],
+    ['post', '/api/condominiums/:id/budgets', can('finance.write', fromParam('id'))],
+    ['get', '/api/budgets/:id', can('finance.read', condominiumOf.budget('id'))],
+    ['put', '/api/budgets/:id', can('finance.write', condominiumOf.budget('id'))],
+    ['delete', '/api/budgets/:id', can('finance.write', condominiumOf.budget('id'))],
+    ['post', '/api/budgets/:id/approve', can('finance.write', condominiumOf.budget('id'))],
+    ['post', '/api/budgets/:id/reopen', can('finance.write', condominiumOf.budget('id'))],
+    ['get', '/api/budgets/:id/comparison', can('finance.read', condominiumOf.budget('id'))],
+    ['get', '/api/budgets/:id/pdf', can('finance.read', condominiumOf.budget('id'))],
+    ['post', '/api/condominiums/:id/billing-runs/preview', can('finance.write', fromParam('id'))],
+    ['post', '/api/condominiums/:id/billing-runs', can('finance.write', fromParam('id'))],
+    ['get', '/api/condominiums/:id/billing-runs', can('finance.read', fromParam('id'))],
+    ['get', '/api/billing-runs/:id', can('finance.read', condominiumOf.billingRun('id'))],
+    ['delete', '/api/billing-runs/:id', can('finance.write', condominiumOf.billingRun('id'))],
+    ['get', '/api/condominiums/:id/balances', can('finance.read', fromParam('id'))],
+    ['get', '/api/fracoes/:id/ledger', can('finance.read', condominiumOf.fracao('id'))],
+    ['post', '/api/fracoes/:id/charges', can('finance.write', condominiumOf.fracao('id'))],
+    ['delete', '/api/charges/:id', can('finance.write', condominiumOf.charge('id'))],
+    ['post', '/api/condominiums/:id/charges/import', can('finance.write', fromParam('id'))],
+    ['post', '/api/fracoes/:id/payments', can('finance.write', condominiumOf.fracao('id'))],
+    ['delete', '/api/payments/:id', can('finance.write', condominiumOf.payment('id'))],
+    ['get', '/api/users/:id/balances', userSelf('id', 'finance.read')],
+    ['post', '/api/condominiums/:id/bank-statements', can('finance.write', fromParam('id'))],
+    ['get', '/api/condominiums/:id/bank-statements', can('finance.read', fromParam('id'))],
+    ['get', '/api/bank-statements/:id', can('finance.read', condominiumOf.bankStatement('id'))],
+    ['delete', '/api/bank-statements/:id', can('finance.write', condominiumOf.bankStatement('id'))],
+    ['get', '/api/condominiums/:id/reconciliation', can('finance.read', fromParam('id'))],
+    ['post', '/api/condominiums/:id/reconciliation/run', can('finance.write', fromParam('id'))],
+    ['post', '/api/bank-transactions/:id/match', can('finance.write', condominiumOf.bankTransaction('id'))],
+    ['delete', '/api/bank-transactions/:id/match', can('finance.write', condominiumOf.bankTransaction('id'))],
+    ['post', '/api/bank-transactions/:id/ignore', can('finance.write', condominiumOf.bankTransaction('id'))],
+    ['get', '/api/condominiums/:id/sepa', can('finance.read', fromParam('id'))],
+    ['put', '/api/condominiums/:id/sepa', can('finance.write', fromParam('id'))],
+    ['get', '/api/condominiums/:id/sepa-mandates', can('finance.read', fromParam('id'))],
+    ['post', '/api/fracoes/:id/sepa-mandates', can('finance.write', condominiumOf.fracao('id'))],
+    ['put', '/api/sepa-mandates/:id', can('finance.write', condominiumOf.sepaMandate('id'))],
+    ['delete', '/api/sepa-mandates/:id', can('finance.write', condominiumOf.sepaMandate('id'))],
+    ['post', '/api/condominiums/:id/sepa-batches/preview', can('finance.write', fromParam('id'))],
+    ['post', '/api/condominiums/:id/sepa-batches', can('finance.write', fromParam('id'))],
+    ['get', '/api/condominiums/:id/sepa-batches', can('finance.read', fromParam('id'))],
+    ['get', '/api/sepa-batches/:id', can('finance.read', condominiumOf.sepaBatch('id'))],
+    ['get', '/api/sepa-batches/:id/xml', can('finance.read', condominiumOf.sepaBatch('id'))],
+    ['delete', '/api/sepa-batches/:id', can('finance.write', condominiumOf.sepaBatch('id'))],
+    ['post', '/api/condominiums/:id/sepa-returns', can('finance.write', fromParam('id'))],
+    ['get', '/api/condominiums/:id/receipts', can('finance.read', fromParam('id'))],
+    ['get', '/api/receipts/:id/pdf', can('finance.read', condominiumOf.receipt('id'))],
+    ['get', '/api/fracoes/:id/statement/pdf', can('finance.read', condominiumOf.fracao('id'))],
+    ['get', '/api/fracoes/:id/debt-declarations', can('finance.read', condominiumOf.fracao('id'))],
+    ['post', '/api/fracoes/:id/debt-declarations', can('finance.write', condominiumOf.fracao('id'))],
+    ['get', '/api/debt-declarations/:id/pdf', can('finance.read', condominiumOf.debtDeclaration('id'))],
+    ['post', '/api/condominiums/:id/documents', can('finance.write', fromParam('id'))],
+    ['get', '/api/users/:userId/receipts', userSelf('userId', 'finance.read')],
+    ['get', '/api/users/:userId/receipts/:receiptId/pdf', userSelf('userId', 'finance.read')],
+    ['get', '/api/users/:userId/fracoes/:fracaoId/statement/pdf', userSelf('userId', 'finance.read')],
+    ['get', '/api/users/:userId/debt-declarations', userSelf('userId', 'finance.read')],
+    ['post', '/api/users/:userId/fracoes/:fracaoId/debt-declarations', residentSelf('userId')],
+    ['get', '/api/users/:userId/debt-declarations/:declarationId/pdf', userSelf('userId', 'finance.read')],
+    ['get', '/api/condominiums/:id/debtors', can('finance.read', fromParam('id'))],
+    ['get', '/api/condominiums/:id/arrears-settings', can('finance.read', fromParam('id'))],
+    ['put', '/api/condominiums/:id/arrears-settings', can('finance.write', fromParam('id'))],
+    ['post', '/api/condominiums/:id/arrears/reminders', can('finance.write', fromParam('id'))],
+    ['post', '/api/condominiums/:id/arrears/letters', can('finance.write', fromParam('id'))],
+    ['get', '/api/arrears-actions/:id/letter/pdf', can('finance.read', condominiumOf.arrearsAction('id'))],
+    ['get', '/api/fracoes/:id/arrears', can('finance.read', condominiumOf.fracao('id'))],
+    ['post', '/api/fracoes/:id/arrears/actions', can('finance.write', condominiumOf.fracao('id'))],
+    ['delete', '/api/arrears-actions/:id', can('finance.write', condominiumOf.arrearsAction('id'))],
+    ['get', '/api/condominiums/:id/reserve-fund', can('finance.read', fromParam('id'))],
+    ['put', '/api/condominiums/:id/reserve-fund', can('finance.write', fromParam('id'))],
+    ['post', '/api/condominiums/:id/reserve-fund/movements', can('finance.write', fromParam('id'))],
+    ['delete', '/api/reserve-fund/movements/:id', can('finance.write', condominiumOf.reserveMovement('id'))],
+    ['get', '/api/reserve-fund/alerts', can('finance.read')], // filtered by scope in the handler
+    ['get', '/api/condominiums/:id/expenses', can('finance.read', fromParam('id'))],
+    ['post', '/api/condominiums/:id/expenses', can('finance.write', fromParam('id'))],
+    ['get', '/api/condominiums/:id/suppliers', can('finance.read', fromParam('id'))],
+    ['get', '/api/expenses/:id', can('finance.read', condominiumOf.expense('id'))],
+    ['put', '/api/expenses/:id', can('finance.write', condominiumOf.expense('id'))],
+    ['delete', '/api/expenses/:id', can('finance.write', condominiumOf.expense('id'))],
+    ['get', '/api/expenses/:id/document', can('finance.read', condominiumOf.expense('id'))],
+    ['post', '/api/expenses/:id/payment', can('finance.write', condominiumOf.expense('id'))],
+    ['delete', '/api/expenses/:id/payment', can('finance.write', condominiumOf.expense('id'))],
+    ['get', '/api/payables', can('finance.read')], // filtered by scope in the handler
+
+    // ---- Imports / exports ----
+    ['post', '/api/import-csv', fullAdmin('data.import')],
+    ['post', '/api/import-csv-enhanced', fullAdmin('data.import')],
+    ['post', '/api/import-users-csv', fullAdmin('data.import')],
+    ['post', '/api/reset-and-import', MAIN_ADMIN],
+    ['get', '/api/export-data', MAIN_ADMIN],
+    ['get', '/api/admin/snapshots', MAIN_ADMIN],
+    ['post', '/api/admin/snapshots', MAIN_ADMIN],
+    ['post', '/api/admin/snapshots/:id/restore', MAIN_ADMIN],
+    ['get', '/api/admin/imports', can('data.import')], // scope filtered in handler
+    ['post', '/api/admin/imports', fullAdmin('data.import')],
+    ['post', '/api/admin/condominiums/:id/imports', can('data.import', fromParam('id'))],
+    ['get', '/api/admin/imports/:id', can('data.import', condominiumOf.importJob('id'))],
+    ['put', '/api/admin/imports/:id', can('data.import', condominiumOf.importJob('id'))],
+    ['delete', '/api/admin/imports/:id', can('data.import', condominiumOf.importJob('id'))],
+    ['post', '/api/admin/imports/:id/dry-run', can('data.import', condominiumOf.importJob('id'))],
+    ['post', '/api/admin/imports/:id/commit', can('data.import', condominiumOf.importJob('id'))],
+    ['get', '/api/admin/imports/:id/errors.csv', can('data.import', condominiumOf.importJob('id'))],
+
+    // ---- Assembleias ----
+    ['get', '/api/assembleias', can('assembleias.read')],
+    ['post', '/api/assembleias', can('assembleias.write', fromBody('condominium_id'))],
+    ['put', '/api/assembleias/:id', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['delete', '/api/assembleias/:id', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['get', '/api/assembleias/:id/files', { roles: ['admin', 'resident'], permission: 'assembleias.read', condominium: condominiumOf.assembleia('id') }],
+    ['post', '/api/assembleias/:id/files', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['get', '/api/assembleias/:assembleiaId/files/:fileId/download', { roles: ['admin', 'resident'], permission: 'assembleias.read', condominium: condominiumOf.assembleia('assembleiaId') }],
+    ['delete', '/api/assembleias/:assembleiaId/files/:fileId', can('assembleias.write', condominiumOf.assembleia('assembleiaId'))],
+    ['get', '/api/assembleias/:id/agenda', can('assembleias.read', condominiumOf.assembleia('id'))],
+    ['post', '/api/assembleias/:id/agenda', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['put', '/api/assembleias/:id/agenda/order', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['put', '/api/assembleias/:id/agenda/:itemId', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['delete', '/api/assembleias/:id/agenda/:itemId', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['get', '/api/assembleias/:id/convocations', can('assembleias.read', condominiumOf.assembleia('id'))],
+    ['get', '/api/assembleias/:id/convocatoria/pdf', can('assembleias.read', condominiumOf.assembleia('id'))],
+    ['post', '/api/assembleias/:id/convocations', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['get', '/api/assembleias/:id/attendance', can('assembleias.read', condominiumOf.assembleia('id'))],
+    ['get', '/api/assembleias/:id/attendance/pdf', can('assembleias.read', condominiumOf.assembleia('id'))],
+    ['put', '/api/assembleias/:id/attendance/:fracaoId', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['delete', '/api/assembleias/:id/attendance/:fracaoId', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['get', '/api/assembleias/:id/attendance/:fracaoId/procuracao', can('assembleias.read', condominiumOf.assembleia('id'))],
+    ['get', '/api/assembleias/:id/votes', can('assembleias.read', condominiumOf.assembleia('id'))],
+    ['put', '/api/assembleias/:id/agenda/:itemId/votes', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['get', '/api/assembleias/:id/evoting', can('assembleias.read', condominiumOf.assembleia('id'))],
+    ['put', '/api/assembleias/:id/evoting', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['get', '/api/assembleias/:id/minutes', can('assembleias.read', condominiumOf.assembleia('id'))],
+    ['post', '/api/assembleias/:id/minutes', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['put', '/api/assembleias/:id/minutes', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['delete', '/api/assembleias/:id/minutes', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['get', '/api/assembleias/:id/minutes/pdf', can('assembleias.read', condominiumOf.assembleia('id'))],
+    ['post', '/api/assembleias/:id/minutes/submit', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['post', '/api/assembleias/:id/minutes/reopen', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['post', '/api/assembleias/:id/minutes/sign', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['post', '/api/assembleias/:id/minutes/signatories', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['delete', '/api/assembleias/:id/minutes/signatories/:signatoryId', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['put', '/api/assembleias/:id/minutes/signatories/:signatoryId/signature', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['get', '/api/assembleias/:id/deliberation-notices', can('assembleias.read', condominiumOf.assembleia('id'))],
+    ['post', '/api/assembleias/:id/deliberation-notices', can('assembleias.write', condominiumOf.assembleia('id'))],
+    ['get', '/api/assembleias/:id/deliberation-notices/pdf', can('assembleias.read', condominiumOf.assembleia('id'))],
+    ['get', '/api/assembleia-convocations/:id/pdf', can('assembleias.read', condominiumOf.assembleiaConvocation('id'))],
+    ['put', '/api/assembleia-deliberation-notices/:id', can('assembleias.write', condominiumOf.deliberationNotice('id'))],
+    ['get', '/api/assembleia-deliberation-notices/:id/pdf', can('assembleias.read', condominiumOf.deliberationNotice('id'))],
+
+    // ---- Ocorrências ----
+    ['get', '/api/admin/ocorrencias', can('ocorrencias.read')], // scope filtered in handler
+    ['post', '/api/admin/ocorrencias', can('ocorrencias.write', fromBody('condominium_id'))],
+    ['put', '/api/admin/ocorrencias/:id/verify', can('ocorrencias.write', condominiumOf.ocorrencia('id'))],
+    ['put', '/api/admin/ocorrencias/:id/complete', can('ocorrencias.write', condominiumOf.ocorrencia('id'))],
+    ['post', '/api/admin/fix-orphaned-maintenance-assignments', MAIN_ADMIN],
+    ['get', '/api/maintenance/ocorrencias/pending', MAINTENANCE],
+    ['get', '/api/maintenance/ocorrencias/completed', MAINTENANCE],
+    ['put', '/api/maintenance/ocorrencias/:id', { roles: ['admin', 'maintenance'], permission: 'ocorrencias.write', condominium: condominiumOf.ocorrencia('id') }],
+    ['post', '/api/ocorrencias/:id/images', { roles: ['admin', 'maintenance'], permission: 'ocorrencias.write', condominium: condominiumOf.ocorrencia('id') }],
+    ['get', '/api/ocorrencias/:id/images', { roles: ['admin', 'maintenance', 'resident'], permission: 'ocorrencias.read', condominium: condominiumOf.ocorrencia('id') }],
+
+    // ---- Admin and maintenance accounts ----
+    ['post', '/api/admin/change-password', ADMIN_PASSWORD_CHANGE],
+    ['get', '/api/admin/2fa', ADMIN_2FA_SETUP],
+    ['post', '/api/admin/2fa/setup', ADMIN_2FA_SETUP],
+    ['post', '/api/admin/2fa/enable', ADMIN_2FA_SETUP],
+    ['post', '/api/admin/2fa/disable', ADMIN],
+    ['post', '/api/admin/2fa/recovery-codes', ADMIN],
+    ['post', '/api/maintenance/change-password', MAINTENANCE_PASSWORD_CHANGE],
+    ['get', '/api/admin/login-lockouts', MAIN_ADMIN],
+    ['post', '/api/admin/login-lockouts/unlock', MAIN_ADMIN],
+    ['get', '/api/admin/login-attempts', MAIN_ADMIN],
+    ['get', '/api/admin/audit-log', can('audit.read')],
+    ['get', '/api/admin/audit-log/export', can('audit.read')],
+    ['get', '/api/admin/roles', MAIN_ADMIN],
+    ['post', '/api/admin/roles', MAIN_ADMIN],
+    ['put', '/api/admin/roles/:id', MAIN_ADMIN],
+    ['delete', '/api/admin/roles/:id', MAIN_ADMIN],
+    ['get', '/api/admins', MAIN_ADMIN],
+    ['post', '/api/admins', MAIN_ADMIN],
+    ['get', '/api/admins/:id', MAIN_ADMIN],
+    ['put', '/api/admins/:id', MAIN_ADMIN],
+    ['get', '/api/admins/:id/roles', MAIN_ADMIN],
+    ['put', '/api/admins/:id/roles', MAIN_ADMIN],
+    ['put', '/api/admins/:id/2fa', MAIN_ADMIN],
+    ['delete', '/api/admins/:id/2fa', MAIN_ADMIN],
+    ['delete', '/api/admins/:id', MAIN_ADMIN],
+    ['post', '/api/admin/reset-passwords-to-nif', MAIN_ADMIN],
+    ['get', '/api/admin/maintenance-users', can('ocorrencias.read')],
+    ['post', '/api/admin/maintenance-users', MAIN_ADMIN],
+    ['put', '/api/admin/maintenance-users/:id', MAIN_ADMIN],
+    ['delete', '/api/admin/maintenance-users/:id', MAIN_ADMIN],
+
+    // ---- Resident messages (reclamações / pedidos) ----
+    ['post', '/api/reclamacoes', { roles: ['resident'], self: fromBody('user_id'), member: fromBody('condominium_id') }],
+    ['post', '/api/pedidos', { roles: ['resident'], self: fromBody('user_id'), member: fromBody('condominium_id') }],
+    ['post', '/api/messages', { roles: ['resident'], self: fromBody('userId'), member: fromBody('condominiumId') }],
+    ['get', '/api/messages/:id', can('messages.read', condominiumOf.userMessage('id'))],
+    ['put', '/api/messages/:id', can('messages.write', condominiumOf.userMessage('id'))],
+    ['delete', '/api/messages/:id', can('messages.write', condominiumOf.userMessage('id'))],
+
+    // ---- Debug helpers ----
+    ['get', '/api/debug/user-condos/:id', MAIN_ADMIN],
+    ['get', '/api/debug/user/:nif', MAIN_ADMIN],
+    ['post', '/api/debug/add-association', MAIN_ADMIN]
+  ];
+};
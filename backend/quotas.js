@@ -0,0 +1,701 @@
+const express = require('express');
+const fs = require('fs');
+const { toCents, toEuros, allocate } = require('./money');
+const csv = require('./csv-import');
+
+// Quota billing. A billing run turns one period of an approved budget (a month, a quarter or the year, by
+// the budget's frequency) into one charge per unit: each budget line is split between the units
+// by permilagem or equally, and each unit's yearly share into equal quotas. Splits are exact to
+// the cent (money.js allocate). Runs are previewed, then posted in one transaction; a posted run
+// can be cancelled (its charges stay, marked cancelled).
+// Payments are recorded per unit, each with its reserve fund contribution (reserve-fund.js) and a
+// receipt numbered per condominium and year (printed by financial-documents.js).
+// A unit's payments settle its charges oldest first, which gives the outstanding and overdue
+// amounts shown in the balances and the ledger.
+
+const MONTHS = ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho', 'julho', 'agosto',
+  'setembro', 'outubro', 'novembro', 'dezembro'];
+
+const PAYMENT_METHODS = {
+  transfer: 'Transferência bancária',
+  mb: 'Multibanco',
+  direct_debit: 'Débito direto',
+  cash: 'Numerário',
+  cheque: 'Cheque',
+  other: 'Outro'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const validDate = (v) => typeof v === 'string' && DATE_PATTERN.test(v) && !isNaN(new Date(`${v}T00:00:00Z`).getTime());
+const today = () => new Date().toISOString().slice(0, 10);
+const isoDate = (year, month, day) => new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+
+/** A date as written in files ("2026-03-05", "05/03/2026", "05-03-2026", "05.03.2026"): ISO, or null. */
+function parseDate(value) {
+  const text = String(value || '').trim();
+  let match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  const [year, month, day] = match ? [match[1], match[2], match[3]]
+    : (match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text)) ? [match[3], match[2], match[1]] : [];
+  if (!year) return null;
+  const iso = isoDate(Number(year), Number(month), Number(day));
+  return iso === `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}` ? iso : null;
+}
+
+// Columns of a charges import (csv-import.js normalizes the header names)
+const CHARGE_COLUMNS = {
+  identifier: ['fracao', 'identificador', 'unidade', 'identifier'],
+  description: ['descricao', 'designacao', 'description'],
+  amount: ['montante', 'valor', 'valor em divida', 'divida', 'amount'],
+  due_date: ['vencimento', 'data de vencimento', 'data vencimento', 'due date'],
+  issue_date: ['data', 'data de emissao', 'emissao', 'issue date']
+};
+
+/**
+ * A billing period: "2026-03" (month), "2026-Q1" (quarter) or "2026" (year).
+ * @returns {{year: number, frequency: string, index: number, start: string, end: string, label: string}|null}
+ */
+function parsePeriod(period) {
+  let match = /^(\d{4})-(\d{2})$/.exec(period || '');
+  if (match) {
+    const year = Number(match[1]);
+    const month = Number(match[2]);
+    if (month < 1 || month > 12) return null;
+    return { year, frequency: 'monthly', index: month - 1, start: isoDate(year, month, 1), end: isoDate(year, month + 1, 0), label: `${MONTHS[month - 1]} ${year}` };
+  }
+  match = /^(\d{4})-Q([1-4])$/.exec(period || '');
+  if (match) {
+    const year = Number(match[1]);
+    const quarter = Number(match[2]);
+    return { year, frequency: 'quarterly', index: quarter - 1, start: isoDate(year, quarter * 3 - 2, 1), end: isoDate(year, quarter * 3 + 1, 0), label: `${quarter}.º trimestre ${year}` };
+  }
+  match = /^(\d{4})$/.exec(period || '');
+  if (match) {
+    const year = Number(match[1]);
+    return { year, frequency: 'annual', index: 0, start: isoDate(year, 1, 1), end: isoDate(year, 12, 31), label: `anual ${year}` };
+  }
+  return null;
+}
+
+/** The periods of a year at a billing frequency. */
+function periodsOf(year, frequency) {
+  if (frequency === 'monthly') return MONTHS.map((m, i) => `${year}-${String(i + 1).padStart(2, '0')}`);
+  if (frequency === 'quarterly') return [1, 2, 3, 4].map(n => `${year}-Q${n}`);
+  return [String(year)];
+}
+
+/**
+ * Settles charges with the amount paid, oldest due first.
+ * @param {object[]} charges - with amount_cents and due_date
+ * @param {number} paidCents - total paid
+ * @returns {{charges: object[], credit_cents: number}} charges with paid_cents and outstanding_cents
+ */
+function settle(charges, paidCents) {
+  let left = paidCents;
+  const settled = [...charges]
+    .sort((a, b) => (a.due_date < b.due_date ? -1 : a.due_date > b.due_date ? 1 : a.id - b.id))
+    .map(c => {
+      const paid = Math.max(0, Math.min(c.amount_cents, left));
+      left -= paid;
+      return { ...c, paid_cents: paid, outstanding_cents: c.amount_cents - paid };
+    });
+  return { charges: settled, credit_cents: left };
+}
+
+// A budget line's share in a charge, amount in euros
+const toLineAmount = ({ amount_cents: cents, ...line }) => ({ ...line, amount: toEuros(cents) });
+
+function toCharge(c) {
+  return {
+    id: c.id,
+    fracao_id: c.fracao_id,
+    billing_run_id: c.billing_run_id,
+    period: c.period,
+    description: c.description,
+    amount: toEuros(c.amount_cents),
+    paid: c.paid_cents !== undefined ? toEuros(c.paid_cents) : undefined,
+    outstanding: c.outstanding_cents !== undefined ? toEuros(c.outstanding_cents) : undefined,
+    issue_date: c.issue_date,
+    due_date: c.due_date,
+    details: c.details ? JSON.parse(c.details).map(toLineAmount) : null,
+    cancelled_at: c.cancelled_at || null
+  };
+}
+
+function toPayment(p) {
+  return {
+    id: p.id,
+    fracao_id: p.fracao_id,
+    user_id: p.user_id,
+    payer_name: p.payer_name || null,
+    amount: toEuros(p.amount_cents),
+    paid_at: p.paid_at,
+    method: p.method,
+    reference: p.reference,
+    notes: p.notes,
+    receipt: p.receipt_id ? { id: p.receipt_id, number: `${p.receipt_year}/${p.receipt_number}` } : null,
+    created_at: p.created_at
+  };
+}
+
+// Columns of a payment joined with its payer (u) and receipt (r)
+const PAYMENT_FIELDS = 'p.*, u.nome AS payer_name, r.id AS receipt_id, r.year AS receipt_year, r.number AS receipt_number';
+
+/**
+ * Reference residents quote in their transfers so that bank statements (bank-statements.js)
+ * match the payment to the unit, e.g. "C4F27" for unit 27 of condominium 4.
+ */
+function referenceOf(unit) {
+  return `C${unit.condominium_id}F${unit.id}`;
+}
+
+const REFERENCE_PATTERN = /\bC\s?(\d+)\s?F\s?(\d+)\b/i;
+
+/** The unit a text quotes by its reference: { condominium_id, fracao_id } or null. */
+function referenceIn(text) {
+  const match = REFERENCE_PATTERN.exec(text || '');
+  return match ? { condominium_id: Number(match[1]), fracao_id: Number(match[2]) } : null;
+}
+
+function billingError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * @param {import('sqlite3').Database} db - shared connection
+ * @param {object} options
+ * @param {function} options.transaction - runs work in a write transaction (transactions.js)
+ * @param {object} options.budgets - budgets module (budgets.js)
+ * @param {object} options.fracoes - units module (fracoes.js)
+ * @param {object} options.reserveFund - reserve fund module (reserve-fund.js), which takes its share of each payment
+ * @param {object} options.upload - multer instance for the CSV files of charges imports
+ */
+module.exports = function(db, { transaction, budgets, fracoes, reserveFund, upload }) {
+  const q = require('./transactions').queries(db);
+
+  /** Answers a billingError with its status, anything else with a 500 and `message`. */
+  function fail(res, error, what, message) {
+    if (error.status) return res.status(error.status).json({ error: error.message, ...(error.details || {}) });
+    console.error(`Error ${what}:`, error);
+    res.status(500).json({ error: message });
+  }
+
+  /**
+   * Works out the charges of a billing run without writing anything.
+   * @returns {Promise<object>} { budget, period, issue_date, due_date, total_cents, units: [...], billed_run }
+   */
+  async function plan(conn, condominiumId, { budget_id: budgetId, period, due_date: dueDate }) {
+    const budget = await budgets.load(budgetId, conn);
+    if (!budget || budget.condominium_id !== condominiumId) throw billingError(404, 'Orçamento não encontrado');
+    if (budget.status !== 'approved') throw billingError(409, 'O orçamento tem de ser aprovado em assembleia antes de ser faturado');
+    const info = parsePeriod(period);
+    if (!info) throw billingError(400, 'Período inválido (AAAA-MM, AAAA-Qn ou AAAA)');
+    if (info.year !== budget.year) throw billingError(400, `O período tem de ser do ano do orçamento (${budget.year})`);
+    if (info.frequency !== budget.frequency) {
+      throw billingError(400, `O orçamento é faturado por ${budget.frequency === 'monthly' ? 'mês' : budget.frequency === 'quarterly' ? 'trimestre' : 'ano'}`);
+    }
+    if (dueDate && !validDate(dueDate)) throw billingError(400, 'Data de vencimento inválida (AAAA-MM-DD)');
+
+    const units = await conn.all('SELECT id, identifier, type, permilagem FROM fracoes WHERE condominium_id = ? ORDER BY identifier', [condominiumId]);
+    if (!units.length) throw billingError(400, 'O condomínio não tem frações registadas');
+    if (budget.lines.some(l => l.split === 'permilagem')) {
+      const check = await fracoes.permilagemCheck(condominiumId, conn);
+      if (!check.ok) {
+        const error = billingError(400, `As permilagens das frações têm de estar completas e somar 1000‰ (soma atual: ${check.total}‰)`);
+        error.details = { permilagem: check };
+        throw error;
+      }
+    }
+
+    const quotas = budgets.FREQUENCIES[budget.frequency];
+    const perUnit = units.map(u => ({ fracao_id: u.id, identifier: u.identifier, permilagem: u.permilagem, amount_cents: 0, lines: [] }));
+    budgets.yearlyShares(budget.lines, units).forEach((shares, i) => {
+      budget.lines.forEach((line, l) => {
+        const amount = allocate(shares[l], new Array(quotas).fill(1))[info.index];
+        perUnit[i].amount_cents += amount;
+        perUnit[i].lines.push({ line_id: line.id, description: line.description, category: line.category, split: line.split, amount_cents: amount });
+      });
+    });
+
+    const parties = await fracoes.partiesOf('billing', units.map(u => u.id), conn);
+    perUnit.forEach(u => { u.billed_to = parties.filter(p => p.fracao_id === u.fracao_id).map(p => ({ user_id: p.user_id, nome: p.nome, role: p.role })); });
+
+    const billed = await conn.get(
+      "SELECT id FROM billing_runs WHERE condominium_id = ? AND period = ? AND status = 'posted'",
+      [condominiumId, period]
+    );
+    const firstMonthEnd = isoDate(info.year, Number(info.start.slice(5, 7)) + 1, 0);
+    return {
+      budget,
+      period,
+      label: info.label,
+      issue_date: today(),
+      due_date: dueDate || firstMonthEnd,
+      total_cents: perUnit.reduce((sum, u) => sum + u.amount_cents, 0),
+      units: perUnit,
+      billed_run: billed ? billed.id : null
+    };
+  }
+
+  function toPlan(result) {
+    return {
+      budget_id: result.budget.id,
+      period: result.period,
+      description: `Quota ${result.label}`,
+      issue_date: result.issue_date,
+      due_date: result.due_date,
+      total: toEuros(result.total_cents),
+      already_billed: !!result.billed_run,
+      units: result.units.map(u => ({
+        fracao_id: u.fracao_id,
+        identifier: u.identifier,
+        permilagem: u.permilagem,
+        amount: toEuros(u.amount_cents),
+        lines: u.lines.map(toLineAmount),
+        billed_to: u.billed_to,
+        warning: u.billed_to.length ? null : 'Fração sem proprietário registado'
+      }))
+    };
+  }
+
+  /** Charges and payments of a unit, settled oldest first. */
+  async function account(fracaoId, conn = q) {
+    const charges = await conn.all('SELECT * FROM charges WHERE fracao_id = ? AND cancelled_at IS NULL ORDER BY due_date, id', [fracaoId]);
+    const payments = await conn.all(
+      `SELECT ${PAYMENT_FIELDS} FROM payments p LEFT JOIN users u ON u.id = p.user_id LEFT JOIN receipts r ON r.payment_id = p.id
+       WHERE p.fracao_id = ? ORDER BY p.paid_at, p.id`,
+      [fracaoId]
+    );
+    const paid = payments.reduce((sum, p) => sum + p.amount_cents, 0);
+    const settled = settle(charges, paid);
+    const now = today();
+    return {
+      charges: settled.charges,
+      payments,
+      charged_cents: charges.reduce((sum, c) => sum + c.amount_cents, 0),
+      paid_cents: paid,
+      credit_cents: settled.credit_cents,
+      overdue_cents: settled.charges.filter(c => c.due_date < now).reduce((sum, c) => sum + c.outstanding_cents, 0)
+    };
+  }
+
+  /** Issues the receipt of a payment: the next number of the condominium in the current year. */
+  async function issueReceipt(conn, payment) {
+    const issuedAt = today();
+    const year = Number(issuedAt.slice(0, 4));
+    const last = await conn.get('SELECT MAX(number) AS number FROM receipts WHERE condominium_id = ? AND year = ?', [payment.condominium_id, year]);
+    await conn.run(
+      `INSERT INTO receipts (condominium_id, year, number, payment_id, fracao_id, user_id, amount_cents, paid_at, method, reference, issued_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [payment.condominium_id, year, (last.number || 0) + 1, payment.id, payment.fracao_id, payment.user_id || null, payment.amount_cents,
+        payment.paid_at, payment.method, payment.reference || null, issuedAt]
+    );
+  }
+
+  /**
+   * Checks who a payment is attributed to: a resident that holds or held a relationship with the unit.
+   * @returns {Promise<{status: number, error: string}|null>} null when `userId` may pay for the unit
+   */
+  async function payerError(fracaoId, userId) {
+    if (!await q.get('SELECT id FROM users WHERE id = ?', [userId])) return { status: 404, error: 'Utilizador não encontrado' };
+    if (!await q.get('SELECT id FROM fracao_residents WHERE fracao_id = ? AND user_id = ? LIMIT 1', [fracaoId, userId])) {
+      return { status: 400, error: 'O pagador tem de ser ou ter sido condómino desta fração' };
+    }
+    return null;
+  }
+
+  /**
+   * Records a payment with its reserve fund contribution and receipt, inside the caller's transaction.
+   * @param {object} conn - transaction queries
+   * @param {object} payment - condominium_id, fracao_id, user_id, amount_cents, paid_at, method, reference, notes, created_by
+   * @returns {Promise<number>} payment id
+   */
+  async function recordPayment(conn, payment) {
+    const created = await conn.run(
+      `INSERT INTO payments (condominium_id, fracao_id, user_id, amount_cents, paid_at, method, reference, notes, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [payment.condominium_id, payment.fracao_id, payment.user_id || null, payment.amount_cents, payment.paid_at, payment.method,
+        payment.reference || null, payment.notes || null, payment.created_by || null]
+    );
+    await reserveFund.contribute(conn, { ...payment, id: created.lastID });
+    await issueReceipt(conn, { ...payment, id: created.lastID });
+    return created.lastID;
+  }
+
+  /**
+   * Deletes a payment and its contribution and cancels its receipt; a bank transaction it came
+   * from goes back to the reconciliation queue and a direct debit collection (sepa.js) loses its link.
+   */
+  async function deletePayment(conn, paymentId) {
+    await reserveFund.removeContribution(conn, paymentId);
+    await conn.run('UPDATE receipts SET cancelled_at = CURRENT_TIMESTAMP WHERE payment_id = ? AND cancelled_at IS NULL', [paymentId]);
+    await conn.run('UPDATE sepa_collections SET payment_id = NULL WHERE payment_id = ?', [paymentId]);
+    await conn.run(
+      `UPDATE bank_transactions SET status = 'unmatched', payment_id = NULL, fracao_id = NULL, user_id = NULL, match_method = NULL,
+         matched_by = NULL, matched_at = NULL WHERE payment_id = ?`,
+      [paymentId]
+    );
+    await conn.run('DELETE FROM payments WHERE id = ?', [paymentId]);
+  }
+
+  function toBalance(unit, acc) {
+    return {
+      fracao_id: unit.id,
+      identifier: unit.identifier,
+      payment_reference: referenceOf(unit),
+      charged: toEuros(acc.charged_cents),
+      paid: toEuros(acc.paid_cents),
+      // Positive: owed by the unit; negative: paid in advance
+      balance: toEuros(acc.charged_cents - acc.paid_cents),
+      overdue: toEuros(acc.overdue_cents)
+    };
+  }
+
+  /** Chronological ledger (charges as debits, payments as credits) with a running balance. */
+  function ledger(acc) {
+    const entries = [
+      ...acc.charges.map(c => ({ type: 'charge', id: c.id, date: c.issue_date, due_date: c.due_date, description: c.description, debit_cents: c.amount_cents, credit_cents: 0, outstanding: toEuros(c.outstanding_cents) })),
+      ...acc.payments.map(p => ({ type: 'payment', id: p.id, date: p.paid_at, description: `Pagamento (${PAYMENT_METHODS[p.method] || p.method})${p.reference ? ` ${p.reference}` : ''}`, debit_cents: 0, credit_cents: p.amount_cents }))
+    ].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.type === b.type ? a.id - b.id : a.type === 'charge' ? -1 : 1));
+    let balance = 0;
+    return entries.map(e => {
+      balance += e.debit_cents - e.credit_cents;
+      return { ...e, debit: toEuros(e.debit_cents), credit: toEuros(e.credit_cents), balance: toEuros(balance), debit_cents: undefined, credit_cents: undefined };
+    });
+  }
+
+  const router = express.Router();
+
+  // What a billing run would charge each unit: { budget_id, period, due_date }
+  router.post('/api/condominiums/:id/billing-runs/preview', async (req, res) => {
+    try {
+      const result = await plan(q, parseInt(req.params.id, 10), req.body || {});
+      res.json(toPlan(result));
+    } catch (error) {
+      fail(res, error, 'previewing billing run', 'Erro ao simular a faturação');
+    }
+  });
+
+  // Posts the run: the plan is worked out again inside the transaction, so it matches the data
+  router.post('/api/condominiums/:id/billing-runs', async (req, res) => {
+    const condominiumId = parseInt(req.params.id, 10);
+    try {
+      const runId = await transaction(async (conn) => {
+        const result = await plan(conn, condominiumId, req.body || {});
+        if (result.billed_run) throw billingError(409, 'A faturação deste período já foi emitida');
+        const run = await conn.run(
+          `INSERT INTO billing_runs (condominium_id, budget_id, period, issue_date, due_date, total_cents, charges_count, created_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [condominiumId, result.budget.id, result.period, result.issue_date, result.due_date, result.total_cents, result.units.length, req.auth.id]
+        );
+        for (const u of result.units) {
+          await conn.run(
+            `INSERT INTO charges (condominium_id, fracao_id, billing_run_id, period, description, amount_cents, details, issue_date, due_date)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [condominiumId, u.fracao_id, run.lastID, result.period, `Quota ${result.label}`, u.amount_cents,
+              JSON.stringify(u.lines), result.issue_date, result.due_date]
+          );
+        }
+        return run.lastID;
+      });
+      const run = await q.get('SELECT * FROM billing_runs WHERE id = ?', [runId]);
+      res.status(201).json({ success: true, billing_run: { ...run, total: toEuros(run.total_cents) } });
+    } catch (error) {
+      fail(res, error, 'posting billing run', 'Erro ao emitir a faturação');
+    }
+  });
+
+  router.get('/api/condominiums/:id/billing-runs', async (req, res) => {
+    try {
+      const runs = await q.all(
+        `SELECT r.*, b.year, a.username AS created_by_username
+         FROM billing_runs r JOIN budgets b ON b.id = r.budget_id LEFT JOIN admins a ON a.id = r.created_by
+         WHERE r.condominium_id = ? ORDER BY r.period DESC, r.id DESC`,
+        [req.params.id]
+      );
+      const budgetRows = await q.all('SELECT year, frequency FROM budgets WHERE condominium_id = ? ORDER BY year', [req.params.id]);
+      const posted = new Set(runs.filter(r => r.status === 'posted').map(r => r.period));
+      res.json({
+        billing_runs: runs.map(r => ({ ...r, total: toEuros(r.total_cents) })),
+        // Periods of each budget not billed yet
+        pending_periods: budgetRows.flatMap(b => periodsOf(b.year, b.frequency).filter(p => !posted.has(p)))
+      });
+    } catch (error) {
+      console.error('Error fetching billing runs:', error);
+      res.status(500).json({ error: 'Erro ao buscar faturações' });
+    }
+  });
+
+  router.get('/api/billing-runs/:id', async (req, res) => {
+    try {
+      const run = await q.get('SELECT * FROM billing_runs WHERE id = ?', [req.params.id]);
+      if (!run) return res.status(404).json({ error: 'Faturação não encontrada' });
+      const charges = await q.all(
+        `SELECT c.*, f.identifier FROM charges c JOIN fracoes f ON f.id = c.fracao_id
+         WHERE c.billing_run_id = ? ORDER BY f.identifier`,
+        [run.id]
+      );
+      res.json({ ...run, total: toEuros(run.total_cents), charges: charges.map(c => ({ ...toCharge(c), identifier: c.identifier })) });
+    } catch (error) {
+      console.error('Error fetching billing run:', error);
+      res.status(500).json({ error: 'Erro ao buscar faturação' });
+    }
+  });
+
+  // Cancels a posted run; payments already made stay and count as credit of the unit
+  router.delete('/api/billing-runs/:id', async (req, res) => {
+    try {
+      const run = await q.get('SELECT * FROM billing_runs WHERE id = ?', [req.params.id]);
+      if (!run) return res.status(404).json({ error: 'Faturação não encontrada' });
+      if (run.status === 'cancelled') return res.status(409).json({ error: 'Esta faturação já foi anulada' });
+      await transaction(async (conn) => {
+        await conn.run("UPDATE billing_runs SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP WHERE id = ?", [run.id]);
+        await conn.run('UPDATE charges SET cancelled_at = CURRENT_TIMESTAMP WHERE billing_run_id = ? AND cancelled_at IS NULL', [run.id]);
+      });
+      res.json({ success: true, cancelled: run.id });
+    } catch (error) {
+      console.error('Error cancelling billing run:', error);
+      res.status(500).json({ error: 'Erro ao anular faturação' });
+    }
+  });
+
+  // Balance of every unit of the condominium
+  router.get('/api/condominiums/:id/balances', async (req, res) => {
+    try {
+      const units = await q.all('SELECT id, identifier, condominium_id FROM fracoes WHERE condominium_id = ? ORDER BY identifier', [req.params.id]);
+      const balances = [];
+      for (const unit of units) balances.push(toBalance(unit, await account(unit.id)));
+      const sum = (field) => Math.round(balances.reduce((s, b) => s + b[field] * 100, 0)) / 100;
+      res.json({ balances, totals: { charged: sum('charged'), paid: sum('paid'), balance: sum('balance'), overdue: sum('overdue') } });
+    } catch (error) {
+      console.error('Error fetching balances:', error);
+      res.status(500).json({ error: 'Erro ao buscar saldos' });
+    }
+  });
+
+  router.get('/api/fracoes/:id/ledger', async (req, res) => {
+    try {
+      const unit = await q.get('SELECT id, identifier, condominium_id FROM fracoes WHERE id = ?', [req.params.id]);
+      if (!unit) return res.status(404).json({ error: 'Fração não encontrada' });
+      const acc = await account(unit.id);
+      res.json({
+        ...toBalance(unit, acc),
+        condominium_id: unit.condominium_id,
+        entries: ledger(acc),
+        charges: acc.charges.map(toCharge),
+        payments: acc.payments.map(toPayment)
+      });
+    } catch (error) {
+      console.error('Error fetching ledger:', error);
+      res.status(500).json({ error: 'Erro ao buscar conta corrente' });
+    }
+  });
+
+  /** Validates a charge entered or imported by hand; `issue_date` defaults to today, `due_date` to the issue date. */
+  function readCharge(values) {
+    const description = String(values.description || '').trim();
+    const amount = toCents(values.amount);
+    const issueDate = values.issue_date ? parseDate(values.issue_date) : today();
+    const dueDate = values.due_date ? parseDate(values.due_date) : issueDate;
+    if (!description) return { error: 'A descrição é obrigatória' };
+    if (amount === null || amount <= 0) return { error: 'Montante inválido' };
+    if (!issueDate) return { error: 'Data de emissão inválida' };
+    if (!dueDate) return { error: 'Data de vencimento inválida' };
+    return { charge: { description, amount_cents: amount, issue_date: issueDate, due_date: dueDate } };
+  }
+
+  function insertCharge(conn, unit, charge) {
+    return conn.run(
+      `INSERT INTO charges (condominium_id, fracao_id, description, amount_cents, issue_date, due_date)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [unit.condominium_id, unit.id, charge.description, charge.amount_cents, charge.issue_date, charge.due_date]
+    );
+  }
+
+  // Charge outside the billing runs (opening balance, works, fines): { description, amount, due_date, issue_date }
+  router.post('/api/fracoes/:id/charges', async (req, res) => {
+    const { charge, error } = readCharge(req.body || {});
+    if (error) return res.status(400).json({ error });
+    try {
+      const unit = await q.get('SELECT id, identifier, condominium_id FROM fracoes WHERE id = ?', [req.params.id]);
+      if (!unit) return res.status(404).json({ error: 'Fração não encontrada' });
+      const created = await insertCharge(q, unit, charge);
+      const row = await q.get('SELECT * FROM charges WHERE id = ?', [created.lastID]);
+      res.status(201).json({ success: true, charge: toCharge(row), balance: toBalance(unit, await account(unit.id)) });
+    } catch (error) {
+      console.error('Error creating charge:', error);
+      res.status(500).json({ error: 'Erro ao registar débito' });
+    }
+  });
+
+  // Cancels a charge entered by hand; charges of a billing run are cancelled with the run
+  router.delete('/api/charges/:id', async (req, res) => {
+    try {
+      const charge = await q.get('SELECT * FROM charges WHERE id = ?', [req.params.id]);
+      if (!charge) return res.status(404).json({ error: 'Débito não encontrado' });
+      if (charge.billing_run_id) return res.status(409).json({ error: 'Este débito pertence a uma faturação; anule a faturação' });
+      if (charge.cancelled_at) return res.status(409).json({ error: 'Este débito já foi anulado' });
+      await q.run('UPDATE charges SET cancelled_at = CURRENT_TIMESTAMP WHERE id = ?', [charge.id]);
+      res.json({ success: true, cancelled: charge.id });
+    } catch (error) {
+      console.error('Error cancelling charge:', error);
+      res.status(500).json({ error: 'Erro ao anular débito' });
+    }
+  });
+
+  // Imports amounts owed, e.g. the balances carried over from a previous administrator: a CSV
+  // file (Fração; Descrição; Montante; Vencimento) or JSON { rows: [{ identifier, description,
+  // amount, due_date, issue_date }] }. All rows are written or none; `dry_run` only validates.
+  router.post('/api/condominiums/:id/charges/import', upload.single('file'), async (req, res) => {
+    const condominiumId = parseInt(req.params.id, 10);
+    const dryRun = ['1', 'true', true].includes((req.body || {}).dry_run);
+    let rows;
+    try {
+      if (req.file) {
+        const { text } = csv.decode(fs.readFileSync(req.file.path));
+        const { headers, records } = csv.parseCsv(text, csv.detectDelimiter(text));
+        const names = headers.map(csv.normalize);
+        const column = (field) => names.findIndex(h => CHARGE_COLUMNS[field].includes(h));
+        const columns = Object.fromEntries(Object.keys(CHARGE_COLUMNS).map(f => [f, column(f)]));
+        if (columns.identifier === -1 || columns.amount === -1) {
+          return res.status(400).json({ error: 'O ficheiro tem de ter as colunas Fração e Montante' });
+        }
+        rows = records.map(r => ({
+          line: r.line,
+          ...Object.fromEntries(Object.entries(columns).filter(([, i]) => i !== -1).map(([f, i]) => [f, (r.cells[i] || '').trim()]))
+        }));
+      } else {
+        rows = Array.isArray((req.body || {}).rows) ? req.body.rows.map((r, i) => ({ line: i + 1, ...r })) : null;
+        if (!rows) return res.status(400).json({ error: 'Envie um ficheiro CSV ou uma lista de linhas' });
+      }
+      if (!rows.length) return res.status(400).json({ error: 'O ficheiro não tem linhas' });
+
+      const units = await q.all('SELECT id, identifier, condominium_id FROM fracoes WHERE condominium_id = ?', [condominiumId]);
+      const byIdentifier = new Map(units.map(u => [String(u.identifier).toLowerCase(), u]));
+      const errors = [];
+      const charges = [];
+      for (const row of rows) {
+        const unit = byIdentifier.get(String(row.identifier || '').trim().toLowerCase());
+        const { charge, error } = readCharge({ description: 'Saldo em dívida', ...row });
+        if (!unit) errors.push({ line: row.line, error: `Fração desconhecida: ${row.identifier || '(vazia)'}` });
+        else if (error) errors.push({ line: row.line, error });
+        else charges.push({ unit, charge });
+      }
+      const total = toEuros(charges.reduce((sum, c) => sum + c.charge.amount_cents, 0));
+      if (errors.length) return res.status(400).json({ error: 'Há linhas com erros; nada foi importado', errors, valid: charges.length });
+      if (dryRun) return res.json({ success: true, dry_run: true, charges: charges.length, total });
+
+      await transaction(async (conn) => {
+        for (const c of charges) await insertCharge(conn, c.unit, c.charge);
+      });
+      res.status(201).json({ success: true, charges: charges.length, total });
+    } catch (error) {
+      console.error('Error importing charges:', error);
+      res.status(500).json({ error: 'Erro ao importar débitos' });
+    } finally {
+      if (req.file) fs.unlink(req.file.path, () => {});
+    }
+  });
+
+  // Records a payment received for the unit: { amount, paid_at, method, reference, user_id, notes }
+  router.post('/api/fracoes/:id/payments', async (req, res) => {
+    const body = req.body || {};
+    const amount = toCents(body.amount);
+    const paidAt = body.paid_at || today();
+    const method = body.method || 'transfer';
+    const userId = body.user_id ? parseInt(body.user_id, 10) : null;
+    if (amount === null || amount <= 0) return res.status(400).json({ error: 'Montante inválido' });
+    if (!validDate(paidAt)) return res.status(400).json({ error: 'Data de pagamento inválida (AAAA-MM-DD)' });
+    if (!PAYMENT_METHODS[method]) return res.status(400).json({ error: `Meio de pagamento inválido (${Object.keys(PAYMENT_METHODS).join(', ')})` });
+    if (body.user_id && isNaN(userId)) return res.status(400).json({ error: 'Invalid user id' });
+
+    try {
+      const unit = await q.get('SELECT id, condominium_id FROM fracoes WHERE id = ?', [req.params.id]);
+      if (!unit) return res.status(404).json({ error: 'Fração não encontrada' });
+      const payer = userId ? await payerError(unit.id, userId) : null;
+      if (payer) return res.status(payer.status).json({ error: payer.error });
+
+      const paymentId = await transaction((conn) => recordPayment(conn, {
+        condominium_id: unit.condominium_id,
+        fracao_id: unit.id,
+        user_id: userId,
+        amount_cents: amount,
+        paid_at: paidAt,
+        method,
+        reference: body.reference || null,
+        notes: body.notes || null,
+        created_by: req.auth.id
+      }));
+      const payment = await q.get(
+        `SELECT ${PAYMENT_FIELDS} FROM payments p LEFT JOIN users u ON u.id = p.user_id LEFT JOIN receipts r ON r.payment_id = p.id
+         WHERE p.id = ?`,
+        [paymentId]
+      );
+      const acc = await account(unit.id);
+      res.status(201).json({ success: true, payment: toPayment(payment), balance: toBalance(unit, acc) });
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      res.status(500).json({ error: 'Erro ao registar pagamento' });
+    }
+  });
+
+  // Removes a payment recorded by mistake
+  router.delete('/api/payments/:id', async (req, res) => {
+    try {
+      const payment = await q.get('SELECT * FROM payments WHERE id = ?', [req.params.id]);
+      if (!payment) return res.status(404).json({ error: 'Pagamento não encontrado' });
+      await transaction((conn) => deletePayment(conn, payment.id));
+      res.json({ success: true, deleted: payment.id });
+    } catch (error) {
+      console.error('Error deleting payment:', error);
+      res.status(500).json({ error: 'Erro ao eliminar pagamento' });
+    }
+  });
+
+  // Balances and ledgers of the units a resident is billed for (owner, contact or representative)
+  router.get('/api/users/:id/balances', async (req, res) => {
+    try {
+      const units = await q.all(
+        `SELECT DISTINCT f.id, f.identifier, f.condominium_id, c.name AS condominium_name
+         FROM fracao_residents fr JOIN fracoes f ON f.id = fr.fracao_id JOIN condominiums c ON c.id = f.condominium_id
+         WHERE fr.user_id = ? AND fr.role IN ('owner', 'contact', 'representative') AND ${fracoes.CURRENT}
+         ORDER BY c.name, f.identifier`,
+        [req.params.id]
+      );
+      const result = [];
+      for (const unit of units) {
+        const acc = await account(unit.id);
+        result.push({
+          ...toBalance(unit, acc),
+          condominium_id: unit.condominium_id,
+          condominium_name: unit.condominium_name,
+          entries: ledger(acc),
+          open_charges: acc.charges.filter(c => c.outstanding_cents > 0).map(toCharge)
+        });
+      }
+      res.json(result);
+    } catch (error) {
+      console.error('Error fetching user balances:', error);
+      res.status(500).json({ error: 'Erro ao buscar saldos' });
+    }
+  });
+
+  return {
+    PAYMENT_METHODS,
+    parsePeriod,
+    periodsOf,
+    settle,
+    parseDate,
+    referenceOf,
+    referenceIn,
+    account,
+    payerError,
+    recordPayment,
+    deletePayment,
+    router
+  };
+};
+
+// Statement helpers used by bank-statements.js
+Object.assign(module.exports, { parseDate, referenceOf, referenceIn });
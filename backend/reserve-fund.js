@@ -0,0 +1,333 @@
+const express = require('express');
+const { toCents, toEuros } = require('./money');
+
+// Reserve fund (fundo comum de reserva). By law (Decreto-Lei 268/94, art. 4.º) each owner pays
+// into it at least 10% of their share of the other condominium expenses. Every payment recorded
+// in quotas.js sets aside the condominium's configured percentage over those expenses as a
+// contribution; withdrawals (approved at an assembleia), interest and adjustments are entered
+// by hand. The balance is the sum of the movements.
+
+const LEGAL_MINIMUM_PERCENT = 10;
+const MOVEMENT_TYPES = {
+  contribution: 'Contribuição',
+  withdrawal: 'Utilização aprovada em assembleia',
+  interest: 'Juros',
+  adjustment: 'Acerto'
+};
+const MANUAL_TYPES = ['withdrawal', 'interest', 'adjustment'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const validDate = (v) => typeof v === 'string' && DATE_PATTERN.test(v) && !isNaN(new Date(`${v}T00:00:00Z`).getTime());
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * The part of a payment that goes to the fund: `percent` is taken over the other expenses, so a
+ * payment of 110 € at 10% holds 10 € for the fund.
+ */
+function contributionOf(amountCents, percent) {
+  return Math.round((amountCents * percent) / (100 + percent));
+}
+
+// Percentage of `part` over `base`, one decimal; null without a base
+const percentOf = (part, base) => (base ? Math.round((part / base) * 1000) / 10 : null);
+
+function toMovement(m) {
+  return {
+    id: m.id,
+    type: m.type,
+    label: MOVEMENT_TYPES[m.type],
+    amount: toEuros(m.amount_cents),
+    date: m.date,
+    description: m.description,
+    fracao_id: m.fracao_id,
+    identifier: m.identifier || null,
+    user_id: m.user_id,
+    payer_name: m.payer_name || null,
+    payment_id: m.payment_id,
+    assembleia_id: m.assembleia_id,
+    assembleia_title: m.assembleia_title || null,
+    created_at: m.created_at
+  };
+}
+
+/**
+ * @param {import('sqlite3').Database} db - shared connection
+ * @param {object} options
+ * @param {function} options.transaction - runs work in a write transaction (transactions.js)
+ * @param {object} options.fracoes - units module (fracoes.js)
+ * @param {object} options.authz - authorization module (condominiumsWith)
+ */
+module.exports = function(db, { transaction, fracoes, authz }) {
+  const q = require('./transactions').queries(db);
+
+  /** Records the fund's share of a payment (called by quotas.js inside its transaction). */
+  async function contribute(conn, payment) {
+    const condo = await conn.get('SELECT reserve_fund_percent FROM condominiums WHERE id = ?', [payment.condominium_id]);
+    const amount = contributionOf(payment.amount_cents, condo ? condo.reserve_fund_percent : LEGAL_MINIMUM_PERCENT);
+    if (amount <= 0) return null;
+    const created = await conn.run(
+      `INSERT INTO reserve_fund_movements (condominium_id, type, amount_cents, date, fracao_id, user_id, payment_id, created_by)
+       VALUES (?, 'contribution', ?, ?, ?, ?, ?, ?)`,
+      [payment.condominium_id, amount, payment.paid_at, payment.fracao_id, payment.user_id || null, payment.id, payment.created_by || null]
+    );
+    return created.lastID;
+  }
+
+  /** Drops the contribution of a payment being deleted. */
+  function removeContribution(conn, paymentId) {
+    return conn.run('DELETE FROM reserve_fund_movements WHERE payment_id = ?', [paymentId]);
+  }
+
+  async function balanceOf(condominiumId, conn = q) {
+    const row = await conn.get('SELECT COALESCE(SUM(amount_cents), 0) AS cents FROM reserve_fund_movements WHERE condominium_id = ?', [condominiumId]);
+    return row.cents;
+  }
+
+  /**
+   * Checks a year against the legal minimum: the configured percentage, the approved budget's
+   * reserve fund lines against its other lines, and the contributions against the other
+   * expenses paid in the year.
+   * @returns {Promise<object>} figures in cents and `warnings` ([{ code, message }])
+   */
+  async function compliance(condominiumId, year) {
+    const condo = await q.get('SELECT reserve_fund_percent FROM condominiums WHERE id = ?', [condominiumId]);
+    const percent = condo ? condo.reserve_fund_percent : LEGAL_MINIMUM_PERCENT;
+    const paid = await q.get(
+      "SELECT COALESCE(SUM(amount_cents), 0) AS cents FROM payments WHERE condominium_id = ? AND substr(paid_at, 1, 4) = ?",
+      [condominiumId, String(year)]
+    );
+    const contributed = await q.get(
+      `SELECT COALESCE(SUM(amount_cents), 0) AS cents FROM reserve_fund_movements
+       WHERE condominium_id = ? AND type = 'contribution' AND substr(date, 1, 4) = ?`,
+      [condominiumId, String(year)]
+    );
+    const budget = await q.get(
+      `SELECT COALESCE(SUM(CASE WHEN l.category = 'fundo_reserva' THEN l.amount_cents END), 0) AS reserve_cents,
+         COALESCE(SUM(CASE WHEN l.category = 'fundo_reserva' THEN 0 ELSE l.amount_cents END), 0) AS other_cents
+       FROM budgets b JOIN budget_lines l ON l.budget_id = b.id
+       WHERE b.condominium_id = ? AND b.year = ? AND b.status = 'approved'`,
+      [condominiumId, year]
+    );
+    const hasBudget = budget && (budget.reserve_cents || budget.other_cents);
+    const otherPaid = paid.cents - contributed.cents;
+
+    const warnings = [];
+    if (percent < LEGAL_MINIMUM_PERCENT) {
+      warnings.push({ code: 'percent_below_minimum', message: `A percentagem do fundo de reserva (${percent}%) é inferior ao mínimo legal de ${LEGAL_MINIMUM_PERCENT}%` });
+    }
+    if (hasBudget && budget.reserve_cents * 100 < budget.other_cents * LEGAL_MINIMUM_PERCENT) {
+      warnings.push({
+        code: 'budget_below_minimum',
+        message: `O orçamento aprovado de ${year} prevê ${percentOf(budget.reserve_cents, budget.other_cents) || 0}% para o fundo de reserva (mínimo legal: ${LEGAL_MINIMUM_PERCENT}%)`
+      });
+    }
+    if (otherPaid > 0 && contributed.cents * 100 < otherPaid * LEGAL_MINIMUM_PERCENT) {
+      warnings.push({
+        code: 'contributions_below_minimum',
+        message: `As contribuições de ${year} para o fundo de reserva correspondem a ${percentOf(contributed.cents, otherPaid) || 0}% das restantes despesas pagas (mínimo legal: ${LEGAL_MINIMUM_PERCENT}%)`
+      });
+    }
+    return {
+      year,
+      percent,
+      minimum_percent: LEGAL_MINIMUM_PERCENT,
+      paid: toEuros(paid.cents),
+      contributions: toEuros(contributed.cents),
+      contributions_percent: percentOf(contributed.cents, otherPaid),
+      budget: hasBudget
+        ? { reserve: toEuros(budget.reserve_cents), other: toEuros(budget.other_cents), percent: percentOf(budget.reserve_cents, budget.other_cents) }
+        : null,
+      ok: warnings.length === 0,
+      warnings
+    };
+  }
+
+  /** Contributions of a year per unit and payer, with the unit's current owners. */
+  async function contributionsByOwner(condominiumId, year) {
+    const rows = await q.all(
+      `SELECT m.fracao_id, f.identifier, m.user_id, u.nome AS payer_name, SUM(m.amount_cents) AS cents, COUNT(*) AS payments
+       FROM reserve_fund_movements m
+       LEFT JOIN fracoes f ON f.id = m.fracao_id
+       LEFT JOIN users u ON u.id = m.user_id
+       WHERE m.condominium_id = ? AND m.type = 'contribution' AND substr(m.date, 1, 4) = ?
+       GROUP BY m.fracao_id, m.user_id
+       ORDER BY f.identifier, u.nome`,
+      [condominiumId, String(year)]
+    );
+    const unitIds = [...new Set(rows.map(r => r.fracao_id).filter(Boolean))];
+    const parties = unitIds.length ? await fracoes.partiesOf('assembleia', unitIds) : [];
+    return rows.map(r => ({
+      fracao_id: r.fracao_id,
+      identifier: r.identifier,
+      user_id: r.user_id,
+      payer_name: r.payer_name || null,
+      owners: parties.filter(p => p.fracao_id === r.fracao_id && p.role === 'owner').map(p => ({ user_id: p.user_id, nome: p.nome })),
+      payments: r.payments,
+      amount: toEuros(r.cents)
+    }));
+  }
+
+  const router = express.Router();
+
+  // The fund of a condominium: settings, balance, movements (with running balance) and, for
+  // `year` (default: the current one), the contributions per owner and the legal check
+  router.get('/api/condominiums/:id/reserve-fund', async (req, res) => {
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    try {
+      const condo = await q.get('SELECT id, name, reserve_fund_percent FROM condominiums WHERE id = ?', [req.params.id]);
+      if (!condo) return res.status(404).json({ error: 'Condomínio não encontrado' });
+      const movements = await q.all(
+        `SELECT m.*, f.identifier, u.nome AS payer_name, a.title AS assembleia_title
+         FROM reserve_fund_movements m
+         LEFT JOIN fracoes f ON f.id = m.fracao_id
+         LEFT JOIN users u ON u.id = m.user_id
+         LEFT JOIN assembleias a ON a.id = m.assembleia_id
+         WHERE m.condominium_id = ? ORDER BY m.date, m.id`,
+        [condo.id]
+      );
+      let balance = 0;
+      res.json({
+        condominium_id: condo.id,
+        percent: condo.reserve_fund_percent,
+        minimum_percent: LEGAL_MINIMUM_PERCENT,
+        balance: toEuros(movements.reduce((sum, m) => sum + m.amount_cents, 0)),
+        movements: movements.map(m => {
+          balance += m.amount_cents;
+          return { ...toMovement(m), balance: toEuros(balance) };
+        }),
+        contributions: await contributionsByOwner(condo.id, year),
+        compliance: await compliance(condo.id, year),
+        types: MOVEMENT_TYPES
+      });
+    } catch (error) {
+      console.error('Error fetching reserve fund:', error);
+      res.status(500).json({ error: 'Erro ao buscar o fundo de reserva' });
+    }
+  });
+
+  // The share of each payment set aside for the fund, over the other expenses: { percent }.
+  // Applies to payments recorded from now on.
+  router.put('/api/condominiums/:id/reserve-fund', async (req, res) => {
+    const percent = Number(String((req.body || {}).percent).replace(',', '.'));
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) return res.status(400).json({ error: 'Percentagem inválida (0 a 100)' });
+    try {
+      const updated = await q.run('UPDATE condominiums SET reserve_fund_percent = ? WHERE id = ?', [percent, req.params.id]);
+      if (!updated.changes) return res.status(404).json({ error: 'Condomínio não encontrado' });
+      res.json({
+        success: true,
+        percent,
+        warning: percent < LEGAL_MINIMUM_PERCENT ? `Abaixo do mínimo legal de ${LEGAL_MINIMUM_PERCENT}%` : null
+      });
+    } catch (error) {
+      console.error('Error updating reserve fund:', error);
+      res.status(500).json({ error: 'Erro ao atualizar o fundo de reserva' });
+    }
+  });
+
+  // Manual movement: { type: withdrawal|interest|adjustment, amount, date, description, assembleia_id }.
+  // Withdrawals need the assembleia that approved them and cannot exceed the balance;
+  // adjustments may be negative.
+  router.post('/api/condominiums/:id/reserve-fund/movements', async (req, res) => {
+    const condominiumId = parseInt(req.params.id, 10);
+    const body = req.body || {};
+    const type = body.type;
+    const amount = toCents(body.amount);
+    const date = body.date || today();
+    const description = body.description ? String(body.description).trim() : null;
+    const assembleiaId = body.assembleia_id ? parseInt(body.assembleia_id, 10) : null;
+    if (!MANUAL_TYPES.includes(type)) return res.status(400).json({ error: `Tipo de movimento inválido (${MANUAL_TYPES.join(', ')})` });
+    if (amount === null || amount === 0 || (type !== 'adjustment' && amount < 0)) return res.status(400).json({ error: 'Montante inválido' });
+    if (!validDate(date)) return res.status(400).json({ error: 'Data inválida (AAAA-MM-DD)' });
+    if (type === 'adjustment' && !description) return res.status(400).json({ error: 'Indique o motivo do acerto' });
+    if (type === 'withdrawal' && !assembleiaId) return res.status(400).json({ error: 'Indique a assembleia que aprovou a utilização do fundo' });
+
+    try {
+      const condo = await q.get('SELECT id FROM condominiums WHERE id = ?', [condominiumId]);
+      if (!condo) return res.status(404).json({ error: 'Condomínio não encontrado' });
+      if (assembleiaId) {
+        const assembleia = await q.get('SELECT condominium_id FROM assembleias WHERE id = ?', [assembleiaId]);
+        if (!assembleia || assembleia.condominium_id !== condominiumId) {
+          return res.status(400).json({ error: 'A assembleia não existe ou é de outro condomínio' });
+        }
+      }
+
+      const signed = type === 'withdrawal' ? -amount : amount;
+      const id = await transaction(async (conn) => {
+        const balance = await balanceOf(condominiumId, conn);
+        if (balance + signed < 0) {
+          const error = new Error('O saldo do fundo de reserva não cobre este movimento');
+          error.status = 409;
+          throw error;
+        }
+        const created = await conn.run(
+          `INSERT INTO reserve_fund_movements (condominium_id, type, amount_cents, date, description, assembleia_id, created_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [condominiumId, type, signed, date, description, assembleiaId, req.auth.id]
+        );
+        return created.lastID;
+      });
+      const movement = await q.get('SELECT * FROM reserve_fund_movements WHERE id = ?', [id]);
+      res.status(201).json({ success: true, movement: toMovement(movement), balance: toEuros(await balanceOf(condominiumId)) });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ error: error.message });
+      console.error('Error recording reserve fund movement:', error);
+      res.status(500).json({ error: 'Erro ao registar o movimento' });
+    }
+  });
+
+  // Removes a manual movement; contributions follow their payments
+  router.delete('/api/reserve-fund/movements/:id', async (req, res) => {
+    try {
+      const movement = await q.get('SELECT * FROM reserve_fund_movements WHERE id = ?', [req.params.id]);
+      if (!movement) return res.status(404).json({ error: 'Movimento não encontrado' });
+      if (movement.type === 'contribution') {
+        return res.status(409).json({ error: 'As contribuições resultam dos pagamentos; elimine o pagamento' });
+      }
+      await transaction(async (conn) => {
+        const balance = await balanceOf(movement.condominium_id, conn);
+        if (balance - movement.amount_cents < 0) {
+          const error = new Error('O saldo do fundo de reserva ficaria negativo');
+          error.status = 409;
+          throw error;
+        }
+        await conn.run('DELETE FROM reserve_fund_movements WHERE id = ?', [movement.id]);
+      });
+      res.json({ success: true, deleted: movement.id });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ error: error.message });
+      console.error('Error deleting reserve fund movement:', error);
+      res.status(500).json({ error: 'Erro ao eliminar o movimento' });
+    }
+  });
+
+  // Dashboard: the admin's condominiums that fall short of the legal minimum this year
+  router.get('/api/reserve-fund/alerts', async (req, res) => {
+    const year = new Date().getFullYear();
+    try {
+      const allowed = authz.condominiumsWith(req.auth, 'finance.read');
+      if (allowed !== null && !allowed.length) return res.json({ year, alerts: [] });
+      const condos = await q.all(
+        `SELECT id, name FROM condominiums${allowed !== null ? ` WHERE id IN (${allowed.map(() => '?').join(',')})` : ''} ORDER BY name`,
+        allowed || []
+      );
+      const alerts = [];
+      for (const condo of condos) {
+        const check = await compliance(condo.id, year);
+        if (!check.ok) alerts.push({ condominium_id: condo.id, condominium_name: condo.name, balance: toEuros(await balanceOf(condo.id)), warnings: check.warnings });
+      }
+      res.json({ year, alerts });
+    } catch (error) {
+      console.error('Error checking reserve funds:', error);
+      res.status(500).json({ error: 'Erro ao verificar os fundos de reserva' });
+    }
+  });
+
+  return {
+    LEGAL_MINIMUM_PERCENT,
+    contribute,
+    removeContribution,
+    balanceOf,
+    compliance,
+    router
+  };
+};
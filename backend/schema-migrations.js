@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations.
+// Each file in migrations/ is named NNN_description.js and exports `up(q)` and `down(q)`,
+// where `q` offers promise versions of run/get/all plus `columns(table)`. Migrations run in
+// version order, each inside its own transaction, and are recorded in schema_migrations.
+// A migration that throws is rolled back and recorded as 'failed'; the server refuses to
+// start while any migration is pending or failed (see migrate.js for the CLI).
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+module.exports = function(db, { dir = MIGRATIONS_DIR } = {}) {
+  const q = {
+    run(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) { if (err) reject(err); else resolve(this); });
+      });
+    },
+    get(sql, params = []) {
+      return new Promise((resolve, reject) => db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row))));
+    },
+    all(sql, params = []) {
+      return new Promise((resolve, reject) => db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || []))));
+    },
+    /** Column names of a table ([] when the table does not exist). */
+    async columns(table) {
+      const rows = await q.all(`PRAGMA table_info('${table}')`);
+      return rows.map(r => r.name);
+    }
+  };
+
+  function ensureTable() {
+    return q.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        status TEXT NOT NULL CHECK(status IN ('applied', 'failed')),
+        error TEXT,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  /** Migration files on disk, in version order. */
+  function available() {
+    const seen = new Map();
+    fs.readdirSync(dir).forEach(file => {
+      const match = FILE_PATTERN.exec(file);
+      if (!match) return;
+      const version = Number(match[1]);
+      if (seen.has(version)) throw new Error(`Duplicate migration version ${version}: ${seen.get(version).file} and ${file}`);
+      seen.set(version, { version, name: match[2], file });
+    });
+    return [...seen.values()].sort((a, b) => a.version - b.version);
+  }
+
+  function load(migration) {
+    const mod = require(path.join(dir, migration.file));
+    if (typeof mod.up !== 'function' || typeof mod.down !== 'function') {
+      throw new Error(`Migration ${migration.file} must export up() and down()`);
+    }
+    return mod;
+  }
+
+  async function inTransaction(work) {
+    await q.run('BEGIN');
+    try {
+      await work();
+      await q.run('COMMIT');
+    } catch (e) {
+      await q.run('ROLLBACK').catch(() => {});
+      throw e;
+    }
+  }
+
+  /**
+   * State of every migration: 'applied', 'pending', 'failed', or 'missing' (recorded in the
+   * database but no longer on disk).
+   * @returns {Promise<Array<{version: number, name: string, state: string, applied_at?: string, error?: string}>>}
+   */
+  async function status() {
+    await ensureTable();
+    const rows = await q.all('SELECT version, name, status, error, applied_at FROM schema_migrations');
+    const recorded = new Map(rows.map(r => [Number(r.version), r]));
+    const list = available().map(m => {
+      const row = recorded.get(m.version);
+      recorded.delete(m.version);
+      if (!row) return { version: m.version, name: m.name, state: 'pending' };
+      return { version: m.version, name: m.name, state: row.status, applied_at: row.applied_at, error: row.error || undefined };
+    });
+    recorded.forEach(row => list.push({ version: Number(row.version), name: row.name, state: 'missing', applied_at: row.applied_at }));
+    return list.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Applies pending (and previously failed) migrations in order, stopping at the first failure.
+   * @param {object} [options]
+   * @param {number} [options.to] - highest version to apply
+   * @returns {Promise<number[]>} versions applied
+   */
+  async function migrate({ to } = {}) {
+    const applied = [];
+    for (const entry of await status()) {
+      if (entry.state === 'applied' || entry.state === 'missing') continue;
+      if (to !== undefined && entry.version > to) break;
+
+      const migration = available().find(m => m.version === entry.version);
+      try {
+        await inTransaction(async () => {
+          await load(migration).up(q);
+          await q.run(
+            `INSERT OR REPLACE INTO schema_migrations (version, name, status, error, applied_at)
+             VALUES (?, ?, 'applied', NULL, CURRENT_TIMESTAMP)`,
+            [migration.version, migration.name]
+          );
+        });
+      } catch (e) {
+        await q.run(
+          `INSERT OR REPLACE INTO schema_migrations (version, name, status, error, applied_at)
+           VALUES (?, ?, 'failed', ?, CURRENT_TIMESTAMP)`,
+          [migration.version, migration.name, String((e && e.message) || e)]
+        );
+        const error = new Error(`Migration ${migration.file} failed: ${(e && e.message) || e}`);
+        error.migration = migration.version;
+        throw error;
+      }
+      applied.push(migration.version);
+    }
+    return applied;
+  }
+
+  /**
+   * Reverts the most recently applied migrations.
+   * @param {object} [options]
+   * @param {number} [options.steps=1] - how many migrations to revert
+   * @returns {Promise<number[]>} versions reverted
+   */
+  async function rollback({ steps = 1 } = {}) {
+    const applied = (await status()).filter(m => m.state === 'applied').reverse().slice(0, steps);
+    const reverted = [];
+    for (const entry of applied) {
+      const migration = available().find(m => m.version === entry.version);
+      await inTransaction(async () => {
+        await load(migration).down(q);
+        await q.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      });
+      reverted.push(migration.version);
+    }
+    return reverted;
+  }
+
+  /**
+   * Whether the database schema is current. Used at startup.
+   * @returns {Promise<{ok: boolean, pending: object[], failed: object[]}>}
+   */
+  async function check() {
+    const list = await status();
+    const pending = list.filter(m => m.state === 'pending');
+    const failed = list.filter(m => m.state === 'failed');
+    return { ok: pending.length === 0 && failed.length === 0, pending, failed };
+  }
+
+  return {
+    status,
+    migrate,
+    rollback,
+    check
+  };
+};
@@ -0,0 +1,703 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { toCents, toEuros } = require('./money');
+const csv = require('./csv-import');
+const xml = require('./bank-statements');
+
+// SEPA direct debits (Core scheme). Owners sign a mandate for their unit (IBAN checked with
+// mod 97); the condominium needs its creditor identifier (ICS) and account. A batch collects, on
+// a given date, either the amounts listed by the admin or what each unit with a mandate owes for
+// a billing period, and is exported as a pain.008.001.02 file for the bank. Each collection is
+// recorded as a direct debit payment straight away; the bank's return or reject file (pain.002,
+// or camt.054/camt.053 return details) marks collections as returned and deletes their payments,
+// so the debt is open again. A mandate's first collection is sent as FRST, later ones as RCUR.
+
+const SEQUENCE_TYPES = { FRST: 'Primeira cobrança', RCUR: 'Cobrança recorrente' };
+// Reason codes most often seen in returns and rejects
+const RETURN_REASONS = {
+  AC01: 'IBAN incorreto',
+  AC04: 'Conta encerrada',
+  AC06: 'Conta bloqueada',
+  AG01: 'Conta não aceita débitos diretos',
+  AM04: 'Saldo insuficiente',
+  MD01: 'Sem mandato',
+  MD06: 'Reembolso pedido pelo devedor',
+  MD07: 'Devedor falecido',
+  MS02: 'Recusado pelo devedor',
+  MS03: 'Motivo não indicado',
+  SL01: 'Serviço específico do banco do devedor',
+  FF01: 'Ficheiro inválido'
+};
+// Statuses of a pain.002 transaction that mean the money was not collected
+const REJECTED = ['RJCT', 'CANC'];
+const MANDATE_ROLES = ['owner', 'representative', 'contact'];
+const BIC_PATTERN = /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const validDate = (v) => typeof v === 'string' && DATE_PATTERN.test(v) && !isNaN(new Date(`${v}T00:00:00Z`).getTime());
+const today = () => new Date().toISOString().slice(0, 10);
+
+const compact = (value) => String(value || '').replace(/\s/g, '').toUpperCase();
+const lettersToDigits = (s) => s.replace(/[A-Z]/g, ch => String(ch.charCodeAt(0) - 55));
+
+function mod97(digits) {
+  let rest = 0;
+  for (const d of digits) rest = (rest * 10 + Number(d)) % 97;
+  return rest;
+}
+
+/** IBAN check (ISO 13616): country, check digits and account, mod 97 of the rearranged digits is 1. */
+function validIban(iban) {
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+  return mod97(lettersToDigits(iban.slice(4) + iban.slice(0, 4))) === 1;
+}
+
+/** SEPA creditor identifier: country, check digits, business code (not checked) and national id. */
+function validCreditorId(id) {
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{3}[A-Z0-9]{1,28}$/.test(id)) return false;
+  return mod97(lettersToDigits(id.slice(7) + id.slice(0, 4))) === 1;
+}
+
+// SEPA character set: basic Latin letters, digits, space and / - ? : ( ) . , ' +
+function sepaText(value, max) {
+  return String(value || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '') // strip accents
+    .replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, max);
+}
+
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[ch]));
+
+// Elements as [name, text or child elements, attributes]; children that are null are left out
+function render([name, content, attrs], depth = 0) {
+  const pad = '  '.repeat(depth);
+  const open = name + Object.entries(attrs || {}).map(([k, v]) => ` ${k}="${escapeXml(v)}"`).join('');
+  if (!Array.isArray(content)) return `${pad}<${open}>${escapeXml(content)}</${name}>`;
+  return `${pad}<${open}>\n${content.filter(Boolean).map(c => render(c, depth + 1)).join('\n')}\n${pad}</${name}>`;
+}
+
+const euros = (cents) => (cents / 100).toFixed(2);
+const agent = (bic) => ['FinInstnId', [bic ? ['BIC', bic] : ['Othr', [['Id', 'NOTPROVIDED']]]]];
+
+/**
+ * pain.008.001.02 customer direct debit initiation: one payment information block per
+ * sequence type.
+ * @param {object} batch - { message_id, created_at, collection_date, creditor: { name, iban, bic, creditor_id }, collections }
+ * @returns {string} XML
+ */
+function pain008(batch) {
+  const { creditor, collections } = batch;
+  const total = collections.reduce((sum, c) => sum + c.amount_cents, 0);
+  const blocks = Object.keys(SEQUENCE_TYPES).map((sequence) => {
+    const items = collections.filter(c => c.sequence_type === sequence);
+    if (!items.length) return null;
+    return ['PmtInf', [
+      ['PmtInfId', `${batch.message_id}-${sequence}`],
+      ['PmtMtd', 'DD'],
+      ['BtchBookg', 'true'],
+      ['NbOfTxs', String(items.length)],
+      ['CtrlSum', euros(items.reduce((sum, c) => sum + c.amount_cents, 0))],
+      ['PmtTpInf', [['SvcLvl', [['Cd', 'SEPA']]], ['LclInstrm', [['Cd', 'CORE']]], ['SeqTp', sequence]]],
+      ['ReqdColltnDt', batch.collection_date],
+      ['Cdtr', [['Nm', sepaText(creditor.name, 70)]]],
+      ['CdtrAcct', [['Id', [['IBAN', creditor.iban]]]]],
+      ['CdtrAgt', [agent(creditor.bic)]],
+      ['ChrgBr', 'SLEV'],
+      ['CdtrSchmeId', [['Id', [['PrvtId', [['Othr', [['Id', creditor.creditor_id], ['SchmeNm', [['Prtry', 'SEPA']]]]]]]]]]],
+      ...items.map(c => ['DrctDbtTxInf', [
+        ['PmtId', [['EndToEndId', c.end_to_end_id]]],
+        ['InstdAmt', euros(c.amount_cents), { Ccy: 'EUR' }],
+        ['DrctDbtTx', [['MndtRltdInf', [['MndtId', c.mandate_reference], ['DtOfSgntr', c.signed_at]]]]],
+        ['DbtrAgt', [agent(c.bic)]],
+        ['Dbtr', [['Nm', sepaText(c.debtor_name, 70)]]],
+        ['DbtrAcct', [['Id', [['IBAN', c.iban]]]]],
+        ['RmtInf', [['Ustrd', sepaText(c.remittance, 140)]]]
+      ]])
+    ]];
+  });
+  const document = ['Document', [
+    ['CstmrDrctDbtInitn', [
+      ['GrpHdr', [
+        ['MsgId', batch.message_id],
+        ['CreDtTm', batch.created_at],
+        ['NbOfTxs', String(collections.length)],
+        ['CtrlSum', euros(total)],
+        ['InitgPty', [['Nm', sepaText(creditor.name, 70)]]]
+      ]],
+      ...blocks
+    ]]
+  ], { xmlns: 'urn:iso:std:iso:20022:tech:xsd:pain.008.001.02', 'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance' }];
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${render(document)}\n`;
+}
+
+// Every node of a name below `node`
+function descendants(node, name, found = []) {
+  for (const child of node.children) {
+    if (child.name === name) found.push(child);
+    descendants(child, name, found);
+  }
+  return found;
+}
+
+/**
+ * Returned or rejected collections in a bank file: [{ end_to_end_id, reason }], plus the
+ * message ids of whole batches rejected ([{ message_id, reason }]).
+ */
+function parseReturns(text) {
+  const doc = xml.parseXml(text);
+  const returns = [];
+  const rejectedBatches = [];
+  // pain.002 payment status report
+  for (const group of descendants(doc, 'OrgnlGrpInfAndSts')) {
+    if (REJECTED.includes(xml.textAt(group, 'GrpSts'))) {
+      rejectedBatches.push({ message_id: xml.textAt(group, 'OrgnlMsgId'), reason: xml.textAt(group, 'StsRsnInf/Rsn/Cd') });
+    }
+  }
+  for (const tx of descendants(doc, 'TxInfAndSts')) {
+    const status = xml.textAt(tx, 'TxSts');
+    if (status && !REJECTED.includes(status)) continue;
+    returns.push({ end_to_end_id: xml.textAt(tx, 'OrgnlEndToEndId'), reason: xml.textAt(tx, 'StsRsnInf/Rsn/Cd') });
+  }
+  // camt.054 / camt.053 entries with return information
+  for (const tx of descendants(doc, 'TxDtls')) {
+    if (!xml.find(tx, 'RtrInf')) continue;
+    returns.push({ end_to_end_id: xml.textAt(tx, 'Refs/EndToEndId'), reason: xml.textAt(tx, 'RtrInf/Rsn/Cd') });
+  }
+  return { returns: returns.filter(r => r.end_to_end_id), rejectedBatches: rejectedBatches.filter(b => b.message_id) };
+}
+
+function sepaError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const maskIban = (iban) => (iban ? `${iban.slice(0, 4)} •••• ${iban.slice(-4)}` : null);
+
+function toMandate(m) {
+  return {
+    id: m.id,
+    condominium_id: m.condominium_id,
+    fracao_id: m.fracao_id,
+    identifier: m.identifier,
+    user_id: m.user_id,
+    user_name: m.user_name,
+    reference: m.reference,
+    debtor_name: m.debtor_name,
+    iban: m.iban,
+    iban_masked: maskIban(m.iban),
+    bic: m.bic,
+    signed_at: m.signed_at,
+    status: m.status,
+    revoked_at: m.revoked_at,
+    collections_count: m.collections_count !== undefined ? m.collections_count : undefined,
+    next_sequence: m.collected_count !== undefined ? (m.collected_count ? 'RCUR' : 'FRST') : undefined,
+    created_at: m.created_at
+  };
+}
+
+function toBatch(b) {
+  return {
+    id: b.id,
+    condominium_id: b.condominium_id,
+    message_id: b.message_id,
+    period: b.period,
+    collection_date: b.collection_date,
+    collections_count: b.collections_count,
+    total: toEuros(b.total_cents),
+    returned_count: b.returned_count !== undefined ? b.returned_count : undefined,
+    returned_total: b.returned_cents !== undefined ? toEuros(b.returned_cents) : undefined,
+    created_at: b.created_at
+  };
+}
+
+function toCollection(c) {
+  return {
+    id: c.id,
+    batch_id: c.batch_id,
+    mandate_id: c.mandate_id,
+    mandate_reference: c.mandate_reference,
+    fracao_id: c.fracao_id,
+    identifier: c.identifier,
+    debtor_name: c.debtor_name,
+    amount: toEuros(c.amount_cents),
+    sequence_type: c.sequence_type,
+    end_to_end_id: c.end_to_end_id,
+    status: c.status,
+    payment_id: c.payment_id,
+    return_reason: c.return_reason,
+    return_reason_label: c.return_reason ? RETURN_REASONS[c.return_reason] || c.return_reason : null,
+    returned_at: c.returned_at
+  };
+}
+
+const MANDATE_QUERY = `
+  SELECT m.*, f.identifier, u.nome AS user_name,
+    (SELECT COUNT(*) FROM sepa_collections c WHERE c.mandate_id = m.id) AS collections_count,
+    (SELECT COUNT(*) FROM sepa_collections c WHERE c.mandate_id = m.id AND c.status = 'collected') AS collected_count
+  FROM sepa_mandates m JOIN fracoes f ON f.id = m.fracao_id JOIN users u ON u.id = m.user_id`;
+
+const COLLECTION_QUERY = `
+  SELECT c.*, m.reference AS mandate_reference, m.debtor_name, f.identifier FROM sepa_collections c
+  JOIN sepa_mandates m ON m.id = c.mandate_id JOIN fracoes f ON f.id = c.fracao_id`;
+
+/**
+ * @param {import('sqlite3').Database} db - shared connection
+ * @param {object} options
+ * @param {function} options.transaction - runs work in a write transaction (transactions.js)
+ * @param {object} options.upload - multer instance for the bank's return files
+ * @param {object} options.quotas - quota billing module (quotas.js): unit accounts and payments
+ * @param {object} options.fracoes - units module (fracoes.js)
+ * @param {string} options.uploadsDir - where the generated pain.008 files are kept
+ */
+module.exports = function(db, { transaction, upload, quotas, fracoes, uploadsDir }) {
+  const q = require('./transactions').queries(db);
+
+  function fail(res, error, what, message) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error(`Error ${what}:`, error);
+    res.status(500).json({ error: message });
+  }
+
+  /** Validates mandate fields; `partial` allows missing fields. */
+  function readMandate(body, partial) {
+    const mandate = {};
+    if (body.iban !== undefined || !partial) {
+      mandate.iban = compact(body.iban);
+      if (!validIban(mandate.iban)) return { error: 'IBAN inválido' };
+    }
+    if (body.bic !== undefined) {
+      mandate.bic = compact(body.bic) || null;
+      if (mandate.bic && !BIC_PATTERN.test(mandate.bic)) return { error: 'BIC inválido' };
+    }
+    if (body.signed_at !== undefined || !partial) {
+      mandate.signed_at = body.signed_at || today();
+      if (!validDate(mandate.signed_at) || mandate.signed_at > today()) return { error: 'Data de assinatura inválida (AAAA-MM-DD, até hoje)' };
+    }
+    if (body.debtor_name !== undefined) {
+      mandate.debtor_name = sepaText(body.debtor_name, 70);
+      if (!mandate.debtor_name) return { error: 'O nome do devedor é obrigatório' };
+    }
+    if (body.reference !== undefined && body.reference !== null && body.reference !== '') {
+      mandate.reference = String(body.reference).trim();
+      if (!/^[A-Za-z0-9/\-?:().,'+]{1,35}$/.test(mandate.reference)) return { error: 'Referência do mandato inválida (até 35 caracteres, sem espaços)' };
+    }
+    return { mandate };
+  }
+
+  async function creditorOf(condominiumId, conn = q) {
+    const condo = await conn.get('SELECT id, name, sepa_creditor_id, sepa_iban, sepa_bic FROM condominiums WHERE id = ?', [condominiumId]);
+    if (!condo) return null;
+    return { name: condo.name, creditor_id: condo.sepa_creditor_id, iban: condo.sepa_iban, bic: condo.sepa_bic };
+  }
+
+  /**
+   * What a batch would collect: the `items` given ([{ mandate_id, amount }]) or, for each active
+   * mandate, what the unit owes for `period` (or, without a period, everything due by the
+   * collection date).
+   */
+  async function plan(conn, condominiumId, body) {
+    const creditor = await creditorOf(condominiumId, conn);
+    if (!creditor) throw sepaError(404, 'Condomínio não encontrado');
+    if (!creditor.creditor_id || !creditor.iban) throw sepaError(409, 'Configure primeiro o identificador de credor SEPA e o IBAN do condomínio');
+    const collectionDate = body.collection_date;
+    if (!validDate(collectionDate) || collectionDate <= today()) throw sepaError(400, 'A data de cobrança tem de ser posterior a hoje (AAAA-MM-DD)');
+    const period = body.period || null;
+    const info = period ? quotas.parsePeriod(period) : null;
+    if (period && !info) throw sepaError(400, 'Período inválido (AAAA-MM, AAAA-Qn ou AAAA)');
+
+    const mandates = await conn.all(`${MANDATE_QUERY} WHERE m.condominium_id = ? AND m.status = 'active' ORDER BY f.identifier`, [condominiumId]);
+    const byId = new Map(mandates.map(m => [m.id, m]));
+    let items;
+    if (Array.isArray(body.items)) {
+      items = [];
+      for (const item of body.items) {
+        const mandate = byId.get(parseInt(item.mandate_id, 10));
+        const amount = toCents(item.amount);
+        if (!mandate) throw sepaError(400, `Mandato ${item.mandate_id} não encontrado ou não ativo neste condomínio`);
+        if (amount === null || amount <= 0) throw sepaError(400, `Montante inválido para o mandato ${mandate.reference}`);
+        if (items.some(i => i.mandate.id === mandate.id)) throw sepaError(400, `O mandato ${mandate.reference} está repetido`);
+        items.push({ mandate, amount_cents: amount });
+      }
+    } else {
+      items = [];
+      for (const mandate of mandates) {
+        const acc = await quotas.account(mandate.fracao_id, conn);
+        const owed = acc.charges
+          .filter(c => c.outstanding_cents > 0 && (period ? c.period === period : c.due_date <= collectionDate))
+          .reduce((sum, c) => sum + c.outstanding_cents, 0);
+        if (owed > 0) items.push({ mandate, amount_cents: owed });
+      }
+    }
+    if (!items.length) throw sepaError(400, 'Não há montantes a cobrar por débito direto');
+
+    const label = info ? `Quotas ${info.label}` : 'Quotas em divida';
+    return {
+      creditor,
+      period,
+      collection_date: collectionDate,
+      total_cents: items.reduce((sum, i) => sum + i.amount_cents, 0),
+      collections: items.map(({ mandate, amount_cents: amount }) => ({
+        mandate_id: mandate.id,
+        mandate_reference: mandate.reference,
+        signed_at: mandate.signed_at,
+        fracao_id: mandate.fracao_id,
+        identifier: mandate.identifier,
+        user_id: mandate.user_id,
+        debtor_name: mandate.debtor_name,
+        iban: mandate.iban,
+        bic: mandate.bic,
+        amount_cents: amount,
+        sequence_type: mandate.collected_count ? 'RCUR' : 'FRST',
+        remittance: `${label} - Fracao ${mandate.identifier} - ${creditor.name}`
+      }))
+    };
+  }
+
+  const toPlan = (p) => ({
+    period: p.period,
+    collection_date: p.collection_date,
+    total: toEuros(p.total_cents),
+    collections: p.collections.map(c => ({
+      mandate_id: c.mandate_id,
+      mandate_reference: c.mandate_reference,
+      fracao_id: c.fracao_id,
+      identifier: c.identifier,
+      user_id: c.user_id,
+      debtor_name: c.debtor_name,
+      iban_masked: maskIban(c.iban),
+      amount: toEuros(c.amount_cents),
+      sequence_type: c.sequence_type
+    }))
+  });
+
+  /** Marks a collection returned and deletes its payment, inside the caller's transaction. */
+  async function markReturned(conn, collection, reason) {
+    if (collection.payment_id) await quotas.deletePayment(conn, collection.payment_id);
+    await conn.run(
+      "UPDATE sepa_collections SET status = 'returned', payment_id = NULL, return_reason = ?, returned_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [reason || null, collection.id]
+    );
+  }
+
+  const router = express.Router();
+
+  // Creditor settings: { creditor_id, iban, bic }
+  router.get('/api/condominiums/:id/sepa', async (req, res) => {
+    try {
+      const creditor = await creditorOf(req.params.id);
+      if (!creditor) return res.status(404).json({ error: 'Condomínio não encontrado' });
+      res.json({ ...creditor, ready: Boolean(creditor.creditor_id && creditor.iban), return_reasons: RETURN_REASONS });
+    } catch (error) {
+      fail(res, error, 'fetching SEPA settings', 'Erro ao buscar configuração SEPA');
+    }
+  });
+
+  router.put('/api/condominiums/:id/sepa', async (req, res) => {
+    const body = req.body || {};
+    const fields = {};
+    if (body.creditor_id !== undefined) {
+      fields.sepa_creditor_id = compact(body.creditor_id) || null;
+      if (fields.sepa_creditor_id && !validCreditorId(fields.sepa_creditor_id)) return res.status(400).json({ error: 'Identificador de credor SEPA inválido' });
+    }
+    if (body.iban !== undefined) {
+      fields.sepa_iban = compact(body.iban) || null;
+      if (fields.sepa_iban && !validIban(fields.sepa_iban)) return res.status(400).json({ error: 'IBAN inválido' });
+    }
+    if (body.bic !== undefined) {
+      fields.sepa_bic = compact(body.bic) || null;
+      if (fields.sepa_bic && !BIC_PATTERN.test(fields.sepa_bic)) return res.status(400).json({ error: 'BIC inválido' });
+    }
+    if (!Object.keys(fields).length) return res.status(400).json({ error: 'No fields to update' });
+    try {
+      const result = await q.run(
+        `UPDATE condominiums SET ${Object.keys(fields).map(f => `${f} = ?`).join(', ')} WHERE id = ?`,
+        [...Object.values(fields), req.params.id]
+      );
+      if (!result.changes) return res.status(404).json({ error: 'Condomínio não encontrado' });
+      const creditor = await creditorOf(req.params.id);
+      res.json({ success: true, ...creditor, ready: Boolean(creditor.creditor_id && creditor.iban) });
+    } catch (error) {
+      fail(res, error, 'updating SEPA settings', 'Erro ao atualizar configuração SEPA');
+    }
+  });
+
+  // Mandates of a condominium: ?status (active|revoked)
+  router.get('/api/condominiums/:id/sepa-mandates', async (req, res) => {
+    const params = [req.params.id];
+    let where = 'm.condominium_id = ?';
+    if (req.query.status) { where += ' AND m.status = ?'; params.push(req.query.status); }
+    try {
+      const rows = await q.all(`${MANDATE_QUERY} WHERE ${where} ORDER BY f.identifier, m.signed_at DESC`, params);
+      res.json(rows.map(toMandate));
+    } catch (error) {
+      fail(res, error, 'fetching SEPA mandates', 'Erro ao buscar mandatos');
+    }
+  });
+
+  // New mandate signed by a person responsible for the unit:
+  // { user_id, iban, bic, signed_at, reference, debtor_name }
+  router.post('/api/fracoes/:id/sepa-mandates', async (req, res) => {
+    const body = req.body || {};
+    const userId = parseInt(body.user_id, 10);
+    if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user id' });
+    const { mandate, error } = readMandate(body, false);
+    if (error) return res.status(400).json({ error });
+
+    try {
+      const unit = await q.get('SELECT id, identifier, condominium_id FROM fracoes WHERE id = ?', [req.params.id]);
+      if (!unit) return res.status(404).json({ error: 'Fração não encontrada' });
+      const party = await q.get(
+        `SELECT u.id, u.nome FROM fracao_residents fr JOIN users u ON u.id = fr.user_id
+         WHERE fr.fracao_id = ? AND fr.user_id = ? AND fr.role IN (${MANDATE_ROLES.map(() => '?').join(', ')})
+           AND ${fracoes.CURRENT}`,
+        [unit.id, userId, ...MANDATE_ROLES]
+      );
+      if (!party) return res.status(400).json({ error: 'O devedor tem de ser proprietário, representante legal ou contacto delegado da fração' });
+      const active = await q.get("SELECT id FROM sepa_mandates WHERE fracao_id = ? AND status = 'active'", [unit.id]);
+      if (active) return res.status(409).json({ error: 'A fração já tem um mandato ativo; revogue-o primeiro', mandate_id: active.id });
+
+      const count = await q.get('SELECT COUNT(*) AS n FROM sepa_mandates WHERE fracao_id = ?', [unit.id]);
+      const reference = mandate.reference || `${quotas.referenceOf(unit)}M${count.n + 1}`;
+      if (await q.get('SELECT id FROM sepa_mandates WHERE condominium_id = ? AND reference = ?', [unit.condominium_id, reference])) {
+        return res.status(409).json({ error: 'Já existe um mandato com esta referência' });
+      }
+      const created = await q.run(
+        `INSERT INTO sepa_mandates (condominium_id, fracao_id, user_id, reference, debtor_name, iban, bic, signed_at, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [unit.condominium_id, unit.id, userId, reference, mandate.debtor_name || sepaText(party.nome, 70), mandate.iban,
+          mandate.bic || null, mandate.signed_at, req.auth.id]
+      );
+      res.status(201).json({ success: true, mandate: toMandate(await q.get(`${MANDATE_QUERY} WHERE m.id = ?`, [created.lastID])) });
+    } catch (error) {
+      fail(res, error, 'creating SEPA mandate', 'Erro ao registar mandato');
+    }
+  });
+
+  // Corrects a mandate that has not been used yet; once collected, a new mandate is needed
+  router.put('/api/sepa-mandates/:id', async (req, res) => {
+    const { mandate, error } = readMandate(req.body || {}, true);
+    if (error) return res.status(400).json({ error });
+    if (!Object.keys(mandate).length) return res.status(400).json({ error: 'No fields to update' });
+    try {
+      const existing = await q.get(`${MANDATE_QUERY} WHERE m.id = ?`, [req.params.id]);
+      if (!existing) return res.status(404).json({ error: 'Mandato não encontrado' });
+      if (existing.collections_count) return res.status(409).json({ error: 'O mandato já foi usado em cobranças; revogue-o e registe um novo' });
+      if (existing.status !== 'active') return res.status(409).json({ error: 'O mandato foi revogado' });
+      await q.run(
+        `UPDATE sepa_mandates SET ${Object.keys(mandate).map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...Object.values(mandate), existing.id]
+      );
+      res.json({ success: true, mandate: toMandate(await q.get(`${MANDATE_QUERY} WHERE m.id = ?`, [existing.id])) });
+    } catch (error) {
+      if (String(error.message).includes('UNIQUE')) return res.status(409).json({ error: 'Já existe um mandato com esta referência' });
+      fail(res, error, 'updating SEPA mandate', 'Erro ao atualizar mandato');
+    }
+  });
+
+  // Revokes a mandate; one never used is deleted
+  router.delete('/api/sepa-mandates/:id', async (req, res) => {
+    try {
+      const existing = await q.get(`${MANDATE_QUERY} WHERE m.id = ?`, [req.params.id]);
+      if (!existing) return res.status(404).json({ error: 'Mandato não encontrado' });
+      if (!existing.collections_count) {
+        await q.run('DELETE FROM sepa_mandates WHERE id = ?', [existing.id]);
+        return res.json({ success: true, deleted: existing.id });
+      }
+      if (existing.status === 'revoked') return res.status(409).json({ error: 'O mandato já foi revogado' });
+      await q.run("UPDATE sepa_mandates SET status = 'revoked', revoked_at = date('now'), updated_at = CURRENT_TIMESTAMP WHERE id = ?", [existing.id]);
+      res.json({ success: true, revoked: existing.id });
+    } catch (error) {
+      fail(res, error, 'revoking SEPA mandate', 'Erro ao revogar mandato');
+    }
+  });
+
+  // What a batch would collect: { collection_date, period, items }
+  router.post('/api/condominiums/:id/sepa-batches/preview', async (req, res) => {
+    try {
+      res.json(toPlan(await plan(q, parseInt(req.params.id, 10), req.body || {})));
+    } catch (error) {
+      fail(res, error, 'previewing SEPA batch', 'Erro ao simular cobrança');
+    }
+  });
+
+  // Generates the batch: records the payments and writes the pain.008 file
+  router.post('/api/condominiums/:id/sepa-batches', async (req, res) => {
+    const condominiumId = parseInt(req.params.id, 10);
+    let filePath = null;
+    try {
+      const batchId = await transaction(async (conn) => {
+        const p = await plan(conn, condominiumId, req.body || {});
+        const now = new Date();
+        const messageId = `C${condominiumId}-${now.toISOString().replace(/\D/g, '').slice(0, 14)}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+        const created = await conn.run(
+          `INSERT INTO sepa_batches (condominium_id, message_id, period, collection_date, collections_count, total_cents, created_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [condominiumId, messageId, p.period, p.collection_date, p.collections.length, p.total_cents, req.auth.id]
+        );
+        for (const [i, c] of p.collections.entries()) {
+          c.end_to_end_id = `${messageId}-${i + 1}`;
+          const paymentId = await quotas.recordPayment(conn, {
+            condominium_id: condominiumId,
+            fracao_id: c.fracao_id,
+            user_id: c.user_id,
+            amount_cents: c.amount_cents,
+            paid_at: p.collection_date,
+            method: 'direct_debit',
+            reference: c.end_to_end_id,
+            notes: 'Débito direto SEPA',
+            created_by: req.auth.id
+          });
+          await conn.run(
+            `INSERT INTO sepa_collections (batch_id, mandate_id, fracao_id, amount_cents, sequence_type, end_to_end_id, payment_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [created.lastID, c.mandate_id, c.fracao_id, c.amount_cents, c.sequence_type, c.end_to_end_id, paymentId]
+          );
+        }
+        filePath = path.join(uploadsDir, `sepa-${messageId}.xml`);
+        fs.writeFileSync(filePath, pain008({
+          message_id: messageId,
+          created_at: now.toISOString().slice(0, 19),
+          collection_date: p.collection_date,
+          creditor: p.creditor,
+          collections: p.collections
+        }));
+        await conn.run('UPDATE sepa_batches SET file_path = ? WHERE id = ?', [filePath, created.lastID]);
+        return created.lastID;
+      });
+      const batch = await q.get('SELECT * FROM sepa_batches WHERE id = ?', [batchId]);
+      const collections = await q.all(`${COLLECTION_QUERY} WHERE c.batch_id = ? ORDER BY c.id`, [batchId]);
+      res.status(201).json({ success: true, batch: toBatch(batch), collections: collections.map(toCollection) });
+    } catch (error) {
+      if (filePath) fs.unlink(filePath, () => {});
+      fail(res, error, 'generating SEPA batch', 'Erro ao gerar cobrança');
+    }
+  });
+
+  router.get('/api/condominiums/:id/sepa-batches', async (req, res) => {
+    try {
+      const rows = await q.all(
+        `SELECT b.*,
+           (SELECT COUNT(*) FROM sepa_collections c WHERE c.batch_id = b.id AND c.status = 'returned') AS returned_count,
+           (SELECT COALESCE(SUM(c.amount_cents), 0) FROM sepa_collections c WHERE c.batch_id = b.id AND c.status = 'returned') AS returned_cents
+         FROM sepa_batches b WHERE b.condominium_id = ? ORDER BY b.collection_date DESC, b.id DESC`,
+        [req.params.id]
+      );
+      res.json(rows.map(toBatch));
+    } catch (error) {
+      fail(res, error, 'fetching SEPA batches', 'Erro ao buscar cobranças');
+    }
+  });
+
+  router.get('/api/sepa-batches/:id', async (req, res) => {
+    try {
+      const batch = await q.get('SELECT * FROM sepa_batches WHERE id = ?', [req.params.id]);
+      if (!batch) return res.status(404).json({ error: 'Cobrança não encontrada' });
+      const collections = await q.all(`${COLLECTION_QUERY} WHERE c.batch_id = ? ORDER BY f.identifier`, [batch.id]);
+      res.json({ ...toBatch(batch), collections: collections.map(toCollection) });
+    } catch (error) {
+      fail(res, error, 'fetching SEPA batch', 'Erro ao buscar cobrança');
+    }
+  });
+
+  // The pain.008 file to upload to the bank
+  router.get('/api/sepa-batches/:id/xml', async (req, res) => {
+    try {
+      const batch = await q.get('SELECT * FROM sepa_batches WHERE id = ?', [req.params.id]);
+      if (!batch || !batch.file_path) return res.status(404).json({ error: 'Cobrança não encontrada' });
+      const absolutePath = path.resolve(batch.file_path);
+      if (!fs.existsSync(absolutePath)) return res.status(404).json({ error: 'File missing on disk' });
+      res.download(absolutePath, `${batch.message_id}.xml`);
+    } catch (error) {
+      fail(res, error, 'sending SEPA file', 'Erro ao obter ficheiro');
+    }
+  });
+
+  // Cancels a batch not yet collected (e.g. never sent to the bank), deleting its payments
+  router.delete('/api/sepa-batches/:id', async (req, res) => {
+    try {
+      const batch = await q.get('SELECT * FROM sepa_batches WHERE id = ?', [req.params.id]);
+      if (!batch) return res.status(404).json({ error: 'Cobrança não encontrada' });
+      if (batch.collection_date <= today()) return res.status(409).json({ error: 'A data de cobrança já chegou; registe as devoluções em vez de anular' });
+      await transaction(async (conn) => {
+        const collections = await conn.all('SELECT payment_id FROM sepa_collections WHERE batch_id = ? AND payment_id IS NOT NULL', [batch.id]);
+        for (const c of collections) await quotas.deletePayment(conn, c.payment_id);
+        await conn.run('DELETE FROM sepa_collections WHERE batch_id = ?', [batch.id]);
+        await conn.run('DELETE FROM sepa_batches WHERE id = ?', [batch.id]);
+      });
+      if (batch.file_path) fs.unlink(batch.file_path, () => {});
+      res.json({ success: true, deleted: batch.id });
+    } catch (error) {
+      fail(res, error, 'cancelling SEPA batch', 'Erro ao anular cobrança');
+    }
+  });
+
+  // Returns and rejects: the bank's XML file (multipart `file`) or { returns: [{ end_to_end_id, reason }] }
+  router.post('/api/condominiums/:id/sepa-returns', upload.single('file'), async (req, res) => {
+    const condominiumId = parseInt(req.params.id, 10);
+    try {
+      let parsed;
+      if (req.file) {
+        parsed = parseReturns(csv.decode(fs.readFileSync(req.file.path)).text);
+      } else if (Array.isArray((req.body || {}).returns)) {
+        parsed = { returns: req.body.returns.map(r => ({ end_to_end_id: r.end_to_end_id, reason: r.reason ? compact(r.reason) : null })), rejectedBatches: [] };
+      } else {
+        return res.status(400).json({ error: 'Envie o ficheiro de devoluções do banco ou uma lista de devoluções' });
+      }
+      if (!parsed.returns.length && !parsed.rejectedBatches.length) {
+        return res.status(400).json({ error: 'O ficheiro não tem cobranças devolvidas ou rejeitadas' });
+      }
+
+      const outcome = await transaction(async (conn) => {
+        const result = { returned: [], already_returned: 0, unknown: [] };
+        const handle = async (collection, reason) => {
+          if (collection.status === 'returned') { result.already_returned++; return; }
+          await markReturned(conn, collection, reason);
+          result.returned.push(await conn.get(`${COLLECTION_QUERY} WHERE c.id = ?`, [collection.id]));
+        };
+        for (const rejected of parsed.rejectedBatches) {
+          const collections = await conn.all(
+            `${COLLECTION_QUERY} JOIN sepa_batches b ON b.id = c.batch_id WHERE b.message_id = ? AND b.condominium_id = ?`,
+            [rejected.message_id, condominiumId]
+          );
+          if (!collections.length) result.unknown.push(rejected.message_id);
+          for (const c of collections) await handle(c, rejected.reason);
+        }
+        for (const r of parsed.returns) {
+          const collection = await conn.get(
+            `${COLLECTION_QUERY} JOIN sepa_batches b ON b.id = c.batch_id WHERE c.end_to_end_id = ? AND b.condominium_id = ?`,
+            [r.end_to_end_id, condominiumId]
+          );
+          if (!collection) result.unknown.push(r.end_to_end_id);
+          else await handle(collection, r.reason);
+        }
+        return result;
+      });
+      res.json({
+        success: true,
+        returned: outcome.returned.length,
+        returned_total: toEuros(outcome.returned.reduce((sum, c) => sum + c.amount_cents, 0)),
+        already_returned: outcome.already_returned,
+        unknown: outcome.unknown,
+        collections: outcome.returned.map(toCollection)
+      });
+    } catch (error) {
+      fail(res, error, 'importing SEPA returns', 'Erro ao importar devoluções');
+    } finally {
+      if (req.file) fs.unlink(req.file.path, () => {});
+    }
+  });
+
+  return {
+    SEQUENCE_TYPES,
+    RETURN_REASONS,
+    validIban,
+    validCreditorId,
+    pain008,
+    router
+  };
+};
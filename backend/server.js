@@ -5,6 +5,7 @@ const bcrypt = require('bcrypt');
 const path = require('path');
 const multer = require('multer');
 const fs = require('fs');
+const crypto = require('crypto');
 
 const dotenvPath = path.join(__dirname, '.env');
 if (fs.existsSync(dotenvPath)) {
@@ -14,14 +15,22 @@ if (fs.existsSync(dotenvPath)) {
 const app = express();
 const PORT = Number(process.env.PORT) || 3002;
 
+// Behind a reverse proxy, TRUST_PROXY makes req.ip the client's address (taken from
+// X-Forwarded-For) instead of the proxy's, which the login throttle keys on: a number of hops,
+// true, or the proxy addresses/subnets (e.g. "loopback" or "10.0.0.1"). Unset, nothing is trusted.
+const TRUST_PROXY = process.env.TRUST_PROXY && String(process.env.TRUST_PROXY).trim();
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'true' ? true : TRUST_PROXY);
+}
+
 // Middleware
-// Enable CORS and allow custom headers used by the frontend (admin-permissions, maintenance-id, etc.)
+// Enable CORS and allow the Authorization header carrying the session token.
 // If WEB_ORIGIN is defined, restrict CORS to that origin; otherwise allow any (useful for local/dev).
 const WEB_ORIGIN = process.env.WEB_ORIGIN && String(process.env.WEB_ORIGIN).trim();
 app.use(cors({
   origin: WEB_ORIGIN ? [WEB_ORIGIN] : true,
   credentials: true,
-  allowedHeaders: ['Origin','X-Requested-With','Content-Type','Accept','admin-permissions','admin-id','admin-username','maintenance-id']
+  allowedHeaders: ['Origin','X-Requested-With','Content-Type','Accept','Authorization']
 }));
 // Ensure preflight requests are handled for all routes
 app.options('*', cors());
@@ -30,40 +39,14 @@ app.use(express.json());
 // Database setup (will be done later in the file)
 let db;
 
-// Helper: normalize allowed_condominiums into an array of Numbers
-function normalizeAllowedCondominiums(raw) {
-  try {
-    if (!raw) return [];
-    let arr = raw;
-    if (typeof arr === 'string') {
-      try { arr = JSON.parse(arr); } catch (e) { arr = [arr]; }
-    }
-    if (!Array.isArray(arr)) arr = [arr];
-    return arr.map(x => Number(x)).filter(n => !Number.isNaN(n));
-  } catch (e) {
-    console.warn('normalizeAllowedCondominiums parse error', e && e.message);
-    return [];
-  }
-}
-
-// Helper: get admin-allowed condos with type normalization
+// Helper: get admin-allowed condos for the authenticated session (see auth-sessions.js).
+// Scope comes from the admin's role assignments, never from request headers, and is narrowed
+// to the condominiums where the admin holds the route's permission (see policies.js).
 function getAdminAllowedCondos(req) {
-  try {
-    const perms = req.headers['admin-permissions'];
-    if (!perms) return null; // null = full access
-    
-    const parsed = typeof perms === 'string' ? JSON.parse(perms) : perms;
-    if (parsed.scope === 'full') return null; // null = full access
-    
-    if (parsed.scope === 'limited' && parsed.allowed_condominiums) {
-      const normalized = normalizeAllowedCondominiums(parsed.allowed_condominiums);
-      return normalized.length > 0 ? normalized : [];
-    }
-    return []; // empty array = no access
-  } catch (e) {
-    console.error('Error parsing admin permissions:', e);
-    return []; // empty array = no access
-  }
+  const auth = req.auth;
+  if (!auth || auth.role !== 'admin') return []; // no admin session = no access
+  // null = full access, empty array = no access
+  return authz.condominiumsWith(auth, req.policy && req.policy.permission);
 }
 
 // Ensure uploads directory exists (can be overridden via env for cPanel)
@@ -161,6 +144,69 @@ const uploadCsv = multer({
   }
 });
 
+// Multer for bank statements and SEPA return files (CSV or XML)
+const statementStorage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, uploadsDir),
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const ext = path.extname(file.originalname) || '.csv';
+    cb(null, 'extrato-' + uniqueSuffix + ext);
+  }
+});
+
+const uploadStatement = multer({
+  storage: statementStorage,
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const allowed = [
+      'text/csv',
+      'application/vnd.ms-excel',
+      'application/octet-stream',
+      'text/plain',
+      'application/xml',
+      'text/xml'
+    ];
+    if (allowed.includes(file.mimetype)) cb(null, true);
+    else cb(new Error('Only CSV or XML files are allowed'), false);
+  }
+});
+
+// Multer for supplier invoices (PDF only)
+const invoiceStorage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, uploadsDir),
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'fatura-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const uploadInvoice = multer({
+  storage: invoiceStorage,
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/pdf') cb(null, true);
+    else cb(new Error('Only PDF files are allowed'), false);
+  }
+});
+
+// Multer for procurações presented at assembleias (PDF or scanned image)
+const proxyStorage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, uploadsDir),
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'procuracao-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const uploadProxy = multer({
+  storage: proxyStorage,
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (['application/pdf', 'image/jpeg', 'image/png', 'image/jpg'].includes(file.mimetype)) cb(null, true);
+    else cb(new Error('Only PDF and JPG/PNG images are allowed'), false);
+  }
+});
+
 // Serve uploaded files
 app.use('/uploads', express.static(uploadsDir));
 
@@ -189,750 +235,247 @@ db = new sqlite3.Database(dbPath, (err) => {
   }
 });
 
-// Initialize database tables
-function initializeDatabase() {
-  const createUsersTable = `
-    CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      grupo TEXT,
-      nome TEXT NOT NULL,
-      nif TEXT UNIQUE NOT NULL,
-      telemovel TEXT,
-      telefone TEXT,
-      permite_telefone TEXT,
-      email1 TEXT,
-      email2 TEXT,
-      email3 TEXT,
-      permite_email TEXT,
-      conjuge TEXT,
-      data_criacao TEXT,
-      data_alteracao TEXT,
-      password TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `;
-
-  const createAdminsTable = `
-    CREATE TABLE IF NOT EXISTS admins (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      username TEXT UNIQUE NOT NULL,
-      password TEXT NOT NULL,
-      scope TEXT DEFAULT 'full',
-      allowed_condominiums TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `;
-
-  const createMaintenanceTable = `
-    CREATE TABLE IF NOT EXISTS maintenance_users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      username TEXT UNIQUE NOT NULL,
-      password TEXT NOT NULL,
-      nome TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `;
-
-  const createOcorrenciasTable = `
-    CREATE TABLE IF NOT EXISTS ocorrencias (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      condominium_id INTEGER NOT NULL,
-  condominium_nipc TEXT,
-      title TEXT NOT NULL,
-      description TEXT NOT NULL,
-      priority TEXT DEFAULT 'medium',
-      status TEXT DEFAULT 'pending',
-      created_by_admin INTEGER NOT NULL,
-  reporter_user_id INTEGER,
-  reporter_user_nif TEXT,
-  reporter_note TEXT,
-      assigned_to_maintenance INTEGER,
-      maintenance_report TEXT,
-      admin_verification TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      completed_at DATETIME,
-      FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
-      FOREIGN KEY (created_by_admin) REFERENCES admins (id) ON DELETE CASCADE,
-      FOREIGN KEY (assigned_to_maintenance) REFERENCES maintenance_users (id) ON DELETE SET NULL
-    )
-  `;
-
-  const createAssembleiasTable = `
-    CREATE TABLE IF NOT EXISTS assembleias (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      condominium_id INTEGER NOT NULL,
-      title TEXT NOT NULL,
-      description TEXT,
-      date DATE NOT NULL,
-      time TIME NOT NULL,
-      location TEXT,
-      status TEXT DEFAULT 'scheduled',
-      admin_notes TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE
-    )
-  `;
-
-  const createAssembleiaFilesTable = `
-    CREATE TABLE IF NOT EXISTS assembleia_files (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      assembleia_id INTEGER NOT NULL,
-      filename TEXT NOT NULL,
-      original_filename TEXT NOT NULL,
-      file_path TEXT NOT NULL,
-      mime_type TEXT NOT NULL,
-      file_size INTEGER NOT NULL,
-      uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (assembleia_id) REFERENCES assembleias (id) ON DELETE CASCADE
-    )
-  `;
-
-  const createOcorrenciaImagesTable = `
-    CREATE TABLE IF NOT EXISTS ocorrencia_images (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      ocorrencia_id INTEGER NOT NULL,
-      filename TEXT NOT NULL,
-      original_filename TEXT NOT NULL,
-      file_path TEXT NOT NULL,
-      mime_type TEXT NOT NULL,
-      file_size INTEGER NOT NULL,
-      uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (ocorrencia_id) REFERENCES ocorrencias (id) ON DELETE CASCADE
-    )
-  `;
-
-  const createUserMessagesTable = `
-    CREATE TABLE IF NOT EXISTS user_messages (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      condominium_id INTEGER NOT NULL,
-      type TEXT NOT NULL CHECK(type IN ('complaint', 'request')),
-      subject TEXT NOT NULL,
-      message TEXT NOT NULL,
-      status TEXT DEFAULT 'open' CHECK(status IN ('open', 'in_progress', 'resolved', 'closed')),
-      admin_response TEXT,
-      admin_id INTEGER,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
-      FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
-      FOREIGN KEY (admin_id) REFERENCES admins (id) ON DELETE SET NULL
-    )
-  `;
-
-  const createCondominiumsTable = `
-    CREATE TABLE IF NOT EXISTS condominiums (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL UNIQUE,
-  nipc TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `;
-
-  const createUserCondominiumsTable = `
-    CREATE TABLE IF NOT EXISTS user_condominiums (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      condominium_id INTEGER NOT NULL,
-      apartment TEXT,
-      role TEXT DEFAULT 'resident',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
-      FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
-      UNIQUE(user_id, condominium_id)
-    )
-  `;
-
-  db.run(createUsersTable, (err) => {
-    if (err) {
-      console.error('Error creating users table:', err.message);
-    } else {
-      console.log('✅ Users table ready');
-    }
-  });
-
-  // Runtime migration: ensure users.must_change_password exists (default 1)
-  db.all("PRAGMA table_info('users')", [], (err, rows) => {
-    if (err) {
-      console.error('Error reading users table info for migration:', err.message);
-      return;
-    }
-    const cols = (rows || []).map(r => r.name);
-    if (!cols.includes('must_change_password')) {
-      db.run("ALTER TABLE users ADD COLUMN must_change_password INTEGER DEFAULT 1", [], (alterErr) => {
-        if (alterErr) console.error('Error adding must_change_password to users:', alterErr.message);
-        else console.log('✅ Added must_change_password column to users table (default 1)');
-      });
-    }
-  });
-
-  db.run(createAdminsTable, (err) => {
-    if (err) {
-      console.error('Error creating admins table:', err.message);
-    } else {
-      console.log('✅ Admins table ready');
-      createDefaultAdmin();
-    }
-  });
-
-  // Ensure admin_notifications table exists for linking notifications
-  const createAdminNotifications = `
-    CREATE TABLE IF NOT EXISTS admin_notifications (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      admin_id INTEGER NOT NULL,
-      notification_id INTEGER NOT NULL,
-      read_status INTEGER DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `;
-  db.run(createAdminNotifications, (err) => {
-    if (err) console.error('Error creating admin_notifications table:', err.message);
-    else console.log('✅ admin_notifications table ready');
-  });
-
-  db.run(createMaintenanceTable, (err) => {
-    if (err) {
-      console.error('Error creating maintenance_users table:', err.message);
-    } else {
-      console.log('✅ Maintenance users table ready');
-      createDefaultMaintenanceUser();
-    }
-  });
-
-  db.run(createOcorrenciasTable, (err) => {
-    if (err) {
-      console.error('Error creating ocorrencias table:', err.message);
-    } else {
-      console.log('✅ Ocorrencias table ready');
-    }
-  });
+// Imports commit on a second connection; wait for its lock instead of failing with SQLITE_BUSY
+db.configure('busyTimeout', 30000);
 
-  // Runtime migration: add phone column to maintenance_users table
-  db.all("PRAGMA table_info('maintenance_users')", [], (err, rows) => {
-    if (err) {
-      console.error('Error reading maintenance_users table info for migration:', err.message);
-      return;
-    }
+// Write transactions on a connection of their own (admin roles, units, finance and assembleias)
+const transaction = require('./transactions')(dbPath);
 
-    const cols = rows.map(r => r.name);
-    if (!cols.includes('phone')) {
-      db.run("ALTER TABLE maintenance_users ADD COLUMN phone TEXT", [], (err) => {
-        if (err) console.error('Error adding phone column to maintenance_users:', err.message);
-        else console.log('✅ Added phone column to maintenance_users table');
-      });
-    }
-  });
+// Named admin roles and their per-condominium assignments
+const adminRoles = require('./admin-roles')(db, { transaction });
 
-  // Runtime migration: ensure new columns exist on ocorrencias table (safe to run repeatedly)
-  db.all("PRAGMA table_info('ocorrencias')", [], (err, rows) => {
-    if (err) {
-      console.error('Error reading ocorrencias table info for migration:', err.message);
-      return;
-    }
-    const cols = (rows || []).map(r => r.name);
-    const adds = [];
-    if (!cols.includes('condominium_nipc')) adds.push("ALTER TABLE ocorrencias ADD COLUMN condominium_nipc TEXT");
-    if (!cols.includes('reporter_user_id')) adds.push("ALTER TABLE ocorrencias ADD COLUMN reporter_user_id INTEGER");
-    if (!cols.includes('reporter_user_nif')) adds.push("ALTER TABLE ocorrencias ADD COLUMN reporter_user_nif TEXT");
-    if (!cols.includes('reporter_note')) adds.push("ALTER TABLE ocorrencias ADD COLUMN reporter_note TEXT");
-
-    if (adds.length > 0) {
-      console.log('Running ocorrencias migration, adding columns:', adds.map(s => s.replace('ALTER TABLE ocorrencias ADD COLUMN ', '')).join(', '));
-      (async () => {
-        for (const sql of adds) {
-          await new Promise((resolve) => {
-            db.run(sql, (e) => {
-              if (e) console.error('Migration error:', e.message);
-              else console.log('Migration applied:', sql);
-              resolve();
-            });
-          });
-        }
-      })();
-    }
-  });
+// Versioned schema migrations (checked at startup, applied by migrate.js)
+const schemaMigrations = require('./schema-migrations')(db);
 
-  db.run(createAssembleiasTable, (err) => {
-    if (err) {
-      console.error('Error creating assembleias table:', err.message);
-    } else {
-      console.log('✅ Assembleias table ready');
-    }
-  });
+// Until the schema check has passed, every other request is refused
+let schemaReady = false;
+app.use((req, res, next) => {
+  if (schemaReady) return next();
+  res.status(503).json({ error: 'Base de dados por atualizar', code: 'SCHEMA_NOT_READY' });
+});
 
-  db.run(createAssembleiaFilesTable, (err) => {
-    if (err) {
-      console.error('Error creating assembleia_files table:', err.message);
-    } else {
-      console.log('✅ Assembleia files table ready');
-    }
-  });
+// Session tokens: resolves `Authorization: Bearer <token>` into req.auth for every request
+const sessions = require('./auth-sessions')(db, adminRoles);
+app.use(sessions.authenticate);
+
+// Per-route authorization policies (roles + condominium scope), enforced before any handler
+const authz = require('./authorization')(db);
+authz.register(app, require('./policies')(authz));
+app.use(adminRoles.router);
+
+// Append-only audit trail of every successful state-changing call (viewer for admins with audit.read)
+const auditLog = require('./audit-log')(db, { authz });
+app.use('/api', auditLog.capture);
+app.use(auditLog.router);
+
+// Attempt throttling / lockout shared by the three login endpoints and the password reset request
+const loginThrottle = require('./login-throttle')(db);
+
+// Self-service password reset for residents (mailed one-time links)
+app.use(require('./password-reset')(db, sessions, loginThrottle));
+
+// TOTP two-factor authentication for admins (enrolment, recovery codes, login second step)
+const adminTwoFactor = require('./admin-2fa')(db, sessions);
+app.use(adminTwoFactor.router);
+
+// Units (frações) with permilagem; residents are linked to units rather than to the building
+const fracoes = require('./fracoes')(db, { transaction });
+app.use(fracoes.router);
+
+// Assembleias: agenda (ordem de trabalhos), second call and the convocations sent to each owner,
+// attendance register with proxies and quorum, votes on the agenda items by permilagem, in the
+// room or electronically from the portal, the ata and the communication of the deliberations to
+// the absent owners
+const assembleias = require('./assembleias')(db, { transaction, fracoes, linkNotificationToUsers });
+app.use(assembleias.router);
+const evoting = require('./assembleia-evoting')(db, { transaction, fracoes, assembleias });
+app.use(evoting.router);
+const attendance = require('./assembleia-attendance')(db, { upload: uploadProxy, fracoes, assembleias, evoting });
+app.use(attendance.router);
+const votes = require('./assembleia-votes')(db, { transaction, assembleias, attendance, evoting });
+app.use(votes.router);
+const minutes = require('./assembleia-minutes')(db, { transaction, uploadsDir, assembleias, attendance, votes, linkNotificationToUsers });
+app.use(minutes.router);
+
+// Finance: annual budgets, quota billing runs, reserve fund, payments and balances per unit,
+// receipts, statements and debt declarations (PDF), arrears follow-up, bank statement
+// reconciliation, SEPA direct debits, supplier expenses and payables
+const budgets = require('./budgets')(db, { transaction, fracoes, uploadsDir, assembleias, votes });
+app.use(budgets.router);
+const reserveFund = require('./reserve-fund')(db, { transaction, fracoes, authz });
+app.use(reserveFund.router);
+const quotas = require('./quotas')(db, { transaction, budgets, fracoes, reserveFund, upload: uploadCsv });
+app.use(quotas.router);
+app.use(require('./financial-documents')(db, { transaction, quotas, fracoes }).router);
+const arrears = require('./arrears')(db, { quotas, fracoes, linkNotificationToUsers });
+app.use(arrears.router);
+const bankStatements = require('./bank-statements')(db, { transaction, upload: uploadStatement, quotas, fracoes });
+app.use(bankStatements.router);
+const sepa = require('./sepa')(db, { transaction, upload: uploadStatement, quotas, fracoes, uploadsDir });
+app.use(sepa.router);
+const expenses = require('./expenses')(db, { transaction, upload: uploadInvoice, authz, budgets, fracoes, paymentMethods: quotas.PAYMENT_METHODS });
+app.use(expenses.router);
+
+// Resident imports as resumable jobs: upload, column mapping, dry run, atomic commit, error report
+const csvImport = require('./csv-import')(db, { dbPath, upload: uploadCsv, authz, fracoes });
+app.use(csvImport.router);
+
+// Reset-and-import and snapshot restore (main admin), each in one transaction after a snapshot
+const snapshotsDir = process.env.SNAPSHOTS_DIR ? path.resolve(process.env.SNAPSHOTS_DIR) : path.join(path.dirname(dbPath), 'snapshots');
+app.use(require('./data-reset')(db, { dbPath, snapshotsDir, csvImport, upload: uploadCsv }).router);
+
+// Checks the schema (versioned migrations in migrations/, applied with `npm run migrate`),
+// then seeds the default accounts and starts serving. A pending or failed migration keeps
+// the server from serving: it exits when run directly and answers 503 when embedded.
+async function initializeDatabase() {
+  let schema;
+  try {
+    schema = await schemaMigrations.check();
+  } catch (error) {
+    schema = { ok: false, pending: [], failed: [], error };
+  }
 
-  db.run(createOcorrenciaImagesTable, (err) => {
-    if (err) {
-      console.error('Error creating ocorrencia_images table:', err.message);
-    } else {
-      console.log('✅ Ocorrencia images table ready');
-    }
-  });
+  if (!schema.ok) {
+    if (schema.error) console.error('❌ Could not read schema migrations:', schema.error.message);
+    schema.failed.forEach(m => console.error(`❌ Migration ${String(m.version).padStart(3, '0')}_${m.name} failed: ${m.error}`));
+    if (schema.pending.length) console.error(`❌ Pending migrations: ${schema.pending.map(m => `${String(m.version).padStart(3, '0')}_${m.name}`).join(', ')}`);
+    console.error('❌ Database schema is not up to date; run `npm run migrate` (see migrate.js) and restart');
+    if (require.main === module) process.exit(1);
+    return;
+  }
 
-  // Create table for admins if not exists handled above; add endpoints to create admins/maintenance users below
+  console.log('✅ Database schema is up to date');
+  schemaReady = true;
+  await createDefaultAdmin();
+  await createDefaultMaintenanceUser();
+  startServer();
+}
 
-  db.run(createUserMessagesTable, (err) => {
-    if (err) {
-      console.error('Error creating user_messages table:', err.message);
-    } else {
-      console.log('✅ User messages table ready');
-    }
-  });
+// Generated passwords never go to the logs: they are appended to a file only the server's user
+// can read, to be deleted once the accounts have been signed into
+const initialCredentialsFile = process.env.INITIAL_CREDENTIALS_FILE
+  ? path.resolve(process.env.INITIAL_CREDENTIALS_FILE)
+  : path.join(path.dirname(dbPath), 'initial-credentials.txt');
 
-  db.run(createCondominiumsTable, (err) => {
-    if (err) {
-      console.error('Error creating condominiums table:', err.message);
-    } else {
-      console.log('✅ Condominiums table ready');
-      // Ensure nipc column exists (migration for older DBs)
-      db.all("PRAGMA table_info(condominiums)", [], (piErr, cols) => {
-        if (piErr) {
-          console.error('Error checking condominiums schema:', piErr.message);
-          return;
-        }
-        const hasNipc = (cols || []).some(c => c && c.name === 'nipc');
-        if (!hasNipc) {
-          db.run("ALTER TABLE condominiums ADD COLUMN nipc TEXT", (alterErr) => {
-            if (alterErr) console.error('Error adding nipc column to condominiums:', alterErr.message);
-            else console.log('✅ Added nipc column to condominiums table');
-          });
-        }
-      });
-    }
-  });
+function recordInitialPassword(username, password) {
+  fs.appendFileSync(initialCredentialsFile, `${new Date().toISOString()} ${username} ${password}\n`, { mode: 0o600 });
+  // The mode only applies when the file is created
+  fs.chmodSync(initialCredentialsFile, 0o600);
+}
 
-  db.run(createUserCondominiumsTable, (err) => {
-    if (err) {
-      console.error('Error creating user_condominiums table:', err.message);
-    } else {
-      console.log('✅ User condominiums table ready');
-    }
-  });
+function generateInitialPassword() {
+  return crypto.randomBytes(12).toString('base64').replace(/[+/=]/g, '').slice(0, 14);
+}
 
-  // App meta table to track one-time migrations
-  const createAppMeta = `
-    CREATE TABLE IF NOT EXISTS app_meta (
-      key TEXT PRIMARY KEY,
-      value TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `;
-  db.run(createAppMeta, (err) => {
-    if (err) console.error('Error creating app_meta table:', err.message);
-    else console.log('✅ app_meta table ready');
+/**
+ * Makes sure a default account exists without ever resetting a password on boot.
+ * Missing accounts are created with a generated password that must be changed on first login;
+ * accounts still using the old well-known password are rotated once the same way.
+ */
+async function ensureDefaultAccount(table, username, legacyPassword, extraColumns = {}) {
+  const existing = await new Promise((resolve, reject) => {
+    db.get(`SELECT id, password FROM ${table} WHERE username = ?`, [username], (err, row) => (err ? reject(err) : resolve(row)));
   });
 
-  // One-time migration: reset all user passwords to hash(NIF) and force change on next login
-  performPasswordResetToNifIfNeeded();
-
+  if (existing && !(await bcrypt.compare(legacyPassword, existing.password))) return;
 
-// One-time migration helper
-async function performPasswordResetToNifIfNeeded() {
-  try {
-    const metaKey = 'password_reset_to_nif_2025_11_04';
-    const already = await new Promise((resolve) => {
-      db.get('SELECT value FROM app_meta WHERE key = ?', [metaKey], (err, row) => {
-        if (err) return resolve(false);
-        resolve(!!row);
-      });
-    });
-    if (already) {
-      console.log('ℹ️ Password reset to NIF migration already applied');
-      return;
-    }
+  const initialPassword = generateInitialPassword();
+  const hashed = await bcrypt.hash(initialPassword, 10);
 
-    console.log('🔐 Running one-time migration: resetting all user passwords to hash(NIF) and enabling must_change_password...');
-    const users = await new Promise((resolve, reject) => {
-      db.all("SELECT id, nif FROM users WHERE nif IS NOT NULL AND TRIM(nif) != ''", [], (err, rows) => {
-        if (err) return reject(err);
-        resolve(rows || []);
-      });
+  if (existing) {
+    await new Promise((resolve, reject) => {
+      db.run(`UPDATE ${table} SET password = ?, must_change_password = 1 WHERE id = ?`, [hashed, existing.id], (err) => (err ? reject(err) : resolve()));
     });
-
-    for (const u of users) {
-      try {
-        const nifStr = String(u.nif).trim();
-        const hashed = await bcrypt.hash(nifStr, 10);
-        await new Promise((resolve) => {
-          db.run('UPDATE users SET password = ?, must_change_password = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [hashed, u.id], () => resolve());
-        });
-      } catch (e) {
-        console.error('Error hashing NIF for user', u && u.id, e && e.message);
-      }
-    }
-
-    await new Promise((resolve) => {
-      db.run('INSERT OR REPLACE INTO app_meta (key, value) VALUES (?, ?)', [metaKey, 'done'], () => resolve());
+    console.log(`🔐 Default account '${username}' still had the published password; it was replaced.`);
+  } else {
+    const columns = ['username', 'password', 'must_change_password', ...Object.keys(extraColumns)];
+    const values = [username, hashed, 1, ...Object.values(extraColumns)];
+    await new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        values,
+        (err) => (err ? reject(err) : resolve())
+      );
     });
-    console.log('✅ Password reset migration completed for', users.length, 'users');
-  } catch (e) {
-    console.error('Password reset to NIF migration failed:', e && e.message);
+    console.log(`✅ Default account '${username}' created.`);
   }
-}
-  // Create admin notes table
-  const createAdminNotesTable = `
-    CREATE TABLE IF NOT EXISTS admin_notes (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      condominium_id INTEGER NOT NULL,
-      note TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      created_by_admin INTEGER,
-      FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE,
-      FOREIGN KEY (created_by_admin) REFERENCES admins (id) ON DELETE SET NULL
-    )
-  `;
-
-  db.run(createAdminNotesTable, (err) => {
-    if (err) {
-      console.error('Error creating admin_notes table:', err.message);
-    } else {
-      console.log('✅ Admin notes table ready');
-    }
-  });
-
-  // Create notifications table for admin alerts
-  const createNotificationsTable = `
-    CREATE TABLE IF NOT EXISTS notifications (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      type TEXT NOT NULL, -- 'profile_change', 'reclamacao', 'pedido', etc.
-      title TEXT NOT NULL,
-      message TEXT NOT NULL,
-      related_id INTEGER, -- Can store user_id, message_id, etc. for context
-      condominium_id INTEGER, -- The condominium this notification is related to
-      user_id INTEGER, -- Optional user associated with this notification
-      user_name TEXT, -- Cached user name for quick display
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `;
-
-  // Create user notifications table for regular users
-  const createUserNotificationsTable = `
-    CREATE TABLE IF NOT EXISTS user_notifications (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      notification_id INTEGER NOT NULL,
-      read_status INTEGER DEFAULT 0, -- 0 = unread, 1 = read
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
-      FOREIGN KEY (notification_id) REFERENCES notifications (id) ON DELETE CASCADE,
-      UNIQUE(user_id, notification_id)
-    )
-  `;
-
-  db.run(createNotificationsTable, (err) => {
-    if (err) {
-      console.error('Error creating notifications table:', err.message);
-    } else {
-      console.log('✅ Notifications table ready');
-    }
-  });
-
-  db.run(createUserNotificationsTable, (err) => {
-    if (err) {
-      console.error('Error creating user notifications table:', err.message);
-    } else {
-      console.log('✅ User notifications table ready');
-    }
-  });
-
-  // Ensure notifications table has related_id column (migration for older DBs)
-  db.all("PRAGMA table_info('notifications')", [], (err, rows) => {
-    if (err) {
-      console.error('Error reading notifications table info for migration:', err.message);
-      return;
-    }
-    const cols = (rows || []).map(r => r.name);
-    const addColumnIfMissing = (columnName, definition) => {
-      if (!cols.includes(columnName)) {
-        db.run(`ALTER TABLE notifications ADD COLUMN ${columnName} ${definition}`, (alterErr) => {
-          if (alterErr) console.error(`Error adding ${columnName} to notifications:`, alterErr.message);
-          else console.log(`✅ Added ${columnName} column to notifications table`);
-        });
-      }
-    };
-
-    addColumnIfMissing('related_id', 'INTEGER');
-    addColumnIfMissing('condominium_id', 'INTEGER');
-    addColumnIfMissing('user_id', 'INTEGER');
-    addColumnIfMissing('user_name', 'TEXT');
-  });
-
-  // Create a linking table to track which admin has read which notification
-  const createAdminNotificationsTable = `
-    CREATE TABLE IF NOT EXISTS admin_notifications (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      admin_id INTEGER NOT NULL,
-      notification_id INTEGER NOT NULL,
-      read_status INTEGER DEFAULT 0, -- 0 = unread, 1 = read
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (admin_id) REFERENCES admins (id) ON DELETE CASCADE,
-      FOREIGN KEY (notification_id) REFERENCES notifications (id) ON DELETE CASCADE,
-      UNIQUE(admin_id, notification_id)
-    )
-  `;
-  db.run(createAdminNotificationsTable, (err) => {
-    if (err) {
-      console.error('Error creating admin_notifications table:', err.message);
-    } else {
-      console.log('✅ Admin Notifications link table ready');
-    }
-  });
-
-  // Create profile changes log table
-  const createProfileChangesTable = `
-    CREATE TABLE IF NOT EXISTS profile_changes (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      field_name TEXT NOT NULL,
-      old_value TEXT,
-      new_value TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
-    )
-  `;
-
-  db.run(createProfileChangesTable, (err) => {
-    if (err) {
-      console.error('Error creating profile_changes table:', err.message);
-    } else {
-      console.log('✅ Profile changes table ready');
-    }
-  });
-
-  // Create tables for admin messages
-  const createAdminMessagesTable = `
-    CREATE TABLE IF NOT EXISTS admin_messages (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      admin_id INTEGER NOT NULL,
-      title TEXT NOT NULL,
-      body TEXT NOT NULL,
-      type TEXT DEFAULT 'general', -- 'general' or 'opcao_natal'
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `;
-
-  const createAdminMessageTargets = `
-    CREATE TABLE IF NOT EXISTS admin_message_targets (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      message_id INTEGER NOT NULL,
-      condominium_id INTEGER NOT NULL,
-      FOREIGN KEY (message_id) REFERENCES admin_messages (id) ON DELETE CASCADE,
-      FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE
-    )
-  `;
-
-  const createAdminMessageFiles = `
-    CREATE TABLE IF NOT EXISTS admin_message_files (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      message_id INTEGER NOT NULL,
-      filename TEXT NOT NULL,
-      original_filename TEXT NOT NULL,
-      file_path TEXT NOT NULL,
-      mime_type TEXT NOT NULL,
-      file_size INTEGER NOT NULL,
-      uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (message_id) REFERENCES admin_messages (id) ON DELETE CASCADE
-    )
-  `;
-
-  // Create admin_message_condominiums junction table (used for filtering notifications)
-  const createAdminMessageCondominiums = `
-    CREATE TABLE IF NOT EXISTS admin_message_condominiums (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      message_id INTEGER NOT NULL,
-      condominium_id INTEGER NOT NULL,
-      FOREIGN KEY (message_id) REFERENCES admin_messages (id) ON DELETE CASCADE,
-      FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE
-    )
-  `;
-
-  db.run(createAdminMessagesTable, (err) => { if (err) console.error('Error creating admin_messages table:', err.message); else console.log('✅ admin_messages table ready'); });
-  db.run(createAdminMessageTargets, (err) => { if (err) console.error('Error creating admin_message_targets table:', err.message); else console.log('✅ admin_message_targets table ready'); });
-  db.run(createAdminMessageCondominiums, (err) => { if (err) console.error('Error creating admin_message_condominiums table:', err.message); else console.log('✅ admin_message_condominiums table ready'); });
-  db.run(createAdminMessageFiles, (err) => { if (err) console.error('Error creating admin_message_files table:', err.message); else console.log('✅ admin_message_files table ready'); });
+  // The operator must log in with it and choose a new password
+  recordInitialPassword(username, initialPassword);
+  console.log(`🔑 Initial password for '${username}' written to ${initialCredentialsFile} (must be changed at first login)`);
 }
 
 // Create default admin user
 async function createDefaultAdmin() {
-  const adminUsername = 'admin';
-  const adminPassword = 'admin!!';
-  
   try {
-    const hashedPassword = await bcrypt.hash(adminPassword, 10);
-    
-    db.run(
-      'INSERT OR REPLACE INTO admins (username, password) VALUES (?, ?)',
-      [adminUsername, hashedPassword],
-      function(err) {
-        if (err) {
-          console.error('Error creating admin user:', err.message);
-        } else {
-          console.log('✅ Default admin user created (admin/admin!!)');
-        }
-      }
-    );
+    await ensureDefaultAccount('admins', 'admin', 'admin!!', { scope: 'full' });
+  } catch (error) {
+    console.error('Error creating default admin user:', error);
+  }
+  try {
+    await adminRoles.migrateLegacyAdmins();
   } catch (error) {
-    console.error('Error hashing admin password:', error);
+    console.error('Error migrating admin roles:', error);
   }
 }
 
-// Create default maintenance user
+// Create default maintenance users
 async function createDefaultMaintenanceUser() {
-  const manutUsername = 'Manut';
-  const manutPassword = 'Manut!!';
-  const manutName = 'Maintenance User';
-  
-  try {
-    const hashedPassword = await bcrypt.hash(manutPassword, 10);
-
-    // Create primary Manut
-    db.run(
-      'INSERT OR REPLACE INTO maintenance_users (username, password, nome) VALUES (?, ?, ?)',
-      [manutUsername, hashedPassword, manutName],
-      function(err) {
-        if (err) console.error('Error creating maintenance user Manut:', err.message);
-        else console.log('✅ Default maintenance user created (Manut/Manut!!)');
-      }
-    );
-
-    // Create Manut2 and Manut3
-    const manut2Password = 'Manut2!!';
-    const manut3Password = 'Manut3!!';
-    const hashed2 = await bcrypt.hash(manut2Password, 10);
-    const hashed3 = await bcrypt.hash(manut3Password, 10);
-
-    db.run(
-      'INSERT OR REPLACE INTO maintenance_users (username, password, nome) VALUES (?, ?, ?)',
-      ['Manut2', hashed2, 'Maintenance User 2'],
-      function(err) {
-        if (err) console.error('Error creating maintenance user Manut2:', err.message);
-        else console.log('✅ Default maintenance user created (Manut2/Manut2!!)');
-      }
-    );
-
-    db.run(
-      'INSERT OR REPLACE INTO maintenance_users (username, password, nome) VALUES (?, ?, ?)',
-      ['Manut3', hashed3, 'Maintenance User 3'],
-      function(err) {
-        if (err) console.error('Error creating maintenance user Manut3:', err.message);
-        else console.log('✅ Default maintenance user created (Manut3/Manut3!!)');
-      }
-    );
-  } catch (error) {
-    console.error('Error hashing maintenance password:', error);
+  const defaults = [
+    { username: 'Manut', legacyPassword: 'Manut!!', nome: 'Maintenance User' },
+    { username: 'Manut2', legacyPassword: 'Manut2!!', nome: 'Maintenance User 2' },
+    { username: 'Manut3', legacyPassword: 'Manut3!!', nome: 'Maintenance User 3' }
+  ];
+
+  for (const account of defaults) {
+    try {
+      await ensureDefaultAccount('maintenance_users', account.username, account.legacyPassword, { nome: account.nome });
+    } catch (error) {
+      console.error(`Error creating default maintenance user ${account.username}:`, error);
+    }
   }
 }
 
 // ====== HELPER FUNCTIONS ======
 
 /**
- * Links a notification to appropriate admins based on user's condominiums and admin permissions
+ * Links a notification to the admins holding `permission` for one of the user's condominiums
+ * (role assignments, see admin-roles.js)
  * @param {number} notificationId - The ID of the notification to link
  * @param {number} userId - The ID of the user who triggered the notification
+ * @param {string} permission - Permission the recipients need, e.g. 'users.read'
  * @param {function} callback - Callback function (err, linkedAdminCount)
  */
-function linkNotificationToAdmins(notificationId, userId, callback) {
+function linkNotificationToAdmins(notificationId, userId, permission, callback) {
   console.log(`🔗 Linking notification ${notificationId} for user ${userId}...`);
 
   // First, get the user's condominiums
   const userCondosSql = `
     SELECT DISTINCT uc.condominium_id
     FROM user_condominiums uc
-    WHERE uc.user_id = ?
-  `;
-
-  db.all(userCondosSql, [userId], (condoErr, userCondos) => {
-    if (condoErr) {
-      console.error('Error getting user condominiums for notification linking:', condoErr.message);
-      return callback(condoErr);
-    }
-
-    const condoIds = userCondos.map(c => c.condominium_id);
-    console.log(`🏢 User ${userId} belongs to condominiums: ${condoIds}`);
-
-    // Get all admins and their permissions
-    const adminsSql = 'SELECT id, username, scope, allowed_condominiums FROM admins';
-    db.all(adminsSql, [], (adminErr, admins) => {
-      if (adminErr) {
-        console.error('Error getting admins for notification linking:', adminErr.message);
-        return callback(adminErr);
-      }
-
-      const adminLinksToCreate = [];
-
-      // Determine which admins should receive this notification
-      for (const admin of admins) {
-        if (admin.scope === 'full') {
-          // Full access admin - should receive all notifications
-          adminLinksToCreate.push(admin.id);
-          console.log(`👮 Admin ${admin.username} (full) should receive notification`);
-        } else if (admin.scope === 'limited') {
-          // Limited access admin - check if they have access to any of the user's condominiums
-          try {
-            const allowedCondos = normalizeAllowedCondominiums(admin.allowed_condominiums);
-            const numericCondoIds = condoIds.map(x => Number(x));
-            const hasOverlap = numericCondoIds.some(condoId => allowedCondos.includes(condoId));
-            
-            if (hasOverlap) {
-              adminLinksToCreate.push(admin.id);
-              const overlappingCondos = numericCondoIds.filter(condoId => allowedCondos.includes(condoId));
-              console.log(`👮 Admin ${admin.username} (limited) should receive notification for condos: ${overlappingCondos}`);
-            } else {
-              console.log(`👮 Admin ${admin.username} (limited) should NOT receive notification - no matching condos`);
-            }
-          } catch (parseErr) {
-            console.error(`Error parsing allowed_condominiums for admin ${admin.username}:`, parseErr);
-          }
-        }
-      }
-
-      if (adminLinksToCreate.length === 0) {
-        console.log('⚠️ No admins found to receive this notification');
-        return callback(null, 0);
-      }
-
-      // Create admin_notifications links
-      const linkSql = `INSERT OR IGNORE INTO admin_notifications (admin_id, notification_id, read_status, created_at) VALUES (?, ?, 0, CURRENT_TIMESTAMP)`;
-      let linksCreated = 0;
-      let linkErrors = 0;
+    WHERE uc.user_id = ?
+  `;
 
-      for (const adminId of adminLinksToCreate) {
-        db.run(linkSql, [adminId, notificationId], (linkErr) => {
-          if (linkErr) {
-            console.error(`Error linking notification ${notificationId} to admin ${adminId}:`, linkErr.message);
-            linkErrors++;
-          } else {
-            console.log(`✅ Linked notification ${notificationId} to admin ${adminId}`);
-            linksCreated++;
-          }
+  db.all(userCondosSql, [userId], (condoErr, userCondos) => {
+    if (condoErr) {
+      console.error('Error getting user condominiums for notification linking:', condoErr.message);
+      return callback(condoErr);
+    }
 
-          // Check if this is the last link attempt
-          if (linksCreated + linkErrors === adminLinksToCreate.length) {
-            if (linksCreated > 0) {
-              console.log(`✅ Successfully linked notification to ${linksCreated} admin(s)`);
-              // Broadcast SSE to linked admins so they receive the event immediately
-              try {
-                for (const aid of adminLinksToCreate) sendSseToAdmin(aid, 'notification_created', { notification_id: notificationId, related_user_id: userId });
-              } catch (e) { console.warn('Error broadcasting SSE from linkNotificationToAdmins', e.message); }
+    const condoIds = userCondos.map(c => c.condominium_id);
+    console.log(`🏢 User ${userId} belongs to condominiums: ${condoIds}`);
 
-              callback(null, linksCreated);
-            } else {
-              callback(new Error('Failed to link notification to any admins'), 0);
-            }
-          }
-        });
-      }
-    });
+    linkNotificationToAdminsByCondominiums(notificationId, condoIds, permission)
+      .then(({ linkedCount, adminIds }) => {
+        if (adminIds.length > 0 && linkedCount === 0) {
+          return callback(new Error('Failed to link notification to any admins'), 0);
+        }
+        // Broadcast SSE to linked admins so they receive the event immediately
+        try {
+          for (const aid of adminIds) sendSseToAdmin(aid, 'notification_created', { notification_id: notificationId, related_user_id: userId });
+        } catch (e) { console.warn('Error broadcasting SSE from linkNotificationToAdmins', e.message); }
+        callback(null, linkedCount);
+      })
+      .catch((err) => callback(err, 0));
   });
 }
 
@@ -948,13 +491,15 @@ function linkNotificationToAdmins(notificationId, userId, callback) {
  * @param {function} callback - Callback function (err, linkedUsersCount)
  */
 /**
- * Links a notification to admins that manage any of the provided condominiums
+ * Links a notification to the admins holding `permission` for any of the provided condominiums
+ * (role assignments, see admin-roles.js)
  * @param {number} notificationId - The ID of the notification to link
  * @param {number[]|string[]} condominiumIds - Condominium identifiers related to the notification
+ * @param {string} permission - Permission the recipients need, e.g. 'ocorrencias.read'
  * @param {function} [callback] - Optional node-style callback (err, { linkedCount, adminIds })
  * @returns {Promise<{linkedCount: number, adminIds: number[]}>}
  */
-function linkNotificationToAdminsByCondominiums(notificationId, condominiumIds, callback) {
+function linkNotificationToAdminsByCondominiums(notificationId, condominiumIds, permission, callback) {
   const promise = new Promise((resolve, reject) => {
     if (!notificationId) {
       const err = new Error('Notification ID is required to link admins');
@@ -970,35 +515,7 @@ function linkNotificationToAdminsByCondominiums(notificationId, condominiumIds,
       return resolve({ linkedCount: 0, adminIds: [] });
     }
 
-    db.all('SELECT id, username, scope, allowed_condominiums FROM admins', [], (adminErr, admins) => {
-      if (adminErr) {
-        console.error('Error getting admins for condominium-based notification linking:', adminErr.message);
-        return reject(adminErr);
-      }
-
-      const adminIds = [];
-
-      for (const admin of admins || []) {
-        if (admin.scope === 'full') {
-          adminIds.push(admin.id);
-          continue;
-        }
-
-        if (admin.scope === 'limited') {
-          try {
-            const allowed = normalizeAllowedCondominiums(admin.allowed_condominiums);
-            if (!Array.isArray(allowed) || allowed.length === 0) continue;
-
-            const hasOverlap = normalizedCondoIds.some((condoId) => allowed.includes(Number(condoId)));
-            if (hasOverlap) {
-              adminIds.push(admin.id);
-            }
-          } catch (parseErr) {
-            console.error(`Error parsing allowed_condominiums for admin ${admin.username}:`, parseErr.message || parseErr);
-          }
-        }
-      }
-
+    adminRoles.adminsWith(permission, normalizedCondoIds).then((adminIds) => {
       if (adminIds.length === 0) {
         console.log('⚠️ No admins matched for condominium-based notification linking');
         return resolve({ linkedCount: 0, adminIds: [] });
@@ -1022,6 +539,9 @@ function linkNotificationToAdminsByCondominiums(notificationId, condominiumIds,
           }
         });
       });
+    }).catch((adminErr) => {
+      console.error('Error getting admins for condominium-based notification linking:', adminErr.message);
+      reject(adminErr);
     });
   });
 
@@ -1034,23 +554,31 @@ function linkNotificationToAdminsByCondominiums(notificationId, condominiumIds,
   return promise;
 }
 
-function linkNotificationToUsers(notificationId, condominiumIds, callback) {
-  console.log(`🔗 Linking notification ${notificationId} to users in condominiums:`, condominiumIds);
+/**
+ * Links a notification to the residents of the given condominiums that it concerns
+ * @param {number} notificationId - The ID of the notification to link
+ * @param {number[]} condominiumIds - Condominiums the notification is about
+ * @param {string} purpose - Who it addresses (fracoes.js): 'assembleia' (owners and representatives),
+ *   'billing' (delegated contacts, otherwise owners) or 'notices' (tenants, otherwise owners)
+ * @param {function} callback - Callback function (err, linkedCount)
+ * @param {number[]} [fracaoIds] - Only the people the purpose addresses in these units (e.g. a debtor's reminder)
+ */
+function linkNotificationToUsers(notificationId, condominiumIds, purpose, callback, fracaoIds) {
+  console.log(`🔗 Linking notification ${notificationId} (${purpose}) to users in condominiums:`, condominiumIds);
 
   if (!condominiumIds || !Array.isArray(condominiumIds) || condominiumIds.length === 0) {
     console.log('⚠️ No condominiums specified for notification');
     return callback(null, 0);
   }
 
-  const placeholders = condominiumIds.map(() => '?').join(',');
+  const audience = fracoes.audience(purpose, condominiumIds, fracaoIds);
   const sql = `
     INSERT INTO user_notifications (user_id, notification_id, read_status, created_at)
-    SELECT DISTINCT uc.user_id, ?, 0, CURRENT_TIMESTAMP
-    FROM user_condominiums uc
-    WHERE uc.condominium_id IN (${placeholders})
+    SELECT DISTINCT user_id, ?, 0, CURRENT_TIMESTAMP
+    FROM (${audience.sql})
   `;
 
-  const params = [notificationId, ...condominiumIds];
+  const params = [notificationId, ...audience.params];
   db.run(sql, params, function(err) {
     if (err) {
       console.error('Error linking notification to users:', err.message);
@@ -1143,10 +671,7 @@ function sendSseToAdmin(adminId, eventName, payload) {
 
 // SSE endpoint admins can subscribe to for real-time notifications
 app.get('/api/notifications/stream', (req, res) => {
-  const adminId = req.headers['admin-id'] || req.query.admin_id;
-  if (!adminId) {
-    return res.status(400).json({ error: 'admin-id header or admin_id query param is required' });
-  }
+  const adminId = req.auth.id;
 
   // Set SSE headers
   res.set({
@@ -1167,26 +692,6 @@ app.get('/api/notifications/stream', (req, res) => {
   });
 });
 
-// Helper: check if the requester is the MAIN admin (username 'admin')
-function checkIsMainAdmin(req) {
-  return new Promise((resolve) => {
-    const adminIdHdr = req.headers['admin-id'];
-    const adminUsernameHdr = req.headers['admin-username'];
-
-    if (adminUsernameHdr && adminUsernameHdr.toString() === 'admin') return resolve(true);
-
-    if (!adminIdHdr) return resolve(false);
-
-    const id = parseInt(adminIdHdr, 10);
-    if (isNaN(id)) return resolve(false);
-
-    db.get('SELECT username FROM admins WHERE id = ?', [id], (err, row) => {
-      if (err || !row) return resolve(false);
-      resolve(row.username === 'admin');
-    });
-  });
-}
-
 // ====== API ROUTES ======
 
 // Root route
@@ -1235,14 +740,94 @@ if (hasPublicDir) {
   });
 }
 
-// Admin login endpoint
-app.post('/api/admin/login', (req, res) => {
-  const { username, password } = req.body;
+// Fields of an admin row that never leave the server
+function publicAdminFields(admin) {
+  const { password, totp_secret, totp_pending_secret, totp_last_step, ...rest } = admin;
+  return rest;
+}
+
+// Adds the role assignments (and whether they make the admin a main admin) to an admin row
+async function withAdminRoles(admin) {
+  const roles = await adminRoles.assignmentsOf(admin.id);
+  return {
+    ...admin,
+    roles,
+    is_main_admin: roles.some(r => r.role === adminRoles.MAIN_ADMIN_ROLE && r.condominium_id === null)
+  };
+}
+
+async function sendAdminLoginSuccess(req, res, admin, gate, extra = {}) {
+  await loginThrottle.recordSuccess(gate);
+  const session = await sessions.issueSession('admin', admin.id, req);
+  const twoFactorSetupRequired = Number(admin.totp_required) === 1 && Number(admin.totp_enabled) !== 1;
+  res.json({
+    success: true,
+    message: 'Login de administrador realizado com sucesso',
+    // Include scope, allowed_condominiums and role assignments, never the password or TOTP secret
+    admin: await withAdminRoles(publicAdminFields(admin)),
+    isAdmin: true,
+    must_change_password: Number(admin.must_change_password) === 1,
+    two_factor_setup_required: twoFactorSetupRequired,
+    ...extra,
+    ...session
+  });
+}
+
+// Second login step for admins with 2FA: { challenge_token, code } or { challenge_token, recovery_code }
+async function completeAdminTwoFactorLogin(req, res) {
+  const { challenge_token, code, recovery_code } = req.body;
+  if (!code && !recovery_code) {
+    return res.status(400).json({ error: 'Código de autenticação é obrigatório' });
+  }
+
+  try {
+    const found = await adminTwoFactor.findLoginChallenge(String(challenge_token));
+    if (!found) {
+      return res.status(401).json({ error: 'Verificação expirada. Inicie sessão novamente.', code: 'TWO_FACTOR_CHALLENGE_INVALID' });
+    }
+    const { challenge, admin } = found;
+
+    const gate = await loginThrottle.check('admin', admin.username, req.ip);
+    if (!gate.allowed) return loginThrottle.reject(res, gate);
+
+    const result = await adminTwoFactor.verifySecondFactor(admin, { code, recovery_code });
+    if (!result.ok) {
+      await adminTwoFactor.recordChallengeFailure(challenge.id);
+      await loginThrottle.recordFailure(gate, 'bad_second_factor');
+      return res.status(401).json({ error: 'Código de autenticação inválido', code: 'TWO_FACTOR_INVALID' });
+    }
+    if (!(await adminTwoFactor.consumeLoginChallenge(challenge.id))) {
+      await loginThrottle.recordFailure(gate, 'challenge_expired');
+      return res.status(401).json({ error: 'Verificação expirada. Inicie sessão novamente.', code: 'TWO_FACTOR_CHALLENGE_INVALID' });
+    }
+
+    if (result.method === 'recovery_code') console.log(`🔐 Admin ${admin.id} signed in with a recovery code`);
+    await sendAdminLoginSuccess(req, res, admin, gate, { two_factor_method: result.method });
+  } catch (error) {
+    console.error('Error verifying admin second factor:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+}
+
+// Admin login endpoint (password, then a TOTP/recovery code when 2FA is enabled)
+app.post('/api/admin/login', async (req, res) => {
+  const { username, password, challenge_token } = req.body;
+
+  if (challenge_token) return completeAdminTwoFactorLogin(req, res);
 
   if (!username || !password) {
     return res.status(400).json({ error: 'Username e password são obrigatórios' });
   }
 
+  let gate;
+  try {
+    gate = await loginThrottle.check('admin', username.trim(), req.ip);
+    if (!gate.allowed) return loginThrottle.reject(res, gate);
+  } catch (throttleErr) {
+    console.error('Error checking login throttle:', throttleErr.message);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+
   const sql = 'SELECT * FROM admins WHERE username = ?';
   db.get(sql, [username.trim()], async (err, admin) => {
     if (err) {
@@ -1250,25 +835,32 @@ app.post('/api/admin/login', (req, res) => {
       return res.status(500).json({ error: 'Erro na base de dados' });
     }
 
-    if (!admin) {
-      return res.status(401).json({ error: 'Credenciais de administrador inválidas' });
-    }
-
     try {
+      if (!admin) {
+        await loginThrottle.recordFailure(gate, 'unknown_account');
+        return res.status(401).json({ error: 'Credenciais de administrador inválidas' });
+      }
+
       const isPasswordValid = await bcrypt.compare(password, admin.password);
       
-      if (isPasswordValid) {
-        // Don't send password in response but include scope and allowed_condominiums
-        const { password: _, ...adminWithoutPassword } = admin;
-        res.json({
+      if (!isPasswordValid) {
+        await loginThrottle.recordFailure(gate, 'bad_password');
+        return res.status(401).json({ error: 'Credenciais de administrador inválidas' });
+      }
+
+      if (Number(admin.totp_enabled) === 1) {
+        // The attempt stays counted and the failure series is only cleared once the second factor succeeds
+        await loginThrottle.recordFailure(gate, 'second_factor_pending');
+        const challenge = await adminTwoFactor.createLoginChallenge(admin.id, req);
+        return res.json({
           success: true,
-          message: 'Login de administrador realizado com sucesso',
-          admin: adminWithoutPassword,
-          isAdmin: true
+          two_factor_required: true,
+          message: 'Introduza o código da aplicação de autenticação',
+          ...challenge
         });
-      } else {
-        res.status(401).json({ error: 'Credenciais de administrador inválidas' });
       }
+
+      await sendAdminLoginSuccess(req, res, admin, gate);
     } catch (error) {
       console.error('Error comparing admin password:', error);
       res.status(500).json({ error: 'Erro interno do servidor' });
@@ -1276,6 +868,57 @@ app.post('/api/admin/login', (req, res) => {
   });
 });
 
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+app.post('/api/auth/refresh', async (req, res) => {
+  const { refresh_token } = req.body || {};
+  if (!refresh_token) {
+    return res.status(400).json({ error: 'refresh_token é obrigatório' });
+  }
+
+  try {
+    const session = await sessions.refreshSession(String(refresh_token));
+    if (!session) {
+      return res.status(401).json({ error: 'Sessão inválida ou expirada', code: 'SESSION_INVALID' });
+    }
+    res.json({ success: true, ...session });
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Logout: revoke the current session server-side
+app.post('/api/auth/logout', async (req, res) => {
+  if (!req.auth) {
+    return res.status(401).json({ error: 'Sessão inválida ou expirada', code: 'SESSION_INVALID' });
+  }
+
+  try {
+    await sessions.revokeSession(req.auth.sessionId);
+    res.json({ success: true, message: 'Sessão terminada' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Describe the current session (role, id and admin scope as known by the server)
+app.get('/api/auth/session', (req, res) => {
+  if (!req.auth) {
+    return res.status(401).json({ error: 'Sessão inválida ou expirada', code: 'SESSION_INVALID' });
+  }
+
+  const { sessionId, ...session } = req.auth;
+  res.json(session);
+});
+
+// Admin messages with recipients (admin_message_recipients, e.g. convocations) are only for them;
+// the others are for everyone in their target condominiums
+const ADDRESSED_TO_USER = (messageId, userId) => `(
+  NOT EXISTS (SELECT 1 FROM admin_message_recipients amr WHERE amr.message_id = ${messageId})
+  OR EXISTS (SELECT 1 FROM admin_message_recipients amr WHERE amr.message_id = ${messageId} AND amr.user_id = ${userId})
+)`;
+
 // Get admin messages for a user (messages targeted to any condominium the user belongs to)
 app.get('/api/users/:id/admin-messages', (req, res) => {
   const userId = req.params.id;
@@ -1285,7 +928,7 @@ app.get('/api/users/:id/admin-messages', (req, res) => {
     FROM admin_messages am
     JOIN admin_message_targets amt ON amt.message_id = am.id
     JOIN user_condominiums uc ON uc.condominium_id = amt.condominium_id
-    WHERE uc.user_id = ?
+    WHERE uc.user_id = ? AND ${ADDRESSED_TO_USER('am.id', 'uc.user_id')}
     GROUP BY am.id
     ORDER BY am.created_at DESC
   `;
@@ -1332,7 +975,7 @@ app.get('/api/users/:userId/admin-messages/:messageId', (req, res) => {
     JOIN admin_message_targets amt ON amt.message_id = am.id
     JOIN user_condominiums uc ON uc.condominium_id = amt.condominium_id
     JOIN condominiums c ON c.id = amt.condominium_id
-    WHERE uc.user_id = ? AND am.id = ?
+    WHERE uc.user_id = ? AND am.id = ? AND ${ADDRESSED_TO_USER('am.id', 'uc.user_id')}
     GROUP BY am.id
   `;
 
@@ -1370,14 +1013,13 @@ app.get('/api/users/:userId/admin-messages/:messageId', (req, res) => {
 
 // Get messages (admin view) - admins can see messages they sent; full-scope admins see all
 app.get('/api/admin/messages', (req, res) => {
-  const adminIdHdr = req.headers['admin-id'];
-  const adminPermissions = req.headers['admin-permissions'];
+  const adminId = req.auth.id;
+  const allowedCondos = getAdminAllowedCondos(req); // null = full access
   const { type, status } = req.query;
 
   // If the request is for user messages (complaints/requests), handle here
   if (type === 'complaint' || type === 'request') {
     // This branch returns rows from user_messages table filtered by admin permissions
-    const adminPerm = adminPermissions;
     let sql = `
       SELECT 
         m.id, m.user_id, m.condominium_id, m.type, m.subject, m.message, m.status,
@@ -1391,23 +1033,11 @@ app.get('/api/admin/messages', (req, res) => {
     const params = [];
     const conditions = [];
 
-    if (adminPerm) {
-      try {
-        const permissions = JSON.parse(adminPerm);
-        if (permissions.scope === 'limited') {
-          const allowedIds = normalizeAllowedCondominiums(permissions.allowed_condominiums);
-          if (allowedIds && allowedIds.length > 0) {
-            const placeholders = allowedIds.map(() => '?').join(',');
-            conditions.push(`m.condominium_id IN (${placeholders})`);
-            params.push(...allowedIds.map(x => Number(x)));
-          } else {
-            return res.json([]);
-          }
-        }
-      } catch (e) {
-        console.error('Error parsing admin permissions for user messages:', e && e.message);
-        return res.status(400).json({ error: 'Invalid admin permissions format' });
-      }
+    if (allowedCondos !== null) {
+      if (allowedCondos.length === 0) return res.json([]);
+      const placeholders = allowedCondos.map(() => '?').join(',');
+      conditions.push(`m.condominium_id IN (${placeholders})`);
+      params.push(...allowedCondos);
     }
 
     if (type) {
@@ -1434,26 +1064,7 @@ app.get('/api/admin/messages', (req, res) => {
   }
 
   // Otherwise handle admin->user messages (admin_messages)
-  // If no admin-info provided, deny
-  if (!adminIdHdr && !adminPermissions) return res.status(400).json({ error: 'admin-id header or admin-permissions required' });
-
-  // Determine permissions robustly
-  let isFull = false;
-  let allowedCondos = [];
-  let adminId = adminIdHdr ? parseInt(adminIdHdr, 10) : null;
-  if (adminPermissions) {
-    try {
-      const p = JSON.parse(adminPermissions);
-      if (p.scope === 'full') isFull = true;
-      if (p.scope === 'limited') {
-        // Normalize values to numeric IDs
-        allowedCondos = normalizeAllowedCondominiums(p.allowed_condominiums || p.allowedCondos || []);
-      }
-      console.log('🔐 /api/admin/messages parsed permissions:', { scope: p.scope, allowedCondos });
-    } catch (e) {
-      console.warn('Warning: could not parse admin-permissions header', e && e.message);
-    }
-  }
+  const isFull = allowedCondos === null;
 
   // Build SQL for admin_messages
   let sql = `
@@ -1519,13 +1130,22 @@ app.get('/api/admin/messages/:id/files/:fileId', (req, res) => {
 });
 
 // Maintenance login endpoint
-app.post('/api/maintenance/login', (req, res) => {
+app.post('/api/maintenance/login', async (req, res) => {
   const { username, password } = req.body;
 
   if (!username || !password) {
     return res.status(400).json({ error: 'Username e password são obrigatórios' });
   }
 
+  let gate;
+  try {
+    gate = await loginThrottle.check('maintenance', username.trim(), req.ip);
+    if (!gate.allowed) return loginThrottle.reject(res, gate);
+  } catch (throttleErr) {
+    console.error('Error checking login throttle:', throttleErr.message);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+
   const sql = 'SELECT * FROM maintenance_users WHERE username = ?';
   db.get(sql, [username.trim()], async (err, maintenance) => {
     if (err) {
@@ -1533,23 +1153,29 @@ app.post('/api/maintenance/login', (req, res) => {
       return res.status(500).json({ error: 'Erro na base de dados' });
     }
 
-    if (!maintenance) {
-      return res.status(401).json({ error: 'Credenciais de manutenção inválidas' });
-    }
-
     try {
+      if (!maintenance) {
+        await loginThrottle.recordFailure(gate, 'unknown_account');
+        return res.status(401).json({ error: 'Credenciais de manutenção inválidas' });
+      }
+
       const isPasswordValid = await bcrypt.compare(password, maintenance.password);
       
       if (isPasswordValid) {
+        await loginThrottle.recordSuccess(gate);
         // Don't send password in response
         const { password: _, ...maintenanceWithoutPassword } = maintenance;
+        const session = await sessions.issueSession('maintenance', maintenance.id, req);
         res.json({
           success: true,
           message: 'Login de manutenção realizado com sucesso',
           maintenance: maintenanceWithoutPassword,
-          isMaintenance: true
+          isMaintenance: true,
+          must_change_password: Number(maintenance.must_change_password) === 1,
+          ...session
         });
       } else {
+        await loginThrottle.recordFailure(gate, 'bad_password');
         res.status(401).json({ error: 'Credenciais de manutenção inválidas' });
       }
     } catch (error) {
@@ -1561,73 +1187,36 @@ app.post('/api/maintenance/login', (req, res) => {
 
 // Get all users (for admin purposes only, filtered by admin permissions)
 app.get('/api/users', (req, res) => {
-  // Check if admin permissions are provided via headers or query
-  const adminPermissions = req.headers['admin-permissions'] || req.query.adminPermissions;
-  
-  console.log('🔍 /api/users endpoint called');
-  console.log('   admin-permissions header:', adminPermissions);
+  const allowedIds = getAdminAllowedCondos(req); // null = full access
+
+  console.log('🔍 /api/users endpoint called by admin', req.auth.id, 'scope:', req.auth.scope);
   
   let sql;
   let params = [];
   
   // If admin has limited scope, filter by allowed condominiums
-  if (adminPermissions) {
-    try {
-      const permissions = JSON.parse(adminPermissions);
-      console.log('   Parsed permissions:', permissions);
-      
-      if (permissions.scope === 'limited' && permissions.allowed_condominiums) {
-        const allowedIds = permissions.allowed_condominiums; // Already an array, don't parse again
-        console.log('   Filtering by allowed condominiums:', allowedIds);
-        const placeholders = allowedIds.map(() => '?').join(',');
-        
-        // Only show users who have at least one condominium in the allowed list
-        sql = `
-          SELECT 
-            u.*,
-            GROUP_CONCAT(c.name) as condominiums,
-            GROUP_CONCAT(c.id || ':' || c.name || ':' || COALESCE(uc.apartment, '')) as condominium_details
-          FROM users u
-          INNER JOIN user_condominiums uc ON u.id = uc.user_id
-          INNER JOIN condominiums c ON uc.condominium_id = c.id
-          WHERE uc.condominium_id IN (${placeholders})
-          GROUP BY u.id
-          ORDER BY u.nome
-        `;
-        params = allowedIds;
-      } else {
-        // Full access admin - show all users
-        console.log('   Admin has full access - showing all users');
-        sql = `
-          SELECT 
-            u.*,
-            GROUP_CONCAT(c.name) as condominiums,
-            GROUP_CONCAT(c.id || ':' || c.name || ':' || COALESCE(uc.apartment, '')) as condominium_details
-          FROM users u
-          LEFT JOIN user_condominiums uc ON u.id = uc.user_id
-          LEFT JOIN condominiums c ON uc.condominium_id = c.id
-          GROUP BY u.id
-          ORDER BY u.nome
-        `;
-      }
-    } catch (error) {
-      console.error('Error parsing admin permissions:', error);
-      // Fallback to showing all users
-      sql = `
-        SELECT 
-          u.*,
-          GROUP_CONCAT(c.name) as condominiums,
-          GROUP_CONCAT(c.id || ':' || c.name || ':' || COALESCE(uc.apartment, '')) as condominium_details
-        FROM users u
-        LEFT JOIN user_condominiums uc ON u.id = uc.user_id
-        LEFT JOIN condominiums c ON uc.condominium_id = c.id
-        GROUP BY u.id
-        ORDER BY u.nome
-      `;
-    }
+  if (allowedIds !== null) {
+    if (allowedIds.length === 0) return res.json([]);
+    console.log('   Filtering by allowed condominiums:', allowedIds);
+    const placeholders = allowedIds.map(() => '?').join(',');
+    
+    // Only show users who have at least one condominium in the allowed list
+    sql = `
+      SELECT 
+        u.*,
+        GROUP_CONCAT(c.name) as condominiums,
+        GROUP_CONCAT(c.id || ':' || c.name || ':' || COALESCE(uc.apartment, '')) as condominium_details
+      FROM users u
+      INNER JOIN user_condominiums uc ON u.id = uc.user_id
+      INNER JOIN condominiums c ON uc.condominium_id = c.id
+      WHERE uc.condominium_id IN (${placeholders})
+      GROUP BY u.id
+      ORDER BY u.nome
+    `;
+    params = allowedIds;
   } else {
-    // No admin permissions header - show all users
-    console.log('   No admin permissions header - showing all users');
+    // Full access admin - show all users
+    console.log('   Admin has full access - showing all users');
     sql = `
       SELECT 
         u.*,
@@ -1684,33 +1273,25 @@ app.get('/api/users', (req, res) => {
   });
 });
 
-// Search users by NIF or name (respects admin-permissions header)
+// Search users by NIF or name (respects the admin session scope)
 app.get('/api/users/search', (req, res) => {
   const search = (req.query.search || '').toString().trim();
-  const adminPermissions = req.headers['admin-permissions'] || req.query.adminPermissions;
+  const allowed = getAdminAllowedCondos(req); // null = full access
 
   if (!search) return res.json([]);
 
   console.log('🔎 /api/users/search called with:', search);
-  console.log('   admin-permissions header:', adminPermissions);
 
   try {
     let params = [];
     let whereClause = '(u.nif = ? OR u.nome LIKE ?)';
     params.push(search, `%${search}%`);
 
-    if (adminPermissions) {
-      try {
-        const permissions = JSON.parse(adminPermissions);
-        if (permissions.scope === 'limited' && Array.isArray(permissions.allowed_condominiums) && permissions.allowed_condominiums.length > 0) {
-          const allowed = permissions.allowed_condominiums;
-          const placeholders = allowed.map(() => '?').join(',');
-          whereClause += ` AND uc.condominium_id IN (${placeholders})`;
-          params = params.concat(allowed);
-        }
-      } catch (err) {
-        console.error('Error parsing admin-permissions in /api/users/search:', err);
-      }
+    if (allowed !== null) {
+      if (allowed.length === 0) return res.json([]);
+      const placeholders = allowed.map(() => '?').join(',');
+      whereClause += ` AND uc.condominium_id IN (${placeholders})`;
+      params = params.concat(allowed);
     }
 
     const sql = `
@@ -1933,7 +1514,7 @@ app.put('/api/users/:id', async (req, res) => {
 });
 
 // Login endpoint
-app.post('/api/login', (req, res) => {
+app.post('/api/login', async (req, res) => {
   const { nif, password } = req.body;
   
   console.log(`🔐 Login attempt: NIF=${nif}, Password length=${password?.length}`);
@@ -1942,6 +1523,15 @@ app.post('/api/login', (req, res) => {
     return res.status(400).json({ error: 'NIF e password são obrigatórios' });
   }
 
+  let gate;
+  try {
+    gate = await loginThrottle.check('resident', nif.toString().trim(), req.ip);
+    if (!gate.allowed) return loginThrottle.reject(res, gate);
+  } catch (throttleErr) {
+    console.error('Error checking login throttle:', throttleErr.message);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+
   const sql = 'SELECT * FROM users WHERE nif = ?';
   db.get(sql, [nif.toString().trim()], async (err, user) => {
     if (err) {
@@ -1951,6 +1541,7 @@ app.post('/api/login', (req, res) => {
 
     if (!user) {
       console.log(`❌ User not found for NIF: ${nif}`);
+      await loginThrottle.recordFailure(gate, 'unknown_account').catch(e => console.error('Error recording login attempt:', e.message));
       return res.status(401).json({ error: 'NIF ou password incorretos' });
     }
     
@@ -1978,6 +1569,7 @@ app.post('/api/login', (req, res) => {
       }
 
       if (passwordMatch) {
+        await loginThrottle.recordSuccess(gate);
         // Fetch condominiums for this user
         const condominiumsSql = `
           SELECT c.name as condominium_name, uc.apartment, c.id as condominium_id
@@ -1987,7 +1579,7 @@ app.post('/api/login', (req, res) => {
           ORDER BY c.name
         `;
         
-        db.all(condominiumsSql, [user.id], (condErr, condominiums) => {
+        db.all(condominiumsSql, [user.id], async (condErr, condominiums) => {
           if (condErr) {
             console.error('Error fetching condominiums:', condErr);
             return res.status(500).json({ error: 'Erro ao carregar informações do condomínio' });
@@ -2037,13 +1629,21 @@ app.post('/api/login', (req, res) => {
             console.log(`🏢 Multiple condominiums: ${grupoDisplay}`);
           }
           
-          res.json({ 
-            success: true, 
-            user: userForFrontend,
-            message: 'Login efetuado com sucesso'
-          });
+          try {
+            const session = await sessions.issueSession('resident', user.id, req);
+            res.json({ 
+              success: true, 
+              user: userForFrontend,
+              message: 'Login efetuado com sucesso',
+              ...session
+            });
+          } catch (sessionErr) {
+            console.error('Error issuing session:', sessionErr);
+            res.status(500).json({ error: 'Erro de autenticação' });
+          }
         });
       } else {
+        await loginThrottle.recordFailure(gate, 'bad_password');
         res.status(401).json({ error: 'NIF ou password incorretos' });
       }
     } catch (bcryptError) {
@@ -2061,6 +1661,17 @@ app.post('/api/change-password', async (req, res) => {
     return res.status(400).json({ error: 'Todos os campos são obrigatórios' });
   }
 
+  // The current password is checked like a login: same throttle and lockout as /api/login,
+  // and one answer for an unknown NIF and a wrong password
+  let gate;
+  try {
+    gate = await loginThrottle.check('resident', nif.toString().trim(), req.ip);
+    if (!gate.allowed) return loginThrottle.reject(res, gate);
+  } catch (throttleErr) {
+    console.error('Error checking login throttle:', throttleErr.message);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+
   const sql = 'SELECT * FROM users WHERE nif = ?';
   db.get(sql, [nif.toString().trim()], async (err, user) => {
     if (err) {
@@ -2069,7 +1680,8 @@ app.post('/api/change-password', async (req, res) => {
     }
 
     if (!user) {
-      return res.status(404).json({ error: 'Utilizador não encontrado' });
+      await loginThrottle.recordFailure(gate, 'unknown_account').catch(e => console.error('Error recording login attempt:', e.message));
+      return res.status(401).json({ error: 'NIF ou password incorretos' });
     }
 
     try {
@@ -2083,20 +1695,25 @@ app.post('/api/change-password', async (req, res) => {
       }
 
       if (!currentPasswordMatch) {
-        return res.status(401).json({ error: 'Password atual incorreta' });
+        await loginThrottle.recordFailure(gate, 'bad_password');
+        return res.status(401).json({ error: 'NIF ou password incorretos' });
       }
+      await loginThrottle.recordSuccess(gate);
 
       // Hash new password
       const hashedNewPassword = await bcrypt.hash(newPassword, 10);
       
       // Update password in database
-      const updateSql = 'UPDATE users SET password = ?, must_change_password = 0, updated_at = CURRENT_TIMESTAMP WHERE nif = ?';
-      db.run(updateSql, [hashedNewPassword, nif.toString().trim()], function(err) {
+      const updateSql = 'UPDATE users SET password = ?, must_change_password = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+      db.run(updateSql, [hashedNewPassword, user.id], function(err) {
         if (err) {
           console.error('Error updating password:', err.message);
           res.status(500).json({ error: 'Erro ao atualizar password' });
         } else {
-          console.log(`Password updated for user NIF: ${nif}`);
+          console.log(`Password updated for user ${user.id}`);
+          // End every other open session of this resident (the current one stays valid)
+          const keepSession = req.auth && req.auth.role === 'resident' && req.auth.id === user.id ? req.auth.sessionId : null;
+          sessions.revokeActorSessions('resident', user.id, keepSession).catch(e => console.error('Error revoking sessions:', e.message));
           res.json({ 
             success: true, 
             message: 'Password alterada com sucesso' 
@@ -2168,8 +1785,9 @@ app.post('/api/users', async (req, res) => {
         db.run('UPDATE users SET must_change_password = 1 WHERE id = ?', [newUserId], () => {
           // Optionally link to condominium if provided
           if (!Number.isNaN(condoId)) {
-            db.run('INSERT OR IGNORE INTO user_condominiums (user_id, condominium_id, apartment, role) VALUES (?, ?, ?, ?)', [newUserId, condoId, apartment || '', 'resident'], (linkErr) => {
-              if (linkErr) console.error('Error linking user to condominium (fallback):', linkErr.message);
+            fracoes.linkResident(newUserId, condoId, apartment).catch(linkErr => {
+              console.error('Error linking user to condominium (fallback):', linkErr.message);
+            }).then(() => {
               return res.status(201).json({ success: true, id: newUserId, linkedCondominiumId: Number.isNaN(condoId) ? null : condoId, message: 'Utilizador criado com sucesso' });
             });
           } else {
@@ -2182,13 +1800,13 @@ app.post('/api/users', async (req, res) => {
       console.log(`User created with ID: ${newUserId}`);
       // Link to condominium if provided
       if (!Number.isNaN(condoId)) {
-        db.run('INSERT OR IGNORE INTO user_condominiums (user_id, condominium_id, apartment, role) VALUES (?, ?, ?, ?)', [newUserId, condoId, apartment || '', 'resident'], (linkErr) => {
-          if (linkErr) {
-            console.error('Error linking user to condominium:', linkErr.message);
-            // Still return success for user creation
-            return res.status(201).json({ success: true, id: newUserId, linkedCondominiumId: null, message: 'Utilizador criado, mas falhou ligação ao condomínio' });
-          }
+        // Linked to the building and, when given, to the unit (fracoes.js)
+        fracoes.linkResident(newUserId, condoId, apartment).then(() => {
           return res.status(201).json({ success: true, id: newUserId, linkedCondominiumId: condoId, message: 'Utilizador criado e associado ao condomínio' });
+        }, (linkErr) => {
+          console.error('Error linking user to condominium:', linkErr.message);
+          // Still return success for user creation
+          return res.status(201).json({ success: true, id: newUserId, linkedCondominiumId: null, message: 'Utilizador criado, mas falhou ligação ao condomínio' });
         });
       } else {
         res.status(201).json({ success: true, id: newUserId, linkedCondominiumId: null, message: 'Utilizador criado com sucesso' });
@@ -2209,294 +1827,75 @@ app.get('/api/condominiums/:id', (req, res) => {
   });
 });
 
-// Delete condominium (admin only - check main admin)
-app.delete('/api/condominiums/:id', async (req, res) => {
-  const isMain = await checkIsMainAdmin(req);
-  if (!isMain) return res.status(403).json({ error: 'Apenas o admin principal pode apagar condominios' });
-
-  const id = parseInt(req.params.id, 10);
-  if (isNaN(id)) return res.status(400).json({ error: 'Invalid condominium id' });
-
-  db.run('DELETE FROM condominiums WHERE id = ?', [id], function(err) {
-    if (err) return res.status(500).json({ error: 'Database error' });
-    if (this.changes === 0) return res.status(404).json({ error: 'Condominium not found' });
-    res.json({ success: true, deleted: id });
-  });
-});
-
-// Import CSV data endpoint
-app.post('/api/import-csv', (req, res) => {
-  const { users } = req.body;
-
-  if (!users || !Array.isArray(users)) {
-    return res.status(400).json({ error: 'Dados de utilizadores inválidos' });
-  }
-
-  let imported = 0;
-  let errors = 0;
-
-  const importUser = (index) => {
-    if (index >= users.length) {
-      return res.json({
-        success: true,
-        message: `Importação concluída: ${imported} utilizadores importados, ${errors} erros`,
-        imported,
-        errors
-      });
-    }
-
-    const user = users[index];
-    const sql = `
-      INSERT OR IGNORE INTO users (
-        grupo, nome, nif, telemovel, telefone, permite_telefone,
-        email1, email2, email3, permite_email, conjuge,
-        data_criacao, data_alteracao, password
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    const values = [
-      user.Grupo || '', user.Nome || '', (user.NIF || '').toString().trim(),
-      user.Telemovel || '', user.Telefone || '', user['Permite telefone'] || '',
-      user['e-mail 1'] || '', user['e-mail 2'] || '', user['e-mail 3'] || '',
-      user['Permite e-mail'] || '', user.Cônjuge || '',
-      user['Data de criação'] || '', user['Data de alteração'] || '',
-      user.Password || (user.NIF ? user.NIF.toString().trim() : '') // Default to NIF if none provided
-    ];
-
-    db.run(sql, values, function(err) {
-      if (err) {
-        console.error(`Error importing user ${user.Nome}:`, err.message);
-        errors++;
-      } else if (this.changes > 0) {
-        imported++;
-        console.log(`Imported user: ${user.Nome}`);
-      }
-      importUser(index + 1);
-    });
-  };
-
-  importUser(0);
-});
-
-// Enhanced CSV import with proper condominium handling
-app.post('/api/import-csv-enhanced', (req, res) => {
-  const { users } = req.body;
-  
-  if (!users || !Array.isArray(users)) {
-    return res.status(400).json({ error: 'Dados de utilizadores inválidos' });
-  }
-
-  // First, collect all unique condominiums
-  const condominiums = new Set();
-  const userCondominiumMap = new Map();
-
-  users.forEach(user => {
-    const grupo = user.Grupo ? user.Grupo.toString().trim() : '';
-    if (grupo) {
-      // Extract condominium name from grupo field
-      const condoName = grupo.split(' - ')[0] || grupo;
-      const apartment = grupo.includes(' - ') ? grupo.split(' - ')[1] : '';
-      
-      condominiums.add(condoName);
-      
-      const nif = (user.NIF || '').toString().trim();
-      if (!userCondominiumMap.has(nif)) {
-        userCondominiumMap.set(nif, []);
-      }
-      userCondominiumMap.get(nif).push({
-        condoName,
-        apartment,
-        userData: user
-      });
-    }
-  });
-
-  let importedUsers = 0;
-  let importedCondos = 0;
-  let importedRelations = 0;
-  let errors = 0;
-
-  // Step 1: Insert condominiums
-  const condoArray = Array.from(condominiums);
-  let condoIndex = 0;
-
-  const insertCondominiums = () => {
-    if (condoIndex >= condoArray.length) {
-      // Step 2: Insert users (deduplicated by NIF)
-      const uniqueUsers = new Map();
-      users.forEach(user => {
-        const nif = (user.NIF || '').toString().trim();
-        if (nif && !uniqueUsers.has(nif)) {
-          uniqueUsers.set(nif, user);
-        }
-      });
-
-      const userArray = Array.from(uniqueUsers.values());
-      let userIndex = 0;
-
-      const insertUsers = () => {
-        if (userIndex >= userArray.length) {
-          // Step 3: Insert user-condominium relationships
-          const relationships = [];
-          userCondominiumMap.forEach((condos, nif) => {
-            condos.forEach(condo => {
-              relationships.push({ nif, ...condo });
-            });
-          });
-
-          let relationIndex = 0;
-          const insertRelationships = () => {
-            if (relationIndex >= relationships.length) {
-              return res.json({
-                success: true,
-                message: `Importação concluída: ${importedUsers} utilizadores, ${importedCondos} condomínios, ${importedRelations} relações, ${errors} erros`,
-                importedUsers,
-                importedCondos,
-                importedRelations,
-                errors
-              });
-            }
-
-            const relation = relationships[relationIndex];
-            
-            // Get user and condominium IDs
-            const getUserSql = 'SELECT id FROM users WHERE nif = ?';
-            const getCondoSql = 'SELECT id FROM condominiums WHERE name = ?';
-            
-            db.get(getUserSql, [relation.nif], (err, user) => {
-              if (err || !user) {
-                console.error(`User not found for NIF ${relation.nif}`);
-                errors++;
-                relationIndex++;
-                return insertRelationships();
-              }
-
-              db.get(getCondoSql, [relation.condoName], (err, condo) => {
-                if (err || !condo) {
-                  console.error(`Condominium not found: ${relation.condoName}`);
-                  errors++;
-                  relationIndex++;
-                  return insertRelationships();
-                }
-
-                const insertRelationSql = `
-                  INSERT OR IGNORE INTO user_condominiums (user_id, condominium_id, apartment, role)
-                  VALUES (?, ?, ?, 'resident')
-                `;
-
-                db.run(insertRelationSql, [user.id, condo.id, relation.apartment || ''], function(err) {
-                  if (err) {
-                    console.error(`Error inserting relationship for ${relation.nif}:`, err.message);
-                    errors++;
-                  } else if (this.changes > 0) {
-                    importedRelations++;
-                  }
-                  
-                  relationIndex++;
-                  insertRelationships();
-                });
-              });
-            });
-          };
-
-          insertRelationships();
-          return;
-        }
-
-        const user = userArray[userIndex];
-        const sql = `
-          INSERT OR IGNORE INTO users (
-            grupo, nome, nif, telemovel, telefone, permite_telefone,
-            email1, email2, email3, permite_email, conjuge,
-            data_criacao, data_alteracao, password
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `;
-
-        const values = [
-          user.Grupo || '', user.Nome || '', (user.NIF || '').toString().trim(),
-          user.Telemovel || '', user.Telefone || '', user['Permite telefone'] || '',
-          user['e-mail 1'] || '', user['e-mail 2'] || '', user['e-mail 3'] || '',
-          user['Permite e-mail'] || '', user.Cônjuge || '',
-          user['Data de criação'] || '', user['Data de alteração'] || '',
-          user.Password || ((user.NIF || '').toString().trim()) // Default password to NIF
-        ];
-
-        db.run(sql, values, function(err) {
-          if (err) {
-            console.error(`Error importing user ${user.Nome}:`, err.message);
-            errors++;
-          } else if (this.changes > 0) {
-            importedUsers++;
-            console.log(`Imported user: ${user.Nome}`);
-          }
-          
-          userIndex++;
-          insertUsers();
-        });
-      };
-
-      insertUsers();
-      return;
-    }
-
-    const condoName = condoArray[condoIndex];
-    const insertCondoSql = 'INSERT OR IGNORE INTO condominiums (name) VALUES (?)';
-    
-    db.run(insertCondoSql, [condoName], function(err) {
-      if (err) {
-        console.error(`Error inserting condominium ${condoName}:`, err.message);
-        errors++;
-      } else if (this.changes > 0) {
-        importedCondos++;
-        console.log(`Imported condominium: ${condoName}`);
-      }
-      
-      condoIndex++;
-      insertCondominiums();
-    });
-  };
-
-  insertCondominiums();
-});
-
-// Reset all data and reimport
-app.post('/api/reset-and-import', (req, res) => {
-  const { users } = req.body;
-  
-  if (!users || !Array.isArray(users)) {
-    return res.status(400).json({ error: 'Dados de utilizadores inválidos' });
-  }
+// Tables whose rows keep a condominium from being deleted: foreign keys are not enforced,
+// so its accounting would be left pointing at nothing
+const CONDOMINIUM_LEDGER_TABLES = [
+  'budgets', 'billing_runs', 'charges', 'payments', 'receipts', 'debt_declarations',
+  'reserve_fund_movements', 'expenses', 'bank_statements', 'bank_transactions',
+  'sepa_mandates', 'sepa_batches', 'arrears_actions'
+];
 
-  // Clear all tables
-  const clearTables = [
-    'DELETE FROM user_condominiums',
-    'DELETE FROM user_messages', 
-    'DELETE FROM assembleia_files',
-    'DELETE FROM assembleias',
-    'DELETE FROM users',
-    'DELETE FROM condominiums'
-  ];
+// Delete condominium (main admin only, see policies.js)
+app.delete('/api/condominiums/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) return res.status(400).json({ error: 'Invalid condominium id' });
 
-  let clearIndex = 0;
-  const clearNext = () => {
-    if (clearIndex >= clearTables.length) {
-      // Now import with enhanced method
-      req.url = '/api/import-csv-enhanced';
-      return app._router.handle(req, res);
-    }
+  const counts = CONDOMINIUM_LEDGER_TABLES.map(t => `(SELECT COUNT(*) FROM ${t} WHERE condominium_id = ?)`).join(' + ');
+  db.get(`SELECT ${counts} AS n`, CONDOMINIUM_LEDGER_TABLES.map(() => id), (err, row) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (row.n > 0) return res.status(409).json({ error: 'Este condomínio tem movimentos financeiros e não pode ser eliminado' });
 
-    db.run(clearTables[clearIndex], (err) => {
-      if (err) {
-        console.error(`Error clearing table: ${err.message}`);
-      } else {
-        console.log(`Cleared table: ${clearTables[clearIndex]}`);
-      }
-      clearIndex++;
-      clearNext();
+    db.run('DELETE FROM condominiums WHERE id = ?', [id], function(err) {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      if (this.changes === 0) return res.status(404).json({ error: 'Condominium not found' });
+      // Its units go with it (foreign keys are not enforced)
+      fracoes.removeCondominium(id).then(
+        () => res.json({ success: true, deleted: id }),
+        (e) => {
+          console.error('Error deleting fracoes:', e.message);
+          res.status(500).json({ error: 'Database error' });
+        }
+      );
     });
-  };
+  });
+});
+
+// Older one-step JSON imports ({ users: [{ Grupo, Nome, NIF, ... }] }), run through the import
+// pipeline (csv-import.js): new residents are created, existing ones only linked, and invalid
+// rows are reported instead of aborting the rest. The job id gives access to the error report.
+app.post('/api/import-csv', async (req, res) => {
+  try {
+    const { job, result } = await csvImport.importAll({ ...csvImport.inputFrom(req), createdBy: req.auth.id });
+    const s = result.summary;
+    res.json({
+      success: true,
+      message: `Importação concluída: ${s.users_created} utilizadores importados, ${s.error} erros`,
+      imported: s.users_created,
+      errors: s.error,
+      job_id: job.id
+    });
+  } catch (error) {
+    csvImport.fail(res, error, 'importing CSV data');
+  }
+});
 
-  clearNext();
+// Same import, reporting the condominiums and associations created
+app.post('/api/import-csv-enhanced', async (req, res) => {
+  try {
+    const { job, result } = await csvImport.importAll({ ...csvImport.inputFrom(req), createdBy: req.auth.id });
+    const s = result.summary;
+    res.json({
+      success: true,
+      message: `Importação concluída: ${s.users_created} utilizadores, ${s.condominiums_created} condomínios, ${s.links_created} relações, ${s.error} erros`,
+      importedUsers: s.users_created,
+      importedCondos: s.condominiums_created,
+      importedRelations: s.links_created,
+      errors: s.error,
+      job_id: job.id
+    });
+  } catch (error) {
+    csvImport.fail(res, error, 'importing CSV data');
+  }
 });
 
 // Health check endpoint
@@ -2504,41 +1903,33 @@ app.post('/api/reset-and-import', (req, res) => {
 
 // Get all condominiums (filtered by admin permissions if provided)
 app.get('/api/condominiums', (req, res) => {
-  // Check if admin permissions are provided via headers or query
-  const adminPermissions = req.headers['admin-permissions'] || req.query.adminPermissions;
-  
-  console.log('🔍 /api/condominiums endpoint called');
-  console.log('   admin-permissions header:', adminPermissions);
-  
-  let sql = 'SELECT * FROM condominiums';
+  const auth = req.auth;
+  let sql;
   let params = [];
-  
-  // If admin has limited scope, filter by allowed condominiums
-  if (adminPermissions) {
-    try {
-      const permissions = JSON.parse(adminPermissions);
-      console.log('   Parsed permissions:', permissions);
-      
-      if (permissions.scope === 'limited' && permissions.allowed_condominiums) {
-        const allowedIds = permissions.allowed_condominiums; // Already an array, don't parse again
-        console.log('   Filtering condominiums by allowed ids:', allowedIds);
-        const placeholders = allowedIds.map(() => '?').join(',');
-        sql += ` WHERE id IN (${placeholders})`;
-        params = allowedIds;
-      } else {
-        console.log('   Admin has full access - showing all condominiums');
-      }
-    } catch (error) {
-      console.error('Error parsing admin permissions:', error);
-    }
+
+  if (auth.role === 'resident') {
+    // Residents: the condominiums they are linked to, public columns only
+    sql = `SELECT c.id, c.name FROM condominiums c
+           WHERE c.id IN (SELECT condominium_id FROM user_condominiums WHERE user_id = ?)`;
+    params = [auth.id];
+  } else if (auth.role === 'maintenance') {
+    // Maintenance: the condominiums of the occurrences assigned to it
+    sql = `SELECT c.id, c.name FROM condominiums c
+           WHERE c.id IN (SELECT condominium_id FROM ocorrencias WHERE assigned_to_maintenance = ?)`;
+    params = [auth.id];
   } else {
-    console.log('   No admin permissions header - showing all condominiums');
+    sql = 'SELECT * FROM condominiums';
+    // If the admin session has limited scope, filter by allowed condominiums
+    const allowedIds = getAdminAllowedCondos(req);
+    if (allowedIds !== null) {
+      if (allowedIds.length === 0) return res.json([]);
+      sql += ` WHERE id IN (${allowedIds.map(() => '?').join(',')})`;
+      params = allowedIds;
+    }
   }
-  
+
   sql += ' ORDER BY name';
-  console.log('   Final SQL:', sql);
-  console.log('   Params:', params);
-  
+
   db.all(sql, params, (err, rows) => {
     if (err) {
       console.error('Error fetching condominiums:', err.message);
@@ -2582,14 +1973,20 @@ app.post('/api/users/:id/condominiums', (req, res) => {
     return res.status(400).json({ error: 'Invalid user or condominium id' });
   }
 
-  const sql = 'INSERT OR IGNORE INTO user_condominiums (user_id, condominium_id, apartment, role) VALUES (?, ?, ?, ?)';
-  db.run(sql, [userId, condoId, apartment, role], function(err) {
+  const sql = "INSERT OR IGNORE INTO user_condominiums (user_id, condominium_id, apartment, role) VALUES (?, ?, '', ?)";
+  db.run(sql, [userId, condoId, role], function(err) {
     if (err) {
       console.error('Error linking user to condominium (POST):', err.message);
       return res.status(500).json({ error: 'Database error' });
     }
     const created = this.changes > 0;
-    return res.status(created ? 201 : 200).json({ success: true, created, user_id: userId, condominium_id: condoId, apartment, role });
+    // The apartment is the unit (fração) the resident is linked to
+    fracoes.linkResident(userId, condoId, apartment).then(() => {
+      return res.status(created ? 201 : 200).json({ success: true, created, user_id: userId, condominium_id: condoId, apartment, role });
+    }, (linkErr) => {
+      console.error('Error linking user to fracao:', linkErr.message);
+      return res.status(500).json({ error: 'Database error' });
+    });
   });
 });
 
@@ -2650,7 +2047,9 @@ app.delete('/api/users/:userId/condominiums/:condominiumId', (req, res) => {
   const { userId, condominiumId } = req.params;
   
   const sql = 'DELETE FROM user_condominiums WHERE user_id = ? AND condominium_id = ?';
-  db.run(sql, [userId, condominiumId], function(err) {
+  db.run(sql, [userId, condominiumId], async function(err) {
+    // Along with the building, the resident leaves its units
+    if (!err) err = await fracoes.unlinkResident(userId, condominiumId).then(() => null, e => e);
     if (err) {
       console.error('Error removing user from condominium:', err.message);
       res.status(500).json({ error: 'Database error' });
@@ -2669,18 +2068,25 @@ app.put('/api/users/:userId/condominiums/:condominiumId', (req, res) => {
   const { userId, condominiumId } = req.params;
   const { apartment, role } = req.body;
   
-  const sql = 'UPDATE user_condominiums SET apartment = ?, role = ? WHERE user_id = ? AND condominium_id = ?';
-  db.run(sql, [apartment || '', role || 'resident', userId, condominiumId], function(err) {
+  const sql = 'UPDATE user_condominiums SET role = ? WHERE user_id = ? AND condominium_id = ?';
+  db.run(sql, [role || 'resident', userId, condominiumId], function(err) {
     if (err) {
       console.error('Error updating user-condominium relationship:', err.message);
-      res.status(500).json({ error: 'Database error' });
-    } else {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    const changes = this.changes;
+    // The apartment replaces the resident's units in this condominium (fracoes.js)
+    const unit = changes && apartment !== undefined ? fracoes.setResidentUnit(userId, condominiumId, apartment) : Promise.resolve();
+    unit.then(() => {
       res.json({ 
         success: true, 
         message: 'User-condominium relationship updated successfully',
-        changes: this.changes 
+        changes 
       });
-    }
+    }, (unitErr) => {
+      console.error('Error updating user fracao:', unitErr.message);
+      res.status(500).json({ error: 'Database error' });
+    });
   });
 });
 
@@ -2787,9 +2193,10 @@ app.post('/api/admin/condominiums/:id/users', async (req, res) => {
 
       const finalize = (userId) => {
         db.run(
-          'INSERT OR IGNORE INTO user_condominiums (user_id, condominium_id, apartment, role) VALUES (?, ?, ?, ?)',
-          [userId, condominiumId, user.apartment || '', user.role || 'resident'],
-          function(err2) {
+          "INSERT OR IGNORE INTO user_condominiums (user_id, condominium_id, apartment, role) VALUES (?, ?, '', ?)",
+          [userId, condominiumId, user.role || 'resident'],
+          async function(err2) {
+            if (!err2) err2 = await fracoes.linkResident(userId, condominiumId, user.apartment).then(() => null, e => e);
             if (err2) {
               console.error('Error linking user to condominium:', err2.message);
               return res.status(500).json({ error: 'Database error linking user to condominium' });
@@ -2822,165 +2229,31 @@ app.post('/api/admin/condominiums/:id/users', async (req, res) => {
   }
 });
 
-// Bulk import users for a condominium (accepts JSON array of users)
-// Import users for a condominium via JSON or CSV upload
-app.post('/api/admin/condominiums/:id/import-users', uploadCsv.single('file'), async (req, res) => {
+// Import users for a condominium via JSON ({ users: [{ nome, nif, apartment, ... }] }) or CSV
+// upload, in one step through the import pipeline (csv-import.js)
+async function importUsersForCondominium(req, res) {
   const condominiumId = parseInt(req.params.id, 10);
+  if (isNaN(condominiumId)) return res.status(400).json({ error: 'Invalid condominium id' });
 
-  // Helper: normalize header names
-  const normalize = (s) => {
-    if (!s) return '';
-    return String(s)
-      .replace(/^\uFEFF/, '')
-      .normalize('NFD').replace(/[\u0300-\u036f]/g, '') // strip accents
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, ' ') // non-alphanum to space
-      .trim();
-  };
-
-  const toDigits = (s) => (String(s || '').match(/\d+/g) || []).join('');
-
-  let users = [];
-
-  // Case 1: CSV file uploaded as 'file'
-  if (req.file && req.file.path) {
-    try {
-      // Try latin1 first (Windows exports), fallback to utf8
-      let raw = '';
-      try { raw = fs.readFileSync(req.file.path, { encoding: 'latin1' }); } catch {}
-      if (!raw) raw = fs.readFileSync(req.file.path, { encoding: 'utf8' });
-
-      // Split lines and detect delimiter (; preferred)
-      const lines = raw.split(/\r?\n/).filter(l => l.trim().length > 0);
-      if (lines.length === 0) return res.status(400).json({ error: 'CSV file is empty' });
-      const headerLine = lines[0].replace(/^\uFEFF/, '');
-      const delim = (headerLine.split(';').length >= headerLine.split(',').length) ? ';' : ',';
-      const headers = headerLine.split(delim).map(normalize);
-
-      const idx = (nameCandidates) => {
-        for (const cand of nameCandidates) {
-          const i = headers.indexOf(cand);
-          if (i !== -1) return i;
-        }
-        return -1;
-      };
-
-      const mapIdx = {
-        nome: idx(['nome']),
-        nif: idx(['nif']),
-        telemovel: idx(['telemovel','telemovel*','telemove l','telemovel movel','telemovel telemovel','telemovel telefone','telemovel telefone','telemovel telefone','telemovel telefone*','telemovel telefone']),
-        telefone: idx(['telefone','telefone fixo']),
-        email1: idx(['e mail 1','email 1','e-mail 1','email1','mail 1']),
-        email2: idx(['e mail 2','email 2','e-mail 2','email2','mail 2']),
-        email3: idx(['e mail 3','email 3','e-mail 3','email3','mail 3']),
-        permite_telefone: idx(['permite telefone']),
-        permite_email: idx(['permite e mail','permite e-mail','permite email']),
-        conjuge: idx(['conjuge','conjugue','conjuge*','conjuge cônjuge','conjuge conjuge'])
-      };
-
-      for (let r = 1; r < lines.length; r++) {
-        const cols = lines[r].split(delim);
-        const u = {
-          nome: mapIdx.nome !== -1 ? cols[mapIdx.nome] : '',
-          nif: toDigits(mapIdx.nif !== -1 ? cols[mapIdx.nif] : ''),
-          telemovel: mapIdx.telemovel !== -1 ? cols[mapIdx.telemovel] : '',
-          telefone: mapIdx.telefone !== -1 ? cols[mapIdx.telefone] : '',
-          email1: mapIdx.email1 !== -1 ? cols[mapIdx.email1] : '',
-          email2: mapIdx.email2 !== -1 ? cols[mapIdx.email2] : '',
-          email3: mapIdx.email3 !== -1 ? cols[mapIdx.email3] : '',
-          permite_telefone: mapIdx.permite_telefone !== -1 ? cols[mapIdx.permite_telefone] : '',
-          permite_email: mapIdx.permite_email !== -1 ? cols[mapIdx.permite_email] : '',
-          conjuge: mapIdx.conjuge !== -1 ? cols[mapIdx.conjuge] : ''
-        };
-        if (u.nif) users.push(u);
-      }
-    } catch (e) {
-      console.error('Error parsing CSV:', e.message);
-      return res.status(400).json({ error: 'Erro ao ler CSV' });
-    } finally {
-      try { fs.unlink(req.file.path, () => {}); } catch {}
-    }
-  } else {
-    // Case 2: JSON array in body
-    users = req.body.users;
-    if (!Array.isArray(users)) users = [];
-  }
-
-  if (!Array.isArray(users) || users.length === 0) {
-    return res.status(400).json({ error: 'users must be a non-empty array' });
-  }
-
-  let imported = 0;
-  let linked = 0;
-  let skipped = 0;
-  let errors = 0;
-
-  for (const user of users) {
-    try {
-      const nome = (user.nome && String(user.nome).trim()) ? String(user.nome).trim() : `Morador ${user.nif}`;
-      const nifStr = (user.nif || '').toString().trim();
-      if (!nifStr) { skipped++; continue; }
-
-      // Prepare hashed initial password (default NIF)
-      let hashedPassword = null;
-      try { hashedPassword = await bcrypt.hash(nifStr, 10); } catch {}
-
-      // Insert or ignore user
-      const insertSql = `
-        INSERT OR IGNORE INTO users (
-          grupo, nome, nif, telemovel, telefone, permite_telefone,
-          email1, email2, email3, permite_email, conjuge,
-          data_criacao, data_alteracao, password, must_change_password
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)
-      `;
-
-      const values = [
-        user.grupo || '', nome, nifStr, user.telemovel || '', user.telefone || '', user.permite_telefone || '',
-        user.email1 || '', user.email2 || '', user.email3 || '', user.permite_email || '', user.conjuge || '',
-        user.data_criacao || null, user.data_alteracao || null, hashedPassword || nifStr
-      ];
-
-      const userId = await new Promise((resolve, reject) => {
-        db.run(insertSql, values, function(err) {
-          if (err) return reject(err);
-          if (this.lastID) return resolve(this.lastID);
-          db.get('SELECT id FROM users WHERE nif = ?', [nifStr], (e, row) => {
-            if (e) return reject(e);
-            if (row && row.id) return resolve(row.id);
-            return reject(new Error('Could not determine user id after insert'));
-          });
-        });
-      });
-
-      if (userId) imported++;
-
-      // Link to condominium
-      await new Promise((resolve, reject) => {
-        db.run(
-          'INSERT OR IGNORE INTO user_condominiums (user_id, condominium_id, apartment, role) VALUES (?, ?, ?, ?)',
-          [userId, condominiumId, user.apartment || '', user.role || 'resident'],
-          function(err) {
-            if (err) return reject(err);
-            if (this.changes > 0) linked++;
-            resolve();
-          }
-        );
-      });
-    } catch (e) {
-      console.error('Error importing user for condominium:', e.message);
-      errors++;
-    }
+  try {
+    const { job, result } = await csvImport.importAll({ ...csvImport.inputFrom(req), condominiumId, createdBy: req.auth.id });
+    const s = result.summary;
+    res.json({
+      success: true,
+      imported: s.users_created,
+      linked: s.links_created,
+      skipped: s.unchanged + s.conflict,
+      errors: s.error,
+      job_id: job.id
+    });
+  } catch (error) {
+    csvImport.fail(res, error, 'importing users for condominium');
   }
+}
 
-  res.json({ success: true, imported, linked, skipped, errors });
-});
-
-// Alias endpoint for CSV imports (some UIs may call `import-csv`)
-app.post('/api/admin/condominiums/:id/import-csv', uploadCsv.single('file'), (req, res) => {
-  // Reuse the same handler by internally forwarding to import-users
-  req.url = `/api/admin/condominiums/${req.params.id}/import-users`;
-  return app._router.handle(req, res);
-});
+app.post('/api/admin/condominiums/:id/import-users', uploadCsv.single('file'), importUsersForCondominium);
+// Alias (some UIs call `import-csv`)
+app.post('/api/admin/condominiums/:id/import-csv', uploadCsv.single('file'), importUsersForCondominium);
 
 // Assembleias endpoints
 // Get all assembleias for a condominium
@@ -3015,11 +2288,7 @@ app.get('/api/condominiums/:id/assembleias', (req, res) => {
 
 // Get all assembleias (for admin, filtered by admin permissions)
 app.get('/api/assembleias', (req, res) => {
-  // Check if admin permissions are provided via headers or query
-  const adminPermissions = req.headers['admin-permissions'] || req.query.adminPermissions;
-  
   console.log('🔍 /api/assembleias endpoint called');
-  console.log('   admin-permissions header:', adminPermissions);
   
   let sql = `
     WITH notes AS (
@@ -3039,25 +2308,13 @@ app.get('/api/assembleias', (req, res) => {
   let params = [];
   
   // If admin has limited scope, filter by allowed condominiums
-  if (adminPermissions) {
-    try {
-      const permissions = JSON.parse(adminPermissions);
-      console.log('   Parsed permissions:', permissions);
-      
-      if (permissions.scope === 'limited' && permissions.allowed_condominiums) {
-        const allowedIds = permissions.allowed_condominiums; // Already an array, don't parse again
-        console.log('   Filtering assembleias by allowed condominiums:', allowedIds);
-        const placeholders = allowedIds.map(() => '?').join(',');
-        sql += ` WHERE a.condominium_id IN (${placeholders})`;
-        params = allowedIds;
-      } else {
-        console.log('   Admin has full access - showing all assembleias');
-      }
-    } catch (error) {
-      console.error('Error parsing admin permissions:', error);
-    }
-  } else {
-    console.log('   No admin permissions header - showing all assembleias');
+  const allowedIds = getAdminAllowedCondos(req);
+  if (allowedIds !== null) {
+    if (allowedIds.length === 0) return res.json([]);
+    console.log('   Filtering assembleias by allowed condominiums:', allowedIds);
+    const placeholders = allowedIds.map(() => '?').join(',');
+    sql += ` WHERE a.condominium_id IN (${placeholders})`;
+    params = allowedIds;
   }
   
   sql += ' ORDER BY a.date ASC, a.time ASC';
@@ -3101,7 +2358,7 @@ app.get('/users/:id/next-assembleia', (req, res) => {
       LEFT JOIN notes n ON n.condominium_id = a.condominium_id
     WHERE a.condominium_id IN (${placeholders})
     AND DATE(a.date) >= DATE('now')
-    AND (a.status IS NULL OR a.status != 'completed')
+    AND (a.status IS NULL OR a.status NOT IN ('completed', 'closed'))
       ORDER BY a.date ASC, a.time ASC
       LIMIT 1
     `;
@@ -3138,7 +2395,7 @@ app.get('/users/:id/assembleias', (req, res) => {
       LEFT JOIN notes n ON n.condominium_id = a.condominium_id
       WHERE a.condominium_id IN (${placeholders})
         AND DATE(a.date) >= DATE('now')
-        AND (a.status IS NULL OR a.status != 'completed')
+        AND (a.status IS NULL OR a.status NOT IN ('completed', 'closed'))
       ORDER BY a.date ASC, a.time ASC
     `;
 
@@ -3173,7 +2430,7 @@ app.get('/users/:id/assembleias-anteriores', (req, res) => {
       JOIN condominiums c ON a.condominium_id = c.id
       LEFT JOIN notes n ON n.condominium_id = a.condominium_id 
       WHERE a.condominium_id IN (${placeholders})
-        AND (DATE(a.date) < DATE('now') OR a.status = 'completed')
+        AND (DATE(a.date) < DATE('now') OR a.status IN ('completed', 'closed'))
       ORDER BY a.date DESC, a.time DESC
     `;
 
@@ -3199,7 +2456,7 @@ app.get('/api/users/:id/next-assembleia', (req, res) => {
       JOIN condominiums c ON a.condominium_id = c.id
       WHERE a.condominium_id IN (${placeholders})
         AND DATE(a.date) >= DATE('now')
-        AND (a.status IS NULL OR a.status != 'completed')
+        AND (a.status IS NULL OR a.status NOT IN ('completed', 'closed'))
       ORDER BY a.date ASC, a.time ASC
       LIMIT 1
     `;
@@ -3225,7 +2482,7 @@ app.get('/api/users/:id/assembleias', (req, res) => {
       JOIN condominiums c ON a.condominium_id = c.id
       WHERE a.condominium_id IN (${placeholders})
         AND DATE(a.date) >= DATE('now')
-        AND (a.status IS NULL OR a.status != 'completed')
+        AND (a.status IS NULL OR a.status NOT IN ('completed', 'closed'))
       ORDER BY a.date ASC, a.time ASC
     `;
 
@@ -3272,16 +2529,32 @@ app.get('/api/users/:userId/assembleias/:assembleiaId', (req, res) => {
       ORDER BY uploaded_at DESC
     `;
 
-    db.all(filesSql, [assembleiaId], (fileErr, files) => {
+    db.all(filesSql, [assembleiaId], async (fileErr, files) => {
       if (fileErr) {
         console.error('Error fetching assembleia files:', fileErr.message);
         return res.status(500).json({ error: 'Database error' });
       }
 
-      res.json({
-        ...assembleia,
-        files: files || []
-      });
+      try {
+        const agenda = await assembleias.agendaOf(assembleiaId);
+        const convocation = await assembleias.convocationOf(userId, assembleiaId);
+        const notice = await minutes.noticeOf(userId, assembleiaId);
+        // Votes are published once the assembleia is closed
+        const results = assembleias.isClosed(assembleia) ? votes.publish(await votes.resultsOf(assembleia)) : null;
+        res.json({
+          ...assembleia,
+          second_call: assembleias.secondCallOf(assembleia),
+          agenda: agenda.map(assembleias.toAgendaItem),
+          convocation: convocation ? { id: convocation.id, sent_at: convocation.sent_at, read_at: convocation.read_at } : null,
+          evoting: evoting.windowOf(assembleia),
+          results,
+          deliberation_notice: notice ? { id: notice.id, sent_at: notice.sent_at, read_at: notice.read_at } : null,
+          files: files || []
+        });
+      } catch (agendaErr) {
+        console.error('Error fetching assembleia agenda:', agendaErr.message);
+        res.status(500).json({ error: 'Database error' });
+      }
     });
   });
 });
@@ -3347,7 +2620,7 @@ app.get('/api/users/:id/assembleias-anteriores', (req, res) => {
       FROM assembleias a
       JOIN condominiums c ON a.condominium_id = c.id
       WHERE a.condominium_id IN (${placeholders})
-        AND (DATE(a.date) < DATE('now') OR a.status = 'completed')
+        AND (DATE(a.date) < DATE('now') OR a.status IN ('completed', 'closed'))
       ORDER BY a.date DESC, a.time DESC
     `;
 
@@ -3365,45 +2638,18 @@ app.post('/api/assembleias', (req, res) => {
   if (!condominium_id || !title || !date || !time) {
     return res.status(400).json({ error: 'Condominium ID, title, date, and time are required' });
   }
+  const secondCall = assembleias.readSecondCall(req.body, { date, time });
+  if (secondCall.error) return res.status(400).json({ error: secondCall.error });
   
-  // Check if admin permissions are provided and validate access to this condominium
-  const adminPermissions = req.headers['admin-permissions'] || req.query.adminPermissions;
-  
+  // Condominium access is enforced by the route policy (policies.js)
   console.log('🔍 /api/assembleias POST called for condominium:', condominium_id);
-  console.log('   admin-permissions header:', adminPermissions);
-  
-  if (adminPermissions) {
-    try {
-      const permissions = JSON.parse(adminPermissions);
-      console.log('   Parsed permissions:', permissions);
-      
-      if (permissions.scope === 'limited' && permissions.allowed_condominiums) {
-        const allowedIds = permissions.allowed_condominiums; // Already an array, don't parse again
-        console.log('   Allowed condominiums:', allowedIds);
-        
-        if (!allowedIds.includes(parseInt(condominium_id))) {
-          console.log('   ❌ Access denied - condominium not in allowed list');
-          return res.status(403).json({ error: 'Acesso negado. Não tem permissão para criar assembleias neste condomínio.' });
-        } else {
-          console.log('   ✅ Access granted - condominium in allowed list');
-        }
-      } else {
-        console.log('   Admin has full access');
-      }
-    } catch (error) {
-      console.error('Error parsing admin permissions:', error);
-      return res.status(400).json({ error: 'Invalid admin permissions format' });
-    }
-  } else {
-    console.log('   No admin permissions header - allowing access');
-  }
   
   const sql = `
-    INSERT INTO assembleias (condominium_id, title, description, date, time, location)
-    VALUES (?, ?, ?, ?, ?, ?)
+    INSERT INTO assembleias (condominium_id, title, description, date, time, location, second_call_date, second_call_time)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `;
   
-  db.run(sql, [condominium_id, title, description, date, time, location], function(err) {
+  db.run(sql, [condominium_id, title, description, date, time, location, secondCall.values.second_call_date, secondCall.values.second_call_time], function(err) {
     if (err) {
       return res.status(500).json({ error: 'Database error', details: err.message });
     }
@@ -3430,11 +2676,11 @@ app.post('/api/assembleias', (req, res) => {
           });
 
           // Link to admins responsible for the condominium
-          const { adminIds } = await linkNotificationToAdminsByCondominiums(notificationId, [assembleia.condominium_id]);
+          const { adminIds } = await linkNotificationToAdminsByCondominiums(notificationId, [assembleia.condominium_id], 'assembleias.read');
 
-          // Link to users of the condominium
+          // Link to the owners (and their representatives) of the condominium
           await new Promise((resolve, reject) => {
-            linkNotificationToUsers(notificationId, [assembleia.condominium_id], (linkErr) => {
+            linkNotificationToUsers(notificationId, [assembleia.condominium_id], 'assembleia', (linkErr) => {
               if (linkErr) reject(linkErr);
               else resolve();
             });
@@ -3467,30 +2713,57 @@ app.post('/api/assembleias', (req, res) => {
 app.put('/api/assembleias/:id', (req, res) => {
   const assembleiaId = req.params.id;
   const { title, description, date, time, location, status, admin_notes } = req.body;
+
+  // The second call is only changed when sent (clients predating it leave it as it was)
+  const secondCall = 'second_call_date' in req.body || 'second_call_time' in req.body
+    ? assembleias.readSecondCall(req.body, { date, time })
+    : null;
+  if (secondCall && secondCall.error) return res.status(400).json({ error: secondCall.error });
+  const secondCallSql = secondCall ? ', second_call_date = ?, second_call_time = ?' : '';
+  const secondCallParams = secondCall ? [secondCall.values.second_call_date, secondCall.values.second_call_time] : [];
   
   const sql = `
     UPDATE assembleias 
-    SET title = ?, description = ?, date = ?, time = ?, location = ?, status = ?, admin_notes = ?, updated_at = CURRENT_TIMESTAMP
+    SET title = ?, description = ?, date = ?, time = ?, location = ?, status = ?, admin_notes = ?${secondCallSql}, updated_at = CURRENT_TIMESTAMP
     WHERE id = ?
   `;
-  
-  db.run(sql, [title, description, date, time, location, status, admin_notes, assembleiaId], function(err) {
-    if (err) {
-      return res.status(500).json({ error: 'Database error', details: err.message });
+
+  db.get('SELECT status FROM assembleias WHERE id = ?', [assembleiaId], (findErr, existing) => {
+    if (findErr) {
+      return res.status(500).json({ error: 'Database error', details: findErr.message });
     }
-    
-    if (this.changes === 0) {
-      return res.status(404).json({ error: 'Assembleia not found' });
+    // Closing locks the votes; a closed assembleia is not reopened
+    if (existing && assembleias.isClosed(existing) && status !== 'closed') {
+      return res.status(409).json({ error: 'A assembleia está encerrada e as votações fechadas; não pode ser reaberta' });
     }
-    
-    // Return the updated assembleia
-    db.get('SELECT a.*, c.name as condominium_name FROM assembleias a JOIN condominiums c ON a.condominium_id = c.id WHERE a.id = ?', 
-      [assembleiaId], (err, assembleia) => {
-        if (err) {
-          return res.status(500).json({ error: 'Error retrieving updated assembleia', details: err.message });
-        }
-        res.json(assembleia);
-      });
+
+    db.run(sql, [title, description, date, time, location, status, admin_notes, ...secondCallParams, assembleiaId], function(err) {
+      if (err) {
+        return res.status(500).json({ error: 'Database error', details: err.message });
+      }
+      
+      if (this.changes === 0) {
+        return res.status(404).json({ error: 'Assembleia not found' });
+      }
+      
+      // Return the updated assembleia
+      db.get('SELECT a.*, c.name as condominium_name FROM assembleias a JOIN condominiums c ON a.condominium_id = c.id WHERE a.id = ?', 
+        [assembleiaId], async (err, assembleia) => {
+          if (err) {
+            return res.status(500).json({ error: 'Error retrieving updated assembleia', details: err.message });
+          }
+          if (!assembleias.isClosed(assembleia) || assembleia.closed_at) return res.json(assembleia);
+          try {
+            await votes.close(assembleia);
+            res.json(await new Promise((resolve, reject) => {
+              db.get('SELECT closed_at FROM assembleias WHERE id = ?', [assembleiaId], (closeErr, row) => (closeErr ? reject(closeErr) : resolve({ ...assembleia, ...row })));
+            }));
+          } catch (closeErr) {
+            console.error('Error closing the votes of assembleia', assembleiaId, closeErr);
+            res.status(500).json({ error: 'Erro ao fechar as votações da assembleia' });
+          }
+        });
+    });
   });
 });
 
@@ -3498,16 +2771,59 @@ app.put('/api/assembleias/:id', (req, res) => {
 app.delete('/api/assembleias/:id', (req, res) => {
   const assembleiaId = req.params.id;
   
-  db.run('DELETE FROM assembleias WHERE id = ?', [assembleiaId], function(err) {
-    if (err) {
-      return res.status(500).json({ error: 'Database error', details: err.message });
+  // The assembleia is the record of the budgets approved at it
+  db.get('SELECT year FROM budgets WHERE assembleia_id = ? LIMIT 1', [assembleiaId], (budgetErr, budget) => {
+    if (budgetErr) {
+      return res.status(500).json({ error: 'Database error', details: budgetErr.message });
     }
-    
-    if (this.changes === 0) {
-      return res.status(404).json({ error: 'Assembleia not found' });
+    if (budget) {
+      return res.status(409).json({ error: `O orçamento de ${budget.year} foi aprovado nesta assembleia; reabra-o antes de a eliminar` });
     }
-    
-    res.json({ success: true, message: 'Assembleia excluída com sucesso' });
+
+    // Convocations sent are the proof of notice given to the owners
+    db.get('SELECT COUNT(*) AS count FROM assembleia_convocations WHERE assembleia_id = ?', [assembleiaId], (convErr, convocations) => {
+      if (convErr) {
+        return res.status(500).json({ error: 'Database error', details: convErr.message });
+      }
+      if (convocations.count > 0) {
+        return res.status(409).json({ error: 'A convocatória desta assembleia já foi enviada; altere o seu estado em vez de a eliminar' });
+      }
+
+      // Nor can a signed ata be lost
+      db.get("SELECT id FROM assembleia_minutes WHERE assembleia_id = ? AND status = 'signed'", [assembleiaId], (minutesErr, signed) => {
+        if (minutesErr) {
+          return res.status(500).json({ error: 'Database error', details: minutesErr.message });
+        }
+        if (signed) {
+          return res.status(409).json({ error: 'A ata desta assembleia já foi assinada' });
+        }
+
+        db.run('DELETE FROM assembleias WHERE id = ?', [assembleiaId], function(err) {
+          if (err) {
+            return res.status(500).json({ error: 'Database error', details: err.message });
+          }
+          
+          if (this.changes === 0) {
+            return res.status(404).json({ error: 'Assembleia not found' });
+          }
+
+          db.serialize(() => {
+            db.run('DELETE FROM assembleia_votes WHERE assembleia_id = ?', [assembleiaId]);
+            db.run('DELETE FROM assembleia_evotes WHERE assembleia_id = ?', [assembleiaId]);
+            db.run('DELETE FROM assembleia_minutes_signatories WHERE minutes_id IN (SELECT id FROM assembleia_minutes WHERE assembleia_id = ?)', [assembleiaId]);
+            db.run('DELETE FROM assembleia_minutes WHERE assembleia_id = ?', [assembleiaId]);
+            db.run('DELETE FROM assembleia_agenda_items WHERE assembleia_id = ?', [assembleiaId]);
+            db.all('SELECT proxy_path FROM assembleia_attendance WHERE assembleia_id = ? AND proxy_path IS NOT NULL', [assembleiaId], (proxyErr, proxies) => {
+              (proxies || []).forEach(p => fs.unlink(p.proxy_path, () => {}));
+            });
+            db.run('DELETE FROM assembleia_attendance WHERE assembleia_id = ?', [assembleiaId], (cleanupErr) => {
+              if (cleanupErr) console.warn('Warning: failed to remove the records of assembleia', assembleiaId, cleanupErr.message);
+              res.json({ success: true, message: 'Assembleia excluída com sucesso' });
+            });
+          });
+        });
+      });
+    });
   });
 });
 
@@ -3568,13 +2884,13 @@ app.post('/api/assembleias/:id/files', upload.single('file'), (req, res) => {
           });
 
           await new Promise((resolve, reject) => {
-            linkNotificationToUsers(notificationId, [assembleia.condominium_id], (linkErr) => {
+            linkNotificationToUsers(notificationId, [assembleia.condominium_id], 'assembleia', (linkErr) => {
               if (linkErr) return reject(linkErr);
               resolve();
             });
           });
 
-          const { adminIds } = await linkNotificationToAdminsByCondominiums(notificationId, [assembleia.condominium_id]);
+          const { adminIds } = await linkNotificationToAdminsByCondominiums(notificationId, [assembleia.condominium_id], 'assembleias.read');
           if (Array.isArray(adminIds) && adminIds.length > 0) {
             adminIds.forEach((adminId) => {
               try {
@@ -3613,9 +2929,10 @@ app.get('/api/assembleias/:assembleiaId/files/:fileId/download', (req, res) => {
 // Delete a file
 app.delete('/api/assembleias/:assembleiaId/files/:fileId', (req, res) => {
   const fileId = req.params.fileId;
-  db.get('SELECT file_path FROM assembleia_files WHERE id = ?', [fileId], (err, row) => {
+  db.get('SELECT f.file_path, m.id AS minutes_id FROM assembleia_files f LEFT JOIN assembleia_minutes m ON m.file_id = f.id WHERE f.id = ?', [fileId], (err, row) => {
     if (err) return res.status(500).json({ error: 'Database error', details: err.message });
     if (!row) return res.status(404).json({ error: 'File not found' });
+    if (row.minutes_id) return res.status(409).json({ error: 'Este ficheiro é a ata assinada da assembleia' });
     const absolutePath = row.file_path;
     db.run('DELETE FROM assembleia_files WHERE id = ?', [fileId], function(err) {
       if (err) return res.status(500).json({ error: 'Database error', details: err.message });
@@ -3631,10 +2948,8 @@ app.delete('/api/assembleias/:assembleiaId/files/:fileId', (req, res) => {
 // Get all messages for admin panel (complaints, requests)
 app.get('/api/admin/messages', (req, res) => {
   const { type } = req.query;
-  const adminPermissions = req.headers['admin-permissions'];
 
   console.log('🔍 /api/admin/messages endpoint called');
-  console.log('   admin-permissions header:', adminPermissions);
   
   let sql = `
     SELECT 
@@ -3791,9 +3106,10 @@ app.get('/api/admin/messages/:id', (req, res) => {
 app.put('/api/admin/messages/:id', (req, res) => {
   const messageId = req.params.id;
   console.log(`🔧 PUT /api/admin/messages/${req.params.id} called`);
-  console.log('   headers:', { 'admin-id': req.headers['admin-id'], 'admin-permissions': req.headers['admin-permissions'] });
   console.log('   body:', req.body);
-  const { status, admin_response, admin_id } = req.body;
+  const { status, admin_response } = req.body;
+  // The responding admin is always the authenticated one, not a client-supplied id
+  const admin_id = req.auth && req.auth.role === 'admin' ? req.auth.id : null;
   
   if (status && !['open', 'in_progress', 'resolved', 'closed'].includes(status)) {
     return res.status(400).json({ error: 'Invalid status' });
@@ -3964,21 +3280,16 @@ app.get('/api/admin/ocorrencias', (req, res) => {
 
   const params = [];
 
-  // If admin has limited scope, filter by allowed_condominiums header
-  try {
-    const adminPermHeader = req.headers['admin-permissions'];
-    if (adminPermHeader) {
-      const perms = typeof adminPermHeader === 'string' ? JSON.parse(adminPermHeader) : adminPermHeader;
-      if (perms && perms.scope === 'limited' && Array.isArray(perms.allowed_condominiums) && perms.allowed_condominiums.length > 0) {
-        const placeholders = perms.allowed_condominiums.map(() => '?').join(',');
-        baseSql += ` WHERE o.condominium_id IN (${placeholders})`;
-        params.push(...perms.allowed_condominiums);
-        // Note: do NOT restrict limited admins to only occurrences they personally created.
-        // They should see all ocorrencias for the condominiums in their allowed list.
-      }
-    }
-  } catch (err) {
-    console.error('Error parsing admin-permissions header for ocorrencias filter:', err);
+
+  // If admin has limited scope, filter by the session's allowed condominiums
+  const allowedIds = getAdminAllowedCondos(req);
+  if (allowedIds !== null) {
+    if (allowedIds.length === 0) return res.json([]);
+    const placeholders = allowedIds.map(() => '?').join(',');
+    baseSql += ` WHERE o.condominium_id IN (${placeholders})`;
+    params.push(...allowedIds);
+    // Note: do NOT restrict limited admins to only occurrences they personally created.
+    // They should see all ocorrencias for the condominiums in their allowed list.
   }
 
   baseSql += '\n    ORDER BY o.created_at DESC\n  ';
@@ -3994,11 +3305,9 @@ app.get('/api/admin/ocorrencias', (req, res) => {
 
 // Create new ocorrencia (admin)
 app.post('/api/admin/ocorrencias', async (req, res) => {
-  let { condominium_id, title, description, priority = 'medium', created_by_admin, reporter_user_id, reporter_user_nif, reporter_note } = req.body;
-  // If admin id not provided in body, try header
-  if (!created_by_admin && req.headers['admin-id']) {
-    created_by_admin = parseInt(req.headers['admin-id'], 10);
-  }
+  let { condominium_id, title, description, priority = 'medium', reporter_user_id, reporter_user_nif, reporter_note } = req.body;
+  // The creator is always the authenticated admin
+  const created_by_admin = req.auth && req.auth.role === 'admin' ? req.auth.id : null;
   
   if (!condominium_id || !title || !description || !created_by_admin) {
     return res.status(400).json({ error: 'Dados obrigatórios em falta' });
@@ -4109,7 +3418,7 @@ app.post('/api/admin/ocorrencias', async (req, res) => {
       if (notificationId) {
         try {
           const condoId = createdOcorrencia.condominium_id || condominium_id;
-          const { adminIds } = await linkNotificationToAdminsByCondominiums(notificationId, [condoId]);
+          const { adminIds } = await linkNotificationToAdminsByCondominiums(notificationId, [condoId], 'ocorrencias.read');
           if (Array.isArray(adminIds) && adminIds.length > 0) {
             const payload = { notification_id: notificationId, type: 'ocorrencia', related_id: createdOcorrencia.id || insertResult };
             for (const adminId of adminIds) {
@@ -4138,11 +3447,9 @@ app.post('/api/admin/ocorrencias', async (req, res) => {
 
 // Get pending ocorrencias for maintenance
 app.get('/api/maintenance/ocorrencias/pending', (req, res) => {
-  const maintenanceIdRaw = req.headers['maintenance-id'] || req.query.maintenance_id || null;
-  const maintenanceId = maintenanceIdRaw ? parseInt(maintenanceIdRaw, 10) : null;
+  const maintenanceId = req.auth.id;
 
-  console.debug('[DEBUG] GET /api/maintenance/ocorrencias/pending - maintenance-id raw header:', maintenanceIdRaw);
-  console.debug('[DEBUG] GET /api/maintenance/ocorrencias/pending - parsed maintenance-id:', maintenanceId);
+  console.debug('[DEBUG] GET /api/maintenance/ocorrencias/pending - maintenance id from session:', maintenanceId);
 
   let sql = `
     SELECT o.*, c.name as condominium_name, c.nipc as condominium_nipc, m.nome as maintenance_name,
@@ -4156,17 +3463,10 @@ app.get('/api/maintenance/ocorrencias/pending', (req, res) => {
   `;
 
   const params = [];
-  if (!isNaN(maintenanceId) && maintenanceId !== null) {
-    // maintenance-id provided: show occurrences assigned to this maintenance user OR unassigned
-    sql += ' AND (o.assigned_to_maintenance = ? OR o.assigned_to_maintenance IS NULL)';
-    params.push(maintenanceId);
-    console.debug('[DEBUG] Filtering pending for maintenance id, params:', params);
-  } else {
-    // No maintenance-id header: do NOT leak occurrences assigned to other maintenance users
-    // Only return unassigned occurrences so anonymous/broken requests don't see assigned work
-    sql += ' AND o.assigned_to_maintenance IS NULL';
-    console.debug('[DEBUG] No maintenance-id provided; returning only unassigned pending occurrences');
-  }
+  // Show occurrences assigned to this maintenance user OR unassigned
+  sql += ' AND (o.assigned_to_maintenance = ? OR o.assigned_to_maintenance IS NULL)';
+  params.push(maintenanceId);
+  console.debug('[DEBUG] Filtering pending for maintenance id, params:', params);
 
   console.debug('[DEBUG] Pending status filter includes NULL/empty statuses to capture incomplete records');
 
@@ -4187,11 +3487,9 @@ app.get('/api/maintenance/ocorrencias/pending', (req, res) => {
 
 // Get completed ocorrencias for maintenance
 app.get('/api/maintenance/ocorrencias/completed', (req, res) => {
-  const maintenanceIdRaw = req.headers['maintenance-id'] || req.query.maintenance_id || null;
-  const maintenanceId = maintenanceIdRaw ? parseInt(maintenanceIdRaw, 10) : null;
+  const maintenanceId = req.auth.id;
 
-  console.debug('[DEBUG] GET /api/maintenance/ocorrencias/completed - maintenance-id raw header:', maintenanceIdRaw);
-  console.debug('[DEBUG] GET /api/maintenance/ocorrencias/completed - parsed maintenance-id:', maintenanceId);
+  console.debug('[DEBUG] GET /api/maintenance/ocorrencias/completed - maintenance id from session:', maintenanceId);
 
   let sql = `
     SELECT o.*, c.name as condominium_name, c.nipc as condominium_nipc, m.nome as maintenance_name,
@@ -4205,16 +3503,10 @@ app.get('/api/maintenance/ocorrencias/completed', (req, res) => {
   `;
 
   const params = [];
-  if (!isNaN(maintenanceId) && maintenanceId !== null) {
-    // maintenance-id provided: show completed occurrences assigned to this maintenance user OR unassigned
-    sql += ' AND (o.assigned_to_maintenance = ? OR o.assigned_to_maintenance IS NULL)';
-    params.push(maintenanceId);
-    console.debug('[DEBUG] Filtering completed for maintenance id, params:', params);
-  } else {
-    // No maintenance-id header: only return unassigned completed occurrences
-    sql += ' AND o.assigned_to_maintenance IS NULL';
-    console.debug('[DEBUG] No maintenance-id provided; returning only unassigned completed occurrences');
-  }
+  // Show completed occurrences assigned to this maintenance user OR unassigned
+  sql += ' AND (o.assigned_to_maintenance = ? OR o.assigned_to_maintenance IS NULL)';
+  params.push(maintenanceId);
+  console.debug('[DEBUG] Filtering completed for maintenance id, params:', params);
 
   // Accept resolved or completed as concluded statuses
   sql = sql.replace("WHERE o.status = 'completed'", "WHERE o.status IN ('completed', 'resolved')");
@@ -4273,11 +3565,8 @@ app.post('/api/admin/messages', uploadAny.array('files', 10), async (req, res) =
     const { title, body, type } = req.body;
     const files = req.files || [];
     
-    // Get admin ID from header
-    const adminId = req.headers['admin-id'];
-    if (!adminId) {
-      return res.status(400).json({ error: 'Admin ID required' });
-    }
+    // Sender is the authenticated admin
+    const adminId = req.auth.id;
 
     // Parse condominium IDs (support multiple payload formats)
     let rawCondos = req.body.condominium_ids ?? req.body.condominiumIds ?? [];
@@ -4297,22 +3586,14 @@ app.post('/api/admin/messages', uploadAny.array('files', 10), async (req, res) =
     }
 
     // Check admin permissions
-    const adminPermsHeader = req.headers['admin-permissions'];
-    if (adminPermsHeader) {
-      try {
-        const perms = JSON.parse(adminPermsHeader);
-        if (perms.scope === 'limited') {
-          const allowed = normalizeAllowedCondominiums(perms.allowed_condominiums);
-          const filtered = targetCondos.filter(id => allowed.includes(Number(id)));
-          if (filtered.length === 0) {
-            return res.status(403).json({ error: 'No permitted condominiums in target list' });
-          }
-          targetCondos.length = 0;
-          targetCondos.push(...filtered);
-        }
-      } catch (e) {
-        console.error('Error parsing admin permissions:', e);
+    const allowed = getAdminAllowedCondos(req);
+    if (allowed !== null) {
+      const filtered = targetCondos.filter(id => allowed.includes(Number(id)));
+      if (filtered.length === 0) {
+        return res.status(403).json({ error: 'No permitted condominiums in target list' });
       }
+      targetCondos.length = 0;
+      targetCondos.push(...filtered);
     }
 
     // Insert the admin message
@@ -4398,13 +3679,13 @@ app.post('/api/admin/messages', uploadAny.array('files', 10), async (req, res) =
 
     // Link notification to users in target condominiums
     await new Promise((resolve, reject) => {
-      linkNotificationToUsers(notificationId, targetCondos, (linkErr) => {
+      linkNotificationToUsers(notificationId, targetCondos, 'notices', (linkErr) => {
         if (linkErr) reject(linkErr);
         else resolve();
       });
     });
 
-    const { adminIds } = await linkNotificationToAdminsByCondominiums(notificationId, targetCondos);
+    const { adminIds } = await linkNotificationToAdminsByCondominiums(notificationId, targetCondos, 'messages.read');
     if (!adminIds || adminIds.length === 0) {
       console.log('ℹ️ No admins linked to admin message notification (check condominium permissions).');
     }
@@ -4455,71 +3736,187 @@ app.post('/api/admin/messages', uploadAny.array('files', 10), async (req, res) =
   }
 });
 
-// Create new admin (only main admin should call this in production)
+// Create new admin: `roles` ([{ role, condominium_id }]) or the legacy scope / allowed_condominiums
 app.post('/api/admins', async (req, res) => {
-  // Require main admin
-  const isMain = await checkIsMainAdmin(req);
-  if (!isMain) return res.status(403).json({ error: 'Only main admin can create admins' });
   try {
     const { username, password, scope = 'full', allowed_condominiums = null } = req.body;
     if (!username || !password) return res.status(400).json({ error: 'username and password required' });
+    const assignments = typeof req.body.roles !== 'undefined'
+      ? adminRoles.normalizeAssignments(req.body.roles)
+      : adminRoles.assignmentsFromScope(scope, allowed_condominiums);
+    if (!assignments) return res.status(400).json({ error: 'roles deve ser uma lista de { role, condominium_id }' });
+
+    // Ensure unique username
+    const exists = await new Promise((resolve) => {
+      db.get('SELECT id FROM admins WHERE username = ?', [username], (err, row) => { if (err || !row) resolve(false); else resolve(true); });
+    });
+    if (exists) return res.status(400).json({ error: 'admin username already exists' });
+
+    const hashed = await bcrypt.hash(password, 10);
+    const allowedJson = allowed_condominiums ? JSON.stringify(allowed_condominiums) : null;
+
+    const insertSql = `INSERT INTO admins (username, password, scope, allowed_condominiums, created_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`;
+    const id = await new Promise((resolve, reject) => {
+      db.run(insertSql, [username, hashed, scope, allowedJson], function(err) {
+        if (err) reject(err); else resolve(this.lastID);
+      });
+    });
+
+    const assigned = await adminRoles.setAssignments(id, assignments);
+    if (assigned.error) {
+      await new Promise((resolve) => db.run('DELETE FROM admins WHERE id = ?', [id], () => resolve()));
+      return res.status(assigned.status).json({ error: assigned.error });
+    }
+
+    const admin = await new Promise((resolve, reject) => {
+      db.get('SELECT id, username, scope, allowed_condominiums FROM admins WHERE id = ?', [id], (err, row) => { if (err) reject(err); else resolve(row); });
+    });
+    res.status(201).json(await withAdminRoles(admin));
+  } catch (e) {
+    console.error('Error creating admin:', e);
+    res.status(500).json({ error: 'Erro ao criar admin' });
+  }
+});
+
+// Change own password (admins and maintenance users; clears must_change_password)
+function changeOwnPassword(table, actorType) {
+  return async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Todos os campos são obrigatórios' });
+    }
+    if (String(newPassword).length < 8) {
+      return res.status(400).json({ error: 'A nova password deve ter pelo menos 8 caracteres' });
+    }
+
+    try {
+      const account = await new Promise((resolve, reject) => {
+        db.get(`SELECT id, password FROM ${table} WHERE id = ?`, [req.auth.id], (err, row) => (err ? reject(err) : resolve(row)));
+      });
+      if (!account) return res.status(404).json({ error: 'Conta não encontrada' });
+
+      if (!(await bcrypt.compare(String(currentPassword), account.password))) {
+        return res.status(401).json({ error: 'Password atual incorreta' });
+      }
+      if (await bcrypt.compare(String(newPassword), account.password)) {
+        return res.status(400).json({ error: 'A nova password deve ser diferente da atual' });
+      }
+
+      const hashed = await bcrypt.hash(String(newPassword), 10);
+      await new Promise((resolve, reject) => {
+        db.run(`UPDATE ${table} SET password = ?, must_change_password = 0 WHERE id = ?`, [hashed, account.id], (err) => (err ? reject(err) : resolve()));
+      });
+      await sessions.revokeActorSessions(actorType, account.id, req.auth.sessionId);
+
+      res.json({ success: true, message: 'Password alterada com sucesso' });
+    } catch (error) {
+      console.error(`Error changing ${actorType} password:`, error);
+      res.status(500).json({ error: 'Erro ao processar password' });
+    }
+  };
+}
+
+app.post('/api/admin/change-password', changeOwnPassword('admins', 'admin'));
+app.post('/api/maintenance/change-password', changeOwnPassword('maintenance_users', 'maintenance'));
+
+// Active login lockouts (for the unlock action in the admin management UI)
+app.get('/api/admin/login-lockouts', (req, res) => {
+  const sql = `
+    SELECT actor_type, identifier, failed_count, locked_until, updated_at
+    FROM login_lockouts
+    WHERE locked_until IS NOT NULL AND locked_until > CURRENT_TIMESTAMP
+    ORDER BY locked_until DESC
+  `;
+  db.all(sql, [], (err, rows) => {
+    if (err) {
+      console.error('Error fetching login lockouts:', err.message);
+      return res.status(500).json({ error: 'Erro ao buscar bloqueios' });
+    }
+    res.json(rows || []);
+  });
+});
+
+// Lift a lockout before it expires
+app.post('/api/admin/login-lockouts/unlock', async (req, res) => {
+  const { actor_type, identifier } = req.body;
+  if (!['admin', 'maintenance', 'resident', 'password_reset'].includes(actor_type) || !identifier) {
+    return res.status(400).json({ error: 'actor_type e identifier são obrigatórios' });
+  }
+
+  try {
+    const unlocked = await loginThrottle.unlock(actor_type, identifier);
+    if (!unlocked) return res.status(404).json({ error: 'Nenhum bloqueio encontrado para esta conta' });
+    console.log(`🔓 ${actor_type} account '${identifier}' unlocked by admin ${req.auth.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error unlocking account:', error);
+    res.status(500).json({ error: 'Erro ao desbloquear conta' });
+  }
+});
 
-    // Ensure unique username
-    const exists = await new Promise((resolve) => {
-      db.get('SELECT id FROM admins WHERE username = ?', [username], (err, row) => { if (err || !row) resolve(false); else resolve(true); });
-    });
-    if (exists) return res.status(400).json({ error: 'admin username already exists' });
+// Login attempts log (filterable by actor_type, identifier, ip, success)
+app.get('/api/admin/login-attempts', (req, res) => {
+  const { actor_type, identifier, ip, success } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+  const conditions = [];
+  const params = [];
 
-    const hashed = await bcrypt.hash(password, 10);
-    const allowedJson = allowed_condominiums ? JSON.stringify(allowed_condominiums) : null;
+  if (actor_type) { conditions.push('actor_type = ?'); params.push(actor_type); }
+  if (identifier) { conditions.push('identifier = ?'); params.push(String(identifier).trim().toLowerCase()); }
+  if (ip) { conditions.push('ip = ?'); params.push(ip); }
+  if (success === '0' || success === '1') { conditions.push('success = ?'); params.push(Number(success)); }
 
-    const insertSql = `INSERT INTO admins (username, password, scope, allowed_condominiums, created_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`;
-    const id = await new Promise((resolve, reject) => {
-      db.run(insertSql, [username, hashed, scope, allowedJson], function(err) {
-        if (err) reject(err); else resolve(this.lastID);
-      });
-    });
+  let sql = 'SELECT id, actor_type, identifier, ip, success, reason, created_at FROM login_attempts';
+  if (conditions.length > 0) sql += ' WHERE ' + conditions.join(' AND ');
+  sql += ' ORDER BY id DESC LIMIT ?';
+  params.push(limit);
 
-    const admin = await new Promise((resolve, reject) => {
-      db.get('SELECT id, username, scope, allowed_condominiums FROM admins WHERE id = ?', [id], (err, row) => { if (err) reject(err); else resolve(row); });
-    });
-    res.status(201).json(admin);
-  } catch (e) {
-    console.error('Error creating admin:', e);
-    res.status(500).json({ error: 'Erro ao criar admin' });
-  }
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      console.error('Error fetching login attempts:', err.message);
+      return res.status(500).json({ error: 'Erro ao buscar tentativas de login' });
+    }
+    res.json(rows || []);
+  });
 });
 
 // Get all admins (for management UI)
 app.get('/api/admins', (req, res) => {
-  const sql = 'SELECT id, username, scope, allowed_condominiums, created_at FROM admins ORDER BY id';
-  db.all(sql, [], (err, rows) => {
+  const sql = 'SELECT id, username, scope, allowed_condominiums, totp_enabled, totp_required, created_at FROM admins ORDER BY id';
+  db.all(sql, [], async (err, rows) => {
     if (err) {
       console.error('Error fetching admins:', err.message);
       return res.status(500).json({ error: 'Erro ao buscar admins' });
     }
-    res.json(rows);
+    try {
+      res.json(await Promise.all(rows.map(withAdminRoles)));
+    } catch (rolesErr) {
+      console.error('Error fetching admin roles:', rolesErr);
+      res.status(500).json({ error: 'Erro ao buscar admins' });
+    }
   });
 });
 
 // Get single admin
 app.get('/api/admins/:id', (req, res) => {
   const { id } = req.params;
-  db.get('SELECT id, username, scope, allowed_condominiums, created_at FROM admins WHERE id = ?', [id], (err, row) => {
+  db.get('SELECT id, username, scope, allowed_condominiums, totp_enabled, totp_required, created_at FROM admins WHERE id = ?', [id], async (err, row) => {
     if (err) {
       console.error('Error fetching admin:', err.message);
       return res.status(500).json({ error: 'Erro ao buscar admin' });
     }
     if (!row) return res.status(404).json({ error: 'Admin não encontrado' });
-    res.json(row);
+    try {
+      res.json(await withAdminRoles(row));
+    } catch (rolesErr) {
+      console.error('Error fetching admin roles:', rolesErr);
+      res.status(500).json({ error: 'Erro ao buscar admin' });
+    }
   });
 });
 
 // Create new maintenance user
 app.post('/api/admin/maintenance-users', async (req, res) => {
-  // Require main admin
-  const isMain = await checkIsMainAdmin(req);
-  if (!isMain) return res.status(403).json({ error: 'Only main admin can create maintenance users' });
   try {
     const { nome, username, password } = req.body;
     if (!nome || !password || !username) return res.status(400).json({ error: 'nome, username and password required' });
@@ -4546,13 +3943,11 @@ app.post('/api/admin/maintenance-users', async (req, res) => {
   }
 });
 
-  // Edit admin account (username, password, scope, allowed_condominiums)
+  // Edit admin account (username, password, roles, totp_required).
+  // The legacy scope / allowed_condominiums fields replace only the `administrator` assignments.
   app.put('/api/admins/:id', async (req, res) => {
-    const isMain = await checkIsMainAdmin(req);
-    if (!isMain) return res.status(403).json({ error: 'Only main admin can edit admins' });
-
     const { id } = req.params;
-    const { username, password, scope, allowed_condominiums } = req.body;
+    const { username, password, scope, allowed_condominiums, totp_required, roles } = req.body;
 
     try {
       // Validate admin exists
@@ -4569,24 +3964,46 @@ app.post('/api/admin/maintenance-users', async (req, res) => {
         updates.push('username = ?'); params.push(username);
       }
 
-      if (typeof scope !== 'undefined') { updates.push('scope = ?'); params.push(scope || 'full'); }
+      let assignments = null;
+      if (typeof roles !== 'undefined') {
+        assignments = adminRoles.normalizeAssignments(roles);
+        if (!assignments) return res.status(400).json({ error: 'roles deve ser uma lista de { role, condominium_id }' });
+      } else if (typeof scope !== 'undefined' || typeof allowed_condominiums !== 'undefined') {
+        const current = await adminRoles.assignmentsOf(Number(id));
+        assignments = [
+          ...current.filter(a => a.role !== 'administrator'),
+          ...adminRoles.assignmentsFromScope(
+            typeof scope !== 'undefined' ? (scope || 'full') : existing.scope,
+            typeof allowed_condominiums !== 'undefined' ? allowed_condominiums : existing.allowed_condominiums
+          )
+        ];
+      }
+      if (assignments) {
+        const assigned = await adminRoles.setAssignments(Number(id), assignments);
+        if (assigned.error) return res.status(assigned.status).json({ error: assigned.error });
+      }
 
-      if (typeof allowed_condominiums !== 'undefined') { updates.push('allowed_condominiums = ?'); params.push(allowed_condominiums ? JSON.stringify(allowed_condominiums) : null); }
+      if (typeof totp_required !== 'undefined') { updates.push('totp_required = ?'); params.push(totp_required ? 1 : 0); }
 
       if (password) {
         const hashed = await bcrypt.hash(password, 10);
         updates.push('password = ?'); params.push(hashed);
       }
 
-      if (updates.length === 0) return res.json(existing);
+      if (updates.length === 0) {
+        const current = await new Promise((resolve) => db.get('SELECT * FROM admins WHERE id = ?', [id], (err, row) => resolve(row)));
+        return res.json(await withAdminRoles(publicAdminFields(current)));
+      }
 
       const sql = `UPDATE admins SET ${updates.join(', ')}, created_at = created_at WHERE id = ?`;
       params.push(id);
 
       await new Promise((resolve, reject) => db.run(sql, params, function(err) { if (err) reject(err); else resolve(); }));
+      // A new password ends every open session of that admin (except the caller's own)
+      if (password) await sessions.revokeActorSessions('admin', Number(id), req.auth && req.auth.sessionId);
 
-      const updated = await new Promise((resolve) => db.get('SELECT id, username, scope, allowed_condominiums FROM admins WHERE id = ?', [id], (err, row) => resolve(row)));
-      res.json(updated);
+      const updated = await new Promise((resolve) => db.get('SELECT id, username, scope, allowed_condominiums, totp_enabled, totp_required FROM admins WHERE id = ?', [id], (err, row) => resolve(row)));
+      res.json(await withAdminRoles(updated));
     } catch (e) {
       console.error('Error updating admin:', e);
       res.status(500).json({ error: 'Erro ao atualizar admin' });
@@ -4595,18 +4012,17 @@ app.post('/api/admin/maintenance-users', async (req, res) => {
 
   // Delete admin account
   app.delete('/api/admins/:id', async (req, res) => {
-    const isMain = await checkIsMainAdmin(req);
-    if (!isMain) return res.status(403).json({ error: 'Only main admin can delete admins' });
-
     const { id } = req.params;
     try {
       const existing = await new Promise((resolve) => db.get('SELECT id, username FROM admins WHERE id = ?', [id], (err, row) => resolve(row)));
       if (!existing) return res.status(404).json({ error: 'Admin not found' });
 
-      // Prevent deleting the main admin account
-      if (existing.username === 'admin') return res.status(400).json({ error: 'Cannot delete main admin account' });
+      // Main admins must be demoted first, and the last one cannot be (see admin-roles.js)
+      if (await adminRoles.isMainAdmin(existing.id)) return res.status(400).json({ error: 'Cannot delete main admin account' });
 
       await new Promise((resolve, reject) => db.run('DELETE FROM admins WHERE id = ?', [id], function(err) { if (err) reject(err); else resolve(this.changes); }));
+      await adminRoles.removeAdmin(existing.id);
+      await sessions.revokeActorSessions('admin', Number(id));
       res.json({ success: true });
     } catch (e) {
       console.error('Error deleting admin:', e);
@@ -4616,8 +4032,6 @@ app.post('/api/admin/maintenance-users', async (req, res) => {
 
   // Admin-only: force reset all user passwords to hash(NIF) and set must_change_password=1
   app.post('/api/admin/reset-passwords-to-nif', async (req, res) => {
-    const isMain = await checkIsMainAdmin(req);
-    if (!isMain) return res.status(403).json({ error: 'Only main admin can reset passwords' });
     try {
       const users = await new Promise((resolve, reject) => {
         db.all("SELECT id, nif FROM users WHERE nif IS NOT NULL AND TRIM(nif) != ''", [], (err, rows) => {
@@ -4652,15 +4066,13 @@ app.post('/api/admin/maintenance-users', async (req, res) => {
 
   // Delete maintenance user
   app.delete('/api/admin/maintenance-users/:id', async (req, res) => {
-    const isMain = await checkIsMainAdmin(req);
-    if (!isMain) return res.status(403).json({ error: 'Only main admin can delete maintenance users' });
-
     const { id } = req.params;
     try {
       const existing = await new Promise((resolve) => db.get('SELECT id, username FROM maintenance_users WHERE id = ?', [id], (err, row) => resolve(row)));
       if (!existing) return res.status(404).json({ error: 'Maintenance user not found' });
 
       await new Promise((resolve, reject) => db.run('DELETE FROM maintenance_users WHERE id = ?', [id], function(err) { if (err) reject(err); else resolve(this.changes); }));
+      await sessions.revokeActorSessions('maintenance', Number(id));
       // Clear any assigned_to_maintenance references to avoid orphans
       await new Promise((resolve, reject) => db.run('UPDATE ocorrencias SET assigned_to_maintenance = NULL WHERE assigned_to_maintenance = ?', [id], function(err) { if (err) reject(err); else resolve(this.changes); }));
       res.json({ success: true });
@@ -4763,7 +4175,7 @@ app.put('/api/maintenance/ocorrencias/:id', async (req, res) => {
       if (notificationId) {
         console.log(`🔗 Linking maintenance completion notification ${notificationId} for condominium ${updatedOcorrencia.condominium_id}...`);
         try {
-          const { adminIds, linkedCount } = await linkNotificationToAdminsByCondominiums(notificationId, [updatedOcorrencia.condominium_id]);
+          const { adminIds, linkedCount } = await linkNotificationToAdminsByCondominiums(notificationId, [updatedOcorrencia.condominium_id], 'ocorrencias.read');
           if (linkedCount > 0) {
             console.log(`✅ Successfully linked maintenance notification to ${linkedCount} admin(s)`);
             for (const adminId of adminIds) {
@@ -4799,9 +4211,6 @@ app.put('/api/maintenance/ocorrencias/:id', async (req, res) => {
 
 // Edit maintenance user (username, nome, password) - only main admin
 app.put('/api/admin/maintenance-users/:id', async (req, res) => {
-  const isMain = await checkIsMainAdmin(req);
-  if (!isMain) return res.status(403).json({ error: 'Only main admin can edit maintenance users' });
-
   const { id } = req.params;
   const { nome, username, password } = req.body;
 
@@ -4832,6 +4241,7 @@ app.put('/api/admin/maintenance-users/:id', async (req, res) => {
     params.push(id);
 
     await new Promise((resolve, reject) => db.run(sql, params, function(err) { if (err) reject(err); else resolve(); }));
+    if (password) await sessions.revokeActorSessions('maintenance', Number(id));
 
     const updated = await new Promise((resolve) => db.get('SELECT id, username, nome FROM maintenance_users WHERE id = ?', [id], (err, row) => resolve(row)));
     res.json(updated);
@@ -4919,7 +4329,7 @@ app.put('/api/admin/ocorrencias/:id/verify', async (req, res) => {
           // Link notification to appropriate admins based on condominium access
           console.log(`🔗 Linking verification notification ${notificationId} for condominium ${row.condominium_id}...`);
 
-          linkNotificationToAdminsByCondominiums(notificationId, [row.condominium_id])
+          linkNotificationToAdminsByCondominiums(notificationId, [row.condominium_id], 'ocorrencias.read')
             .then(({ adminIds, linkedCount }) => {
               if (linkedCount === 0) {
                 console.log('⚠️ No admins found to receive this verification notification');
@@ -5033,56 +4443,16 @@ app.put('/api/admin/ocorrencias/:id/complete', async (req, res) => {
           // Link notification to appropriate admins based on condominium access
           console.log(`🔗 Linking completion notification ${notificationId} for condominium ${row.condominium_id}...`);
 
-          const adminsSql = 'SELECT id, username, scope, allowed_condominiums FROM admins';
-          db.all(adminsSql, [], (err, admins) => {
-            if (err) {
-              console.error('Error fetching admins for notification linking:', err);
-              return res.json(row);
-            }
-
-            if (!admins || admins.length === 0) {
-              return res.json(row);
-            }
-
-            const adminLinksToCreate = [];
-            for (const admin of admins) {
-              if (admin.scope === 'full') {
-                adminLinksToCreate.push(admin.id);
-              } else if (admin.scope === 'limited') {
-                try {
-                  const allowedCondos = normalizeAllowedCondominiums(admin.allowed_condominiums);
-                  if (allowedCondos.includes(Number(row.condominium_id))) {
-                    adminLinksToCreate.push(admin.id);
-                  }
-                } catch (parseErr) {
-                  console.error(`Error parsing allowed_condominiums for admin ${admin.username}:`, parseErr);
-                }
-              }
-            }
-
-            if (adminLinksToCreate.length === 0) {
-              console.log('⚠️ No admins found to receive this completion notification');
-              return res.json(row);
-            }
-
-            const linkSql = `INSERT OR IGNORE INTO admin_notifications (admin_id, notification_id, read_status, created_at) VALUES (?, ?, 0, CURRENT_TIMESTAMP)`;
-            let completedCount = 0;
-
-            adminLinksToCreate.forEach(adminId => {
-              db.run(linkSql, [adminId, notificationId], (linkErr) => {
-                if (linkErr) {
-                  console.error(`Error linking completion notification ${notificationId} to admin ${adminId}:`, linkErr.message);
-                } else {
-                  console.log(`✅ Linked completion notification ${notificationId} to admin ${adminId}`);
-                }
-                completedCount++;
-                if (completedCount === adminLinksToCreate.length) {
-                  console.log(`✅ Successfully linked completion notification to ${adminLinksToCreate.length} admin(s)`);
-                  res.json(row);
-                }
-              });
+          linkNotificationToAdminsByCondominiums(notificationId, [row.condominium_id], 'ocorrencias.read')
+            .then(({ linkedCount }) => {
+              if (linkedCount === 0) console.log('⚠️ No admins found to receive this completion notification');
+              else console.log(`✅ Successfully linked completion notification to ${linkedCount} admin(s)`);
+              res.json(row);
+            })
+            .catch((linkErr) => {
+              console.error('Error linking completion notification to admins:', linkErr.message);
+              res.json(row);
             });
-          });
         });
       } else {
         res.json(row);
@@ -5402,120 +4772,33 @@ app.put('/api/condominiums/:id', (req, res) => {
 
 // ====== CSV IMPORT ENDPOINTS ======
 
-// Import users from CSV file upload
-const csvUpload = multer({ dest: 'uploads/' });
-app.post('/api/import-users-csv', csvUpload.single('csvFile'), async (req, res) => {
+// Import users from a CSV upload (`csvFile`) into the condominium given as `condominium_id`
+app.post('/api/import-users-csv', uploadCsv.single('csvFile'), async (req, res) => {
+  const condominiumId = parseInt(req.body.condominium_id, 10);
   if (!req.file) {
     return res.status(400).json({ error: 'Ficheiro CSV é obrigatório' });
   }
-
-  const { condominium_id } = req.body;
-  
-  if (!condominium_id) {
+  if (isNaN(condominiumId)) {
+    fs.unlink(req.file.path, () => {});
     return res.status(400).json({ error: 'Condomínio é obrigatório' });
   }
 
-  let imported = 0;
-  let errors = [];
-
   try {
-  // Read the uploaded CSV file using UTF-8 so diacritics are preserved
-  const csvContent = fs.readFileSync(req.file.path, 'utf8');
-    const lines = csvContent.trim().split('\n');
-    
-    if (lines.length < 2) {
-      return res.status(400).json({ error: 'Ficheiro CSV deve ter pelo menos uma linha de dados' });
-    }
-
-    // Parse header
-    const headers = lines[0].split(';').map(h => h.trim());
-    console.log('CSV Headers:', headers); // Debug log
-    
-    // Process data lines
-    for (let i = 1; i < lines.length; i++) {
-      try {
-        const values = lines[i].split(';').map(v => v.trim());
-        const row = {};
-        
-        headers.forEach((header, index) => {
-          row[header] = values[index] || '';
-        });
-
-        // Extract data with flexible column matching
-        const nome = row['Nome'] || '';
-        const nif = row['NIF'] || '';
-        const telemovel = row['Telemóvel'] || row['Telem\u00f3vel'] || row['Telemovel'] || '';
-        const telefone = row['Telefone'] || '';
-        const email1 = row['E-mail 1'] || '';
-        const email2 = row['E-mail 2'] || '';
-        const email3 = row['E-mail 3'] || '';
-
-        if (!nome) {
-          errors.push(`Linha ${i + 1}: Nome em falta`);
-          continue;
-        }
-
-        // Insert user
-        const userSql = `
-          INSERT INTO users (nome, nif, telemovel, telefone, email1, email2, email3, password, created_at)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-        `;
-        
-        const defaultPassword = '123456'; // Default password for imported users
-        
-        const userId = await new Promise((resolve, reject) => {
-          db.run(userSql, [nome, nif || '', telemovel || '', telefone || '', email1 || '', email2 || '', email3 || '', defaultPassword], function(err) {
-            if (err) {
-              if (err.message.includes('UNIQUE constraint failed')) {
-                errors.push(`Linha ${i + 1} (${Nome}): Utilizador já existe`);
-              } else {
-                errors.push(`Linha ${i + 1} (${Nome}): ${err.message}`);
-              }
-              reject(err);
-            } else {
-              resolve(this.lastID);
-            }
-          });
-        });
-
-        // Associate user with condominium
-        const associationSql = `
-          INSERT INTO user_condominiums (user_id, condominium_id, role)
-          VALUES (?, ?, 'resident')
-        `;
-        
-        await new Promise((resolve, reject) => {
-          db.run(associationSql, [userId, condominium_id], function(err) {
-            if (err) {
-              errors.push(`Linha ${i + 1} (${Nome}): Erro ao associar ao condomínio: ${err.message}`);
-              reject(err);
-            } else {
-              resolve();
-            }
-          });
-        });
-
-        imported++;
-      } catch (rowError) {
-        errors.push(`Linha ${i + 1}: ${rowError.message}`);
-      }
-    }
-
-    // Clean up uploaded file
-    fs.unlinkSync(req.file.path);
+    const { job, result } = await csvImport.importAll({ ...csvImport.inputFrom(req), condominiumId, createdBy: req.auth.id });
+    const errors = [];
+    result.entries.forEach(e => e.messages
+      .filter(m => m.level === 'error')
+      .forEach(m => errors.push(`Linha ${e.line}${e.nome ? ` (${e.nome})` : ''}: ${m.message}`)));
 
     res.json({
-      message: `Importação concluída: ${imported} utilizadores importados e associados ao condomínio`,
-      imported,
-      errors: errors.length > 0 ? errors : undefined
+      message: `Importação concluída: ${result.summary.users_created} utilizadores importados e ${result.summary.links_created} associados ao condomínio`,
+      imported: result.summary.users_created,
+      linked: result.summary.links_created,
+      errors: errors.length > 0 ? errors : undefined,
+      job_id: job.id
     });
   } catch (error) {
-    console.error('Error importing CSV:', error);
-    // Clean up uploaded file in case of error
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
-    res.status(500).json({ error: 'Erro durante a importação' });
+    csvImport.fail(res, error, 'importing CSV');
   }
 });
 
@@ -5618,7 +4901,7 @@ app.put('/api/users/:id/profile', async (req, res) => {
     console.log(`🔗 Linking profile update notification ${notificationId} for user ${id}...`);
 
     // Use our helper function to link to appropriate admins
-    linkNotificationToAdmins(notificationId, id, (err, linkedCount) => {
+    linkNotificationToAdmins(notificationId, id, 'users.read', (err, linkedCount) => {
       if (err) {
         console.error('Error linking profile update notification:', err.message);
       } else {
@@ -5639,38 +4922,15 @@ app.put('/api/users/:id/profile', async (req, res) => {
 
 // ====== NOTIFICATIONS ENDPOINTS ======
 
-// Helper: read admin id from query, headers, or lookup by username
+// Helper: admin id of the authenticated admin session (null when not an admin session)
 function getAdminIdFromReq(req) {
-  let adminId = req.query.admin_id || req.headers['admin-id'] || req.headers['admin_id'];
-  
-  if (adminId) {
-    return adminId;
-  }
-  
-  // If no admin_id, try to get it from username
-  const adminUsername = req.headers['admin-username'];
-  if (adminUsername) {
-    // This is async, but we'll handle it synchronously for now
-    // In a real implementation, this should be async
-    console.log('🔍 Looking up admin ID for username:', adminUsername);
-    // For now, return null and handle in the endpoint
-    return null;
-  }
-  
-  return null;
+  return req.auth && req.auth.role === 'admin' ? req.auth.id : null;
 }
 
-// Get notifications for a specific admin (requires admin_id or admin permissions)
+// Get notifications for the authenticated admin
 app.get('/api/notifications', (req, res) => {
   const adminId = getAdminIdFromReq(req);
-  const adminPermissions = req.headers['admin-permissions'];
   
-  if (!adminId && !adminPermissions) {
-    return res.status(400).json({ error: 'admin_id or admin-permissions header is required' });
-  }
-
-  // If we have admin permissions but no admin_id, we can't filter by admin
-  // So we'll return all notifications and let the frontend filter
   let sql;
   let params = [];
   
@@ -5680,21 +4940,13 @@ app.get('/api/notifications', (req, res) => {
       COALESCE(an.read_status, 0) as read_status
     FROM notifications n
     INNER JOIN admin_notifications an ON n.id = an.notification_id 
-      ${adminId ? 'AND an.admin_id = ?' : ''}
+      AND an.admin_id = ?
     WHERE 1=1
   `;
-  
-  if (adminId) {
-    params.push(adminId);
-  } else {
-    // If no admin_id, we still need to ensure we only get notifications linked to some admin
-    // This prevents orphaned notifications from appearing
-    sql = sql.replace('WHERE 1=1', 'WHERE an.id IS NOT NULL');
-  }
+  params.push(adminId);
 
   // Check admin permissions for filtering
   console.log('🔍 /api/notifications endpoint called');
-  console.log('   admin-permissions header:', adminPermissions);
   console.log('   admin_id:', adminId);
   
   const conditions = [];
@@ -5765,69 +5017,20 @@ app.get('/api/notifications', (req, res) => {
   console.log('   Final SQL:', sql);
   console.log('   Params:', params);
 
-  const runNotificationQuery = (attempt = 1) => {
-    db.all(sql, params, (err, rows) => {
-      if (err) {
-        const message = err && err.message ? err.message : String(err);
-        console.error('Error fetching notifications (attempt ' + attempt + '):', message);
-
-        if (attempt === 1) {
-          if (message.includes('no such column:') && message.includes('condominium_id')) {
-            console.warn('⚠️ Missing condominium_id column detected while fetching notifications; attempting migration...');
-            return db.run("ALTER TABLE notifications ADD COLUMN condominium_id INTEGER", (alterErr) => {
-              if (alterErr && !(alterErr.message || '').includes('duplicate column')) {
-                console.error('Failed to add condominium_id column:', alterErr.message || alterErr);
-                return res.status(500).json({ error: 'Database error', details: message });
-              }
-              console.log('✅ condominium_id column ensured on notifications table; retrying list query');
-              return runNotificationQuery(attempt + 1);
-            });
-          }
-
-          if (message.includes('no such table: admin_message_condominiums')) {
-            console.warn('⚠️ Missing admin_message_condominiums table detected; creating table...');
-            const createSql = `CREATE TABLE IF NOT EXISTS admin_message_condominiums (
-              id INTEGER PRIMARY KEY AUTOINCREMENT,
-              message_id INTEGER NOT NULL,
-              condominium_id INTEGER NOT NULL,
-              FOREIGN KEY (message_id) REFERENCES admin_messages (id) ON DELETE CASCADE,
-              FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE
-            )`;
-            return db.run(createSql, (createErr) => {
-              if (createErr) {
-                console.error('Failed to create admin_message_condominiums table:', createErr.message || createErr);
-                return res.status(500).json({ error: 'Database error', details: message });
-              }
-              console.log('✅ admin_message_condominiums table ensured; retrying notifications list');
-              return runNotificationQuery(attempt + 1);
-            });
-          }
-        }
-
-        return res.status(500).json({ error: 'Database error', details: message });
-      }
-
-      console.log(`   Returning ${rows.length} notifications`);
-      res.json(rows);
-    });
-  };
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      const message = err && err.message ? err.message : String(err);
+      console.error('Error fetching notifications:', message);
+      return res.status(500).json({ error: 'Database error', details: message });
+    }
 
-  runNotificationQuery();
+    console.log(`   Returning ${rows.length} notifications`);
+    res.json(rows);
+  });
 });// Mark a notification as read for a specific admin
 app.put('/api/notifications/:id/read', (req, res) => {
   const notificationId = req.params.id;
-  const adminId = getAdminIdFromReq(req) || req.body.admin_id;
-  const adminPermissions = req.headers['admin-permissions'];
-
-  if (!adminId && !adminPermissions) {
-    return res.status(400).json({ error: 'admin_id or admin-permissions header is required' });
-  }
-
-  // If no admin_id but we have permissions, we can't mark as read for a specific admin
-  // This endpoint requires admin_id to know which admin is marking it as read
-  if (!adminId) {
-    return res.status(400).json({ error: 'admin_id is required to mark notification as read' });
-  }
+  const adminId = getAdminIdFromReq(req);
 
   const sql = 'UPDATE admin_notifications SET read_status = 1 WHERE notification_id = ? AND admin_id = ?';
   db.run(sql, [notificationId, adminId], function(err) {
@@ -5846,16 +5049,7 @@ app.put('/api/notifications/:id/read', (req, res) => {
 
 // Mark all notifications as read for a specific admin
 app.put('/api/notifications/mark-all-read', (req, res) => {
-  const adminId = getAdminIdFromReq(req) || req.body.admin_id;
-  const adminPermissions = req.headers['admin-permissions'];
-
-  if (!adminId && !adminPermissions) {
-    return res.status(400).json({ error: 'admin_id or admin-permissions header is required' });
-  }
-
-  if (!adminId) {
-    return res.status(400).json({ error: 'admin_id is required to mark notifications as read' });
-  }
+  const adminId = getAdminIdFromReq(req);
 
   const sql = 'UPDATE admin_notifications SET read_status = 1 WHERE admin_id = ? AND read_status = 0';
   db.run(sql, [adminId], function(err) {
@@ -5875,7 +5069,6 @@ app.put('/api/notifications/mark-all-read', (req, res) => {
 app.get('/api/notifications/unread-count', (req, res) => {
   try {
     const adminId = getAdminIdFromReq(req);
-    if (!adminId) return res.status(400).json({ error: 'admin_id header is required' });
 
     const allowedCondos = getAdminAllowedCondos(req);
     
@@ -5938,55 +5131,17 @@ app.get('/api/notifications/unread-count', (req, res) => {
     console.log('🔍 Unread count SQL:', sql);
     console.log('🔍 Unread count params:', params);
 
-    const runUnreadQuery = (attempt = 1) => {
-      db.get(sql, params, (err, row) => {
-        if (err) {
-          const message = err && err.message ? err.message : String(err);
-          console.error('Error getting unread count (attempt ' + attempt + '):', message);
-
-          if (attempt === 1) {
-            if (message.includes('no such column:') && message.includes('condominium_id')) {
-              console.warn('⚠️ Missing condominium_id column detected. Attempting on-the-fly migration...');
-              return db.run("ALTER TABLE notifications ADD COLUMN condominium_id INTEGER", (alterErr) => {
-                if (alterErr && !(alterErr.message || '').includes('duplicate column')) {
-                  console.error('Failed to add condominium_id column:', alterErr.message || alterErr);
-                  return res.status(500).json({ error: 'Database error', details: message });
-                }
-                console.log('✅ condominium_id column ensured on notifications table; retrying unread count');
-                return runUnreadQuery(attempt + 1);
-              });
-            }
-
-            if (message.includes('no such table: admin_message_condominiums')) {
-              console.warn('⚠️ Missing admin_message_condominiums table detected. Creating table...');
-              const createSql = `CREATE TABLE IF NOT EXISTS admin_message_condominiums (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                message_id INTEGER NOT NULL,
-                condominium_id INTEGER NOT NULL,
-                FOREIGN KEY (message_id) REFERENCES admin_messages (id) ON DELETE CASCADE,
-                FOREIGN KEY (condominium_id) REFERENCES condominiums (id) ON DELETE CASCADE
-              )`;
-              return db.run(createSql, (createErr) => {
-                if (createErr) {
-                  console.error('Failed to create admin_message_condominiums table:', createErr.message || createErr);
-                  return res.status(500).json({ error: 'Database error', details: message });
-                }
-                console.log('✅ admin_message_condominiums table ensured; retrying unread count');
-                return runUnreadQuery(attempt + 1);
-              });
-            }
-          }
-
-          return res.status(500).json({ error: 'Database error', details: message });
-        }
-
-        const count = row ? row.count : 0;
-        console.log('✅ Unread count:', count);
-        res.json({ count });
-      });
-    };
+    db.get(sql, params, (err, row) => {
+      if (err) {
+        const message = err && err.message ? err.message : String(err);
+        console.error('Error getting unread count:', message);
+        return res.status(500).json({ error: 'Database error', details: message });
+      }
 
-    runUnreadQuery();
+      const count = row ? row.count : 0;
+      console.log('✅ Unread count:', count);
+      res.json({ count });
+    });
   } catch (e) {
     console.error('Error in admin unread-count handler:', e && e.message ? e.message : e);
     res.status(500).json({ error: 'Erro interno do servidor' });
@@ -6035,7 +5190,7 @@ app.get('/api/users/:userId/notifications', (req, res) => {
               SELECT 1 FROM admin_message_condominiums amc
               WHERE amc.message_id = n.related_id
                 AND amc.condominium_id IN (${condoPlaceholders})
-            ))
+            ) AND NOT EXISTS (SELECT 1 FROM admin_message_recipients amr WHERE amr.message_id = n.related_id))
             OR (n.type IN ('document', 'assembleia') AND n.condominium_id IN (${condoPlaceholders}))
           )
       `;
@@ -6065,20 +5220,23 @@ app.get('/api/users/:userId/notifications', (req, res) => {
             )
             WHEN n.type = 'document' THEN n.condominium_id
             WHEN n.type = 'assembleia' THEN n.condominium_id
+            WHEN n.type = 'arrears' THEN n.condominium_id
           END as condominium_id,
           COALESCE(un.read_status, 0) as read_status
         FROM notifications n
         LEFT JOIN user_notifications un ON n.id = un.notification_id AND un.user_id = ?
-        WHERE n.type IN ('admin_message', 'document', 'assembleia')
+        WHERE n.type IN ('admin_message', 'document', 'assembleia', 'arrears')
           AND (
             -- For admin messages: check if sent to user's condominiums
             (n.type = 'admin_message' AND EXISTS (
               SELECT 1 FROM admin_message_condominiums amc 
               WHERE amc.message_id = n.related_id 
               AND amc.condominium_id IN (${condoIds.map(() => '?').join(',')})
-            ))
+            ) AND ${ADDRESSED_TO_USER('n.related_id', 'un.user_id')})
             -- For documents and assembleias: direct condominium_id match
             OR (n.type IN ('document', 'assembleia') AND n.condominium_id IN (${condoIds.map(() => '?').join(',')}))
+            -- Payment reminders (arrears.js) are personal: only those linked to the user
+            OR (n.type = 'arrears' AND un.id IS NOT NULL)
           )
         ORDER BY n.created_at DESC
         LIMIT 100
@@ -6237,56 +5395,14 @@ app.post('/api/reclamacoes', async (req, res) => {
         `${user_name} enviou uma reclamação: ${message}`,
         messageId,
         condoToSet
-      ], (err) => {
+      ], function(err) {
         if (err) reject(err);
         else resolve(this.lastID);
       });
     });
 
-    // Link notification to appropriate admins based on their permissions (scope/full vs limited)
-    const admins = await new Promise((resolve, reject) => {
-      db.all('SELECT id, username, scope, allowed_condominiums FROM admins', [], (err, rows) => {
-        if (err) return reject(err);
-        resolve(rows || []);
-      });
-    });
-
-    const linkSql = `INSERT OR IGNORE INTO admin_notifications (admin_id, notification_id, read_status, created_at) VALUES (?, ?, 0, CURRENT_TIMESTAMP)`;
-
-    await Promise.all(admins.map(admin => new Promise((resolve, reject) => {
-      try {
-        let allow = true;
-        if (admin.scope && admin.scope === 'limited') {
-          try {
-            const allowed = normalizeAllowedCondominiums(admin.allowed_condominiums);
-            console.log(`🔍 Admin ${admin.username} allowed_condominiums normalized:`, allowed);
-            if (!Array.isArray(allowed) || allowed.length === 0) {
-              allow = false;
-            } else if (targetCondoIds.length > 0) {
-              const numericTargets = targetCondoIds.map(x => Number(x));
-              console.log('   targetCondoIds (numeric):', numericTargets);
-              allow = numericTargets.some(id => allowed.includes(Number(id)));
-            } else {
-              allow = false;
-            }
-          } catch (e) {
-            console.warn('Could not parse allowed_condominiums for admin', admin.id, e);
-            allow = false;
-          }
-        }
-
-        if (allow) {
-          db.run(linkSql, [admin.id, notificationId], (err) => {
-            if (err) return reject(err);
-            resolve();
-          });
-        } else {
-          resolve();
-        }
-      } catch (err) {
-        reject(err);
-      }
-    })));
+    // Link notification to the admins holding messages.read for the condominium
+    await linkNotificationToAdminsByCondominiums(notificationId, targetCondoIds, 'messages.read');
 
     res.json({ message: 'Reclamação enviada com sucesso' });
   } catch (error) {
@@ -6319,27 +5435,6 @@ app.post('/api/pedidos', async (req, res) => {
       });
     });
 
-    // Create notification for admins
-    const notificationSql = `
-      INSERT INTO notifications (type, user_id, user_name, title, message, related_id, condominium_id, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-    `;
-
-    const notificationId = await new Promise((resolve, reject) => {
-      db.run(notificationSql, [
-        'pedido',
-        user_id,
-        user_name,
-        `Novo Pedido: ${subject}`,
-        `${user_name} enviou um pedido: ${message}`,
-        messageId,
-        condoPrimary
-      ], (err) => {
-        if (err) reject(err);
-        else resolve(this.lastID);
-      });
-    });
-
     // Determine condominium IDs related to this pedido and compute primary condo
     let condoIds = [];
     let condoPrimary = null;
@@ -6358,64 +5453,38 @@ app.post('/api/pedidos', async (req, res) => {
         if (condoIds.length > 0) condoPrimary = condoIds[0];
       }
     } catch (uErr) {
-      console.warn('Could not determine condo for pedido notification', notificationId, uErr && uErr.message);
+      console.warn('Could not determine condo for pedido notification', uErr && uErr.message);
     }
 
-    // Update admin linking logic to use condoPrimary/condoIds when filtering limited admins
-
-    // Link notification to appropriate admins based on condominium
-    console.log(`🔗 Linking pedido notification ${notificationId} for condominium ${condominium_id}...`);
+    // Create notification for admins
+    const notificationSql = `
+      INSERT INTO notifications (type, user_id, user_name, title, message, related_id, condominium_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `;
 
-    // Get all admins and their permissions  
-    const adminsSql = 'SELECT id, username, scope, allowed_condominiums FROM admins';
-    const admins = await new Promise((resolve, reject) => {
-      db.all(adminsSql, [], (err, rows) => {
-        if (err) return reject(err);
-        resolve(rows || []);
+    const notificationId = await new Promise((resolve, reject) => {
+      db.run(notificationSql, [
+        'pedido',
+        user_id,
+        user_name,
+        `Novo Pedido: ${subject}`,
+        `${user_name} enviou um pedido: ${message}`,
+        messageId,
+        condoPrimary
+      ], function(err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
       });
     });
 
-    const adminLinksToCreate = [];
-
-    // Determine which admins should receive this notification
-    for (const admin of admins) {
-      if (admin.scope === 'full') {
-        // Full access admin - should receive all notifications
-        adminLinksToCreate.push(admin.id);
-        console.log(`👮 Admin ${admin.username} (full) should receive pedido notification`);
-      } else if (admin.scope === 'limited') {
-        try {
-          const allowedCondos = normalizeAllowedCondominiums(admin.allowed_condominiums);
-          if (allowedCondos.includes(Number(condominium_id))) {
-            adminLinksToCreate.push(admin.id);
-            console.log(`👮 Admin ${admin.username} (limited) should receive pedido notification for condo ${condominium_id}`);
-          } else {
-            console.log(`👮 Admin ${admin.username} (limited) should NOT receive pedido notification - no access to condo ${condominium_id}`);
-          }
-        } catch (parseErr) {
-          console.error(`Error parsing allowed_condominiums for admin ${admin.username}:`, parseErr);
-        }
-      }
-    }
+    // Link notification to the admins holding messages.read for the condominium
+    console.log(`🔗 Linking pedido notification ${notificationId} for condominiums ${condoIds}...`);
 
-    // Create admin_notifications links
-    if (adminLinksToCreate.length > 0) {
-      const linkSql = `INSERT OR IGNORE INTO admin_notifications (admin_id, notification_id, read_status, created_at) VALUES (?, ?, 0, CURRENT_TIMESTAMP)`;
-      await Promise.all(adminLinksToCreate.map(adminId => new Promise((resolve, reject) => {
-        db.run(linkSql, [adminId, notificationId], (err) => {
-          if (err) {
-            console.error(`Error linking pedido notification ${notificationId} to admin ${adminId}:`, err.message);
-            reject(err);
-          } else {
-            console.log(`✅ Linked pedido notification ${notificationId} to admin ${adminId}`);
-            resolve();
-          }
-        });
-      })));
-      console.log(`✅ Successfully linked pedido notification to ${adminLinksToCreate.length} admin(s)`);
+    const { adminIds } = await linkNotificationToAdminsByCondominiums(notificationId, condoIds, 'messages.read');
+    if (adminIds.length > 0) {
+      console.log(`✅ Successfully linked pedido notification to ${adminIds.length} admin(s)`);
       try {
-        for (let i = 0; i < adminLinksToCreate.length; i++) {
-          const aid = adminLinksToCreate[i];
+        for (const aid of adminIds) {
           sendSseToAdmin(aid, 'notification_created', { notification_id: notificationId, type: 'pedido', user_id, user_name, subject });
         }
       } catch (e) {
@@ -6434,6 +5503,17 @@ app.post('/api/pedidos', async (req, res) => {
 
 // ====== DELETE ENDPOINTS ======
 
+// [table, column] pairs whose rows keep a resident from being deleted
+const USER_RECORD_COLUMNS = [
+  ['payments', 'user_id'],
+  ['receipts', 'user_id'],
+  ['debt_declarations', 'requested_by'],
+  ['assembleia_evotes', 'user_id'],
+  ['reserve_fund_movements', 'user_id'],
+  ['bank_transactions', 'user_id'],
+  ['sepa_mandates', 'user_id']
+];
+
 // Delete user
 app.delete('/api/users/:id', async (req, res) => {
   const { id } = req.params;
@@ -6451,7 +5531,20 @@ app.delete('/api/users/:id', async (req, res) => {
       return res.status(404).json({ error: 'Utilizador não encontrado' });
     }
 
+    // Payments, documents and votes keep naming the user
+    const counts = USER_RECORD_COLUMNS.map(([t, c]) => `(SELECT COUNT(*) FROM ${t} WHERE ${c} = ?)`).join(' + ');
+    const referenced = await new Promise((resolve, reject) => {
+      db.get(`SELECT ${counts} AS n`, USER_RECORD_COLUMNS.map(() => id), (err, row) => {
+        if (err) reject(err);
+        else resolve(row.n > 0);
+      });
+    });
+    if (referenced) {
+      return res.status(409).json({ error: 'Este utilizador consta de movimentos financeiros ou votações e não pode ser eliminado' });
+    }
+
     // Delete user relationships first
+    await fracoes.unlinkResident(id);
     await new Promise((resolve, reject) => {
       db.run('DELETE FROM user_condominiums WHERE user_id = ?', [id], (err) => {
         if (err) reject(err);
@@ -6474,6 +5567,7 @@ app.delete('/api/users/:id', async (req, res) => {
         else resolve();
       });
     });
+    await sessions.revokeActorSessions('resident', Number(id));
 
     // Create notification
     const notificationSql = `
@@ -6572,52 +5666,18 @@ app.post('/api/messages', (req, res) => {
         const notificationId = this.lastID;
         console.log(`✅ Notification ${notificationId} created for new ${notificationType} from user ${user.nome}`);
 
-        // Link to admins based on permissions
-        db.all('SELECT id, username, scope, allowed_condominiums FROM admins', [], (adminErr, admins) => {
-          if (adminErr) {
-            console.error('Error getting admins for notification linking:', adminErr.message);
-            return res.status(201).json({ success: true, message: 'Mensagem enviada com sucesso, mas ocorreu um erro ao obter os administradores.', messageId });
-          }
-
-          const adminLinksToCreate = [];
-          for (const admin of (admins || [])) {
-            if (admin.scope === 'full') {
-              adminLinksToCreate.push(admin.id);
-            } else if (admin.scope === 'limited' && admin.allowed_condominiums) {
-              try {
-                let allowed = admin.allowed_condominiums;
-                if (typeof allowed === 'string') {
-                  try { allowed = JSON.parse(allowed); } catch (e) { allowed = []; }
-                }
-                allowed = (Array.isArray(allowed) ? allowed.map(x => Number(x)) : []);
-                const numericTargets = condoIds.map(x => Number(x));
-                if (numericTargets.some(id => allowed.includes(id))) adminLinksToCreate.push(admin.id);
-              } catch (e) {
-                console.warn('Error parsing allowed_condominiums for admin', admin.id, e);
-              }
-            }
-          }
-
-          if (adminLinksToCreate.length === 0) {
+        // Link to the admins holding messages.read for the condominium
+        linkNotificationToAdminsByCondominiums(notificationId, condoIds, 'messages.read').then(({ linkedCount, adminIds }) => {
+          if (adminIds.length === 0) {
             return res.status(201).json({ success: true, message: 'Mensagem enviada com sucesso, mas nenhum administrador foi encontrado para receber a notificação.', messageId });
           }
-
-          const linkSql = `INSERT OR IGNORE INTO admin_notifications (admin_id, notification_id, read_status, created_at) VALUES (?, ?, 0, CURRENT_TIMESTAMP)`;
-          const linkPromises = adminLinksToCreate.map(aid => new Promise((resolve) => {
-            db.run(linkSql, [aid, notificationId], (err) => {
-              if (err) return resolve({ ok: false, id: aid });
-              try { sendSseToAdmin(aid, 'notification_created', { notification_id: notificationId, type: notificationType, user_id: userId, user_name: user.nome, subject }); } catch (e) { /* ignore */ }
-              return resolve({ ok: true, id: aid });
-            });
-          }));
-
-          Promise.all(linkPromises).then(results => {
-            const linked = results.filter(r => r.ok).length;
-            return res.status(201).json({ success: true, message: `Mensagem enviada com sucesso e notificação enviada para ${linked} administrador(es)!`, messageId });
-          }).catch(e => {
-            console.error('Error linking notifications to admins:', e);
-            return res.status(201).json({ success: true, message: 'Mensagem enviada com sucesso, mas ocorreu um erro ao ligar a notificação aos administradores.', messageId });
-          });
+          for (const aid of adminIds) {
+            try { sendSseToAdmin(aid, 'notification_created', { notification_id: notificationId, type: notificationType, user_id: userId, user_name: user.nome, subject }); } catch (e) { /* ignore */ }
+          }
+          return res.status(201).json({ success: true, message: `Mensagem enviada com sucesso e notificação enviada para ${linkedCount} administrador(es)!`, messageId });
+        }).catch(e => {
+          console.error('Error linking notifications to admins:', e);
+          return res.status(201).json({ success: true, message: 'Mensagem enviada com sucesso, mas ocorreu um erro ao ligar a notificação aos administradores.', messageId });
         });
       });
     });
@@ -6728,11 +5788,13 @@ app.delete('/api/messages/:id', (req, res) => {
     res.json({ message: 'Message deleted successfully' });
   });
 });
-// Start server (works for local dev and cPanel Passenger)
-if (require.main === module) {
+// Start server (works for local dev and cPanel Passenger); called once the schema is current
+function startServer() {
+  if (require.main !== module) return;
   app.listen(PORT, () => {
     console.log(`✅ Server is running on port ${PORT}`);
   });
+  arrears.schedule();
 }
 
 // Export app for environments (e.g., Passenger) that import the Express app
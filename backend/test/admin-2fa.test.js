@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcrypt');
+const totp = require('../totp');
+const { startApp } = require('./helpers');
+
+test('TOTP codes follow RFC 6238', () => {
+  // RFC 6238 appendix B, SHA-1 key "12345678901234567890", truncated to 6 digits
+  const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+  assert.strictEqual(secret, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.strictEqual(totp.verify(secret, '287082', 0, 59 * 1000), 1);
+  assert.strictEqual(totp.verify(secret, '081804', 0, 1111111109 * 1000), 37037036);
+  // One step of drift either side, no more
+  assert.strictEqual(totp.verify(secret, '287082', 1, 89 * 1000), 1);
+  assert.strictEqual(totp.verify(secret, '287082', 1, 119 * 1000), null);
+  assert.strictEqual(totp.verify(secret, 'abcdef'), null);
+});
+
+test('admin two-factor login', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+
+  await q.run("INSERT INTO admins (id, username, password, scope, must_change_password) VALUES (20, 'gestor', ?, 'full', 0)", [await bcrypt.hash('segredo-forte', 4)]);
+  const login = (body) => app.request('POST', '/api/admin/login', { body });
+  const skipDelay = () => q.run("UPDATE login_lockouts SET next_attempt_at = datetime('now', '-1 second')");
+  let secret;
+  let step;
+  let recoveryCodes;
+
+  await t.test('enrolment needs a code from the new secret and ends the other sessions', async () => {
+    const other = (await login({ username: 'gestor', password: 'segredo-forte' })).body.token;
+    const token = (await login({ username: 'gestor', password: 'segredo-forte' })).body.token;
+    secret = (await app.request('POST', '/api/admin/2fa/setup', { token })).body.secret;
+
+    // A code from outside the drift window
+    const wrong = await app.request('POST', '/api/admin/2fa/enable', { token, body: { code: totp.hotp(secret, totp.currentStep() + 5) } });
+    assert.strictEqual(wrong.status, 400);
+
+    step = totp.currentStep();
+    const enabled = await app.request('POST', '/api/admin/2fa/enable', { token, body: { code: totp.hotp(secret, step) } });
+    assert.strictEqual(enabled.status, 200);
+    recoveryCodes = enabled.body.recovery_codes;
+    assert.strictEqual(recoveryCodes.length, 10);
+    assert.strictEqual((await app.request('GET', '/api/admin/2fa', { token })).body.enabled, true);
+    assert.strictEqual((await app.request('GET', '/api/admin/2fa', { token: other })).status, 401);
+  });
+
+  await t.test('the password alone only yields a challenge', async () => {
+    const first = await login({ username: 'gestor', password: 'segredo-forte' });
+    assert.strictEqual(first.body.two_factor_required, true);
+    assert.strictEqual(first.body.token, undefined);
+
+    // The code used to enrol cannot be replayed
+    await skipDelay();
+    const replay = await login({ challenge_token: first.body.challenge_token, code: totp.hotp(secret, step) });
+    assert.strictEqual(replay.status, 401);
+    assert.strictEqual(replay.body.code, 'TWO_FACTOR_INVALID');
+
+    await skipDelay();
+    const signed = await login({ challenge_token: first.body.challenge_token, code: totp.hotp(secret, step + 1) });
+    assert.strictEqual(signed.status, 200);
+    assert.ok(signed.body.token);
+    assert.strictEqual(signed.body.two_factor_method, 'totp');
+
+    // The challenge is spent
+    await skipDelay();
+    const again = await login({ challenge_token: first.body.challenge_token, code: totp.hotp(secret, step + 1) });
+    assert.strictEqual(again.body.code, 'TWO_FACTOR_CHALLENGE_INVALID');
+  });
+
+  await t.test('a recovery code works once', async () => {
+    const use = async () => {
+      await skipDelay();
+      const challenge = (await login({ username: 'gestor', password: 'segredo-forte' })).body.challenge_token;
+      await skipDelay();
+      return login({ challenge_token: challenge, recovery_code: recoveryCodes[0].toUpperCase() });
+    };
+    const first = await use();
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.body.two_factor_method, 'recovery_code');
+    assert.strictEqual((await use()).status, 401);
+    assert.strictEqual((await app.request('GET', '/api/admin/2fa', { token: first.body.token })).body.recovery_codes_remaining, 9);
+  });
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { openDatabase, startApp } = require('./helpers');
+
+test('admin role assignments', async (t) => {
+  const { db, dbPath, q, close } = await openDatabase();
+  t.after(close);
+  const adminRoles = require('../admin-roles')(db, { transaction: require('../transactions')(dbPath) });
+
+  await t.test('legacy scopes become assignments; only a full-scope admin is made main admin', async () => {
+    await q.run(`INSERT INTO admins (id, username, password, scope, allowed_condominiums)
+                 VALUES (1, 'admin', 'x', 'limited', '[2]'), (2, 'gestor', 'x', 'limited', '[1, 3]')`);
+    await adminRoles.migrateLegacyAdmins();
+    // The `admin` account was limited: nobody is promoted
+    assert.deepStrictEqual(await adminRoles.mainAdminIds(), []);
+    assert.deepStrictEqual((await adminRoles.grantsOf(2)).map(g => [g.role, g.condominiumId]), [['administrator', 1], ['administrator', 3]]);
+
+    await q.run("INSERT INTO admins (id, username, password, scope) VALUES (3, 'geral', 'x', 'full')");
+    await adminRoles.migrateLegacyAdmins();
+    assert.deepStrictEqual(await adminRoles.mainAdminIds(), [3]);
+  });
+
+  await t.test('assignments are replaced as a whole and keep the scope summary in step', async () => {
+    assert.deepStrictEqual(await adminRoles.setAssignments(2, [{ role: 'secretary', condominium_id: 3 }]), {});
+    assert.deepStrictEqual((await adminRoles.grantsOf(2)).map(g => [g.role, g.condominiumId]), [['secretary', 3]]);
+    const row = await q.get('SELECT scope, allowed_condominiums FROM admins WHERE id = 2');
+    assert.deepStrictEqual({ ...row }, { scope: 'limited', allowed_condominiums: '[3]' });
+
+    assert.strictEqual((await adminRoles.setAssignments(2, [{ role: 'nope', condominium_id: null }])).status, 400);
+    assert.strictEqual((await adminRoles.setAssignments(2, [{ role: 'main_admin', condominium_id: 3 }])).status, 400);
+  });
+
+  await t.test('two main admins stepping down at once leave one', async () => {
+    await adminRoles.setAssignments(2, [{ role: 'main_admin', condominium_id: null }]);
+    assert.deepStrictEqual(await adminRoles.mainAdminIds(), [2, 3]);
+    const results = await Promise.all([adminRoles.setAssignments(2, []), adminRoles.setAssignments(3, [])]);
+    assert.strictEqual(results.filter(r => r.error).length, 1);
+    assert.strictEqual((await adminRoles.mainAdminIds()).length, 1);
+  });
+
+  await t.test('recipients of a notification hold its permission for the condominium', async () => {
+    await q.run("INSERT INTO admins (id, username, password) VALUES (10, 'secretaria', 'x'), (11, 'contas', 'x'), (12, 'auditoria', 'x')");
+    await adminRoles.setAssignments(10, [{ role: 'secretary', condominium_id: 1 }]);
+    await adminRoles.setAssignments(11, [{ role: 'accountant', condominium_id: 1 }]);
+    await adminRoles.setAssignments(12, [{ role: 'auditor', condominium_id: null }]);
+    const main = await adminRoles.mainAdminIds();
+    const ids = (...list) => [...new Set([...main, ...list])].sort((a, b) => a - b);
+    assert.deepStrictEqual(await adminRoles.adminsWith('messages.read', [1]), ids(10, 12));
+    assert.deepStrictEqual(await adminRoles.adminsWith('finance.read', [1]), ids(11, 12));
+    // `admin` (1) administers condominium 2
+    assert.deepStrictEqual(await adminRoles.adminsWith('messages.read', [2]), ids(1, 12));
+  });
+});
+
+test('admin notifications and the audit viewer follow role grants', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+  const adminRoles = require('../admin-roles')(app.db, { transaction: require('../transactions')(app.dbPath) });
+
+  await q.run("INSERT INTO condominiums (id, name) VALUES (1, 'Edifício A'), (2, 'Edifício B')");
+  await q.run("INSERT INTO users (id, nome, nif, password, must_change_password) VALUES (7, 'Ana', '123456789', 'x', 0)");
+  await q.run("INSERT INTO user_condominiums (user_id, condominium_id, apartment) VALUES (7, 1, 'A')");
+  await q.run(`INSERT INTO admins (id, username, password, must_change_password)
+               VALUES (10, 'secretaria', 'x', 0), (11, 'contas', 'x', 0), (12, 'outro', 'x', 0)`);
+  await adminRoles.setAssignments(10, [{ role: 'secretary', condominium_id: 1 }]);
+  await adminRoles.setAssignments(11, [{ role: 'accountant', condominium_id: 1 }]);
+  await adminRoles.setAssignments(12, [{ role: 'administrator', condominium_id: 2 }]);
+  // A stale legacy scope no longer decides anything
+  await q.run("UPDATE admins SET scope = 'full', allowed_condominiums = NULL WHERE id IN (11, 12)");
+  const main = await q.get("SELECT id FROM admins WHERE username = 'admin'");
+
+  await t.test('a complaint reaches the admins with messages.read for the condominium', async () => {
+    const res = await app.request('POST', '/api/reclamacoes', {
+      token: await app.sessionFor('resident', 7),
+      body: { user_id: 7, user_name: 'Ana', subject: 'Ruído', message: 'Obras à noite', condominium_id: 1 }
+    });
+    assert.strictEqual(res.status, 200);
+    const notification = await q.get("SELECT id FROM notifications WHERE type = 'reclamacao'");
+    const recipients = await q.all('SELECT admin_id FROM admin_notifications WHERE notification_id = ? ORDER BY admin_id', [notification.id]);
+    assert.deepStrictEqual(recipients.map(r => r.admin_id), [main.id, 10].sort((a, b) => a - b));
+  });
+
+  await t.test('so does a request', async () => {
+    const res = await app.request('POST', '/api/pedidos', {
+      token: await app.sessionFor('resident', 7),
+      body: { user_id: 7, user_name: 'Ana', subject: 'Chave', message: 'Cópia da chave da garagem', condominium_id: 1 }
+    });
+    assert.strictEqual(res.status, 200);
+    const notification = await q.get("SELECT id, condominium_id FROM notifications WHERE type = 'pedido'");
+    assert.strictEqual(notification.condominium_id, 1);
+    const recipients = await q.all('SELECT admin_id FROM admin_notifications WHERE notification_id = ? ORDER BY admin_id', [notification.id]);
+    assert.deepStrictEqual(recipients.map(r => r.admin_id), [main.id, 10].sort((a, b) => a - b));
+  });
+
+  await t.test('the audit log shows an admin the entries of the condominiums of audit.read only', async () => {
+    await q.run("INSERT INTO admin_roles (name, label, permissions) VALUES ('audit_b', 'Auditoria B', '[\"audit.read\"]')");
+    await adminRoles.setAssignments(12, [{ role: 'audit_b', condominium_id: 2 }]);
+    await q.run("INSERT INTO audit_log (action, condominium_ids) VALUES ('PUT a', ',1,'), ('PUT b', ',2,'), ('PUT global', NULL)");
+    const res = await app.request('GET', '/api/admin/audit-log', { token: await app.sessionFor('admin', 12) });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.entries.map(e => e.action), ['PUT b']);
+    const denied = await app.request('GET', '/api/admin/audit-log', { token: await app.sessionFor('admin', 10) });
+    assert.strictEqual(denied.status, 403);
+  });
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+const mailer = require('../mailer');
+
+const inDays = (n) => new Date(Date.now() + n * 86400000).toISOString().slice(0, 10);
+
+test('arrears follow-up', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+
+  const inbox = [];
+  mailer.setTransport({ sendMail: async (message) => { inbox.push(message); return { messageId: `sink-${inbox.length}` }; } });
+  t.after(() => mailer.setTransport(null));
+
+  const admin = await q.get("SELECT id FROM admins WHERE username = 'admin'");
+  await q.run('UPDATE admins SET must_change_password = 0 WHERE id = ?', [admin.id]);
+  const token = await app.sessionFor('admin', admin.id);
+  const call = (method, urlPath, body) => app.request(method, urlPath, { token, body });
+  const isPdf = (res) => res.status === 200 && res.headers.get('content-type') === 'application/pdf' && /^%PDF/.test(res.body);
+
+  await q.run("INSERT INTO condominiums (id, name) VALUES (1, 'Edifício A'), (2, 'Edifício B')");
+  await q.run(`INSERT INTO users (id, nome, nif, email1, permite_email, password, must_change_password) VALUES
+    (7, 'Ana', '100000001', 'ana@example.com', 'Sim', 'x', 0), (8, 'Bruno', '100000002', 'bruno@example.com', 'Sim', 'x', 0),
+    (9, 'Carla', '100000003', 'carla@example.com', 'Não', 'x', 0)`);
+  await q.run("INSERT INTO fracoes (id, condominium_id, identifier, permilagem) VALUES (1, 1, 'A', 500), (2, 1, 'B', 300), (3, 1, 'C', 200), (4, 2, 'A', 1000)");
+  await q.run("INSERT INTO fracao_residents (fracao_id, user_id, role) VALUES (1, 7, 'owner'), (2, 8, 'owner'), (3, 9, 'owner')");
+  // A is 100 days late, B 20 days; C paid on time and its next quota is not due yet
+  for (const [fracaoId, amount, due] of [[1, 365, -100], [1, 50, 10], [2, '36,5', -20], [3, 50, -20]]) {
+    await call('POST', `/api/fracoes/${fracaoId}/charges`, { description: 'Quota', amount, issue_date: inDays(due - 30), due_date: inDays(due) });
+  }
+  await call('POST', '/api/fracoes/3/payments', { amount: 50, paid_at: inDays(-25), user_id: 9 });
+
+  await t.test('the schedule is validated and kept increasing', async () => {
+    const settings = (body) => call('PUT', '/api/condominiums/1/arrears-settings', body);
+    assert.strictEqual((await settings({ interest_rate: 25 })).status, 400);
+    assert.strictEqual((await settings({ reminder_days: 0 })).status, 400);
+    assert.strictEqual((await settings({ second_notice_days: 10 })).status, 400);
+    assert.strictEqual((await call('PUT', '/api/condominiums/9/arrears-settings', {})).status, 404);
+
+    const saved = await settings({ interest_rate: '4,0', second_notice_days: 60, auto_reminders: true });
+    assert.strictEqual(saved.status, 200);
+    assert.deepStrictEqual(saved.body.settings, { interest_rate: 4, reminder_days: 15, second_notice_days: 60, letter_days: 90, auto_reminders: true });
+  });
+
+  await t.test('debtors carry simple daily interest and their aging', async () => {
+    assert.strictEqual((await call('GET', '/api/condominiums/1/debtors?as_of=2026-13-01')).status, 400);
+    const list = (await call('GET', '/api/condominiums/1/debtors')).body;
+    // 365 € at 4% for 100 days is 4 €; 36,50 € for 20 days is 8 cents
+    assert.deepStrictEqual(
+      list.debtors.map(d => [d.identifier, d.owed, d.interest, d.total, d.days_overdue, d.stage, d.pending, d.billed_to.map(b => b.nome)]),
+      [['A', 365, 4, 369, 100, 'formal_letter', 'formal_letter', ['Ana']], ['B', 36.5, 0.08, 36.58, 20, 'reminder', 'reminder', ['Bruno']]]
+    );
+    assert.deepStrictEqual(list.totals, { owed: 401.5, interest: 4.08, aging: { days_0_30: 36.5, days_31_60: 0, days_61_90: 0, days_over_90: 365 } });
+
+    // Sixty days ago only A was late, and for 40 days
+    const before = (await call('GET', `/api/condominiums/1/debtors?as_of=${inDays(-60)}`)).body;
+    assert.deepStrictEqual(before.debtors.map(d => [d.identifier, d.days_overdue, d.stage]), [['A', 40, 'reminder']]);
+  });
+
+  let reminderId;
+  await t.test('reminders go once per stage to whoever the unit is billed to', async () => {
+    const run = (body) => call('POST', '/api/condominiums/1/arrears/reminders', body);
+    assert.strictEqual((await run({ fracao_ids: 2 })).status, 400);
+
+    const dry = (await run({ dry_run: true })).body;
+    assert.deepStrictEqual([dry.sent.map(s => [s.identifier, s.type]), dry.letters_due.map(s => s.identifier)], [[['B', 'reminder']], ['A']]);
+    assert.strictEqual((await q.get('SELECT COUNT(*) AS n FROM arrears_actions')).n, 0);
+
+    const sent = (await run({})).body;
+    assert.deepStrictEqual(sent.sent.map(s => [s.identifier, s.recipients, s.notified_count, s.emailed_count]), [['B', ['Bruno'], 1, 1]]);
+    assert.deepStrictEqual(inbox.map(m => [m.to, m.subject]), [['bruno@example.com', 'Edifício A - Lembrete de pagamento — fração B']]);
+    const linked = await q.all("SELECT un.user_id FROM user_notifications un JOIN notifications n ON n.id = un.notification_id WHERE n.type = 'arrears'");
+    assert.deepStrictEqual(linked.map(l => l.user_id), [8]);
+    reminderId = (await q.get("SELECT id FROM arrears_actions WHERE type = 'reminder'")).id;
+
+    assert.deepStrictEqual((await run({})).body.sent, []);
+  });
+
+  let letterId;
+  await t.test('formal letters are issued by an admin as PDFs', async () => {
+    const letters = (body) => call('POST', '/api/condominiums/1/arrears/letters', body);
+    assert.strictEqual((await letters({ fracao_ids: [3] })).status, 404);
+
+    const issued = await letters({});
+    assert.ok(isPdf(issued));
+    const letter = await q.get("SELECT * FROM arrears_actions WHERE type = 'formal_letter'");
+    letterId = letter.id;
+    assert.deepStrictEqual([letter.fracao_id, letter.owed_cents, letter.interest_cents, letter.notified_count, letter.emailed_count], [1, 36500, 400, 1, 1]);
+    const mail = inbox[inbox.length - 1];
+    assert.deepStrictEqual([mail.to, mail.attachments.map(a => a.filename)], ['ana@example.com', ['interpelacao-A.pdf']]);
+    assert.strictEqual((await letters({})).status, 404);
+
+    assert.ok(isPdf(await call('GET', `/api/arrears-actions/${letterId}/letter/pdf`)));
+    assert.strictEqual((await call('GET', `/api/arrears-actions/${reminderId}/letter/pdf`)).status, 404);
+    const unit = (await call('GET', '/api/fracoes/1/arrears')).body;
+    assert.deepStrictEqual([unit.payment_reference, unit.last_sent, unit.pending, unit.actions.map(a => a.type)], ['C1F1', 'formal_letter', null, ['formal_letter']]);
+  });
+
+  await t.test('calls, notes and promises are logged by hand', async () => {
+    const log = (body) => call('POST', '/api/fracoes/2/arrears/actions', body);
+    assert.strictEqual((await log({ type: 'reminder', notes: 'Enviado' })).status, 400);
+    assert.strictEqual((await log({ type: 'phone_call', notes: ' ' })).status, 400);
+    assert.strictEqual((await log({ type: 'payment_promise', promised_date: '31/12/2026' })).status, 400);
+    assert.strictEqual((await call('POST', '/api/fracoes/99/arrears/actions', { type: 'note', notes: 'x' })).status, 404);
+
+    const promise = await log({ type: 'payment_promise', promised_date: inDays(7) });
+    assert.strictEqual(promise.status, 201);
+    const action = promise.body.action;
+    assert.deepStrictEqual([action.label, action.owed, action.promised_date, action.created_by_username], ['Promessa de pagamento', 36.5, inDays(7), 'admin']);
+
+    assert.strictEqual((await call('DELETE', `/api/arrears-actions/${reminderId}`)).status, 409);
+    assert.strictEqual((await call('DELETE', `/api/arrears-actions/${action.id}`)).status, 200);
+    assert.strictEqual((await call('DELETE', `/api/arrears-actions/${action.id}`)).status, 404);
+  });
+
+  await t.test('a paid debt leaves the debtor list', async () => {
+    await call('POST', '/api/fracoes/2/payments', { amount: 36.5, user_id: 8 });
+    assert.deepStrictEqual((await call('GET', '/api/condominiums/1/debtors')).body.debtors.map(d => d.identifier), ['A']);
+  });
+
+  await t.test('follow-up keeps its condominium from being deleted', async () => {
+    const note = await call('POST', '/api/fracoes/4/arrears/actions', { type: 'note', notes: 'Sem dívidas' });
+    assert.strictEqual(note.status, 201);
+    assert.strictEqual((await call('DELETE', '/api/condominiums/2')).status, 409);
+    await call('DELETE', `/api/arrears-actions/${note.body.action.id}`);
+    assert.strictEqual((await call('DELETE', '/api/condominiums/2')).status, 200);
+  });
+});
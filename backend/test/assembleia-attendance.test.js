@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+test('assembleia attendance and quorum', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+
+  const admin = await q.get("SELECT id FROM admins WHERE username = 'admin'");
+  await q.run('UPDATE admins SET must_change_password = 0 WHERE id = ?', [admin.id]);
+  const token = await app.sessionFor('admin', admin.id);
+  const call = (method, urlPath, body) => app.request(method, urlPath, { token, body });
+  const register = async (fracaoId, fields, file) => {
+    const form = new FormData();
+    for (const [name, value] of Object.entries(fields)) form.append(name, value);
+    if (file) form.append('procuracao', new Blob([file.text], { type: file.type }), file.name);
+    const res = await fetch(`${app.base}/api/assembleias/1/attendance/${fracaoId}`, { method: 'PUT', headers: { authorization: `Bearer ${token}` }, body: form });
+    return { status: res.status, body: await res.json() };
+  };
+  const procuracao = { text: '%PDF-1.4 procuração', type: 'application/pdf', name: 'procuracao-B.pdf' };
+
+  await q.run("INSERT INTO condominiums (id, name) VALUES (1, 'Edifício A'), (2, 'Edifício B')");
+  await q.run("INSERT INTO users (id, nome, nif, password, must_change_password) VALUES (7, 'Ana', '100000001', 'x', 0), (8, 'Bruno', '100000002', 'x', 0)");
+  await q.run(`INSERT INTO fracoes (id, condominium_id, identifier, permilagem) VALUES
+    (1, 1, 'A', 400), (2, 1, 'B', 300), (3, 1, 'C', 200), (4, 1, 'D', 100), (5, 1, 'E', NULL), (6, 2, 'A', 1000)`);
+  await q.run("INSERT INTO fracao_residents (fracao_id, user_id, role) VALUES (1, 7, 'owner'), (2, 8, 'owner')");
+  await q.run("INSERT INTO assembleias (id, condominium_id, title, date, time, location) VALUES (1, 1, 'Assembleia ordinária', '2026-03-01', '18:00', 'Hall')");
+  await q.run("INSERT INTO assembleia_agenda_items (id, assembleia_id, position, title, majority) VALUES (1, 1, 1, 'Obras', 'simple')");
+
+  await t.test('every unit starts absent', async () => {
+    const { units, quorum } = (await call('GET', '/api/assembleias/1/attendance')).body;
+    assert.deepStrictEqual(units.map(u => [u.identifier, u.status, u.registered, u.owners.map(o => o.nome)]), [
+      ['A', 'absent', false, ['Ana']], ['B', 'absent', false, ['Bruno']], ['C', 'absent', false, []], ['D', 'absent', false, []], ['E', 'absent', false, []]
+    ]);
+    assert.deepStrictEqual([quorum.total_permilagem, quorum.attending_permilagem, quorum.units_absent, quorum.units_without_permilagem, quorum.call], [1000, 0, 5, 1, null]);
+    assert.strictEqual((await call('GET', '/api/assembleias/99/attendance')).status, 404);
+  });
+
+  await t.test('entries are validated', async () => {
+    assert.strictEqual((await call('PUT', '/api/assembleias/1/attendance/1', { status: 'late' })).status, 400);
+    assert.strictEqual((await call('PUT', '/api/assembleias/1/attendance/2', { status: 'represented', proxy_name: ' ' })).status, 400);
+    assert.strictEqual((await register(1, { status: 'present' }, procuracao)).status, 400);
+    assert.strictEqual((await call('PUT', '/api/assembleias/1/attendance/6', { status: 'present' })).status, 404);
+    assert.strictEqual((await call('PUT', '/api/assembleias/99/attendance/1', { status: 'present' })).status, 404);
+  });
+
+  await t.test('the quorum follows the permilagem present and represented', async () => {
+    const present = await call('PUT', '/api/assembleias/1/attendance/1', { status: 'present', attendee_name: 'Ana', proxy_name: 'Ignorado' });
+    assert.strictEqual(present.status, 200);
+    assert.deepStrictEqual([present.body.unit.status, present.body.unit.attendee_name, present.body.unit.proxy_name], ['present', 'Ana', null]);
+    // 400‰ is a quarter but not half of the building
+    assert.deepStrictEqual([present.body.quorum.attending_permilagem, present.body.quorum.first_call.met, present.body.quorum.second_call.met, present.body.quorum.call], [400, false, true, 'second']);
+
+    const represented = await register(2, { status: 'represented', proxy_name: 'Rui Procurador' }, procuracao);
+    assert.strictEqual(represented.status, 200);
+    assert.deepStrictEqual(represented.body.unit.proxy_document, { filename: 'procuracao-B.pdf', size: Buffer.byteLength(procuracao.text) });
+    const { quorum } = represented.body;
+    assert.deepStrictEqual([quorum.present_permilagem, quorum.represented_permilagem, quorum.attending_percent, quorum.call], [400, 300, 70, 'first']);
+
+    const document = await call('GET', '/api/assembleias/1/attendance/2/procuracao');
+    assert.deepStrictEqual([document.status, document.body], [200, procuracao.text]);
+  });
+
+  await t.test('the procuração stays while the unit is represented', async () => {
+    const renamed = await call('PUT', '/api/assembleias/1/attendance/2', { status: 'represented', proxy_name: 'Rui M. Procurador' });
+    assert.strictEqual(renamed.body.unit.proxy_document.filename, 'procuracao-B.pdf');
+    const inPerson = await call('PUT', '/api/assembleias/1/attendance/2', { status: 'present' });
+    assert.deepStrictEqual([inPerson.body.unit.status, inPerson.body.unit.proxy_name, inPerson.body.unit.proxy_document], ['present', null, null]);
+    assert.strictEqual((await call('GET', '/api/assembleias/1/attendance/2/procuracao')).status, 404);
+  });
+
+  await t.test('units leaving the room lose their votes', async () => {
+    await q.run("INSERT INTO assembleia_votes (assembleia_id, agenda_item_id, fracao_id, vote) VALUES (1, 1, 1, 'for'), (1, 1, 2, 'against')");
+    const absent = await call('PUT', '/api/assembleias/1/attendance/1', { status: 'absent', notes: 'Saiu antes da votação' });
+    assert.deepStrictEqual([absent.body.unit.status, absent.body.unit.registered, absent.body.quorum.call], ['absent', true, 'second']);
+    const removed = await call('DELETE', '/api/assembleias/1/attendance/2');
+    assert.strictEqual(removed.body.quorum.attending_permilagem, 0);
+    assert.strictEqual((await call('DELETE', '/api/assembleias/1/attendance/2')).status, 404);
+    assert.strictEqual((await q.get('SELECT COUNT(*) AS n FROM assembleia_votes')).n, 0);
+  });
+
+  await t.test('the register prints as the attendance list and is kept once closed', async () => {
+    await call('PUT', '/api/assembleias/1/attendance/3', { status: 'present' });
+    const list = await call('GET', '/api/assembleias/1/attendance/pdf');
+    assert.strictEqual(list.status, 200);
+    assert.strictEqual(list.headers.get('content-type'), 'application/pdf');
+    assert.match(list.body, /^%PDF/);
+
+    await q.run("UPDATE assembleias SET status = 'closed' WHERE id = 1");
+    assert.strictEqual((await call('PUT', '/api/assembleias/1/attendance/4', { status: 'present' })).status, 409);
+    assert.strictEqual((await register(4, { status: 'represented', proxy_name: 'Rui' }, procuracao)).status, 409);
+    assert.strictEqual((await call('DELETE', '/api/assembleias/1/attendance/3')).status, 409);
+    assert.strictEqual((await q.get('SELECT COUNT(*) AS n FROM assembleia_attendance WHERE proxy_path IS NOT NULL')).n, 0);
+  });
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+const mailer = require('../mailer');
+
+const inDays = (n) => new Date(Date.now() + n * 86400000).toISOString().slice(0, 10);
+
+test('assembleia agenda and convocations', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+
+  const inbox = [];
+  mailer.setTransport({ sendMail: async (message) => { inbox.push(message); return { messageId: `sink-${inbox.length}` }; } });
+  t.after(() => mailer.setTransport(null));
+
+  const admin = await q.get("SELECT id FROM admins WHERE username = 'admin'");
+  await q.run('UPDATE admins SET must_change_password = 0 WHERE id = ?', [admin.id]);
+  const token = await app.sessionFor('admin', admin.id);
+  const call = (method, urlPath, body) => app.request(method, urlPath, { token, body });
+  const as = async (userId, method, urlPath) => app.request(method, urlPath, { token: await app.sessionFor('resident', userId) });
+  const isPdf = (res) => res.status === 200 && res.headers.get('content-type') === 'application/pdf' && /^%PDF/.test(res.body);
+
+  await q.run("INSERT INTO condominiums (id, name, nipc) VALUES (1, 'Edifício A', '900000001')");
+  await q.run(`INSERT INTO users (id, nome, nif, email1, permite_email, password, must_change_password) VALUES
+    (7, 'Ana', '100000001', 'ana@example.com', 'Sim', 'x', 0), (8, 'Bruno', '100000002', NULL, NULL, 'x', 0),
+    (9, 'Carla', '100000003', 'carla@example.com', 'Não', 'x', 0), (10, 'Duarte', '100000004', 'duarte@example.com', 'Sim', 'x', 0)`);
+  await q.run("INSERT INTO fracoes (id, condominium_id, identifier, permilagem) VALUES (1, 1, 'A', 500), (2, 1, 'B', 300), (3, 1, 'C', 200)");
+  // Duarte rents A; Carla represents Bruno; nobody answers for C
+  await q.run(`INSERT INTO fracao_residents (fracao_id, user_id, role) VALUES
+    (1, 7, 'owner'), (1, 10, 'tenant'), (2, 8, 'owner'), (2, 9, 'representative')`);
+  const create = (body) => call('POST', '/api/assembleias', { condominium_id: 1, title: 'Assembleia ordinária', date: inDays(20), time: '18:00', location: 'Hall', ...body });
+
+  let assembleia;
+  await t.test('the second call comes after the first, a week later by default', async () => {
+    assert.strictEqual((await create({ second_call_date: inDays(20) })).status, 400);
+    assert.strictEqual((await create({ second_call_date: inDays(20), second_call_time: '17:30' })).status, 400);
+    const set = await create({ second_call_date: inDays(20), second_call_time: '18:30' });
+    assert.strictEqual(set.status, 201);
+    assert.deepStrictEqual((await call('GET', `/api/assembleias/${set.body.id}/convocations`)).body.second_call, { date: inDays(20), time: '18:30', default: false });
+
+    assembleia = (await create({})).body;
+    assert.deepStrictEqual((await call('GET', `/api/assembleias/${assembleia.id}/convocations`)).body.second_call, { date: inDays(27), time: '18:00', default: true });
+  });
+
+  let items;
+  await t.test('agenda items are added, reordered and removed in place', async () => {
+    const agenda = `/api/assembleias/${assembleia.id}/agenda`;
+    assert.strictEqual((await call('GET', `/api/assembleias/${assembleia.id}/convocatoria/pdf`)).status, 400);
+    assert.strictEqual((await call('POST', `/api/assembleias/${assembleia.id}/convocations`, {})).status, 400);
+    assert.strictEqual((await call('POST', agenda, { title: ' ' })).status, 400);
+    assert.strictEqual((await call('POST', agenda, { title: 'Obras', majority: 'qualificada' })).status, 400);
+    assert.strictEqual((await call('POST', '/api/assembleias/99/agenda', { title: 'Obras' })).status, 404);
+
+    items = [];
+    for (const body of [{ title: 'Contas de 2025', majority: 'simple' }, { title: 'Obras', description: 'Telhado', majority: 'two_thirds' }, { title: 'Outros assuntos' }]) {
+      const added = await call('POST', agenda, body);
+      assert.strictEqual(added.status, 201);
+      items.push(added.body);
+    }
+    assert.deepStrictEqual(items.map(i => [i.position, i.majority_label]), [[1, 'Maioria simples'], [2, 'Maioria de dois terços'], [3, null]]);
+
+    const [accounts, works, other] = items;
+    assert.strictEqual((await call('PUT', `${agenda}/order`, { item_ids: [works.id, accounts.id] })).status, 400);
+    const reordered = await call('PUT', `${agenda}/order`, { item_ids: [works.id, accounts.id, other.id] });
+    assert.deepStrictEqual(reordered.body.map(i => [i.position, i.title]), [[1, 'Obras'], [2, 'Contas de 2025'], [3, 'Outros assuntos']]);
+
+    assert.strictEqual((await call('PUT', `${agenda}/99`, { title: 'X' })).status, 404);
+    assert.strictEqual((await call('PUT', `${agenda}/${works.id}`, { majority: 'unanimidade' })).status, 400);
+    assert.strictEqual((await call('PUT', `${agenda}/${works.id}`, { majority: 'unanimity' })).body.majority, 'unanimity');
+    assert.strictEqual((await call('DELETE', `${agenda}/${accounts.id}`)).status, 200);
+    assert.deepStrictEqual((await call('GET', agenda)).body.map(i => [i.position, i.title]), [[1, 'Obras'], [2, 'Outros assuntos']]);
+  });
+
+  let sent;
+  await t.test('the convocation goes to the owners and representatives, with their units', async () => {
+    const state = (await call('GET', `/api/assembleias/${assembleia.id}/convocations`)).body;
+    assert.deepStrictEqual(
+      state.recipients.map(r => [r.nome, r.units.map(u => [u.identifier, u.role]), r.permilagem, r.email]).sort(),
+      [['Ana', [['A', 'owner']], 500, true], ['Bruno', [['B', 'owner']], 300, false], ['Carla', [['B', 'representative']], 300, false]]
+    );
+    assert.deepStrictEqual(state.units_without_recipients.map(u => u.identifier), ['C']);
+    assert.deepStrictEqual([state.agenda_items, state.days_before, state.warning], [2, 20, null]);
+    assert.ok(isPdf(await call('GET', `/api/assembleias/${assembleia.id}/convocatoria/pdf?user_id=7`)));
+    assert.strictEqual((await call('GET', `/api/assembleias/${assembleia.id}/convocatoria/pdf?user_id=10`)).status, 404);
+
+    const send = (body) => call('POST', `/api/assembleias/${assembleia.id}/convocations`, body);
+    assert.strictEqual((await send({ user_ids: 7 })).status, 400);
+    assert.strictEqual((await send({ user_ids: [10] })).status, 400);
+    sent = await send({});
+    assert.strictEqual(sent.status, 201);
+    assert.deepStrictEqual([sent.body.sent, sent.body.emailed, sent.body.warning], [3, 1, null]);
+    assert.deepStrictEqual(inbox.map(m => [m.to, m.attachments.map(a => a.filename)]), [['ana@example.com', [`convocatoria-${assembleia.id}.pdf`]]]);
+    const recipients = await q.all('SELECT user_id FROM admin_message_recipients WHERE message_id = ? ORDER BY user_id', [sent.body.admin_message_id]);
+    assert.deepStrictEqual(recipients.map(r => r.user_id), [7, 8, 9]);
+  });
+
+  await t.test('each recipient downloads their own convocation, and the first download is recorded', async () => {
+    const ana = sent.body.convocations.find(c => c.user_id === 7);
+    assert.ok(isPdf(await call('GET', `/api/assembleia-convocations/${ana.id}/pdf`)));
+    assert.ok(isPdf(await as(7, 'GET', `/api/users/7/assembleias/${assembleia.id}/convocatoria/pdf`)));
+    assert.strictEqual((await as(10, 'GET', `/api/users/10/assembleias/${assembleia.id}/convocatoria/pdf`)).status, 404);
+    const read = (await call('GET', `/api/assembleias/${assembleia.id}/convocations`)).body.recipients;
+    assert.deepStrictEqual(read.filter(r => r.read_at).map(r => r.nome), ['Ana']);
+  });
+
+  await t.test('a changed agenda is sent again, keeping the earlier convocations', async () => {
+    await call('POST', `/api/assembleias/${assembleia.id}/agenda`, { title: 'Eleição da administração', majority: 'simple' });
+    const before = (await call('GET', `/api/assembleias/${assembleia.id}/convocations`)).body;
+    assert.strictEqual(before.changed_since_sent, true);
+
+    assert.strictEqual((await call('POST', `/api/assembleias/${assembleia.id}/convocations`, { user_ids: [7] })).body.sent, 1);
+    const after = (await call('GET', `/api/assembleias/${assembleia.id}/convocations`)).body;
+    assert.deepStrictEqual([after.changed_since_sent, after.sent.length], [false, 4]);
+    assert.strictEqual((await call('DELETE', `/api/assembleias/${assembleia.id}`)).status, 409);
+  });
+
+  await t.test('short notice is warned about and a closed agenda is kept', async () => {
+    const soon = (await create({ date: inDays(5) })).body;
+    await call('POST', `/api/assembleias/${soon.id}/agenda`, { title: 'Obras urgentes' });
+    const sentSoon = await call('POST', `/api/assembleias/${soon.id}/convocations`, {});
+    assert.strictEqual(sentSoon.status, 201);
+    assert.ok(sentSoon.body.warning);
+
+    await q.run("UPDATE assembleias SET status = 'closed' WHERE id = ?", [soon.id]);
+    const [item] = (await call('GET', `/api/assembleias/${soon.id}/agenda`)).body;
+    assert.strictEqual((await call('POST', `/api/assembleias/${soon.id}/agenda`, { title: 'Outro' })).status, 409);
+    assert.strictEqual((await call('PUT', `/api/assembleias/${soon.id}/agenda/${item.id}`, { title: 'Outro' })).status, 409);
+    assert.strictEqual((await call('DELETE', `/api/assembleias/${soon.id}/agenda/${item.id}`)).status, 409);
+  });
+});
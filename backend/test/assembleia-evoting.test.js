@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+const hoursFromNow = (n) => new Date(Date.now() + n * 3600000).toISOString();
+
+test('electronic voting', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+
+  const admin = await q.get("SELECT id FROM admins WHERE username = 'admin'");
+  await q.run('UPDATE admins SET must_change_password = 0 WHERE id = ?', [admin.id]);
+  const token = await app.sessionFor('admin', admin.id);
+  const call = (method, urlPath, body) => app.request(method, urlPath, { token, body });
+  const as = async (userId, method, urlPath, body) => app.request(method, urlPath, { token: await app.sessionFor('resident', userId), body });
+  const cast = (userId, fracaoId, votes) => as(userId, 'POST', `/api/users/${userId}/assembleias/1/evotes`, { fracao_id: fracaoId, votes });
+  const receipt = (userId, hash) => as(userId, 'GET', `/api/users/${userId}/assembleias/1/evotes/${hash}`);
+  const chain = async () => (await call('GET', '/api/assembleias/1/evoting')).body.chain;
+
+  await q.run("INSERT INTO condominiums (id, name) VALUES (1, 'Edifício A')");
+  await q.run(`INSERT INTO users (id, nome, nif, password, must_change_password) VALUES
+    (7, 'Ana', '100000001', 'x', 0), (8, 'Bruno', '100000002', 'x', 0), (9, 'Carla', '100000003', 'x', 0), (10, 'Duarte', '100000004', 'x', 0)`);
+  await q.run('INSERT INTO user_condominiums (user_id, condominium_id) VALUES (7, 1), (8, 1), (9, 1), (10, 1)');
+  await q.run("INSERT INTO fracoes (id, condominium_id, identifier, permilagem) VALUES (1, 1, 'A', 500), (2, 1, 'B', 300), (3, 1, 'C', 200)");
+  // Bruno and Carla own B together; Duarte rents C
+  await q.run("INSERT INTO fracao_residents (fracao_id, user_id, role) VALUES (1, 7, 'owner'), (2, 8, 'owner'), (2, 9, 'owner'), (3, 10, 'tenant')");
+  await q.run("INSERT INTO assembleias (id, condominium_id, title, date, time) VALUES (1, 1, 'Assembleia ordinária', '2026-03-01', '18:00')");
+  await q.run(`INSERT INTO assembleia_agenda_items (id, assembleia_id, position, title, majority) VALUES
+    (1, 1, 1, 'Contas', 'simple'), (2, 1, 2, 'Obras', 'two_thirds'), (3, 1, 3, 'Informações', NULL)`);
+
+  await t.test('the admin opens a voting window', async () => {
+    assert.strictEqual((await cast(7, 1, [{ agenda_item_id: 1, vote: 'for' }])).status, 409);
+    assert.strictEqual((await call('PUT', '/api/assembleias/1/evoting', { opens_at: hoursFromNow(-1) })).status, 400);
+    assert.strictEqual((await call('PUT', '/api/assembleias/1/evoting', { opens_at: hoursFromNow(1), closes_at: hoursFromNow(-1) })).status, 400);
+    const later = await call('PUT', '/api/assembleias/1/evoting', { opens_at: hoursFromNow(1), closes_at: hoursFromNow(2) });
+    assert.strictEqual(later.body.window.state, 'scheduled');
+    const now = await call('PUT', '/api/assembleias/1/evoting', { opens_at: hoursFromNow(-1), closes_at: hoursFromNow(1) });
+    assert.deepStrictEqual([now.status, now.body.window.state, now.body.window.open], [200, 'open', true]);
+  });
+
+  await t.test('a resident sees the items put to the vote and the units they vote for', async () => {
+    const ana = (await as(7, 'GET', '/api/users/7/assembleias/1/evoting')).body;
+    assert.deepStrictEqual(ana.items.map(i => i.title), ['Contas', 'Obras']);
+    assert.deepStrictEqual(ana.units.map(u => [u.identifier, u.can_vote]), [['A', true]]);
+    const bruno = (await as(8, 'GET', '/api/users/8/assembleias/1/evoting')).body;
+    assert.deepStrictEqual(bruno.units.map(u => [u.identifier, u.can_vote]), [['B', false]]);
+    assert.ok(bruno.units[0].reason);
+    assert.deepStrictEqual((await as(10, 'GET', '/api/users/10/assembleias/1/evoting')).body.units, []);
+  });
+
+  let first;
+  await t.test('each unit votes once per item through its voter', async () => {
+    assert.strictEqual((await cast(7, 1, [])).status, 400);
+    assert.strictEqual((await cast(7, 1, [{ agenda_item_id: 1, vote: 'sim' }])).status, 400);
+    assert.strictEqual((await cast(7, 1, [{ agenda_item_id: 1, vote: 'for' }, { agenda_item_id: 1, vote: 'against' }])).status, 400);
+    assert.strictEqual((await cast(7, 1, [{ agenda_item_id: 3, vote: 'for' }])).status, 400);
+    assert.strictEqual((await cast(10, 3, [{ agenda_item_id: 1, vote: 'for' }])).status, 404);
+    // Co-owners vote through the one designated
+    assert.strictEqual((await cast(8, 2, [{ agenda_item_id: 1, vote: 'for' }])).status, 403);
+    assert.strictEqual((await call('PUT', '/api/fracoes/2/voter', { user_id: 9 })).status, 200);
+    assert.strictEqual((await cast(8, 2, [{ agenda_item_id: 1, vote: 'for' }])).status, 403);
+    assert.strictEqual((await cast(9, 2, [{ agenda_item_id: 1, vote: 'against' }])).status, 201);
+
+    const cast7 = await cast(7, 1, [{ agenda_item_id: 1, vote: 'for' }, { agenda_item_id: 2, vote: 'for' }]);
+    assert.strictEqual(cast7.status, 201);
+    first = cast7.body.ballots[0];
+    assert.match(first.receipt, /^[0-9a-f]{64}$/);
+    assert.deepStrictEqual(await chain(), { valid: true, ballots: 3, broken_at: null });
+  });
+
+  await t.test('a vote can be changed, and every receipt still checks', async () => {
+    const changed = await cast(7, 1, [{ agenda_item_id: 1, vote: 'abstain' }]);
+    const checked = (await receipt(7, first.receipt)).body;
+    assert.deepStrictEqual([checked.vote, checked.agenda_item_title, checked.current, checked.intact, checked.chain_valid], ['for', 'Contas', false, true, true]);
+    assert.strictEqual((await receipt(7, changed.body.ballots[0].receipt)).body.current, true);
+    // A receipt is only shown to who cast it
+    assert.strictEqual((await receipt(9, first.receipt)).status, 404);
+    assert.deepStrictEqual((await as(7, 'GET', '/api/users/7/assembleias/1/evoting')).body.units[0].ballots.map(b => [b.agenda_item_id, b.vote]), [[1, 'abstain'], [2, 'for']]);
+  });
+
+  await t.test('ballots count as attendance, and a vote in the room prevails', async () => {
+    const { quorum } = (await call('GET', '/api/assembleias/1/attendance')).body;
+    assert.deepStrictEqual([quorum.remote_permilagem, quorum.units_remote, quorum.call], [800, 2, 'first']);
+    await call('PUT', '/api/assembleias/1/attendance/1', { status: 'present' });
+    await call('PUT', '/api/assembleias/1/agenda/1/votes', { votes: [{ fracao_id: 1, vote: 'for' }] });
+    const [accounts] = (await call('GET', '/api/assembleias/1/votes')).body.items;
+    assert.deepStrictEqual(accounts.votes.map(v => [v.identifier, v.vote, v.source]), [['A', 'for', 'in_person'], ['B', 'against', 'electronic']]);
+    // Residents see no results before closing
+    assert.strictEqual((await as(7, 'GET', '/api/users/7/assembleias/1/results')).status, 409);
+    assert.strictEqual((await call('PUT', '/api/assembleias/1/evoting', { opens_at: null, closes_at: null })).status, 409);
+  });
+
+  await t.test('an altered or removed ballot breaks the chain', async () => {
+    const ids = (await q.all('SELECT id FROM assembleia_evotes ORDER BY id')).map(r => r.id);
+    await q.run("UPDATE assembleia_evotes SET vote = 'for' WHERE id = ?", [ids[0]]);
+    assert.deepStrictEqual(await chain(), { valid: false, ballots: 4, broken_at: ids[0] });
+    await q.run("UPDATE assembleia_evotes SET vote = 'against' WHERE id = ?", [ids[0]]);
+    assert.strictEqual((await chain()).valid, true);
+
+    await q.run('DELETE FROM assembleia_evotes WHERE id = ?', [ids[1]]);
+    assert.deepStrictEqual(await chain(), { valid: false, ballots: 3, broken_at: ids[2] });
+    const kept = (await receipt(7, (await q.get('SELECT hash FROM assembleia_evotes WHERE id = ?', [ids[2]])).hash)).body;
+    assert.deepStrictEqual([kept.intact, kept.chain_valid], [true, false]);
+  });
+
+  await t.test('closing ends the voting', async () => {
+    await call('PUT', '/api/assembleias/1', { title: 'Assembleia ordinária', date: '2026-03-01', time: '18:00', status: 'closed' });
+    assert.strictEqual((await cast(7, 1, [{ agenda_item_id: 1, vote: 'for' }])).status, 409);
+    assert.strictEqual((await as(7, 'GET', '/api/users/7/assembleias/1/evoting')).body.window.state, 'ended');
+    assert.strictEqual((await call('PUT', '/api/assembleias/1/evoting', { opens_at: hoursFromNow(-1), closes_at: hoursFromNow(1) })).status, 409);
+  });
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+const mailer = require('../mailer');
+
+const inDays = (n) => new Date(Date.now() + n * 86400000).toISOString().slice(0, 10);
+
+test('assembleia minutes and deliberation notices', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+
+  const inbox = [];
+  mailer.setTransport({ sendMail: async (message) => { inbox.push(message); return { messageId: `sink-${inbox.length}` }; } });
+  t.after(() => mailer.setTransport(null));
+
+  const admin = await q.get("SELECT id FROM admins WHERE username = 'admin'");
+  await q.run('UPDATE admins SET must_change_password = 0 WHERE id = ?', [admin.id]);
+  const token = await app.sessionFor('admin', admin.id);
+  const call = (method, urlPath, body) => app.request(method, urlPath, { token, body });
+  const as = async (userId, method, urlPath) => app.request(method, urlPath, { token: await app.sessionFor('resident', userId) });
+  const isPdf = (res) => res.status === 200 && res.headers.get('content-type') === 'application/pdf' && /^%PDF/.test(res.body);
+  const minutes = (method, suffix = '', body) => call(method, `/api/assembleias/1/minutes${suffix}`, body);
+
+  await q.run("INSERT INTO condominiums (id, name, nipc) VALUES (1, 'Edifício A', '900000001')");
+  await q.run(`INSERT INTO users (id, nome, nif, email1, permite_email, password, must_change_password) VALUES
+    (7, 'Ana', '100000001', NULL, NULL, 'x', 0), (8, 'Bruno', '100000002', NULL, NULL, 'x', 0), (9, 'Carla', '100000003', 'carla@example.com', 'Sim', 'x', 0)`);
+  await q.run("INSERT INTO fracoes (id, condominium_id, identifier, permilagem) VALUES (1, 1, 'A', 500), (2, 1, 'B', 300), (3, 1, 'C', 200)");
+  await q.run("INSERT INTO fracao_residents (fracao_id, user_id, role) VALUES (1, 7, 'owner'), (2, 8, 'owner'), (3, 9, 'owner')");
+  await q.run('INSERT INTO assembleias (id, condominium_id, title, date, time, location) VALUES (1, 1, ?, ?, ?, ?)', ['Assembleia ordinária', inDays(-5), '18:00', 'Hall']);
+  await q.run(`INSERT INTO assembleia_agenda_items (id, assembleia_id, position, title, majority) VALUES
+    (1, 1, 1, 'Contas de 2025', 'simple'), (2, 1, 2, 'Informações', NULL)`);
+  await call('PUT', '/api/assembleias/1/attendance/1', { status: 'present' });
+  await call('PUT', '/api/assembleias/1/attendance/2', { status: 'represented', proxy_name: 'Rui' });
+  await call('PUT', '/api/assembleias/1/agenda/1/votes', { votes: [{ fracao_id: 1, vote: 'for' }, { fracao_id: 2, vote: 'against' }] });
+
+  await t.test('the ata starts from the agenda, attendance and votes', async () => {
+    const state = (await minutes('GET')).body;
+    assert.strictEqual(state.minutes, null);
+    assert.match(state.prefill, /condomínio Edifício A, NIPC 900000001, em primeira convocatória/);
+    assert.match(state.prefill, /presentes ou representados os condóminos das frações A e B, que representam 800‰ \(80%\)/);
+    assert.match(state.prefill, /Ponto 1 — Contas de 2025\nPosto à votação, foi aprovado por maioria simples/);
+    assert.match(state.prefill, /Ponto 2 — Informações\n\[Resumo do que foi tratado neste ponto\.\]/);
+    assert.deepStrictEqual(state.suggested_signatories, [
+      { name: 'Ana', role: 'Condómino (fração A)', user_id: 7 },
+      { name: 'Rui', role: 'Procurador (fração B)', user_id: null }
+    ]);
+  });
+
+  await t.test('a draft is created once and edited', async () => {
+    assert.strictEqual((await minutes('POST', '', { number: 'x'.repeat(21) })).status, 400);
+    assert.strictEqual((await call('POST', '/api/assembleias/99/minutes', {})).status, 404);
+    const created = await minutes('POST', '', { number: '12' });
+    assert.strictEqual(created.status, 201);
+    assert.deepStrictEqual([created.body.status, created.body.content], ['draft', (await minutes('GET')).body.prefill]);
+    assert.strictEqual((await minutes('POST', '', {})).status, 409);
+
+    assert.strictEqual((await minutes('PUT', '', { content: ' ' })).status, 400);
+    assert.strictEqual((await minutes('PUT', '', {})).status, 400);
+    assert.strictEqual((await minutes('PUT', '', { number: '12/2026' })).body.number, '12/2026');
+    assert.strictEqual((await minutes('POST', '/submit')).status, 409);
+  });
+
+  await t.test('the ata is reviewed once the assembleia closes, and reopening clears the signatures', async () => {
+    await call('PUT', '/api/assembleias/1', { title: 'Assembleia ordinária', date: inDays(-5), time: '18:00', location: 'Hall', status: 'closed' });
+    assert.strictEqual((await minutes('POST', '/sign')).status, 409);
+    const submitted = await minutes('POST', '/submit');
+    assert.deepStrictEqual([submitted.body.status, submitted.body.status_label], ['under_review', 'Em revisão']);
+    assert.strictEqual((await minutes('PUT', '', { content: 'Outra' })).status, 409);
+    assert.strictEqual((await minutes('POST', '/submit')).status, 409);
+    assert.strictEqual((await minutes('POST', '/sign')).status, 400);
+
+    assert.strictEqual((await minutes('POST', '/signatories', { name: ' ' })).status, 400);
+    await minutes('POST', '/signatories', { name: 'Ana', role: 'Presidente da mesa', user_id: 7 });
+    const both = await minutes('POST', '/signatories', { name: 'Rui', role: 'Procurador' });
+    const [ana, rui] = both.body.signatories;
+    assert.deepStrictEqual([ana.position, rui.position], [1, 2]);
+    assert.strictEqual((await minutes('PUT', `/signatories/${ana.id}/signature`, {})).body.signatures.signed, 1);
+    const missing = await minutes('POST', '/sign');
+    assert.strictEqual(missing.status, 409);
+    assert.match(missing.body.error, /Rui/);
+
+    const reopened = await minutes('POST', '/reopen');
+    assert.deepStrictEqual([reopened.body.status, reopened.body.signatures], ['draft', { signed: 0, total: 2 }]);
+    assert.strictEqual((await minutes('PUT', `/signatories/${ana.id}/signature`, {})).status, 409);
+    assert.strictEqual((await minutes('POST', '/reopen')).status, 409);
+  });
+
+  await t.test('signing adds the final PDF to the assembleia files', async () => {
+    await minutes('POST', '/submit');
+    const { signatories } = (await minutes('GET')).body.minutes;
+    for (const s of signatories) await minutes('PUT', `/signatories/${s.id}/signature`, { signed: true });
+    const signed = await minutes('POST', '/sign');
+    assert.strictEqual(signed.status, 200);
+    assert.deepStrictEqual([signed.body.status, signed.body.signatures], ['signed', { signed: 2, total: 2 }]);
+    const files = (await call('GET', '/api/assembleias/1/files')).body;
+    assert.deepStrictEqual(files.map(f => [f.id, f.original_filename]), [[signed.body.file_id, 'Ata n.º 12/2026 - Assembleia ordinária.pdf']]);
+    const ata = await minutes('GET', '/pdf');
+    assert.deepStrictEqual([ata.status, /^%PDF/.test(ata.body)], [200, true]);
+
+    assert.strictEqual((await minutes('POST', '/signatories', { name: 'Outro' })).status, 409);
+    assert.strictEqual((await minutes('DELETE')).status, 409);
+    assert.strictEqual((await call('DELETE', '/api/assembleias/1')).status, 409);
+  });
+
+  let notice;
+  await t.test('the deliberations are communicated to the absent owners', async () => {
+    const pending = (await call('GET', '/api/assembleias/1/deliberation-notices')).body;
+    assert.deepStrictEqual([pending.minutes_status, pending.deadline, pending.overdue], ['signed', inDays(25), false]);
+    assert.deepStrictEqual(pending.recipients.map(r => [r.nome, r.units.map(u => u.identifier)]), [['Carla', ['C']]]);
+    assert.strictEqual((await call('GET', '/api/assembleias/1/deliberation-notices/pdf')).status, 404);
+
+    assert.strictEqual((await call('POST', '/api/assembleias/1/deliberation-notices', { user_ids: 9 })).status, 400);
+    assert.strictEqual((await call('POST', '/api/assembleias/1/deliberation-notices', { user_ids: [7] })).status, 400);
+    const sent = await call('POST', '/api/assembleias/1/deliberation-notices', {});
+    assert.strictEqual(sent.status, 201);
+    assert.deepStrictEqual([sent.body.sent, sent.body.emailed, sent.body.warning], [1, 1, null]);
+    notice = sent.body.notices[0];
+    assert.deepStrictEqual(inbox.map(m => [m.to, m.attachments.map(a => a.filename)]), [
+      ['carla@example.com', ['deliberacoes-1.pdf', 'Ata n.º 12/2026 - Assembleia ordinária.pdf']]
+    ]);
+    assert.ok(isPdf(await call('GET', '/api/assembleias/1/deliberation-notices/pdf')));
+    assert.ok(isPdf(await call('GET', `/api/assembleia-deliberation-notices/${notice.id}/pdf`)));
+  });
+
+  await t.test('each communication records its delivery', async () => {
+    const deliver = (body) => call('PUT', `/api/assembleia-deliberation-notices/${notice.id}`, body);
+    assert.strictEqual((await deliver({})).status, 400);
+    assert.strictEqual((await deliver({ letter_sent_at: '01/04/2026' })).status, 400);
+    assert.strictEqual((await deliver({ delivered_at: inDays(0) })).status, 400);
+    assert.strictEqual((await deliver({ letter_sent_at: inDays(0), delivered_at: inDays(-1) })).status, 400);
+    assert.strictEqual((await call('PUT', '/api/assembleia-deliberation-notices/99', { notes: 'x' })).status, 404);
+
+    const delivered = await deliver({ registered_mail: 'RR123456789PT', letter_sent_at: inDays(-1), delivered_at: inDays(0) });
+    assert.deepStrictEqual(
+      [delivered.body.notice.registered_mail, delivered.body.notice.delivered_at, delivered.body.notice.returned],
+      ['RR123456789PT', inDays(0), false]
+    );
+
+    // Carla reads hers on the portal; Ana was present and got none
+    assert.ok(isPdf(await as(9, 'GET', '/api/users/9/assembleias/1/deliberations/pdf')));
+    assert.strictEqual((await as(7, 'GET', '/api/users/7/assembleias/1/deliberations/pdf')).status, 404);
+    assert.ok((await call('GET', '/api/assembleias/1/deliberation-notices')).body.notices[0].read_at);
+  });
+});
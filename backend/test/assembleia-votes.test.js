@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { openDatabase, startApp } = require('./helpers');
+
+// Building of 1000‰: A 400 present, B 250 represented, C 200 remote, D 150 absent
+const units = [
+  { fracao_id: 1, permilagem: 400, status: 'present' },
+  { fracao_id: 2, permilagem: 250, status: 'represented' },
+  { fracao_id: 3, permilagem: 200, status: 'remote' },
+  { fracao_id: 4, permilagem: 150, status: 'absent' }
+];
+
+test('vote tallies', async (t) => {
+  const { db, dbPath, close } = await openDatabase();
+  t.after(close);
+  const transaction = require('../transactions')(dbPath);
+  const { tallyOf } = require('../assembleia-votes')(db, { transaction });
+
+  await t.test('votes weigh the permilagem of the units attending', () => {
+    const tally = tallyOf('simple', units, { 1: 'for', 2: 'against', 4: 'for' }, 'first');
+    assert.deepStrictEqual(tally.for, { units: 1, permilagem: 400 });
+    assert.deepStrictEqual(tally.against, { units: 1, permilagem: 250 });
+    assert.deepStrictEqual(tally.not_voted, { units: 1, permilagem: 200 });
+    // An absent unit's vote does not count
+    assert.strictEqual(tally.attending_permilagem, 850);
+    assert.strictEqual(tally.total_permilagem, 1000);
+  });
+
+  await t.test('simple majority needs more than half of the permilagem attending', () => {
+    const passed = tallyOf('simple', units, { 1: 'for', 3: 'for', 2: 'against' }, 'first');
+    assert.strictEqual(passed.required_permilagem, 425);
+    assert.strictEqual(passed.passed, true);
+
+    // 425 of 850 is exactly half: not enough
+    const half = [{ fracao_id: 1, permilagem: 425, status: 'present' }, { fracao_id: 2, permilagem: 425, status: 'present' }];
+    assert.strictEqual(tallyOf('simple', half, { 1: 'for', 2: 'abstain' }, 'first').passed, false);
+  });
+
+  await t.test('two-thirds majority counts the whole building', () => {
+    // 650 of 850 attending, but less than 2/3 of 1000
+    assert.strictEqual(tallyOf('two_thirds', units, { 1: 'for', 2: 'for' }, 'first').passed, false);
+    const thirds = [
+      { fracao_id: 1, permilagem: 333.334, status: 'present' },
+      { fracao_id: 2, permilagem: 333.333, status: 'present' },
+      { fracao_id: 3, permilagem: 333.333, status: 'absent' }
+    ];
+    // Exactly two thirds, despite the decimals
+    assert.strictEqual(tallyOf('two_thirds', thirds, { 1: 'for', 2: 'for' }, 'first').passed, true);
+  });
+
+  await t.test('unanimity needs every unit of the building', () => {
+    const all = { 1: 'for', 2: 'for', 3: 'for' };
+    assert.strictEqual(tallyOf('unanimity', units, all, 'first').passed, false);
+    const present = units.map(u => ({ ...u, status: 'present' }));
+    assert.strictEqual(tallyOf('unanimity', present, { ...all, 4: 'for' }, 'first').passed, true);
+  });
+
+  await t.test('nothing passes without quorum', () => {
+    const tally = tallyOf('simple', units, { 1: 'for', 2: 'for', 3: 'for' }, null);
+    assert.strictEqual(tally.quorum_met, false);
+    assert.strictEqual(tally.passed, false);
+  });
+});
+
+test('votes recorded at an assembleia', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+
+  const admin = await q.get("SELECT id FROM admins WHERE username = 'admin'");
+  await q.run('UPDATE admins SET must_change_password = 0 WHERE id = ?', [admin.id]);
+  const token = await app.sessionFor('admin', admin.id);
+  const call = (method, urlPath, body) => app.request(method, urlPath, { token, body });
+
+  await q.run("INSERT INTO condominiums (id, name) VALUES (1, 'Edifício A')");
+  await q.run("INSERT INTO users (id, nome, nif, password, must_change_password) VALUES (7, 'Ana', '100000001', 'x', 0)");
+  await q.run('INSERT INTO user_condominiums (user_id, condominium_id) VALUES (7, 1)');
+  await q.run("INSERT INTO fracoes (id, condominium_id, identifier, permilagem) VALUES (1, 1, 'A', 400), (2, 1, 'B', 350), (3, 1, 'C', 250)");
+  await q.run("INSERT INTO fracao_residents (fracao_id, user_id, role) VALUES (1, 7, 'owner')");
+  await q.run("INSERT INTO assembleias (id, condominium_id, title, date, time) VALUES (1, 1, 'Assembleia ordinária', '2026-03-01', '18:00')");
+  await q.run(`INSERT INTO assembleia_agenda_items (id, assembleia_id, position, title, majority) VALUES
+    (1, 1, 1, 'Contas', 'simple'), (2, 1, 2, 'Obras', 'two_thirds'), (3, 1, 3, 'Informações', NULL)`);
+  await call('PUT', '/api/assembleias/1/attendance/1', { status: 'present' });
+  await call('PUT', '/api/assembleias/1/attendance/2', { status: 'represented', proxy_name: 'Rui' });
+  const as7 = async (method, urlPath) => app.request(method, urlPath, { token: await app.sessionFor('resident', 7) });
+  const vote = (itemId, votes) => call('PUT', `/api/assembleias/1/agenda/${itemId}/votes`, { votes });
+
+  await t.test('only units present or represented vote on items with a majority', async () => {
+    assert.strictEqual((await vote(1, [])).status, 400);
+    assert.strictEqual((await vote(1, [{ fracao_id: 1, vote: 'sim' }])).status, 400);
+    assert.strictEqual((await vote(3, [{ fracao_id: 1, vote: 'for' }])).status, 400);
+    assert.strictEqual((await vote(1, [{ fracao_id: 3, vote: 'for' }])).status, 400);
+    assert.strictEqual((await vote(9, [{ fracao_id: 1, vote: 'for' }])).status, 404);
+    assert.strictEqual((await as7('GET', '/api/users/7/assembleias/1/results')).status, 409);
+  });
+
+  await t.test('each item passes by its majority', async () => {
+    const accounts = await vote(1, [{ fracao_id: 1, vote: 'for' }, { fracao_id: 2, vote: 'against' }]);
+    assert.strictEqual(accounts.status, 200);
+    // 400 of the 750‰ attending
+    assert.deepStrictEqual([accounts.body.item.result.for.permilagem, accounts.body.item.result.required_permilagem, accounts.body.item.result.passed], [400, 375, true]);
+
+    // 750‰ is two thirds of the building, then a vote is cleared
+    assert.strictEqual((await vote(2, [{ fracao_id: 1, vote: 'for' }, { fracao_id: 2, vote: 'for' }])).body.item.result.passed, true);
+    const cleared = await vote(2, [{ fracao_id: 2, vote: null }]);
+    assert.deepStrictEqual([cleared.body.item.result.passed, cleared.body.item.votes.map(v => [v.identifier, v.vote, v.source])], [false, [['A', 'for', 'in_person'], ['B', null, null]]]);
+  });
+
+  await t.test('closing keeps the results as they stood', async () => {
+    const closed = await call('PUT', '/api/assembleias/1', { title: 'Assembleia ordinária', date: '2026-03-01', time: '18:00', status: 'closed' });
+    assert.ok(closed.body.closed_at);
+    assert.strictEqual((await vote(1, [{ fracao_id: 2, vote: 'for' }])).status, 409);
+    assert.strictEqual((await call('PUT', '/api/assembleias/1', { title: 'Assembleia ordinária', date: '2026-03-01', time: '18:00', status: 'scheduled' })).status, 409);
+
+    // Later changes to the units do not change what was decided
+    await q.run('UPDATE fracoes SET permilagem = 100 WHERE id = 1');
+    const results = (await call('GET', '/api/assembleias/1/votes')).body;
+    assert.deepStrictEqual([results.closed, results.items.map(i => [i.title, i.result.passed])], [true, [['Contas', true], ['Obras', false]]]);
+    const published = (await as7('GET', '/api/users/7/assembleias/1/results')).body.items;
+    assert.deepStrictEqual([published.map(i => i.result.for.permilagem), published.every(i => !i.votes)], [[400, 400], true]);
+  });
+});
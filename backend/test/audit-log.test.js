@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+test('audit trail of state-changing calls', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+
+  const admin = await q.get("SELECT id FROM admins WHERE username = 'admin'");
+  await q.run('UPDATE admins SET must_change_password = 0 WHERE id = ?', [admin.id]);
+  const token = await app.sessionFor('admin', admin.id);
+  await q.run("INSERT INTO condominiums (id, name) VALUES (1, 'Edifício A')");
+
+  // Entries are written once the response has been sent
+  async function entryFor(action) {
+    for (let i = 0; i < 40; i++) {
+      const row = await q.get('SELECT * FROM audit_log WHERE action = ? ORDER BY id DESC LIMIT 1', [action]);
+      if (row) return row;
+      await new Promise((resolve) => setTimeout(resolve, 25));
+    }
+    return null;
+  }
+
+  await t.test('an update records actor, condominium and field changes', async () => {
+    const res = await app.request('PUT', '/api/condominiums/1/reserve-fund', { token, body: { percent: 12 } });
+    assert.strictEqual(res.status, 200);
+    const entry = await entryFor('PUT /api/condominiums/:id/reserve-fund');
+    assert.strictEqual(entry.actor_type, 'admin');
+    assert.strictEqual(entry.actor_id, admin.id);
+    assert.strictEqual(entry.entity_type, 'condominium');
+    assert.strictEqual(entry.entity_id, '1');
+    assert.strictEqual(entry.condominium_ids, ',1,');
+    assert.deepStrictEqual(JSON.parse(entry.changes), { reserve_fund_percent: { before: 10, after: 12 } });
+    assert.strictEqual(entry.status, 200);
+  });
+
+  await t.test('failed calls and reads are not recorded', async () => {
+    const before = (await q.get('SELECT COUNT(*) AS n FROM audit_log')).n;
+    assert.strictEqual((await app.request('PUT', '/api/condominiums/99/reserve-fund', { token, body: { percent: 12 } })).status, 404);
+    assert.strictEqual((await app.request('GET', '/api/condominiums', { token })).status, 200);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.strictEqual((await q.get('SELECT COUNT(*) AS n FROM audit_log')).n, before);
+  });
+
+  await t.test('secrets are redacted', async () => {
+    const res = await app.request('POST', '/api/admin/2fa/setup', { token });
+    assert.strictEqual(res.status, 200);
+    const entry = await entryFor('POST /api/admin/2fa/setup');
+    assert.ok(!entry.changes.includes(res.body.secret));
+    assert.deepStrictEqual(JSON.parse(entry.changes).totp_pending_secret, { before: '[redacted]', after: '[redacted]' });
+  });
+
+  await t.test('entries can be neither changed nor deleted', async () => {
+    await assert.rejects(q.run("UPDATE audit_log SET actor_id = 999"), /append-only/);
+    await assert.rejects(q.run('DELETE FROM audit_log'), /append-only/);
+  });
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { openDatabase, run } = require('./helpers');
+
+process.env.SESSION_SECRET = 'test-secret';
+
+test('sessions', async (t) => {
+  const { db, dbPath, q, close } = await openDatabase();
+  t.after(close);
+  const adminRoles = require('../admin-roles')(db, { transaction: require('../transactions')(dbPath) });
+  const sessions = require('../auth-sessions')(db, adminRoles);
+
+  await q.run("INSERT INTO users (id, nome, nif, password, must_change_password) VALUES (7, 'Ana', '123456789', 'x', 0)");
+  const request = (token) => ({ headers: token ? { authorization: `Bearer ${token}` } : {}, path: '/api/users/7', query: {} });
+
+  await t.test('an access token resolves to its actor', async () => {
+    const pair = await sessions.issueSession('resident', 7, null);
+    const req = request(pair.token);
+    const result = await run(sessions.authenticate, req);
+    assert.strictEqual(result.passed, true);
+    assert.strictEqual(req.auth.role, 'resident');
+    assert.strictEqual(req.auth.id, 7);
+    assert.strictEqual(req.auth.passwordChangePending, false);
+  });
+
+  await t.test('requests without a token go on unauthenticated', async () => {
+    const req = request(null);
+    assert.strictEqual((await run(sessions.authenticate, req)).passed, true);
+    assert.strictEqual(req.auth, null);
+  });
+
+  await t.test('a tampered token is rejected', async () => {
+    const pair = await sessions.issueSession('resident', 7, null);
+    const [body, signature] = pair.token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(body, 'base64').toString()), sub: 8 })).toString('base64url');
+    const result = await run(sessions.authenticate, request(`${forged}.${signature}`));
+    assert.strictEqual(result.status, 401);
+    assert.strictEqual(result.body.code, 'SESSION_INVALID');
+  });
+
+  await t.test('a refresh rotates the refresh token', async () => {
+    const pair = await sessions.issueSession('resident', 7, null);
+    const next = await sessions.refreshSession(pair.refresh_token);
+    assert.ok(next);
+    assert.strictEqual(next.actor_type, 'resident');
+    assert.strictEqual(next.actor_id, 7);
+    assert.notStrictEqual(next.refresh_token, pair.refresh_token);
+    assert.strictEqual((await run(sessions.authenticate, request(next.token))).passed, true);
+
+    // The old refresh token is spent; the new one works once
+    assert.strictEqual(await sessions.refreshSession(pair.refresh_token), null);
+    assert.ok(await sessions.refreshSession(next.refresh_token));
+    assert.strictEqual(await sessions.refreshSession(next.refresh_token), null);
+  });
+
+  await t.test('parallel refreshes with one token yield one session', async () => {
+    const pair = await sessions.issueSession('resident', 7, null);
+    const results = await Promise.all([1, 2, 3, 4].map(() => sessions.refreshSession(pair.refresh_token)));
+    assert.strictEqual(results.filter(Boolean).length, 1);
+  });
+
+  await t.test('an expired refresh token is refused', async () => {
+    const pair = await sessions.issueSession('resident', 7, null);
+    await q.run("UPDATE auth_sessions SET expires_at = datetime('now', '-1 minute') WHERE actor_id = 7");
+    assert.strictEqual(await sessions.refreshSession(pair.refresh_token), null);
+  });
+
+  await t.test('revoked sessions and deleted accounts end at once', async () => {
+    const pair = await sessions.issueSession('resident', 7, null);
+    assert.strictEqual((await run(sessions.authenticate, request(pair.token))).passed, true);
+    await sessions.revokeActorSessions('resident', 7);
+    const revoked = await run(sessions.authenticate, request(pair.token));
+    assert.strictEqual(revoked.status, 401);
+    assert.strictEqual(revoked.body.code, 'SESSION_REVOKED');
+    assert.strictEqual(await sessions.refreshSession(pair.refresh_token), null);
+
+    const other = await sessions.issueSession('resident', 7, null);
+    await q.run('DELETE FROM users WHERE id = 7');
+    assert.strictEqual((await run(sessions.authenticate, request(other.token))).status, 401);
+    await q.run("INSERT INTO users (id, nome, nif, password, must_change_password) VALUES (7, 'Ana', '123456789', 'x', 0)");
+  });
+
+  await t.test('the session carries a pending password change', async () => {
+    await q.run('UPDATE users SET must_change_password = 1 WHERE id = 7');
+    const pair = await sessions.issueSession('resident', 7, null);
+    const req = request(pair.token);
+    await run(sessions.authenticate, req);
+    assert.strictEqual(req.auth.passwordChangePending, true);
+  });
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { openDatabase, run } = require('./helpers');
+
+// Actors as auth-sessions.js builds them
+const grant = (condominiumId, ...permissions) => ({ role: 'custom', condominiumId, permissions });
+const admin = (grants, extra = {}) => ({ role: 'admin', id: 1, grants, scope: grants.some(g => g.condominiumId === null) ? 'full' : 'limited', ...extra });
+const mainAdmin = admin([{ role: 'main_admin', condominiumId: null, permissions: ['*'] }], { isMainAdmin: true });
+const resident = (id, extra = {}) => ({ role: 'resident', id, ...extra });
+
+test('authorization policies', async (t) => {
+  const { db, q, close } = await openDatabase();
+  t.after(close);
+  const authz = require('../authorization')(db);
+  const table = require('../policies')(authz);
+
+  await q.run("INSERT INTO users (id, nome, nif, password) VALUES (7, 'Ana', '123456789', 'x'), (8, 'Bruno', '223456789', 'x')");
+  await q.run("INSERT INTO condominiums (id, name) VALUES (1, 'Edifício A'), (2, 'Edifício B')");
+  await q.run("INSERT INTO user_condominiums (user_id, condominium_id, apartment, role) VALUES (7, 1, 'A', 'resident'), (8, 2, 'B', 'resident')");
+
+  /** Runs the policy of a route for an actor; `params` fills the route parameters. */
+  function call(method, routePath, auth, params = {}, body = {}) {
+    const entry = table.find(([m, p]) => m === method && p === routePath);
+    assert.ok(entry, `no policy for ${method} ${routePath}`);
+    return run(authz.authorize(entry[2], routePath), { auth, params, body });
+  }
+
+  await t.test('every route needs a session unless public', async () => {
+    assert.strictEqual((await call('post', '/api/login', null)).passed, true);
+    const result = await call('get', '/api/auth/session', null);
+    assert.strictEqual(result.status, 401);
+    assert.strictEqual((await call('get', '/api/auth/session', resident(7))).passed, true);
+  });
+
+  await t.test('a pending password change only allows changing it', async () => {
+    const pending = { ...mainAdmin, passwordChangePending: true };
+    const blocked = await call('get', '/api/admins', pending);
+    assert.strictEqual(blocked.status, 403);
+    assert.strictEqual(blocked.body.reason, 'password_change');
+    assert.strictEqual((await call('post', '/api/admin/2fa/setup', pending)).body.reason, 'password_change');
+    assert.strictEqual((await call('post', '/api/admin/change-password', pending)).passed, true);
+    // Signing out and reading the session stay possible
+    assert.strictEqual((await call('post', '/api/auth/logout', pending)).passed, true);
+
+    const maintenance = { role: 'maintenance', id: 1, passwordChangePending: true };
+    assert.strictEqual((await call('post', '/api/maintenance/change-password', maintenance)).passed, true);
+    assert.strictEqual((await call('get', '/api/users/:id/fracoes', resident(7, { passwordChangePending: true }), { id: 7 })).body.reason, 'password_change');
+  });
+
+  await t.test('a pending 2FA enrolment only allows enrolling', async () => {
+    const pending = { ...mainAdmin, twoFactorSetupPending: true };
+    assert.strictEqual((await call('get', '/api/admins', pending)).body.reason, 'two_factor_setup');
+    assert.strictEqual((await call('post', '/api/admin/2fa/setup', pending)).passed, true);
+    assert.strictEqual((await call('post', '/api/admin/change-password', pending)).passed, true);
+  });
+
+  await t.test('roles', async () => {
+    const full = admin([grant(null, '*')]);
+    assert.strictEqual((await call('delete', '/api/condominiums/:id', full, { id: 1 })).body.reason, 'role');
+    assert.strictEqual((await call('delete', '/api/condominiums/:id', mainAdmin, { id: 1 })).passed, true);
+    assert.strictEqual((await call('get', '/api/admins', resident(7))).body.reason, 'role');
+  });
+
+  await t.test('admins are scoped to the condominiums of their permission', async () => {
+    const limited = admin([grant(1, 'condominiums.read', 'condominiums.write'), grant(2, 'condominiums.read')]);
+    assert.strictEqual((await call('put', '/api/condominiums/:id', limited, { id: 1 })).passed, true);
+    const other = await call('put', '/api/condominiums/:id', limited, { id: 2 });
+    assert.strictEqual(other.status, 403);
+    assert.strictEqual(other.body.reason, 'condominium');
+    assert.strictEqual((await call('get', '/api/condominiums/:id', limited, { id: 2 })).passed, true);
+
+    // A permission held nowhere
+    assert.strictEqual((await call('get', '/api/admin/audit-log', limited)).body.reason, 'permission');
+    // Resources resolved from the database: Ana lives in condominium 1, Bruno in 2
+    const users = admin([grant(1, 'users.read')]);
+    assert.strictEqual((await call('get', '/api/users/:id/fracoes', users, { id: 7 })).passed, true);
+    assert.strictEqual((await call('get', '/api/users/:id/fracoes', users, { id: 8 })).body.reason, 'condominium');
+  });
+
+  await t.test('condominiumsWith lists where a permission is held (null for everywhere)', () => {
+    assert.strictEqual(authz.condominiumsWith(admin([grant(null, 'audit.read')]), 'audit.read'), null);
+    assert.strictEqual(authz.condominiumsWith(mainAdmin, 'audit.read'), null);
+    assert.deepStrictEqual(authz.condominiumsWith(admin([grant(1, 'audit.read'), grant(2, 'users.read'), grant(3, '*')]), 'audit.read'), [1, 3]);
+    assert.deepStrictEqual(authz.condominiumsWith(admin([grant(2, 'users.read')]), 'audit.read'), []);
+  });
+
+  await t.test('residents reach their own data and their condominiums only', async () => {
+    assert.strictEqual((await call('get', '/api/users/:id/fracoes', resident(7), { id: 7 })).passed, true);
+    assert.strictEqual((await call('get', '/api/users/:id/fracoes', resident(7), { id: 8 })).body.reason, 'owner');
+    assert.strictEqual((await call('get', '/api/condominiums/:id', resident(7), { id: 1 })).passed, true);
+    assert.strictEqual((await call('get', '/api/condominiums/:id', resident(7), { id: 2 })).body.reason, 'condominium');
+  });
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+const STATEMENT = [
+  'Extrato de conta;PT50000000000000000000000',
+  'Data;Descrição;Montante;Ordenante',
+  '01-03-2026;TRF quota C1F1;50,00;João Pereira',
+  '02-03-2026;TRF quota março;40,00;ANA MARIA DA SILVA',
+  '03-03-2026;Pagamento 100000002;30,00;',
+  '04-03-2026;Transferência;77,00;Zé Ninguém',
+  '05-03-2026;Comissão de manutenção;-1,50;',
+  'Saldo final;;195,50;'
+].join('\n');
+
+test('bank statements and reconciliation', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+
+  const admin = await q.get("SELECT id FROM admins WHERE username = 'admin'");
+  await q.run('UPDATE admins SET must_change_password = 0 WHERE id = ?', [admin.id]);
+  const token = await app.sessionFor('admin', admin.id);
+  const call = (method, urlPath, body) => app.request(method, urlPath, { token, body });
+  const upload = async (condominiumId, text, fields = {}) => {
+    const form = new FormData();
+    form.append('file', new Blob([text], { type: 'text/csv' }), 'extrato.csv');
+    for (const [name, value] of Object.entries(fields)) form.append(name, value);
+    const res = await fetch(`${app.base}/api/condominiums/${condominiumId}/bank-statements`, { method: 'POST', headers: { authorization: `Bearer ${token}` }, body: form });
+    return { status: res.status, body: await res.json() };
+  };
+
+  await q.run("INSERT INTO condominiums (id, name) VALUES (1, 'Edifício A'), (2, 'Edifício B')");
+  await q.run(`INSERT INTO users (id, nome, nif, password, must_change_password) VALUES
+    (7, 'Ana Maria Silva', '123456789', 'x', 0), (8, 'Bruno Costa', '100000002', 'x', 0), (9, 'Carla Dias', '100000010', 'x', 0)`);
+  await q.run("INSERT INTO fracoes (id, condominium_id, identifier, permilagem) VALUES (1, 1, 'A', 600), (2, 1, 'B', 400)");
+  // Carla sold A to Ana last year
+  await q.run(`INSERT INTO fracao_residents (fracao_id, user_id, role, start_date, end_date) VALUES
+    (1, 7, 'owner', '2025-01-01', NULL), (1, 9, 'owner', NULL, '2025-01-01'), (2, 8, 'owner', NULL, NULL)`);
+  for (const [fracaoId, amount, due] of [[1, 90, '2026-02-01'], [2, 30, '2026-02-01'], [2, 77, '2026-03-01']]) {
+    await call('POST', `/api/fracoes/${fracaoId}/charges`, { description: 'Quota', amount, due_date: due, issue_date: '2026-01-01' });
+  }
+  const payments = () => q.all('SELECT fracao_id, user_id, amount_cents, paid_at FROM payments ORDER BY id');
+
+  await t.test('a dry run matches the credits without recording anything', async () => {
+    assert.strictEqual((await upload(9, STATEMENT)).status, 404);
+    assert.strictEqual((await upload(1, 'nada;aqui\n1;2')).status, 400);
+
+    const dry = await upload(1, STATEMENT, { dry_run: 'true' });
+    assert.strictEqual(dry.status, 200);
+    assert.deepStrictEqual(
+      dry.body.transactions.map(tx => [tx.amount, tx.status, tx.identifier, tx.user_id, tx.match_method]),
+      [
+        [50, 'matched', 'A', null, 'reference'],
+        [40, 'matched', 'A', 7, 'name'],
+        [30, 'matched', 'B', 8, 'nif'],
+        [77, 'unmatched', null, null, null],
+        [-1.5, 'ignored', null, null, null]
+      ]
+    );
+    // What Bruno still owes is exactly 77 €
+    assert.deepStrictEqual(dry.body.transactions[3].suggestions.map(s => [s.identifier, s.reason]), [['B', 'amount']]);
+    assert.strictEqual(dry.body.summary.skipped_lines.length, 1);
+    assert.deepStrictEqual(await payments(), []);
+    assert.strictEqual((await q.get('SELECT COUNT(*) AS n FROM bank_transactions')).n, 0);
+  });
+
+  let statementId;
+  await t.test('an import records the matched credits as payments, once', async () => {
+    const imported = await upload(1, STATEMENT);
+    assert.strictEqual(imported.status, 201);
+    statementId = imported.body.statement.id;
+    assert.deepStrictEqual(
+      [imported.body.summary.credits, imported.body.summary.debits, imported.body.summary.matched, imported.body.summary.matched_total],
+      [4, 1, 3, 120]
+    );
+    assert.deepStrictEqual((await payments()).map(p => ({ ...p })), [
+      { fracao_id: 1, user_id: null, amount_cents: 5000, paid_at: '2026-03-01' },
+      { fracao_id: 1, user_id: 7, amount_cents: 4000, paid_at: '2026-03-02' },
+      { fracao_id: 2, user_id: 8, amount_cents: 3000, paid_at: '2026-03-03' }
+    ]);
+
+    assert.strictEqual((await upload(1, STATEMENT)).status, 409);
+    // An overlapping statement brings only its new lines
+    const next = await upload(1, `${STATEMENT}\n06-03-2026;Reembolso seguradora;12,00;Seguros SA`);
+    assert.strictEqual(next.status, 201);
+    assert.deepStrictEqual([next.body.statement.transactions_count, next.body.statement.duplicates_count], [1, 5]);
+  });
+
+  await t.test('a credit is matched by hand only to a current or former resident of the unit', async () => {
+    const queue = (await call('GET', '/api/condominiums/1/reconciliation')).body;
+    assert.deepStrictEqual(queue.transactions.map(tx => tx.amount), [77, 12]);
+    assert.deepStrictEqual(queue.owing.map(o => [o.identifier, o.payment_reference, o.owed]), [['B', 'C1F2', 77]]);
+    const [credit, refund] = queue.transactions;
+
+    assert.strictEqual((await call('POST', `/api/bank-transactions/${credit.id}/match`, {})).status, 400);
+    assert.strictEqual((await call('POST', `/api/bank-transactions/${credit.id}/match`, { fracao_id: 1, user_id: 99 })).status, 404);
+    assert.strictEqual((await call('POST', `/api/bank-transactions/${credit.id}/match`, { fracao_id: 1, user_id: 8 })).status, 400);
+    const debit = await q.get('SELECT id FROM bank_transactions WHERE amount_cents < 0');
+    assert.strictEqual((await call('POST', `/api/bank-transactions/${debit.id}/match`, { fracao_id: 1 })).status, 409);
+
+    const matched = await call('POST', `/api/bank-transactions/${credit.id}/match`, { fracao_id: 1, user_id: 9 });
+    assert.strictEqual(matched.status, 200);
+    assert.deepStrictEqual([matched.body.transaction.status, matched.body.transaction.match_method, matched.body.transaction.payer_name], ['matched', 'manual', 'Carla Dias']);
+    assert.strictEqual((await call('POST', `/api/bank-transactions/${credit.id}/match`, { fracao_id: 1, user_id: 9 })).status, 409);
+
+    // Not a quota payment
+    assert.strictEqual((await call('POST', `/api/bank-transactions/${refund.id}/ignore`)).body.transaction.status, 'ignored');
+    assert.strictEqual((await call('POST', `/api/bank-transactions/${refund.id}/ignore`)).status, 409);
+    assert.strictEqual((await call('DELETE', `/api/bank-transactions/${refund.id}/match`)).body.transaction.status, 'unmatched');
+  });
+
+  await t.test('undoing a match deletes its payment', async () => {
+    const tx = await q.get('SELECT id, payment_id FROM bank_transactions WHERE user_id = 9');
+    const undone = await call('DELETE', `/api/bank-transactions/${tx.id}/match`);
+    assert.strictEqual(undone.status, 200);
+    assert.deepStrictEqual([undone.body.transaction.status, undone.body.transaction.user_id, undone.body.transaction.payment_id], ['unmatched', null, null]);
+    assert.strictEqual(await q.get('SELECT id FROM payments WHERE id = ?', [tx.payment_id]), undefined);
+    assert.strictEqual((await call('DELETE', `/api/bank-transactions/${tx.id}/match`)).status, 409);
+
+    // Statements with matched credits stay
+    assert.strictEqual((await call('DELETE', `/api/bank-statements/${statementId}`)).status, 409);
+  });
+
+  await t.test('statements keep their condominium and payers from being deleted', async () => {
+    const fees = await upload(2, 'Data;Descrição;Montante\n2026-03-01;Comissão;-2,00');
+    assert.strictEqual(fees.status, 201);
+    assert.strictEqual((await call('DELETE', '/api/condominiums/2')).status, 409);
+    assert.strictEqual((await call('DELETE', `/api/bank-statements/${fees.body.statement.id}`)).status, 200);
+    assert.strictEqual((await call('DELETE', '/api/condominiums/2')).status, 200);
+
+    // Carla's credit names her once her payment, its receipt and fund share are gone
+    const tx = await q.get('SELECT id FROM bank_transactions WHERE amount_cents = 7700');
+    await call('POST', `/api/bank-transactions/${tx.id}/match`, { fracao_id: 1, user_id: 9 });
+    for (const table of ['payments', 'receipts', 'reserve_fund_movements']) await q.run(`DELETE FROM ${table} WHERE user_id = 9`);
+    assert.strictEqual((await call('DELETE', '/api/users/9')).status, 409);
+  });
+});
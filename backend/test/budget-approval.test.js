@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { startApp } = require('./helpers');
+
+test('budget approval at an assembleia', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+
+  const admin = await q.get("SELECT id FROM admins WHERE username = 'admin'");
+  await q.run('UPDATE admins SET must_change_password = 0 WHERE id = ?', [admin.id]);
+  const token = await app.sessionFor('admin', admin.id);
+  const call = (method, urlPath, body) => app.request(method, urlPath, { token, body });
+
+  await q.run("INSERT INTO condominiums (id, name) VALUES (1, 'Edifício A'), (2, 'Edifício B')");
+  await q.run("INSERT INTO users (id, nome, nif, password, must_change_password) VALUES (7, 'Ana', '100000001', 'x', 0), (8, 'Bruno', '100000002', 'x', 0)");
+  await q.run("INSERT INTO fracoes (id, condominium_id, identifier, permilagem) VALUES (1, 1, 'A', 600), (2, 1, 'B', 400)");
+  await q.run("INSERT INTO fracao_residents (fracao_id, user_id, role) VALUES (1, 7, 'owner'), (2, 8, 'owner')");
+  await q.run(`INSERT INTO assembleias (id, condominium_id, title, date, time, status) VALUES
+    (1, 1, 'Assembleia ordinária', '2026-01-15', '18:00', 'scheduled'), (2, 2, 'Assembleia B', '2026-01-16', '18:00', 'closed')`);
+  await q.run(`INSERT INTO assembleia_agenda_items (id, assembleia_id, position, title, majority) VALUES
+    (1, 1, 1, 'Orçamento 2026', 'simple'), (2, 1, 2, 'Obras na fachada', 'two_thirds'), (3, 1, 3, 'Informações', NULL),
+    (4, 2, 1, 'Orçamento 2026', 'simple')`);
+  await q.run("INSERT INTO assembleia_attendance (assembleia_id, fracao_id, status) VALUES (1, 1, 'present'), (1, 2, 'present')");
+  // A (600‰) for both items, B (400‰) against: the budget passes, the works (two thirds) do not
+  await q.run(`INSERT INTO assembleia_votes (assembleia_id, agenda_item_id, fracao_id, vote) VALUES
+    (1, 1, 1, 'for'), (1, 1, 2, 'against'), (1, 2, 1, 'for'), (1, 2, 2, 'against')`);
+
+  const created = await call('POST', '/api/condominiums/1/budgets', {
+    year: 2026, frequency: 'annual', lines: [{ description: 'Limpeza', category: 'limpeza', amount: 1200 }]
+  });
+  const budgetId = created.body.budget.id;
+  const approve = (body) => call('POST', `/api/budgets/${budgetId}/approve`, body);
+  const files = () => q.all('SELECT * FROM assembleia_files WHERE assembleia_id = 1');
+
+  await t.test('the assembleia has to be closed first', async () => {
+    assert.strictEqual((await approve({ assembleia_id: 1 })).status, 400);
+    const open = await approve({ assembleia_id: 1, agenda_item_id: 1 });
+    assert.strictEqual(open.status, 409);
+    assert.deepStrictEqual(await files(), []);
+
+    const closed = await call('PUT', '/api/assembleias/1', { title: 'Assembleia ordinária', date: '2026-01-15', time: '18:00', status: 'closed' });
+    assert.strictEqual(closed.status, 200);
+    assert.ok(closed.body.closed_at);
+  });
+
+  await t.test('only an agenda item that passed approves the budget', async () => {
+    assert.strictEqual((await approve({ assembleia_id: 1, agenda_item_id: 3 })).status, 400);
+    assert.strictEqual((await approve({ assembleia_id: 1, agenda_item_id: 4 })).status, 400);
+    assert.strictEqual((await approve({ assembleia_id: 2, agenda_item_id: 4 })).status, 400);
+    const rejected = await approve({ assembleia_id: 1, agenda_item_id: 2 });
+    assert.strictEqual(rejected.status, 409);
+    assert.strictEqual((await q.get('SELECT status FROM budgets WHERE id = ?', [budgetId])).status, 'draft');
+
+    const approved = await approve({ assembleia_id: 1, agenda_item_id: 1 });
+    assert.strictEqual(approved.status, 200);
+    assert.strictEqual(approved.body.budget.status, 'approved');
+    assert.deepStrictEqual(approved.body.budget.assembleia, { id: 1, title: 'Assembleia ordinária', date: '2026-01-15' });
+    const [pdf] = await files();
+    assert.strictEqual(pdf.id, approved.body.budget.document_id);
+    assert.ok(fs.existsSync(pdf.file_path));
+  });
+
+  await t.test('a budget is approved once', async () => {
+    assert.strictEqual((await approve({ assembleia_id: 1, agenda_item_id: 1 })).status, 409);
+    assert.strictEqual((await files()).length, 1);
+    // Nor can its assembleia go while it stands for the budget
+    assert.strictEqual((await call('DELETE', '/api/assembleias/1')).status, 409);
+  });
+
+  await t.test('reopening removes the approved PDF', async () => {
+    const [pdf] = await files();
+    const reopened = await call('POST', `/api/budgets/${budgetId}/reopen`);
+    assert.strictEqual(reopened.status, 200);
+    assert.strictEqual(reopened.body.budget.status, 'draft');
+    assert.strictEqual(reopened.body.budget.assembleia, null);
+    assert.deepStrictEqual(await files(), []);
+    // The file goes after the answer
+    for (let i = 0; i < 40 && fs.existsSync(pdf.file_path); i++) await new Promise((resolve) => setTimeout(resolve, 25));
+    assert.strictEqual(fs.existsSync(pdf.file_path), false);
+    assert.strictEqual((await call('POST', `/api/budgets/${budgetId}/reopen`)).status, 409);
+  });
+
+  await t.test('a billed budget is not reopened', async () => {
+    assert.strictEqual((await approve({ assembleia_id: 1, agenda_item_id: 1 })).status, 200);
+    assert.strictEqual((await call('POST', '/api/condominiums/1/billing-runs', { budget_id: budgetId, period: '2026' })).status, 201);
+    assert.strictEqual((await call('POST', `/api/budgets/${budgetId}/reopen`)).status, 409);
+    assert.strictEqual((await call('DELETE', `/api/budgets/${budgetId}`)).status, 409);
+  });
+});
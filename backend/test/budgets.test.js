@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { openDatabase } = require('./helpers');
+const { allocate } = require('../money');
+
+const units = [{ permilagem: 125.5 }, { permilagem: 374.5 }, { permilagem: 500 }, { permilagem: null }];
+
+test('budget shares', async (t) => {
+  const { db, dbPath, close } = await openDatabase();
+  t.after(close);
+  const transaction = require('../transactions')(dbPath);
+  const fracoes = require('../fracoes')(db, { transaction });
+  const { yearlyShares } = require('../budgets')(db, { transaction, fracoes, uploadsDir: null });
+
+  await t.test('yearlyShares splits each line by permilagem or equally', () => {
+    const shares = yearlyShares([
+      { amount_cents: 100000, split: 'permilagem' },
+      { amount_cents: 1000, split: 'equal' }
+    ], units);
+    assert.deepStrictEqual(shares, [
+      [12550, 250],
+      [37450, 250],
+      [50000, 250],
+      [0, 250]
+    ]);
+  });
+
+  await t.test('yearlyShares gives every cent of a line to some unit', () => {
+    const lines = [
+      { amount_cents: 123457, split: 'permilagem' },
+      { amount_cents: 99999, split: 'equal' },
+      { amount_cents: 1, split: 'permilagem' }
+    ];
+    const shares = yearlyShares(lines, units);
+    lines.forEach((line, l) => {
+      assert.strictEqual(shares.reduce((sum, unit) => sum + unit[l], 0), line.amount_cents);
+    });
+  });
+
+  await t.test('a yearly share spread over the quotas of the year adds up to the share', () => {
+    // As quotas.js bills each period: allocate(share, quotas)[period]
+    for (const [share, quotas] of [[12550, 12], [37451, 4], [7, 12], [100001, 2]]) {
+      const periods = Array.from({ length: quotas }, (_, period) => allocate(share, new Array(quotas).fill(1))[period]);
+      assert.strictEqual(periods.reduce((sum, c) => sum + c, 0), share);
+      assert.ok(Math.max(...periods) - Math.min(...periods) <= 1);
+    }
+  });
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcrypt');
+const { startApp } = require('./helpers');
+
+// Default of login-throttle.js
+const MAX_FAILURES = 5;
+
+test('resident password change', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+
+  await q.run("INSERT INTO users (id, nome, nif, password, must_change_password) VALUES (7, 'Ana', '123456789', ?, 1)", [await bcrypt.hash('antiga', 4)]);
+  const change = (nif, currentPassword) => app.request('POST', '/api/change-password', { body: { nif, currentPassword, newPassword: 'nova-password' } });
+  // Lets the next attempt through without waiting for the delay
+  const skipDelay = () => q.run("UPDATE login_lockouts SET next_attempt_at = datetime('now', '-1 second')");
+
+  await t.test('an unknown NIF and a wrong password get the same answer', async () => {
+    const unknown = await change('999999990', 'antiga');
+    await skipDelay();
+    const wrong = await change('123456789', 'errada');
+    assert.strictEqual(unknown.status, 401);
+    assert.deepStrictEqual(unknown.body, wrong.body);
+    assert.strictEqual(wrong.status, 401);
+  });
+
+  await t.test('the right password changes it and clears the series', async () => {
+    await skipDelay();
+    const res = await change('123456789', 'antiga');
+    assert.strictEqual(res.status, 200);
+    const user = await q.get('SELECT password, must_change_password FROM users WHERE id = 7');
+    assert.strictEqual(user.must_change_password, 0);
+    assert.strictEqual(await bcrypt.compare('nova-password', user.password), true);
+    assert.strictEqual(await q.get("SELECT * FROM login_lockouts WHERE identifier = '123456789'"), undefined);
+  });
+
+  await t.test('guessing locks the account for the login too', async () => {
+    for (let i = 0; i < MAX_FAILURES; i++) {
+      await skipDelay();
+      assert.strictEqual((await change('123456789', `palpite${i}`)).status, 401, `attempt ${i + 1}`);
+    }
+    await skipDelay();
+    const locked = await change('123456789', 'nova-password');
+    assert.strictEqual(locked.status, 429);
+    assert.strictEqual(locked.body.code, 'LOGIN_LOCKED');
+    const login = await app.request('POST', '/api/login', { body: { nif: '123456789', password: 'nova-password' } });
+    assert.strictEqual(login.status, 429);
+  });
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+test('the condominium list is scoped to the caller', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+
+  await q.run(`INSERT INTO condominiums (id, name, nipc, sepa_creditor_id, sepa_iban)
+               VALUES (1, 'Edifício A', '501111111', 'PT00ZZZ111', 'PT50000201231234567890154'), (2, 'Edifício B', '502222222', NULL, NULL)`);
+  await q.run("INSERT INTO users (id, nome, nif, password, must_change_password) VALUES (7, 'Ana', '123456789', 'x', 0)");
+  await q.run("INSERT INTO user_condominiums (user_id, condominium_id, apartment) VALUES (7, 1, 'A')");
+  await q.run("INSERT INTO maintenance_users (id, username, password, nome, must_change_password) VALUES (50, 'tecnico', 'x', 'Técnico', 0)");
+  const admin = await q.get("SELECT id FROM admins WHERE username = 'admin'");
+  await q.run('UPDATE admins SET must_change_password = 0 WHERE id = ?', [admin.id]);
+  await q.run("INSERT INTO ocorrencias (condominium_id, title, description, created_by_admin, assigned_to_maintenance) VALUES (2, 'Elevador', 'Parado', ?, 50)", [admin.id]);
+
+  await t.test('a resident sees the public columns of their condominiums', async () => {
+    const res = await app.request('GET', '/api/condominiums', { token: await app.sessionFor('resident', 7) });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body, [{ id: 1, name: 'Edifício A' }]);
+  });
+
+  await t.test('maintenance sees the condominiums of its assignments', async () => {
+    const res = await app.request('GET', '/api/condominiums', { token: await app.sessionFor('maintenance', 50) });
+    assert.deepStrictEqual(res.body, [{ id: 2, name: 'Edifício B' }]);
+  });
+
+  await t.test('an admin sees every column', async () => {
+    const res = await app.request('GET', '/api/condominiums', { token: await app.sessionFor('admin', admin.id) });
+    assert.deepStrictEqual(res.body.map(c => c.id), [1, 2]);
+    assert.strictEqual(res.body[0].sepa_iban, 'PT50000201231234567890154');
+  });
+});
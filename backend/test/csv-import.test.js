@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+test('resident imports', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+
+  const admin = await q.get("SELECT id FROM admins WHERE username = 'admin'");
+  await q.run('UPDATE admins SET must_change_password = 0 WHERE id = ?', [admin.id]);
+  const token = await app.sessionFor('admin', admin.id);
+  const call = (method, urlPath, body) => app.request(method, urlPath, { token, body });
+
+  /** Counts what an import into `condominium` may have written. */
+  async function written(nifs, condominium) {
+    const marks = nifs.map(() => '?').join(',');
+    return {
+      users: (await q.get(`SELECT COUNT(*) AS n FROM users WHERE nif IN (${marks})`, nifs)).n,
+      condominiums: (await q.get('SELECT COUNT(*) AS n FROM condominiums WHERE name = ?', [condominium])).n,
+      fracoes: (await q.get('SELECT COUNT(*) AS n FROM fracoes f JOIN condominiums c ON c.id = f.condominium_id WHERE c.name = ?', [condominium])).n
+    };
+  }
+
+  await t.test('a job is resumed by its id at every step', async () => {
+    const created = await call('POST', '/api/admin/imports', {
+      rows: [
+        { NIF: '123456789', Nome: 'Ana Silva', Grupo: 'Edifício Norte - 1A' },
+        { NIF: '', Nome: 'Sem NIF', Grupo: 'Edifício Norte - 1B' },
+        { NIF: '223456780', Nome: 'Bruno Costa', Grupo: 'Edifício Norte - 2A' }
+      ]
+    });
+    assert.strictEqual(created.status, 201);
+    const { id } = created.body;
+
+    // Later requests only know the id
+    const stored = await call('GET', `/api/admin/imports/${id}`);
+    assert.strictEqual(stored.body.job.status, 'uploaded');
+    assert.strictEqual(stored.body.total_rows, 3);
+
+    const simulated = await call('POST', `/api/admin/imports/${id}/dry-run`);
+    assert.strictEqual(simulated.status, 200);
+    assert.strictEqual(simulated.body.create, 2);
+    assert.strictEqual(simulated.body.error, 1);
+    assert.strictEqual(simulated.body.condominiums_created, 1);
+    assert.deepStrictEqual(await written(['123456789', '223456780'], 'Edifício Norte'), { users: 0, condominiums: 0, fracoes: 0 });
+
+    const resumed = await call('GET', `/api/admin/imports/${id}`);
+    assert.strictEqual(resumed.body.job.status, 'validated');
+    assert.strictEqual(resumed.body.job.dry_run.create, 2);
+    const report = await call('GET', `/api/admin/imports/${id}/errors.csv`);
+    assert.match(report.body, /^Linha;NIF;Nome/);
+    assert.match(report.body, /NIF em falta/);
+
+    const committed = await call('POST', `/api/admin/imports/${id}/commit`);
+    assert.strictEqual(committed.status, 200);
+    assert.strictEqual(committed.body.users_created, 2);
+    assert.strictEqual(committed.body.changed, false);
+    assert.deepStrictEqual(await written(['123456789', '223456780'], 'Edifício Norte'), { users: 2, condominiums: 1, fracoes: 2 });
+    assert.strictEqual((await call('GET', `/api/admin/imports/${id}`)).body.job.status, 'committed');
+    assert.strictEqual((await call('POST', `/api/admin/imports/${id}/commit`)).status, 409);
+  });
+
+  await t.test('a commit failing partway writes nothing', async () => {
+    const nifs = ['323456781', '423456782', '523456783'];
+    const created = await call('POST', '/api/admin/imports', {
+      rows: nifs.map((nif, i) => ({ NIF: nif, Nome: `Condómino ${i + 1}`, Grupo: `Edifício Sul - ${i + 1}A` }))
+    });
+    const { id } = created.body;
+    assert.strictEqual((await call('POST', `/api/admin/imports/${id}/dry-run`)).body.create, 3);
+
+    // The third resident cannot be written: the condominium, units and the first two are already in
+    await q.run(`CREATE TRIGGER fail_import BEFORE INSERT ON users WHEN NEW.nif = '${nifs[2]}'
+                 BEGIN SELECT RAISE(ABORT, 'disco cheio'); END`);
+    const failed = await call('POST', `/api/admin/imports/${id}/commit`);
+    assert.strictEqual(failed.status, 500);
+    assert.deepStrictEqual(await written(nifs, 'Edifício Sul'), { users: 0, condominiums: 0, fracoes: 0 });
+    const job = (await call('GET', `/api/admin/imports/${id}`)).body.job;
+    assert.strictEqual(job.status, 'failed');
+    assert.match(job.error, /disco cheio/);
+
+    // Once the cause is gone the same job is simulated and committed again
+    await q.run('DROP TRIGGER fail_import');
+    assert.strictEqual((await call('POST', `/api/admin/imports/${id}/dry-run`)).status, 200);
+    assert.strictEqual((await call('POST', `/api/admin/imports/${id}/commit`)).body.users_created, 3);
+    assert.deepStrictEqual(await written(nifs, 'Edifício Sul'), { users: 3, condominiums: 1, fracoes: 3 });
+  });
+});
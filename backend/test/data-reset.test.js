@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { startApp } = require('./helpers');
+
+// Tables the data below fills (all are replaced by a reset)
+const TABLES = ['condominiums', 'users', 'user_condominiums', 'fracoes', 'fracao_residents', 'password_reset_tokens', 'import_jobs'];
+
+test('reset-and-import and snapshots', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+
+  const admin = await q.get("SELECT id FROM admins WHERE username = 'admin'");
+  await q.run('UPDATE admins SET must_change_password = 0 WHERE id = ?', [admin.id]);
+  const token = await app.sessionFor('admin', admin.id);
+  const call = (method, urlPath, body) => app.request(method, urlPath, { token, body });
+
+  await q.run("INSERT INTO condominiums (id, name) VALUES (1, 'Edifício A'), (2, 'Edifício B')");
+  await q.run(`INSERT INTO users (id, nome, nif, password, email1, must_change_password)
+               VALUES (7, 'Ana', '123456789', 'x', 'ana@example.pt', 0), (8, 'Bruno', '223456780', 'y', NULL, 1)`);
+  await q.run("INSERT INTO user_condominiums (user_id, condominium_id, apartment) VALUES (7, 1, '1A'), (8, 2, 'R/C')");
+  await q.run("INSERT INTO fracoes (id, condominium_id, identifier, permilagem) VALUES (1, 1, '1A', 250.5), (2, 2, 'R/C', 100)");
+  await q.run("INSERT INTO fracao_residents (fracao_id, user_id, role) VALUES (1, 7, 'owner'), (2, 8, 'tenant')");
+  await q.run("INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (7, 'abc', datetime('now', '+1 hour'))");
+  await call('POST', '/api/admin/imports', { rows: [{ NIF: '323456781', Nome: 'Por importar' }] });
+
+  /** Every row of the tables above, in insertion order. */
+  async function dump() {
+    const rows = {};
+    for (const table of TABLES) rows[table] = (await q.all(`SELECT * FROM ${table} ORDER BY rowid`)).map(r => ({ ...r }));
+    return rows;
+  }
+  const before = await dump();
+  const snapshotFiles = () => (fs.existsSync(process.env.SNAPSHOTS_DIR) ? fs.readdirSync(process.env.SNAPSHOTS_DIR) : []);
+  const reset = (users) => call('POST', '/api/reset-and-import', { users, confirmation: 'APAGAR TODOS OS DADOS' });
+  const imported = [{ NIF: '523456783', Nome: 'Carla', Grupo: 'Edifício Novo - 2B' }, { NIF: '623456784', Nome: 'Duarte', Grupo: 'Edifício Novo - 3C' }];
+
+  await t.test('the confirmation phrase is required', async () => {
+    const res = await call('POST', '/api/reset-and-import', { users: imported, confirmation: 'sim' });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.code, 'CONFIRMATION_REQUIRED');
+    assert.deepStrictEqual(await dump(), before);
+  });
+
+  await t.test('a failed import leaves the previous rows exactly as they were', async () => {
+    // The second resident cannot be written, after every table was emptied and the first written
+    await q.run(`CREATE TRIGGER fail_import BEFORE INSERT ON users WHEN NEW.nif = '${imported[1].NIF}'
+                 BEGIN SELECT RAISE(ABORT, 'disco cheio'); END`);
+    const res = await reset(imported);
+    await q.run('DROP TRIGGER fail_import');
+    assert.strictEqual(res.status, 500);
+
+    const after = await dump();
+    // Only the failed job's own row is new
+    const failedJob = after.import_jobs.pop();
+    assert.strictEqual(failedJob.status, 'failed');
+    assert.deepStrictEqual(after, before);
+    // Its snapshot is not kept
+    assert.strictEqual((await q.get('SELECT COUNT(*) AS n FROM data_snapshots')).n, 0);
+    assert.deepStrictEqual(snapshotFiles(), []);
+    await q.run('DELETE FROM import_jobs WHERE id = ?', [failedJob.id]);
+  });
+
+  let snapshotId;
+  let resetJobId;
+  await t.test('a reset replaces every resident table, keeping only its own job', async () => {
+    const res = await reset(imported);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.importedUsers, 2);
+    assert.strictEqual(res.body.importedCondos, 1);
+    snapshotId = res.body.snapshot_id;
+    resetJobId = res.body.job_id;
+    assert.ok(snapshotId);
+
+    const after = await dump();
+    assert.deepStrictEqual(after.users.map(u => u.nif), ['523456783', '623456784']);
+    assert.deepStrictEqual(after.condominiums.map(c => c.name), ['Edifício Novo']);
+    assert.deepStrictEqual(after.password_reset_tokens, []);
+    assert.deepStrictEqual(after.import_jobs.map(j => j.id), [res.body.job_id]);
+    assert.strictEqual(snapshotFiles().length, 1);
+  });
+
+  await t.test('restoring the snapshot brings back the previous rows exactly', async () => {
+    assert.strictEqual((await call('POST', `/api/admin/snapshots/${snapshotId}/restore`, {})).status, 400);
+    const res = await call('POST', `/api/admin/snapshots/${snapshotId}/restore`, { confirmation: 'RESTAURAR' });
+    assert.strictEqual(res.status, 200);
+    const after = await dump();
+    // The snapshot was taken inside the reset, when its job was already stored
+    assert.strictEqual(after.import_jobs.pop().id, resetJobId);
+    assert.deepStrictEqual(after, before);
+
+    // The replaced data got its own snapshot
+    const list = await call('GET', '/api/admin/snapshots');
+    assert.deepStrictEqual(list.body.snapshots.map(s => s.reason), ['before-restore', 'reset-and-import']);
+    assert.ok(list.body.snapshots[1].restored_at);
+    assert.strictEqual(list.body.current.users, 2);
+  });
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { startApp } = require('./helpers');
+
+test('default accounts get generated passwords kept out of the logs', async (t) => {
+  const lines = [];
+  const { log } = console;
+  console.log = (...args) => { lines.push(args.join(' ')); log(...args); };
+  const app = await startApp();
+  console.log = log;
+  t.after(app.close);
+
+  const file = process.env.INITIAL_CREDENTIALS_FILE;
+  assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+  const credentials = Object.fromEntries(fs.readFileSync(file, 'utf8').trim().split('\n').map(l => l.split(' ').slice(1)));
+  assert.deepStrictEqual(Object.keys(credentials), ['admin', 'Manut', 'Manut2', 'Manut3']);
+  for (const password of Object.values(credentials)) {
+    assert.ok(!lines.some(l => l.includes(password)), 'a generated password was logged');
+  }
+
+  // The generated password must be changed at the first login
+  const res = await app.request('POST', '/api/maintenance/login', { body: { username: 'Manut', password: credentials.Manut } });
+  assert.strictEqual(res.status, 200);
+  const session = await app.request('GET', '/api/auth/session', { token: res.body.token });
+  assert.strictEqual(session.body.passwordChangePending, true);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+test('expense ledger', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+
+  const admin = await q.get("SELECT id FROM admins WHERE username = 'admin'");
+  await q.run('UPDATE admins SET must_change_password = 0 WHERE id = ?', [admin.id]);
+  const token = await app.sessionFor('admin', admin.id);
+  const call = (method, urlPath, body) => app.request(method, urlPath, { token, body });
+
+  await q.run("INSERT INTO condominiums (id, name) VALUES (1, 'Edifício A'), (2, 'Edifício B')");
+  await q.run(`INSERT INTO fracoes (id, condominium_id, identifier, type, permilagem) VALUES
+    (1, 1, 'A', 'habitacao', 500), (2, 1, 'B', 'habitacao', 300), (3, 1, 'G1', 'garagem', 150), (4, 1, 'G2', 'garagem', 50), (5, 2, 'A', 'habitacao', 1000)`);
+  await q.run(`INSERT INTO ocorrencias (id, condominium_id, title, description, status, created_by_admin) VALUES
+    (1, 1, 'Portão da garagem', 'Não fecha', 'pending', ?), (2, 2, 'Elevador', 'Parado', 'pending', ?)`, [admin.id, admin.id]);
+  const create = (body) => call('POST', '/api/condominiums/1/expenses', { supplier_name: 'Portões Lda', invoice_date: '2026-02-10', amount: 100, ...body });
+
+  let expenseId;
+  await t.test('an expense gets its VAT and total', async () => {
+    assert.strictEqual((await create({ supplier_name: ' ' })).status, 400);
+    assert.strictEqual((await create({ supplier_nif: '12345' })).status, 400);
+    assert.strictEqual((await create({ category: 'viagens' })).status, 400);
+    assert.strictEqual((await call('POST', '/api/condominiums/9/expenses', { supplier_name: 'X', invoice_date: '2026-02-10', amount: 1 })).status, 404);
+
+    const created = await create({ supplier_nif: 'PT 500 000 000', invoice_number: 'FT 2026/15', amount: '100,01', category: 'manutencao', ocorrencia_id: 1 });
+    assert.strictEqual(created.status, 201);
+    const expense = created.body.expense;
+    expenseId = expense.id;
+    assert.deepStrictEqual([expense.supplier_nif, expense.net, expense.vat_rate, expense.vat, expense.amount], ['500000000', 100.01, 23, 23, 123.01]);
+    assert.deepStrictEqual(expense.ocorrencia, { id: 1, title: 'Portão da garagem' });
+
+    // VAT as on the invoice
+    const stated = await create({ invoice_number: 'FT 2026/16', amount: '100,01', vat: '23,01' });
+    assert.deepStrictEqual([stated.body.expense.vat, stated.body.expense.amount], [23.01, 123.02]);
+  });
+
+  await t.test('an invoice is recorded once per supplier', async () => {
+    const again = await create({ supplier_nif: '500000000', invoice_number: 'FT 2026/15' });
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual(again.body.expense_id, expenseId);
+    // Without a NIF the name decides
+    assert.strictEqual((await create({ supplier_name: 'portões lda', invoice_number: 'FT 2026/16' })).status, 409);
+    assert.strictEqual((await create({ supplier_name: 'Outro', invoice_number: 'FT 2026/16' })).status, 201);
+  });
+
+  await t.test('links and units must belong to the condominium', async () => {
+    assert.strictEqual((await create({ ocorrencia_id: 2 })).status, 400);
+    assert.strictEqual((await create({ allocation: 'units', units: [1, 5] })).status, 400);
+    assert.strictEqual((await create({ allocation: 'units', units: [] })).status, 400);
+    assert.strictEqual((await create({ allocation: 'types', unit_types: ['piscina'] })).status, 400);
+  });
+
+  await t.test('the allocation shares the total between the units involved', async () => {
+    const all = (await call('GET', `/api/expenses/${expenseId}`)).body;
+    assert.deepStrictEqual(all.units.map(u => [u.identifier, u.amount]), [['A', 61.51], ['B', 36.9], ['G1', 18.45], ['G2', 6.15]]);
+
+    // Only the garages, by permilagem relative to them: 150 and 50 of 200
+    const garages = await call('PUT', `/api/expenses/${expenseId}`, { allocation: 'types', unit_types: 'garagem' });
+    assert.strictEqual(garages.status, 200);
+    assert.deepStrictEqual(garages.body.expense.units.map(u => [u.identifier, u.amount]), [['G1', 92.26], ['G2', 30.75]]);
+
+    const chosen = await call('PUT', `/api/expenses/${expenseId}`, { allocation: 'units', units: '[1,2]', split: 'equal' });
+    assert.deepStrictEqual(chosen.body.expense.units.map(u => [u.identifier, u.amount]), [['A', 61.51], ['B', 61.5]]);
+    assert.strictEqual(chosen.body.expense.units.reduce((sum, u) => sum + Math.round(u.amount * 100), 0), 12301);
+
+    await q.run('UPDATE fracoes SET permilagem = NULL WHERE id = 2');
+    const missing = await call('PUT', `/api/expenses/${expenseId}`, { split: 'permilagem' });
+    assert.ok(missing.body.expense.allocation_error);
+    await q.run('UPDATE fracoes SET permilagem = 300 WHERE id = 2');
+  });
+
+  await t.test('unpaid expenses are payables until paid', async () => {
+    const past = await create({ invoice_number: 'FT 2026/20', amount: 10, vat_rate: 0, due_date: '2026-01-01' });
+    const payables = (await call('GET', '/api/payables?condominium_id=1')).body;
+    assert.ok(payables.payables.find(p => p.id === past.body.expense.id).overdue);
+    assert.strictEqual(payables.totals.overdue, 10);
+
+    assert.strictEqual((await call('POST', `/api/expenses/${past.body.expense.id}/payment`, { method: 'bitcoin' })).status, 400);
+    const paid = await call('POST', `/api/expenses/${past.body.expense.id}/payment`, { paid_at: '2026-02-15', method: 'transfer', reference: 'TRF 1' });
+    assert.strictEqual(paid.status, 200);
+    assert.deepStrictEqual([paid.body.expense.status, paid.body.expense.overdue], ['paid', false]);
+    assert.strictEqual((await call('POST', `/api/expenses/${past.body.expense.id}/payment`, {})).status, 409);
+    assert.strictEqual((await call('GET', '/api/payables?condominium_id=1')).body.totals.overdue, 0);
+
+    const undone = await call('DELETE', `/api/expenses/${past.body.expense.id}/payment`);
+    assert.deepStrictEqual([undone.body.expense.status, undone.body.expense.paid_at], ['unpaid', null]);
+  });
+
+  await t.test('expenses keep their condominium from being deleted', async () => {
+    assert.strictEqual((await call('DELETE', '/api/condominiums/1')).status, 409);
+    const { expenses } = (await call('GET', '/api/condominiums/1/expenses')).body;
+    for (const expense of expenses) assert.strictEqual((await call('DELETE', `/api/expenses/${expense.id}`)).status, 200);
+    assert.strictEqual((await q.get('SELECT COUNT(*) AS n FROM expense_units')).n, 0);
+    assert.strictEqual((await call('DELETE', '/api/condominiums/1')).status, 200);
+  });
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+const inDays = (n) => new Date(Date.now() + n * 86400000).toISOString().slice(0, 10);
+
+test('receipts, statements and debt declarations', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+  const year = new Date().getFullYear();
+
+  const admin = await q.get("SELECT id FROM admins WHERE username = 'admin'");
+  await q.run('UPDATE admins SET must_change_password = 0 WHERE id = ?', [admin.id]);
+  const token = await app.sessionFor('admin', admin.id);
+  const call = (method, urlPath, body) => app.request(method, urlPath, { token, body });
+  const as = async (userId, method, urlPath, body) => app.request(method, urlPath, { token: await app.sessionFor('resident', userId), body });
+  const isPdf = (res) => res.status === 200 && res.headers.get('content-type') === 'application/pdf' && /^%PDF/.test(res.body);
+
+  await q.run("INSERT INTO condominiums (id, name, nipc) VALUES (1, 'Edifício A', '900000001'), (2, 'Edifício B', '900000002')");
+  await q.run(`INSERT INTO users (id, nome, nif, password, must_change_password) VALUES
+    (7, 'Ana', '100000001', 'x', 0), (8, 'Bruno', '100000002', 'x', 0), (9, 'Carla', '100000003', 'x', 0), (10, 'Duarte', '100000004', 'x', 0)`);
+  await q.run("INSERT INTO fracoes (id, condominium_id, identifier, permilagem) VALUES (1, 1, 'A', 600), (2, 1, 'B', 400), (3, 2, 'A', 1000)");
+  // Carla sold A to Ana on 1 January; Duarte is the contact of B
+  await q.run(`INSERT INTO fracao_residents (fracao_id, user_id, role, start_date, end_date) VALUES
+    (1, 9, 'owner', NULL, '2026-01-01'), (1, 7, 'owner', '2026-01-01', NULL), (2, 8, 'owner', NULL, NULL), (2, 10, 'contact', NULL, NULL)`);
+  await call('POST', '/api/fracoes/1/charges', { description: 'Quota de janeiro', amount: 100, issue_date: '2026-01-01', due_date: '2026-01-31' });
+  await call('POST', '/api/fracoes/1/charges', { description: 'Quota seguinte', amount: 100, issue_date: inDays(0), due_date: inDays(30) });
+  await call('POST', '/api/fracoes/1/payments', { amount: 30, paid_at: '2025-12-01', user_id: 9 });
+  const anaPaid = await call('POST', '/api/fracoes/1/payments', { amount: 20, paid_at: '2026-02-01', user_id: 7 });
+
+  await t.test('every payment gets the next receipt number of the condominium', async () => {
+    const receipts = (await call('GET', '/api/condominiums/1/receipts')).body;
+    assert.deepStrictEqual(receipts.map(r => [r.number, r.payer_name, r.amount]), [[`${year}/2`, 'Ana', 20], [`${year}/1`, 'Carla', 30]]);
+    assert.ok(isPdf(await call('GET', `/api/receipts/${receipts[0].id}/pdf`)));
+    assert.strictEqual((await call('GET', '/api/receipts/99/pdf')).status, 404);
+  });
+
+  await t.test('a resident sees the receipts of their unit since they hold it', async () => {
+    const mine = (await as(7, 'GET', '/api/users/7/receipts')).body;
+    assert.deepStrictEqual(mine.map(r => r.number), [`${year}/2`]);
+    const carlas = await q.get('SELECT id FROM receipts WHERE user_id = 9');
+    assert.strictEqual((await as(7, 'GET', `/api/users/7/receipts/${carlas.id}/pdf`)).status, 404);
+    assert.ok(isPdf(await as(7, 'GET', `/api/users/7/receipts/${mine[0].id}/pdf`)));
+    // Carla no longer holds the unit
+    assert.deepStrictEqual((await as(9, 'GET', '/api/users/9/receipts')).body, []);
+  });
+
+  await t.test("a resident's statement starts when they took the unit", async () => {
+    assert.strictEqual((await call('GET', '/api/fracoes/1/statement/pdf?from=2026-03-01&to=2026-02-01')).status, 400);
+    assert.ok(isPdf(await call('GET', '/api/fracoes/1/statement/pdf?from=2025-01-01')));
+
+    const own = await as(7, 'GET', '/api/users/7/fracoes/1/statement/pdf?from=2025-01-01');
+    assert.ok(isPdf(own));
+    assert.match(own.headers.get('content-disposition'), new RegExp(`extrato-A-2026-01-01-${inDays(0)}\\.pdf`));
+    assert.strictEqual((await as(7, 'GET', '/api/users/7/fracoes/1/statement/pdf?from=2025-01-01&to=2025-12-31')).status, 400);
+    assert.strictEqual((await as(7, 'GET', '/api/users/7/fracoes/2/statement/pdf')).status, 404);
+  });
+
+  await t.test('a debt declaration states the overdue debt at its date', async () => {
+    const declare = (body) => call('POST', '/api/fracoes/1/debt-declarations', body);
+    assert.strictEqual((await declare({ as_of: inDays(1) })).status, 400);
+    assert.strictEqual((await declare({ requested_by: 99 })).status, 404);
+
+    // 50 € paid against the January quota; the next one is not due yet
+    const today = await declare({ purpose: 'Venda da fração', requested_by: 7 });
+    assert.strictEqual(today.status, 201);
+    const declaration = today.body.declaration;
+    assert.deepStrictEqual(
+      [declaration.number, declaration.kind, declaration.owed, declaration.not_due, declaration.requested_by_name],
+      [`${year}/1`, 'debt', 50, 100, 'Ana']
+    );
+    const before = (await declare({ as_of: '2026-01-15' })).body.declaration;
+    assert.deepStrictEqual([before.number, before.kind, before.owed, before.not_due], [`${year}/2`, 'no_debt', 0, 70]);
+    assert.ok(isPdf(await call('GET', `/api/debt-declarations/${declaration.id}/pdf`)));
+
+    // Printed again, it says the same after the debt is paid
+    await call('POST', '/api/fracoes/1/payments', { amount: 50, user_id: 7 });
+    assert.deepStrictEqual((await call('GET', '/api/fracoes/1/debt-declarations')).body.map(d => d.owed), [0, 50]);
+  });
+
+  await t.test('owners and representatives ask for their own declarations', async () => {
+    const bruno = await as(8, 'POST', '/api/users/8/fracoes/2/debt-declarations', { purpose: 'Crédito' });
+    assert.strictEqual(bruno.status, 201);
+    assert.deepStrictEqual([bruno.body.declaration.kind, bruno.body.declaration.requested_by], ['no_debt', 8]);
+    assert.strictEqual((await as(10, 'POST', '/api/users/10/fracoes/2/debt-declarations')).status, 403);
+    assert.strictEqual((await as(7, 'POST', '/api/users/7/fracoes/2/debt-declarations')).status, 404);
+
+    assert.deepStrictEqual((await as(8, 'GET', '/api/users/8/debt-declarations')).body.map(d => d.identifier), ['B']);
+    const ana = (await as(7, 'GET', '/api/users/7/debt-declarations')).body;
+    assert.deepStrictEqual(ana.map(d => d.identifier), ['A', 'A']);
+    assert.strictEqual((await as(8, 'GET', `/api/users/8/debt-declarations/${ana[0].id}/pdf`)).status, 404);
+    assert.ok(isPdf(await as(8, 'GET', `/api/users/8/debt-declarations/${bruno.body.declaration.id}/pdf`)));
+  });
+
+  await t.test('documents of several units come as one PDF', async () => {
+    const documents = (body) => call('POST', '/api/condominiums/1/documents', body);
+    assert.strictEqual((await documents({ type: 'faturas' })).status, 400);
+    assert.strictEqual((await documents({ type: 'receipts', fracao_ids: [1, 3] })).status, 400);
+    assert.strictEqual((await documents({ type: 'receipts', from: '2020-01-01', to: '2020-12-31' })).status, 404);
+    assert.ok(isPdf(await documents({ type: 'receipts', from: '2025-01-01' })));
+    assert.ok(isPdf(await documents({ type: 'statements' })));
+
+    const issued = await q.get('SELECT COUNT(*) AS n FROM debt_declarations');
+    assert.ok(isPdf(await documents({ type: 'debt_declarations', purpose: 'Assembleia' })));
+    assert.strictEqual((await q.get('SELECT COUNT(*) AS n FROM debt_declarations')).n, issued.n + 2);
+  });
+
+  await t.test('receipts and declarations stay with their condominium and residents', async () => {
+    // A deleted payment leaves its receipt, cancelled
+    assert.strictEqual((await call('DELETE', `/api/payments/${anaPaid.body.payment.id}`)).status, 200);
+    const cancelled = (await call('GET', '/api/condominiums/1/receipts')).body.find(r => r.payment_id === anaPaid.body.payment.id);
+    assert.ok(cancelled.cancelled_at);
+    assert.ok(isPdf(await call('GET', `/api/receipts/${cancelled.id}/pdf`)));
+
+    // Bruno never paid, but asked for a declaration
+    assert.strictEqual((await call('DELETE', '/api/users/8')).status, 409);
+    await call('POST', '/api/fracoes/3/debt-declarations', {});
+    assert.strictEqual((await call('DELETE', '/api/condominiums/2')).status, 409);
+  });
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+test('relationships between residents and units', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+  const fracoes = require('../fracoes')(app.db, { transaction: require('../transactions')(app.dbPath) });
+
+  const admin = await q.get("SELECT id FROM admins WHERE username = 'admin'");
+  await q.run('UPDATE admins SET must_change_password = 0 WHERE id = ?', [admin.id]);
+  const token = await app.sessionFor('admin', admin.id);
+  const call = (method, urlPath, body) => app.request(method, urlPath, { token, body });
+
+  await q.run("INSERT INTO condominiums (id, name) VALUES (1, 'Edifício A')");
+  await q.run(`INSERT INTO users (id, nome, nif, password, must_change_password) VALUES
+    (7, 'Ana', '100000001', 'x', 0), (8, 'Bruno', '100000002', 'x', 0), (9, 'Carla', '100000003', 'x', 0),
+    (10, 'Duarte', '100000004', 'x', 0), (11, 'Eva', '100000005', 'x', 0), (12, 'Filipe', '100000006', 'x', 0)`);
+  await q.run("INSERT INTO fracoes (id, condominium_id, identifier, permilagem) VALUES (1, 1, 'A', 600), (2, 1, 'B', 400)");
+  const link = (fracaoId, body) => call('POST', `/api/fracoes/${fracaoId}/residents`, body);
+
+  await t.test('co-owners hold shares of at most 100% together', async () => {
+    assert.strictEqual((await link(1, { user_id: 7, role: 'owner', share: 60 })).status, 201);
+    assert.strictEqual((await link(1, { user_id: 8, role: 'owner', share: 50 })).status, 400);
+    assert.strictEqual((await link(1, { user_id: 8, role: 'owner', share: '40' })).status, 201);
+    assert.strictEqual((await link(1, { user_id: 10, role: 'tenant', share: 10 })).status, 400);
+    assert.strictEqual((await link(1, { user_id: 7, role: 'owner' })).status, 409);
+    assert.strictEqual((await link(1, { user_id: 10, role: 'landlord' })).status, 400);
+    assert.strictEqual((await link(1, { user_id: 99 })).status, 404);
+    // Linking to a unit makes the resident a member of the building
+    assert.strictEqual((await q.get('SELECT apartment FROM user_condominiums WHERE user_id = 8')).apartment, 'A');
+  });
+
+  await t.test('each purpose addresses the right party', async () => {
+    await link(2, { user_id: 9, role: 'owner' });
+    const sorted = async (purpose) => (await fracoes.recipients(purpose, [1])).sort((a, b) => a - b);
+    assert.deepStrictEqual(await sorted('notices'), [7, 8, 9]);
+
+    await link(1, { user_id: 10, role: 'tenant' });
+    await link(1, { user_id: 11, role: 'representative' });
+    await link(2, { user_id: 12, role: 'contact' });
+    // Tenants instead of the owners of let units; owners and representatives vote; the contact pays
+    assert.deepStrictEqual(await sorted('notices'), [9, 10]);
+    assert.deepStrictEqual(await sorted('assembleia'), [7, 8, 9, 11]);
+    assert.deepStrictEqual(await sorted('billing'), [7, 8, 12]);
+  });
+
+  await t.test('a transfer ends the owners and starts the new ones on its date', async () => {
+    assert.strictEqual((await call('POST', '/api/fracoes/1/transfer', { date: '2025-06-01', owners: [{ user_id: 9, share: 50 }, { user_id: 12, share: 40 }] })).status, 400);
+    assert.strictEqual((await call('POST', '/api/fracoes/1/transfer', { date: '2025-06-01', owners: [{ user_id: 99 }] })).status, 404);
+
+    const res = await call('POST', '/api/fracoes/1/transfer', { date: '2025-06-01', owners: [{ user_id: 9, share: 100 }] });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.previous_owners.sort(), [7, 8]);
+    const unit = (await call('GET', '/api/fracoes/1')).body;
+    assert.deepStrictEqual(unit.residents.filter(r => r.role === 'owner').map(r => r.user_id), [9]);
+    assert.deepStrictEqual(unit.history.map(r => [r.user_id, r.end_date]), [[7, '2025-06-01'], [8, '2025-06-01']]);
+    // Ana and Bruno leave the unit but stay members of the building
+    assert.strictEqual((await q.get('SELECT apartment FROM user_condominiums WHERE user_id = 7')).apartment, '');
+    assert.strictEqual((await q.get('SELECT apartment FROM user_condominiums WHERE user_id = 9')).apartment, 'A / B');
+  });
+
+  await t.test('a second transfer on the same date changes nothing', async () => {
+    const before = await q.all('SELECT * FROM fracao_residents ORDER BY id');
+    const res = await call('POST', '/api/fracoes/1/transfer', { date: '2025-06-01', owners: [{ user_id: 7 }] });
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(await q.all('SELECT * FROM fracao_residents ORDER BY id'), before);
+  });
+
+  await t.test("a deleted resident's relationships are ended, not deleted", async () => {
+    assert.strictEqual((await call('DELETE', '/api/users/10')).status, 200);
+    const today = new Date().toISOString().slice(0, 10);
+    const rows = await q.all('SELECT role, end_date FROM fracao_residents WHERE user_id = 10');
+    assert.deepStrictEqual(rows.map(r => ({ ...r })), [{ role: 'tenant', end_date: today }]);
+
+    const unit = (await call('GET', '/api/fracoes/1')).body;
+    assert.ok(!unit.residents.some(r => r.user_id === 10));
+    const ended = unit.history.find(r => r.user_id === 10);
+    assert.strictEqual(ended.nome, null);
+    assert.strictEqual(ended.role, 'tenant');
+    // Notices go back to the owner (Ana and Bruno are still members of the building with no unit)
+    assert.deepStrictEqual((await fracoes.recipients('notices', [1])).sort((a, b) => a - b), [7, 8, 9]);
+  });
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+test('units and their permilagem', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+  const fracoes = require('../fracoes')(app.db, { transaction: require('../transactions')(app.dbPath) });
+
+  const admin = await q.get("SELECT id FROM admins WHERE username = 'admin'");
+  await q.run('UPDATE admins SET must_change_password = 0 WHERE id = ?', [admin.id]);
+  const token = await app.sessionFor('admin', admin.id);
+  const call = (method, urlPath, body) => app.request(method, urlPath, { token, body });
+
+  await q.run("INSERT INTO condominiums (id, name) VALUES (1, 'Edifício A'), (2, 'Edifício B')");
+  await q.run("INSERT INTO users (id, nome, nif, password, must_change_password) VALUES (7, 'Ana', '123456789', 'x', 0)");
+  const ids = {};
+
+  await t.test('units are created with their fields, identifiers unique per condominium', async () => {
+    const a = await call('POST', '/api/condominiums/1/fracoes', { identifier: 'A', floor: 'R/C', type: 'habitacao', permilagem: '600,5', area: 80, artigo_matricial: 'U-1234' });
+    assert.strictEqual(a.status, 201);
+    assert.strictEqual(a.body.fracao.permilagem, 600.5);
+    assert.strictEqual(a.body.fracao.artigo_matricial, 'U-1234');
+    assert.deepStrictEqual(a.body.permilagem, { total: 600.5, expected: 1000, difference: 399.5, ok: false, units: 1, missing: 0 });
+    ids.A = a.body.fracao.id;
+    ids.G = (await call('POST', '/api/condominiums/1/fracoes', { identifier: 'G1', type: 'garagem' })).body.fracao.id;
+
+    assert.strictEqual((await call('POST', '/api/condominiums/1/fracoes', { identifier: 'a' })).status, 409);
+    assert.strictEqual((await call('POST', '/api/condominiums/2/fracoes', { identifier: 'A' })).status, 201);
+    assert.strictEqual((await call('POST', '/api/condominiums/1/fracoes', { identifier: 'Z', type: 'castelo' })).status, 400);
+    assert.strictEqual((await call('POST', '/api/condominiums/1/fracoes', { identifier: '' })).status, 400);
+    assert.strictEqual((await call('POST', '/api/condominiums/9/fracoes', { identifier: 'A' })).status, 404);
+  });
+
+  await t.test('a single edit may not take the condominium over 1000‰', async () => {
+    const over = await call('POST', '/api/condominiums/1/fracoes', { identifier: 'B', permilagem: 400 });
+    assert.strictEqual(over.status, 400);
+    assert.strictEqual((await call('PUT', `/api/fracoes/${ids.G}`, { permilagem: 399.6 })).status, 400);
+    const fits = await call('PUT', `/api/fracoes/${ids.G}`, { permilagem: 399.5 });
+    assert.strictEqual(fits.status, 200);
+    assert.strictEqual(fits.body.permilagem.ok, true);
+  });
+
+  await t.test('the bulk update only takes a complete split of exactly 1000‰', async () => {
+    ids.B = (await call('POST', '/api/condominiums/1/fracoes', { identifier: 'B' })).body.fracao.id;
+    const listed = await call('GET', '/api/condominiums/1/fracoes');
+    assert.deepStrictEqual(listed.body.fracoes.map(f => f.identifier), ['A', 'B', 'G1']);
+    assert.strictEqual(listed.body.permilagem.missing, 1);
+    assert.strictEqual(listed.body.permilagem.ok, false);
+
+    const missing = await call('PUT', '/api/condominiums/1/fracoes/permilagem', { fracoes: [{ id: ids.A, permilagem: 500 }] });
+    assert.strictEqual(missing.status, 400);
+    assert.match(missing.body.error, /B/);
+    const wrong = await call('PUT', '/api/condominiums/1/fracoes/permilagem', {
+      fracoes: [{ id: ids.A, permilagem: 500 }, { id: ids.B, permilagem: 200 }, { id: ids.G, permilagem: 200 }]
+    });
+    assert.strictEqual(wrong.status, 400);
+    assert.strictEqual(wrong.body.total, 900);
+    const other = (await call('GET', '/api/condominiums/2/fracoes')).body.fracoes[0].id;
+    assert.strictEqual((await call('PUT', '/api/condominiums/1/fracoes/permilagem', { fracoes: [{ id: other, permilagem: 1000 }] })).status, 400);
+
+    // Decimals are compared to three places
+    const exact = await call('PUT', '/api/condominiums/1/fracoes/permilagem', {
+      fracoes: [{ id: ids.A, permilagem: 333.334 }, { id: ids.B, permilagem: '333,333' }, { id: ids.G, permilagem: 333.333 }]
+    });
+    assert.strictEqual(exact.status, 200);
+    assert.strictEqual(exact.body.permilagem.ok, true);
+    assert.strictEqual(exact.body.permilagem.total, 1000);
+  });
+
+  await t.test('linking a resident creates the unit and keeps apartment as a summary', async () => {
+    await fracoes.linkResident(7, 1, 'A');
+    const created = await fracoes.linkResident(7, 1, 'C2');
+    const unit = await q.get("SELECT * FROM fracoes WHERE condominium_id = 1 AND identifier = 'C2'");
+    assert.strictEqual(unit.id, created);
+    assert.strictEqual(unit.permilagem, null);
+    assert.strictEqual((await q.get('SELECT apartment FROM user_condominiums WHERE user_id = 7 AND condominium_id = 1')).apartment, 'A / C2');
+
+    await fracoes.setResidentUnit(7, 1, 'B');
+    assert.strictEqual((await q.get('SELECT apartment FROM user_condominiums WHERE user_id = 7 AND condominium_id = 1')).apartment, 'B');
+    const units = await call('GET', '/api/users/7/fracoes');
+    assert.deepStrictEqual(units.body.map(f => f.identifier), ['B']);
+  });
+
+  await t.test('a unit with current residents is not deleted', async () => {
+    const refused = await call('DELETE', `/api/fracoes/${ids.B}`);
+    assert.strictEqual(refused.status, 409);
+    const c2 = await q.get("SELECT id FROM fracoes WHERE condominium_id = 1 AND identifier = 'C2'");
+    const deleted = await call('DELETE', `/api/fracoes/${c2.id}`);
+    assert.strictEqual(deleted.status, 200);
+    assert.strictEqual(deleted.body.permilagem.ok, true);
+    assert.strictEqual(await q.get('SELECT * FROM fracao_residents WHERE fracao_id = ?', [c2.id]), undefined);
+  });
+});
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+// Shared test setup: a migrated database in a temporary directory, the whole app served
+// over it, and stand-ins for the Express request/response a middleware sees.
+
+/**
+ * Opens a fresh database with every migration applied.
+ * @returns {Promise<{db: import('sqlite3').Database, dbPath: string, q: object, close: function(): Promise<void>}>}
+ */
+async function openDatabase() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'domusgest-test-'));
+  const dbPath = path.join(dir, 'test.db');
+  const db = await new Promise((resolve, reject) => {
+    const conn = new sqlite3.Database(dbPath, (err) => (err ? reject(err) : resolve(conn)));
+  });
+  db.configure('busyTimeout', 30000);
+  await require('../schema-migrations')(db).migrate();
+  return {
+    db,
+    dbPath,
+    q: require('../transactions').queries(db),
+    close: () => new Promise((resolve) => db.close(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      resolve();
+    }))
+  };
+}
+
+/**
+ * Serves server.js over a fresh database on a free port. server.js opens its database once per
+ * process, so a test file starts the app at most once.
+ * @returns {Promise<object>} openDatabase()'s fields plus `dir`, `request(method, path, { token, body })`,
+ *   `sessionFor(actorType, id)` (a Bearer token) and `close()`
+ */
+async function startApp() {
+  const database = await openDatabase();
+  const dir = path.dirname(database.dbPath);
+  Object.assign(process.env, {
+    DB_PATH: database.dbPath,
+    UPLOADS_DIR: path.join(dir, 'uploads'),
+    SNAPSHOTS_DIR: path.join(dir, 'snapshots'),
+    INITIAL_CREDENTIALS_FILE: path.join(dir, 'initial-credentials.txt')
+  });
+  const app = require('../server');
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, urlPath, { token, body } = {}) {
+    const headers = {};
+    if (token) headers.authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['content-type'] = 'application/json';
+    const res = await fetch(base + urlPath, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch (e) { json = text; }
+    return { status: res.status, body: json, headers: res.headers };
+  }
+
+  // Boot runs after the database opens: the schema check, then the default accounts, the last
+  // of which is Manut3 (their passwords go to the credentials file)
+  const booted = () => fs.existsSync(process.env.INITIAL_CREDENTIALS_FILE) &&
+    / Manut3 /.test(fs.readFileSync(process.env.INITIAL_CREDENTIALS_FILE, 'utf8'));
+  for (let i = 0; i < 400 && !booted(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+
+  const adminRoles = require('../admin-roles')(database.db, { transaction: require('../transactions')(database.dbPath) });
+  const sessions = require('../auth-sessions')(database.db, adminRoles);
+
+  return {
+    ...database,
+    dir,
+    base,
+    request,
+    sessionFor: async (actorType, id) => (await sessions.issueSession(actorType, id, null)).token,
+    close: async () => {
+      await new Promise((resolve) => server.close(resolve));
+      await database.close();
+    }
+  };
+}
+
+/** Runs a middleware; resolves with whether it called next() and what it answered otherwise. */
+async function run(middleware, req) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return { passed, status: res.statusCode, body: res.body };
+}
+
+module.exports = {
+  openDatabase,
+  startApp,
+  run
+};
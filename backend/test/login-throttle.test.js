@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { openDatabase } = require('./helpers');
+
+// Defaults of login-throttle.js
+const MAX_FAILURES = 5;
+const IP_MAX_FAILURES = 20;
+
+test('login throttle', async (t) => {
+  const { db, q, close } = await openDatabase();
+  t.after(close);
+  const throttle = require('../login-throttle')(db);
+
+  // Lets the next attempt through without waiting for the delay
+  const skipDelay = (identifier) => q.run("UPDATE login_lockouts SET next_attempt_at = datetime('now', '-1 second') WHERE identifier = ?", [identifier]);
+
+  await t.test('a single typo costs nothing, the next failure a delay', async () => {
+    const first = await throttle.check('resident', 'ana', '10.0.0.1');
+    assert.strictEqual(first.allowed, true);
+    await throttle.recordFailure(first, 'bad_credentials');
+    await skipDelay('ana');
+    const second = await throttle.check('resident', 'ana', '10.0.0.1');
+    assert.strictEqual(second.allowed, true);
+    await throttle.recordFailure(second, 'bad_credentials');
+
+    const third = await throttle.check('resident', 'ANA ', '10.0.0.1');
+    assert.strictEqual(third.allowed, false);
+    assert.strictEqual(third.code, 'LOGIN_THROTTLED');
+    assert.ok(third.retryAfter >= 1 && third.retryAfter <= 2);
+  });
+
+  await t.test('parallel attempts cannot all pass before a failure is recorded', async () => {
+    const gates = await Promise.all([...Array(8)].map(() => throttle.check('admin', 'bruno', '10.0.0.2')));
+    const allowed = gates.filter(g => g.allowed);
+    // The first costs nothing; the second, in the same second, is already charged 2s
+    assert.ok(allowed.length >= 1 && allowed.length <= 2, `${allowed.length} allowed`);
+    assert.ok(gates.filter(g => !g.allowed).every(g => g.code === 'LOGIN_THROTTLED'));
+    const row = await q.get("SELECT COUNT(*) AS n FROM login_attempts WHERE identifier = 'bruno' AND reason = 'too_fast'");
+    assert.strictEqual(row.n, 8 - allowed.length);
+  });
+
+  await t.test(`the account locks after ${MAX_FAILURES} failures`, async () => {
+    for (let i = 0; i < MAX_FAILURES; i++) {
+      await skipDelay('carla');
+      const gate = await throttle.check('maintenance', 'carla', null);
+      assert.strictEqual(gate.allowed, true, `attempt ${i + 1}`);
+      await throttle.recordFailure(gate, 'bad_credentials');
+    }
+    await skipDelay('carla');
+    const locked = await throttle.check('maintenance', 'carla', null);
+    assert.strictEqual(locked.allowed, false);
+    assert.strictEqual(locked.code, 'LOGIN_LOCKED');
+    assert.ok(locked.retryAfter > 14 * 60);
+
+    // A main admin lifts it
+    assert.strictEqual(await throttle.unlock('maintenance', 'carla'), true);
+    assert.strictEqual((await throttle.check('maintenance', 'carla', null)).allowed, true);
+  });
+
+  await t.test('a success clears the series', async () => {
+    await skipDelay('ana');
+    const gate = await throttle.check('resident', 'ana', '10.0.0.1');
+    assert.strictEqual(gate.allowed, true);
+    await throttle.recordSuccess(gate);
+    assert.strictEqual(await q.get("SELECT * FROM login_lockouts WHERE identifier = 'ana'"), undefined);
+    const attempt = await q.get('SELECT success, reason FROM login_attempts WHERE id = ?', [gate.attemptId]);
+    assert.deepStrictEqual({ ...attempt }, { success: 1, reason: null });
+  });
+
+  await t.test('an IP with too many failures is blocked for every account', async () => {
+    const ip = '10.0.0.3';
+    for (let i = 0; i < IP_MAX_FAILURES; i++) {
+      const gate = await throttle.check('resident', `user${i}`, ip);
+      assert.strictEqual(gate.allowed, true, `attempt ${i + 1}`);
+      await throttle.recordFailure(gate, 'bad_credentials');
+    }
+    const blocked = await throttle.check('resident', 'someone-else', ip);
+    assert.strictEqual(blocked.allowed, false);
+    assert.strictEqual(blocked.code, 'LOGIN_THROTTLED');
+    assert.strictEqual((await throttle.check('resident', 'someone-else', '10.0.0.4')).allowed, true);
+  });
+
+  await t.test('a blocked IP recovers once its failures leave the window, however often it retries', async () => {
+    const ip = '10.0.0.5';
+    for (let i = 0; i < IP_MAX_FAILURES; i++) {
+      await throttle.recordFailure(await throttle.check('resident', `other${i}`, ip), 'bad_credentials');
+    }
+    // The client keeps trying while blocked
+    for (let i = 0; i < IP_MAX_FAILURES + 5; i++) {
+      assert.strictEqual((await throttle.check('resident', `retry${i}`, ip)).allowed, false);
+    }
+    await q.run("UPDATE login_attempts SET created_at = datetime('now', '-16 minutes') WHERE ip = ? AND reason = 'bad_credentials'", [ip]);
+    assert.strictEqual((await throttle.check('resident', 'later', ip)).allowed, true);
+  });
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mailer = require('../mailer');
+
+/** Sends one message through the transport the environment selects; resolves with what was logged. */
+async function logged(env) {
+  const saved = { MAIL_TRANSPORT: process.env.MAIL_TRANSPORT, SMTP_HOST: process.env.SMTP_HOST };
+  const lines = [];
+  const { log, warn } = console;
+  console.log = console.warn = (...args) => lines.push(args.join(' '));
+  try {
+    delete process.env.MAIL_TRANSPORT;
+    delete process.env.SMTP_HOST;
+    Object.assign(process.env, env);
+    mailer.setTransport(null);
+    await mailer.sendMail({ to: 'ana@example.com', subject: 'Redefinição', text: 'token=segredo' });
+  } finally {
+    Object.assign(console, { log, warn });
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key]; else process.env[key] = value;
+    }
+    mailer.setTransport(null);
+  }
+  return lines.join('\n');
+}
+
+test('without SMTP nothing is sent and only the recipient and subject are logged', async () => {
+  const output = await logged({});
+  assert.match(output, /ana@example\.com/);
+  assert.match(output, /Redefinição/);
+  assert.doesNotMatch(output, /segredo/);
+});
+
+test('the body is only printed with MAIL_TRANSPORT=log', async () => {
+  assert.match(await logged({ MAIL_TRANSPORT: 'log' }), /token=segredo/);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toCents, toEuros, formatEuros, allocate } = require('../money');
+
+test('toCents reads euros in both notations', () => {
+  assert.strictEqual(toCents(12.5), 1250);
+  assert.strictEqual(toCents('12,50'), 1250);
+  assert.strictEqual(toCents('1 234,56 €'), 123456);
+  assert.strictEqual(toCents('1.234,56'), 123456);
+  assert.strictEqual(toCents('1,234.56'), 123456);
+  assert.strictEqual(toCents('-7'), -700);
+});
+
+test('toCents rounds further decimals half away from zero', () => {
+  // 1.005 * 100 is 100.49999... in floating point
+  assert.strictEqual(toCents('1.005'), 101);
+  assert.strictEqual(toCents('0,285'), 29);
+  assert.strictEqual(toCents('-1.005'), -101);
+  assert.strictEqual(toCents('2.004'), 200);
+});
+
+test('toCents rejects what is not an amount', () => {
+  for (const value of [null, undefined, '', 'abc', '1.2.3', '--5', '1,2,3']) {
+    assert.strictEqual(toCents(value), null, String(value));
+  }
+});
+
+test('toEuros and formatEuros', () => {
+  assert.strictEqual(toEuros(123456), 1234.56);
+  assert.strictEqual(toEuros(null), null);
+  assert.strictEqual(formatEuros(123456), '1 234,56 €');
+  assert.strictEqual(formatEuros(-5), '-0,05 €');
+});
+
+test('allocate splits exactly, leftover cents to the largest remainders', () => {
+  assert.deepStrictEqual(allocate(100, [1, 1, 1]), [34, 33, 33]);
+  assert.deepStrictEqual(allocate(1000, [250, 500, 250]), [250, 500, 250]);
+  assert.deepStrictEqual(allocate(10, [333, 333, 334]), [3, 3, 4]);
+  assert.deepStrictEqual(allocate(-100, [1, 1, 1]), [-34, -33, -33]);
+  assert.deepStrictEqual(allocate(100, [0, 0]), [0, 0]);
+});
+
+test('allocate parts always add up to the amount', () => {
+  const weights = [123.456, 87.5, 0, 300, 489.044];
+  for (const cents of [1, 99, 12345, 999999, -4567]) {
+    const parts = allocate(cents, weights);
+    assert.strictEqual(parts.reduce((sum, p) => sum + p, 0), cents);
+    assert.equal(parts[2], 0);
+  }
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+const mailer = require('../mailer');
+
+test('password reset by mailed link', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+
+  // Mail sink: keeps the messages, and lets a test wait for the next one
+  const inbox = [];
+  let delivered = () => {};
+  const sink = {
+    sendMail: async (message) => {
+      inbox.push(message);
+      delivered();
+      return { messageId: `sink-${inbox.length}` };
+    }
+  };
+  mailer.setTransport(sink);
+  t.after(() => mailer.setTransport(null));
+  const nextMail = () => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('no mail')), 2000);
+    delivered = () => { clearTimeout(timer); resolve(inbox[inbox.length - 1]); };
+  });
+  const tokenOf = (mail) => new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+  // Each request counts against the NIF; start every case with a clean series
+  const clearThrottle = () => q.run('DELETE FROM login_lockouts').then(() => q.run('DELETE FROM login_attempts'));
+
+  await q.run("INSERT INTO users (id, nome, nif, password, email1, must_change_password) VALUES (7, 'Ana', '123456789', 'x', 'ana@example.com', 1)");
+  const ask = (nif) => app.request('POST', '/api/password-reset/request', { body: { nif } });
+
+  await t.test('a known NIF gets a link, an unknown one the same answer and no mail', async () => {
+    await clearThrottle();
+    const mail = nextMail();
+    const known = await ask('123456789');
+    assert.strictEqual(known.status, 200);
+    assert.strictEqual((await mail).to, 'ana@example.com');
+
+    const unknown = await ask('999999990');
+    assert.deepStrictEqual(unknown, { ...unknown, status: 200, body: known.body });
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.strictEqual(inbox.length, 1);
+    // Only the hash of the token is stored
+    const row = await q.get('SELECT token_hash FROM password_reset_tokens WHERE user_id = 7');
+    assert.notStrictEqual(row.token_hash, tokenOf(inbox[0]));
+  });
+
+  await t.test('a failing mail server does not change the answer', async () => {
+    await clearThrottle();
+    let attempted;
+    const failed = new Promise((resolve) => { attempted = resolve; });
+    mailer.setTransport({ sendMail: async () => { attempted(); throw new Error('connection refused'); } });
+    const res = await ask('123456789');
+    await failed;
+    mailer.setTransport(sink);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.success, true);
+  });
+
+  await t.test('the link validates, sets the password once and ends the sessions', async () => {
+    await clearThrottle();
+    const mail = nextMail();
+    await ask('123456789');
+    const token = tokenOf(await mail);
+    const session = await app.sessionFor('resident', 7);
+
+    assert.strictEqual((await app.request('GET', `/api/password-reset/validate?token=${token}`)).body.valid, true);
+    const short = await app.request('POST', '/api/password-reset/confirm', { body: { token, newPassword: '123' } });
+    assert.strictEqual(short.status, 400);
+
+    const confirmed = await app.request('POST', '/api/password-reset/confirm', { body: { token, newPassword: 'nova-password' } });
+    assert.strictEqual(confirmed.status, 200);
+    const user = await q.get('SELECT must_change_password FROM users WHERE id = 7');
+    assert.strictEqual(user.must_change_password, 0);
+    assert.strictEqual((await app.request('GET', '/api/auth/session', { token: session })).status, 401);
+
+    // Spent
+    const reused = await app.request('POST', '/api/password-reset/confirm', { body: { token, newPassword: 'outra-password' } });
+    assert.strictEqual(reused.status, 400);
+    assert.strictEqual((await app.request('GET', `/api/password-reset/validate?token=${token}`)).status, 400);
+  });
+
+  await t.test('a new request invalidates the previous link', async () => {
+    await clearThrottle();
+    let mail = nextMail();
+    await ask('123456789');
+    const first = tokenOf(await mail);
+    await clearThrottle();
+    mail = nextMail();
+    await ask('123456789');
+    const second = tokenOf(await mail);
+    assert.strictEqual((await app.request('GET', `/api/password-reset/validate?token=${first}`)).status, 400);
+    assert.strictEqual((await app.request('GET', `/api/password-reset/validate?token=${second}`)).status, 200);
+  });
+
+  await t.test('an expired link is refused', async () => {
+    await clearThrottle();
+    const mail = nextMail();
+    await ask('123456789');
+    const token = tokenOf(await mail);
+    await q.run("UPDATE password_reset_tokens SET expires_at = datetime('now', '-1 minute') WHERE used_at IS NULL");
+    const res = await app.request('POST', '/api/password-reset/confirm', { body: { token, newPassword: 'nova-password' } });
+    assert.strictEqual(res.status, 400);
+  });
+
+  await t.test('repeated requests for one NIF are throttled like logins', async () => {
+    await clearThrottle();
+    const before = inbox.length;
+    const answers = [];
+    for (let i = 0; i < 6; i++) answers.push(await ask('123456789'));
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.ok(answers.every(a => a.status === 200 && a.body.success === true));
+    // The second request is free, like a single typo; the next ones must wait
+    assert.strictEqual(inbox.length - before, 2);
+    const attempts = await q.all("SELECT reason FROM login_attempts WHERE actor_type = 'password_reset'");
+    assert.deepStrictEqual(attempts.map(a => a.reason), ['reset_requested', 'reset_requested', 'too_fast', 'too_fast', 'too_fast', 'too_fast']);
+  });
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+test('quota billing, payments and balances', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+
+  const admin = await q.get("SELECT id FROM admins WHERE username = 'admin'");
+  await q.run('UPDATE admins SET must_change_password = 0 WHERE id = ?', [admin.id]);
+  const token = await app.sessionFor('admin', admin.id);
+  const call = (method, urlPath, body) => app.request(method, urlPath, { token, body });
+
+  await q.run("INSERT INTO condominiums (id, name) VALUES (1, 'Edifício A'), (2, 'Edifício B')");
+  await q.run(`INSERT INTO users (id, nome, nif, password, must_change_password) VALUES
+    (7, 'Ana', '100000001', 'x', 0), (8, 'Bruno', '100000002', 'x', 0), (9, 'Carla', '100000003', 'x', 0)`);
+  await q.run("INSERT INTO fracoes (id, condominium_id, identifier, permilagem) VALUES (1, 1, 'A', 600), (2, 1, 'B', 400), (3, 2, 'A', 1000)");
+  // Ana owns A; Carla owned it until last year; Bruno never held a unit of the building
+  await q.run(`INSERT INTO fracao_residents (fracao_id, user_id, role, start_date, end_date) VALUES
+    (1, 7, 'owner', '2025-01-01', NULL), (1, 9, 'owner', NULL, '2025-01-01')`);
+
+  let budgetId;
+  await t.test('an approved budget is billed per period, split to the cent', async () => {
+    const created = await call('POST', '/api/condominiums/1/budgets', {
+      year: 2026,
+      frequency: 'quarterly',
+      lines: [
+        { description: 'Limpeza', category: 'limpeza', amount: '1000,01', split: 'permilagem' },
+        { description: 'Seguro', category: 'seguro', amount: 200, split: 'equal' }
+      ]
+    });
+    assert.strictEqual(created.status, 201);
+    budgetId = created.body.budget.id;
+    assert.strictEqual(created.body.budget.total, 1200.01);
+
+    const draft = await call('POST', '/api/condominiums/1/billing-runs/preview', { budget_id: budgetId, period: '2026-Q1' });
+    assert.strictEqual(draft.status, 409);
+    // As approving it at an assembleia does
+    await q.run("UPDATE budgets SET status = 'approved' WHERE id = ?", [budgetId]);
+    assert.strictEqual((await call('POST', '/api/condominiums/1/billing-runs/preview', { budget_id: budgetId, period: '2026-03' })).status, 400);
+
+    const preview = await call('POST', '/api/condominiums/1/billing-runs/preview', { budget_id: budgetId, period: '2026-Q1' });
+    assert.strictEqual(preview.status, 200);
+    // A: 600‰ of 1000,01 € is 600,01 € a year (15001 + 15000 × 3 cents) plus 50 € of the equal split
+    assert.deepStrictEqual(preview.body.units.map(u => [u.identifier, u.amount]), [['A', 175.01], ['B', 125]]);
+    assert.strictEqual(preview.body.total, 300.01);
+    assert.deepStrictEqual(preview.body.units[0].billed_to.map(p => p.user_id), [7]);
+
+    assert.strictEqual((await call('POST', '/api/condominiums/1/billing-runs', { budget_id: budgetId, period: '2026-Q1' })).status, 201);
+    assert.strictEqual((await call('POST', '/api/condominiums/1/billing-runs', { budget_id: budgetId, period: '2026-Q1' })).status, 409);
+  });
+
+  await t.test('payments settle the balance of the unit', async () => {
+    const paid = await call('POST', '/api/fracoes/1/payments', { amount: '100,005', paid_at: '2026-02-01', user_id: 7 });
+    assert.strictEqual(paid.status, 201);
+    // Half a cent rounds away from zero
+    assert.strictEqual(paid.body.payment.amount, 100.01);
+    assert.deepStrictEqual(
+      { charged: paid.body.balance.charged, paid: paid.body.balance.paid, balance: paid.body.balance.balance },
+      { charged: 175.01, paid: 100.01, balance: 75 }
+    );
+    assert.strictEqual((await call('POST', '/api/fracoes/1/payments', { amount: 0 })).status, 400);
+  });
+
+  await t.test('a payment is attributed only to a current or former resident of the unit', async () => {
+    assert.strictEqual((await call('POST', '/api/fracoes/1/payments', { amount: 10, user_id: 99 })).status, 404);
+    const stranger = await call('POST', '/api/fracoes/1/payments', { amount: 10, user_id: 8 });
+    assert.strictEqual(stranger.status, 400);
+    assert.strictEqual((await call('POST', '/api/fracoes/1/payments', { amount: 10, user_id: 9 })).status, 201);
+    assert.strictEqual((await q.get('SELECT COUNT(*) AS n FROM payments WHERE user_id = 8')).n, 0);
+  });
+
+  await t.test('what the accounts refer to cannot be deleted', async () => {
+    assert.strictEqual((await call('DELETE', '/api/condominiums/1')).status, 409);
+    assert.strictEqual((await call('DELETE', '/api/users/7')).status, 409);
+    assert.strictEqual((await call('DELETE', `/api/budgets/${budgetId}`)).status, 409);
+    await q.run('DELETE FROM fracao_residents WHERE fracao_id = 1');
+    assert.strictEqual((await call('DELETE', '/api/fracoes/1')).status, 409);
+    assert.ok(await q.get('SELECT id FROM fracoes WHERE id = 1'));
+
+    // Without accounts they go
+    assert.strictEqual((await call('DELETE', '/api/users/8')).status, 200);
+    assert.strictEqual((await call('DELETE', '/api/condominiums/2')).status, 200);
+    assert.strictEqual(await q.get('SELECT id FROM fracoes WHERE condominium_id = 2'), undefined);
+  });
+});
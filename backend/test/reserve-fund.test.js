@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+test('reserve fund', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+
+  const admin = await q.get("SELECT id FROM admins WHERE username = 'admin'");
+  await q.run('UPDATE admins SET must_change_password = 0 WHERE id = ?', [admin.id]);
+  const token = await app.sessionFor('admin', admin.id);
+  const call = (method, urlPath, body) => app.request(method, urlPath, { token, body });
+
+  await q.run("INSERT INTO condominiums (id, name) VALUES (1, 'Edifício A'), (2, 'Edifício B')");
+  await q.run(`INSERT INTO users (id, nome, nif, password, must_change_password) VALUES
+    (7, 'Ana', '100000001', 'x', 0), (8, 'Bruno', '100000002', 'x', 0)`);
+  await q.run("INSERT INTO fracoes (id, condominium_id, identifier, permilagem) VALUES (1, 1, 'A', 600), (2, 1, 'B', 400)");
+  await q.run("INSERT INTO fracao_residents (fracao_id, user_id, role) VALUES (1, 7, 'owner'), (2, 8, 'owner')");
+  await q.run(`INSERT INTO assembleias (id, condominium_id, title, date, time, status) VALUES
+    (1, 1, 'Obras no telhado', '2026-03-01', '18:00', 'closed'), (2, 2, 'Assembleia B', '2026-03-02', '18:00', 'closed')`);
+  const fund = async () => (await call('GET', '/api/condominiums/1/reserve-fund?year=2026')).body;
+  const move = (body) => call('POST', '/api/condominiums/1/reserve-fund/movements', body);
+
+  await t.test('each payment sets aside the percentage over the other expenses', async () => {
+    const paid = await call('POST', '/api/fracoes/1/payments', { amount: 110, paid_at: '2026-02-01', user_id: 7 });
+    assert.strictEqual(paid.status, 201);
+    const state = await fund();
+    assert.strictEqual(state.balance, 10);
+    assert.deepStrictEqual(state.movements.map(m => [m.type, m.amount, m.payment_id]), [['contribution', 10, paid.body.payment.id]]);
+    assert.deepStrictEqual(state.contributions.map(c => [c.identifier, c.user_id, c.amount, c.owners.map(o => o.user_id)]), [['A', 7, 10, [7]]]);
+    assert.strictEqual(state.compliance.contributions_percent, 10);
+    assert.strictEqual(state.compliance.ok, true);
+
+    // Contributions follow their payments
+    assert.strictEqual((await call('DELETE', `/api/reserve-fund/movements/${state.movements[0].id}`)).status, 409);
+    assert.strictEqual((await call('DELETE', `/api/payments/${paid.body.payment.id}`)).status, 200);
+    assert.strictEqual((await fund()).balance, 0);
+    assert.strictEqual((await call('POST', '/api/fracoes/1/payments', { amount: 110, paid_at: '2026-02-01', user_id: 7 })).status, 201);
+  });
+
+  await t.test('a percentage below the legal minimum is warned about', async () => {
+    assert.strictEqual((await call('PUT', '/api/condominiums/1/reserve-fund', { percent: 120 })).status, 400);
+    assert.strictEqual((await call('PUT', '/api/condominiums/9/reserve-fund', { percent: 10 })).status, 404);
+    const lowered = await call('PUT', '/api/condominiums/1/reserve-fund', { percent: '5' });
+    assert.strictEqual(lowered.status, 200);
+    assert.ok(lowered.body.warning);
+
+    // 5 € of a 105 € payment: 15 € over 200 € of other expenses is 7,5%
+    await call('POST', '/api/fracoes/2/payments', { amount: 105, paid_at: '2026-02-02', user_id: 8 });
+    const { balance, compliance } = await fund();
+    assert.strictEqual(balance, 15);
+    assert.strictEqual(compliance.contributions_percent, 7.5);
+    assert.deepStrictEqual(compliance.warnings.map(w => w.code), ['percent_below_minimum', 'contributions_below_minimum']);
+    const alerts = (await call('GET', '/api/reserve-fund/alerts')).body.alerts;
+    assert.deepStrictEqual(alerts.map(a => a.condominium_id), [1]);
+    assert.ok(alerts[0].warnings.some(w => w.code === 'percent_below_minimum'));
+  });
+
+  await t.test('withdrawals need their assembleia and a balance that covers them', async () => {
+    assert.strictEqual((await move({ type: 'contribution', amount: 5 })).status, 400);
+    assert.strictEqual((await move({ type: 'withdrawal', amount: 5, date: '2026-03-05' })).status, 400);
+    assert.strictEqual((await move({ type: 'withdrawal', amount: 5, date: '2026-03-05', assembleia_id: 2 })).status, 400);
+    assert.strictEqual((await move({ type: 'withdrawal', amount: '15,01', date: '2026-03-05', assembleia_id: 1 })).status, 409);
+
+    const used = await move({ type: 'withdrawal', amount: 12, date: '2026-03-05', assembleia_id: 1 });
+    assert.strictEqual(used.status, 201);
+    assert.strictEqual(used.body.movement.amount, -12);
+    assert.strictEqual(used.body.balance, 3);
+    const last = (await fund()).movements.pop();
+    assert.deepStrictEqual([last.assembleia_title, last.balance], ['Obras no telhado', 3]);
+  });
+
+  await t.test('adjustments need a reason and cannot leave the fund negative', async () => {
+    assert.strictEqual((await move({ type: 'adjustment', amount: -1 })).status, 400);
+    assert.strictEqual((await move({ type: 'adjustment', amount: -4, description: 'Comissão bancária' })).status, 409);
+    const interest = await move({ type: 'interest', amount: 2, date: '2026-04-01' });
+    assert.strictEqual(interest.status, 201);
+    const adjusted = await move({ type: 'adjustment', amount: -4, description: 'Comissão bancária' });
+    assert.strictEqual(adjusted.status, 201);
+    assert.strictEqual(adjusted.body.balance, 1);
+
+    // Removing the interest would take the fund below zero
+    assert.strictEqual((await call('DELETE', `/api/reserve-fund/movements/${interest.body.movement.id}`)).status, 409);
+    assert.strictEqual((await call('DELETE', `/api/reserve-fund/movements/${adjusted.body.movement.id}`)).status, 200);
+    assert.strictEqual((await fund()).balance, 5);
+  });
+
+  await t.test('the fund keeps its condominium and payers from being deleted', async () => {
+    await q.run(`INSERT INTO reserve_fund_movements (condominium_id, type, amount_cents, date, description)
+      VALUES (2, 'adjustment', 5000, '2026-01-01', 'Saldo inicial')`);
+    assert.strictEqual((await call('DELETE', '/api/condominiums/2')).status, 409);
+
+    // Only a fund contribution points at Bruno once his payment and its receipt are gone
+    await q.run('DELETE FROM payments WHERE user_id = 8');
+    await q.run('DELETE FROM receipts WHERE user_id = 8');
+    await q.run('DELETE FROM fracao_residents WHERE user_id = 8');
+    assert.strictEqual((await call('DELETE', '/api/users/8')).status, 409);
+    await q.run('DELETE FROM reserve_fund_movements WHERE user_id = 8');
+    assert.strictEqual((await call('DELETE', '/api/users/8')).status, 200);
+  });
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { openDatabase } = require('./helpers');
+
+test('every migration can be reverted and applied again', async (t) => {
+  const { db, q, close } = await openDatabase();
+  t.after(close);
+  const migrations = require('../schema-migrations')(db);
+  const tables = async () => (await q.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")).map(r => r.name);
+
+  const list = await migrations.status();
+  assert.ok(list.length > 0 && list.every(m => m.state === 'applied'));
+  assert.strictEqual((await migrations.check()).ok, true);
+  const schema = await tables();
+
+  const reverted = await migrations.rollback({ steps: list.length });
+  assert.deepStrictEqual(reverted, list.map(m => m.version).reverse());
+  assert.deepStrictEqual(await tables(), ['schema_migrations']);
+  const check = await migrations.check();
+  assert.strictEqual(check.ok, false);
+  assert.strictEqual(check.pending.length, list.length);
+
+  assert.deepStrictEqual(await migrations.migrate(), list.map(m => m.version));
+  assert.deepStrictEqual(await tables(), schema);
+});
+
+test('a failing migration is rolled back, recorded and blocks startup', async (t) => {
+  // An empty database and a migrations directory of its own
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'domusgest-migrations-'));
+  const db = new sqlite3.Database(path.join(dir, 'test.db'));
+  const q = require('../transactions').queries(db);
+  t.after(() => new Promise((resolve) => db.close(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    resolve();
+  })));
+  fs.writeFileSync(path.join(dir, '001_first.js'), `module.exports = {
+    up: (q) => q.run('CREATE TABLE first_table (id INTEGER)'),
+    down: (q) => q.run('DROP TABLE first_table')
+  };`);
+  fs.writeFileSync(path.join(dir, '002_broken.js'), `module.exports = {
+    up: async (q) => { await q.run('CREATE TABLE half_done (id INTEGER)'); await q.run('SELECT * FROM no_such_table'); },
+    down: (q) => q.run('DROP TABLE half_done')
+  };`);
+  const migrations = require('../schema-migrations')(db, { dir });
+
+  await assert.rejects(migrations.migrate(), /002_broken\.js failed: .*no_such_table/);
+  assert.deepStrictEqual((await migrations.status()).map(m => [m.version, m.state]), [[1, 'applied'], [2, 'failed']]);
+  assert.strictEqual(await q.get("SELECT name FROM sqlite_master WHERE name = 'half_done'"), undefined);
+  const check = await migrations.check();
+  assert.strictEqual(check.ok, false);
+  assert.deepStrictEqual(check.failed.map(m => m.version), [2]);
+
+  // Recorded but no longer on disk
+  fs.rmSync(path.join(dir, '002_broken.js'));
+  assert.deepStrictEqual((await migrations.status()).map(m => [m.version, m.state]), [[1, 'applied'], [2, 'missing']]);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+const inDays = (n) => new Date(Date.now() + n * 86400000).toISOString().slice(0, 10);
+
+test('SEPA direct debits', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { q } = app;
+
+  const admin = await q.get("SELECT id FROM admins WHERE username = 'admin'");
+  await q.run('UPDATE admins SET must_change_password = 0 WHERE id = ?', [admin.id]);
+  const token = await app.sessionFor('admin', admin.id);
+  const call = (method, urlPath, body) => app.request(method, urlPath, { token, body });
+
+  await q.run("INSERT INTO condominiums (id, name) VALUES (1, 'Edifício A'), (2, 'Edifício B')");
+  await q.run(`INSERT INTO users (id, nome, nif, password, must_change_password) VALUES
+    (7, 'Ana Araújo', '100000001', 'x', 0), (8, 'Bruno Costa', '100000002', 'x', 0), (9, 'Carla Dias', '100000003', 'x', 0)`);
+  await q.run("INSERT INTO fracoes (id, condominium_id, identifier, permilagem) VALUES (1, 1, 'A', 600), (2, 1, 'B', 400), (3, 2, 'A', 1000)");
+  await q.run("INSERT INTO fracao_residents (fracao_id, user_id, role) VALUES (1, 7, 'owner'), (2, 8, 'owner'), (2, 9, 'tenant'), (3, 9, 'owner')");
+  for (const [fracaoId, amount] of [[1, 50], [2, 30]]) {
+    await call('POST', `/api/fracoes/${fracaoId}/charges`, { description: 'Quota', amount, due_date: inDays(-1), issue_date: inDays(-30) });
+  }
+  const mandate = (fracaoId, body) => call('POST', `/api/fracoes/${fracaoId}/sepa-mandates`, { iban: 'PT50 0002 0123 1234 5678 9015 4', ...body });
+  const batch = (body) => call('POST', '/api/condominiums/1/sepa-batches', { collection_date: inDays(2), ...body });
+  const balanceOf = async (fracaoId) => (await call('GET', `/api/fracoes/${fracaoId}/ledger`)).body.balance;
+
+  await t.test('the condominium needs its creditor identifier and account', async () => {
+    assert.strictEqual((await call('POST', '/api/condominiums/1/sepa-batches/preview', { collection_date: inDays(2) })).status, 409);
+    assert.strictEqual((await call('PUT', '/api/condominiums/1/sepa', { creditor_id: 'PT12ZZZ123456' })).status, 400);
+    assert.strictEqual((await call('PUT', '/api/condominiums/1/sepa', { iban: 'PT50000201231234567890155' })).status, 400);
+    const saved = await call('PUT', '/api/condominiums/1/sepa', { creditor_id: 'pt73 zzz 123456', iban: 'DE89 3704 0044 0532 0130 00', bic: 'COBADEFFXXX' });
+    assert.strictEqual(saved.status, 200);
+    assert.deepStrictEqual([saved.body.creditor_id, saved.body.iban, saved.body.ready], ['PT73ZZZ123456', 'DE89370400440532013000', true]);
+  });
+
+  let mandateA;
+  await t.test('a mandate is signed by a person responsible for the unit', async () => {
+    assert.strictEqual((await mandate(1, { user_id: 7, iban: 'PT50000201231234567890155' })).status, 400);
+    assert.strictEqual((await mandate(1, { user_id: 7, signed_at: inDays(1) })).status, 400);
+    // A tenant does not pay the quotas
+    assert.strictEqual((await mandate(2, { user_id: 9 })).status, 400);
+
+    const signed = await mandate(1, { user_id: 7 });
+    assert.strictEqual(signed.status, 201);
+    mandateA = signed.body.mandate;
+    assert.deepStrictEqual([mandateA.reference, mandateA.debtor_name, mandateA.iban_masked, mandateA.next_sequence], ['C1F1M1', 'Ana Araujo', 'PT50 •••• 0154', 'FRST']);
+    assert.strictEqual((await mandate(1, { user_id: 7 })).status, 409);
+    assert.strictEqual((await mandate(2, { user_id: 8, reference: 'C1F1M1' })).status, 409);
+    assert.strictEqual((await mandate(2, { user_id: 8 })).status, 201);
+    // Unused, it can still be corrected
+    assert.strictEqual((await call('PUT', `/api/sepa-mandates/${mandateA.id}`, { bic: 'CGDIPTPL' })).status, 200);
+  });
+
+  let first;
+  await t.test('a batch collects what each unit owes and records the payments', async () => {
+    assert.strictEqual((await batch({ collection_date: inDays(0) })).status, 400);
+    assert.strictEqual((await batch({ items: [{ mandate_id: 99, amount: 10 }] })).status, 400);
+    const preview = await call('POST', '/api/condominiums/1/sepa-batches/preview', { collection_date: inDays(2) });
+    assert.deepStrictEqual(preview.body.collections.map(c => [c.identifier, c.amount, c.sequence_type]), [['A', 50, 'FRST'], ['B', 30, 'FRST']]);
+
+    first = await batch({});
+    assert.strictEqual(first.status, 201);
+    assert.deepStrictEqual([first.body.batch.collections_count, first.body.batch.total], [2, 80]);
+    const payments = await q.all("SELECT fracao_id, user_id, amount_cents FROM payments WHERE method = 'direct_debit' ORDER BY fracao_id");
+    assert.deepStrictEqual(payments.map(p => ({ ...p })), [{ fracao_id: 1, user_id: 7, amount_cents: 5000 }, { fracao_id: 2, user_id: 8, amount_cents: 3000 }]);
+
+    const file = await call('GET', `/api/sepa-batches/${first.body.batch.id}/xml`);
+    assert.strictEqual(file.status, 200);
+    assert.match(file.body, /<SeqTp>FRST<\/SeqTp>/);
+    assert.match(file.body, /<CtrlSum>80\.00<\/CtrlSum>/);
+    assert.match(file.body, /<Id>PT73ZZZ123456<\/Id>/);
+
+    // Used, a mandate is no longer changed
+    assert.strictEqual((await call('PUT', `/api/sepa-mandates/${mandateA.id}`, { bic: 'BESCPTPL' })).status, 409);
+    const next = await batch({ items: [{ mandate_id: mandateA.id, amount: '12,5' }] });
+    assert.deepStrictEqual(next.body.collections.map(c => [c.identifier, c.amount, c.sequence_type]), [['A', 12.5, 'RCUR']]);
+  });
+
+  await t.test('returns delete their payments and open the debt again', async () => {
+    const [, collectionB] = first.body.collections;
+    const returned = await call('POST', '/api/condominiums/1/sepa-returns', {
+      returns: [{ end_to_end_id: collectionB.end_to_end_id, reason: 'am04' }, { end_to_end_id: 'C1-0-X-1' }]
+    });
+    assert.strictEqual(returned.status, 200);
+    assert.deepStrictEqual([returned.body.returned, returned.body.returned_total, returned.body.unknown], [1, 30, ['C1-0-X-1']]);
+    assert.deepStrictEqual([returned.body.collections[0].status, returned.body.collections[0].return_reason_label], ['returned', 'Saldo insuficiente']);
+    assert.strictEqual(await balanceOf(2), 30);
+    assert.strictEqual((await call('POST', '/api/condominiums/1/sepa-returns', { returns: [{ end_to_end_id: collectionB.end_to_end_id }] })).body.already_returned, 1);
+    assert.strictEqual((await call('POST', '/api/condominiums/1/sepa-returns', {})).status, 400);
+  });
+
+  await t.test("the bank's rejection of a whole batch returns all of it", async () => {
+    const second = (await call('GET', '/api/condominiums/1/sepa-batches')).body.find(b => b.total === 12.5);
+    const report = `<?xml version="1.0" encoding="UTF-8"?>
+      <Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.002.001.03"><CstmrPmtStsRpt>
+        <OrgnlGrpInfAndSts><OrgnlMsgId>${second.message_id}</OrgnlMsgId><GrpSts>RJCT</GrpSts>
+          <StsRsnInf><Rsn><Cd>FF01</Cd></Rsn></StsRsnInf></OrgnlGrpInfAndSts>
+      </CstmrPmtStsRpt></Document>`;
+    const form = new FormData();
+    form.append('file', new Blob([report], { type: 'application/xml' }), 'pain002.xml');
+    const res = await fetch(`${app.base}/api/condominiums/1/sepa-returns`, { method: 'POST', headers: { authorization: `Bearer ${token}` }, body: form });
+    const body = await res.json();
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual([body.returned, body.collections[0].return_reason], [1, 'FF01']);
+    assert.strictEqual((await call('GET', '/api/condominiums/1/sepa-batches')).body.find(b => b.id === second.id).returned_total, 12.5);
+  });
+
+  await t.test('a batch before its collection date can be cancelled', async () => {
+    const third = await batch({ collection_date: inDays(5) });
+    assert.deepStrictEqual(third.body.collections.map(c => [c.identifier, c.amount]), [['B', 30]]);
+    const cancelled = await call('DELETE', `/api/sepa-batches/${third.body.batch.id}`);
+    assert.strictEqual(cancelled.status, 200);
+    assert.strictEqual(await balanceOf(2), 30);
+    assert.strictEqual((await call('GET', `/api/sepa-batches/${third.body.batch.id}`)).status, 404);
+  });
+
+  await t.test('a used mandate is revoked, an unused one deleted', async () => {
+    const revoked = await call('DELETE', `/api/sepa-mandates/${mandateA.id}`);
+    assert.strictEqual(revoked.body.revoked, mandateA.id);
+    assert.strictEqual((await call('DELETE', `/api/sepa-mandates/${mandateA.id}`)).status, 409);
+    const renewed = await mandate(1, { user_id: 7 });
+    assert.strictEqual(renewed.body.mandate.reference, 'C1F1M2');
+    assert.strictEqual((await call('DELETE', `/api/sepa-mandates/${renewed.body.mandate.id}`)).body.deleted, renewed.body.mandate.id);
+  });
+
+  await t.test('mandates keep their condominium and debtor from being deleted', async () => {
+    await call('PUT', '/api/condominiums/2/sepa', { creditor_id: 'PT73ZZZ123456', iban: 'PT50000201231234567890154' });
+    const carla = await mandate(3, { user_id: 9 });
+    assert.strictEqual(carla.status, 201);
+    assert.strictEqual((await call('DELETE', '/api/condominiums/2')).status, 409);
+    assert.strictEqual((await call('DELETE', '/api/users/9')).status, 409);
+
+    await call('DELETE', `/api/sepa-mandates/${carla.body.mandate.id}`);
+    assert.strictEqual((await call('DELETE', '/api/users/9')).status, 200);
+    assert.strictEqual((await call('DELETE', '/api/condominiums/2')).status, 200);
+  });
+});
@@ -0,0 +1,49 @@
+const sqlite3 = require('sqlite3');
+
+// Write transactions for the finance modules. Each runs on its own connection (BEGIN IMMEDIATE),
+// so requests served meanwhile on the shared connection never end up inside it; they wait for
+// the write lock instead (busy timeout), as in csv-import.js and data-reset.js.
+
+function queries(conn) {
+  return {
+    run(sql, params = []) {
+      return new Promise((resolve, reject) => conn.run(sql, params, function(err) { if (err) reject(err); else resolve(this); }));
+    },
+    get(sql, params = []) {
+      return new Promise((resolve, reject) => conn.get(sql, params, (err, row) => (err ? reject(err) : resolve(row))));
+    },
+    all(sql, params = []) {
+      return new Promise((resolve, reject) => conn.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || []))));
+    }
+  };
+}
+
+/**
+ * @param {string} dbPath - database file
+ * @returns {function(function(object): Promise<*>): Promise<*>} runs `work(q)` in one transaction
+ *   and resolves with its result; rolled back if it throws
+ */
+module.exports = function(dbPath) {
+  return async function transaction(work) {
+    const conn = await new Promise((resolve, reject) => {
+      const c = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE, (err) => (err ? reject(err) : resolve(c)));
+    });
+    conn.configure('busyTimeout', 30000);
+    const q = queries(conn);
+    try {
+      await q.run('BEGIN IMMEDIATE');
+      try {
+        const result = await work(q);
+        await q.run('COMMIT');
+        return result;
+      } catch (e) {
+        await q.run('ROLLBACK').catch(() => {});
+        throw e;
+      }
+    } finally {
+      conn.close();
+    }
+  };
+};
+
+module.exports.queries = queries;